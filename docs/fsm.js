@@ -26,1572 +26,8775 @@
  OTHER DEALINGS IN THE SOFTWARE.
 */
 
-// Minimum Spanning Tree Algorithm for FSM Designer
-// Uses Kruskal's algorithm with Union-Find data structure
+// Automaton Helpers for FSM Designer
+// Converts between the canvas (nodes/links) and an abstract automaton
+//
+// Abstract automaton shape used by the algorithms in this folder:
+// {
+//     labels: ['q0', 'q1'],            // display name of each state
+//     start: 0,                        // index of the start state (-1 if none)
+//     accepting: [false, true],        // accept flag for each state
+//     alphabet: ['a', 'b'],            // sorted input symbols
+//     transitions: [{ a: [1] }, {}]    // per state: symbol -> target indices
+// }
+
+// Label for the trap state added when completing a partial DFA
+var trapStateLabel = 'trap';
+
+// A trap state label that no state in labels has yet: trap, trap', trap'', ...
+function freshTrapLabel(labels) {
+    var label = trapStateLabel;
+    while (labels.indexOf(label) !== -1) {
+        label += "'";
+    }
+    return label;
+}
 
-// Union-Find (Disjoint Set) data structure
-function UnionFind(size) {
-    this.parent = [];
-    this.rank = [];
-    for (var i = 0; i < size; i++) {
-        this.parent[i] = i;
-        this.rank[i] = 0;
+// Read the machine drawn on the canvas into an abstract automaton
+function automatonFromCanvas(nodeArray, linkArray) {
+    var table = buildTransitionTable(nodeArray, linkArray);
+    var automaton = {
+        labels: [],
+        start: findStartState(nodeArray, linkArray),
+        accepting: [],
+        alphabet: getAlphabet(linkArray),
+        transitions: []
+    };
+
+    for (var i = 0; i < nodeArray.length; i++) {
+        var text = nodeArray[i].text ? nodeArray[i].text.trim() : '';
+        automaton.labels.push(text || ('q' + i));
+        automaton.accepting.push(!!nodeArray[i].isAcceptState);
+
+        var row = {};
+        for (var symbol in table[i]) {
+            var targets = [];
+            for (var t = 0; t < table[i][symbol].length; t++) {
+                var target = table[i][symbol][t].targetIndex;
+                if (targets.indexOf(target) === -1) {
+                    targets.push(target);
+                }
+            }
+            row[symbol] = targets;
+        }
+        automaton.transitions.push(row);
     }
+
+    return automaton;
 }
 
-UnionFind.prototype.find = function(x) {
-    // Path compression
-    if (this.parent[x] !== x) {
-        this.parent[x] = this.find(this.parent[x]);
+// Compute the epsilon closure of a set of states in an abstract automaton
+function automatonClosure(automaton, stateSet) {
+    var closure = stateSet.slice();
+    var stack = stateSet.slice();
+    while (stack.length > 0) {
+        var targets = automaton.transitions[stack.pop()][EPSILON] || [];
+        for (var t = 0; t < targets.length; t++) {
+            if (closure.indexOf(targets[t]) === -1) {
+                closure.push(targets[t]);
+                stack.push(targets[t]);
+            }
+        }
     }
-    return this.parent[x];
-};
+    return closure;
+}
 
-UnionFind.prototype.union = function(x, y) {
-    // Union by rank
-    var rootX = this.find(x);
-    var rootY = this.find(y);
-    
-    if (rootX === rootY) return false;
-    
-    if (this.rank[rootX] < this.rank[rootY]) {
-        this.parent[rootX] = rootY;
-    } else if (this.rank[rootX] > this.rank[rootY]) {
-        this.parent[rootY] = rootX;
-    } else {
-        this.parent[rootY] = rootX;
-        this.rank[rootX]++;
+// Check whether every state has at most one target per symbol and no epsilon moves
+function isDeterministic(automaton) {
+    for (var i = 0; i < automaton.transitions.length; i++) {
+        for (var symbol in automaton.transitions[i]) {
+            if (symbol === EPSILON || automaton.transitions[i][symbol].length > 1) {
+                return false;
+            }
+        }
     }
     return true;
-};
+}
 
-// Parse edge weight from text label
-function parseEdgeWeight(text) {
-    if (!text || text.trim() === '') {
-        return { valid: false, error: 'Edge has no label (weight required)' };
+// Compute canvas positions for each state, one column per BFS level from the start
+function layoutAutomaton(automaton, width, height) {
+    var n = automaton.labels.length;
+    var margin = 80;
+    var maxSpacing = 160;
+    var level = [];
+    for (var i = 0; i < n; i++) {
+        level[i] = -1;
     }
-    
-    var trimmed = text.trim();
-    var weight = parseFloat(trimmed);
-    
-    if (isNaN(weight)) {
-        return { valid: false, error: 'Edge label "' + trimmed + '" is not a valid number' };
+
+    // Breadth-first levels from the start state
+    var queue = [];
+    if (automaton.start >= 0 && automaton.start < n) {
+        level[automaton.start] = 0;
+        queue.push(automaton.start);
     }
-    
-    return { valid: true, weight: weight };
+    var maxLevel = 0;
+    while (queue.length > 0) {
+        var current = queue.shift();
+        for (var symbol in automaton.transitions[current]) {
+            var targets = automaton.transitions[current][symbol];
+            for (var t = 0; t < targets.length; t++) {
+                if (level[targets[t]] === -1) {
+                    level[targets[t]] = level[current] + 1;
+                    maxLevel = Math.max(maxLevel, level[targets[t]]);
+                    queue.push(targets[t]);
+                }
+            }
+        }
+    }
+
+    // Unreachable states go in a column of their own at the end
+    var columns = [];
+    for (var i = 0; i < n; i++) {
+        var column = level[i] === -1 ? maxLevel + 1 : level[i];
+        if (!columns[column]) {
+            columns[column] = [];
+        }
+        columns[column].push(i);
+    }
+    columns = columns.filter(function(c) { return c && c.length > 0; });
+
+    var positions = [];
+    var minSpacing = 2.5 * nodeRadius;
+    var colSpacing = columns.length > 1 ? Math.min(maxSpacing, (width - 2 * margin) / (columns.length - 1)) : 0;
+    var tallest = 0;
+    for (var c = 0; c < columns.length; c++) {
+        tallest = Math.max(tallest, columns[c].length);
+    }
+    var tightRows = tallest > 1 && (height - 2 * margin) / (tallest - 1) < minSpacing;
+
+    // Too many states to fit in columns - fall back to a grid in BFS order
+    if ((colSpacing > 0 && colSpacing < minSpacing) || tightRows) {
+        var order = [];
+        for (var c = 0; c < columns.length; c++) {
+            order = order.concat(columns[c]);
+        }
+        var perRow = Math.max(1, Math.floor((width - 2 * margin) / minSpacing) + 1);
+        var rows = Math.ceil(order.length / perRow);
+        var gridX = (width - 2 * margin) / Math.max(1, perRow - 1);
+        var gridY = Math.min(maxSpacing, (height - 2 * margin) / Math.max(1, rows - 1));
+        for (var k = 0; k < order.length; k++) {
+            positions[order[k]] = {
+                x: margin + (k % perRow) * gridX,
+                y: margin + Math.floor(k / perRow) * gridY
+            };
+        }
+        return positions;
+    }
+
+    var totalWidth = colSpacing * (columns.length - 1);
+    var left = (width - totalWidth) / 2;
+    for (var c = 0; c < columns.length; c++) {
+        var members = columns[c];
+        var rowSpacing = members.length > 1 ? Math.min(maxSpacing, (height - 2 * margin) / (members.length - 1)) : 0;
+        var top = (height - rowSpacing * (members.length - 1)) / 2;
+        for (var r = 0; r < members.length; r++) {
+            positions[members[r]] = {
+                x: left + c * colSpacing,
+                y: top + r * rowSpacing
+            };
+        }
+    }
+
+    return positions;
 }
 
-// Check if graph is connected using Union-Find
-function isGraphConnected(nodeCount, edges) {
-    if (nodeCount === 0) return true;
-    if (nodeCount === 1) return true;
-    
-    var uf = new UnionFind(nodeCount);
-    
-    for (var i = 0; i < edges.length; i++) {
-        uf.union(edges[i].from, edges[i].to);
+// Check if a straight line between two positions would pass through another state
+function segmentHitsNode(a, b, positions, skipA, skipB) {
+    var dx = b.x - a.x;
+    var dy = b.y - a.y;
+    var lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return false;
+
+    for (var i = 0; i < positions.length; i++) {
+        if (i === skipA || i === skipB) continue;
+        var p = positions[i];
+        var t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq;
+        if (t <= 0 || t >= 1) continue;
+        var px = a.x + t * dx - p.x;
+        var py = a.y + t * dy - p.y;
+        if (Math.sqrt(px * px + py * py) < nodeRadius + 5) {
+            return true;
+        }
     }
-    
-    // Check if all nodes are in the same component
-    var root = uf.find(0);
-    for (var i = 1; i < nodeCount; i++) {
-        if (uf.find(i) !== root) {
-            return false;
+    return false;
+}
+
+// Build Node/Link/SelfLink/StartLink objects for an abstract automaton
+function automatonToCanvas(automaton) {
+    var width = (typeof canvas !== 'undefined' && canvas) ? canvas.width : 800;
+    var height = (typeof canvas !== 'undefined' && canvas) ? canvas.height : 600;
+    var positions = layoutAutomaton(automaton, width, height);
+    var newNodes = [];
+    var newLinks = [];
+
+    for (var i = 0; i < automaton.labels.length; i++) {
+        var node = new Node(positions[i].x, positions[i].y);
+        node.text = automaton.labels[i];
+        node.isAcceptState = !!automaton.accepting[i];
+        newNodes.push(node);
+    }
+
+    // Merge all symbols between the same pair of states into one label
+    var edgeSymbols = {};
+    var edgeOrder = [];
+    for (var i = 0; i < automaton.transitions.length; i++) {
+        for (var symbol in automaton.transitions[i]) {
+            var targets = automaton.transitions[i][symbol];
+            for (var t = 0; t < targets.length; t++) {
+                var key = i + '>' + targets[t];
+                if (!edgeSymbols[key]) {
+                    edgeSymbols[key] = [];
+                    edgeOrder.push({ from: i, to: targets[t], key: key });
+                }
+                if (edgeSymbols[key].indexOf(symbol) === -1) {
+                    edgeSymbols[key].push(symbol);
+                }
+            }
         }
     }
-    return true;
+
+    for (var e = 0; e < edgeOrder.length; e++) {
+        var edge = edgeOrder[e];
+        // Write epsilon the way a user would type it so LaTeX export stays valid
+        var text = edgeSymbols[edge.key].map(function(symbol) {
+            return symbol === EPSILON ? '\\epsilon' : symbol;
+        }).join(', ');
+
+        if (edge.from === edge.to) {
+            var selfLink = new SelfLink(newNodes[edge.from]);
+            selfLink.anchorAngle = -Math.PI / 2;
+            selfLink.text = text;
+            newLinks.push(selfLink);
+            continue;
+        }
+
+        var link = new Link(newNodes[edge.from], newNodes[edge.to]);
+        link.text = text;
+        // Bend opposite pairs apart, and route around states in the way
+        if (edgeSymbols[edge.to + '>' + edge.from]) {
+            link.perpendicularPart = 25;
+        } else if (segmentHitsNode(positions[edge.from], positions[edge.to], positions, edge.from, edge.to)) {
+            link.perpendicularPart = 50;
+        }
+        newLinks.push(link);
+    }
+
+    if (automaton.start >= 0) {
+        var startLink = new StartLink(newNodes[automaton.start]);
+        startLink.deltaX = -60;
+        startLink.deltaY = 0;
+        newLinks.push(startLink);
+    }
+
+    return {
+        nodes: newNodes,
+        links: newLinks
+    };
 }
 
-// Main MST computation function using Kruskal's algorithm
-function computeMST(nodeArray, linkArray) {
-    // Step 1: Extract and validate edges
-    var edges = [];
-    var selfLoopCount = 0;
-    var selfLoopLinks = [];
-    
+// Replace the canvas with an abstract automaton (undoable with Ctrl+Z)
+function replaceCanvasWithAutomaton(automaton) {
+    saveState();
+    var result = automatonToCanvas(automaton);
+    nodes = result.nodes;
+    links = result.links;
+    selectedObject = null;
+    directed = true;
+    var checkbox = document.getElementById('directedLinksCheckbox');
+    if (checkbox) checkbox.checked = true;
+    draw();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        trapStateLabel: trapStateLabel,
+        freshTrapLabel: freshTrapLabel,
+        automatonFromCanvas: automatonFromCanvas,
+        automatonClosure: automatonClosure,
+        isDeterministic: isDeterministic,
+        layoutAutomaton: layoutAutomaton,
+        automatonToCanvas: automatonToCanvas
+    };
+}
+
+// Graph Coloring for FSM Designer
+// Bipartiteness check, greedy and DSatur coloring, and the exact chromatic number by backtracking
+//
+// Coloring ignores edge directions: two nodes joined by an edge either way must get different colors.
+// Colors are numbered from 0 and shown as node fill colors (Node.fillColor).
+
+// Fill colors for color numbers 0, 1, 2, ... (light enough to read the labels on), repeated when there are more
+var nodeFillColors = ['#EF9A9A', '#90CAF9', '#A5D6A7', '#FFE082', '#CE93D8', '#80DEEA', '#FFAB91', '#C5E1A5', '#BCAAA4', '#F48FB1'];
+
+// Limit on the search steps of the exact chromatic number, which takes exponential time on large graphs
+var maxColoringSteps = 200000;
+
+// Neighbours of every node (without duplicates, ignoring directions) and the nodes with self-loops
+function coloringAdjacency(nodeArray, linkArray) {
+    var neighbours = [];
+    var selfLoops = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        neighbours.push([]);
+    }
+
     for (var i = 0; i < linkArray.length; i++) {
         var link = linkArray[i];
-        
-        // Skip StartLink (not an edge between nodes)
-        if (link instanceof StartLink) {
-            continue;
-        }
-        
-        // Handle SelfLink (warn but don't include in MST)
         if (link instanceof SelfLink) {
-            selfLoopCount++;
-            selfLoopLinks.push(link);
-            continue;
-        }
-        
-        // Handle regular Link
-        if (link instanceof Link) {
-            var parseResult = parseEdgeWeight(link.text);
-            if (!parseResult.valid) {
-                return { success: false, error: parseResult.error };
+            var index = nodeArray.indexOf(link.node);
+            if (selfLoops.indexOf(index) === -1) {
+                selfLoops.push(index);
             }
-            
-            var fromIndex = nodeArray.indexOf(link.nodeA);
-            var toIndex = nodeArray.indexOf(link.nodeB);
-            
-            if (fromIndex < 0 || toIndex < 0) {
-                return { success: false, error: 'Internal error: link references invalid node' };
+        } else if (link instanceof Link) {
+            var a = nodeArray.indexOf(link.nodeA);
+            var b = nodeArray.indexOf(link.nodeB);
+            if (neighbours[a].indexOf(b) === -1) {
+                neighbours[a].push(b);
+                neighbours[b].push(a);
             }
-            
-            edges.push({
-                link: link,
-                from: fromIndex,
-                to: toIndex,
-                weight: parseResult.weight
-            });
         }
     }
-    
-    // Step 2: Check for self-loops warning
-    var warnings = [];
-    if (selfLoopCount > 0) {
-        warnings.push(selfLoopCount + ' self-loop(s) will be removed (cannot be part of a spanning tree)');
-    }
-    
-    // Step 3: Check if we have enough nodes
-    if (nodeArray.length === 0) {
-        return { success: false, error: 'No nodes in the graph' };
-    }
-    
-    if (nodeArray.length === 1) {
-        // Single node - MST is trivial (no edges needed)
-        return {
-            success: true,
-            mstLinks: [],
-            removedLinks: selfLoopLinks,
-            warnings: warnings
-        };
+
+    return { neighbours: neighbours, selfLoops: selfLoops };
+}
+
+// Two-color the graph by BFS, one component at a time.
+// Returns { bipartite: true, side } with side[i] 0 or 1, or { bipartite: false, cycle } with the
+// nodes of an odd cycle in order.
+function checkBipartite(neighbours) {
+    var n = neighbours.length;
+    var side = [];
+    var parent = [];
+    var depth = [];
+    for (var i = 0; i < n; i++) {
+        side.push(-1);
+        parent.push(-1);
+        depth.push(0);
     }
-    
-    // Step 4: Check connectivity
-    if (!isGraphConnected(nodeArray.length, edges)) {
-        return { 
-            success: false, 
-            error: 'Graph is not connected. Cannot compute a Minimum Spanning Tree for a disconnected graph.' 
-        };
+
+    for (var root = 0; root < n; root++) {
+        if (side[root] !== -1) {
+            continue;
+        }
+        side[root] = 0;
+        var queue = [root];
+        for (var head = 0; head < queue.length; head++) {
+            var u = queue[head];
+            for (var k = 0; k < neighbours[u].length; k++) {
+                var v = neighbours[u][k];
+                if (side[v] === -1) {
+                    side[v] = 1 - side[u];
+                    parent[v] = u;
+                    depth[v] = depth[u] + 1;
+                    queue.push(v);
+                } else if (side[v] === side[u]) {
+                    return { bipartite: false, cycle: oddCycle(parent, depth, u, v) };
+                }
+            }
+        }
     }
-    
-    // Step 5: Sort edges by weight (ascending)
-    edges.sort(function(a, b) {
-        return a.weight - b.weight;
-    });
-    
-    // Step 6: Kruskal's algorithm - greedily add edges
-    var uf = new UnionFind(nodeArray.length);
-    var mstEdges = [];
-    var nonMstEdges = [];
-    
-    for (var i = 0; i < edges.length; i++) {
-        var edge = edges[i];
-        if (uf.union(edge.from, edge.to)) {
-            // Edge added to MST (doesn't create cycle)
-            mstEdges.push(edge.link);
+
+    return { bipartite: true, side: side };
+}
+
+// Close the odd cycle formed by the BFS tree paths to u and v and the edge between them
+function oddCycle(parent, depth, u, v) {
+    var fromU = [u];
+    var fromV = [v];
+    while (u !== v) {
+        if (depth[u] >= depth[v]) {
+            u = parent[u];
+            fromU.push(u);
         } else {
-            // Edge would create cycle - not in MST
-            nonMstEdges.push(edge.link);
+            v = parent[v];
+            fromV.push(v);
         }
     }
-    
-    // Combine non-MST edges and self-loops for removal
-    var removedLinks = nonMstEdges.concat(selfLoopLinks);
-    
-    return { 
-        success: true, 
-        mstLinks: mstEdges,
-        removedLinks: removedLinks,
-        warnings: warnings
-    };
+    // fromU ends at the common ancestor, which fromV repeats
+    return fromU.reverse().concat(fromV.slice(0, -1));
 }
 
-// Calculate total weight of MST
-function calculateMSTWeight(mstLinks) {
-    var totalWeight = 0;
-    for (var i = 0; i < mstLinks.length; i++) {
-        var parseResult = parseEdgeWeight(mstLinks[i].text);
-        if (parseResult.valid) {
-            totalWeight += parseResult.weight;
+// Smallest color not used by any colored neighbour of a node
+function smallestFreeColor(neighbours, colors, node) {
+    var used = [];
+    for (var k = 0; k < neighbours[node].length; k++) {
+        if (colors[neighbours[node][k]] !== -1) {
+            used[colors[neighbours[node][k]]] = true;
         }
     }
-    return totalWeight;
+    var color = 0;
+    while (used[color]) {
+        color++;
+    }
+    return color;
 }
 
-// Main UI handler function - called when user clicks button or presses Ctrl+T
-function applyMST() {
-    // Check for empty graph
-    if (nodes.length === 0) {
-        alert('Cannot compute MST: No nodes in the graph.');
-        return;
+// Greedy coloring: nodes in order (index order by default) take the smallest free color
+function greedyColoring(neighbours, order) {
+    var colors = [];
+    for (var i = 0; i < neighbours.length; i++) {
+        colors.push(-1);
     }
-    
-    // Check for directed mode
-    if (directed) {
-        alert('Warning: MST is typically computed on undirected graphs.\n\nThe algorithm will treat edges as undirected for this calculation.');
+    if (!order) {
+        order = colors.map(function(color, i) { return i; });
     }
-    
-    // Compute MST
-    var result = computeMST(nodes, links);
-    
-    if (!result.success) {
-        alert('Cannot compute MST:\n\n' + result.error);
-        return;
+    for (var k = 0; k < order.length; k++) {
+        colors[order[k]] = smallestFreeColor(neighbours, colors, order[k]);
     }
-    
-    // Build confirmation message
-    var message = '';
-    
-    if (result.warnings.length > 0) {
-        message += 'Warnings:\n';
-        for (var i = 0; i < result.warnings.length; i++) {
-            message += '• ' + result.warnings[i] + '\n';
+    return colors;
+}
+
+// Number of different colors among the colored neighbours of a node
+function saturation(neighbours, colors, node) {
+    var seen = [];
+    for (var k = 0; k < neighbours[node].length; k++) {
+        var color = colors[neighbours[node][k]];
+        if (color !== -1 && seen.indexOf(color) === -1) {
+            seen.push(color);
         }
-        message += '\n';
     }
-    
-    var totalWeight = calculateMSTWeight(result.mstLinks);
-    
-    message += 'MST computed successfully!\n\n';
-    message += '• Edges in MST: ' + result.mstLinks.length + '\n';
-    message += '• Edges to remove: ' + result.removedLinks.length + '\n';
-    message += '• Total MST weight: ' + totalWeight + '\n\n';
-    message += 'Do you want to apply the MST (remove non-MST edges)?';
-    
-    if (!confirm(message)) {
-        return; // User cancelled
+    return seen.length;
+}
+
+// Uncolored node with the most differently colored neighbours, ties broken by degree, then index
+function mostSaturatedNode(neighbours, colors) {
+    var best = -1;
+    var bestSaturation = -1;
+    for (var i = 0; i < neighbours.length; i++) {
+        if (colors[i] !== -1) {
+            continue;
+        }
+        var s = saturation(neighbours, colors, i);
+        if (s > bestSaturation || (s === bestSaturation && neighbours[i].length > neighbours[best].length)) {
+            best = i;
+            bestSaturation = s;
+        }
     }
-    
-    // Save state for undo
-    saveState();
-    
-    // Remove non-MST edges
-    var mstSet = [];
-    for (var i = 0; i < result.mstLinks.length; i++) {
-        mstSet.push(result.mstLinks[i]);
+    return best;
+}
+
+// DSatur coloring (Brélaz): always color the most saturated node next
+function dsaturColoring(neighbours) {
+    var colors = [];
+    for (var i = 0; i < neighbours.length; i++) {
+        colors.push(-1);
     }
-    
-    var newLinks = [];
-    for (var i = 0; i < links.length; i++) {
-        var link = links[i];
-        
-        // Keep StartLinks (not part of MST calculation)
-        if (link instanceof StartLink) {
-            newLinks.push(link);
-            continue;
+    for (var k = 0; k < neighbours.length; k++) {
+        var node = mostSaturatedNode(neighbours, colors);
+        colors[node] = smallestFreeColor(neighbours, colors, node);
+    }
+    return colors;
+}
+
+// Number of colors in a coloring
+function countColors(colors) {
+    var count = 0;
+    for (var i = 0; i < colors.length; i++) {
+        count = Math.max(count, colors[i] + 1);
+    }
+    return count;
+}
+
+// Exact chromatic number by backtracking: try to beat the DSatur coloring with one color fewer
+// until that fails. Returns { success, chromaticNumber, colors } or { success: false, error } when
+// the search needs more than maxColoringSteps steps.
+function exactColoring(neighbours) {
+    var best = dsaturColoring(neighbours);
+    var steps = 0;
+
+    // Color the remaining nodes with colors 0..k-1, choosing the most saturated node each time
+    function extend(colors, colored, k) {
+        if (colored === neighbours.length) {
+            return true;
         }
-        
-        // Check if link is in MST
-        var inMST = false;
-        for (var j = 0; j < mstSet.length; j++) {
-            if (link === mstSet[j]) {
-                inMST = true;
-                break;
+        if (++steps > maxColoringSteps) {
+            return false;
+        }
+        var node = mostSaturatedNode(neighbours, colors);
+        var usedSoFar = countColors(colors);
+        // A new color is interchangeable with any other unused one, so only try the first
+        for (var color = 0; color < Math.min(k, usedSoFar + 1); color++) {
+            var free = true;
+            for (var j = 0; j < neighbours[node].length; j++) {
+                if (colors[neighbours[node][j]] === color) {
+                    free = false;
+                    break;
+                }
+            }
+            if (free) {
+                colors[node] = color;
+                if (extend(colors, colored + 1, k)) {
+                    return true;
+                }
+                colors[node] = -1;
             }
         }
-        
-        if (inMST) {
-            newLinks.push(link);
+        return false;
+    }
+
+    for (var k = countColors(best) - 1; k >= 1; k--) {
+        var colors = best.map(function() { return -1; });
+        steps = 0;
+        if (!extend(colors, 0, k)) {
+            if (steps > maxColoringSteps) {
+                return {
+                    success: false,
+                    error: 'The graph is too large for the exact search (more than ' + maxColoringSteps +
+                        ' steps). DSatur found a coloring with ' + countColors(best) + ' colors.'
+                };
+            }
+            break;
         }
+        best = colors;
+    }
+
+    return { success: true, chromaticNumber: countColors(best), colors: best };
+}
+
+// Fill the nodes with the colors of a coloring (undoable with Ctrl+Z)
+function applyNodeColors(colors) {
+    clearAlgorithmHighlight();
+    saveState();
+    for (var i = 0; i < nodes.length; i++) {
+        nodes[i].fillColor = nodeFillColors[colors[i] % nodeFillColors.length];
     }
-    
-    links = newLinks;
-    selectedObject = null;
     draw();
-    
-    alert('MST applied! ' + result.removedLinks.length + ' edge(s) removed.\n\nYou can press Ctrl+Z to undo.');
 }
-function Link(a, b) {
-	this.nodeA = a;
-	this.nodeB = b;
-	this.text = '';
-	this.lineAngleAdjust = 0; // value to add to textAngle when link is straight line
 
-	// make anchor point relative to the locations of nodeA and nodeB
-	this.parallelPart = 0.5; // percentage from nodeA to nodeB
-	this.perpendicularPart = 0; // pixels from line between nodeA and nodeB
+// List the nodes of each color (or side) for a confirmation message
+function describeColorClasses(colors, labels, className) {
+    var message = '';
+    for (var c = 0; c < countColors(colors); c++) {
+        var members = [];
+        for (var i = 0; i < colors.length; i++) {
+            if (colors[i] === c) {
+                members.push(labels[i]);
+            }
+        }
+        message += '• ' + className + ' ' + (c + 1) + ': ' + members.join(', ') + '\n';
+    }
+    return message;
 }
 
-Link.prototype.getAnchorPoint = function() {
-	var dx = this.nodeB.x - this.nodeA.x;
-	var dy = this.nodeB.y - this.nodeA.y;
-	var scale = Math.sqrt(dx * dx + dy * dy);
-	return {
-		'x': this.nodeA.x + dx * this.parallelPart - dy * this.perpendicularPart / scale,
-		'y': this.nodeA.y + dy * this.parallelPart + dx * this.perpendicularPart / scale
-	};
-};
+// Highlight a cycle given by its nodes in red
+function highlightNodeCycle(cycle) {
+    var cycleLinks = [];
+    for (var k = 0; k < cycle.length; k++) {
+        var a = nodes[cycle[k]];
+        var b = nodes[cycle[(k + 1) % cycle.length]];
+        for (var i = 0; i < links.length; i++) {
+            var link = links[i];
+            if (link instanceof Link && ((link.nodeA === a && link.nodeB === b) || (link.nodeA === b && link.nodeB === a))) {
+                cycleLinks.push({ link: link, color: simColors.rejectedState });
+                break;
+            }
+        }
+    }
+    showAlgorithmHighlight(cycle.map(function(i) {
+        return { index: i, color: simColors.rejectedState };
+    }), cycleLinks);
+}
 
-Link.prototype.setAnchorPoint = function(x, y) {
-	var dx = this.nodeB.x - this.nodeA.x;
-	var dy = this.nodeB.y - this.nodeA.y;
-	var scale = Math.sqrt(dx * dx + dy * dy);
-	this.parallelPart = (dx * (x - this.nodeA.x) + dy * (y - this.nodeA.y)) / (scale * scale);
-	this.perpendicularPart = (dx * (y - this.nodeA.y) - dy * (x - this.nodeA.x)) / scale;
-	// snap to a straight line
-	if(this.parallelPart > 0 && this.parallelPart < 1 && Math.abs(this.perpendicularPart) < snapToPadding) {
-		this.lineAngleAdjust = (this.perpendicularPart < 0) * Math.PI;
-		this.perpendicularPart = 0;
-	}
-};
+// Main UI handler function - called when user clicks Bipartite?
+// Colors the two sides, or highlights an odd cycle that shows the graph is not bipartite.
+function applyBipartiteCheck() {
+    if (nodes.length === 0) {
+        alert('Cannot check: No nodes in the graph.');
+        return;
+    }
 
-Link.prototype.getEndPointsAndCircle = function() {
-	if(this.perpendicularPart == 0) {
-		var midX = (this.nodeA.x + this.nodeB.x) / 2;
-		var midY = (this.nodeA.y + this.nodeB.y) / 2;
-		var start = this.nodeA.closestPointOnCircle(midX, midY);
-		var end = this.nodeB.closestPointOnCircle(midX, midY);
-		return {
-			'hasCircle': false,
-			'startX': start.x,
-			'startY': start.y,
-			'endX': end.x,
-			'endY': end.y,
-		};
-	}
-	var anchor = this.getAnchorPoint();
-	var circle = circleFromThreePoints(this.nodeA.x, this.nodeA.y, this.nodeB.x, this.nodeB.y, anchor.x, anchor.y);
-	var isReversed = (this.perpendicularPart > 0);
-	var reverseScale = isReversed ? 1 : -1;
-	var startAngle = Math.atan2(this.nodeA.y - circle.y, this.nodeA.x - circle.x) - reverseScale * nodeRadius / circle.radius;
-	var endAngle = Math.atan2(this.nodeB.y - circle.y, this.nodeB.x - circle.x) + reverseScale * nodeRadius / circle.radius;
-	var startX = circle.x + circle.radius * Math.cos(startAngle);
-	var startY = circle.y + circle.radius * Math.sin(startAngle);
-	var endX = circle.x + circle.radius * Math.cos(endAngle);
-	var endY = circle.y + circle.radius * Math.sin(endAngle);
-	return {
-		'hasCircle': true,
-		'startX': startX,
-		'startY': startY,
-		'endX': endX,
-		'endY': endY,
-		'startAngle': startAngle,
-		'endAngle': endAngle,
-		'circleX': circle.x,
-		'circleY': circle.y,
-		'circleRadius': circle.radius,
-		'reverseScale': reverseScale,
-		'isReversed': isReversed,
-	};
-};
+    var labels = generateNodeLabels();
+    var adjacency = coloringAdjacency(nodes, links);
+    if (adjacency.selfLoops.length > 0) {
+        alert('The graph is not bipartite: ' + labels[adjacency.selfLoops[0]] + ' has a self-loop.');
+        return;
+    }
 
-Link.prototype.draw = function(c) {
-	var stuff = this.getEndPointsAndCircle();
-	// draw arc
-	c.beginPath();
-	if(stuff.hasCircle) {
-		c.arc(stuff.circleX, stuff.circleY, stuff.circleRadius, stuff.startAngle, stuff.endAngle, stuff.isReversed);
-	} else {
-		c.moveTo(stuff.startX, stuff.startY);
-		c.lineTo(stuff.endX, stuff.endY);
-	}
-	c.stroke();
-	// draw the head of the arrow
-	if(stuff.hasCircle) {
-		drawArrow(c, stuff.endX, stuff.endY, stuff.endAngle - stuff.reverseScale * (Math.PI / 2));
-	} else {
-		drawArrow(c, stuff.endX, stuff.endY, Math.atan2(stuff.endY - stuff.startY, stuff.endX - stuff.startX));
-	}
-	// draw the text
-	if(stuff.hasCircle) {
-		var startAngle = stuff.startAngle;
-		var endAngle = stuff.endAngle;
-		if(endAngle < startAngle) {
-			endAngle += Math.PI * 2;
-		}
-		var textAngle = (startAngle + endAngle) / 2 + stuff.isReversed * Math.PI;
-		var textX = stuff.circleX + stuff.circleRadius * Math.cos(textAngle);
-		var textY = stuff.circleY + stuff.circleRadius * Math.sin(textAngle);
-		drawText(c, this.text, textX, textY, textAngle, selectedObject == this);
-	} else {
-		var textX = (stuff.startX + stuff.endX) / 2;
-		var textY = (stuff.startY + stuff.endY) / 2;
-		var textAngle = Math.atan2(stuff.endX - stuff.startX, stuff.startY - stuff.endY);
-		drawText(c, this.text, textX, textY, textAngle + this.lineAngleAdjust, selectedObject == this);
-	}
-};
+    var result = checkBipartite(adjacency.neighbours);
+    if (!result.bipartite) {
+        highlightNodeCycle(result.cycle);
+        alert('The graph is not bipartite. It contains an odd cycle:\n\n' +
+            result.cycle.concat([result.cycle[0]]).map(function(i) { return labels[i]; }).join(' – ') +
+            '\n\nThe cycle is highlighted in red. Click the canvas to clear the highlight.');
+        return;
+    }
 
-Link.prototype.containsPoint = function(x, y) {
-	var stuff = this.getEndPointsAndCircle();
-	if(stuff.hasCircle) {
-		var dx = x - stuff.circleX;
-		var dy = y - stuff.circleY;
-		var distance = Math.sqrt(dx*dx + dy*dy) - stuff.circleRadius;
-		if(Math.abs(distance) < hitTargetPadding) {
-			var angle = Math.atan2(dy, dx);
-			var startAngle = stuff.startAngle;
-			var endAngle = stuff.endAngle;
-			if(stuff.isReversed) {
-				var temp = startAngle;
-				startAngle = endAngle;
-				endAngle = temp;
-			}
-			if(endAngle < startAngle) {
-				endAngle += Math.PI * 2;
-			}
-			if(angle < startAngle) {
-				angle += Math.PI * 2;
-			} else if(angle > endAngle) {
-				angle -= Math.PI * 2;
-			}
-			return (angle > startAngle && angle < endAngle);
-		}
-	} else {
-		var dx = stuff.endX - stuff.startX;
-		var dy = stuff.endY - stuff.startY;
-		var length = Math.sqrt(dx*dx + dy*dy);
-		var percent = (dx * (x - stuff.startX) + dy * (y - stuff.startY)) / (length * length);
-		var distance = (dx * (y - stuff.startY) - dy * (x - stuff.startX)) / length;
-		return (percent > 0 && percent < 1 && Math.abs(distance) < hitTargetPadding);
-	}
-	return false;
-};
+    var message = 'The graph is bipartite!\n\n' + describeColorClasses(result.side, labels, 'Side') + '\n';
+    message += 'Do you want to color the two sides?';
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
 
-function Node(x, y) {
-	this.x = x;
-	this.y = y;
-	this.mouseOffsetX = 0;
-	this.mouseOffsetY = 0;
-	this.isAcceptState = false;
-	this.text = '';
+    applyNodeColors(result.side);
+    alert('Sides colored!\n\nYou can press Ctrl+Z to undo.');
 }
 
-Node.prototype.setMouseStart = function(x, y) {
-	this.mouseOffsetX = this.x - x;
-	this.mouseOffsetY = this.y - y;
-};
+// Main UI handler function - called when user clicks Color.
+// Colors the nodes with the algorithm chosen in the list next to the button.
+function applyColoring() {
+    if (nodes.length === 0) {
+        alert('Cannot color: No nodes in the graph.');
+        return;
+    }
 
-Node.prototype.setAnchorPoint = function(x, y) {
-	this.x = x + this.mouseOffsetX;
-	this.y = y + this.mouseOffsetY;
-};
+    var labels = generateNodeLabels();
+    var adjacency = coloringAdjacency(nodes, links);
+    if (adjacency.selfLoops.length > 0) {
+        alert('Cannot color: ' + labels[adjacency.selfLoops[0]] + ' has a self-loop, so it would need a different color from itself.');
+        return;
+    }
 
-Node.prototype.draw = function(c) {
-	// draw the circle
-	c.beginPath();
-	c.arc(this.x, this.y, nodeRadius, 0, 2 * Math.PI, false);
-	c.stroke();
+    var select = document.getElementById('coloringAlgorithm');
+    var algorithm = select ? select.value : 'greedy';
+    var colors, name;
+    if (algorithm === 'exact') {
+        var exact = exactColoring(adjacency.neighbours);
+        if (!exact.success) {
+            alert('Cannot compute the chromatic number:\n\n' + exact.error);
+            return;
+        }
+        colors = exact.colors;
+        name = 'Optimal coloring';
+    } else if (algorithm === 'dsatur') {
+        colors = dsaturColoring(adjacency.neighbours);
+        name = 'DSatur coloring';
+    } else {
+        colors = greedyColoring(adjacency.neighbours);
+        name = 'Greedy coloring';
+    }
 
-	// draw the text
-	drawText(c, this.text, this.x, this.y, null, selectedObject == this);
+    var count = countColors(colors);
+    var message = algorithm === 'exact' ?
+        'Chromatic number: ' + count + '\n\nThe graph cannot be colored with fewer colors. An optimal coloring:\n\n' :
+        name + ' uses ' + count + ' color(s):\n\n';
+    message += describeColorClasses(colors, labels, 'Color') + '\n';
+    if (count > nodeFillColors.length) {
+        message += 'Note: there are only ' + nodeFillColors.length + ' fill colors, so some colors repeat.\n\n';
+    }
+    message += 'Do you want to fill the nodes with these colors?';
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
 
-	// draw a double circle for an accept state
-	if(this.isAcceptState) {
-		c.beginPath();
-		c.arc(this.x, this.y, nodeRadius - 6, 0, 2 * Math.PI, false);
-		c.stroke();
-	}
-};
-
-Node.prototype.closestPointOnCircle = function(x, y) {
-	var dx = x - this.x;
-	var dy = y - this.y;
-	var scale = Math.sqrt(dx * dx + dy * dy);
-	return {
-		'x': this.x + dx * nodeRadius / scale,
-		'y': this.y + dy * nodeRadius / scale,
-	};
-};
+    applyNodeColors(colors);
+    alert(name + ' applied!\n\nYou can press Ctrl+Z to undo.');
+}
 
-Node.prototype.containsPoint = function(x, y) {
-	return (x - this.x)*(x - this.x) + (y - this.y)*(y - this.y) < nodeRadius*nodeRadius;
-};
+// Main UI handler function - called when user clicks Clear Colors
+function clearNodeColors() {
+    var colored = nodes.some(function(node) { return node.fillColor; });
+    if (!colored) {
+        return;
+    }
+    saveState();
+    for (var i = 0; i < nodes.length; i++) {
+        nodes[i].fillColor = null;
+    }
+    draw();
+}
 
 if (typeof module !== 'undefined' && module.exports) {
-	module.exports = Node;
+    module.exports = {
+        coloringAdjacency: coloringAdjacency,
+        checkBipartite: checkBipartite,
+        greedyColoring: greedyColoring,
+        dsaturColoring: dsaturColoring,
+        countColors: countColors,
+        exactColoring: exactColoring
+    };
 }
 
-function SelfLink(node, mouse) {
-	this.node = node;
-	this.anchorAngle = 0;
-	this.mouseOffsetAngle = 0;
-	this.text = '';
+// NFA to DFA Conversion for FSM Designer
+// Uses the subset (powerset) construction with epsilon closures
 
-	if(mouse) {
-		this.setAnchorPoint(mouse.x, mouse.y);
-	}
-}
+// Largest DFA we are willing to draw on the canvas
+var maxDeterminizeStates = 64;
 
-SelfLink.prototype.setMouseStart = function(x, y) {
-	this.mouseOffsetAngle = this.anchorAngle - Math.atan2(y - this.node.y, x - this.node.x);
-};
+// Build a display label for a set of source states, e.g. {q0,q2}
+function subsetLabel(stateSet, labels) {
+    return '{' + stateSet.map(function(s) {
+        return labels[s];
+    }).join(',') + '}';
+}
 
-SelfLink.prototype.setAnchorPoint = function(x, y) {
-	this.anchorAngle = Math.atan2(y - this.node.y, x - this.node.x) + this.mouseOffsetAngle;
-	// snap to 90 degrees
-	var snap = Math.round(this.anchorAngle / (Math.PI / 2)) * (Math.PI / 2);
-	if(Math.abs(this.anchorAngle - snap) < 0.1) this.anchorAngle = snap;
-	// keep in the range -pi to pi so our containsPoint() function always works
-	if(this.anchorAngle < -Math.PI) this.anchorAngle += 2 * Math.PI;
-	if(this.anchorAngle > Math.PI) this.anchorAngle -= 2 * Math.PI;
-};
+// Run the subset construction on an abstract automaton
+function determinizeAutomaton(automaton) {
+    if (automaton.start < 0) {
+        return { success: false, error: 'No start state defined.' };
+    }
 
-SelfLink.prototype.getEndPointsAndCircle = function() {
-	var circleX = this.node.x + 1.5 * nodeRadius * Math.cos(this.anchorAngle);
-	var circleY = this.node.y + 1.5 * nodeRadius * Math.sin(this.anchorAngle);
-	var circleRadius = 0.75 * nodeRadius;
-	var startAngle = this.anchorAngle - Math.PI * 0.8;
-	var endAngle = this.anchorAngle + Math.PI * 0.8;
-	var startX = circleX + circleRadius * Math.cos(startAngle);
-	var startY = circleY + circleRadius * Math.sin(startAngle);
-	var endX = circleX + circleRadius * Math.cos(endAngle);
-	var endY = circleY + circleRadius * Math.sin(endAngle);
-	return {
-		'hasCircle': true,
-		'startX': startX,
-		'startY': startY,
-		'endX': endX,
-		'endY': endY,
-		'startAngle': startAngle,
-		'endAngle': endAngle,
-		'circleX': circleX,
-		'circleY': circleY,
-		'circleRadius': circleRadius
-	};
-};
+    var dfa = {
+        labels: [],
+        start: 0,
+        accepting: [],
+        alphabet: automaton.alphabet.slice(),
+        transitions: [],
+        sets: []
+    };
+    var indexByKey = {};
+    var queue = [];
+
+    // Register a set of NFA states as a DFA state, returning its index
+    function addSet(stateSet) {
+        stateSet.sort(function(a, b) { return a - b; });
+        var key = stateSet.join(',');
+        if (indexByKey.hasOwnProperty(key)) {
+            return indexByKey[key];
+        }
+        var index = dfa.sets.length;
+        indexByKey[key] = index;
+        dfa.sets.push(stateSet);
+        dfa.labels.push(subsetLabel(stateSet, automaton.labels));
+        dfa.accepting.push(stateSet.some(function(s) {
+            return automaton.accepting[s];
+        }));
+        dfa.transitions.push({});
+        queue.push(index);
+        return index;
+    }
 
-SelfLink.prototype.draw = function(c) {
-	var stuff = this.getEndPointsAndCircle();
-	// draw arc
-	c.beginPath();
-	c.arc(stuff.circleX, stuff.circleY, stuff.circleRadius, stuff.startAngle, stuff.endAngle, false);
-	c.stroke();
-	// draw the text on the loop farthest from the node
-	var textX = stuff.circleX + stuff.circleRadius * Math.cos(this.anchorAngle);
-	var textY = stuff.circleY + stuff.circleRadius * Math.sin(this.anchorAngle);
-	drawText(c, this.text, textX, textY, this.anchorAngle, selectedObject == this);
-	// draw the head of the arrow
-	drawArrow(c, stuff.endX, stuff.endY, stuff.endAngle + Math.PI * 0.4);
-};
+    addSet(automatonClosure(automaton, [automaton.start]));
 
-SelfLink.prototype.containsPoint = function(x, y) {
-	var stuff = this.getEndPointsAndCircle();
-	var dx = x - stuff.circleX;
-	var dy = y - stuff.circleY;
-	var distance = Math.sqrt(dx*dx + dy*dy) - stuff.circleRadius;
-	return (Math.abs(distance) < hitTargetPadding);
-};
+    while (queue.length > 0) {
+        if (dfa.sets.length > maxDeterminizeStates) {
+            return {
+                success: false,
+                error: 'The DFA would have more than ' + maxDeterminizeStates + ' states, which is too many to draw.'
+            };
+        }
 
-function StartLink(node, start) {
-	this.node = node;
-	this.deltaX = 0;
-	this.deltaY = 0;
-	this.text = '';
+        var current = queue.shift();
+        var currentSet = dfa.sets[current];
+
+        for (var a = 0; a < dfa.alphabet.length; a++) {
+            var symbol = dfa.alphabet[a];
+            var targetSet = [];
+            for (var s = 0; s < currentSet.length; s++) {
+                var targets = automaton.transitions[currentSet[s]][symbol] || [];
+                for (var t = 0; t < targets.length; t++) {
+                    if (targetSet.indexOf(targets[t]) === -1) {
+                        targetSet.push(targets[t]);
+                    }
+                }
+            }
+            dfa.transitions[current][symbol] = [addSet(automatonClosure(automaton, targetSet))];
+        }
+    }
 
-	if(start) {
-		this.setAnchorPoint(start.x, start.y);
-	}
+    return { success: true, dfa: dfa };
 }
 
-StartLink.prototype.setAnchorPoint = function(x, y) {
-	this.deltaX = x - this.node.x;
-	this.deltaY = y - this.node.y;
+// Main UI handler function - called when user clicks the Determinize button
+function applyDeterminize() {
+    if (nodes.length === 0) {
+        alert('Cannot determinize: No states in the FSM.');
+        return;
+    }
 
-	if(Math.abs(this.deltaX) < snapToPadding) {
-		this.deltaX = 0;
-	}
+    var automaton = automatonFromCanvas(nodes, links);
+    if (automaton.start === -1) {
+        alert('Cannot determinize: No start state defined.\n\nAdd a start arrow by shift-dragging from empty space to a state.');
+        return;
+    }
 
-	if(Math.abs(this.deltaY) < snapToPadding) {
-		this.deltaY = 0;
-	}
-};
+    var result = determinizeAutomaton(automaton);
+    if (!result.success) {
+        alert('Cannot determinize:\n\n' + result.error);
+        return;
+    }
 
-StartLink.prototype.getEndPoints = function() {
-	var startX = this.node.x + this.deltaX;
-	var startY = this.node.y + this.deltaY;
-	var end = this.node.closestPointOnCircle(startX, startY);
-	return {
-		'startX': startX,
-		'startY': startY,
-		'endX': end.x,
-		'endY': end.y,
-	};
-};
+    var message = '';
+    if (isDeterministic(automaton)) {
+        message += 'Note: this machine is already deterministic. The result will add a trap state {} for missing transitions if needed.\n\n';
+    }
+    message += 'Subset construction complete!\n\n';
+    message += '• NFA states: ' + automaton.labels.length + '\n';
+    message += '• DFA states: ' + result.dfa.labels.length + '\n';
+    message += '• Alphabet: {' + automaton.alphabet.join(', ') + '}\n\n';
+    message += 'Do you want to replace the canvas with the DFA?';
 
-StartLink.prototype.draw = function(c) {
-	var stuff = this.getEndPoints();
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
 
-	// draw the line
-	c.beginPath();
-	c.moveTo(stuff.startX, stuff.startY);
-	c.lineTo(stuff.endX, stuff.endY);
-	c.stroke();
+    replaceCanvasWithAutomaton(result.dfa);
 
-	// draw the text at the end without the arrow
-	var textAngle = Math.atan2(stuff.startY - stuff.endY, stuff.startX - stuff.endX);
-	drawText(c, this.text, stuff.startX, stuff.startY, textAngle, selectedObject == this);
+    alert('DFA applied! ' + result.dfa.labels.length + ' state(s) created.\n\nYou can press Ctrl+Z to undo.');
+}
 
-	// draw the head of the arrow
-	drawArrow(c, stuff.endX, stuff.endY, Math.atan2(-this.deltaY, -this.deltaX));
-};
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        subsetLabel: subsetLabel,
+        determinizeAutomaton: determinizeAutomaton
+    };
+}
 
-StartLink.prototype.containsPoint = function(x, y) {
-	var stuff = this.getEndPoints();
-	var dx = stuff.endX - stuff.startX;
-	var dy = stuff.endY - stuff.startY;
-	var length = Math.sqrt(dx*dx + dy*dy);
-	var percent = (dx * (x - stuff.startX) + dy * (y - stuff.startY)) / (length * length);
-	var distance = (dx * (y - stuff.startY) - dy * (x - stuff.startX)) / length;
-	return (percent > 0 && percent < 1 && Math.abs(distance) < hitTargetPadding);
-};
+// Language Equivalence Check for FSM Designer
+// Explores the product of both machines' subset constructions breadth-first,
+// so the first disagreement found is a shortest distinguishing string
 
-function TemporaryLink(from, to) {
-	this.from = from;
-	this.to = to;
+// Safety limit on explored product states
+var maxEquivalencePairs = 10000;
+
+// Merge two alphabets into one sorted list
+function unionAlphabet(alphabetA, alphabetB) {
+    var merged = alphabetA.slice();
+    for (var i = 0; i < alphabetB.length; i++) {
+        if (merged.indexOf(alphabetB[i]) === -1) {
+            merged.push(alphabetB[i]);
+        }
+    }
+    return merged.sort();
 }
 
-TemporaryLink.prototype.draw = function(c) {
-	// draw the line
-	c.beginPath();
-	c.moveTo(this.to.x, this.to.y);
-	c.lineTo(this.from.x, this.from.y);
-	c.stroke();
+// Follow one symbol from a set of states, including epsilon closures
+function moveOnSymbol(automaton, stateSet, symbol) {
+    var targetSet = [];
+    for (var s = 0; s < stateSet.length; s++) {
+        var targets = automaton.transitions[stateSet[s]][symbol] || [];
+        for (var t = 0; t < targets.length; t++) {
+            if (targetSet.indexOf(targets[t]) === -1) {
+                targetSet.push(targets[t]);
+            }
+        }
+    }
+    return automatonClosure(automaton, targetSet).sort(function(a, b) { return a - b; });
+}
 
-	// draw the head of the arrow
-	drawArrow(c, this.to.x, this.to.y, Math.atan2(this.to.y - this.from.y, this.to.x - this.from.x));
-};
+// Check if any state in the set is accepting
+function setAccepts(automaton, stateSet) {
+    return stateSet.some(function(s) {
+        return automaton.accepting[s];
+    });
+}
 
-// Adjacency Matrix and List Export for FSM Designer
-// Generates LaTeX representations of graph adjacency
+// Main equivalence check - returns a shortest counterexample when the languages differ
+function checkEquivalence(automatonA, automatonB) {
+    if (automatonA.start < 0 || automatonB.start < 0) {
+        return { success: false, error: 'Both machines need a start state.' };
+    }
 
-// Generate node labels with fallback to indices
-function generateNodeLabels() {
-	var labels = [];
-	var usedLabels = new Set();
-	
-	// First pass: use existing text labels
-	for (var i = 0; i < nodes.length; i++) {
-		var node = nodes[i];
-		if (node.text && node.text.trim() !== '') {
-			labels.push(node.text.trim());
-			usedLabels.add(node.text.trim());
-		} else {
-			labels.push(null); // Mark for fallback
-		}
-	}
-	
-	// Second pass: fill in fallbacks with indices
-	var counter = 0;
-	for (var i = 0; i < labels.length; i++) {
-		if (labels[i] === null) {
-			var fallbackLabel;
-			do {
-				fallbackLabel = 'q' + counter;
-				counter++;
-			} while (usedLabels.has(fallbackLabel));
-			
-			labels[i] = fallbackLabel;
-			usedLabels.add(fallbackLabel);
-		}
-	}
-	
-	return labels;
-}
+    var alphabet = unionAlphabet(automatonA.alphabet, automatonB.alphabet);
+    var startA = automatonClosure(automatonA, [automatonA.start]).sort(function(a, b) { return a - b; });
+    var startB = automatonClosure(automatonB, [automatonB.start]).sort(function(a, b) { return a - b; });
+
+    var visited = {};
+    var queue = [{ setA: startA, setB: startB, word: [] }];
+    visited[startA.join(',') + '|' + startB.join(',')] = true;
+    var explored = 0;
+
+    while (queue.length > 0) {
+        var pair = queue.shift();
+        var acceptsA = setAccepts(automatonA, pair.setA);
+        var acceptsB = setAccepts(automatonB, pair.setB);
+
+        if (acceptsA !== acceptsB) {
+            return {
+                success: true,
+                equivalent: false,
+                counterexample: pair.word.join(''),
+                acceptedByFirst: acceptsA,
+                alphabet: alphabet
+            };
+        }
 
-// Escape LaTeX special characters
-function escapeLaTeX(text) {
-	if (!text) return '';
-	return text
-		.replace(/\\/g, '\\textbackslash{}')
-		.replace(/&/g, '\\&')
-		.replace(/%/g, '\\%')
-		.replace(/\$/g, '\\$')
-		.replace(/#/g, '\\#')
-		.replace(/_/g, '\\_')
-		.replace(/{/g, '\\{')
-		.replace(/}/g, '\\}')
-		.replace(/~/g, '\\textasciitilde{}')
-		.replace(/\^/g, '\\textasciicircum{}');
+        explored++;
+        if (explored > maxEquivalencePairs) {
+            return { success: false, error: 'The machines are too large to compare (more than ' + maxEquivalencePairs + ' product states).' };
+        }
+
+        for (var a = 0; a < alphabet.length; a++) {
+            var nextA = moveOnSymbol(automatonA, pair.setA, alphabet[a]);
+            var nextB = moveOnSymbol(automatonB, pair.setB, alphabet[a]);
+            var key = nextA.join(',') + '|' + nextB.join(',');
+            if (!visited[key]) {
+                visited[key] = true;
+                queue.push({ setA: nextA, setB: nextB, word: pair.word.concat([alphabet[a]]) });
+            }
+        }
+    }
+
+    return {
+        success: true,
+        equivalent: true,
+        alphabet: alphabet
+    };
 }
 
-// Generate adjacency matrix data structure with edge counts
-function buildAdjacencyMatrix(labels) {
-	var n = nodes.length;
-	var matrix = [];
-	
-	// Initialize matrix with zeros
-	for (var i = 0; i < n; i++) {
-		matrix[i] = [];
-		for (var j = 0; j < n; j++) {
-			matrix[i][j] = 0;
-		}
-	}
-	
-	// Populate matrix from links - count edges
-	for (var i = 0; i < links.length; i++) {
-		var link = links[i];
-		
-		if (link instanceof Link) {
-			var nodeAIndex = nodes.indexOf(link.nodeA);
-			var nodeBIndex = nodes.indexOf(link.nodeB);
-			
-			if (nodeAIndex >= 0 && nodeBIndex >= 0) {
-				// For directed: A->B means row A, column B
-				matrix[nodeAIndex][nodeBIndex]++;
-				
-				// For undirected graphs, add reverse direction
-				if (!directed) {
-					matrix[nodeBIndex][nodeAIndex]++;
-				}
-			}
-		} else if (link instanceof SelfLink) {
-			var nodeIndex = nodes.indexOf(link.node);
-			
-			if (nodeIndex >= 0) {
-				matrix[nodeIndex][nodeIndex]++;
-			}
-		}
-		// StartLink is ignored - it's not an edge between nodes
-	}
-	
-	return matrix;
+// Read the second machine from the pasted TikZ or the saved reference slot
+function readSecondMachine(useReference) {
+    var machine;
+    if (useReference) {
+        machine = loadReferenceMachine();
+        if (!machine) {
+            return { success: false, error: 'No reference machine saved yet. Use "Save Canvas as Reference" first.' };
+        }
+    } else {
+        var latexCode = document.getElementById('compareInput').value.trim();
+        if (!latexCode) {
+            return { success: false, error: 'Please paste the TikZ code of the second machine.' };
+        }
+        try {
+            machine = importFromLaTeX(latexCode);
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+
+    if (machine.nodes.length === 0) {
+        return { success: false, error: 'The second machine has no states.' };
+    }
+    var automaton = automatonFromCanvas(machine.nodes, machine.links);
+    if (automaton.start === -1) {
+        return { success: false, error: 'The second machine has no start state.' };
+    }
+    return { success: true, automaton: automaton };
 }
 
-// Generate adjacency list data structure
-function buildAdjacencyList(labels) {
-	var adjacency = {};
-	
-	// Initialize adjacency list for all nodes
-	for (var i = 0; i < labels.length; i++) {
-		adjacency[labels[i]] = [];
-	}
-	
-	// Populate adjacency list from links
-	for (var i = 0; i < links.length; i++) {
-		var link = links[i];
-		
-		if (link instanceof Link) {
-			var nodeAIndex = nodes.indexOf(link.nodeA);
-			var nodeBIndex = nodes.indexOf(link.nodeB);
-			
-			if (nodeAIndex >= 0 && nodeBIndex >= 0) {
-				adjacency[labels[nodeAIndex]].push({
-					node: labels[nodeBIndex]
-				});
-				
-				// For undirected graphs, add reverse direction
-				if (!directed) {
-					adjacency[labels[nodeBIndex]].push({
-						node: labels[nodeAIndex]
-					});
-				}
-			}
-		} else if (link instanceof SelfLink) {
-			var nodeIndex = nodes.indexOf(link.node);
-			
-			if (nodeIndex >= 0) {
-				adjacency[labels[nodeIndex]].push({
-					node: labels[nodeIndex]
-				});
-			}
-		}
-	}
-	
-	return adjacency;
+// UI functions for the compare modal
+var lastCounterexample = null;
+
+function showCompareModal() {
+    document.getElementById('compareModal').style.display = 'block';
+    document.getElementById('compareModalOverlay').style.display = 'block';
+    hideCompareMessage();
+    document.getElementById('compareInput').focus();
 }
 
-// Generate LaTeX for adjacency matrix (just the tabular, no document wrapper)
-function generateAdjacencyMatrix() {
-	if (nodes.length === 0) {
-		return '% No nodes in the graph to export.';
-	}
-	
-	var labels = generateNodeLabels();
-	var matrix = buildAdjacencyMatrix(labels);
-	var n = nodes.length;
-	
-	var latex = '\\begin{center}\n';
-	latex += '\\begin{tabular}{c|' + 'c'.repeat(n) + '}\n';
-	
-	// Header row
-	latex += '  ';
-	for (var j = 0; j < n; j++) {
-		latex += ' & $' + escapeLaTeX(labels[j]) + '$';
-	}
-	latex += ' \\\\\n';
-	latex += '\\hline\n';
-	
-	// Data rows
-	for (var i = 0; i < n; i++) {
-		latex += '$' + escapeLaTeX(labels[i]) + '$';
-		for (var j = 0; j < n; j++) {
-			latex += ' & $' + matrix[i][j] + '$';
-		}
-		latex += ' \\\\\n';
-	}
-	
-	latex += '\\end{tabular}\n';
-	latex += '\\end{center}\n';
-	
-	return latex;
+function hideCompareModal() {
+    document.getElementById('compareModal').style.display = 'none';
+    document.getElementById('compareModalOverlay').style.display = 'none';
 }
 
-// Generate LaTeX for adjacency list (just the itemize, no document wrapper)
-function generateAdjacencyList() {
-	if (nodes.length === 0) {
-		return '% No nodes in the graph to export.';
-	}
-	
-	var labels = generateNodeLabels();
-	var adjacency = buildAdjacencyList(labels);
-	
-	var latex = '\\begin{itemize}\n';
-	
-	// Generate list entries
-	for (var i = 0; i < labels.length; i++) {
-		var label = labels[i];
-		var connections = adjacency[label];
-		
-		latex += '    \\item $' + escapeLaTeX(label) + '$: [';
-		
-		if (connections.length === 0) {
-			latex += ']';
-		} else {
-			var parts = [];
-			for (var j = 0; j < connections.length; j++) {
-				var conn = connections[j];
-				parts.push('$' + escapeLaTeX(conn.node) + '$');
-			}
-			latex += parts.join(', ') + ']';
-		}
-		
-		latex += '\n';
-	}
-	
-	latex += '\\end{itemize}\n';
-	
-	return latex;
+function showCompareMessage(text, isError) {
+    var message = document.getElementById('compareResult');
+    message.textContent = text;
+    message.className = isError ? 'compare-error' : 'compare-info';
+    message.style.display = 'block';
 }
-// draw using this instead of a canvas and call toLaTeX() afterward
-function ExportAsLaTeX() {
-	this._points = [];
-	this._texData = '';
-	this._scale = 0.1; // to convert pixels to document space (TikZ breaks if the numbers get too big, above 500?)
 
-	this.toLaTeX = function() {
-		return '\\documentclass[12pt]{article}\n' +
-			'\\usepackage{tikz}\n' +
-			'\n' +
-			'\\begin{document}\n' +
-			'\n' +
-			'\\begin{center}\n' +
-			'\\begin{tikzpicture}[scale=0.2]\n' +
-			'\\tikzstyle{every node}+=[inner sep=0pt]\n' +
-			this._texData +
-			'\\end{tikzpicture}\n' +
-			'\\end{center}\n' +
-			'\n' +
-			'\\end{document}\n';
-	};
+function hideCompareMessage() {
+    document.getElementById('compareResult').style.display = 'none';
+    document.getElementById('compareSimulateButton').style.display = 'none';
+    lastCounterexample = null;
+}
 
-	this.beginPath = function() {
-		this._points = [];
-	};
-	this.arc = function(x, y, radius, startAngle, endAngle, isReversed) {
-		x *= this._scale;
-		y *= this._scale;
-		radius *= this._scale;
-		if(endAngle - startAngle == Math.PI * 2) {
-			this._texData += '\\draw [' + this.strokeStyle + '] (' + fixed(x, 3) + ',' + fixed(-y, 3) + ') circle (' + fixed(radius, 3) + ');\n';
-		} else {
-			if(isReversed) {
-				var temp = startAngle;
-				startAngle = endAngle;
-				endAngle = temp;
-			}
-			if(endAngle < startAngle) {
-				endAngle += Math.PI * 2;
-			}
-			// TikZ needs the angles to be in between -2pi and 2pi or it breaks
-			if(Math.min(startAngle, endAngle) < -2*Math.PI) {
-				startAngle += 2*Math.PI;
-				endAngle += 2*Math.PI;
-			} else if(Math.max(startAngle, endAngle) > 2*Math.PI) {
-				startAngle -= 2*Math.PI;
-				endAngle -= 2*Math.PI;
-			}
-			startAngle = -startAngle;
-			endAngle = -endAngle;
-			this._texData += '\\draw [' + this.strokeStyle + '] (' + fixed(x + radius * Math.cos(startAngle), 3) + ',' + fixed(-y + radius * Math.sin(startAngle), 3) + ') arc (' + fixed(startAngle * 180 / Math.PI, 5) + ':' + fixed(endAngle * 180 / Math.PI, 5) + ':' + fixed(radius, 3) + ');\n';
-		}
-	};
-	this.moveTo = this.lineTo = function(x, y) {
-		x *= this._scale;
-		y *= this._scale;
-		this._points.push({ 'x': x, 'y': y });
-	};
-	this.stroke = function() {
-		if(this._points.length == 0) return;
-		this._texData += '\\draw [' + this.strokeStyle + ']';
-		for(var i = 0; i < this._points.length; i++) {
-			var p = this._points[i];
-			this._texData += (i > 0 ? ' --' : '') + ' (' + fixed(p.x, 2) + ',' + fixed(-p.y, 2) + ')';
-		}
-		this._texData += ';\n';
-	};
-	this.fill = function() {
-		if(this._points.length == 0) return;
-		if (directed){
-		this._texData += '\\fill [' + this.strokeStyle + ']';
-		for(var i = 0; i < this._points.length; i++) {
-			var p = this._points[i];
-			this._texData += (i > 0 ? ' --' : '') + ' (' + fixed(p.x, 2) + ',' + fixed(-p.y, 2) + ')';
-		}
+function saveCanvasAsReference() {
+    if (nodes.length === 0) {
+        showCompareMessage('The canvas is empty - nothing to save.', true);
+        return;
+    }
+    if (saveReferenceMachine()) {
+        showCompareMessage('Saved the canvas as the reference machine (' + nodes.length + ' states).', false);
+    }
+}
 
-		this._texData += ';\n';
-		}
-	};
-	this.measureText = function(text) {
-		var c = canvas.getContext('2d');
-		c.font = '20px "Times New Romain", serif';
-		return c.measureText(text);
-	};
-	this.advancedFillText = function(text, originalText, x, y, angleOrNull) {
-		if(text.replace(' ', '').length > 0) {
-			var nodeParams = '';
-			// x and y start off as the center of the text, but will be moved to one side of the box when angleOrNull != null
-			if(angleOrNull != null) {
-				var width = this.measureText(text).width;
-				var dx = Math.cos(angleOrNull);
-				var dy = Math.sin(angleOrNull);
-				if(Math.abs(dx) > Math.abs(dy)) {
-					if(dx > 0) nodeParams = '[right] ', x -= width / 2;
-					else nodeParams = '[left] ', x += width / 2;
-				} else {
-					if(dy > 0) nodeParams = '[below] ', y -= 10;
-					else nodeParams = '[above] ', y += 10;
-				}
-			}
-			x *= this._scale;
-			y *= this._scale;
-			this._texData += '\\draw (' + fixed(x, 2) + ',' + fixed(-y, 2) + ') node ' + nodeParams + '{$' + originalText.replace(/ /g, '\\mbox{ }') + '$};\n';
-		}
-	};
+// Called from the compare modal buttons
+function compareMachines(useReference) {
+    hideCompareMessage();
 
-	this.translate = this.save = this.restore = this.clearRect = function(){};
+    if (nodes.length === 0) {
+        showCompareMessage('The canvas is empty - draw or import a machine first.', true);
+        return;
+    }
+    var canvasAutomaton = automatonFromCanvas(nodes, links);
+    if (canvasAutomaton.start === -1) {
+        showCompareMessage('The canvas machine has no start state.', true);
+        return;
+    }
+
+    var second = readSecondMachine(useReference);
+    if (!second.success) {
+        showCompareMessage('Error: ' + second.error, true);
+        return;
+    }
+
+    var result = checkEquivalence(canvasAutomaton, second.automaton);
+    if (!result.success) {
+        showCompareMessage('Error: ' + result.error, true);
+        return;
+    }
+
+    if (result.equivalent) {
+        showCompareMessage('✓ Equivalent: both machines accept the same language over {' + result.alphabet.join(', ') + '}.', false);
+        return;
+    }
+
+    var shown = result.counterexample === '' ? 'ε (the empty string)' : "'" + result.counterexample + "'";
+    var other = useReference ? 'reference' : 'pasted';
+    var text = '✗ Not equivalent: ' + shown + ' is ' +
+        (result.acceptedByFirst ? 'accepted by the canvas machine and rejected by the ' + other + ' machine.'
+                                : 'rejected by the canvas machine and accepted by the ' + other + ' machine.');
+    showCompareMessage(text, false);
+
+    lastCounterexample = result.counterexample;
+    document.getElementById('compareSimulateButton').style.display = 'inline-block';
 }
 
-// draw using this instead of a canvas and call toSVG() afterward
-function ExportAsSVG() {
-	this.fillStyle = 'black';
-	this.strokeStyle = 'black';
-	this.lineWidth = 1;
-	this.font = '12px Arial, sans-serif';
-	this._points = [];
-	this._svgData = '';
-	this._transX = 0;
-	this._transY = 0;
+// Load the counterexample into the simulation panel
+function simulateCounterexample() {
+    if (lastCounterexample === null) {
+        return;
+    }
+    var counterexample = lastCounterexample;
+    hideCompareModal();
 
-	this.toSVG = function() {
-		return '<?xml version="1.0" standalone="no"?>\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">\n\n<svg width="800" height="600" version="1.1" xmlns="http://www.w3.org/2000/svg">\n' + this._svgData + '</svg>\n';
-	};
+    if (!simulationActive) {
+        enterSimulationMode();
+    } else {
+        handleResetSimulation();
+    }
+    var inputField = document.getElementById('simInput');
+    if (inputField) {
+        inputField.value = counterexample;
+    }
+    handleStartSimulation();
+}
 
-	this.beginPath = function() {
-		this._points = [];
-	};
-	this.arc = function(x, y, radius, startAngle, endAngle, isReversed) {
-		x += this._transX;
-		y += this._transY;
-		var style = 'stroke="' + this.strokeStyle + '" stroke-width="' + this.lineWidth + '" fill="none"';
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        unionAlphabet: unionAlphabet,
+        checkEquivalence: checkEquivalence
+    };
+}
 
-		if(endAngle - startAngle == Math.PI * 2) {
-			this._svgData += '\t<ellipse ' + style + ' cx="' + fixed(x, 3) + '" cy="' + fixed(y, 3) + '" rx="' + fixed(radius, 3) + '" ry="' + fixed(radius, 3) + '"/>\n';
-		} else {
-			if(isReversed) {
-				var temp = startAngle;
-				startAngle = endAngle;
-				endAngle = temp;
-			}
+// Euler and Hamiltonian Paths for FSM Designer
+// Hierholzer's algorithm for Euler paths/circuits and a backtracking search for Hamiltonian paths/cycles
+//
+// An Euler path uses every edge exactly once (nodes may repeat), a Hamiltonian path visits every node
+// exactly once. Both follow the directed toggle and visit neighbours in label order (see
+// buildNeighbourLists in traversal.js), so the same drawing always gives the same answer.
+
+// The Hamiltonian search tries every ordering of the nodes in the worst case, so it is limited to
+// small graphs and gives up after this many extension steps
+var maxHamiltonianNodes = 20;
+var maxHamiltonianSteps = 200000;
+
+// The node with the smallest label among the candidates, or -1 if there are none
+function firstByLabel(candidates, labels) {
+    var best = -1;
+    for (var k = 0; k < candidates.length; k++) {
+        if (best === -1 || compareLabels(labels[candidates[k]], labels[best]) < 0) {
+            best = candidates[k];
+        }
+    }
+    return best;
+}
 
-			if(endAngle < startAngle) {
-				endAngle += Math.PI * 2;
-			}
+// Degrees of every node: { degree } for undirected graphs (a self-loop counts twice),
+// { inDegree, outDegree } for directed ones
+function eulerDegrees(nodeArray, linkArray, isDirected) {
+    var degrees = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        degrees.push(isDirected ? { inDegree: 0, outDegree: 0 } : { degree: 0 });
+    }
 
-			var startX = x + radius * Math.cos(startAngle);
-			var startY = y + radius * Math.sin(startAngle);
-			var endX = x + radius * Math.cos(endAngle);
-			var endY = y + radius * Math.sin(endAngle);
-			var useGreaterThan180 = (Math.abs(endAngle - startAngle) > Math.PI);
-			var goInPositiveDirection = 1;
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        var from, to;
+        if (link instanceof Link) {
+            from = nodeArray.indexOf(link.nodeA);
+            to = nodeArray.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            from = to = nodeArray.indexOf(link.node);
+        } else {
+            continue; // StartLinks are not edges
+        }
+        if (isDirected) {
+            degrees[from].outDegree++;
+            degrees[to].inDegree++;
+        } else {
+            degrees[from].degree++;
+            degrees[to].degree++;
+        }
+    }
+    return degrees;
+}
 
-			this._svgData += '\t<path ' + style + ' d="';
-			this._svgData += 'M ' + fixed(startX, 3) + ',' + fixed(startY, 3) + ' '; // startPoint(startX, startY)
-			this._svgData += 'A ' + fixed(radius, 3) + ',' + fixed(radius, 3) + ' '; // radii(radius, radius)
-			this._svgData += '0 '; // value of 0 means perfect circle, others mean ellipse
-			this._svgData += +useGreaterThan180 + ' ';
-			this._svgData += +goInPositiveDirection + ' ';
-			this._svgData += fixed(endX, 3) + ',' + fixed(endY, 3); // endPoint(endX, endY)
-			this._svgData += '"/>\n';
-		}
-	};
-	this.moveTo = this.lineTo = function(x, y) {
-		x += this._transX;
-		y += this._transY;
-		this._points.push({ 'x': x, 'y': y });
-	};
-	this.stroke = function() {
-		if(this._points.length == 0) return;
-		this._svgData += '\t<polygon stroke="' + this.strokeStyle + '" stroke-width="' + this.lineWidth + '" points="';
-		for(var i = 0; i < this._points.length; i++) {
-			this._svgData += (i > 0 ? ' ' : '') + fixed(this._points[i].x, 3) + ',' + fixed(this._points[i].y, 3);
-		}
-		this._svgData += '"/>\n';
-	};
-	this.fill = function() {
-		if(this._points.length == 0) return;
-		this._svgData += '\t<polygon fill="' + this.fillStyle + '" stroke-width="' + this.lineWidth + '" points="';
-		for(var i = 0; i < this._points.length; i++) {
-			this._svgData += (i > 0 ? ' ' : '') + fixed(this._points[i].x, 3) + ',' + fixed(this._points[i].y, 3);
-		}
-		this._svgData += '"/>\n';
-	};
-	this.measureText = function(text) {
-		var c = canvas.getContext('2d');
-		c.font = '20px "Times New Romain", serif';
-		return c.measureText(text);
-	};
-	this.fillText = function(text, x, y) {
-		x += this._transX;
-		y += this._transY;
-		if(text.replace(' ', '').length > 0) {
-			this._svgData += '\t<text x="' + fixed(x, 3) + '" y="' + fixed(y, 3) + '" font-family="Times New Roman" font-size="20">' + textToXML(text) + '</text>\n';
-		}
-	};
-	this.translate = function(x, y) {
-		this._transX = x;
-		this._transY = y;
-	};
+// Check the degree condition for an Euler path.
+// Returns { circuit, starts, reason } where starts are the nodes the walk may start at and reason explains
+// why there is only a path, or { error } explaining which condition fails.
+function checkEulerDegrees(degrees, labels, isDirected) {
+    var withEdges = [];
+    for (var i = 0; i < degrees.length; i++) {
+        if (isDirected ? degrees[i].inDegree + degrees[i].outDegree > 0 : degrees[i].degree > 0) {
+            withEdges.push(i);
+        }
+    }
+    if (withEdges.length === 0) {
+        return { error: 'The graph has no edges.' };
+    }
 
-	this.save = this.restore = this.clearRect = function(){};
+    if (!isDirected) {
+        var odd = withEdges.filter(function(i) { return degrees[i].degree % 2 === 1; });
+        if (odd.length === 0) {
+            return { circuit: true, starts: withEdges, reason: null };
+        }
+        if (odd.length === 2) {
+            return {
+                circuit: false,
+                starts: odd,
+                reason: labels[odd[0]] + ' and ' + labels[odd[1]] + ' have odd degree, so an Euler path must start at one of them and end at the other'
+            };
+        }
+        return {
+            error: odd.length + ' nodes have odd degree (' + odd.map(function(i) {
+                return labels[i] + ': ' + degrees[i].degree;
+            }).join(', ') + ').\n\nAn Euler circuit needs every degree to be even, and an Euler path needs exactly 0 or 2 nodes of odd degree.'
+        };
+    }
+
+    var starts = [];
+    var ends = [];
+    var unbalanced = [];
+    for (var k = 0; k < withEdges.length; k++) {
+        var i = withEdges[k];
+        var difference = degrees[i].outDegree - degrees[i].inDegree;
+        if (difference === 1) {
+            starts.push(i);
+        } else if (difference === -1) {
+            ends.push(i);
+        }
+        if (difference !== 0) {
+            unbalanced.push(i);
+        }
+    }
+    if (unbalanced.length === 0) {
+        return { circuit: true, starts: withEdges, reason: null };
+    }
+    if (starts.length === 1 && ends.length === 1 && unbalanced.length === 2) {
+        return {
+            circuit: false,
+            starts: starts,
+            reason: labels[starts[0]] + ' has one more outgoing than incoming edge and ' + labels[ends[0]] +
+                ' one more incoming than outgoing, so an Euler path must start at ' + labels[starts[0]] + ' and end at ' + labels[ends[0]]
+        };
+    }
+    return {
+        error: unbalanced.length + ' node(s) have different in- and out-degrees (' + unbalanced.map(function(i) {
+            return labels[i] + ': in ' + degrees[i].inDegree + ', out ' + degrees[i].outDegree;
+        }).join('; ') + ').\n\nAn Euler circuit needs in-degree = out-degree at every node, and an Euler path allows only one node ' +
+            'with one extra outgoing edge (the start) and one with one extra incoming edge (the end).'
+    };
 }
 
-// Import LaTeX (TikZ) and convert to FSM objects
-// This parser supports the format exported by this tool's ExportAsLaTeX function
+// Hierholzer's algorithm. Walks from start until it gets stuck, then backs up to the last node with
+// unused edges and splices in a detour from there.
+// Returns { success, circuit, nodes, links, reason } where links[k] leads from nodes[k] to nodes[k + 1],
+// or { success: false, error }. preferredStart (-1 for none) is used if the walk may start there.
+function findEulerPath(nodeArray, linkArray, labels, isDirected, preferredStart) {
+    var check = checkEulerDegrees(eulerDegrees(nodeArray, linkArray, isDirected), labels, isDirected);
+    if (check.error) {
+        return { success: false, error: check.error };
+    }
 
-function ImportFromLaTeX() {
-	this._scale = 10; // inverse of export scale (0.1)
-	
-	// Parsed elements
-	this._circles = [];      // {x, y, radius}
-	this._texts = [];        // {x, y, text, position}
-	this._lines = [];        // {points: [{x,y}...]}
-	this._arcs = [];         // {startX, startY, startAngle, endAngle, radius, centerX, centerY}
-	this._fills = [];        // {points: [{x,y}...]}
+    var start = check.starts.indexOf(preferredStart) !== -1 ? preferredStart : firstByLabel(check.starts, labels);
+    var neighbours = buildNeighbourLists(nodeArray, linkArray, labels, isDirected);
+    var next = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        next.push(0);
+    }
+
+    var used = [];
+    var stack = [{ node: start, link: null }];
+    var walk = [];
+    while (stack.length > 0) {
+        var top = stack[stack.length - 1];
+        var list = neighbours[top.node];
+        while (next[top.node] < list.length && used.indexOf(list[next[top.node]].link) !== -1) {
+            next[top.node]++;
+        }
+        if (next[top.node] < list.length) {
+            var edge = list[next[top.node]];
+            used.push(edge.link);
+            stack.push({ node: edge.to, link: edge.link });
+        } else {
+            walk.push(stack.pop());
+        }
+    }
+    walk.reverse();
+
+    var edgeCount = linkArray.filter(function(link) {
+        return link instanceof Link || link instanceof SelfLink;
+    }).length;
+    if (used.length < edgeCount) {
+        return {
+            success: false,
+            error: 'The degrees are fine, but the edges are not connected: a walk from ' + labels[start] + ' can only reach ' +
+                used.length + ' of the ' + edgeCount + ' edges.'
+        };
+    }
+
+    return {
+        success: true,
+        circuit: check.circuit,
+        nodes: walk.map(function(step) { return step.node; }),
+        links: walk.slice(1).map(function(step) { return step.link; }),
+        reason: check.reason
+    };
 }
 
-// Main entry point - parse LaTeX string
-ImportFromLaTeX.prototype.parse = function(latexString) {
-	// Reset parsed elements
-	this._circles = [];
-	this._texts = [];
-	this._lines = [];
-	this._arcs = [];
-	this._fills = [];
-	
-	// Extract content between \begin{tikzpicture} and \end{tikzpicture}
-	// Also accept just \begin{tikzpicture} without the \begin{center} wrapper
-	var tikzMatch = latexString.match(/\\begin\{tikzpicture\}[\s\S]*?\\end\{tikzpicture\}/);
-	if (!tikzMatch) {
-		throw new Error('No tikzpicture environment found. Please paste valid TikZ LaTeX code.');
-	}
-	
-	var tikzContent = tikzMatch[0];
-	
-	// Split into lines and parse each command
-	var lines = tikzContent.split('\n');
-	for (var i = 0; i < lines.length; i++) {
-		var line = lines[i].trim();
-		if (line.startsWith('\\draw')) {
-			this._parseDrawCommand(line);
-		} else if (line.startsWith('\\fill')) {
-			this._parseFillCommand(line);
-		}
-	}
-	
-	return this;
-};
+// Backtracking search for a Hamiltonian path (or cycle, if cycle is set).
+// Returns { success, found, nodes, links } where links[k] leads from nodes[k] to nodes[k + 1] (a cycle
+// has one more link, back to the first node), or { success: false, error } when the graph is too big or
+// the search gives up. A start of -1 tries every node.
+function findHamiltonianPath(nodeArray, linkArray, labels, isDirected, cycle, start) {
+    var n = nodeArray.length;
+    if (n > maxHamiltonianNodes) {
+        return {
+            success: false,
+            error: 'The graph has ' + n + ' nodes. The Hamiltonian search tries every ordering of the nodes, so it is limited to ' +
+                maxHamiltonianNodes + ' nodes.'
+        };
+    }
 
-// Parse a \draw command
-ImportFromLaTeX.prototype._parseDrawCommand = function(line) {
-	// Check for circle
-	var circleMatch = line.match(/\\draw\s*\[.*?\]\s*\(([^,]+),([^)]+)\)\s*circle\s*\(([^)]+)\)/);
-	if (circleMatch) {
-		this._circles.push({
-			x: parseFloat(circleMatch[1]),
-			y: parseFloat(circleMatch[2]),
-			radius: parseFloat(circleMatch[3])
-		});
-		return;
-	}
-	
-	// Check for text node
-	var nodeMatch = line.match(/\\draw\s*\(([^,]+),([^)]+)\)\s*node\s*(\[(.*?)\])?\s*\{\$(.+?)\$\}/);
-	if (nodeMatch) {
-		this._texts.push({
-			x: parseFloat(nodeMatch[1]),
-			y: parseFloat(nodeMatch[2]),
-			position: nodeMatch[4] || '',
-			text: this._cleanText(nodeMatch[5])
-		});
-		return;
-	}
-	
-	// Check for arc
-	var arcMatch = line.match(/\\draw\s*\[.*?\]\s*\(([^,]+),([^)]+)\)\s*arc\s*\(([^:]+):([^:]+):([^)]+)\)/);
-	if (arcMatch) {
-		var startX = parseFloat(arcMatch[1]);
-		var startY = parseFloat(arcMatch[2]);
-		var startAngle = parseFloat(arcMatch[3]) * Math.PI / 180; // Convert to radians
-		var endAngle = parseFloat(arcMatch[4]) * Math.PI / 180;
-		var radius = parseFloat(arcMatch[5]);
-		
-		// Calculate center from start point and angle
-		var centerX = startX - radius * Math.cos(startAngle);
-		var centerY = startY - radius * Math.sin(startAngle);
-		
-		this._arcs.push({
-			startX: startX,
-			startY: startY,
-			startAngle: startAngle,
-			endAngle: endAngle,
-			radius: radius,
-			centerX: centerX,
-			centerY: centerY
-		});
-		return;
-	}
-	
-	// Check for line/path (points connected by --)
-	var lineMatch = line.match(/\\draw\s*\[.*?\]\s*((?:\([^)]+\)\s*(?:--\s*)?)+);/);
-	if (lineMatch) {
-		var pointsStr = lineMatch[1];
-		var pointMatches = pointsStr.match(/\(([^,]+),([^)]+)\)/g);
-		if (pointMatches && pointMatches.length >= 2) {
-			var points = [];
-			for (var i = 0; i < pointMatches.length; i++) {
-				var m = pointMatches[i].match(/\(([^,]+),([^)]+)\)/);
-				if (m) {
-					points.push({
-						x: parseFloat(m[1]),
-						y: parseFloat(m[2])
-					});
-				}
-			}
-			if (points.length >= 2) {
-				this._lines.push({ points: points });
-			}
-		}
-	}
-};
+    var neighbours = buildNeighbourLists(nodeArray, linkArray, labels, isDirected);
+    var visited = [];
+    for (var i = 0; i < n; i++) {
+        visited.push(false);
+    }
+    var pathNodes = [];
+    var pathLinks = [];
+    var steps = 0;
+
+    // The link that closes the cycle from the last node back to the first, if there is one
+    function closingLink() {
+        var last = pathNodes[pathNodes.length - 1];
+        var arrivedBy = pathLinks[pathLinks.length - 1];
+        for (var k = 0; k < neighbours[last].length; k++) {
+            var edge = neighbours[last][k];
+            if (edge.to === pathNodes[0] && edge.link !== arrivedBy) {
+                return edge.link;
+            }
+        }
+        return null;
+    }
 
-// Parse a \fill command (arrow heads)
-ImportFromLaTeX.prototype._parseFillCommand = function(line) {
-	var fillMatch = line.match(/\\fill\s*\[.*?\]\s*((?:\([^)]+\)\s*(?:--\s*)?)+);/);
-	if (fillMatch) {
-		var pointsStr = fillMatch[1];
-		var pointMatches = pointsStr.match(/\(([^,]+),([^)]+)\)/g);
-		if (pointMatches) {
-			var points = [];
-			for (var i = 0; i < pointMatches.length; i++) {
-				var m = pointMatches[i].match(/\(([^,]+),([^)]+)\)/);
-				if (m) {
-					points.push({
-						x: parseFloat(m[1]),
-						y: parseFloat(m[2])
-					});
-				}
-			}
-			if (points.length >= 3) {
-				this._fills.push({ points: points });
-			}
-		}
-	}
-};
+    function extend(current) {
+        if (++steps > maxHamiltonianSteps) {
+            return false;
+        }
+        if (pathNodes.length === n) {
+            if (!cycle) {
+                return true;
+            }
+            var link = closingLink();
+            if (link) {
+                pathLinks.push(link);
+                pathNodes.push(pathNodes[0]);
+                return true;
+            }
+            return false;
+        }
 
-// Clean text from LaTeX formatting
-ImportFromLaTeX.prototype._cleanText = function(text) {
-	// Replace \mbox{ } with regular spaces
-	text = text.replace(/\\mbox\{\s*\}/g, ' ');
-	// Remove any remaining LaTeX commands
-	text = text.replace(/\\/g, '\\'); // Keep backslashes for greek letters
-	return text;
-};
+        for (var k = 0; k < neighbours[current].length; k++) {
+            var edge = neighbours[current][k];
+            if (visited[edge.to]) {
+                continue;
+            }
+            visited[edge.to] = true;
+            pathNodes.push(edge.to);
+            pathLinks.push(edge.link);
+            if (extend(edge.to)) {
+                return true;
+            }
+            visited[edge.to] = false;
+            pathNodes.pop();
+            pathLinks.pop();
+        }
+        return false;
+    }
 
-// Transform coordinate from LaTeX to canvas space
-ImportFromLaTeX.prototype._transformCoord = function(x, y) {
-	return {
-		x: x * this._scale,
-		y: -y * this._scale  // Un-negate the y coordinate
-	};
-};
+    // A cycle passes through every node, so one start is enough
+    var starts = [];
+    if (start >= 0) {
+        starts.push(start);
+    } else {
+        for (var i = 0; i < n; i++) {
+            starts.push(i);
+        }
+        starts.sort(function(a, b) {
+            return compareLabels(labels[a], labels[b]);
+        });
+        if (cycle) {
+            starts = starts.slice(0, 1);
+        }
+    }
 
-// Reconstruct FSM from parsed elements
-ImportFromLaTeX.prototype.reconstructFSM = function() {
-	var result = {
-		nodes: [],
-		links: []
-	};
-	
-	var nodeRadius = 30; // Default node radius
-	var expectedRadius = nodeRadius * 0.1; // 3.0 in LaTeX units
-	var acceptRadius = (nodeRadius - 6) * 0.1; // 2.4 in LaTeX units
-	var selfLoopRadius = 0.75 * nodeRadius * 0.1; // 2.25 in LaTeX units
-	
-	// Step 1: Identify nodes from circles
-	var nodePositions = []; // Track node positions for later matching
-	
-	for (var i = 0; i < this._circles.length; i++) {
-		var circle = this._circles[i];
-		
-		// Check if this is a node circle (radius ~= 3.0)
-		if (Math.abs(circle.radius - expectedRadius) < 0.5) {
-			var pos = this._transformCoord(circle.x, circle.y);
-			
-			// Check if we already have a node at this position
-			var existingNode = this._findNodeAtPosition(nodePositions, pos.x, pos.y);
-			if (!existingNode) {
-				var node = new Node(pos.x, pos.y);
-				node.isAcceptState = false;
-				node.text = '';
-				result.nodes.push(node);
-				nodePositions.push({ node: node, x: pos.x, y: pos.y });
-			}
-		}
-		// Check if this is an accept state inner circle (radius ~= 2.4)
-		else if (Math.abs(circle.radius - acceptRadius) < 0.5) {
-			var pos = this._transformCoord(circle.x, circle.y);
-			var existingNode = this._findNodeAtPosition(nodePositions, pos.x, pos.y);
-			if (existingNode) {
-				existingNode.node.isAcceptState = true;
-			}
-		}
-	}
-	
-	// Step 2: Assign text labels to nodes
-	for (var i = 0; i < this._texts.length; i++) {
-		var text = this._texts[i];
-		var pos = this._transformCoord(text.x, text.y);
-		
-		// Find nearest node
-		var nearestNode = this._findNearestNode(nodePositions, pos.x, pos.y, nodeRadius * 1.5);
-		if (nearestNode && !text.position) {
-			// Text without position modifier is likely a node label
-			nearestNode.node.text = text.text;
-			text._assigned = true;
-		}
-	}
-	
-	// Step 3: Identify self-loops from arcs
-	for (var i = 0; i < this._arcs.length; i++) {
-		var arc = this._arcs[i];
-		
-		// Self-loops have small radius (~2.25)
-		if (Math.abs(arc.radius - selfLoopRadius) < 0.5) {
-			var centerPos = this._transformCoord(arc.centerX, arc.centerY);
-			
-			// Find the node this self-loop belongs to
-			// Self-loop center is at node.x + 1.5 * nodeRadius * cos(anchorAngle)
-			for (var j = 0; j < nodePositions.length; j++) {
-				var np = nodePositions[j];
-				var dx = centerPos.x - np.x;
-				var dy = centerPos.y - np.y;
-				var dist = Math.sqrt(dx * dx + dy * dy);
-				
-				// Distance should be ~1.5 * nodeRadius = 45
-				if (Math.abs(dist - 1.5 * nodeRadius) < 20) {
-					var selfLink = new SelfLink(np.node, null);
-					// Calculate anchor angle from center position relative to node
-					selfLink.anchorAngle = Math.atan2(dy, dx);
-					selfLink.text = '';
-					result.links.push(selfLink);
-					arc._assigned = true;
-					arc._linkIndex = result.links.length - 1;
-					break;
-				}
-			}
-		}
-	}
-	
-	// Step 4: Identify regular links from lines
-	for (var i = 0; i < this._lines.length; i++) {
-		var line = this._lines[i];
-		if (line.points.length === 2) {
-			var start = this._transformCoord(line.points[0].x, line.points[0].y);
-			var end = this._transformCoord(line.points[1].x, line.points[1].y);
-			
-			// Find nodes at start and end
-			var startNode = this._findNearestNode(nodePositions, start.x, start.y, nodeRadius + 10);
-			var endNode = this._findNearestNode(nodePositions, end.x, end.y, nodeRadius + 10);
-			
-			if (startNode && endNode && startNode !== endNode) {
-				// Regular link between two nodes
-				var link = new Link(startNode.node, endNode.node);
-				link.text = '';
-				link.lineAngleAdjust = 0;
-				link.parallelPart = 0.5;
-				link.perpendicularPart = 0;
-				result.links.push(link);
-				line._assigned = true;
-				line._linkIndex = result.links.length - 1;
-			} else if (endNode && !startNode) {
-				// Start link - line pointing to a node from outside
-				var startLink = new StartLink(endNode.node, null);
-				startLink.deltaX = start.x - endNode.x;
-				startLink.deltaY = start.y - endNode.y;
-				startLink.text = '';
-				result.links.push(startLink);
-				line._assigned = true;
-				line._linkIndex = result.links.length - 1;
-			} else if (startNode && !endNode) {
-				// Could also be a start link with reversed points
-				var startLink = new StartLink(startNode.node, null);
-				startLink.deltaX = end.x - startNode.x;
-				startLink.deltaY = end.y - startNode.y;
-				startLink.text = '';
-				result.links.push(startLink);
-				line._assigned = true;
-				line._linkIndex = result.links.length - 1;
-			}
-		}
-	}
-	
-	// Step 5: Identify curved links from remaining arcs
-	for (var i = 0; i < this._arcs.length; i++) {
-		var arc = this._arcs[i];
-		if (arc._assigned) continue;
-		
-		// Calculate end point of arc
-		var endX = arc.centerX + arc.radius * Math.cos(arc.endAngle);
-		var endY = arc.centerY + arc.radius * Math.sin(arc.endAngle);
-		
-		var startPos = this._transformCoord(arc.startX, arc.startY);
-		var endPos = this._transformCoord(endX, endY);
-		
-		var arcStartNode = this._findNearestNode(nodePositions, startPos.x, startPos.y, nodeRadius + 15);
-		var arcEndNode = this._findNearestNode(nodePositions, endPos.x, endPos.y, nodeRadius + 15);
-		
-		if (arcStartNode && arcEndNode && arcStartNode !== arcEndNode) {
-			// Find the fill (arrow) associated with this arc to determine direction
-			// The fill's first point should be at the arrow tip (arc end)
-			var nearestFill = null;
-			var nearestFillDist = Infinity;
-			
-			for (var j = 0; j < this._fills.length; j++) {
-				if (this._fills[j]._assigned) continue;
-				var fillFirstPoint = this._transformCoord(this._fills[j].points[0].x, this._fills[j].points[0].y);
-				
-				// Check distance to arc end position
-				var distToEnd = Math.sqrt(Math.pow(fillFirstPoint.x - endPos.x, 2) + Math.pow(fillFirstPoint.y - endPos.y, 2));
-				var distToStart = Math.sqrt(Math.pow(fillFirstPoint.x - startPos.x, 2) + Math.pow(fillFirstPoint.y - startPos.y, 2));
-				
-				// The fill should be closer to one end of the arc
-				if (distToEnd < 20 || distToStart < 20) {
-					var minDist = Math.min(distToEnd, distToStart);
-					if (minDist < nearestFillDist) {
+    for (var s = 0; s < starts.length; s++) {
+        visited[starts[s]] = true;
+        pathNodes = [starts[s]];
+        pathLinks = [];
+        if (extend(starts[s])) {
+            return { success: true, found: true, nodes: pathNodes, links: pathLinks };
+        }
+        visited[starts[s]] = false;
+        if (steps > maxHamiltonianSteps) {
+            return {
+                success: false,
+                error: 'The search gave up after ' + maxHamiltonianSteps + ' steps without finding a Hamiltonian ' +
+                    (cycle ? 'cycle' : 'path') + '. Try a smaller graph.'
+            };
+        }
+    }
+    return { success: true, found: false };
+}
+
+// Describe a walk as "a → b → c"
+function describeWalk(walkNodes, labels, isDirected) {
+    return walkNodes.map(function(i) { return labels[i]; }).join(isDirected ? ' → ' : ' – ');
+}
+
+// Generate the LaTeX list of a walk: one item per edge, in order, with the edge label if it has one.
+// title is a comment like "Euler circuit".
+function generateWalkLaTeX(title, walk, labels, isDirected) {
+    var latex = '% ' + title + ' from $' + escapeLaTeX(labels[walk.nodes[0]]) + '$\n';
+    latex += '\\begin{enumerate}\n';
+    for (var k = 0; k < walk.links.length; k++) {
+        var text = walk.links[k].text ? walk.links[k].text.trim() : '';
+        latex += '    \\item $' + escapeLaTeX(labels[walk.nodes[k]]) + (isDirected ? ' \\to ' : ' - ') +
+            escapeLaTeX(labels[walk.nodes[k + 1]]) + '$' + (text !== '' ? ' (edge $' + escapeLaTeX(text) + '$)' : '') + '\n';
+    }
+    latex += '\\end{enumerate}\n';
+    return latex;
+}
+
+// Record a walk as playback events, one edge at a time (see playback.js)
+function walkPlayback(walk, labels, isDirected) {
+    var arrow = isDirected ? ' → ' : ' – ';
+    var recorder = new PlaybackRecorder();
+    recorder.markState(walk.nodes[0], simColors.currentState, 'start');
+    recorder.record('Start at ' + labels[walk.nodes[0]]);
+
+    for (var k = 0; k < walk.links.length; k++) {
+        if (k > 0) {
+            recorder.markLink(walk.links[k - 1], simColors.acceptedState);
+        }
+        var from = walk.nodes[k];
+        var to = walk.nodes[k + 1];
+        recorder.markState(from, simColors.acceptedState);
+        recorder.markState(to, simColors.currentState);
+        recorder.markLink(walk.links[k], simColors.currentState);
+        var text = walk.links[k].text ? walk.links[k].text.trim() : '';
+        recorder.record('Step ' + (k + 1) + ': ' + labels[from] + arrow + labels[to] + (text !== '' ? ' along edge ' + text : ''));
+    }
+
+    if (walk.links.length > 0) {
+        recorder.markLink(walk.links[walk.links.length - 1], simColors.acceptedState);
+    }
+    recorder.markState(walk.nodes[walk.nodes.length - 1], simColors.acceptedState);
+    return recorder;
+}
+
+// Record the Euler path found by Hierholzer's algorithm as playback events
+function eulerPlayback(nodeArray, linkArray, labels, start, isDirected) {
+    var result = findEulerPath(nodeArray, linkArray, labels, isDirected, start);
+    if (!result.success) {
+        return result;
+    }
+
+    var name = result.circuit ? 'Euler circuit' : 'Euler path';
+    var recorder = walkPlayback(result, labels, isDirected);
+    var summary = name + ' with ' + result.links.length + ' edge(s)';
+    recorder.record('Done: ' + summary + ', every edge used exactly once');
+
+    return {
+        success: true,
+        title: name + ' from ' + labels[result.nodes[0]],
+        events: recorder.events,
+        summary: summary
+    };
+}
+
+// Record a Hamiltonian cycle, or a path if there is no cycle, as playback events
+function hamiltonianPlayback(nodeArray, linkArray, labels, start, isDirected) {
+    var result = findHamiltonianWalk(nodeArray, linkArray, labels, isDirected, start);
+    if (!result.success) {
+        return result;
+    }
+    if (!result.found) {
+        return { success: false, error: 'The graph has no Hamiltonian path' + (start >= 0 ? ' starting at ' + labels[start] : '') + '.' };
+    }
+
+    var name = result.cycle ? 'Hamiltonian cycle' : 'Hamiltonian path';
+    var recorder = walkPlayback(result, labels, isDirected);
+    var summary = name + ' through all ' + nodeArray.length + ' node(s)';
+    recorder.record('Done: ' + summary + ', each visited exactly once');
+
+    return {
+        success: true,
+        title: name + ' from ' + labels[result.nodes[0]],
+        events: recorder.events,
+        summary: summary,
+        keepLinks: result.links
+    };
+}
+
+// Look for a Hamiltonian cycle first, then for a path. Returns the result of findHamiltonianPath
+// with cycle set to tell which one was found, and cycleUnknown if the search for a cycle gave up.
+function findHamiltonianWalk(nodeArray, linkArray, labels, isDirected, start) {
+    var cycleResult = findHamiltonianPath(nodeArray, linkArray, labels, isDirected, true, start);
+    if (cycleResult.success && cycleResult.found) {
+        cycleResult.cycle = true;
+        return cycleResult;
+    }
+    if (nodeArray.length > maxHamiltonianNodes) {
+        return cycleResult;
+    }
+    var result = findHamiltonianPath(nodeArray, linkArray, labels, isDirected, false, start);
+    result.cycle = false;
+    result.cycleUnknown = !cycleResult.success;
+    return result;
+}
+
+// Work out the node a walk should start at: the Source field or the selected node.
+// Unlike getSourceNode there is no fallback, so { index: -1 } lets the algorithm choose.
+function getPreferredStartNode(labels) {
+    var sourceField = document.getElementById('pathSource');
+    var sourceText = sourceField ? sourceField.value.trim() : '';
+    if (sourceText !== '') {
+        var source = findNodeByLabel(labels, sourceText);
+        if (source === -1) {
+            return { error: 'There is no node named "' + sourceText + '".' };
+        }
+        return { index: source };
+    }
+    return { index: selectedObject instanceof Node ? nodes.indexOf(selectedObject) : -1 };
+}
+
+// Highlight a walk: its links in green, its first and last node marked
+function highlightWalk(walk) {
+    var first = walk.nodes[0];
+    var last = walk.nodes[walk.nodes.length - 1];
+    var states = [{ index: first, color: simColors.currentState, note: first === last ? 'start/end' : 'start' }];
+    if (first !== last) {
+        states.push({ index: last, color: simColors.acceptedState, note: 'end' });
+    }
+    showAlgorithmHighlight(states, walk.links.map(function(link) {
+        return { link: link, color: simColors.acceptedState };
+    }));
+}
+
+// Main UI handler function - called when user clicks Euler Path.
+// Starts from the node in the Source field or the selected node if the degrees allow it.
+function applyEulerPath() {
+    if (nodes.length === 0) {
+        alert('Cannot find an Euler path: No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var start = getPreferredStartNode(labels);
+    if (start.error) {
+        alert('Cannot find an Euler path: ' + start.error);
+        return;
+    }
+
+    var result = findEulerPath(nodes, links, labels, directed, start.index);
+    if (!result.success) {
+        alert('No Euler path or circuit exists' + (directed ? ' (directed)' : '') + ':\n\n' + result.error);
+        return;
+    }
+
+    var name = result.circuit ? 'Euler circuit' : 'Euler path';
+    output(generateWalkLaTeX(name, result, labels, directed));
+    highlightWalk(result);
+
+    var message = name + (directed ? ' (directed)' : '') + ' using all ' + result.links.length + ' edge(s):\n\n';
+    message += describeWalk(result.nodes, labels, directed) + '\n\n';
+    if (result.reason) {
+        message += 'There is no Euler circuit: ' + result.reason + '.\n\n';
+    }
+    if (start.index !== -1 && start.index !== result.nodes[0]) {
+        message += 'The walk cannot start at ' + labels[start.index] + ', so it starts at ' + labels[result.nodes[0]] + '.\n\n';
+    }
+    message += 'The walk is exported as a LaTeX list. Choose "Euler" next to "Animate" to follow it edge by edge; click the canvas to clear the highlight.';
+    alert(message);
+}
+
+// Main UI handler function - called when user clicks Hamiltonian Path.
+// Looks for a Hamiltonian cycle, then for a path, from the node in the Source field or the selected
+// node (any node if neither is given).
+function applyHamiltonianPath() {
+    if (nodes.length === 0) {
+        alert('Cannot find a Hamiltonian path: No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var start = getPreferredStartNode(labels);
+    if (start.error) {
+        alert('Cannot find a Hamiltonian path: ' + start.error);
+        return;
+    }
+
+    var result = findHamiltonianWalk(nodes, links, labels, directed, start.index);
+    if (!result.success) {
+        alert('Cannot find a Hamiltonian path:\n\n' + result.error);
+        return;
+    }
+    var from = start.index !== -1 ? ' starting at ' + labels[start.index] : '';
+    if (!result.found) {
+        alert('No Hamiltonian path' + from + ' exists' + (directed ? ' (directed)' : '') + ': no ordering visits all ' +
+            nodes.length + ' node(s) exactly once along the edges.');
+        return;
+    }
+
+    var name = result.cycle ? 'Hamiltonian cycle' : 'Hamiltonian path';
+    output(generateWalkLaTeX(name, result, labels, directed));
+    highlightWalk(result);
+
+    var message = name + (directed ? ' (directed)' : '') + ' through all ' + nodes.length + ' node(s):\n\n';
+    message += describeWalk(result.nodes, labels, directed) + '\n\n';
+    if (result.cycleUnknown) {
+        message += 'The search for a Hamiltonian cycle gave up after ' + maxHamiltonianSteps + ' steps, so there may be one.\n\n';
+    } else if (!result.cycle) {
+        message += 'There is no Hamiltonian cycle' + from + '.\n\n';
+    }
+    message += 'The path is exported as a LaTeX list. Choose "Hamiltonian" next to "Animate" to follow it edge by edge; click the canvas to clear the highlight.';
+    alert(message);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        eulerDegrees: eulerDegrees,
+        checkEulerDegrees: checkEulerDegrees,
+        findEulerPath: findEulerPath,
+        findHamiltonianPath: findHamiltonianPath,
+        findHamiltonianWalk: findHamiltonianWalk,
+        generateWalkLaTeX: generateWalkLaTeX
+    };
+}
+
+// All-Pairs Shortest Paths for FSM Designer
+// Floyd-Warshall on weighted graphs and Warshall's transitive closure on directed graphs
+//
+// Both algorithms keep every intermediate matrix: D(0) is the weighted adjacency matrix and D(k)
+// allows the first k nodes (in node order) as intermediate stops, so the exports can show how each
+// round changes the table, the way they are worked by hand.
+
+// Build the weighted distance matrix D(0) from the edge labels: 0 on the diagonal, ∞ where there is no
+// edge, and the lightest edge where there are several. Returns { success, matrix } or { success: false, error }.
+function buildDistanceMatrix(nodeArray, linkArray, isDirected) {
+    var weighted = buildWeightedEdges(nodeArray, linkArray, isDirected);
+    if (!weighted.success) {
+        return weighted;
+    }
+
+    var n = nodeArray.length;
+    var matrix = [];
+    for (var i = 0; i < n; i++) {
+        matrix.push([]);
+        for (var j = 0; j < n; j++) {
+            matrix[i].push(i === j ? 0 : Infinity);
+        }
+    }
+    for (var e = 0; e < weighted.edges.length; e++) {
+        var edge = weighted.edges[e];
+        matrix[edge.from][edge.to] = Math.min(matrix[edge.from][edge.to], edge.weight);
+    }
+
+    return { success: true, matrix: matrix };
+}
+
+// Copy a matrix, row by row
+function copyMatrix(matrix) {
+    return matrix.map(function(row) { return row.slice(); });
+}
+
+// Floyd-Warshall. Returns { matrices: [D(0), ..., D(n)], changed, negativeCycleNodes } where changed[k][i][j]
+// tells whether round k improved the distance from i to j (changed[0] is null) and negativeCycleNodes
+// lists the nodes on a negative cycle (their distance to themselves became negative).
+function floydWarshall(matrix) {
+    var n = matrix.length;
+    var matrices = [copyMatrix(matrix)];
+    var changed = [null];
+
+    for (var k = 0; k < n; k++) {
+        var previous = matrices[k];
+        var next = copyMatrix(previous);
+        var round = [];
+        for (var i = 0; i < n; i++) {
+            round.push([]);
+            for (var j = 0; j < n; j++) {
+                var through = previous[i][k] + previous[k][j];
+                var improved = through < previous[i][j];
+                if (improved) {
+                    next[i][j] = through;
+                }
+                round[i].push(improved);
+            }
+        }
+        matrices.push(next);
+        changed.push(round);
+    }
+
+    var last = matrices[n];
+    var negativeCycleNodes = [];
+    for (var i = 0; i < n; i++) {
+        if (last[i][i] < 0) {
+            negativeCycleNodes.push(i);
+        }
+    }
+
+    return { matrices: matrices, changed: changed, negativeCycleNodes: negativeCycleNodes };
+}
+
+// Warshall's algorithm on a 0/1 reachability matrix (edge counts are fine too).
+// Returns { matrices: [R(0), ..., R(n)], changed } like floydWarshall, with 0/1 entries.
+function warshallClosure(matrix) {
+    var n = matrix.length;
+    var matrices = [matrix.map(function(row) {
+        return row.map(function(count) { return count > 0 ? 1 : 0; });
+    })];
+    var changed = [null];
+
+    for (var k = 0; k < n; k++) {
+        var previous = matrices[k];
+        var next = copyMatrix(previous);
+        var round = [];
+        for (var i = 0; i < n; i++) {
+            round.push([]);
+            for (var j = 0; j < n; j++) {
+                var added = !previous[i][j] && previous[i][k] === 1 && previous[k][j] === 1;
+                if (added) {
+                    next[i][j] = 1;
+                }
+                round[i].push(added);
+            }
+        }
+        matrices.push(next);
+        changed.push(round);
+    }
+
+    return { matrices: matrices, changed: changed };
+}
+
+// Generate the LaTeX tabulars of a matrix sequence, one per round, with the cells changed in that round
+// highlighted. symbol is 'D' or 'R'; formatCell turns an entry into math-mode LaTeX.
+function generateMatrixSequenceLaTeX(title, symbol, result, labels, formatCell) {
+    var n = labels.length;
+    var latex = '% ' + title + '\n';
+    latex += '% Changed cells are highlighted with \\cellcolor (needs \\usepackage[table]{xcolor})\n';
+
+    for (var k = 0; k < result.matrices.length; k++) {
+        var matrix = result.matrices[k];
+        latex += k === 0 ?
+            '% ' + symbol + '(0): no intermediate nodes\n' :
+            '% ' + symbol + '(' + k + '): paths may also pass through $' + latexMatrixCell(labels[k - 1]) + '$\n';
+        latex += '\\begin{center}\n';
+        latex += '\\begin{tabular}{c|' + 'c'.repeat(n) + '}\n';
+
+        latex += '$' + symbol + '^{(' + k + ')}$';
+        for (var j = 0; j < n; j++) {
+            latex += ' & $' + latexMatrixCell(labels[j]) + '$';
+        }
+        latex += ' \\\\\n';
+        latex += '\\hline\n';
+
+        for (var i = 0; i < n; i++) {
+            latex += '$' + latexMatrixCell(labels[i]) + '$';
+            for (var j = 0; j < n; j++) {
+                var highlight = k > 0 && result.changed[k][i][j];
+                latex += ' & ' + (highlight ? '\\cellcolor{yellow!40}' : '') + '$' + formatCell(matrix[i][j]) + '$';
+            }
+            latex += ' \\\\\n';
+        }
+
+        latex += '\\end{tabular}\n';
+        latex += '\\end{center}\n';
+    }
+
+    return latex;
+}
+
+// A Floyd-Warshall entry in math mode
+function formatDistanceCell(distance) {
+    return distance === Infinity ? '\\infty' : formatDistance(distance);
+}
+
+// Count the cells changed over all rounds
+function countChangedCells(changed) {
+    var count = 0;
+    for (var k = 1; k < changed.length; k++) {
+        for (var i = 0; i < changed[k].length; i++) {
+            for (var j = 0; j < changed[k][i].length; j++) {
+                if (changed[k][i][j]) {
+                    count++;
+                }
+            }
+        }
+    }
+    return count;
+}
+
+// Main UI handler function - called when user clicks Floyd-Warshall.
+// Exports D(0) ... D(n) as LaTeX tables; the edge labels are the weights.
+function applyFloydWarshall() {
+    if (nodes.length === 0) {
+        alert('Cannot compute all-pairs shortest paths: No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var distances = buildDistanceMatrix(nodes, links, directed);
+    if (!distances.success) {
+        alert('Cannot compute all-pairs shortest paths:\n\n' + distances.error);
+        return;
+    }
+
+    var result = floydWarshall(distances.matrix);
+    var latex = generateMatrixSequenceLaTeX('Floyd-Warshall: all-pairs shortest paths' + (directed ? '' : ' (undirected)'),
+        'D', result, labels, formatDistanceCell);
+    if (result.negativeCycleNodes.length > 0) {
+        latex += '% Negative cycle through $' + result.negativeCycleNodes.map(function(i) {
+            return latexMatrixCell(labels[i]);
+        }).join('$, $') + '$: shortest distances are not defined.\n';
+    }
+    output(latex);
+
+    var message = 'Floyd-Warshall: ' + nodes.length + ' round(s), ' + countChangedCells(result.changed) +
+        ' cell(s) improved along the way.\n\n';
+    if (result.negativeCycleNodes.length > 0) {
+        showAlgorithmHighlight(result.negativeCycleNodes.map(function(i) {
+            return { index: i, color: simColors.rejectedState };
+        }), []);
+        message += 'Negative cycle found! ' + result.negativeCycleNodes.map(function(i) { return labels[i]; }).join(', ') +
+            ' can reach themselves with negative length' + (directed ? '' : ' (in an undirected graph any negative edge is a negative cycle)') +
+            ', so shortest distances are not defined. These nodes are highlighted in red.\n\n';
+    }
+    message += 'The matrices D(0) to D(' + nodes.length + ') are exported as LaTeX tables, with the cells changed in each round highlighted.';
+    alert(message);
+}
+
+// Main UI handler function - called when user clicks Transitive Closure.
+// Exports R(0) ... R(n) of Warshall's algorithm as LaTeX tables; edge labels are ignored.
+function applyTransitiveClosure() {
+    if (nodes.length === 0) {
+        alert('Cannot compute the transitive closure: No nodes in the graph.');
+        return;
+    }
+    if (!directed) {
+        alert('Cannot compute the transitive closure: The graph is undirected.\n\nTurn on "Directed Links" first.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var result = warshallClosure(buildAdjacencyMatrix(labels));
+    output(generateMatrixSequenceLaTeX('Warshall: transitive closure', 'R', result, labels, String));
+
+    var closure = result.matrices[result.matrices.length - 1];
+    var pairs = 0;
+    for (var i = 0; i < closure.length; i++) {
+        for (var j = 0; j < closure.length; j++) {
+            pairs += closure[i][j];
+        }
+    }
+    alert('Transitive closure: ' + pairs + ' reachable pair(s), ' + countChangedCells(result.changed) + ' of them added by Warshall\'s algorithm.\n\n' +
+        'The matrices R(0) to R(' + nodes.length + ') are exported as LaTeX tables, with the cells changed in each round highlighted.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildDistanceMatrix: buildDistanceMatrix,
+        floydWarshall: floydWarshall,
+        warshallClosure: warshallClosure,
+        generateMatrixSequenceLaTeX: generateMatrixSequenceLaTeX,
+        formatDistanceCell: formatDistanceCell
+    };
+}
+
+// FSM to Regular Expression for FSM Designer
+// Uses the GNFA state-elimination method, recording every elimination step
+//
+// Regular expressions are kept as small syntax trees (the same node types parseRegex produces,
+// plus 'empty' for the empty language) and simplified as they are built.
+
+// Regex constructors that apply the usual identities as they build
+var regexEmpty = { type: 'empty' };
+var regexEpsilon = { type: 'epsilon' };
+
+function regexSymbol(symbol) {
+    return { type: 'symbol', symbol: symbol };
+}
+
+function regexUnion(a, b) {
+    if (a.type === 'empty') return b;
+    if (b.type === 'empty') return a;
+    if (regexToString(a) === regexToString(b)) return a;
+    // ε ∪ r* = r*
+    if (a.type === 'epsilon' && b.type === 'star') return b;
+    if (b.type === 'epsilon' && a.type === 'star') return a;
+    return { type: 'union', left: a, right: b };
+}
+
+function regexConcat(a, b) {
+    if (a.type === 'empty' || b.type === 'empty') return regexEmpty;
+    if (a.type === 'epsilon') return b;
+    if (b.type === 'epsilon') return a;
+    return { type: 'concat', left: a, right: b };
+}
+
+function regexStar(a) {
+    if (a.type === 'empty' || a.type === 'epsilon') return regexEpsilon;
+    if (a.type === 'star') return a;
+    return { type: 'star', child: a };
+}
+
+// Binding strength used to decide where parentheses are needed
+function regexPrecedence(node) {
+    switch (node.type) {
+        case 'union': return 0;
+        case 'concat': return 1;
+        default: return 2;
+    }
+}
+
+// Write a symbol so parseRegex reads it back as one symbol: operator characters are escaped
+// and multi-character symbols go in braces
+function regexSymbolToString(symbol) {
+    if (symbol.length > 1) {
+        return '{' + symbol.replace(/[\\}]/g, '\\$&') + '}';
+    }
+    return /[|*+?(){}\\\s∅]/.test(symbol) || isEpsilonSymbol(symbol) ? '\\' + symbol : symbol;
+}
+
+// Print a regex in the syntax accepted by the Regex → NFA box
+function regexToString(node) {
+    function wrap(child, minPrecedence) {
+        var text = regexToString(child);
+        return regexPrecedence(child) < minPrecedence ? '(' + text + ')' : text;
+    }
+    switch (node.type) {
+        case 'empty': return '∅';
+        case 'epsilon': return EPSILON;
+        case 'symbol': return regexSymbolToString(node.symbol);
+        case 'union': return wrap(node.left, 0) + '|' + wrap(node.right, 0);
+        case 'concat': return wrap(node.left, 1) + wrap(node.right, 1);
+        case 'star': return wrap(node.child, 2) + '*';
+    }
+    return '';
+}
+
+// Print a regex as LaTeX math (without the surrounding $)
+function regexToLaTeX(node) {
+    function wrap(child, minPrecedence) {
+        var text = regexToLaTeX(child);
+        return regexPrecedence(child) < minPrecedence ? '(' + text + ')' : text;
+    }
+    switch (node.type) {
+        case 'empty': return '\\emptyset';
+        case 'epsilon': return '\\varepsilon';
+        case 'symbol': return escapeLaTeX(node.symbol);
+        case 'union': return wrap(node.left, 0) + ' \\cup ' + wrap(node.right, 0);
+        case 'concat': return wrap(node.left, 1) + wrap(node.right, 1);
+        case 'star':
+            var inner = wrap(node.child, 2);
+            return (node.child.type === 'symbol' ? inner : '{' + inner + '}') + '^*';
+    }
+    return '';
+}
+
+// Main state-elimination function - returns the regex and a snapshot after every step
+function eliminateStates(automaton) {
+    if (automaton.start < 0) {
+        return { success: false, error: 'No start state defined.' };
+    }
+
+    var n = automaton.labels.length;
+    var startIndex = n;      // new GNFA start state
+    var acceptIndex = n + 1; // new GNFA accept state
+    var names = automaton.labels.concat(['start', 'accept']);
+
+    // R[i][j] holds the regex on the GNFA edge from i to j
+    var R = [];
+    for (var i = 0; i < n + 2; i++) {
+        R[i] = [];
+        for (var j = 0; j < n + 2; j++) {
+            R[i][j] = regexEmpty;
+        }
+    }
+    for (var i = 0; i < n; i++) {
+        for (var symbol in automaton.transitions[i]) {
+            var targets = automaton.transitions[i][symbol];
+            var edge = symbol === EPSILON ? regexEpsilon : regexSymbol(symbol);
+            for (var t = 0; t < targets.length; t++) {
+                R[i][targets[t]] = regexUnion(R[i][targets[t]], edge);
+            }
+        }
+        if (automaton.accepting[i]) {
+            R[i][acceptIndex] = regexEpsilon;
+        }
+    }
+    R[startIndex][automaton.start] = regexEpsilon;
+
+    var remaining = [];
+    for (var i = 0; i < n + 2; i++) {
+        remaining.push(i);
+    }
+
+    var steps = [{ eliminated: null, edges: snapshotEdges(R, remaining) }];
+
+    // Eliminate original states, cheapest first (fewest in-edges × out-edges)
+    while (remaining.length > 2) {
+        var best = -1;
+        var bestCost = Infinity;
+        for (var k = 0; k < remaining.length; k++) {
+            var q = remaining[k];
+            if (q === startIndex || q === acceptIndex) continue;
+            var ins = 0, outs = 0;
+            for (var m = 0; m < remaining.length; m++) {
+                var other = remaining[m];
+                if (other === q) continue;
+                if (R[other][q].type !== 'empty') ins++;
+                if (R[q][other].type !== 'empty') outs++;
+            }
+            if (ins * outs < bestCost) {
+                bestCost = ins * outs;
+                best = q;
+            }
+        }
+
+        var loop = regexStar(R[best][best]);
+        remaining.splice(remaining.indexOf(best), 1);
+        var updated = [];
+        for (var a = 0; a < remaining.length; a++) {
+            var from = remaining[a];
+            if (R[from][best].type === 'empty') continue;
+            for (var b = 0; b < remaining.length; b++) {
+                var to = remaining[b];
+                if (R[best][to].type === 'empty') continue;
+                var through = regexConcat(R[from][best], regexConcat(loop, R[best][to]));
+                R[from][to] = regexUnion(R[from][to], through);
+                updated.push({ from: from, to: to });
+            }
+        }
+
+        steps.push({ eliminated: best, updated: updated, edges: snapshotEdges(R, remaining) });
+    }
+
+    return {
+        success: true,
+        regex: R[startIndex][acceptIndex],
+        names: names,
+        steps: steps
+    };
+}
+
+// List the non-empty edges between the remaining GNFA states
+function snapshotEdges(R, remaining) {
+    var edges = [];
+    for (var a = 0; a < remaining.length; a++) {
+        for (var b = 0; b < remaining.length; b++) {
+            var regex = R[remaining[a]][remaining[b]];
+            if (regex.type !== 'empty') {
+                edges.push({ from: remaining[a], to: remaining[b], regex: regex });
+            }
+        }
+    }
+    return edges;
+}
+
+// Generate LaTeX for all elimination steps, ending with the final regex
+function generateStateEliminationLaTeX(result) {
+    var names = result.names;
+    function stateName(index) {
+        if (index === names.length - 2) return 'q_{\\mathrm{start}}';
+        if (index === names.length - 1) return 'q_{\\mathrm{accept}}';
+        return escapeLaTeX(names[index]);
+    }
+
+    var latex = '% GNFA state elimination\n';
+    latex += '% Each step lists the GNFA edges $R(p, q)$ that remain after removing one state\n';
+
+    for (var s = 0; s < result.steps.length; s++) {
+        var step = result.steps[s];
+        if (step.eliminated === null) {
+            latex += '\\paragraph{Step ' + s + ': GNFA with new start and accept states}\n';
+        } else {
+            latex += '\\paragraph{Step ' + s + ': eliminate $' + stateName(step.eliminated) + '$}\n';
+        }
+        latex += '\\begin{itemize}\n';
+        for (var e = 0; e < step.edges.length; e++) {
+            var edge = step.edges[e];
+            var changed = step.updated && step.updated.some(function(u) {
+                return u.from === edge.from && u.to === edge.to;
+            });
+            latex += '    \\item $R(' + stateName(edge.from) + ', ' + stateName(edge.to) + ') = ' + regexToLaTeX(edge.regex) + '$' + (changed ? ' (updated)' : '') + '\n';
+        }
+        latex += '\\end{itemize}\n';
+    }
+
+    latex += '\n% Final regular expression (plain: ' + regexToString(result.regex) + ')\n';
+    latex += '\\[ ' + regexToLaTeX(result.regex) + ' \\]\n';
+
+    return latex;
+}
+
+// Main UI handler function - called when user clicks the FSM to Regex button
+function exportRegexFromFSM() {
+    if (nodes.length === 0) {
+        output('No nodes in the graph to export.');
+        return;
+    }
+
+    var automaton = automatonFromCanvas(nodes, links);
+    if (automaton.start === -1) {
+        alert('Cannot build a regular expression: No start state defined.\n\nAdd a start arrow by shift-dragging from empty space to a state.');
+        return;
+    }
+
+    var result = eliminateStates(automaton);
+    if (!result.success) {
+        alert('Cannot build a regular expression:\n\n' + result.error);
+        return;
+    }
+
+    output(generateStateEliminationLaTeX(result));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        regexUnion: regexUnion,
+        regexConcat: regexConcat,
+        regexStar: regexStar,
+        regexToString: regexToString,
+        eliminateStates: eliminateStates
+    };
+}
+
+// Maximum Flow for FSM Designer
+// Edmonds-Karp max-flow and min-cut between a source and a sink on directed graphs
+//
+// Edge labels are capacities, read like MST weights. A label of the form "flow/capacity" (as written
+// by a previous run) is read by its capacity, so the solver can be run again after editing.
+
+// Read the capacity from an edge label, ignoring a "flow/" prefix
+function parseCapacity(text) {
+    var slash = text ? text.lastIndexOf('/') : -1;
+    var result = parseEdgeWeight(slash === -1 ? text : text.substring(slash + 1));
+    if (result.valid && result.weight < 0) {
+        return { valid: false, error: 'Edge capacity ' + result.weight + ' is negative' };
+    }
+    return result;
+}
+
+// Read the flow network from the canvas.
+// Returns { success, edges: [{ link, from, to, capacity, flow }], selfLoopCount } or { success: false, error }.
+function buildFlowNetwork(nodeArray, linkArray) {
+    var edges = [];
+    var selfLoopCount = 0;
+
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        if (link instanceof SelfLink) {
+            selfLoopCount++; // A self-loop can never carry flow
+            continue;
+        }
+        if (!(link instanceof Link)) {
+            continue;
+        }
+
+        var parsed = parseCapacity(link.text);
+        if (!parsed.valid) {
+            return { success: false, error: parsed.error };
+        }
+        edges.push({
+            link: link,
+            from: nodeArray.indexOf(link.nodeA),
+            to: nodeArray.indexOf(link.nodeB),
+            capacity: parsed.weight,
+            flow: 0
+        });
+    }
+
+    return { success: true, edges: edges, selfLoopCount: selfLoopCount };
+}
+
+// Find a shortest augmenting path in the residual network by BFS.
+// Returns a list of { edge, forward } steps from source to sink, or null if the sink cannot be reached.
+// Also returns the nodes reached, which form the source side of a minimum cut once no path is left.
+function findAugmentingPath(nodeCount, edges, source, sink) {
+    var parent = [];
+    var reached = [];
+    for (var i = 0; i < nodeCount; i++) {
+        parent.push(null);
+        reached.push(false);
+    }
+    reached[source] = true;
+
+    var queue = [source];
+    for (var head = 0; head < queue.length && !reached[sink]; head++) {
+        var current = queue[head];
+        for (var e = 0; e < edges.length; e++) {
+            var edge = edges[e];
+            // Forward residual capacity, or flow that can be pushed back
+            var next = -1;
+            if (edge.from === current && edge.flow < edge.capacity) {
+                next = edge.to;
+            } else if (edge.to === current && edge.flow > 0) {
+                next = edge.from;
+            }
+            if (next !== -1 && !reached[next]) {
+                reached[next] = true;
+                parent[next] = { edge: edge, forward: next === edge.to };
+                queue.push(next);
+            }
+        }
+    }
+
+    if (!reached[sink]) {
+        return { path: null, reached: reached };
+    }
+
+    var path = [];
+    for (var v = sink; v !== source; v = path[0].forward ? path[0].edge.from : path[0].edge.to) {
+        path.unshift(parent[v]);
+    }
+    return { path: path, reached: reached };
+}
+
+// Edmonds-Karp maximum flow from source to sink.
+// Returns { success, value, edges (with their flow), paths: [{ nodes, amount }], sourceSide, cutEdges, warnings }
+// where sourceSide[i] tells on which side of the minimum cut node i lies, or { success: false, error }.
+function computeMaxFlow(nodeArray, linkArray, source, sink) {
+    if (source === sink) {
+        return { success: false, error: 'The source and the sink must be different nodes' };
+    }
+
+    var network = buildFlowNetwork(nodeArray, linkArray);
+    if (!network.success) {
+        return network;
+    }
+    var edges = network.edges;
+
+    var warnings = [];
+    if (network.selfLoopCount > 0) {
+        warnings.push(network.selfLoopCount + ' self-loop(s) ignored (they cannot carry flow)');
+    }
+
+    var value = 0;
+    var paths = [];
+    var search;
+    while ((search = findAugmentingPath(nodeArray.length, edges, source, sink)).path) {
+        var path = search.path;
+
+        var amount = Infinity;
+        for (var k = 0; k < path.length; k++) {
+            var step = path[k];
+            amount = Math.min(amount, step.forward ? step.edge.capacity - step.edge.flow : step.edge.flow);
+        }
+        if (amount === Infinity) {
+            return { success: false, error: 'The flow is unbounded: there is a path of infinite capacity from the source to the sink' };
+        }
+
+        var pathNodes = [source];
+        for (var k = 0; k < path.length; k++) {
+            path[k].edge.flow += path[k].forward ? amount : -amount;
+            pathNodes.push(path[k].forward ? path[k].edge.to : path[k].edge.from);
+        }
+        value += amount;
+        paths.push({ nodes: pathNodes, steps: path, amount: amount });
+    }
+
+    // The cut edges lead from the nodes still reachable in the residual network to the rest
+    var sourceSide = search.reached;
+    var cutEdges = edges.filter(function(edge) {
+        return sourceSide[edge.from] && !sourceSide[edge.to];
+    });
+
+    return {
+        success: true,
+        value: value,
+        edges: edges,
+        paths: paths,
+        sourceSide: sourceSide,
+        cutEdges: cutEdges,
+        warnings: warnings
+    };
+}
+
+// Record the augmenting paths of Edmonds-Karp as playback events (see playback.js)
+function maxFlowPlayback(nodeArray, linkArray, labels, source, sink) {
+    var result = computeMaxFlow(nodeArray, linkArray, source, sink);
+    if (!result.success) {
+        return result;
+    }
+
+    // Replay the augmentations on fresh flows
+    var flow = [];
+    for (var e = 0; e < result.edges.length; e++) {
+        flow.push(0);
+    }
+
+    var recorder = new PlaybackRecorder();
+    recorder.markState(source, simColors.acceptedState, 'source');
+    recorder.markState(sink, simColors.rejectedState, 'sink');
+    recorder.record('Find the maximum flow from ' + labels[source] + ' to ' + labels[sink] + ', starting with no flow');
+
+    var total = 0;
+    for (var p = 0; p < result.paths.length; p++) {
+        var path = result.paths[p];
+        for (var k = 0; k < path.steps.length; k++) {
+            recorder.markLink(path.steps[k].edge.link, simColors.currentState);
+        }
+        var backwards = path.steps.some(function(step) { return !step.forward; });
+        recorder.record('Augmenting path ' + path.nodes.map(function(i) { return labels[i]; }).join(' → ') +
+            ' with bottleneck ' + formatDistance(path.amount) + (backwards ? ' (it pushes flow back along an edge)' : ''));
+
+        total += path.amount;
+        for (var k = 0; k < path.steps.length; k++) {
+            var edge = path.steps[k].edge;
+            var index = result.edges.indexOf(edge);
+            flow[index] += path.steps[k].forward ? path.amount : -path.amount;
+            if (flow[index] === 0) {
+                recorder.unmarkLink(edge.link);
+            } else {
+                recorder.markLink(edge.link, flow[index] === edge.capacity ? simColors.rejectedState : simColors.acceptedState);
+            }
+        }
+        recorder.record('Push ' + formatDistance(path.amount) + ' along it: the flow is now ' + formatDistance(total) +
+            ' (saturated edges are red)');
+    }
+
+    for (var i = 0; i < nodeArray.length; i++) {
+        if (i !== source && i !== sink && result.sourceSide[i]) {
+            recorder.markState(i, simColors.acceptedState);
+        }
+    }
+    recorder.record('No augmenting path is left. The nodes still reachable from ' + labels[source] +
+        ' (green) form the source side of a minimum cut');
+
+    var summary = 'maximum flow ' + formatDistance(result.value) + ' from ' + labels[source] + ' to ' + labels[sink];
+    recorder.record('Done: ' + summary + ', equal to the capacity of the ' + result.cutEdges.length + ' cut edge(s)');
+
+    return {
+        success: true,
+        title: 'Edmonds-Karp from ' + labels[source] + ' to ' + labels[sink],
+        events: recorder.events,
+        summary: summary
+    };
+}
+
+// Work out the sink for max flow from the Target field. Returns { index } or { error }.
+function getSinkNode(labels) {
+    var targetField = document.getElementById('pathTarget');
+    var targetText = targetField ? targetField.value.trim() : '';
+    if (targetText === '') {
+        return { error: 'No sink node.\n\nType the sink in the Target field.' };
+    }
+    var sink = findNodeByLabel(labels, targetText);
+    if (sink === -1) {
+        return { error: 'There is no node named "' + targetText + '".' };
+    }
+    return { index: sink };
+}
+
+// Main UI handler function - called when user clicks Max Flow.
+// Relabels every edge "flow/capacity" (undoable) and highlights a minimum cut.
+function applyMaxFlow() {
+    if (nodes.length === 0) {
+        alert('Cannot compute max flow: No nodes in the graph.');
+        return;
+    }
+    if (!directed) {
+        alert('Cannot compute max flow: The graph is undirected.\n\nFlow networks need directed edges. Turn on "Directed Links" first.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var source = getSourceNode(labels);
+    if (source.error) {
+        alert('Cannot compute max flow: ' + source.error);
+        return;
+    }
+    var sink = getSinkNode(labels);
+    if (sink.error) {
+        alert('Cannot compute max flow: ' + sink.error);
+        return;
+    }
+
+    var result = computeMaxFlow(nodes, links, source.index, sink.index);
+    if (!result.success) {
+        alert('Cannot compute max flow:\n\n' + result.error);
+        return;
+    }
+
+    var message = '';
+    if (result.warnings.length > 0) {
+        message += 'Warnings:\n';
+        for (var i = 0; i < result.warnings.length; i++) {
+            message += '• ' + result.warnings[i] + '\n';
+        }
+        message += '\n';
+    }
+    message += 'Maximum flow from ' + labels[source.index] + ' to ' + labels[sink.index] + ': ' + formatDistance(result.value) + '\n\n';
+    message += '• Augmenting paths: ' + result.paths.length + '\n';
+    for (var p = 0; p < result.paths.length; p++) {
+        message += '    ' + (p + 1) + '. ' + result.paths[p].nodes.map(function(i) { return labels[i]; }).join(' → ') +
+            ' (+' + formatDistance(result.paths[p].amount) + ')\n';
+    }
+    message += '• Minimum cut: ' + result.cutEdges.map(function(edge) {
+        return labels[edge.from] + ' → ' + labels[edge.to];
+    }).join(', ') + '\n\n';
+    message += 'Do you want to label every edge "flow/capacity" and highlight the minimum cut?';
+
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    saveState();
+    for (var e = 0; e < result.edges.length; e++) {
+        var edge = result.edges[e];
+        edge.link.text = formatDistance(edge.flow) + '/' + formatDistance(edge.capacity);
+    }
+
+    var states = [];
+    for (var i = 0; i < nodes.length; i++) {
+        if (result.sourceSide[i]) {
+            states.push({ index: i, color: simColors.acceptedState, note: i === source.index ? 'source' : undefined });
+        }
+    }
+    states.push({ index: sink.index, color: simColors.rejectedState, note: 'sink' });
+    showAlgorithmHighlight(states, result.cutEdges.map(function(edge) {
+        return { link: edge.link, color: simColors.rejectedState };
+    }));
+
+    alert('Max flow applied! The minimum cut edges are red and the source side of the cut is green.\n\n' +
+        'Click the canvas to clear the highlight. You can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseCapacity: parseCapacity,
+        buildFlowNetwork: buildFlowNetwork,
+        computeMaxFlow: computeMaxFlow,
+        maxFlowPlayback: maxFlowPlayback
+    };
+}
+
+// Mealy/Moore Conversion for FSM Designer
+// Turns a Mealy machine into an equivalent Moore machine and back
+//
+// Mealy to Moore splits each state q into one copy (q,o) per output o written on its incoming
+// arrows, so the copy can write o itself. Moore to Mealy moves each state's output onto the
+// arrows entering it. The Moore form writes one extra symbol for its start state, which the
+// Mealy form has no place for.
+
+// Read a Mealy or Moore machine from the canvas: state names and outputs plus a list of
+// { from, to, input, output } transitions with the output written when following them
+function transducerFromCanvas(nodeArray, linkArray, type) {
+    var transducer = {
+        labels: [],
+        outputs: [],
+        start: findStartState(nodeArray, linkArray),
+        accepting: [],
+        edges: []
+    };
+
+    for (var i = 0; i < nodeArray.length; i++) {
+        var text = nodeArray[i].text ? nodeArray[i].text.trim() : '';
+        var parsed = type === 'moore' ? parseMooreNodeText(text) : { name: text, output: '' };
+        transducer.labels.push(parsed.name || ('q' + i));
+        transducer.outputs.push(parsed.output);
+        transducer.accepting.push(!!nodeArray[i].isAcceptState);
+    }
+
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        var from, to;
+        if (link instanceof Link) {
+            from = nodeArray.indexOf(link.nodeA);
+            to = nodeArray.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            from = to = nodeArray.indexOf(link.node);
+        } else {
+            continue;
+        }
+
+        if (type === 'moore') {
+            var symbols = parseTransitionLabel(link.text);
+            for (var s = 0; s < symbols.length; s++) {
+                transducer.edges.push({ from: from, to: to, input: symbols[s], output: transducer.outputs[to] });
+            }
+        } else {
+            var pairs = parseMealyLabel(link.text);
+            for (var p = 0; p < pairs.length; p++) {
+                transducer.edges.push({ from: from, to: to, input: pairs[p].input, output: pairs[p].output });
+            }
+        }
+    }
+
+    return transducer;
+}
+
+// Alphabet of a transducer's inputs, sorted like getAlphabet
+function transducerAlphabet(transducer) {
+    var alphabet = [];
+    for (var e = 0; e < transducer.edges.length; e++) {
+        var input = transducer.edges[e].input;
+        if (input !== EPSILON && alphabet.indexOf(input) === -1) {
+            alphabet.push(input);
+        }
+    }
+    return alphabet.sort();
+}
+
+// Convert a Mealy machine into an abstract automaton for the equivalent Moore machine.
+// State labels are written "name/output" as the Moore form expects.
+function mealyToMoore(transducer) {
+    // copies[q] lists the outputs q needs a copy for, in order of first appearance
+    var copies = [];
+    for (var q = 0; q < transducer.labels.length; q++) {
+        copies.push(q === transducer.start ? [''] : []);
+    }
+    for (var e = 0; e < transducer.edges.length; e++) {
+        var edge = transducer.edges[e];
+        if (copies[edge.to].indexOf(edge.output) === -1) {
+            copies[edge.to].push(edge.output);
+        }
+    }
+    // States nobody enters keep a single copy that writes nothing
+    for (var q = 0; q < copies.length; q++) {
+        if (copies[q].length === 0) {
+            copies[q].push('');
+        }
+    }
+
+    var moore = {
+        labels: [],
+        start: -1,
+        accepting: [],
+        alphabet: transducerAlphabet(transducer),
+        transitions: []
+    };
+    var index = [];
+    for (var q = 0; q < copies.length; q++) {
+        index[q] = {};
+        for (var c = 0; c < copies[q].length; c++) {
+            var output = copies[q][c];
+            var name = copies[q].length === 1 ? transducer.labels[q] :
+                '(' + transducer.labels[q] + ',' + (output === '' ? EPSILON : output) + ')';
+            index[q][output] = moore.labels.length;
+            moore.labels.push(output === '' ? name : name + '/' + output);
+            moore.accepting.push(transducer.accepting[q]);
+            moore.transitions.push({});
+        }
+    }
+    if (transducer.start >= 0) {
+        moore.start = index[transducer.start][''];
+    }
+
+    // Every copy of q leaves on the same arrows as q did, into the copy matching the output
+    for (var e = 0; e < transducer.edges.length; e++) {
+        var edge = transducer.edges[e];
+        var target = index[edge.to][edge.output];
+        for (var output in index[edge.from]) {
+            var row = moore.transitions[index[edge.from][output]];
+            if (!row[edge.input]) {
+                row[edge.input] = [];
+            }
+            if (row[edge.input].indexOf(target) === -1) {
+                row[edge.input].push(target);
+            }
+        }
+    }
+
+    return moore;
+}
+
+// Convert a Moore machine into an abstract automaton for the equivalent Mealy machine.
+// Transition symbols are written "input/output" as the Mealy form expects.
+function mooreToMealy(transducer) {
+    var mealy = {
+        labels: transducer.labels.slice(),
+        start: transducer.start,
+        accepting: transducer.accepting.slice(),
+        alphabet: transducerAlphabet(transducer),
+        transitions: []
+    };
+    for (var q = 0; q < transducer.labels.length; q++) {
+        mealy.transitions.push({});
+    }
+
+    for (var e = 0; e < transducer.edges.length; e++) {
+        var edge = transducer.edges[e];
+        var input = edge.input === EPSILON ? '\\epsilon' : edge.input;
+        var symbol = edge.output === '' ? input : input + '/' + edge.output;
+        var row = mealy.transitions[edge.from];
+        if (!row[symbol]) {
+            row[symbol] = [];
+        }
+        if (row[symbol].indexOf(edge.to) === -1) {
+            row[symbol].push(edge.to);
+        }
+    }
+
+    return mealy;
+}
+
+// Main UI handler function - called when user clicks Mealy → Moore or Moore → Mealy
+function applyTransducerConversion(fromType) {
+    var toType = fromType === 'mealy' ? 'moore' : 'mealy';
+    var fromName = fromType === 'mealy' ? 'Mealy' : 'Moore';
+    var toName = toType === 'mealy' ? 'Mealy' : 'Moore';
+
+    if (nodes.length === 0) {
+        alert('Cannot convert: No states in the machine.');
+        return;
+    }
+    if (machineType !== fromType) {
+        alert('Cannot convert: The machine is not a ' + fromName + ' machine.\n\nChoose "' + fromName + ' machine" below the canvas first.');
+        return;
+    }
+
+    var transducer = transducerFromCanvas(nodes, links, fromType);
+    if (transducer.start === -1) {
+        alert('Cannot convert: No start state defined.\n\nAdd a start arrow by shift-dragging from empty space to a state.');
+        return;
+    }
+
+    var converted = fromType === 'mealy' ? mealyToMoore(transducer) : mooreToMealy(transducer);
+
+    var message = fromName + ' to ' + toName + ' conversion complete!\n\n';
+    message += '• ' + fromName + ' states: ' + transducer.labels.length + '\n';
+    message += '• ' + toName + ' states: ' + converted.labels.length + '\n';
+    message += '• Input alphabet: {' + converted.alphabet.join(', ') + '}\n\n';
+    if (fromType === 'moore' && transducer.outputs[transducer.start] !== '') {
+        message += "Note: the start state's output '" + transducer.outputs[transducer.start] +
+            "' is dropped - a Mealy machine only writes output on transitions.\n\n";
+    }
+    message += 'Do you want to replace the canvas with the ' + toName + ' machine?';
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    replaceCanvasWithAutomaton(converted);
+    setMachineType(toType);
+
+    alert(toName + ' machine applied! The machine type was switched to ' + toName + '.\n\n' +
+        'You can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        transducerFromCanvas: transducerFromCanvas,
+        mealyToMoore: mealyToMoore,
+        mooreToMealy: mooreToMealy
+    };
+}
+
+// DFA Minimization for FSM Designer
+// Uses the table-filling (Myhill-Nerode) algorithm, recording each refinement round
+
+// Find the states reachable from the start state
+function findReachableStates(automaton) {
+    var reachable = [automaton.start];
+    var queue = [automaton.start];
+    while (queue.length > 0) {
+        var current = queue.shift();
+        for (var symbol in automaton.transitions[current]) {
+            var targets = automaton.transitions[current][symbol];
+            for (var t = 0; t < targets.length; t++) {
+                if (reachable.indexOf(targets[t]) === -1) {
+                    reachable.push(targets[t]);
+                    queue.push(targets[t]);
+                }
+            }
+        }
+    }
+    return reachable.sort(function(a, b) { return a - b; });
+}
+
+// Main minimization function - returns the minimal DFA and the table-filling rounds
+function minimizeAutomaton(automaton) {
+    if (automaton.start < 0) {
+        return { success: false, error: 'No start state defined.' };
+    }
+    if (!isDeterministic(automaton)) {
+        return {
+            success: false,
+            error: 'The machine is not deterministic (it has epsilon moves or several transitions for one symbol). Use Determinize first.'
+        };
+    }
+
+    var alphabet = automaton.alphabet;
+
+    // Step 1: Remove unreachable states
+    var reachable = findReachableStates(automaton);
+    var unreachable = [];
+    for (var i = 0; i < automaton.labels.length; i++) {
+        if (reachable.indexOf(i) === -1) {
+            unreachable.push(automaton.labels[i]);
+        }
+    }
+
+    // Step 2: Work on local indices, completing the DFA with a trap state if needed
+    var labels = [];
+    var accepting = [];
+    var delta = [];
+    var trap = -1;
+    for (var i = 0; i < reachable.length; i++) {
+        labels.push(automaton.labels[reachable[i]]);
+        accepting.push(automaton.accepting[reachable[i]]);
+        delta.push({});
+    }
+    for (var i = 0; i < reachable.length; i++) {
+        for (var a = 0; a < alphabet.length; a++) {
+            var targets = automaton.transitions[reachable[i]][alphabet[a]];
+            if (targets && targets.length === 1) {
+                delta[i][alphabet[a]] = reachable.indexOf(targets[0]);
+            } else {
+                if (trap === -1) {
+                    trap = labels.length;
+                    labels.push(freshTrapLabel(labels));
+                    accepting.push(false);
+                    delta.push({});
+                    for (var b = 0; b < alphabet.length; b++) {
+                        delta[trap][alphabet[b]] = trap;
+                    }
+                }
+                delta[i][alphabet[a]] = trap;
+            }
+        }
+    }
+
+    var n = labels.length;
+
+    // Step 3: Table filling - marked[i][j] holds the round in which i and j were distinguished
+    var marked = [];
+    for (var i = 0; i < n; i++) {
+        marked[i] = [];
+        for (var j = 0; j < n; j++) {
+            marked[i][j] = -1;
+        }
+    }
+
+    var rounds = [];
+    var round0 = [];
+    for (var i = 0; i < n; i++) {
+        for (var j = 0; j < i; j++) {
+            if (accepting[i] !== accepting[j]) {
+                marked[i][j] = marked[j][i] = 0;
+                round0.push({ p: j, q: i, symbol: null });
+            }
+        }
+    }
+    rounds.push({ marks: round0, partition: partitionFromMarks(marked, n) });
+
+    var round = 0;
+    var changed = round0.length > 0;
+    while (changed) {
+        round++;
+        var marks = [];
+        for (var i = 0; i < n; i++) {
+            for (var j = 0; j < i; j++) {
+                if (marked[i][j] !== -1) continue;
+                for (var a = 0; a < alphabet.length; a++) {
+                    var ti = delta[i][alphabet[a]];
+                    var tj = delta[j][alphabet[a]];
+                    // Only pairs marked in an earlier round count, so each round is one refinement step
+                    if (ti !== tj && marked[ti][tj] !== -1 && marked[ti][tj] < round) {
+                        marks.push({ p: j, q: i, symbol: alphabet[a] });
+                        break;
+                    }
+                }
+            }
+        }
+        for (var m = 0; m < marks.length; m++) {
+            marked[marks[m].q][marks[m].p] = marked[marks[m].p][marks[m].q] = round;
+        }
+        changed = marks.length > 0;
+        if (changed) {
+            rounds.push({ marks: marks, partition: partitionFromMarks(marked, n) });
+        }
+    }
+
+    // Step 4: Merge equivalent states into the minimal DFA
+    var classes = rounds[rounds.length - 1].partition;
+    var classOf = [];
+    for (var c = 0; c < classes.length; c++) {
+        for (var k = 0; k < classes[c].length; k++) {
+            classOf[classes[c][k]] = c;
+        }
+    }
+
+    // Drop the trap class again if it only holds the state we added ourselves
+    var dropClass = (trap !== -1 && classes[classOf[trap]].length === 1) ? classOf[trap] : -1;
+
+    var minimal = {
+        labels: [],
+        start: 0,
+        accepting: [],
+        alphabet: alphabet.slice(),
+        transitions: [],
+        classes: []
+    };
+    var newIndex = [];
+    for (var c = 0; c < classes.length; c++) {
+        if (c === dropClass) continue;
+        newIndex[c] = minimal.labels.length;
+        var members = classes[c].filter(function(s) { return s !== trap; });
+        if (members.length === 0) {
+            members = classes[c];
+        }
+        minimal.labels.push(members.length === 1 ? labels[members[0]] : subsetLabel(members, labels));
+        minimal.accepting.push(accepting[classes[c][0]]);
+        minimal.classes.push(classes[c].map(function(s) { return labels[s]; }));
+    }
+    for (var c = 0; c < classes.length; c++) {
+        if (c === dropClass) continue;
+        var row = {};
+        var representative = classes[c][0];
+        for (var a = 0; a < alphabet.length; a++) {
+            var target = classOf[delta[representative][alphabet[a]]];
+            if (target !== dropClass) {
+                row[alphabet[a]] = [newIndex[target]];
+            }
+        }
+        minimal.transitions.push(row);
+    }
+    minimal.start = newIndex[classOf[reachable.indexOf(automaton.start)]];
+
+    return {
+        success: true,
+        dfa: minimal,
+        labels: labels,
+        marked: marked,
+        rounds: rounds,
+        unreachable: unreachable,
+        addedTrap: trap !== -1
+    };
+}
+
+// Group states that have not been distinguished yet into equivalence classes
+function partitionFromMarks(marked, n) {
+    var classes = [];
+    var assigned = [];
+    for (var i = 0; i < n; i++) {
+        if (assigned[i]) continue;
+        var members = [i];
+        assigned[i] = true;
+        for (var j = i + 1; j < n; j++) {
+            if (!assigned[j] && marked[i][j] === -1) {
+                members.push(j);
+                assigned[j] = true;
+            }
+        }
+        classes.push(members);
+    }
+    return classes;
+}
+
+// Generate LaTeX for the table-filling rounds (tabular plus partition list, no document wrapper)
+function generateMinimizationLaTeX(result) {
+    var labels = result.labels;
+    var n = labels.length;
+    var latex = '% DFA minimization by table filling\n';
+    latex += '% Entry $\\times_{k}$: the pair was distinguished in round $k$ (round 0 = accepting vs. non-accepting)\n';
+    latex += '% Empty entry: the states are equivalent and get merged\n';
+
+    if (n < 2) {
+        latex += '% Only one reachable state - the DFA is already minimal.\n';
+        return latex;
+    }
+
+    latex += '\\begin{center}\n';
+    latex += '\\begin{tabular}{c|' + 'c'.repeat(n - 1) + '}\n';
+
+    // Staircase rows: one per state after the first, one column per state before the last
+    for (var i = 1; i < n; i++) {
+        latex += '$' + escapeLaTeX(labels[i]) + '$';
+        for (var j = 0; j < n - 1; j++) {
+            if (j < i) {
+                var round = result.marked[i][j];
+                latex += ' & ' + (round === -1 ? '' : '$\\times_{' + round + '}$');
+            } else {
+                latex += ' &';
+            }
+        }
+        latex += ' \\\\\n';
+    }
+    latex += '\\hline\n';
+    latex += '  ';
+    for (var j = 0; j < n - 1; j++) {
+        latex += ' & $' + escapeLaTeX(labels[j]) + '$';
+    }
+    latex += ' \\\\\n';
+
+    latex += '\\end{tabular}\n';
+    latex += '\\end{center}\n';
+
+    // Partition refinement after each round
+    latex += '\\begin{itemize}\n';
+    for (var r = 0; r < result.rounds.length; r++) {
+        var parts = result.rounds[r].partition.map(function(members) {
+            return '\\{' + members.map(function(s) {
+                return escapeLaTeX(labels[s]);
+            }).join(', ') + '\\}';
+        });
+        latex += '    \\item Round ' + r + ': $' + parts.join(',\\ ') + '$';
+
+        var reasons = result.rounds[r].marks.filter(function(m) {
+            return m.symbol !== null;
+        }).map(function(m) {
+            return '$(' + escapeLaTeX(labels[m.p]) + ', ' + escapeLaTeX(labels[m.q]) + ')$ on $' + escapeLaTeX(m.symbol) + '$';
+        });
+        if (reasons.length > 0) {
+            latex += ' -- marked ' + reasons.join(', ');
+        }
+        latex += '\n';
+    }
+    latex += '    \\item Round ' + result.rounds.length + ': no new pairs marked, so the partition is final\n';
+    latex += '\\end{itemize}\n';
+
+    return latex;
+}
+
+// Main UI handler function - called when user clicks a Minimize button
+function applyMinimization(showSteps) {
+    if (nodes.length === 0) {
+        alert('Cannot minimize: No states in the FSM.');
+        return;
+    }
+
+    var automaton = automatonFromCanvas(nodes, links);
+    if (automaton.start === -1) {
+        alert('Cannot minimize: No start state defined.\n\nAdd a start arrow by shift-dragging from empty space to a state.');
+        return;
+    }
+
+    var result = minimizeAutomaton(automaton);
+    if (!result.success) {
+        alert('Cannot minimize:\n\n' + result.error);
+        return;
+    }
+
+    if (showSteps) {
+        output(generateMinimizationLaTeX(result));
+    }
+
+    var merged = result.dfa.classes.filter(function(c) {
+        return c.length > 1;
+    });
+
+    var message = '';
+    if (result.addedTrap) {
+        message += 'Note: missing transitions were sent to a trap state during minimization.\n\n';
+    }
+    message += 'Minimization complete!\n\n';
+    message += '• Original states: ' + automaton.labels.length + '\n';
+    message += '• Unreachable states removed: ' + result.unreachable.length + (result.unreachable.length > 0 ? ' (' + result.unreachable.join(', ') + ')' : '') + '\n';
+    message += '• Groups of equivalent states merged: ' + merged.length + '\n';
+    message += '• Minimal DFA states: ' + result.dfa.labels.length + '\n';
+    message += '• Refinement rounds: ' + result.rounds.length + '\n\n';
+
+    if (result.dfa.labels.length === automaton.labels.length) {
+        alert(message + 'The DFA is already minimal.');
+        return;
+    }
+
+    message += 'Do you want to replace the canvas with the minimal DFA?';
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    replaceCanvasWithAutomaton(result.dfa);
+
+    alert('Minimal DFA applied! ' + result.dfa.labels.length + ' state(s) remain.\n\nYou can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        findReachableStates: findReachableStates,
+        minimizeAutomaton: minimizeAutomaton,
+        partitionFromMarks: partitionFromMarks
+    };
+}
+
+// Minimum Spanning Tree Algorithm for FSM Designer
+// Uses Kruskal's algorithm with Union-Find data structure, or Prim's algorithm from a chosen start node
+
+// Union-Find (Disjoint Set) data structure
+function UnionFind(size) {
+    this.parent = [];
+    this.rank = [];
+    for (var i = 0; i < size; i++) {
+        this.parent[i] = i;
+        this.rank[i] = 0;
+    }
+}
+
+UnionFind.prototype.find = function(x) {
+    // Path compression
+    if (this.parent[x] !== x) {
+        this.parent[x] = this.find(this.parent[x]);
+    }
+    return this.parent[x];
+};
+
+UnionFind.prototype.union = function(x, y) {
+    // Union by rank
+    var rootX = this.find(x);
+    var rootY = this.find(y);
+    
+    if (rootX === rootY) return false;
+    
+    if (this.rank[rootX] < this.rank[rootY]) {
+        this.parent[rootX] = rootY;
+    } else if (this.rank[rootX] > this.rank[rootY]) {
+        this.parent[rootY] = rootX;
+    } else {
+        this.parent[rootY] = rootX;
+        this.rank[rootX]++;
+    }
+    return true;
+};
+
+// Parse edge weight from text label
+function parseEdgeWeight(text) {
+    if (!text || text.trim() === '') {
+        return { valid: false, error: 'Edge has no label (weight required)' };
+    }
+    
+    var trimmed = text.trim();
+    var weight = parseFloat(trimmed);
+    
+    if (isNaN(weight)) {
+        return { valid: false, error: 'Edge label "' + trimmed + '" is not a valid number' };
+    }
+    
+    return { valid: true, weight: weight };
+}
+
+// Check if graph is connected using Union-Find
+function isGraphConnected(nodeCount, edges) {
+    if (nodeCount === 0) return true;
+    if (nodeCount === 1) return true;
+    
+    var uf = new UnionFind(nodeCount);
+    
+    for (var i = 0; i < edges.length; i++) {
+        uf.union(edges[i].from, edges[i].to);
+    }
+    
+    // Check if all nodes are in the same component
+    var root = uf.find(0);
+    for (var i = 1; i < nodeCount; i++) {
+        if (uf.find(i) !== root) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Read the weighted edges of the graph for spanning tree algorithms (edges are treated as undirected).
+// Returns { success, edges: [{ link, from, to, weight }], selfLoopLinks } or { success: false, error }.
+function extractWeightedEdges(nodeArray, linkArray) {
+    var edges = [];
+    var selfLoopLinks = [];
+    
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        
+        // Skip StartLink (not an edge between nodes)
+        if (link instanceof StartLink) {
+            continue;
+        }
+        
+        // Handle SelfLink (warn but don't include in MST)
+        if (link instanceof SelfLink) {
+            selfLoopLinks.push(link);
+            continue;
+        }
+        
+        // Handle regular Link
+        if (link instanceof Link) {
+            var parseResult = parseEdgeWeight(link.text);
+            if (!parseResult.valid) {
+                return { success: false, error: parseResult.error };
+            }
+            
+            var fromIndex = nodeArray.indexOf(link.nodeA);
+            var toIndex = nodeArray.indexOf(link.nodeB);
+            
+            if (fromIndex < 0 || toIndex < 0) {
+                return { success: false, error: 'Internal error: link references invalid node' };
+            }
+            
+            edges.push({
+                link: link,
+                from: fromIndex,
+                to: toIndex,
+                weight: parseResult.weight
+            });
+        }
+    }
+    
+    return { success: true, edges: edges, selfLoopLinks: selfLoopLinks };
+}
+
+// Read and check the graph for a spanning tree algorithm.
+// Returns { success, edges, selfLoopLinks, warnings } or { success: false, error }; a disconnected graph
+// is an error (flagged with disconnected: true) unless allowForest is set.
+function prepareSpanningTree(nodeArray, linkArray, allowForest) {
+    // Step 1: Extract and validate edges
+    var extracted = extractWeightedEdges(nodeArray, linkArray);
+    if (!extracted.success) {
+        return extracted;
+    }
+    var edges = extracted.edges;
+    var selfLoopLinks = extracted.selfLoopLinks;
+    var selfLoopCount = selfLoopLinks.length;
+    
+    // Step 2: Check for self-loops warning
+    var warnings = [];
+    if (selfLoopCount > 0) {
+        warnings.push(selfLoopCount + ' self-loop(s) will be removed (cannot be part of a spanning tree)');
+    }
+    
+    // Step 3: Check if we have enough nodes
+    if (nodeArray.length === 0) {
+        return { success: false, error: 'No nodes in the graph' };
+    }
+    
+    // Step 4: Check connectivity
+    if (!isGraphConnected(nodeArray.length, edges)) {
+        if (!allowForest) {
+            return { 
+                success: false, 
+                disconnected: true,
+                error: 'Graph is not connected. Cannot compute a Minimum Spanning Tree for a disconnected graph.' 
+            };
+        }
+        warnings.push('Graph is not connected: computing a minimum spanning forest (one tree per component)');
+    }
+    
+    return { success: true, edges: edges, selfLoopLinks: selfLoopLinks, warnings: warnings };
+}
+
+// Main MST computation function using Kruskal's algorithm.
+// With allowForest, a disconnected graph gets a minimum spanning forest instead of an error.
+// mstLinks and addedEdges ({ link, from, to, weight }) are listed in the order the edges were added.
+// The optional onStep callback is told each step, for playback: { type: 'sorted', edges }, then
+// { type: 'added' or 'rejected', edge } for every edge considered.
+function computeMST(nodeArray, linkArray, allowForest, onStep) {
+    var prepared = prepareSpanningTree(nodeArray, linkArray, allowForest);
+    if (!prepared.success) {
+        return prepared;
+    }
+    var edges = prepared.edges;
+    
+    // Step 5: Sort edges by weight (ascending)
+    edges.sort(function(a, b) {
+        return a.weight - b.weight;
+    });
+    if (onStep) {
+        onStep({ type: 'sorted', edges: edges });
+    }
+    
+    // Step 6: Kruskal's algorithm - greedily add edges
+    var uf = new UnionFind(nodeArray.length);
+    var mstEdges = [];
+    var addedEdges = [];
+    var nonMstEdges = [];
+    
+    for (var i = 0; i < edges.length; i++) {
+        var edge = edges[i];
+        if (uf.union(edge.from, edge.to)) {
+            // Edge added to MST (doesn't create cycle)
+            mstEdges.push(edge.link);
+            addedEdges.push(edge);
+            if (onStep) {
+                onStep({ type: 'added', edge: edge });
+            }
+        } else {
+            // Edge would create cycle - not in MST
+            nonMstEdges.push(edge.link);
+            if (onStep) {
+                onStep({ type: 'rejected', edge: edge });
+            }
+        }
+    }
+    
+    // Combine non-MST edges and self-loops for removal
+    var removedLinks = nonMstEdges.concat(prepared.selfLoopLinks);
+    
+    return { 
+        success: true, 
+        mstLinks: mstEdges,
+        removedLinks: removedLinks,
+        warnings: prepared.warnings,
+        addedEdges: addedEdges
+    };
+}
+
+// MST computation using Prim's algorithm, growing the tree from the start node.
+// Returns the same result shape as computeMST. With allowForest, each component that the tree
+// cannot reach starts a new tree at its first node.
+// The optional onStep callback is told each step, for playback: { type: 'start', node, edges } when a
+// tree is started (edges are all the graph's edges) and { type: 'added', edge, node } when an edge brings in node.
+function computePrimMST(nodeArray, linkArray, start, allowForest, onStep) {
+    var prepared = prepareSpanningTree(nodeArray, linkArray, allowForest);
+    if (!prepared.success) {
+        return prepared;
+    }
+    var edges = prepared.edges;
+    
+    var inTree = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        inTree.push(false);
+    }
+    inTree[start] = true;
+    var treeSize = 1;
+    var mstEdges = [];
+    var addedEdges = [];
+    if (onStep) {
+        onStep({ type: 'start', node: start, edges: edges });
+    }
+    
+    while (treeSize < nodeArray.length) {
+        // Cheapest edge with exactly one end in the tree
+        var best = null;
+        for (var i = 0; i < edges.length; i++) {
+            if (inTree[edges[i].from] !== inTree[edges[i].to] && (!best || edges[i].weight < best.weight)) {
+                best = edges[i];
+            }
+        }
+        
+        if (!best) {
+            // The rest of the graph is unreachable, start the next tree of the forest
+            var next = inTree.indexOf(false);
+            inTree[next] = true;
+            treeSize++;
+            if (onStep) {
+                onStep({ type: 'start', node: next, edges: edges });
+            }
+            continue;
+        }
+        
+        var added = inTree[best.from] ? best.to : best.from;
+        inTree[added] = true;
+        treeSize++;
+        mstEdges.push(best.link);
+        addedEdges.push(best);
+        if (onStep) {
+            onStep({ type: 'added', edge: best, node: added });
+        }
+    }
+    
+    var nonMstEdges = [];
+    for (var i = 0; i < edges.length; i++) {
+        if (mstEdges.indexOf(edges[i].link) === -1) {
+            nonMstEdges.push(edges[i].link);
+        }
+    }
+    
+    return {
+        success: true,
+        mstLinks: mstEdges,
+        removedLinks: nonMstEdges.concat(prepared.selfLoopLinks),
+        warnings: prepared.warnings,
+        addedEdges: addedEdges
+    };
+}
+
+// Calculate total weight of MST
+function calculateMSTWeight(mstLinks) {
+    var totalWeight = 0;
+    for (var i = 0; i < mstLinks.length; i++) {
+        var parseResult = parseEdgeWeight(mstLinks[i].text);
+        if (parseResult.valid) {
+            totalWeight += parseResult.weight;
+        }
+    }
+    return totalWeight;
+}
+
+// Name of an edge for playback narration, e.g. "A–B weight 3"
+function describeWeightedEdge(edge, labels) {
+    return labels[edge.from] + '–' + labels[edge.to] + ' weight ' + edge.weight;
+}
+
+// Record Kruskal's algorithm as playback events (see playback.js): one event per edge considered,
+// replayed from the steps computeMST reports
+function kruskalPlayback(nodeArray, linkArray, labels) {
+    var steps = [];
+    var result = computeMST(nodeArray, linkArray, true, function(step) {
+        steps.push(step);
+    });
+    if (!result.success) {
+        return result;
+    }
+
+    var recorder = new PlaybackRecorder();
+    var totalWeight = 0;
+    for (var s = 0; s < steps.length; s++) {
+        var step = steps[s];
+        var edge = step.edge;
+        if (step.type === 'sorted') {
+            recorder.record('Sort the edges by weight: ' + (step.edges.length > 0 ? step.edges.map(function(edge) {
+                return labels[edge.from] + '–' + labels[edge.to] + ' (' + edge.weight + ')';
+            }).join(', ') : 'there are no edges'));
+
+            for (var i = 0; i < linkArray.length; i++) {
+                if (linkArray[i] instanceof SelfLink) {
+                    recorder.markLink(linkArray[i], simColors.rejectedState);
+                    recorder.record('Skip the self-loop at ' + labels[nodeArray.indexOf(linkArray[i].node)] +
+                        ': it can never be part of a spanning tree');
+                }
+            }
+        } else if (step.type === 'added') {
+            totalWeight += edge.weight;
+            recorder.markLink(edge.link, simColors.acceptedState);
+            recorder.markState(edge.from, simColors.acceptedState);
+            recorder.markState(edge.to, simColors.acceptedState);
+            recorder.record('Consider edge ' + describeWeightedEdge(edge, labels) + ': accepted');
+        } else {
+            recorder.markLink(edge.link, simColors.rejectedState);
+            recorder.record('Consider edge ' + describeWeightedEdge(edge, labels) + ': rejected, it would close a cycle');
+        }
+    }
+
+    var summary = result.mstLinks.length + ' edge(s), total weight ' + totalWeight;
+    if (nodeArray.length > 1 && result.mstLinks.length < nodeArray.length - 1) {
+        recorder.record('Done: the graph is not connected, so the accepted edges form a spanning forest (' + summary + ')');
+    } else {
+        recorder.record('Done: the minimum spanning tree has ' + summary);
+    }
+
+    return {
+        success: true,
+        title: "Kruskal's algorithm",
+        events: recorder.events,
+        summary: summary,
+        keepLinks: result.mstLinks
+    };
+}
+
+// Record Prim's algorithm as playback events (see playback.js), replayed from the steps computePrimMST
+// reports: the tree grows from start by the cheapest edge leaving it. Edges leaving the tree are shown
+// as candidates. On a disconnected graph a new tree is started in each component the tree cannot reach.
+function primPlayback(nodeArray, linkArray, labels, start) {
+    var steps = [];
+    var result = computePrimMST(nodeArray, linkArray, start, true, function(step) {
+        steps.push(step);
+    });
+    if (!result.success) {
+        return result;
+    }
+
+    var edges = steps[0].edges;
+    var inTree = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        inTree.push(false);
+    }
+    var mstLinks = [];
+    var totalWeight = 0;
+
+    var recorder = new PlaybackRecorder();
+
+    // Color candidate edges leaving the tree, and edges that ended up inside it without being chosen
+    function markCandidates() {
+        for (var e = 0; e < edges.length; e++) {
+            if (mstLinks.indexOf(edges[e].link) !== -1) {
+                continue;
+            }
+            var inside = inTree[edges[e].from] + inTree[edges[e].to];
+            if (inside === 1) {
+                recorder.markLink(edges[e].link, simColors.nfaSecondary);
+            } else if (inside === 2) {
+                recorder.markLink(edges[e].link, simColors.rejectedState);
+            }
+        }
+    }
+
+    for (var s = 0; s < steps.length; s++) {
+        var step = steps[s];
+        inTree[step.node] = true;
+        recorder.markState(step.node, simColors.acceptedState);
+        if (step.type === 'added') {
+            mstLinks.push(step.edge.link);
+            totalWeight += step.edge.weight;
+            recorder.markLink(step.edge.link, simColors.acceptedState);
+        }
+        markCandidates();
+
+        if (step.type === 'added') {
+            recorder.record('Add edge ' + describeWeightedEdge(step.edge, labels) + ', the cheapest edge leaving the tree, bringing in ' + labels[step.node]);
+        } else if (s === 0) {
+            recorder.record('Start the tree at ' + labels[step.node] + '; candidate edges leaving the tree are shown in gold');
+        } else {
+            recorder.record('No edge leaves the tree, so the graph is not connected: start a new tree at ' + labels[step.node]);
+        }
+    }
+
+    var summary = mstLinks.length + ' edge(s), total weight ' + totalWeight;
+    if (mstLinks.length < nodeArray.length - 1) {
+        recorder.record('Done: the trees form a minimum spanning forest (' + summary + ')');
+    } else {
+        recorder.record('Done: the minimum spanning tree has ' + summary);
+    }
+
+    return {
+        success: true,
+        title: "Prim's algorithm from " + labels[start],
+        events: recorder.events,
+        summary: summary,
+        keepLinks: mstLinks
+    };
+}
+
+// Main UI handler function - called when user clicks button or presses Ctrl+T
+function applyMST() {
+    // Check for empty graph
+    if (nodes.length === 0) {
+        alert('Cannot compute MST: No nodes in the graph.');
+        return;
+    }
+    
+    // Check for directed mode
+    if (directed) {
+        alert('Warning: MST is typically computed on undirected graphs.\n\nThe algorithm will treat edges as undirected for this calculation.');
+    }
+    
+    // Compute MST with the algorithm chosen next to the MST button
+    var select = document.getElementById('mstAlgorithm');
+    var usePrim = select && select.value === 'prim';
+    var labels = generateNodeLabels();
+    var start = -1;
+    if (usePrim) {
+        var source = getSourceNode(labels);
+        if (source.error) {
+            alert('Cannot compute MST: ' + source.error);
+            return;
+        }
+        start = source.index;
+    }
+    
+    function compute(allowForest) {
+        return usePrim ? computePrimMST(nodes, links, start, allowForest) : computeMST(nodes, links, allowForest);
+    }
+    var result = compute(false);
+    
+    // A disconnected graph has no spanning tree, but each component has one
+    if (!result.success && result.disconnected) {
+        if (!confirm('The graph is not connected, so it has no spanning tree.\n\n' +
+            'Do you want to compute a minimum spanning forest instead (one tree per component)?')) {
+            return; // User cancelled
+        }
+        result = compute(true);
+    }
+    
+    if (!result.success) {
+        alert('Cannot compute MST:\n\n' + result.error);
+        return;
+    }
+    var isForest = result.mstLinks.length < nodes.length - 1;
+    var treeName = isForest ? 'spanning forest' : 'MST';
+    
+    // Build confirmation message
+    var message = '';
+    
+    if (result.warnings.length > 0) {
+        message += 'Warnings:\n';
+        for (var i = 0; i < result.warnings.length; i++) {
+            message += '• ' + result.warnings[i] + '\n';
+        }
+        message += '\n';
+    }
+    
+    var totalWeight = calculateMSTWeight(result.mstLinks);
+    
+    message += (isForest ? 'Minimum spanning forest' : 'MST') + ' computed successfully!\n\n';
+    message += '• Algorithm: ' + (usePrim ? "Prim's, starting at " + labels[start] : "Kruskal's") + '\n';
+    message += '• Edges in ' + treeName + ': ' + result.mstLinks.length + '\n';
+    message += '• Edges to remove: ' + result.removedLinks.length + '\n';
+    message += '• Total ' + treeName + ' weight: ' + totalWeight + '\n\n';
+    if (result.addedEdges.length > 0) {
+        message += 'Edges in the order they were added:\n';
+        for (var i = 0; i < result.addedEdges.length; i++) {
+            message += (i + 1) + '. ' + describeWeightedEdge(result.addedEdges[i], labels) + '\n';
+        }
+        message += '\n';
+    }
+    message += 'Do you want to apply the ' + treeName + ' (remove the other edges)?';
+    
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+    
+    // Save state for undo
+    saveState();
+    
+    // Remove non-MST edges
+    var mstSet = [];
+    for (var i = 0; i < result.mstLinks.length; i++) {
+        mstSet.push(result.mstLinks[i]);
+    }
+    
+    var newLinks = [];
+    for (var i = 0; i < links.length; i++) {
+        var link = links[i];
+        
+        // Keep StartLinks (not part of MST calculation)
+        if (link instanceof StartLink) {
+            newLinks.push(link);
+            continue;
+        }
+        
+        // Check if link is in MST
+        var inMST = false;
+        for (var j = 0; j < mstSet.length; j++) {
+            if (link === mstSet[j]) {
+                inMST = true;
+                break;
+            }
+        }
+        
+        if (inMST) {
+            newLinks.push(link);
+        }
+    }
+    
+    links = newLinks;
+    selectedObject = null;
+    draw();
+    
+    alert((isForest ? 'Spanning forest' : 'MST') + ' applied! ' + result.removedLinks.length + ' edge(s) removed.\n\nYou can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UnionFind: UnionFind,
+        parseEdgeWeight: parseEdgeWeight,
+        isGraphConnected: isGraphConnected,
+        computeMST: computeMST,
+        computePrimMST: computePrimMST,
+        calculateMSTWeight: calculateMSTWeight,
+        kruskalPlayback: kruskalPlayback,
+        primPlayback: primPlayback
+    };
+}
+
+// Product Constructions for FSM Designer
+// Union, intersection, difference and symmetric difference of two machines,
+// plus the complement of a single machine
+
+// Largest product DFA we are willing to draw on the canvas
+var maxProductStates = 100;
+
+// How each operation decides acceptance from the two component states
+var productOperations = {
+    intersection: { name: 'Intersection', accepts: function(a, b) { return a && b; } },
+    union: { name: 'Union', accepts: function(a, b) { return a || b; } },
+    difference: { name: 'Difference', accepts: function(a, b) { return a && !b; } },
+    symmetric: { name: 'Symmetric difference', accepts: function(a, b) { return a !== b; } }
+};
+
+// Make a machine a complete DFA over the given alphabet (determinizing and adding a trap state if needed)
+function completeAutomaton(automaton, alphabet) {
+    var dfa = automaton;
+    if (!isDeterministic(automaton)) {
+        var determinized = determinizeAutomaton(automaton);
+        if (!determinized.success) {
+            return determinized;
+        }
+        dfa = determinized.dfa;
+    }
+
+    var complete = {
+        labels: dfa.labels.slice(),
+        start: dfa.start,
+        accepting: dfa.accepting.slice(),
+        alphabet: alphabet.slice(),
+        transitions: []
+    };
+    var trap = -1;
+    for (var i = 0; i < dfa.labels.length; i++) {
+        var row = {};
+        for (var a = 0; a < alphabet.length; a++) {
+            var targets = dfa.transitions[i][alphabet[a]];
+            if (targets && targets.length === 1) {
+                row[alphabet[a]] = [targets[0]];
+            } else {
+                if (trap === -1) {
+                    trap = dfa.labels.length;
+                }
+                row[alphabet[a]] = [trap];
+            }
+        }
+        complete.transitions.push(row);
+    }
+
+    if (trap !== -1) {
+        complete.labels.push(freshTrapLabel(complete.labels));
+        complete.accepting.push(false);
+        var trapRow = {};
+        for (var a = 0; a < alphabet.length; a++) {
+            trapRow[alphabet[a]] = [trap];
+        }
+        complete.transitions.push(trapRow);
+    }
+
+    return { success: true, dfa: complete, addedTrap: trap !== -1 };
+}
+
+// Build the reachable part of the product DFA for one of the productOperations
+function productAutomaton(automatonA, automatonB, operation) {
+    if (!productOperations[operation]) {
+        return { success: false, error: 'Unknown operation "' + operation + '".' };
+    }
+    if (automatonA.start < 0 || automatonB.start < 0) {
+        return { success: false, error: 'Both machines need a start state.' };
+    }
+
+    var alphabet = unionAlphabet(automatonA.alphabet, automatonB.alphabet);
+    var completeA = completeAutomaton(automatonA, alphabet);
+    var completeB = completeAutomaton(automatonB, alphabet);
+    if (!completeA.success) return completeA;
+    if (!completeB.success) return completeB;
+    var A = completeA.dfa;
+    var B = completeB.dfa;
+
+    var product = {
+        labels: [],
+        start: 0,
+        accepting: [],
+        alphabet: alphabet,
+        transitions: []
+    };
+    var indexByKey = {};
+    var pairs = [];
+
+    function addPair(p, q) {
+        var key = p + ',' + q;
+        if (indexByKey.hasOwnProperty(key)) {
+            return indexByKey[key];
+        }
+        indexByKey[key] = pairs.length;
+        pairs.push([p, q]);
+        product.labels.push('(' + A.labels[p] + ',' + B.labels[q] + ')');
+        product.accepting.push(productOperations[operation].accepts(A.accepting[p], B.accepting[q]));
+        product.transitions.push({});
+        return pairs.length - 1;
+    }
+
+    addPair(A.start, B.start);
+    for (var k = 0; k < pairs.length; k++) {
+        if (pairs.length > maxProductStates) {
+            return {
+                success: false,
+                error: 'The product would have more than ' + maxProductStates + ' states, which is too many to draw.'
+            };
+        }
+        for (var a = 0; a < alphabet.length; a++) {
+            var nextA = A.transitions[pairs[k][0]][alphabet[a]][0];
+            var nextB = B.transitions[pairs[k][1]][alphabet[a]][0];
+            product.transitions[k][alphabet[a]] = [addPair(nextA, nextB)];
+        }
+    }
+
+    return { success: true, dfa: product };
+}
+
+// Complement a machine: complete it as a DFA, then swap accepting and non-accepting states
+function complementAutomaton(automaton) {
+    if (automaton.start < 0) {
+        return { success: false, error: 'No start state defined.' };
+    }
+
+    var result = completeAutomaton(automaton, automaton.alphabet);
+    if (!result.success) {
+        return result;
+    }
+    result.dfa.accepting = result.dfa.accepting.map(function(accepting) {
+        return !accepting;
+    });
+    return result;
+}
+
+// Called from the compare modal - combine the canvas machine with the second machine
+function applyProduct(useReference) {
+    hideCompareMessage();
+
+    var operation = document.getElementById('productOperation').value;
+    if (nodes.length === 0) {
+        showCompareMessage('The canvas is empty - draw or import a machine first.', true);
+        return;
+    }
+    var canvasAutomaton = automatonFromCanvas(nodes, links);
+    if (canvasAutomaton.start === -1) {
+        showCompareMessage('The canvas machine has no start state.', true);
+        return;
+    }
+
+    var second = readSecondMachine(useReference);
+    if (!second.success) {
+        showCompareMessage('Error: ' + second.error, true);
+        return;
+    }
+
+    var result = productAutomaton(canvasAutomaton, second.automaton, operation);
+    if (!result.success) {
+        showCompareMessage('Error: ' + result.error, true);
+        return;
+    }
+
+    hideCompareModal();
+    replaceCanvasWithAutomaton(result.dfa);
+
+    alert(productOperations[operation].name + ' applied! The product DFA has ' + result.dfa.labels.length + ' state(s).\n\nYou can press Ctrl+Z to undo.');
+}
+
+// Main UI handler function - called when user clicks the Complement button
+function applyComplement() {
+    if (nodes.length === 0) {
+        alert('Cannot complement: No states in the FSM.');
+        return;
+    }
+
+    var automaton = automatonFromCanvas(nodes, links);
+    if (automaton.start === -1) {
+        alert('Cannot complement: No start state defined.\n\nAdd a start arrow by shift-dragging from empty space to a state.');
+        return;
+    }
+
+    var result = complementAutomaton(automaton);
+    if (!result.success) {
+        alert('Cannot complement:\n\n' + result.error);
+        return;
+    }
+
+    var message = '';
+    if (!isDeterministic(automaton)) {
+        message += 'Note: the machine is nondeterministic, so it is determinized first.\n\n';
+    }
+    if (result.addedTrap) {
+        message += 'Note: missing transitions now go to a new "' + result.dfa.labels[result.dfa.labels.length - 1] + '" state, which becomes accepting.\n\n';
+    }
+    message += 'Complement DFA has ' + result.dfa.labels.length + ' state(s).\n\n';
+    message += 'Do you want to replace the canvas with the complement?';
+
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    replaceCanvasWithAutomaton(result.dfa);
+
+    alert('Complement applied!\n\nYou can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        completeAutomaton: completeAutomaton,
+        productAutomaton: productAutomaton,
+        complementAutomaton: complementAutomaton
+    };
+}
+
+// Regular Expression to NFA for FSM Designer
+// Parses a regular expression and builds an epsilon-NFA with Thompson's construction
+//
+// Supported syntax:
+//   a        any other single character is a literal symbol
+//   {ab}     a multi-character symbol (\} and \\ stand for } and \ inside the braces)
+//   \|       an escaped operator character is a literal symbol
+//   r|s      union
+//   rs       concatenation
+//   r*       Kleene star
+//   r+       one or more
+//   r?       optional
+//   (r)      grouping
+//   ε        the empty string (also \epsilon or ())
+//   ∅        the empty language (also \emptyset)
+
+// Parse a regular expression into a syntax tree
+function parseRegex(text) {
+    var tokens = tokenizeRegex(text);
+    var position = 0;
+
+    function peek() {
+        return position < tokens.length ? tokens[position] : null;
+    }
+
+    function parseUnion() {
+        var left = parseConcat();
+        while (peek() && peek().type === '|') {
+            position++;
+            left = { type: 'union', left: left, right: parseConcat() };
+        }
+        return left;
+    }
+
+    function parseConcat() {
+        var parts = [];
+        while (peek() && peek().type !== '|' && peek().type !== ')') {
+            parts.push(parseRepeat());
+        }
+        if (parts.length === 0) {
+            return { type: 'epsilon' };
+        }
+        var result = parts[0];
+        for (var i = 1; i < parts.length; i++) {
+            result = { type: 'concat', left: result, right: parts[i] };
+        }
+        return result;
+    }
+
+    function parseRepeat() {
+        var atom = parseAtom();
+        while (peek() && (peek().type === '*' || peek().type === '+' || peek().type === '?')) {
+            var op = tokens[position++].type;
+            atom = { type: op === '*' ? 'star' : (op === '+' ? 'plus' : 'optional'), child: atom };
+        }
+        return atom;
+    }
+
+    function parseAtom() {
+        var token = peek();
+        if (token.type === 'symbol') {
+            position++;
+            return { type: 'symbol', symbol: token.value };
+        }
+        if (token.type === 'epsilon') {
+            position++;
+            return { type: 'epsilon' };
+        }
+        if (token.type === 'empty') {
+            position++;
+            return { type: 'empty' };
+        }
+        if (token.type === '(') {
+            position++;
+            var inner = parseUnion();
+            if (!peek() || peek().type !== ')') {
+                throw new Error('Missing closing parenthesis.');
+            }
+            position++;
+            return inner;
+        }
+        throw new Error("Unexpected '" + token.type + "' at position " + (token.index + 1) + '.');
+    }
+
+    if (tokens.length === 0) {
+        throw new Error('Please enter a regular expression.');
+    }
+
+    var tree = parseUnion();
+    if (position < tokens.length) {
+        throw new Error("Unexpected '" + tokens[position].type + "' at position " + (tokens[position].index + 1) + '.');
+    }
+    return tree;
+}
+
+// Split a regular expression into tokens, skipping whitespace
+function tokenizeRegex(text) {
+    var tokens = [];
+    var i = 0;
+    while (i < text.length) {
+        var c = text[i];
+        if (c === ' ' || c === '\t') {
+            i++;
+        } else if ('|*+?()'.indexOf(c) !== -1) {
+            tokens.push({ type: c, index: i });
+            i++;
+        } else if (c === '\\') {
+            // Backslash commands such as \epsilon, or an escaped operator character
+            var command = text.substring(i + 1).match(/^[a-zA-Z]+/);
+            if (command && isEpsilonSymbol('\\' + command[0])) {
+                tokens.push({ type: 'epsilon', index: i });
+                i += command[0].length + 1;
+            } else if (command && command[0] === 'emptyset') {
+                tokens.push({ type: 'empty', index: i });
+                i += command[0].length + 1;
+            } else if (i + 1 < text.length) {
+                tokens.push({ type: 'symbol', value: text[i + 1], index: i });
+                i += 2;
+            } else {
+                throw new Error('Trailing backslash at the end of the expression.');
+            }
+        } else if (c === '{') {
+            // A multi-character symbol runs to the closing brace
+            var symbol = '';
+            var j = i + 1;
+            while (j < text.length && text[j] !== '}') {
+                if (text[j] === '\\' && (text[j + 1] === '}' || text[j + 1] === '\\')) {
+                    j++;
+                }
+                symbol += text[j];
+                j++;
+            }
+            if (j >= text.length) {
+                throw new Error('Missing closing brace.');
+            }
+            if (symbol === '') {
+                throw new Error('Empty braces at position ' + (i + 1) + '.');
+            }
+            tokens.push({ type: 'symbol', value: symbol, index: i });
+            i = j + 1;
+        } else if (c === '}') {
+            throw new Error("Unexpected '}' at position " + (i + 1) + '.');
+        } else if (c === '∅') {
+            tokens.push({ type: 'empty', index: i });
+            i++;
+        } else if (isEpsilonSymbol(c)) {
+            tokens.push({ type: 'epsilon', index: i });
+            i++;
+        } else if (c === ',') {
+            throw new Error('Commas are reserved for transition labels and cannot be used as symbols.');
+        } else {
+            tokens.push({ type: 'symbol', value: c, index: i });
+            i++;
+        }
+    }
+    return tokens;
+}
+
+// Build an epsilon-NFA from a syntax tree using Thompson's construction
+function thompsonConstruct(tree) {
+    var transitions = [];
+    var alphabet = [];
+
+    function newState() {
+        transitions.push({});
+        return transitions.length - 1;
+    }
+
+    function addTransition(from, symbol, to) {
+        if (!transitions[from][symbol]) {
+            transitions[from][symbol] = [];
+        }
+        transitions[from][symbol].push(to);
+    }
+
+    // Each fragment has a single entry and a single exit state
+    function build(node) {
+        var start, accept, inner, left, right;
+        switch (node.type) {
+            case 'symbol':
+                start = newState();
+                accept = newState();
+                addTransition(start, node.symbol, accept);
+                if (alphabet.indexOf(node.symbol) === -1) {
+                    alphabet.push(node.symbol);
+                }
+                break;
+            case 'epsilon':
+                start = newState();
+                accept = newState();
+                addTransition(start, EPSILON, accept);
+                break;
+            case 'empty':
+                // No path from entry to exit
+                start = newState();
+                accept = newState();
+                break;
+            case 'concat':
+                left = build(node.left);
+                right = build(node.right);
+                addTransition(left.accept, EPSILON, right.start);
+                start = left.start;
+                accept = right.accept;
+                break;
+            case 'union':
+                start = newState();
+                left = build(node.left);
+                right = build(node.right);
+                accept = newState();
+                addTransition(start, EPSILON, left.start);
+                addTransition(start, EPSILON, right.start);
+                addTransition(left.accept, EPSILON, accept);
+                addTransition(right.accept, EPSILON, accept);
+                break;
+            case 'star':
+            case 'plus':
+            case 'optional':
+                start = newState();
+                inner = build(node.child);
+                accept = newState();
+                addTransition(start, EPSILON, inner.start);
+                addTransition(inner.accept, EPSILON, accept);
+                if (node.type !== 'plus') {
+                    addTransition(start, EPSILON, accept); // zero occurrences
+                }
+                if (node.type !== 'optional') {
+                    addTransition(inner.accept, EPSILON, inner.start); // repeat
+                }
+                break;
+        }
+        return { start: start, accept: accept };
+    }
+
+    var fragment = build(tree);
+    return renumberFromStart({
+        labels: [],
+        start: fragment.start,
+        accepting: transitions.map(function(t, i) { return i === fragment.accept; }),
+        alphabet: alphabet.sort(),
+        transitions: transitions
+    });
+}
+
+// Renumber states in breadth-first order from the start and name them q0, q1, ...
+function renumberFromStart(automaton) {
+    var order = [automaton.start];
+    for (var k = 0; k < order.length; k++) {
+        var row = automaton.transitions[order[k]];
+        for (var symbol in row) {
+            for (var t = 0; t < row[symbol].length; t++) {
+                if (order.indexOf(row[symbol][t]) === -1) {
+                    order.push(row[symbol][t]);
+                }
+            }
+        }
+    }
+
+    var renumbered = {
+        labels: [],
+        start: 0,
+        accepting: [],
+        alphabet: automaton.alphabet,
+        transitions: []
+    };
+    for (var i = 0; i < order.length; i++) {
+        var oldRow = automaton.transitions[order[i]];
+        var newRow = {};
+        for (var symbol in oldRow) {
+            newRow[symbol] = oldRow[symbol].map(function(s) {
+                return order.indexOf(s);
+            });
+        }
+        renumbered.labels.push('q' + i);
+        renumbered.accepting.push(automaton.accepting[order[i]]);
+        renumbered.transitions.push(newRow);
+    }
+    return renumbered;
+}
+
+// Convert a regular expression string into an epsilon-NFA
+function regexToNFA(text) {
+    return thompsonConstruct(parseRegex(text));
+}
+
+// Main UI handler function - called when user clicks the Regex to NFA button
+function applyRegexToNFA() {
+    var inputField = document.getElementById('regexInput');
+    var text = inputField ? inputField.value : '';
+
+    var nfa;
+    try {
+        nfa = regexToNFA(text);
+    } catch (e) {
+        alert('Cannot build NFA:\n\n' + e.message);
+        return;
+    }
+
+    if (nodes.length > 0) {
+        var message = 'Thompson construction complete!\n\n';
+        message += '• NFA states: ' + nfa.labels.length + '\n';
+        message += '• Alphabet: {' + nfa.alphabet.join(', ') + '}\n\n';
+        message += 'Do you want to replace the canvas with the NFA?';
+        if (!confirm(message)) {
+            return; // User cancelled
+        }
+    }
+
+    replaceCanvasWithAutomaton(nfa);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseRegex: parseRegex,
+        thompsonConstruct: thompsonConstruct,
+        regexToNFA: regexToNFA
+    };
+}
+
+// Strongly Connected Components and Topological Sort for FSM Designer
+// Tarjan's algorithm, the condensation DAG and Kahn's topological sort on directed graphs
+//
+// All functions here read the graph as an adjacency matrix from buildAdjacencyMatrix, so they see
+// exactly the edges the matrix export shows.
+
+// Colors given to the components on the canvas, reused when there are more components
+var componentColors = ['#E53935', '#1E88E5', '#43A047', '#FB8C00', '#8E24AA', '#00ACC1', '#F06292', '#7CB342', '#6D4C41', '#FDD835'];
+
+// Successors of every node, in index order
+function successorLists(matrix) {
+    var successors = [];
+    for (var i = 0; i < matrix.length; i++) {
+        successors.push([]);
+        for (var j = 0; j < matrix.length; j++) {
+            if (matrix[i][j] > 0) {
+                successors[i].push(j);
+            }
+        }
+    }
+    return successors;
+}
+
+// Tarjan's algorithm. Returns the components (lists of node indices in index order) in topological
+// order of the condensation: no edge leads from a component to an earlier one.
+function stronglyConnectedComponents(matrix) {
+    var successors = successorLists(matrix);
+    var n = matrix.length;
+    var index = [];
+    var lowLink = [];
+    var onStack = [];
+    for (var i = 0; i < n; i++) {
+        index.push(-1);
+        lowLink.push(0);
+        onStack.push(false);
+    }
+
+    var counter = 0;
+    var stack = [];
+    var components = [];
+
+    function connect(v) {
+        index[v] = lowLink[v] = counter++;
+        stack.push(v);
+        onStack[v] = true;
+
+        for (var k = 0; k < successors[v].length; k++) {
+            var w = successors[v][k];
+            if (index[w] === -1) {
+                connect(w);
+                lowLink[v] = Math.min(lowLink[v], lowLink[w]);
+            } else if (onStack[w]) {
+                lowLink[v] = Math.min(lowLink[v], index[w]);
+            }
+        }
+
+        // v is the root of a component: pop it off the stack
+        if (lowLink[v] === index[v]) {
+            var component = [];
+            var w;
+            do {
+                w = stack.pop();
+                onStack[w] = false;
+                component.push(w);
+            } while (w !== v);
+            components.push(component.sort(function(a, b) { return a - b; }));
+        }
+    }
+
+    for (var v = 0; v < n; v++) {
+        if (index[v] === -1) {
+            connect(v);
+        }
+    }
+
+    // Tarjan finds the components in reverse topological order
+    return components.reverse();
+}
+
+// Component number of every node
+function componentIndex(components, nodeCount) {
+    var component = [];
+    for (var i = 0; i < nodeCount; i++) {
+        component.push(-1);
+    }
+    for (var c = 0; c < components.length; c++) {
+        for (var k = 0; k < components[c].length; k++) {
+            component[components[c][k]] = c;
+        }
+    }
+    return component;
+}
+
+// Build the condensation DAG as an abstract automaton (see automaton.js): one state per component,
+// named after its members ("{a,b}"), and one arrow per pair of components with an edge between them, labelled
+// with the labels of those edges. A component is accepting if any of its members is.
+function buildCondensation(components, nodeArray, linkArray, labels, start) {
+    var component = componentIndex(components, nodeArray.length);
+    var condensation = {
+        labels: [],
+        start: start >= 0 ? component[start] : -1,
+        accepting: [],
+        alphabet: [],
+        transitions: []
+    };
+
+    for (var c = 0; c < components.length; c++) {
+        var members = components[c].map(function(i) { return labels[i]; });
+        condensation.labels.push(members.length === 1 ? members[0] : '{' + members.join(',') + '}');
+        condensation.accepting.push(components[c].some(function(i) { return nodeArray[i].isAcceptState; }));
+        condensation.transitions.push({});
+    }
+
+    // Collect the edge labels between each pair of components
+    var edgeTexts = {};
+    var edgeOrder = [];
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        if (!(link instanceof Link)) {
+            continue; // Self-loops stay inside their component
+        }
+        var from = component[nodeArray.indexOf(link.nodeA)];
+        var to = component[nodeArray.indexOf(link.nodeB)];
+        if (from === to) {
+            continue;
+        }
+        var key = from + '>' + to;
+        if (!edgeTexts[key]) {
+            edgeTexts[key] = [];
+            edgeOrder.push({ from: from, to: to, key: key });
+        }
+        var text = link.text ? link.text.trim() : '';
+        if (text !== '' && edgeTexts[key].indexOf(text) === -1) {
+            edgeTexts[key].push(text);
+        }
+    }
+
+    for (var e = 0; e < edgeOrder.length; e++) {
+        var edge = edgeOrder[e];
+        var symbol = edgeTexts[edge.key].join(', ');
+        var row = condensation.transitions[edge.from];
+        if (!row[symbol]) {
+            row[symbol] = [];
+        }
+        row[symbol].push(edge.to);
+        if (symbol !== '' && condensation.alphabet.indexOf(symbol) === -1) {
+            condensation.alphabet.push(symbol);
+        }
+    }
+
+    return condensation;
+}
+
+// Kahn's algorithm, taking the node with the smallest label (see compareLabels in traversal.js)
+// whenever there is a choice; equal labels keep the node order.
+// Returns { order } with all nodes, or { cycle } with the nodes of a directed cycle in order.
+function topologicalSort(matrix, labels) {
+    var n = matrix.length;
+    var inDegree = [];
+    var removed = [];
+    for (var j = 0; j < n; j++) {
+        inDegree.push(0);
+        removed.push(false);
+        for (var i = 0; i < n; i++) {
+            inDegree[j] += matrix[i][j];
+        }
+    }
+
+    var order = [];
+    while (order.length < n) {
+        var next = -1;
+        for (var i = 0; i < n; i++) {
+            if (!removed[i] && inDegree[i] === 0 && (next === -1 || compareLabels(labels[i], labels[next]) < 0)) {
+                next = i;
+            }
+        }
+        if (next === -1) {
+            return { cycle: findRemainingCycle(matrix, removed) };
+        }
+
+        removed[next] = true;
+        order.push(next);
+        for (var j = 0; j < n; j++) {
+            inDegree[j] -= matrix[next][j];
+        }
+    }
+
+    return { order: order };
+}
+
+// Find a cycle among the nodes Kahn's algorithm could not remove. Each of them still has a
+// predecessor among them, so walking backwards must eventually repeat a node.
+function findRemainingCycle(matrix, removed) {
+    var v = removed.indexOf(false);
+    var walk = [];
+    var position = {};
+    while (position[v] === undefined) {
+        position[v] = walk.length;
+        walk.push(v);
+        for (var u = 0; u < matrix.length; u++) {
+            if (!removed[u] && matrix[u][v] > 0) {
+                v = u;
+                break;
+            }
+        }
+    }
+    // Start the cycle at its first node
+    var cycle = walk.slice(position[v]).reverse();
+    var first = cycle.indexOf(Math.min.apply(null, cycle));
+    return cycle.slice(first).concat(cycle.slice(0, first));
+}
+
+// Find the link drawn from one node to another (a self-loop if they are the same)
+function findLinkBetween(from, to) {
+    for (var i = 0; i < links.length; i++) {
+        var link = links[i];
+        if (from === to ? (link instanceof SelfLink && link.node === nodes[from]) :
+            (link instanceof Link && link.nodeA === nodes[from] && link.nodeB === nodes[to])) {
+            return link;
+        }
+    }
+    return null;
+}
+
+// Main UI handler function - called when user clicks SCC.
+// Colors each component and offers to collapse them into the condensation DAG.
+function applySCC() {
+    if (nodes.length === 0) {
+        alert('Cannot find components: No nodes in the graph.');
+        return;
+    }
+    if (!directed) {
+        alert('Cannot find strongly connected components: The graph is undirected.\n\nTurn on "Directed Links" first.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var components = stronglyConnectedComponents(buildAdjacencyMatrix(labels));
+    var component = componentIndex(components, nodes.length);
+
+    // Color every node and every edge inside a component with the component's color
+    var states = [];
+    for (var i = 0; i < nodes.length; i++) {
+        states.push({ index: i, color: componentColors[component[i] % componentColors.length], note: 'C' + (component[i] + 1) });
+    }
+    var linkHighlights = [];
+    for (var i = 0; i < links.length; i++) {
+        var link = links[i];
+        var from, to;
+        if (link instanceof Link) {
+            from = component[nodes.indexOf(link.nodeA)];
+            to = component[nodes.indexOf(link.nodeB)];
+        } else if (link instanceof SelfLink) {
+            from = to = component[nodes.indexOf(link.node)];
+        } else {
+            continue;
+        }
+        if (from === to) {
+            linkHighlights.push({ link: link, color: componentColors[from % componentColors.length] });
+        }
+    }
+    showAlgorithmHighlight(states, linkHighlights);
+
+    var message = 'Strongly connected components: ' + components.length + '\n\n';
+    for (var c = 0; c < components.length; c++) {
+        message += '• C' + (c + 1) + ': {' + components[c].map(function(i) { return labels[i]; }).join(', ') + '}\n';
+    }
+
+    if (components.length === nodes.length) {
+        alert(message + '\nEvery node is its own component, so the graph is already a DAG. Click the canvas to clear the highlight.');
+        return;
+    }
+
+    message += '\nThe components are numbered in topological order. Do you want to collapse them into the condensation DAG?';
+    if (!confirm(message)) {
+        return; // User cancelled, keep the coloring
+    }
+
+    clearAlgorithmHighlight();
+    replaceCanvasWithAutomaton(buildCondensation(components, nodes, links, labels, findStartState(nodes, links)));
+
+    alert('Condensation DAG applied! ' + components.length + ' component(s).\n\nYou can press Ctrl+Z to undo.');
+}
+
+// Main UI handler function - called when user clicks Topological Sort.
+// Numbers the nodes in topological order, or highlights a cycle that prevents one.
+function applyTopologicalSort() {
+    if (nodes.length === 0) {
+        alert('Cannot sort: No nodes in the graph.');
+        return;
+    }
+    if (!directed) {
+        alert('Cannot sort: The graph is undirected.\n\nTurn on "Directed Links" first.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var result = topologicalSort(buildAdjacencyMatrix(labels), labels);
+
+    if (result.cycle) {
+        var cycle = result.cycle;
+        var cycleLinks = [];
+        for (var k = 0; k < cycle.length; k++) {
+            var link = findLinkBetween(cycle[k], cycle[(k + 1) % cycle.length]);
+            if (link) {
+                cycleLinks.push({ link: link, color: simColors.rejectedState });
+            }
+        }
+        showAlgorithmHighlight(cycle.map(function(i) {
+            return { index: i, color: simColors.rejectedState };
+        }), cycleLinks);
+        alert('No topological order exists: the graph has a cycle.\n\n' +
+            cycle.concat([cycle[0]]).map(function(i) { return labels[i]; }).join(' → ') +
+            '\n\nThe cycle is highlighted in red. Click the canvas to clear the highlight.');
+        return;
+    }
+
+    showAlgorithmHighlight(result.order.map(function(i, position) {
+        return { index: i, color: simColors.acceptedState, note: '#' + (position + 1) };
+    }), []);
+
+    var latex = '% Topological order\n\\begin{enumerate}\n';
+    for (var k = 0; k < result.order.length; k++) {
+        latex += '    \\item $' + escapeLaTeX(labels[result.order[k]]) + '$\n';
+    }
+    latex += '\\end{enumerate}\n';
+    output(latex);
+
+    alert('Topological order:\n\n' + result.order.map(function(i) { return labels[i]; }).join(', ') +
+        '\n\nEvery edge leads from an earlier node to a later one. The nodes are numbered on the canvas; click it to clear the highlight.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        stronglyConnectedComponents: stronglyConnectedComponents,
+        buildCondensation: buildCondensation,
+        topologicalSort: topologicalSort
+    };
+}
+
+// Shortest Path Algorithms for FSM Designer
+// Dijkstra's algorithm for non-negative weights, Bellman-Ford when some weights are negative
+
+// Read the weighted edges of the graph. Undirected graphs get one edge in each direction.
+// Each edge is { link, from, to, weight }; self-loops are kept since a negative one is a negative cycle.
+function buildWeightedEdges(nodeArray, linkArray, isDirected) {
+    var edges = [];
+
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        var from, to;
+        if (link instanceof Link) {
+            from = nodeArray.indexOf(link.nodeA);
+            to = nodeArray.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            from = to = nodeArray.indexOf(link.node);
+        } else {
+            continue; // StartLinks are not edges
+        }
+
+        var parseResult = parseEdgeWeight(link.text);
+        if (!parseResult.valid) {
+            return { success: false, error: parseResult.error };
+        }
+
+        edges.push({ link: link, from: from, to: to, weight: parseResult.weight });
+        if (!isDirected && from !== to) {
+            edges.push({ link: link, from: to, to: from, weight: parseResult.weight });
+        }
+    }
+
+    return { success: true, edges: edges };
+}
+
+// Dijkstra's algorithm (array-based, fine for hand-drawn graphs).
+// Returns distances, the edge used to reach each node (pred) and the order nodes were settled in.
+// The optional onStep callback is told each step, for playback: { type: 'settle', node, edge } with
+// the edge the node was reached by (null for the source), then for every edge to an unsettled node
+// either { type: 'relax', edge, old, distance, replaced } (replaced is the previous pred edge) or
+// { type: 'keep', edge, distance } when it does not improve the distance of edge.to.
+function dijkstra(nodeCount, edges, source, onStep) {
+    var dist = [];
+    var pred = [];
+    var settled = [];
+    var order = [];
+    for (var i = 0; i < nodeCount; i++) {
+        dist.push(Infinity);
+        pred.push(null);
+        settled.push(false);
+    }
+    dist[source] = 0;
+
+    for (var round = 0; round < nodeCount; round++) {
+        // Pick the closest unsettled node
+        var current = -1;
+        for (var i = 0; i < nodeCount; i++) {
+            if (!settled[i] && dist[i] !== Infinity && (current === -1 || dist[i] < dist[current])) {
+                current = i;
+            }
+        }
+        if (current === -1) {
+            break; // The rest is unreachable
+        }
+        settled[current] = true;
+        order.push(current);
+        if (onStep) {
+            onStep({ type: 'settle', node: current, edge: pred[current] });
+        }
+
+        for (var e = 0; e < edges.length; e++) {
+            var edge = edges[e];
+            if (edge.from !== current || settled[edge.to]) {
+                continue;
+            }
+            if (dist[current] + edge.weight < dist[edge.to]) {
+                if (onStep) {
+                    onStep({ type: 'relax', edge: edge, old: dist[edge.to], distance: dist[current] + edge.weight, replaced: pred[edge.to] });
+                }
+                dist[edge.to] = dist[current] + edge.weight;
+                pred[edge.to] = edge;
+            } else if (onStep) {
+                onStep({ type: 'keep', edge: edge, distance: dist[edge.to] });
+            }
+        }
+    }
+
+    return { dist: dist, pred: pred, order: order };
+}
+
+// Bellman-Ford algorithm. Relaxes every edge up to nodeCount - 1 times, then looks for an edge
+// that can still be relaxed; if there is one, negativeCycle lists the nodes of a negative cycle.
+function bellmanFord(nodeCount, edges, source) {
+    var dist = [];
+    var pred = [];
+    for (var i = 0; i < nodeCount; i++) {
+        dist.push(Infinity);
+        pred.push(null);
+    }
+    dist[source] = 0;
+
+    var rounds = 0;
+    for (var round = 1; round < nodeCount; round++) {
+        var changed = false;
+        for (var e = 0; e < edges.length; e++) {
+            var edge = edges[e];
+            if (dist[edge.from] !== Infinity && dist[edge.from] + edge.weight < dist[edge.to]) {
+                dist[edge.to] = dist[edge.from] + edge.weight;
+                pred[edge.to] = edge;
+                changed = true;
+            }
+        }
+        rounds = round;
+        if (!changed) {
+            break;
+        }
+    }
+
+    // One more pass: any improvement now means a negative cycle reachable from the source.
+    // The last node improved lies on that cycle or behind it in the predecessor chain.
+    var lastImproved = -1;
+    for (var e = 0; e < edges.length; e++) {
+        var edge = edges[e];
+        if (dist[edge.from] !== Infinity && dist[edge.from] + edge.weight < dist[edge.to]) {
+            dist[edge.to] = dist[edge.from] + edge.weight;
+            pred[edge.to] = edge;
+            lastImproved = edge.to;
+        }
+    }
+    var negativeCycle = lastImproved === -1 ? null : findPredecessorCycle(pred, lastImproved, nodeCount);
+
+    return { dist: dist, pred: pred, rounds: rounds, negativeCycle: negativeCycle };
+}
+
+// Follow predecessor edges back from a node until a node repeats, returning that cycle in edge order
+function findPredecessorCycle(pred, start, nodeCount) {
+    // Walking back nodeCount times is guaranteed to end inside the cycle
+    var node = start;
+    for (var i = 0; i < nodeCount; i++) {
+        node = pred[node].from;
+    }
+
+    var cycle = [node];
+    var current = pred[node].from;
+    while (current !== node) {
+        cycle.push(current);
+        current = pred[current].from;
+    }
+    return cycle.reverse();
+}
+
+// Main shortest path computation - picks Dijkstra or Bellman-Ford depending on the weights
+function computeShortestPaths(nodeArray, linkArray, source, isDirected) {
+    if (nodeArray.length === 0) {
+        return { success: false, error: 'No nodes in the graph' };
+    }
+    if (source < 0 || source >= nodeArray.length) {
+        return { success: false, error: 'No source node selected' };
+    }
+
+    var built = buildWeightedEdges(nodeArray, linkArray, isDirected);
+    if (!built.success) {
+        return built;
+    }
+
+    var hasNegative = built.edges.some(function(edge) {
+        return edge.weight < 0;
+    });
+
+    var result;
+    if (hasNegative) {
+        result = bellmanFord(nodeArray.length, built.edges, source);
+        result.algorithm = 'bellman-ford';
+    } else {
+        result = dijkstra(nodeArray.length, built.edges, source);
+        result.algorithm = 'dijkstra';
+        result.negativeCycle = null;
+    }
+
+    result.success = true;
+    result.source = source;
+    result.edges = built.edges;
+    result.warnings = [];
+    if (hasNegative && !isDirected) {
+        result.warnings.push('Negative weights on undirected edges form a negative cycle (walk the edge back and forth)');
+    }
+
+    // Shortest-path tree: the edge each reachable node was reached by
+    result.treeLinks = [];
+    if (!result.negativeCycle) {
+        for (var i = 0; i < result.pred.length; i++) {
+            if (result.pred[i] && result.treeLinks.indexOf(result.pred[i].link) === -1) {
+                result.treeLinks.push(result.pred[i].link);
+            }
+        }
+    }
+
+    return result;
+}
+
+// Node indices on the shortest path from the source to target, or null if target is unreachable
+function shortestPathTo(result, target) {
+    if (result.negativeCycle || result.dist[target] === Infinity) {
+        return null;
+    }
+    var path = [target];
+    while (path[0] !== result.source) {
+        path.unshift(result.pred[path[0]].from);
+    }
+    return path;
+}
+
+// Write a distance without floating point noise (0.1 + 0.2 shows as 0.3)
+function formatDistance(distance) {
+    if (distance === Infinity) {
+        return '∞';
+    }
+    return String(Math.round(distance * 1e9) / 1e9);
+}
+
+// Generate a LaTeX table of distances and predecessors (no document wrapper)
+function generateShortestPathLaTeX(result, labels, target) {
+    var name = result.algorithm === 'dijkstra' ? "Dijkstra's algorithm" : 'Bellman-Ford';
+    var latex = '% Shortest paths from $' + escapeLaTeX(labels[result.source]) + '$ (' + name + ')\n';
+
+    if (result.negativeCycle) {
+        var cycle = result.negativeCycle.concat([result.negativeCycle[0]]).map(function(i) {
+            return escapeLaTeX(labels[i]);
+        });
+        latex += '% Negative cycle reachable from the source: $' + cycle.join(' \\to ') + '$\n';
+        latex += '% Shortest distances are not defined.\n';
+        return latex;
+    }
+
+    latex += '\\begin{center}\n';
+    latex += '\\begin{tabular}{c|c|c}\n';
+    latex += 'Vertex & $d(v)$ & $\\pi(v)$ \\\\\n';
+    latex += '\\hline\n';
+    for (var i = 0; i < labels.length; i++) {
+        var distance = result.dist[i] === Infinity ? '$\\infty$' : formatDistance(result.dist[i]);
+        var predecessor = result.pred[i] ? '$' + escapeLaTeX(labels[result.pred[i].from]) + '$' : '--';
+        latex += '$' + escapeLaTeX(labels[i]) + '$ & ' + distance + ' & ' + predecessor + ' \\\\\n';
+    }
+    latex += '\\end{tabular}\n';
+    latex += '\\end{center}\n';
+
+    if (target !== undefined && target >= 0) {
+        var path = shortestPathTo(result, target);
+        if (path) {
+            latex += 'Shortest path: $' + path.map(function(i) {
+                return escapeLaTeX(labels[i]);
+            }).join(' \\to ') + '$ with length ' + formatDistance(result.dist[target]) + '.\n';
+        } else {
+            latex += '$' + escapeLaTeX(labels[target]) + '$ is not reachable from $' + escapeLaTeX(labels[result.source]) + '$.\n';
+        }
+    }
+
+    return latex;
+}
+
+// Record Dijkstra's algorithm as playback events (see playback.js): settling each node and relaxing
+// its edges, replayed from the steps dijkstra reports
+function dijkstraPlayback(nodeArray, linkArray, labels, source, isDirected) {
+    var built = buildWeightedEdges(nodeArray, linkArray, isDirected);
+    if (!built.success) {
+        return built;
+    }
+    var hasNegative = built.edges.some(function(edge) {
+        return edge.weight < 0;
+    });
+    if (hasNegative) {
+        return { success: false, error: "Dijkstra's algorithm needs non-negative weights. Use Shortest Paths instead, which switches to Bellman-Ford." };
+    }
+
+    var steps = [];
+    var result = dijkstra(nodeArray.length, built.edges, source, function(step) {
+        steps.push(step);
+    });
+    var n = nodeArray.length;
+    var arrow = isDirected ? ' → ' : ' – ';
+
+    var recorder = new PlaybackRecorder();
+    recorder.markState(source, simColors.nfaSecondary, 'd=0');
+    recorder.record('Start at ' + labels[source] + ' with distance 0; every other distance is ∞');
+
+    var current = -1;
+    for (var s = 0; s < steps.length; s++) {
+        var step = steps[s];
+        if (step.type === 'settle') {
+            if (current !== -1) {
+                recorder.markState(current, simColors.acceptedState);
+            }
+            current = step.node;
+            recorder.markState(current, simColors.currentState);
+            if (step.edge) {
+                recorder.markLink(step.edge.link, simColors.acceptedState);
+            }
+            recorder.record('Settle ' + labels[current] + ' with distance ' + formatDistance(result.dist[current]) + ' (the closest unsettled node)');
+            continue;
+        }
+
+        var edge = step.edge;
+        var name = labels[edge.from] + arrow + labels[edge.to] + ' (weight ' + formatDistance(edge.weight) + ')';
+        if (step.type === 'relax') {
+            if (step.replaced) {
+                recorder.unmarkLink(step.replaced.link);
+            }
+            recorder.markLink(edge.link, simColors.nfaSecondary);
+            recorder.markState(edge.to, simColors.nfaSecondary, 'd=' + formatDistance(step.distance));
+            recorder.record('Relax ' + name + ': distance of ' + labels[edge.to] + ' ' + formatDistance(step.old) + ' → ' + formatDistance(step.distance));
+        } else {
+            recorder.record('Edge ' + name + ' does not improve the distance ' + formatDistance(step.distance) + ' of ' + labels[edge.to]);
+        }
+    }
+    if (current !== -1) {
+        recorder.markState(current, simColors.acceptedState);
+    }
+
+    var summary = result.order.length + ' of ' + n + ' node(s) reachable from ' + labels[source];
+    recorder.record('Done: ' + summary + '. The green edges form the shortest-path tree');
+
+    var keepLinks = [];
+    for (var i = 0; i < n; i++) {
+        if (result.pred[i] && keepLinks.indexOf(result.pred[i].link) === -1) {
+            keepLinks.push(result.pred[i].link);
+        }
+    }
+
+    return {
+        success: true,
+        title: "Dijkstra's algorithm from " + labels[source],
+        events: recorder.events,
+        summary: summary,
+        keepLinks: keepLinks
+    };
+}
+
+// Find a node by its label (as shown by generateNodeLabels), returning -1 if there is none
+function findNodeByLabel(labels, text) {
+    text = text.trim();
+    for (var i = 0; i < labels.length; i++) {
+        if (labels[i] === text) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Work out the source node for a graph algorithm: the node named in the Source field, else the
+// selected node, else the start state. Returns { index } or { error }.
+function getSourceNode(labels) {
+    var sourceField = document.getElementById('pathSource');
+    var sourceText = sourceField ? sourceField.value.trim() : '';
+
+    var source;
+    if (sourceText !== '') {
+        source = findNodeByLabel(labels, sourceText);
+        if (source === -1) {
+            return { error: 'There is no node named "' + sourceText + '".' };
+        }
+    } else if (selectedObject instanceof Node) {
+        source = nodes.indexOf(selectedObject);
+    } else {
+        source = findStartState(nodes, links);
+    }
+    if (source === -1) {
+        return { error: 'No source node.\n\nType a node name in the Source field, or click a node first.' };
+    }
+    return { index: source };
+}
+
+// Main UI handler function - called when user clicks the Shortest Paths button
+function applyShortestPaths() {
+    if (nodes.length === 0) {
+        alert('Cannot compute shortest paths: No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var sourceResult = getSourceNode(labels);
+    if (sourceResult.error) {
+        alert('Cannot compute shortest paths: ' + sourceResult.error);
+        return;
+    }
+    var source = sourceResult.index;
+
+    var targetField = document.getElementById('pathTarget');
+    var targetText = targetField ? targetField.value.trim() : '';
+
+    var target = -1;
+    if (targetText !== '') {
+        target = findNodeByLabel(labels, targetText);
+        if (target === -1) {
+            alert('Cannot compute shortest paths: There is no node named "' + targetText + '".');
+            return;
+        }
+    }
+
+    var result = computeShortestPaths(nodes, links, source, directed);
+    if (!result.success) {
+        alert('Cannot compute shortest paths:\n\n' + result.error);
+        return;
+    }
+
+    output(generateShortestPathLaTeX(result, labels, target));
+
+    if (result.negativeCycle) {
+        var cycleLinks = [];
+        for (var k = 0; k < result.negativeCycle.length; k++) {
+            cycleLinks.push({ link: result.pred[result.negativeCycle[k]].link, color: simColors.rejectedState });
+        }
+        showAlgorithmHighlight(result.negativeCycle.map(function(i) {
+            return { index: i, color: simColors.rejectedState };
+        }), cycleLinks);
+        alert('Negative cycle found!\n\n' +
+            result.negativeCycle.concat([result.negativeCycle[0]]).map(function(i) { return labels[i]; }).join(' → ') +
+            '\n\nShortest distances are not defined when a negative cycle can be reached from the source. The cycle is highlighted in red.');
+        return;
+    }
+
+    // Highlight the shortest-path tree, and the path to the target in its own color
+    var path = target >= 0 ? shortestPathTo(result, target) : null;
+    var pathLinks = [];
+    if (path) {
+        for (var k = 1; k < path.length; k++) {
+            pathLinks.push(result.pred[path[k]].link);
+        }
+    }
+    var states = [];
+    for (var i = 0; i < nodes.length; i++) {
+        if (result.dist[i] !== Infinity) {
+            var onPath = path && path.indexOf(i) !== -1;
+            states.push({
+                index: i,
+                color: onPath ? simColors.currentState : simColors.acceptedState,
+                note: 'd=' + formatDistance(result.dist[i])
+            });
+        }
+    }
+    showAlgorithmHighlight(states, result.treeLinks.map(function(link) {
+        return { link: link, color: pathLinks.indexOf(link) !== -1 ? simColors.currentState : simColors.acceptedState };
+    }));
+
+    var reachable = states.length;
+    var message = '';
+    if (result.warnings.length > 0) {
+        message += 'Warnings:\n';
+        for (var i = 0; i < result.warnings.length; i++) {
+            message += '• ' + result.warnings[i] + '\n';
+        }
+        message += '\n';
+    }
+    message += 'Shortest paths from ' + labels[source] + ' (' + (result.algorithm === 'dijkstra' ? "Dijkstra's algorithm" : 'Bellman-Ford') + ')\n\n';
+    message += '• Reachable nodes: ' + reachable + ' of ' + nodes.length + '\n';
+    if (target >= 0) {
+        message += path ?
+            '• Distance to ' + labels[target] + ': ' + formatDistance(result.dist[target]) + ' (' + path.map(function(i) { return labels[i]; }).join(' → ') + ')\n' :
+            '• ' + labels[target] + ' is not reachable\n';
+    }
+    message += '\nThe shortest-path tree is highlighted' + (path ? ', with the path to ' + labels[target] + ' in orange' : '') +
+        '. Click the canvas to clear the highlight.';
+    alert(message);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildWeightedEdges: buildWeightedEdges,
+        dijkstra: dijkstra,
+        bellmanFord: bellmanFord,
+        computeShortestPaths: computeShortestPaths,
+        shortestPathTo: shortestPathTo,
+        formatDistance: formatDistance,
+        generateShortestPathLaTeX: generateShortestPathLaTeX,
+        dijkstraPlayback: dijkstraPlayback
+    };
+}
+
+// Graph Traversals for FSM Designer
+// Breadth-first and depth-first search from a start node, following the directed toggle
+//
+// BFS labels every node it reaches with its level (distance in edges from the start). DFS labels
+// them with discovery/finish times and classifies every edge it examines:
+//   tree     the edge that discovered its target
+//   back     leads to a node that is still being explored (an ancestor), closing a cycle
+//   forward  leads to an already finished descendant (directed graphs only)
+//   cross    leads to a finished node in another branch (directed graphs only)
+
+// Compare two node labels for the algorithms that visit nodes in label order. Numbers inside the
+// labels compare by value, so q2 comes before q10; everything else compares as plain strings.
+function compareLabels(a, b) {
+    var partsA = a.match(/\d+|\D+/g) || [];
+    var partsB = b.match(/\d+|\D+/g) || [];
+    for (var i = 0; i < partsA.length && i < partsB.length; i++) {
+        var x = partsA[i];
+        var y = partsB[i];
+        if (x === y) {
+            continue;
+        }
+        if (/^\d/.test(x) && /^\d/.test(y) && Number(x) !== Number(y)) {
+            return Number(x) < Number(y) ? -1 : 1;
+        }
+        return x < y ? -1 : 1;
+    }
+    return partsA.length - partsB.length;
+}
+
+// Neighbours of every node as lists of { to, link }, visited in label order as in most textbooks.
+// Undirected graphs list each edge at both ends.
+function buildNeighbourLists(nodeArray, linkArray, labels, isDirected) {
+    var neighbours = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        neighbours.push([]);
+    }
+
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        var from, to;
+        if (link instanceof Link) {
+            from = nodeArray.indexOf(link.nodeA);
+            to = nodeArray.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            from = to = nodeArray.indexOf(link.node);
+        } else {
+            continue; // StartLinks are not edges
+        }
+
+        neighbours[from].push({ to: to, link: link });
+        if (!isDirected && from !== to) {
+            neighbours[to].push({ to: from, link: link });
+        }
+    }
+
+    for (var i = 0; i < neighbours.length; i++) {
+        neighbours[i].sort(function(a, b) {
+            return compareLabels(labels[a.to], labels[b.to]);
+        });
+    }
+    return neighbours;
+}
+
+// Breadth-first search from start.
+// Returns { order, level, treeLinks } where level[i] is -1 for nodes that cannot be reached.
+// The optional onStep callback is told each step, for playback: { type: 'start', node, queue },
+// { type: 'dequeue', node }, { type: 'discover' or 'seen', from, to, link } for every edge looked at
+// (discover also gives the queue) and { type: 'finish', node } when all neighbours of node are done.
+function breadthFirstSearch(nodeArray, linkArray, labels, start, isDirected, onStep) {
+    var neighbours = buildNeighbourLists(nodeArray, linkArray, labels, isDirected);
+    var level = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        level.push(-1);
+    }
+
+    var order = [start];
+    var treeLinks = [];
+    level[start] = 0;
+    if (onStep) {
+        onStep({ type: 'start', node: start, queue: [start] });
+    }
+    for (var head = 0; head < order.length; head++) {
+        var current = order[head];
+        if (onStep) {
+            onStep({ type: 'dequeue', node: current });
+        }
+        for (var k = 0; k < neighbours[current].length; k++) {
+            var next = neighbours[current][k];
+            if (level[next.to] === -1) {
+                level[next.to] = level[current] + 1;
+                order.push(next.to);
+                treeLinks.push(next.link);
+                if (onStep) {
+                    onStep({ type: 'discover', from: current, to: next.to, link: next.link, queue: order.slice(head + 1) });
+                }
+            } else if (onStep) {
+                onStep({ type: 'seen', from: current, to: next.to, link: next.link });
+            }
+        }
+        if (onStep) {
+            onStep({ type: 'finish', node: current });
+        }
+    }
+
+    return { order: order, level: level, treeLinks: treeLinks };
+}
+
+// Classify a non-tree edge examined by DFS from the times of its ends
+function classifyDFSEdge(discovered, finished, from, to) {
+    if (!finished[to]) {
+        return 'back';
+    }
+    return discovered[from] < discovered[to] ? 'forward' : 'cross';
+}
+
+// Highlight color of a DFS edge class
+function dfsEdgeColor(type) {
+    switch (type) {
+        case 'tree': return simColors.acceptedState;
+        case 'back': return simColors.rejectedState;
+        case 'forward': return simColors.nfaSecondary;
+        default: return simColors.epsilonTransition;
+    }
+}
+
+// Depth-first search from start.
+// Returns { order, discovered, finished, treeLinks, edges: [{ link, from, to, type }] } where
+// discovered[i] and finished[i] are 0 for nodes that cannot be reached. Each edge is classified
+// once, when it is first examined.
+// The optional onStep callback is told each step, for playback: { type: 'discover', node, from, link }
+// (from is -1 and link null for the start), { type: 'edge', from, to, link, edgeType } for every
+// non-tree edge and { type: 'finish', node, from }.
+function depthFirstSearch(nodeArray, linkArray, labels, start, isDirected, onStep) {
+    var neighbours = buildNeighbourLists(nodeArray, linkArray, labels, isDirected);
+    var discovered = [];
+    var finished = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        discovered.push(0);
+        finished.push(0);
+    }
+
+    var time = 0;
+    var order = [];
+    var treeLinks = [];
+    var edges = [];
+    var classified = [];
+
+    function visit(current, from, link) {
+        discovered[current] = ++time;
+        order.push(current);
+        if (onStep) {
+            onStep({ type: 'discover', node: current, from: from, link: link });
+        }
+
+        for (var k = 0; k < neighbours[current].length; k++) {
+            var next = neighbours[current][k];
+            if (classified.indexOf(next.link) !== -1) {
+                continue; // An undirected edge seen from its other end
+            }
+            classified.push(next.link);
+
+            if (!discovered[next.to]) {
+                treeLinks.push(next.link);
+                edges.push({ link: next.link, from: current, to: next.to, type: 'tree' });
+                visit(next.to, current, next.link);
+            } else {
+                var type = classifyDFSEdge(discovered, finished, current, next.to);
+                edges.push({ link: next.link, from: current, to: next.to, type: type });
+                if (onStep) {
+                    onStep({ type: 'edge', from: current, to: next.to, link: next.link, edgeType: type });
+                }
+            }
+        }
+
+        finished[current] = ++time;
+        if (onStep) {
+            onStep({ type: 'finish', node: current, from: from });
+        }
+    }
+
+    visit(start, -1, null);
+
+    return { order: order, discovered: discovered, finished: finished, treeLinks: treeLinks, edges: edges };
+}
+
+// Generate the LaTeX list of a traversal: nodes in the order they were visited with their BFS level
+// or DFS discovery/finish times, followed by the DFS edge classes. kind is 'bfs' or 'dfs'.
+function generateTraversalLaTeX(kind, result, labels, start, isDirected) {
+    var latex = '% ' + (kind === 'bfs' ? 'Breadth' : 'Depth') + '-first search from $' + escapeLaTeX(labels[start]) + '$\n';
+    latex += '\\begin{itemize}\n';
+    for (var k = 0; k < result.order.length; k++) {
+        var i = result.order[k];
+        latex += '    \\item $' + escapeLaTeX(labels[i]) + '$: ';
+        latex += kind === 'bfs' ? 'level ' + result.level[i] : '$' + result.discovered[i] + '/' + result.finished[i] + '$';
+        latex += '\n';
+    }
+    latex += '\\end{itemize}\n';
+
+    if (kind === 'dfs') {
+        var types = isDirected ? ['tree', 'back', 'forward', 'cross'] : ['tree', 'back'];
+        latex += '\\begin{itemize}\n';
+        for (var t = 0; t < types.length; t++) {
+            var parts = [];
+            for (var e = 0; e < result.edges.length; e++) {
+                var edge = result.edges[e];
+                if (edge.type === types[t]) {
+                    parts.push(isDirected ?
+                        '$' + escapeLaTeX(labels[edge.from]) + ' \\to ' + escapeLaTeX(labels[edge.to]) + '$' :
+                        '$\\{' + escapeLaTeX(labels[edge.from]) + ', ' + escapeLaTeX(labels[edge.to]) + '\\}$');
+                }
+            }
+            latex += '    \\item ' + types[t].charAt(0).toUpperCase() + types[t].substring(1) + ' edges: [' + parts.join(', ') + ']\n';
+        }
+        latex += '\\end{itemize}\n';
+    }
+
+    return latex;
+}
+
+// Record breadth-first search as playback events (see playback.js), replayed from the steps
+// breadthFirstSearch reports
+function bfsPlayback(nodeArray, linkArray, labels, start, isDirected) {
+    var steps = [];
+    var result = breadthFirstSearch(nodeArray, linkArray, labels, start, isDirected, function(step) {
+        steps.push(step);
+    });
+    var arrow = isDirected ? ' → ' : ' – ';
+    var parentLink = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        parentLink.push(null);
+    }
+
+    function queueText(queue) {
+        return queue.length > 0 ? queue.map(function(i) { return labels[i]; }).join(', ') : 'empty';
+    }
+
+    var recorder = new PlaybackRecorder();
+    for (var s = 0; s < steps.length; s++) {
+        var step = steps[s];
+        if (step.type === 'start') {
+            recorder.markState(step.node, simColors.nfaSecondary, 'L=0');
+            recorder.record('Start at ' + labels[step.node] + ' (level 0); queue: ' + queueText(step.queue));
+        } else if (step.type === 'dequeue') {
+            recorder.markState(step.node, simColors.currentState);
+            recorder.record('Dequeue ' + labels[step.node] + ' (level ' + result.level[step.node] + ') and look at its neighbours');
+        } else if (step.type === 'discover') {
+            parentLink[step.to] = step.link;
+            recorder.markLink(step.link, simColors.acceptedState);
+            recorder.markState(step.to, simColors.nfaSecondary, 'L=' + result.level[step.to]);
+            recorder.record('Discover ' + labels[step.to] + ' via ' + labels[step.from] + arrow + labels[step.to] +
+                ' (level ' + result.level[step.to] + '); queue: ' + queueText(step.queue));
+        } else if (step.type === 'seen') {
+            if (step.link !== parentLink[step.from]) { // Not worth mentioning the edge we arrived by
+                recorder.record('Edge ' + labels[step.from] + arrow + labels[step.to] + ' leads to ' + labels[step.to] + ', which was already discovered');
+            }
+        } else {
+            recorder.markState(step.node, simColors.acceptedState);
+        }
+    }
+
+    var summary = 'visited ' + result.order.length + ' of ' + nodeArray.length + ' node(s)';
+    recorder.record('Done: ' + summary + '. The green edges form the BFS tree');
+
+    return {
+        success: true,
+        title: 'Breadth-first search from ' + labels[start],
+        events: recorder.events,
+        summary: summary,
+        keepLinks: result.treeLinks
+    };
+}
+
+// Record depth-first search as playback events (see playback.js), with discovery/finish times,
+// replayed from the steps depthFirstSearch reports
+function dfsPlayback(nodeArray, linkArray, labels, start, isDirected) {
+    var steps = [];
+    var result = depthFirstSearch(nodeArray, linkArray, labels, start, isDirected, function(step) {
+        steps.push(step);
+    });
+    var arrow = isDirected ? ' → ' : ' – ';
+    var reasons = {
+        back: 'is still being explored, so the edge closes a cycle',
+        forward: 'is an already finished descendant of ',
+        cross: 'was finished in another branch'
+    };
+
+    var recorder = new PlaybackRecorder();
+    for (var s = 0; s < steps.length; s++) {
+        var step = steps[s];
+        if (step.type === 'discover') {
+            var node = step.node;
+            var message = 'Start at ' + labels[node];
+            if (step.from !== -1) {
+                recorder.markState(step.from, simColors.nfaSecondary);
+                recorder.markLink(step.link, dfsEdgeColor('tree'));
+                message = 'Discover ' + labels[node] + ' via ' + labels[step.from] + arrow + labels[node];
+            }
+            recorder.markState(node, simColors.currentState, result.discovered[node] + '/');
+            recorder.record(message + ' (discovery time ' + result.discovered[node] + ')');
+        } else if (step.type === 'edge') {
+            recorder.markLink(step.link, dfsEdgeColor(step.edgeType));
+            recorder.record('Edge ' + labels[step.from] + arrow + labels[step.to] + ' is a ' + step.edgeType + ' edge: ' + labels[step.to] + ' ' +
+                reasons[step.edgeType] + (step.edgeType === 'forward' ? labels[step.from] : ''));
+        } else {
+            recorder.markState(step.node, simColors.acceptedState, result.discovered[step.node] + '/' + result.finished[step.node]);
+            recorder.record('Finish ' + labels[step.node] + ' (finish time ' + result.finished[step.node] + ')');
+            if (step.from !== -1) {
+                recorder.markState(step.from, simColors.currentState); // Back to exploring the parent
+            }
+        }
+    }
+
+    var summary = 'visited ' + result.order.length + ' of ' + nodeArray.length + ' node(s)';
+    recorder.record('Done: ' + summary + '. The green edges form the DFS tree' +
+        (isDirected ? '; back edges are red, forward edges gold and cross edges purple' : ' and the red back edges close cycles'));
+
+    return {
+        success: true,
+        title: 'Depth-first search from ' + labels[start],
+        events: recorder.events,
+        summary: summary,
+        keepLinks: result.treeLinks
+    };
+}
+
+// Main UI handler function - called when user clicks BFS or DFS (kind is 'bfs' or 'dfs').
+// Starts from the node in the Source field (see getSourceNode), exports the LaTeX list and highlights the result.
+function applyTraversal(kind) {
+    var name = kind === 'bfs' ? 'BFS' : 'DFS';
+    if (nodes.length === 0) {
+        alert('Cannot run ' + name + ': No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var source = getSourceNode(labels);
+    if (source.error) {
+        alert('Cannot run ' + name + ': ' + source.error);
+        return;
+    }
+    var start = source.index;
+
+    var result = kind === 'bfs' ?
+        breadthFirstSearch(nodes, links, labels, start, directed) :
+        depthFirstSearch(nodes, links, labels, start, directed);
+    output(generateTraversalLaTeX(kind, result, labels, start, directed));
+
+    var states = result.order.map(function(i) {
+        return {
+            index: i,
+            color: i === start ? simColors.currentState : simColors.acceptedState,
+            note: kind === 'bfs' ? 'L=' + result.level[i] : result.discovered[i] + '/' + result.finished[i]
+        };
+    });
+    var linkHighlights = kind === 'bfs' ?
+        result.treeLinks.map(function(link) { return { link: link, color: simColors.acceptedState }; }) :
+        result.edges.map(function(edge) { return { link: edge.link, color: dfsEdgeColor(edge.type) }; });
+    showAlgorithmHighlight(states, linkHighlights);
+
+    var message = name + ' from ' + labels[start] + (directed ? ' (directed)' : '') + '\n\n';
+    message += '• Visited: ' + result.order.length + ' of ' + nodes.length + ' node(s)\n';
+    message += '• Order: ' + result.order.map(function(i) { return labels[i]; }).join(', ') + '\n';
+    if (kind === 'dfs') {
+        var counts = { tree: 0, back: 0, forward: 0, cross: 0 };
+        for (var e = 0; e < result.edges.length; e++) {
+            counts[result.edges[e].type]++;
+        }
+        message += '• Tree edges: ' + counts.tree + ', back edges: ' + counts.back;
+        message += directed ? ', forward edges: ' + counts.forward + ', cross edges: ' + counts.cross + '\n' : '\n';
+        message += '\nNodes show discovery/finish times. Tree edges are green, back edges red' +
+            (directed ? ', forward edges gold and cross edges purple' : '') + '.';
+    } else {
+        message += '\nNodes show their levels and the BFS tree is highlighted in green.';
+    }
+    message += ' Click the canvas to clear the highlight.';
+    alert(message);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        compareLabels: compareLabels,
+        buildNeighbourLists: buildNeighbourLists,
+        breadthFirstSearch: breadthFirstSearch,
+        depthFirstSearch: depthFirstSearch,
+        generateTraversalLaTeX: generateTraversalLaTeX,
+        bfsPlayback: bfsPlayback,
+        dfsPlayback: dfsPlayback
+    };
+}
+
+function Link(a, b) {
+	this.nodeA = a;
+	this.nodeB = b;
+	this.text = '';
+	this.lineAngleAdjust = 0; // value to add to textAngle when link is straight line
+
+	// make anchor point relative to the locations of nodeA and nodeB
+	this.parallelPart = 0.5; // percentage from nodeA to nodeB
+	this.perpendicularPart = 0; // pixels from line between nodeA and nodeB
+}
+
+Link.prototype.getAnchorPoint = function() {
+	var dx = this.nodeB.x - this.nodeA.x;
+	var dy = this.nodeB.y - this.nodeA.y;
+	var scale = Math.sqrt(dx * dx + dy * dy);
+	return {
+		'x': this.nodeA.x + dx * this.parallelPart - dy * this.perpendicularPart / scale,
+		'y': this.nodeA.y + dy * this.parallelPart + dx * this.perpendicularPart / scale
+	};
+};
+
+Link.prototype.setAnchorPoint = function(x, y) {
+	var dx = this.nodeB.x - this.nodeA.x;
+	var dy = this.nodeB.y - this.nodeA.y;
+	var scale = Math.sqrt(dx * dx + dy * dy);
+	this.parallelPart = (dx * (x - this.nodeA.x) + dy * (y - this.nodeA.y)) / (scale * scale);
+	this.perpendicularPart = (dx * (y - this.nodeA.y) - dy * (x - this.nodeA.x)) / scale;
+	// snap to a straight line
+	if(this.parallelPart > 0 && this.parallelPart < 1 && Math.abs(this.perpendicularPart) < snapToPadding) {
+		this.lineAngleAdjust = (this.perpendicularPart < 0) * Math.PI;
+		this.perpendicularPart = 0;
+	}
+};
+
+Link.prototype.getEndPointsAndCircle = function() {
+	if(this.perpendicularPart == 0) {
+		var midX = (this.nodeA.x + this.nodeB.x) / 2;
+		var midY = (this.nodeA.y + this.nodeB.y) / 2;
+		var start = this.nodeA.closestPointOnCircle(midX, midY);
+		var end = this.nodeB.closestPointOnCircle(midX, midY);
+		return {
+			'hasCircle': false,
+			'startX': start.x,
+			'startY': start.y,
+			'endX': end.x,
+			'endY': end.y,
+		};
+	}
+	var anchor = this.getAnchorPoint();
+	var circle = circleFromThreePoints(this.nodeA.x, this.nodeA.y, this.nodeB.x, this.nodeB.y, anchor.x, anchor.y);
+	var isReversed = (this.perpendicularPart > 0);
+	var reverseScale = isReversed ? 1 : -1;
+	var startAngle = Math.atan2(this.nodeA.y - circle.y, this.nodeA.x - circle.x) - reverseScale * nodeRadius / circle.radius;
+	var endAngle = Math.atan2(this.nodeB.y - circle.y, this.nodeB.x - circle.x) + reverseScale * nodeRadius / circle.radius;
+	var startX = circle.x + circle.radius * Math.cos(startAngle);
+	var startY = circle.y + circle.radius * Math.sin(startAngle);
+	var endX = circle.x + circle.radius * Math.cos(endAngle);
+	var endY = circle.y + circle.radius * Math.sin(endAngle);
+	return {
+		'hasCircle': true,
+		'startX': startX,
+		'startY': startY,
+		'endX': endX,
+		'endY': endY,
+		'startAngle': startAngle,
+		'endAngle': endAngle,
+		'circleX': circle.x,
+		'circleY': circle.y,
+		'circleRadius': circle.radius,
+		'reverseScale': reverseScale,
+		'isReversed': isReversed,
+	};
+};
+
+Link.prototype.draw = function(c) {
+	var stuff = this.getEndPointsAndCircle();
+	// draw arc
+	c.beginPath();
+	if(stuff.hasCircle) {
+		c.arc(stuff.circleX, stuff.circleY, stuff.circleRadius, stuff.startAngle, stuff.endAngle, stuff.isReversed);
+	} else {
+		c.moveTo(stuff.startX, stuff.startY);
+		c.lineTo(stuff.endX, stuff.endY);
+	}
+	c.stroke();
+	// draw the head of the arrow
+	if(stuff.hasCircle) {
+		drawArrow(c, stuff.endX, stuff.endY, stuff.endAngle - stuff.reverseScale * (Math.PI / 2));
+	} else {
+		drawArrow(c, stuff.endX, stuff.endY, Math.atan2(stuff.endY - stuff.startY, stuff.endX - stuff.startX));
+	}
+	// draw the text
+	if(stuff.hasCircle) {
+		var startAngle = stuff.startAngle;
+		var endAngle = stuff.endAngle;
+		if(endAngle < startAngle) {
+			endAngle += Math.PI * 2;
+		}
+		var textAngle = (startAngle + endAngle) / 2 + stuff.isReversed * Math.PI;
+		var textX = stuff.circleX + stuff.circleRadius * Math.cos(textAngle);
+		var textY = stuff.circleY + stuff.circleRadius * Math.sin(textAngle);
+		drawText(c, this.text, textX, textY, textAngle, selectedObject == this);
+	} else {
+		var textX = (stuff.startX + stuff.endX) / 2;
+		var textY = (stuff.startY + stuff.endY) / 2;
+		var textAngle = Math.atan2(stuff.endX - stuff.startX, stuff.startY - stuff.endY);
+		drawText(c, this.text, textX, textY, textAngle + this.lineAngleAdjust, selectedObject == this);
+	}
+};
+
+Link.prototype.containsPoint = function(x, y) {
+	var stuff = this.getEndPointsAndCircle();
+	if(stuff.hasCircle) {
+		var dx = x - stuff.circleX;
+		var dy = y - stuff.circleY;
+		var distance = Math.sqrt(dx*dx + dy*dy) - stuff.circleRadius;
+		if(Math.abs(distance) < hitTargetPadding) {
+			var angle = Math.atan2(dy, dx);
+			var startAngle = stuff.startAngle;
+			var endAngle = stuff.endAngle;
+			if(stuff.isReversed) {
+				var temp = startAngle;
+				startAngle = endAngle;
+				endAngle = temp;
+			}
+			if(endAngle < startAngle) {
+				endAngle += Math.PI * 2;
+			}
+			if(angle < startAngle) {
+				angle += Math.PI * 2;
+			} else if(angle > endAngle) {
+				angle -= Math.PI * 2;
+			}
+			return (angle > startAngle && angle < endAngle);
+		}
+	} else {
+		var dx = stuff.endX - stuff.startX;
+		var dy = stuff.endY - stuff.startY;
+		var length = Math.sqrt(dx*dx + dy*dy);
+		var percent = (dx * (x - stuff.startX) + dy * (y - stuff.startY)) / (length * length);
+		var distance = (dx * (y - stuff.startY) - dy * (x - stuff.startX)) / length;
+		return (percent > 0 && percent < 1 && Math.abs(distance) < hitTargetPadding);
+	}
+	return false;
+};
+
+function Node(x, y) {
+	this.x = x;
+	this.y = y;
+	this.mouseOffsetX = 0;
+	this.mouseOffsetY = 0;
+	this.isAcceptState = false;
+	this.text = '';
+	this.fillColor = null; // CSS color like '#90CAF9', set by the coloring tools
+}
+
+Node.prototype.setMouseStart = function(x, y) {
+	this.mouseOffsetX = this.x - x;
+	this.mouseOffsetY = this.y - y;
+};
+
+Node.prototype.setAnchorPoint = function(x, y) {
+	this.x = x + this.mouseOffsetX;
+	this.y = y + this.mouseOffsetY;
+};
+
+Node.prototype.draw = function(c) {
+	// draw the circle, filled if the node has a color
+	c.beginPath();
+	c.arc(this.x, this.y, nodeRadius, 0, 2 * Math.PI, false);
+	if(this.fillColor) {
+		var strokeColor = c.fillStyle;
+		c.fillStyle = this.fillColor;
+		c.fill();
+		c.fillStyle = strokeColor;
+	}
+	c.stroke();
+
+	// draw the text
+	drawText(c, this.text, this.x, this.y, null, selectedObject == this);
+
+	// draw a double circle for an accept state
+	if(this.isAcceptState) {
+		c.beginPath();
+		c.arc(this.x, this.y, nodeRadius - 6, 0, 2 * Math.PI, false);
+		c.stroke();
+	}
+};
+
+Node.prototype.closestPointOnCircle = function(x, y) {
+	var dx = x - this.x;
+	var dy = y - this.y;
+	var scale = Math.sqrt(dx * dx + dy * dy);
+	return {
+		'x': this.x + dx * nodeRadius / scale,
+		'y': this.y + dy * nodeRadius / scale,
+	};
+};
+
+Node.prototype.containsPoint = function(x, y) {
+	return (x - this.x)*(x - this.x) + (y - this.y)*(y - this.y) < nodeRadius*nodeRadius;
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = Node;
+}
+
+function SelfLink(node, mouse) {
+	this.node = node;
+	this.anchorAngle = 0;
+	this.mouseOffsetAngle = 0;
+	this.text = '';
+
+	if(mouse) {
+		this.setAnchorPoint(mouse.x, mouse.y);
+	}
+}
+
+SelfLink.prototype.setMouseStart = function(x, y) {
+	this.mouseOffsetAngle = this.anchorAngle - Math.atan2(y - this.node.y, x - this.node.x);
+};
+
+SelfLink.prototype.setAnchorPoint = function(x, y) {
+	this.anchorAngle = Math.atan2(y - this.node.y, x - this.node.x) + this.mouseOffsetAngle;
+	// snap to 90 degrees
+	var snap = Math.round(this.anchorAngle / (Math.PI / 2)) * (Math.PI / 2);
+	if(Math.abs(this.anchorAngle - snap) < 0.1) this.anchorAngle = snap;
+	// keep in the range -pi to pi so our containsPoint() function always works
+	if(this.anchorAngle < -Math.PI) this.anchorAngle += 2 * Math.PI;
+	if(this.anchorAngle > Math.PI) this.anchorAngle -= 2 * Math.PI;
+};
+
+SelfLink.prototype.getEndPointsAndCircle = function() {
+	var circleX = this.node.x + 1.5 * nodeRadius * Math.cos(this.anchorAngle);
+	var circleY = this.node.y + 1.5 * nodeRadius * Math.sin(this.anchorAngle);
+	var circleRadius = 0.75 * nodeRadius;
+	var startAngle = this.anchorAngle - Math.PI * 0.8;
+	var endAngle = this.anchorAngle + Math.PI * 0.8;
+	var startX = circleX + circleRadius * Math.cos(startAngle);
+	var startY = circleY + circleRadius * Math.sin(startAngle);
+	var endX = circleX + circleRadius * Math.cos(endAngle);
+	var endY = circleY + circleRadius * Math.sin(endAngle);
+	return {
+		'hasCircle': true,
+		'startX': startX,
+		'startY': startY,
+		'endX': endX,
+		'endY': endY,
+		'startAngle': startAngle,
+		'endAngle': endAngle,
+		'circleX': circleX,
+		'circleY': circleY,
+		'circleRadius': circleRadius
+	};
+};
+
+SelfLink.prototype.draw = function(c) {
+	var stuff = this.getEndPointsAndCircle();
+	// draw arc
+	c.beginPath();
+	c.arc(stuff.circleX, stuff.circleY, stuff.circleRadius, stuff.startAngle, stuff.endAngle, false);
+	c.stroke();
+	// draw the text on the loop farthest from the node
+	var textX = stuff.circleX + stuff.circleRadius * Math.cos(this.anchorAngle);
+	var textY = stuff.circleY + stuff.circleRadius * Math.sin(this.anchorAngle);
+	drawText(c, this.text, textX, textY, this.anchorAngle, selectedObject == this);
+	// draw the head of the arrow
+	drawArrow(c, stuff.endX, stuff.endY, stuff.endAngle + Math.PI * 0.4);
+};
+
+SelfLink.prototype.containsPoint = function(x, y) {
+	var stuff = this.getEndPointsAndCircle();
+	var dx = x - stuff.circleX;
+	var dy = y - stuff.circleY;
+	var distance = Math.sqrt(dx*dx + dy*dy) - stuff.circleRadius;
+	return (Math.abs(distance) < hitTargetPadding);
+};
+
+function StartLink(node, start) {
+	this.node = node;
+	this.deltaX = 0;
+	this.deltaY = 0;
+	this.text = '';
+
+	if(start) {
+		this.setAnchorPoint(start.x, start.y);
+	}
+}
+
+StartLink.prototype.setAnchorPoint = function(x, y) {
+	this.deltaX = x - this.node.x;
+	this.deltaY = y - this.node.y;
+
+	if(Math.abs(this.deltaX) < snapToPadding) {
+		this.deltaX = 0;
+	}
+
+	if(Math.abs(this.deltaY) < snapToPadding) {
+		this.deltaY = 0;
+	}
+};
+
+StartLink.prototype.getEndPoints = function() {
+	var startX = this.node.x + this.deltaX;
+	var startY = this.node.y + this.deltaY;
+	var end = this.node.closestPointOnCircle(startX, startY);
+	return {
+		'startX': startX,
+		'startY': startY,
+		'endX': end.x,
+		'endY': end.y,
+	};
+};
+
+StartLink.prototype.draw = function(c) {
+	var stuff = this.getEndPoints();
+
+	// draw the line
+	c.beginPath();
+	c.moveTo(stuff.startX, stuff.startY);
+	c.lineTo(stuff.endX, stuff.endY);
+	c.stroke();
+
+	// draw the text at the end without the arrow
+	var textAngle = Math.atan2(stuff.startY - stuff.endY, stuff.startX - stuff.endX);
+	drawText(c, this.text, stuff.startX, stuff.startY, textAngle, selectedObject == this);
+
+	// draw the head of the arrow
+	drawArrow(c, stuff.endX, stuff.endY, Math.atan2(-this.deltaY, -this.deltaX));
+};
+
+StartLink.prototype.containsPoint = function(x, y) {
+	var stuff = this.getEndPoints();
+	var dx = stuff.endX - stuff.startX;
+	var dy = stuff.endY - stuff.startY;
+	var length = Math.sqrt(dx*dx + dy*dy);
+	var percent = (dx * (x - stuff.startX) + dy * (y - stuff.startY)) / (length * length);
+	var distance = (dx * (y - stuff.startY) - dy * (x - stuff.startX)) / length;
+	return (percent > 0 && percent < 1 && Math.abs(distance) < hitTargetPadding);
+};
+
+function TemporaryLink(from, to) {
+	this.from = from;
+	this.to = to;
+}
+
+TemporaryLink.prototype.draw = function(c) {
+	// draw the line
+	c.beginPath();
+	c.moveTo(this.to.x, this.to.y);
+	c.lineTo(this.from.x, this.from.y);
+	c.stroke();
+
+	// draw the head of the arrow
+	drawArrow(c, this.to.x, this.to.y, Math.atan2(this.to.y - this.from.y, this.to.x - this.from.x));
+};
+
+// Adjacency Matrix and List Export for FSM Designer
+// Generates LaTeX representations of graph adjacency
+
+// Generate node labels with fallback to indices
+function generateNodeLabels() {
+	var labels = [];
+	var usedLabels = new Set();
+	
+	// First pass: use existing text labels
+	for (var i = 0; i < nodes.length; i++) {
+		var node = nodes[i];
+		if (node.text && node.text.trim() !== '') {
+			labels.push(node.text.trim());
+			usedLabels.add(node.text.trim());
+		} else {
+			labels.push(null); // Mark for fallback
+		}
+	}
+	
+	// Second pass: fill in fallbacks with indices
+	var counter = 0;
+	for (var i = 0; i < labels.length; i++) {
+		if (labels[i] === null) {
+			var fallbackLabel;
+			do {
+				fallbackLabel = 'q' + counter;
+				counter++;
+			} while (usedLabels.has(fallbackLabel));
+			
+			labels[i] = fallbackLabel;
+			usedLabels.add(fallbackLabel);
+		}
+	}
+	
+	return labels;
+}
+
+// Escape LaTeX special characters
+function escapeLaTeX(text) {
+	if (!text) return '';
+	return text
+		.replace(/\\/g, '\\textbackslash{}')
+		.replace(/&/g, '\\&')
+		.replace(/%/g, '\\%')
+		.replace(/\$/g, '\\$')
+		.replace(/#/g, '\\#')
+		.replace(/_/g, '\\_')
+		.replace(/{/g, '\\{')
+		.replace(/}/g, '\\}')
+		.replace(/~/g, '\\textasciitilde{}')
+		.replace(/\^/g, '\\textasciicircum{}');
+}
+
+// Generate adjacency matrix data structure with edge counts
+function buildAdjacencyMatrix(labels) {
+	var n = nodes.length;
+	var matrix = [];
+	
+	// Initialize matrix with zeros
+	for (var i = 0; i < n; i++) {
+		matrix[i] = [];
+		for (var j = 0; j < n; j++) {
+			matrix[i][j] = 0;
+		}
+	}
+	
+	// Populate matrix from links - count edges
+	for (var i = 0; i < links.length; i++) {
+		var link = links[i];
+		
+		if (link instanceof Link) {
+			var nodeAIndex = nodes.indexOf(link.nodeA);
+			var nodeBIndex = nodes.indexOf(link.nodeB);
+			
+			if (nodeAIndex >= 0 && nodeBIndex >= 0) {
+				// For directed: A->B means row A, column B
+				matrix[nodeAIndex][nodeBIndex]++;
+				
+				// For undirected graphs, add reverse direction
+				if (!directed) {
+					matrix[nodeBIndex][nodeAIndex]++;
+				}
+			}
+		} else if (link instanceof SelfLink) {
+			var nodeIndex = nodes.indexOf(link.node);
+			
+			if (nodeIndex >= 0) {
+				matrix[nodeIndex][nodeIndex]++;
+			}
+		}
+		// StartLink is ignored - it's not an edge between nodes
+	}
+	
+	return matrix;
+}
+
+// Generate adjacency list data structure
+function buildAdjacencyList(labels) {
+	var adjacency = {};
+	
+	// Initialize adjacency list for all nodes
+	for (var i = 0; i < labels.length; i++) {
+		adjacency[labels[i]] = [];
+	}
+	
+	// Populate adjacency list from links
+	for (var i = 0; i < links.length; i++) {
+		var link = links[i];
+		
+		if (link instanceof Link) {
+			var nodeAIndex = nodes.indexOf(link.nodeA);
+			var nodeBIndex = nodes.indexOf(link.nodeB);
+			
+			if (nodeAIndex >= 0 && nodeBIndex >= 0) {
+				adjacency[labels[nodeAIndex]].push({
+					node: labels[nodeBIndex]
+				});
+				
+				// For undirected graphs, add reverse direction
+				if (!directed) {
+					adjacency[labels[nodeBIndex]].push({
+						node: labels[nodeAIndex]
+					});
+				}
+			}
+		} else if (link instanceof SelfLink) {
+			var nodeIndex = nodes.indexOf(link.node);
+			
+			if (nodeIndex >= 0) {
+				adjacency[labels[nodeIndex]].push({
+					node: labels[nodeIndex]
+				});
+			}
+		}
+	}
+	
+	return adjacency;
+}
+
+// Generate LaTeX for adjacency matrix (just the tabular, no document wrapper)
+function generateAdjacencyMatrix() {
+	if (nodes.length === 0) {
+		return '% No nodes in the graph to export.';
+	}
+	
+	var labels = generateNodeLabels();
+	var matrix = buildAdjacencyMatrix(labels);
+	var n = nodes.length;
+	
+	var latex = '\\begin{center}\n';
+	latex += '\\begin{tabular}{c|' + 'c'.repeat(n) + '}\n';
+	
+	// Header row
+	latex += '  ';
+	for (var j = 0; j < n; j++) {
+		latex += ' & $' + escapeLaTeX(labels[j]) + '$';
+	}
+	latex += ' \\\\\n';
+	latex += '\\hline\n';
+	
+	// Data rows
+	for (var i = 0; i < n; i++) {
+		latex += '$' + escapeLaTeX(labels[i]) + '$';
+		for (var j = 0; j < n; j++) {
+			latex += ' & $' + matrix[i][j] + '$';
+		}
+		latex += ' \\\\\n';
+	}
+	
+	latex += '\\end{tabular}\n';
+	latex += '\\end{center}\n';
+	
+	return latex;
+}
+
+// Generate LaTeX for adjacency list (just the itemize, no document wrapper)
+function generateAdjacencyList() {
+	if (nodes.length === 0) {
+		return '% No nodes in the graph to export.';
+	}
+	
+	var labels = generateNodeLabels();
+	var adjacency = buildAdjacencyList(labels);
+	
+	var latex = '\\begin{itemize}\n';
+	
+	// Generate list entries
+	for (var i = 0; i < labels.length; i++) {
+		var label = labels[i];
+		var connections = adjacency[label];
+		
+		latex += '    \\item $' + escapeLaTeX(label) + '$: [';
+		
+		if (connections.length === 0) {
+			latex += ']';
+		} else {
+			var parts = [];
+			for (var j = 0; j < connections.length; j++) {
+				var conn = connections[j];
+				parts.push('$' + escapeLaTeX(conn.node) + '$');
+			}
+			latex += parts.join(', ') + ']';
+		}
+		
+		latex += '\n';
+	}
+	
+	latex += '\\end{itemize}\n';
+	
+	return latex;
+}
+
+// Matrix export variants. Each builder returns a format-independent table
+// { corner, columns: [...], rows: [{ label, start, accepting, cells: [...] }] } that
+// formatMatrixTable writes as LaTeX, CSV or Markdown. Entries are plain text;
+// '∞', '∅' and 'ε' become \infty, \emptyset and \varepsilon in LaTeX.
+
+// Edges of the graph as { link, from, to } (StartLinks skipped)
+function collectEdges(nodeArray, linkArray) {
+	var edges = [];
+	for (var i = 0; i < linkArray.length; i++) {
+		var link = linkArray[i];
+		if (link instanceof Link) {
+			edges.push({ link: link, from: nodeArray.indexOf(link.nodeA), to: nodeArray.indexOf(link.nodeB) });
+		} else if (link instanceof SelfLink) {
+			var index = nodeArray.indexOf(link.node);
+			edges.push({ link: link, from: index, to: index });
+		}
+	}
+	return edges;
+}
+
+// Rows labelled by node, with every cell set to fill
+function emptyMatrixRows(labels, columnCount, fill) {
+	var rows = [];
+	for (var i = 0; i < labels.length; i++) {
+		var cells = [];
+		for (var j = 0; j < columnCount; j++) {
+			cells.push(fill);
+		}
+		rows.push({ label: labels[i], cells: cells });
+	}
+	return rows;
+}
+
+// Weighted adjacency matrix: the link labels as entries (parallel edges are listed
+// together, unlabelled edges count as 1) and emptySymbol where there is no edge
+function buildWeightedMatrixTable(nodeArray, linkArray, labels, isDirected, emptySymbol) {
+	var entries = emptyMatrixRows(labels, labels.length, null);
+	var edges = collectEdges(nodeArray, linkArray);
+	for (var e = 0; e < edges.length; e++) {
+		var edge = edges[e];
+		var text = edge.link.text && edge.link.text.trim() !== '' ? edge.link.text.trim() : '1';
+		var pairs = isDirected || edge.from === edge.to ? [[edge.from, edge.to]] : [[edge.from, edge.to], [edge.to, edge.from]];
+		for (var p = 0; p < pairs.length; p++) {
+			var cells = entries[pairs[p][0]].cells;
+			cells[pairs[p][1]] = cells[pairs[p][1]] === null ? text : cells[pairs[p][1]] + ', ' + text;
+		}
+	}
+
+	for (var i = 0; i < entries.length; i++) {
+		for (var j = 0; j < entries[i].cells.length; j++) {
+			if (entries[i].cells[j] === null) {
+				entries[i].cells[j] = emptySymbol;
+			}
+		}
+	}
+	return { corner: '', columns: labels.slice(), rows: entries };
+}
+
+// Incidence matrix: one column per edge (e1, e2, ...). Undirected edges have 1 at both
+// ends and a self-loop has 2. Directed edges have -1 where they leave and 1 where they
+// enter, so a directed self-loop is 0.
+function buildIncidenceMatrixTable(nodeArray, linkArray, labels, isDirected) {
+	var edges = collectEdges(nodeArray, linkArray);
+	var columns = [];
+	var rows = emptyMatrixRows(labels, edges.length, '0');
+	for (var e = 0; e < edges.length; e++) {
+		var edge = edges[e];
+		columns.push('e' + (e + 1));
+		if (edge.from === edge.to) {
+			rows[edge.from].cells[e] = isDirected ? '0' : '2';
+		} else {
+			rows[edge.from].cells[e] = isDirected ? '-1' : '1';
+			rows[edge.to].cells[e] = '1';
+		}
+	}
+	return { corner: '', columns: columns, rows: rows };
+}
+
+// Degree matrix (kind 'degree') or Laplacian L = D - A (kind 'laplacian'), ignoring
+// self-loops. Directed graphs use out-degrees.
+function buildLaplacianTable(nodeArray, linkArray, labels, isDirected, kind) {
+	var n = labels.length;
+	var adjacency = [];
+	for (var i = 0; i < n; i++) {
+		adjacency.push([]);
+		for (var j = 0; j < n; j++) {
+			adjacency[i].push(0);
+		}
+	}
+	var edges = collectEdges(nodeArray, linkArray);
+	for (var e = 0; e < edges.length; e++) {
+		var edge = edges[e];
+		if (edge.from === edge.to) {
+			continue;
+		}
+		adjacency[edge.from][edge.to]++;
+		if (!isDirected) {
+			adjacency[edge.to][edge.from]++;
+		}
+	}
+
+	var rows = emptyMatrixRows(labels, n, '0');
+	for (var i = 0; i < n; i++) {
+		var degree = 0;
+		for (var j = 0; j < n; j++) {
+			degree += adjacency[i][j];
+		}
+		for (var j = 0; j < n; j++) {
+			var value = i === j ? degree : (kind === 'laplacian' ? -adjacency[i][j] : 0);
+			rows[i].cells[j] = String(value);
+		}
+	}
+	return { corner: kind === 'laplacian' ? 'L' : 'D', columns: labels.slice(), rows: rows };
+}
+
+// Transition table: states × input symbols, with an ε column if the machine has epsilon
+// moves. Rows mark the start state and accept states; several targets are written as a
+// set and a missing transition as emptySymbol.
+function buildTransitionTableExport(nodeArray, linkArray, labels, emptySymbol) {
+	var automaton = automatonFromCanvas(nodeArray, linkArray);
+	var symbols = automaton.alphabet.slice();
+	var hasEpsilon = automaton.transitions.some(function(row) {
+		return row[EPSILON] && row[EPSILON].length > 0;
+	});
+	if (hasEpsilon) {
+		symbols.push(EPSILON);
+	}
+
+	var rows = [];
+	for (var i = 0; i < labels.length; i++) {
+		var cells = [];
+		for (var s = 0; s < symbols.length; s++) {
+			var targets = (automaton.transitions[i][symbols[s]] || []).slice().sort(function(a, b) { return a - b; });
+			var names = targets.map(function(t) { return labels[t]; });
+			if (names.length === 0) {
+				cells.push(emptySymbol);
+			} else {
+				cells.push(names.length === 1 ? names[0] : '{' + names.join(', ') + '}');
+			}
+		}
+		rows.push({ label: labels[i], start: i === automaton.start, accepting: automaton.accepting[i], cells: cells });
+	}
+	return { corner: 'δ', columns: symbols, rows: rows };
+}
+
+// Write a table entry in LaTeX math mode. Labels are math, as in ExportAsLaTeX: _ and ^ stay
+// subscripts and superscripts when a character or {group} follows (q_0, q_{10}, x^2) and are
+// escaped otherwise. The count matrix keeps escapeLaTeX labels, as the Matrix button always has.
+function latexMatrixCell(text) {
+	return escapeLaTeX(text)
+		.replace(/(\\_|\\textasciicircum\{\})(\\\{[^{}\\]*\\\}|[A-Za-z0-9])/g, function(match, operator, argument) {
+			return (operator === '\\_' ? '_' : '^') + argument.replace(/^\\\{(.*)\\\}$/, '{$1}');
+		})
+		.replace(/∞/g, '\\infty ')
+		.replace(/∅/g, '\\emptyset ')
+		.replace(/ε/g, '\\varepsilon ')
+		.replace(/δ/g, '\\delta ')
+		.replace(/\s+$/, '');
+}
+
+// Write a table as 'latex', 'csv' or 'markdown'
+function formatMatrixTable(table, format) {
+	function rowLabel(row, start, accept) {
+		return (row.start ? start : '') + (row.accepting ? accept : '');
+	}
+
+	if (format === 'csv') {
+		var csvField = function(text) {
+			if (/[",\n]/.test(text)) {
+				return '"' + text.replace(/"/g, '""') + '"';
+			}
+			return text;
+		};
+		var csv = [csvField(table.corner)].concat(table.columns.map(csvField)).join(',') + '\n';
+		for (var i = 0; i < table.rows.length; i++) {
+			var row = table.rows[i];
+			csv += [csvField(rowLabel(row, '->', '*') + row.label)].concat(row.cells.map(csvField)).join(',') + '\n';
+		}
+		return csv;
+	}
+
+	if (format === 'markdown') {
+		var markdownField = function(text) {
+			return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\*/g, '\\*').replace(/_/g, '\\_');
+		};
+		var markdown = '| ' + [markdownField(table.corner)].concat(table.columns.map(markdownField)).join(' | ') + ' |\n';
+		markdown += '|' + ' --- |'.repeat(table.columns.length + 1) + '\n';
+		for (var i = 0; i < table.rows.length; i++) {
+			var row = table.rows[i];
+			markdown += '| ' + [rowLabel(row, '→ ', '\\* ') + markdownField(row.label)].concat(table.rows[i].cells.map(markdownField)).join(' | ') + ' |\n';
+		}
+		return markdown;
+	}
+
+	var latex = '\\begin{center}\n';
+	latex += '\\begin{tabular}{c|' + 'c'.repeat(table.columns.length) + '}\n';
+	latex += table.corner ? '$' + latexMatrixCell(table.corner) + '$' : '  ';
+	for (var j = 0; j < table.columns.length; j++) {
+		latex += ' & $' + latexMatrixCell(table.columns[j]) + '$';
+	}
+	latex += ' \\\\\n';
+	latex += '\\hline\n';
+	for (var i = 0; i < table.rows.length; i++) {
+		var row = table.rows[i];
+		latex += rowLabel(row, '$\\rightarrow$ ', '$*$ ') + '$' + latexMatrixCell(row.label) + '$';
+		for (var j = 0; j < row.cells.length; j++) {
+			latex += ' & $' + latexMatrixCell(row.cells[j]) + '$';
+		}
+		latex += ' \\\\\n';
+	}
+	latex += '\\end{tabular}\n';
+	latex += '\\end{center}\n';
+	return latex;
+}
+
+// Generate one of the matrix exports for the canvas. kind is 'count', 'weighted',
+// 'incidence', 'degree', 'laplacian' or 'transitions'; an empty emptySymbol falls back to
+// ∞ for weighted matrices and ∅ for transition tables.
+function generateMatrixExport(kind, format, emptySymbol) {
+	// The count matrix in LaTeX is the original Matrix export
+	if (kind === 'count' && format === 'latex') {
+		return generateAdjacencyMatrix();
+	}
+
+	if (nodes.length === 0) {
+		return '% No nodes in the graph to export.';
+	}
+
+	var labels = generateNodeLabels();
+	var table;
+	switch (kind) {
+		case 'weighted':
+			table = buildWeightedMatrixTable(nodes, links, labels, directed, emptySymbol || '∞');
+			break;
+		case 'incidence':
+			table = buildIncidenceMatrixTable(nodes, links, labels, directed);
+			break;
+		case 'degree':
+		case 'laplacian':
+			table = buildLaplacianTable(nodes, links, labels, directed, kind);
+			break;
+		case 'transitions':
+			table = buildTransitionTableExport(nodes, links, labels, emptySymbol || '∅');
+			break;
+		default:
+			var matrix = buildAdjacencyMatrix(labels);
+			table = { corner: '', columns: labels.slice(), rows: emptyMatrixRows(labels, labels.length, '0') };
+			for (var i = 0; i < labels.length; i++) {
+				table.rows[i].cells = matrix[i].map(String);
+			}
+	}
+	return formatMatrixTable(table, format);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		escapeLaTeX: escapeLaTeX,
+		buildWeightedMatrixTable: buildWeightedMatrixTable,
+		buildIncidenceMatrixTable: buildIncidenceMatrixTable,
+		buildLaplacianTable: buildLaplacianTable,
+		buildTransitionTableExport: buildTransitionTableExport,
+		latexMatrixCell: latexMatrixCell,
+		formatMatrixTable: formatMatrixTable,
+		generateMatrixExport: generateMatrixExport
+	};
+}
+
+// Formal Definition Export for FSM Designer
+// Writes the machine as M = (Q, Σ, δ, q0, F) in LaTeX and flags anything that keeps it from being a complete DFA
+
+// Find what keeps an abstract automaton (see automaton.js) from being a complete DFA.
+// Returns { nondeterministic: [{ state, symbol, targets }], epsilonStates, missing: [{ state, symbol }] }.
+function findDFAProblems(automaton) {
+	var problems = { nondeterministic: [], epsilonStates: [], missing: [] };
+	for (var i = 0; i < automaton.labels.length; i++) {
+		var row = automaton.transitions[i];
+		if (row[EPSILON] && row[EPSILON].length > 0) {
+			problems.epsilonStates.push(i);
+		}
+		for (var s = 0; s < automaton.alphabet.length; s++) {
+			var targets = row[automaton.alphabet[s]] || [];
+			if (targets.length === 0) {
+				problems.missing.push({ state: i, symbol: automaton.alphabet[s] });
+			} else if (targets.length > 1) {
+				problems.nondeterministic.push({ state: i, symbol: automaton.alphabet[s], targets: targets });
+			}
+		}
+	}
+	return problems;
+}
+
+// Describe the problems as plain sentences, listing at most a few examples of each
+function describeDFAProblems(problems, automaton, labels) {
+	var limit = 5;
+	function examples(items, describe) {
+		var text = items.slice(0, limit).map(describe).join(', ');
+		return items.length > limit ? text + ' and ' + (items.length - limit) + ' more' : text;
+	}
+
+	var messages = [];
+	if (automaton.start === -1) {
+		messages.push('There is no start state');
+	}
+	if (problems.nondeterministic.length > 0) {
+		messages.push('Nondeterministic: ' + examples(problems.nondeterministic, function(entry) {
+			return 'δ(' + labels[entry.state] + ', ' + entry.symbol + ') has ' + entry.targets.length + ' targets';
+		}));
+	}
+	if (problems.epsilonStates.length > 0) {
+		messages.push('Nondeterministic: ε-moves from ' + examples(problems.epsilonStates, function(i) {
+			return labels[i];
+		}));
+	}
+	if (problems.missing.length > 0) {
+		messages.push('Missing transitions: ' + examples(problems.missing, function(entry) {
+			return 'δ(' + labels[entry.state] + ', ' + entry.symbol + ')';
+		}));
+	}
+	return messages;
+}
+
+// Write a set of labels in LaTeX math mode
+function latexLabelSet(indices, labels) {
+	return '\\{' + indices.map(function(i) { return latexMatrixCell(labels[i]); }).join(', ') + '\\}';
+}
+
+// Generate the formal definition as LaTeX. deltaStyle is 'table' (a transition table) or 'list'
+// (one equation per transition). Returns { latex, problems: [sentences], deterministic }.
+function generateFormalDefinition(nodeArray, linkArray, labels, deltaStyle) {
+	var automaton = automatonFromCanvas(nodeArray, linkArray);
+	var problems = findDFAProblems(automaton);
+	var deterministic = problems.nondeterministic.length === 0 && problems.epsilonStates.length === 0;
+	var messages = describeDFAProblems(problems, automaton, labels);
+
+	var states = [];
+	var accepting = [];
+	for (var i = 0; i < labels.length; i++) {
+		states.push(i);
+		if (automaton.accepting[i]) {
+			accepting.push(i);
+		}
+	}
+
+	var kind = !deterministic ? 'NFA' : (problems.missing.length > 0 || automaton.start === -1 ? 'incomplete DFA' : 'complete DFA');
+	var latex = '% Formal definition (' + kind + ')\n';
+	for (var m = 0; m < messages.length; m++) {
+		latex += '% Warning: ' + messages[m] + '\n';
+	}
+
+	latex += '$M = (Q, \\Sigma, \\delta, q_0, F)$ where\n';
+	latex += '\\begin{itemize}\n';
+	latex += '    \\item $Q = ' + latexLabelSet(states, labels) + '$\n';
+	latex += '    \\item $\\Sigma = \\{' + automaton.alphabet.map(latexMatrixCell).join(', ') + '\\}$\n';
+	// A DFA with missing transitions has a partial transition function
+	var partial = deterministic && problems.missing.length > 0;
+	var signature = !deterministic ? 'Q \\times \\Sigma_\\varepsilon \\to \\mathcal{P}(Q)' :
+		'Q \\times \\Sigma ' + (partial ? '\\rightharpoonup' : '\\to') + ' Q';
+	latex += '    \\item $\\delta : ' + signature + '$ ' + (partial ? 'is a partial function and ' : '') +
+		(deltaStyle === 'list' ? 'is defined by the equations below' : 'is given by the table below') + '\n';
+	latex += automaton.start === -1 ?
+		'    \\item $q_0$: no start state\n' :
+		'    \\item $q_0 = ' + latexMatrixCell(labels[automaton.start]) + '$\n';
+	latex += '    \\item $F = ' + latexLabelSet(accepting, labels) + '$\n';
+	latex += '\\end{itemize}\n';
+
+	if (deltaStyle === 'list') {
+		var symbols = automaton.alphabet.concat(problems.epsilonStates.length > 0 ? [EPSILON] : []);
+		var equations = [];
+		for (var i = 0; i < labels.length; i++) {
+			for (var s = 0; s < symbols.length; s++) {
+				var targets = (automaton.transitions[i][symbols[s]] || []).slice().sort(function(a, b) { return a - b; });
+				if (targets.length === 0) {
+					continue;
+				}
+				equations.push('    \\delta(' + latexMatrixCell(labels[i]) + ', ' + latexMatrixCell(symbols[s]) + ') &= ' +
+					(deterministic ? latexMatrixCell(labels[targets[0]]) : latexLabelSet(targets, labels)));
+			}
+		}
+		if (equations.length > 0) {
+			latex += '\\begin{align*}\n' + equations.join(' \\\\\n') + '\n\\end{align*}\n';
+		} else {
+			latex += 'There are no transitions.\n';
+		}
+	} else {
+		latex += formatMatrixTable(buildTransitionTableExport(nodeArray, linkArray, labels, '∅'), 'latex');
+	}
+
+	return { latex: latex, problems: messages, deterministic: deterministic };
+}
+
+// Main UI handler function - called when user clicks 5-Tuple.
+// δ is written as the style chosen in the list next to the button.
+function exportFormalDefinition() {
+	if (nodes.length === 0) {
+		alert('Cannot export the formal definition: No states in the machine.');
+		return;
+	}
+	if (machineType !== 'fsm') {
+		alert('Cannot export the formal definition: The 5-tuple describes finite automata.\n\nChoose "Finite automaton" below the canvas first.');
+		return;
+	}
+
+	var styleSelect = document.getElementById('formalDelta');
+	var result = generateFormalDefinition(nodes, links, generateNodeLabels(), styleSelect ? styleSelect.value : 'table');
+	output(result.latex);
+
+	if (result.problems.length === 0) {
+		alert('The machine is a complete DFA: every state has exactly one transition on every symbol.\n\nThe formal definition is exported as LaTeX.');
+		return;
+	}
+	var message = 'The machine is ' + (result.deterministic ? 'deterministic but not a complete DFA' : 'not a DFA') + ':\n\n';
+	for (var i = 0; i < result.problems.length; i++) {
+		message += '• ' + result.problems[i] + '\n';
+	}
+	message += '\nThe formal definition is exported as LaTeX, with these warnings as comments.';
+	alert(message);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		findDFAProblems: findDFAProblems,
+		describeDFAProblems: describeDFAProblems,
+		generateFormalDefinition: generateFormalDefinition
+	};
+}
+
+// TikZ color for a CSS color: hex colors become xcolor rgb expressions, names are kept
+function latexColor(color) {
+	var match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})/i.exec(color);
+	if(!match) {
+		return color;
+	}
+	return '{rgb,255:red,' + parseInt(match[1], 16) + ';green,' + parseInt(match[2], 16) + ';blue,' + parseInt(match[3], 16) + '}';
+}
+
+// draw using this instead of a canvas and call toLaTeX() afterward
+function ExportAsLaTeX() {
+	this._points = [];
+	this._texData = '';
+	this._scale = 0.1; // to convert pixels to document space (TikZ breaks if the numbers get too big, above 500?)
+
+	this.toLaTeX = function() {
+		return '\\documentclass[12pt]{article}\n' +
+			'\\usepackage{tikz}\n' +
+			'\n' +
+			'\\begin{document}\n' +
+			'\n' +
+			'\\begin{center}\n' +
+			'\\begin{tikzpicture}[scale=0.2]\n' +
+			'\\tikzstyle{every node}+=[inner sep=0pt]\n' +
+			this._texData +
+			'\\end{tikzpicture}\n' +
+			'\\end{center}\n' +
+			'\n' +
+			'\\end{document}\n';
+	};
+
+	this.beginPath = function() {
+		this._points = [];
+		this._circle = null;
+	};
+	this._circleData = function() {
+		return ' (' + fixed(this._circle.x, 3) + ',' + fixed(-this._circle.y, 3) + ') circle (' + fixed(this._circle.radius, 3) + ');\n';
+	};
+	this.arc = function(x, y, radius, startAngle, endAngle, isReversed) {
+		x *= this._scale;
+		y *= this._scale;
+		radius *= this._scale;
+		if(endAngle - startAngle == Math.PI * 2) {
+			// full circles are written by stroke() or fill()
+			this._circle = { 'x': x, 'y': y, 'radius': radius };
+		} else {
+			if(isReversed) {
+				var temp = startAngle;
+				startAngle = endAngle;
+				endAngle = temp;
+			}
+			if(endAngle < startAngle) {
+				endAngle += Math.PI * 2;
+			}
+			// TikZ needs the angles to be in between -2pi and 2pi or it breaks
+			if(Math.min(startAngle, endAngle) < -2*Math.PI) {
+				startAngle += 2*Math.PI;
+				endAngle += 2*Math.PI;
+			} else if(Math.max(startAngle, endAngle) > 2*Math.PI) {
+				startAngle -= 2*Math.PI;
+				endAngle -= 2*Math.PI;
+			}
+			startAngle = -startAngle;
+			endAngle = -endAngle;
+			this._texData += '\\draw [' + this.strokeStyle + '] (' + fixed(x + radius * Math.cos(startAngle), 3) + ',' + fixed(-y + radius * Math.sin(startAngle), 3) + ') arc (' + fixed(startAngle * 180 / Math.PI, 5) + ':' + fixed(endAngle * 180 / Math.PI, 5) + ':' + fixed(radius, 3) + ');\n';
+		}
+	};
+	this.moveTo = this.lineTo = function(x, y) {
+		x *= this._scale;
+		y *= this._scale;
+		this._points.push({ 'x': x, 'y': y });
+	};
+	this.stroke = function() {
+		if(this._circle) {
+			this._texData += '\\draw [' + this.strokeStyle + ']' + this._circleData();
+			return;
+		}
+		if(this._points.length == 0) return;
+		this._texData += '\\draw [' + this.strokeStyle + ']';
+		for(var i = 0; i < this._points.length; i++) {
+			var p = this._points[i];
+			this._texData += (i > 0 ? ' --' : '') + ' (' + fixed(p.x, 2) + ',' + fixed(-p.y, 2) + ')';
+		}
+		this._texData += ';\n';
+	};
+	this.fill = function() {
+		if(this._circle) {
+			this._texData += '\\fill [fill=' + latexColor(this.fillStyle) + ']' + this._circleData();
+			return;
+		}
+		if(this._points.length == 0) return;
+		if (directed){
+		this._texData += '\\fill [' + this.strokeStyle + ']';
+		for(var i = 0; i < this._points.length; i++) {
+			var p = this._points[i];
+			this._texData += (i > 0 ? ' --' : '') + ' (' + fixed(p.x, 2) + ',' + fixed(-p.y, 2) + ')';
+		}
+
+		this._texData += ';\n';
+		}
+	};
+	this.measureText = function(text) {
+		var c = canvas.getContext('2d');
+		c.font = '20px "Times New Romain", serif';
+		return c.measureText(text);
+	};
+	this.advancedFillText = function(text, originalText, x, y, angleOrNull) {
+		if(text.replace(' ', '').length > 0) {
+			var nodeParams = '';
+			// x and y start off as the center of the text, but will be moved to one side of the box when angleOrNull != null
+			if(angleOrNull != null) {
+				var width = this.measureText(text).width;
+				var dx = Math.cos(angleOrNull);
+				var dy = Math.sin(angleOrNull);
+				if(Math.abs(dx) > Math.abs(dy)) {
+					if(dx > 0) nodeParams = '[right] ', x -= width / 2;
+					else nodeParams = '[left] ', x += width / 2;
+				} else {
+					if(dy > 0) nodeParams = '[below] ', y -= 10;
+					else nodeParams = '[above] ', y += 10;
+				}
+			}
+			x *= this._scale;
+			y *= this._scale;
+			this._texData += '\\draw (' + fixed(x, 2) + ',' + fixed(-y, 2) + ') node ' + nodeParams + '{$' + originalText.replace(/ /g, '\\mbox{ }') + '$};\n';
+		}
+	};
+
+	this.translate = this.save = this.restore = this.clearRect = function(){};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		latexColor: latexColor,
+		ExportAsLaTeX: ExportAsLaTeX
+	};
+}
+
+// draw using this instead of a canvas and call toSVG() afterward
+function ExportAsSVG() {
+	this.fillStyle = 'black';
+	this.strokeStyle = 'black';
+	this.lineWidth = 1;
+	this.font = '12px Arial, sans-serif';
+	this._points = [];
+	this._svgData = '';
+	this._transX = 0;
+	this._transY = 0;
+
+	this.toSVG = function() {
+		return '<?xml version="1.0" standalone="no"?>\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">\n\n<svg width="800" height="600" version="1.1" xmlns="http://www.w3.org/2000/svg">\n' + this._svgData + '</svg>\n';
+	};
+
+	this.beginPath = function() {
+		this._points = [];
+		this._circle = null;
+	};
+	this._ellipse = function(style) {
+		var circle = this._circle;
+		this._svgData += '\t<ellipse ' + style + ' cx="' + fixed(circle.x, 3) + '" cy="' + fixed(circle.y, 3) + '" rx="' + fixed(circle.radius, 3) + '" ry="' + fixed(circle.radius, 3) + '"/>\n';
+	};
+	this.arc = function(x, y, radius, startAngle, endAngle, isReversed) {
+		x += this._transX;
+		y += this._transY;
+		var style = 'stroke="' + this.strokeStyle + '" stroke-width="' + this.lineWidth + '" fill="none"';
+
+		if(endAngle - startAngle == Math.PI * 2) {
+			// full circles are written by stroke() or fill()
+			this._circle = { 'x': x, 'y': y, 'radius': radius };
+		} else {
+			if(isReversed) {
+				var temp = startAngle;
+				startAngle = endAngle;
+				endAngle = temp;
+			}
+
+			if(endAngle < startAngle) {
+				endAngle += Math.PI * 2;
+			}
+
+			var startX = x + radius * Math.cos(startAngle);
+			var startY = y + radius * Math.sin(startAngle);
+			var endX = x + radius * Math.cos(endAngle);
+			var endY = y + radius * Math.sin(endAngle);
+			var useGreaterThan180 = (Math.abs(endAngle - startAngle) > Math.PI);
+			var goInPositiveDirection = 1;
+
+			this._svgData += '\t<path ' + style + ' d="';
+			this._svgData += 'M ' + fixed(startX, 3) + ',' + fixed(startY, 3) + ' '; // startPoint(startX, startY)
+			this._svgData += 'A ' + fixed(radius, 3) + ',' + fixed(radius, 3) + ' '; // radii(radius, radius)
+			this._svgData += '0 '; // value of 0 means perfect circle, others mean ellipse
+			this._svgData += +useGreaterThan180 + ' ';
+			this._svgData += +goInPositiveDirection + ' ';
+			this._svgData += fixed(endX, 3) + ',' + fixed(endY, 3); // endPoint(endX, endY)
+			this._svgData += '"/>\n';
+		}
+	};
+	this.moveTo = this.lineTo = function(x, y) {
+		x += this._transX;
+		y += this._transY;
+		this._points.push({ 'x': x, 'y': y });
+	};
+	this.stroke = function() {
+		if(this._circle) {
+			this._ellipse('stroke="' + this.strokeStyle + '" stroke-width="' + this.lineWidth + '" fill="none"');
+			return;
+		}
+		if(this._points.length == 0) return;
+		this._svgData += '\t<polygon stroke="' + this.strokeStyle + '" stroke-width="' + this.lineWidth + '" points="';
+		for(var i = 0; i < this._points.length; i++) {
+			this._svgData += (i > 0 ? ' ' : '') + fixed(this._points[i].x, 3) + ',' + fixed(this._points[i].y, 3);
+		}
+		this._svgData += '"/>\n';
+	};
+	this.fill = function() {
+		if(this._circle) {
+			this._ellipse('stroke="none" fill="' + this.fillStyle + '"');
+			return;
+		}
+		if(this._points.length == 0) return;
+		this._svgData += '\t<polygon fill="' + this.fillStyle + '" stroke-width="' + this.lineWidth + '" points="';
+		for(var i = 0; i < this._points.length; i++) {
+			this._svgData += (i > 0 ? ' ' : '') + fixed(this._points[i].x, 3) + ',' + fixed(this._points[i].y, 3);
+		}
+		this._svgData += '"/>\n';
+	};
+	this.measureText = function(text) {
+		var c = canvas.getContext('2d');
+		c.font = '20px "Times New Romain", serif';
+		return c.measureText(text);
+	};
+	this.fillText = function(text, x, y) {
+		x += this._transX;
+		y += this._transY;
+		if(text.replace(' ', '').length > 0) {
+			this._svgData += '\t<text x="' + fixed(x, 3) + '" y="' + fixed(y, 3) + '" font-family="Times New Roman" font-size="20">' + textToXML(text) + '</text>\n';
+		}
+	};
+	this.translate = function(x, y) {
+		this._transX = x;
+		this._transY = y;
+	};
+
+	this.save = this.restore = this.clearRect = function(){};
+}
+
+// TikZ Automata Export for FSM Designer
+// Writes the machine with the TikZ automata library (\node[state] and \path edges) instead of
+// the drawing primitives of ExportAsLaTeX, so the result is easy to edit by hand. ImportFromLaTeX
+// reads this format back.
+
+// Name a state after its label if that is a plain identifier, otherwise after its index.
+// Labels get their names first, so a fallback never takes the name of a labelled state.
+function tikzStateNames(nodeArray) {
+	var names = [];
+	var taken = {};
+	for (var i = 0; i < nodeArray.length; i++) {
+		var text = nodeArray[i].text ? nodeArray[i].text.trim() : '';
+		var plain = /^[A-Za-z][A-Za-z0-9_]*$/.test(text) && !taken.hasOwnProperty(text);
+		names.push(plain ? text : null);
+		if (plain) {
+			taken[text] = true;
+		}
+	}
+	for (var i = 0; i < nodeArray.length; i++) {
+		if (names[i] !== null) {
+			continue;
+		}
+		var name = 'n' + i;
+		for (var suffix = 1; taken.hasOwnProperty(name); suffix++) {
+			name = 'n' + i + '_' + suffix;
+		}
+		names[i] = name;
+		taken[name] = true;
+	}
+	return names;
+}
+
+// Node or edge label as TikZ node content, written like ExportAsLaTeX writes it
+function tikzLabel(text) {
+	return text && text.trim() !== '' ? '{$' + text.replace(/ /g, '\\mbox{ }') + '$}' : '{}';
+}
+
+// Angle in degrees (counterclockwise, y up) in the range (-180, 180]
+function tikzAngle(canvasAngle) {
+	var degrees = -canvasAngle * 180 / Math.PI;
+	while (degrees <= -180) degrees += 360;
+	while (degrees > 180) degrees -= 360;
+	return degrees;
+}
+
+// Bend angle of a curved link: the angle between the straight line and the arc where it leaves
+// nodeA, signed like perpendicularPart (positive bends to the right when going from A to B).
+// For a circle through A, B and the anchor point this is half the arc's central angle.
+function linkBendAngle(link) {
+	if (link.perpendicularPart == 0) {
+		return 0;
+	}
+	var anchor = link.getAnchorPoint();
+	var circle = circleFromThreePoints(link.nodeA.x, link.nodeA.y, link.nodeB.x, link.nodeB.y, anchor.x, anchor.y);
+	var dx = link.nodeB.x - link.nodeA.x;
+	var dy = link.nodeB.y - link.nodeA.y;
+	var halfChord = Math.sqrt(dx * dx + dy * dy) / 2;
+	var angle = Math.asin(Math.min(1, halfChord / circle.radius));
+	// The arc is the long way round when the anchor is on the same side of the chord as the centre
+	var anchorSide = dx * (anchor.y - link.nodeA.y) - dy * (anchor.x - link.nodeA.x);
+	var centreSide = dx * (circle.y - link.nodeA.y) - dy * (circle.x - link.nodeA.x);
+	if (anchorSide * centreSide > 0) {
+		angle = Math.PI - angle;
+	}
+	return (link.perpendicularPart > 0 ? 1 : -1) * angle * 180 / Math.PI;
+}
+
+// Edge options for a self-loop: loop above/below/left/right, or explicit out/in angles
+function selfLoopOptions(link) {
+	var angle = tikzAngle(link.anchorAngle);
+	var sides = { '90': 'above', '-90': 'below', '0': 'right', '180': 'left' };
+	var rounded = Math.round(angle);
+	if (Math.abs(angle - rounded) < 0.01 && sides[String(rounded)]) {
+		return 'loop ' + sides[String(rounded)];
+	}
+	return 'loop, out=' + fixed(angle + 15, 1) + ', in=' + fixed(angle - 15, 1);
+}
+
+// Side of the state the start arrow comes from
+function startLinkSide(link) {
+	if (Math.abs(link.deltaX) >= Math.abs(link.deltaY)) {
+		return link.deltaX <= 0 ? 'left' : 'right';
+	}
+	return link.deltaY < 0 ? 'above' : 'below';
+}
+
+// Generate a LaTeX document with the machine drawn using the TikZ automata library
+function generateTikZAutomaton(nodeArray, linkArray, isDirected) {
+	var scale = 0.1; // pixels to document space, as in ExportAsLaTeX
+	var names = tikzStateNames(nodeArray);
+	var startSides = [];
+	for (var i = 0; i < nodeArray.length; i++) {
+		startSides.push(null);
+	}
+	for (var i = 0; i < linkArray.length; i++) {
+		if (linkArray[i] instanceof StartLink) {
+			startSides[nodeArray.indexOf(linkArray[i].node)] = startLinkSide(linkArray[i]);
+		}
+	}
+
+	var body = '';
+	for (var i = 0; i < nodeArray.length; i++) {
+		var node = nodeArray[i];
+		var options = ['state'];
+		if (startSides[i]) {
+			options.push('initial');
+			if (startSides[i] !== 'left') {
+				options.push('initial where=' + startSides[i]);
+			}
+		}
+		if (node.isAcceptState) {
+			options.push('accepting');
+		}
+		if (node.fillColor) {
+			options.push('fill=' + latexColor(node.fillColor));
+		}
+		body += '\\node[' + options.join(', ') + '] (' + names[i] + ') at (' + fixed(node.x * scale, 2) + ',' +
+			fixed(-node.y * scale, 2) + ') ' + tikzLabel(node.text) + ';\n';
+	}
+
+	var path = isDirected ? '\\path[->] ' : '\\path ';
+	for (var i = 0; i < linkArray.length; i++) {
+		var link = linkArray[i];
+		if (link instanceof SelfLink) {
+			var name = names[nodeArray.indexOf(link.node)];
+			body += path + '(' + name + ') edge [' + selfLoopOptions(link) + '] node ' + tikzLabel(link.text) + ' ();\n';
+		} else if (link instanceof Link) {
+			var bend = Math.round(linkBendAngle(link));
+			var edgeOptions = bend === 0 ? '' : '[bend ' + (bend > 0 ? 'right' : 'left') + '=' + Math.abs(bend) + '] ';
+			// auto puts labels on the left of the edge; keep them on the outside of right bends
+			var nodeOptions = bend > 0 ? '[swap] ' : '';
+			body += path + '(' + names[nodeArray.indexOf(link.nodeA)] + ') edge ' + edgeOptions + 'node ' + nodeOptions +
+				tikzLabel(link.text) + ' (' + names[nodeArray.indexOf(link.nodeB)] + ');\n';
+		}
+	}
+
+	return '\\documentclass[12pt]{article}\n' +
+		'\\usepackage{tikz}\n' +
+		'\\usetikzlibrary{automata}\n' +
+		'\n' +
+		'\\begin{document}\n' +
+		'\n' +
+		'\\begin{center}\n' +
+		'\\begin{tikzpicture}[scale=0.2, >=stealth, auto, initial text=]\n' +
+		body +
+		'\\end{tikzpicture}\n' +
+		'\\end{center}\n' +
+		'\n' +
+		'\\end{document}\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		tikzStateNames: tikzStateNames,
+		linkBendAngle: linkBendAngle,
+		generateTikZAutomaton: generateTikZAutomaton
+	};
+}
+
+// Import LaTeX (TikZ) and convert to FSM objects
+// This parser supports the format exported by this tool's ExportAsLaTeX function
+
+function ImportFromLaTeX() {
+	this._scale = 10; // inverse of export scale (0.1)
+	
+	// Parsed elements
+	this._circles = [];      // {x, y, radius}
+	this._texts = [];        // {x, y, text, position}
+	this._lines = [];        // {points: [{x,y}...]}
+	this._arcs = [];         // {startX, startY, startAngle, endAngle, radius, centerX, centerY}
+	this._fills = [];        // {points: [{x,y}...]}
+
+	// TikZ automata library format (see tikz_automata.js)
+	this._automata = false;
+	this._directed = false;
+	this._states = [];       // {name, options: [..], x, y, label}
+	this._edges = [];        // {from, to, options: [..], label}
+	this._pictureScale = 1;
+	this._nodeDistance = null; // {x, y} in cm, from the node distance picture option
+}
+
+// Main entry point - parse LaTeX string
+ImportFromLaTeX.prototype.parse = function(latexString) {
+	// Reset parsed elements
+	this._circles = [];
+	this._texts = [];
+	this._lines = [];
+	this._arcs = [];
+	this._fills = [];
+	this._automata = false;
+	this._directed = false;
+	this._states = [];
+	this._edges = [];
+	this._pictureScale = 1;
+	this._nodeDistance = null;
+	
+	// Extract content between \begin{tikzpicture} and \end{tikzpicture}
+	// Also accept just \begin{tikzpicture} without the \begin{center} wrapper
+	var tikzMatch = latexString.match(/\\begin\{tikzpicture\}[\s\S]*?\\end\{tikzpicture\}/);
+	if (!tikzMatch) {
+		throw new Error('No tikzpicture environment found. Please paste valid TikZ LaTeX code.');
+	}
+	
+	var tikzContent = tikzMatch[0];
+	
+	// The automata library format has \node[state] statements that may span several lines
+	if (/\\node\s*\[[^\]]*\bstate\b/.test(tikzContent)) {
+		this._automata = true;
+		this._parseAutomata(tikzContent);
+		return this;
+	}
+	
+	// Split into lines and parse each command
+	var lines = tikzContent.split('\n');
+	for (var i = 0; i < lines.length; i++) {
+		var line = lines[i].trim();
+		if (line.startsWith('\\draw')) {
+			this._parseDrawCommand(line);
+		} else if (line.startsWith('\\fill')) {
+			this._parseFillCommand(line);
+		}
+	}
+	
+	return this;
+};
+
+// Parse a \draw command
+ImportFromLaTeX.prototype._parseDrawCommand = function(line) {
+	// Check for circle
+	var circleMatch = line.match(/\\draw\s*\[.*?\]\s*\(([^,]+),([^)]+)\)\s*circle\s*\(([^)]+)\)/);
+	if (circleMatch) {
+		this._circles.push({
+			x: parseFloat(circleMatch[1]),
+			y: parseFloat(circleMatch[2]),
+			radius: parseFloat(circleMatch[3])
+		});
+		return;
+	}
+	
+	// Check for text node
+	var nodeMatch = line.match(/\\draw\s*\(([^,]+),([^)]+)\)\s*node\s*(\[(.*?)\])?\s*\{\$(.+?)\$\}/);
+	if (nodeMatch) {
+		this._texts.push({
+			x: parseFloat(nodeMatch[1]),
+			y: parseFloat(nodeMatch[2]),
+			position: nodeMatch[4] || '',
+			text: this._cleanText(nodeMatch[5])
+		});
+		return;
+	}
+	
+	// Check for arc
+	var arcMatch = line.match(/\\draw\s*\[.*?\]\s*\(([^,]+),([^)]+)\)\s*arc\s*\(([^:]+):([^:]+):([^)]+)\)/);
+	if (arcMatch) {
+		var startX = parseFloat(arcMatch[1]);
+		var startY = parseFloat(arcMatch[2]);
+		var startAngle = parseFloat(arcMatch[3]) * Math.PI / 180; // Convert to radians
+		var endAngle = parseFloat(arcMatch[4]) * Math.PI / 180;
+		var radius = parseFloat(arcMatch[5]);
+		
+		// Calculate center from start point and angle
+		var centerX = startX - radius * Math.cos(startAngle);
+		var centerY = startY - radius * Math.sin(startAngle);
+		
+		this._arcs.push({
+			startX: startX,
+			startY: startY,
+			startAngle: startAngle,
+			endAngle: endAngle,
+			radius: radius,
+			centerX: centerX,
+			centerY: centerY
+		});
+		return;
+	}
+	
+	// Check for line/path (points connected by --)
+	var lineMatch = line.match(/\\draw\s*\[.*?\]\s*((?:\([^)]+\)\s*(?:--\s*)?)+);/);
+	if (lineMatch) {
+		var pointsStr = lineMatch[1];
+		var pointMatches = pointsStr.match(/\(([^,]+),([^)]+)\)/g);
+		if (pointMatches && pointMatches.length >= 2) {
+			var points = [];
+			for (var i = 0; i < pointMatches.length; i++) {
+				var m = pointMatches[i].match(/\(([^,]+),([^)]+)\)/);
+				if (m) {
+					points.push({
+						x: parseFloat(m[1]),
+						y: parseFloat(m[2])
+					});
+				}
+			}
+			if (points.length >= 2) {
+				this._lines.push({ points: points });
+			}
+		}
+	}
+};
+
+// Parse a \fill command (arrow heads)
+ImportFromLaTeX.prototype._parseFillCommand = function(line) {
+	var fillMatch = line.match(/\\fill\s*\[.*?\]\s*((?:\([^)]+\)\s*(?:--\s*)?)+);/);
+	if (fillMatch) {
+		var pointsStr = fillMatch[1];
+		var pointMatches = pointsStr.match(/\(([^,]+),([^)]+)\)/g);
+		if (pointMatches) {
+			var points = [];
+			for (var i = 0; i < pointMatches.length; i++) {
+				var m = pointMatches[i].match(/\(([^,]+),([^)]+)\)/);
+				if (m) {
+					points.push({
+						x: parseFloat(m[1]),
+						y: parseFloat(m[2])
+					});
+				}
+			}
+			if (points.length >= 3) {
+				this._fills.push({ points: points });
+			}
+		}
+	}
+};
+
+// Clean text from LaTeX formatting
+ImportFromLaTeX.prototype._cleanText = function(text) {
+	// Replace \mbox{ } with regular spaces
+	text = text.replace(/\\mbox\{\s*\}/g, ' ');
+	// Remove any remaining LaTeX commands
+	text = text.replace(/\\/g, '\\'); // Keep backslashes for greek letters
+	return text;
+};
+
+// Transform coordinate from LaTeX to canvas space
+ImportFromLaTeX.prototype._transformCoord = function(x, y) {
+	return {
+		x: x * this._scale,
+		y: -y * this._scale  // Un-negate the y coordinate
+	};
+};
+
+// Reconstruct FSM from parsed elements
+ImportFromLaTeX.prototype.reconstructFSM = function() {
+	if (this._automata) {
+		return this._reconstructAutomata();
+	}
+	
+	var result = {
+		nodes: [],
+		links: []
+	};
+	
+	var nodeRadius = 30; // Default node radius
+	var expectedRadius = nodeRadius * 0.1; // 3.0 in LaTeX units
+	var acceptRadius = (nodeRadius - 6) * 0.1; // 2.4 in LaTeX units
+	var selfLoopRadius = 0.75 * nodeRadius * 0.1; // 2.25 in LaTeX units
+	
+	// Step 1: Identify nodes from circles
+	var nodePositions = []; // Track node positions for later matching
+	
+	for (var i = 0; i < this._circles.length; i++) {
+		var circle = this._circles[i];
+		
+		// Check if this is a node circle (radius ~= 3.0)
+		if (Math.abs(circle.radius - expectedRadius) < 0.5) {
+			var pos = this._transformCoord(circle.x, circle.y);
+			
+			// Check if we already have a node at this position
+			var existingNode = this._findNodeAtPosition(nodePositions, pos.x, pos.y);
+			if (!existingNode) {
+				var node = new Node(pos.x, pos.y);
+				node.isAcceptState = false;
+				node.text = '';
+				result.nodes.push(node);
+				nodePositions.push({ node: node, x: pos.x, y: pos.y });
+			}
+		}
+		// Check if this is an accept state inner circle (radius ~= 2.4)
+		else if (Math.abs(circle.radius - acceptRadius) < 0.5) {
+			var pos = this._transformCoord(circle.x, circle.y);
+			var existingNode = this._findNodeAtPosition(nodePositions, pos.x, pos.y);
+			if (existingNode) {
+				existingNode.node.isAcceptState = true;
+			}
+		}
+	}
+	
+	// Step 2: Assign text labels to nodes
+	for (var i = 0; i < this._texts.length; i++) {
+		var text = this._texts[i];
+		var pos = this._transformCoord(text.x, text.y);
+		
+		// Find nearest node
+		var nearestNode = this._findNearestNode(nodePositions, pos.x, pos.y, nodeRadius * 1.5);
+		if (nearestNode && !text.position) {
+			// Text without position modifier is likely a node label
+			nearestNode.node.text = text.text;
+			text._assigned = true;
+		}
+	}
+	
+	// Step 3: Identify self-loops from arcs
+	for (var i = 0; i < this._arcs.length; i++) {
+		var arc = this._arcs[i];
+		
+		// Self-loops have small radius (~2.25)
+		if (Math.abs(arc.radius - selfLoopRadius) < 0.5) {
+			var centerPos = this._transformCoord(arc.centerX, arc.centerY);
+			
+			// Find the node this self-loop belongs to
+			// Self-loop center is at node.x + 1.5 * nodeRadius * cos(anchorAngle)
+			for (var j = 0; j < nodePositions.length; j++) {
+				var np = nodePositions[j];
+				var dx = centerPos.x - np.x;
+				var dy = centerPos.y - np.y;
+				var dist = Math.sqrt(dx * dx + dy * dy);
+				
+				// Distance should be ~1.5 * nodeRadius = 45
+				if (Math.abs(dist - 1.5 * nodeRadius) < 20) {
+					var selfLink = new SelfLink(np.node, null);
+					// Calculate anchor angle from center position relative to node
+					selfLink.anchorAngle = Math.atan2(dy, dx);
+					selfLink.text = '';
+					result.links.push(selfLink);
+					arc._assigned = true;
+					arc._linkIndex = result.links.length - 1;
+					break;
+				}
+			}
+		}
+	}
+	
+	// Step 4: Identify regular links from lines
+	for (var i = 0; i < this._lines.length; i++) {
+		var line = this._lines[i];
+		if (line.points.length === 2) {
+			var start = this._transformCoord(line.points[0].x, line.points[0].y);
+			var end = this._transformCoord(line.points[1].x, line.points[1].y);
+			
+			// Find nodes at start and end
+			var startNode = this._findNearestNode(nodePositions, start.x, start.y, nodeRadius + 10);
+			var endNode = this._findNearestNode(nodePositions, end.x, end.y, nodeRadius + 10);
+			
+			if (startNode && endNode && startNode !== endNode) {
+				// Regular link between two nodes
+				var link = new Link(startNode.node, endNode.node);
+				link.text = '';
+				link.lineAngleAdjust = 0;
+				link.parallelPart = 0.5;
+				link.perpendicularPart = 0;
+				result.links.push(link);
+				line._assigned = true;
+				line._linkIndex = result.links.length - 1;
+			} else if (endNode && !startNode) {
+				// Start link - line pointing to a node from outside
+				var startLink = new StartLink(endNode.node, null);
+				startLink.deltaX = start.x - endNode.x;
+				startLink.deltaY = start.y - endNode.y;
+				startLink.text = '';
+				result.links.push(startLink);
+				line._assigned = true;
+				line._linkIndex = result.links.length - 1;
+			} else if (startNode && !endNode) {
+				// Could also be a start link with reversed points
+				var startLink = new StartLink(startNode.node, null);
+				startLink.deltaX = end.x - startNode.x;
+				startLink.deltaY = end.y - startNode.y;
+				startLink.text = '';
+				result.links.push(startLink);
+				line._assigned = true;
+				line._linkIndex = result.links.length - 1;
+			}
+		}
+	}
+	
+	// Step 5: Identify curved links from remaining arcs
+	for (var i = 0; i < this._arcs.length; i++) {
+		var arc = this._arcs[i];
+		if (arc._assigned) continue;
+		
+		// Calculate end point of arc
+		var endX = arc.centerX + arc.radius * Math.cos(arc.endAngle);
+		var endY = arc.centerY + arc.radius * Math.sin(arc.endAngle);
+		
+		var startPos = this._transformCoord(arc.startX, arc.startY);
+		var endPos = this._transformCoord(endX, endY);
+		
+		var arcStartNode = this._findNearestNode(nodePositions, startPos.x, startPos.y, nodeRadius + 15);
+		var arcEndNode = this._findNearestNode(nodePositions, endPos.x, endPos.y, nodeRadius + 15);
+		
+		if (arcStartNode && arcEndNode && arcStartNode !== arcEndNode) {
+			// Find the fill (arrow) associated with this arc to determine direction
+			// The fill's first point should be at the arrow tip (arc end)
+			var nearestFill = null;
+			var nearestFillDist = Infinity;
+			
+			for (var j = 0; j < this._fills.length; j++) {
+				if (this._fills[j]._assigned) continue;
+				var fillFirstPoint = this._transformCoord(this._fills[j].points[0].x, this._fills[j].points[0].y);
+				
+				// Check distance to arc end position
+				var distToEnd = Math.sqrt(Math.pow(fillFirstPoint.x - endPos.x, 2) + Math.pow(fillFirstPoint.y - endPos.y, 2));
+				var distToStart = Math.sqrt(Math.pow(fillFirstPoint.x - startPos.x, 2) + Math.pow(fillFirstPoint.y - startPos.y, 2));
+				
+				// The fill should be closer to one end of the arc
+				if (distToEnd < 20 || distToStart < 20) {
+					var minDist = Math.min(distToEnd, distToStart);
+					if (minDist < nearestFillDist) {
 						nearestFillDist = minDist;
 						nearestFill = { fill: this._fills[j], atStart: distToStart < distToEnd };
 					}
 				}
 			}
-			
-			// Determine correct node order based on where the arrow is
-			var nodeA, nodeB;
-			if (nearestFill && nearestFill.atStart) {
-				// Arrow is at start of arc, so arc goes from end to start
-				nodeA = arcEndNode.node;
-				nodeB = arcStartNode.node;
+			
+			// Determine correct node order based on where the arrow is
+			var nodeA, nodeB;
+			if (nearestFill && nearestFill.atStart) {
+				// Arrow is at start of arc, so arc goes from end to start
+				nodeA = arcEndNode.node;
+				nodeB = arcStartNode.node;
+			} else {
+				// Arrow is at end of arc (normal case), or no fill found
+				nodeA = arcStartNode.node;
+				nodeB = arcEndNode.node;
+			}
+			
+			// Create link from nodeA to nodeB
+			var link = new Link(nodeA, nodeB);
+			link.text = '';
+			link.lineAngleAdjust = 0;
+			
+			// Calculate the arc midpoint (a point ON the arc at the middle angle)
+			// This is different from the arc center!
+			var midAngle = (arc.startAngle + arc.endAngle) / 2;
+			var arcMidX = arc.centerX + arc.radius * Math.cos(midAngle);
+			var arcMidY = arc.centerY + arc.radius * Math.sin(midAngle);
+			var arcMidPos = this._transformCoord(arcMidX, arcMidY);
+			
+			// Calculate perpendicular distance from the line to the arc midpoint
+			var dx = nodeB.x - nodeA.x;  // nodeB - nodeA
+			var dy = nodeB.y - nodeA.y;
+			var length = Math.sqrt(dx * dx + dy * dy);
+			
+			if (length > 0) {
+				link.parallelPart = 0.5;
+				// Perpendicular part uses the arc midpoint (which lies on the arc)
+				// as the anchor point reference
+				link.perpendicularPart = (dx * (arcMidPos.y - nodeA.y) - dy * (arcMidPos.x - nodeA.x)) / length;
+			}
+			
+			result.links.push(link);
+			arc._assigned = true;
+			arc._linkIndex = result.links.length - 1;
+			
+			// Mark the fill as assigned
+			if (nearestFill) {
+				nearestFill.fill._assigned = true;
+			}
+		}
+	}
+	
+	// Step 6: Assign text labels to links
+	for (var i = 0; i < this._texts.length; i++) {
+		var text = this._texts[i];
+		if (text._assigned) continue;
+		
+		var pos = this._transformCoord(text.x, text.y);
+		
+		// Find nearest link
+		var nearestLink = null;
+		var nearestDist = Infinity;
+		
+		for (var j = 0; j < result.links.length; j++) {
+			var link = result.links[j];
+			var linkMid = this._getLinkMidpoint(link, nodeRadius);
+			if (linkMid) {
+				var dist = Math.sqrt(Math.pow(pos.x - linkMid.x, 2) + Math.pow(pos.y - linkMid.y, 2));
+				if (dist < nearestDist && dist < 80) {
+					nearestDist = dist;
+					nearestLink = link;
+				}
+			}
+		}
+		
+		if (nearestLink) {
+			nearestLink.text = text.text;
+			text._assigned = true;
+		}
+	}
+	
+	return result;
+};
+
+// Helper: Find node at a specific position
+ImportFromLaTeX.prototype._findNodeAtPosition = function(nodePositions, x, y) {
+	for (var i = 0; i < nodePositions.length; i++) {
+		var np = nodePositions[i];
+		if (Math.abs(np.x - x) < 1 && Math.abs(np.y - y) < 1) {
+			return np;
+		}
+	}
+	return null;
+};
+
+// Helper: Find nearest node within a threshold
+ImportFromLaTeX.prototype._findNearestNode = function(nodePositions, x, y, threshold) {
+	var nearest = null;
+	var minDist = threshold;
+	
+	for (var i = 0; i < nodePositions.length; i++) {
+		var np = nodePositions[i];
+		var dist = Math.sqrt(Math.pow(np.x - x, 2) + Math.pow(np.y - y, 2));
+		if (dist < minDist) {
+			minDist = dist;
+			nearest = np;
+		}
+	}
+	
+	return nearest;
+};
+
+// Helper: Get midpoint of a link for label assignment
+ImportFromLaTeX.prototype._getLinkMidpoint = function(link, nodeRadius) {
+	if (link instanceof SelfLink) {
+		var circleX = link.node.x + 1.5 * nodeRadius * Math.cos(link.anchorAngle);
+		var circleY = link.node.y + 1.5 * nodeRadius * Math.sin(link.anchorAngle);
+		return {
+			x: circleX + 0.75 * nodeRadius * Math.cos(link.anchorAngle),
+			y: circleY + 0.75 * nodeRadius * Math.sin(link.anchorAngle)
+		};
+	} else if (link instanceof StartLink) {
+		return {
+			x: link.node.x + link.deltaX,
+			y: link.node.y + link.deltaY
+		};
+	} else if (link instanceof Link) {
+		// If it's a curved link (has perpendicular part), calculate arc midpoint
+		if (link.perpendicularPart !== 0) {
+			var anchor = link.getAnchorPoint();
+			var circle = circleFromThreePoints(link.nodeA.x, link.nodeA.y, link.nodeB.x, link.nodeB.y, anchor.x, anchor.y);
+			var isReversed = (link.perpendicularPart > 0);
+			var reverseScale = isReversed ? 1 : -1;
+			var startAngle = Math.atan2(link.nodeA.y - circle.y, link.nodeA.x - circle.x) - reverseScale * nodeRadius / circle.radius;
+			var endAngle = Math.atan2(link.nodeB.y - circle.y, link.nodeB.x - circle.x) + reverseScale * nodeRadius / circle.radius;
+			
+			if (isReversed) {
+				var temp = startAngle;
+				startAngle = endAngle;
+				endAngle = temp;
+			}
+			
+			if (endAngle < startAngle) {
+				endAngle += Math.PI * 2;
+			}
+			
+			var midAngle = (startAngle + endAngle) / 2;
+			return {
+				x: circle.x + circle.radius * Math.cos(midAngle),
+				y: circle.y + circle.radius * Math.sin(midAngle)
+			};
+		} else {
+			// Straight line midpoint
+			return {
+				x: (link.nodeA.x + link.nodeB.x) / 2,
+				y: (link.nodeA.y + link.nodeB.y) / 2
+			};
+		}
+	}
+	return null;
+};
+
+// Parse the TikZ automata library format: \node[state, ...] (name) at (x,y) {label}; and
+// \path[->] (a) edge [options] node {label} (b) ...; statements
+ImportFromLaTeX.prototype._parseAutomata = function(tikzContent) {
+	// Drop comments (but not \%)
+	var content = tikzContent.replace(/(^|[^\\])%.*$/gm, '$1');
+	
+	var pictureMatch = content.match(/\\begin\{tikzpicture\}\s*(\[[^\]]*\])?/);
+	var pictureOptions = pictureMatch[1] ? this._splitOptions(pictureMatch[1].slice(1, -1)) : [];
+	for (var i = 0; i < pictureOptions.length; i++) {
+		var scaleMatch = pictureOptions[i].match(/^scale\s*=\s*([\d.]+)$/);
+		var distanceMatch = pictureOptions[i].match(/^node\s+distance\s*=\s*(.+)$/);
+		if (scaleMatch) {
+			this._pictureScale = parseFloat(scaleMatch[1]);
+		} else if (distanceMatch) {
+			// node distance=2cm, or node distance=<vertical> and <horizontal>
+			var distances = distanceMatch[1].split(/\s+and\s+/).map(this._tikzLength);
+			if (!isNaN(distances[0]) && !isNaN(distances[distances.length - 1])) {
+				this._nodeDistance = { x: distances[distances.length - 1], y: distances[0] };
+			}
+		} else if (pictureOptions[i] === '->') {
+			this._directed = true;
+		}
+	}
+	content = content.slice(pictureMatch.index + pictureMatch[0].length).replace(/\\end\{tikzpicture\}[\s\S]*$/, '');
+	
+	var statements = this._splitStatements(content);
+	for (var i = 0; i < statements.length; i++) {
+		var statement = statements[i];
+		if (/^\\node\b/.test(statement)) {
+			this._parseStateStatement(statement);
+		} else if (/^\\(path|draw)\b/.test(statement)) {
+			this._parsePathStatement(statement);
+		}
+	}
+};
+
+// Length in cm of a TikZ dimension such as 3cm, 15mm or 1in. Plain numbers are points, as in TikZ.
+ImportFromLaTeX.prototype._tikzLength = function(text) {
+	var units = { cm: 1, mm: 0.1, in: 2.54, pt: 2.54 / 72.27 };
+	var match = text.trim().match(/^([\d.]+)\s*(cm|mm|in|pt)?$/);
+	return match ? parseFloat(match[1]) * units[match[2] || 'pt'] : NaN;
+};
+
+// Split TikZ code into ;-terminated statements, ignoring ; inside braces
+ImportFromLaTeX.prototype._splitStatements = function(content) {
+	var statements = [];
+	var depth = 0;
+	var current = '';
+	for (var i = 0; i < content.length; i++) {
+		var ch = content[i];
+		if (ch === '{') depth++;
+		if (ch === '}') depth--;
+		if (ch === ';' && depth === 0) {
+			statements.push(current.trim());
+			current = '';
+		} else {
+			current += ch;
+		}
+	}
+	return statements;
+};
+
+// Split an option list on commas outside braces
+ImportFromLaTeX.prototype._splitOptions = function(text) {
+	var options = [];
+	var depth = 0;
+	var current = '';
+	for (var i = 0; i < text.length; i++) {
+		var ch = text[i];
+		if (ch === '{') depth++;
+		if (ch === '}') depth--;
+		if (ch === ',' && depth === 0) {
+			options.push(current.trim());
+			current = '';
+		} else {
+			current += ch;
+		}
+	}
+	options.push(current.trim());
+	return options.filter(function(option) { return option !== ''; });
+};
+
+// Read a group starting at text[index] (which must be the open character).
+// Returns { content, end } with end just past the closing character, or null.
+ImportFromLaTeX.prototype._readGroup = function(text, index, open, close) {
+	if (text[index] !== open) {
+		return null;
+	}
+	var depth = 0;
+	for (var i = index; i < text.length; i++) {
+		if (text[i] === '{') depth++;
+		if (text[i] === '}') depth--;
+		if (text[i] === close && depth === 0) {
+			return { content: text.slice(index + 1, i), end: i + 1 };
+		}
+	}
+	return null;
+};
+
+// Node or edge label without its math-mode dollars
+ImportFromLaTeX.prototype._automataLabel = function(label) {
+	label = label.trim();
+	var mathMatch = label.match(/^\$([\s\S]*)\$$/);
+	return this._cleanText(mathMatch ? mathMatch[1] : label);
+};
+
+// Parse \node[options] (name) at (x,y) {label}; option groups may also follow the name
+ImportFromLaTeX.prototype._parseStateStatement = function(statement) {
+	var state = { name: '', options: [], x: null, y: null, label: '' };
+	var index = '\\node'.length;
+	
+	while (index < statement.length) {
+		var ch = statement[index];
+		var group = null;
+		if (ch === '[') {
+			group = this._readGroup(statement, index, '[', ']');
+			if (group) {
+				state.options = state.options.concat(this._splitOptions(group.content));
+			}
+		} else if (ch === '(') {
+			group = this._readGroup(statement, index, '(', ')');
+			if (group) {
+				state.name = group.content.trim();
+			}
+		} else if (ch === '{') {
+			group = this._readGroup(statement, index, '{', '}');
+			if (group) {
+				state.label = this._automataLabel(group.content);
+			}
+		} else {
+			var atMatch = statement.slice(index).match(/^at\s*\(([^,]+),([^)]+)\)/);
+			if (atMatch) {
+				state.x = parseFloat(atMatch[1]);
+				state.y = parseFloat(atMatch[2]);
+				index += atMatch[0].length;
+				continue;
+			}
+		}
+		index = group ? group.end : index + 1;
+	}
+	
+	if (state.options.indexOf('state') !== -1) {
+		this._states.push(state);
+	}
+};
+
+// Parse \path[options] (a) edge [options] node [options] {label} (b) edge ... ;
+// Every edge starts at the last (name) before it; an empty target () is a loop.
+ImportFromLaTeX.prototype._parsePathStatement = function(statement) {
+	var index = statement.match(/^\\(path|draw)/)[0].length;
+	var current = null;
+	var skip = function() {
+		while (index < statement.length && /\s/.test(statement[index])) index++;
+	};
+	
+	skip();
+	var group = this._readGroup(statement, index, '[', ']');
+	if (group) {
+		if (this._splitOptions(group.content).indexOf('->') !== -1) {
+			this._directed = true;
+		}
+		index = group.end;
+	}
+	
+	while (index < statement.length) {
+		skip();
+		group = this._readGroup(statement, index, '(', ')');
+		if (group) {
+			current = group.content.trim();
+			index = group.end;
+			continue;
+		}
+		if (!/^edge\b/.test(statement.slice(index))) {
+			index++;
+			continue;
+		}
+		
+		var edge = { from: current, to: current, options: [], label: '' };
+		index += 'edge'.length;
+		skip();
+		group = this._readGroup(statement, index, '[', ']');
+		if (group) {
+			edge.options = this._splitOptions(group.content);
+			if (edge.options.indexOf('->') !== -1) {
+				this._directed = true;
+			}
+			index = group.end;
+			skip();
+		}
+		if (/^node\b/.test(statement.slice(index))) {
+			index += 'node'.length;
+			skip();
+			group = this._readGroup(statement, index, '[', ']');
+			if (group) {
+				index = group.end;
+				skip();
+			}
+			group = this._readGroup(statement, index, '{', '}');
+			if (group) {
+				edge.label = this._automataLabel(group.content);
+				index = group.end;
+				skip();
+			}
+		}
+		group = this._readGroup(statement, index, '(', ')');
+		if (group) {
+			if (group.content.trim() !== '') {
+				edge.to = group.content.trim();
+			}
+			index = group.end;
+		}
+		this._edges.push(edge);
+	}
+};
+
+// Convert a color from a fill= option: xcolor rgb expressions become hex, names are kept
+ImportFromLaTeX.prototype._automataColor = function(color) {
+	var match = color.match(/^\{?rgb,255:red,(\d+);green,(\d+);blue,(\d+)\}?$/);
+	if (!match) {
+		return color;
+	}
+	var hex = '#';
+	for (var i = 1; i <= 3; i++) {
+		hex += ('0' + parseInt(match[i], 10).toString(16)).slice(-2);
+	}
+	return hex.toUpperCase();
+};
+
+// Build nodes and links from the parsed automata statements
+ImportFromLaTeX.prototype._reconstructAutomata = function() {
+	var result = {
+		nodes: [],
+		links: []
+	};
+	
+	var nodeRadius = 30;
+	var pixelsPerCm = 50;
+	var scale = this._pictureScale * pixelsPerCm; // TikZ units to pixels; scale=0.2 gives the 10 of the LaTeX export
+	// Distance between states placed relative to each other or without coordinates. TikZ does not
+	// scale node distance with the picture, so it is converted from cm directly.
+	var spacing = { x: 150, y: 150 };
+	if (this._nodeDistance) {
+		spacing = { x: this._nodeDistance.x * pixelsPerCm, y: this._nodeDistance.y * pixelsPerCm };
+	}
+	var startDistance = 80;
+	var directions = {
+		above: { x: 0, y: -1 },
+		below: { x: 0, y: 1 },
+		left: { x: -1, y: 0 },
+		right: { x: 1, y: 0 }
+	};
+	var byName = {};
+	
+	// Step 1: States, placed at their coordinates, relative to an earlier state, or in a row
+	for (var i = 0; i < this._states.length; i++) {
+		var state = this._states[i];
+		var x = 100 + spacing.x * i;
+		var y = 100;
+		if (state.x !== null && !isNaN(state.x) && !isNaN(state.y)) {
+			x = state.x * scale;
+			y = -state.y * scale;
+		}
+		for (var j = 0; j < state.options.length; j++) {
+			// above right of=q0 or above right=of q0
+			var relative = state.options[j].match(/^((?:above|below|left|right)(?:\s+(?:left|right))?)\s*(?:of\s*=\s*|=\s*of\s+)(.+)$/);
+			if (relative && byName[relative[2].trim()]) {
+				var other = byName[relative[2].trim()];
+				var words = relative[1].split(/\s+/);
+				x = other.x;
+				y = other.y;
+				for (var w = 0; w < words.length; w++) {
+					x += directions[words[w]].x * spacing.x;
+					y += directions[words[w]].y * spacing.y;
+				}
+			}
+		}
+		
+		var node = new Node(x, y);
+		node.text = state.label;
+		node.isAcceptState = false;
+		var initialSide = null;
+		for (var j = 0; j < state.options.length; j++) {
+			var option = state.options[j];
+			var initialMatch = option.match(/^initial(?:\s+where\s*=)?\s*(above|below|left|right)$/);
+			if (option === 'initial') {
+				initialSide = initialSide || 'left';
+			} else if (initialMatch) {
+				initialSide = initialMatch[1];
+			} else if (option === 'accepting' || option === 'accepting by double') {
+				node.isAcceptState = true;
+			} else if (/^fill\s*=/.test(option)) {
+				node.fillColor = this._automataColor(option.replace(/^fill\s*=\s*/, ''));
+			}
+		}
+		result.nodes.push(node);
+		if (state.name) {
+			byName[state.name] = node;
+		}
+		
+		if (initialSide) {
+			var startLink = new StartLink(node, null);
+			startLink.deltaX = directions[initialSide].x * startDistance;
+			startLink.deltaY = directions[initialSide].y * startDistance;
+			startLink.text = '';
+			result.links.push(startLink);
+		}
+	}
+	
+	// Keep hand-written pictures around the origin on the canvas
+	var minX = Infinity;
+	var minY = Infinity;
+	for (var i = 0; i < result.nodes.length; i++) {
+		minX = Math.min(minX, result.nodes[i].x);
+		minY = Math.min(minY, result.nodes[i].y);
+	}
+	if (minX < nodeRadius || minY < nodeRadius) {
+		var shiftX = minX < nodeRadius ? 2 * nodeRadius - minX : 0;
+		var shiftY = minY < nodeRadius ? 2 * nodeRadius - minY : 0;
+		for (var i = 0; i < result.nodes.length; i++) {
+			result.nodes[i].x += shiftX;
+			result.nodes[i].y += shiftY;
+		}
+	}
+	
+	// Step 2: Edges, curved by their bend angle, and loops pointing the way they leave the state
+	var loopAngles = { above: 90, below: -90, left: 180, right: 0 };
+	for (var i = 0; i < this._edges.length; i++) {
+		var edge = this._edges[i];
+		var nodeA = byName[edge.from];
+		var nodeB = byName[edge.to];
+		if (!nodeA || !nodeB) {
+			throw new Error('Unknown state "' + (nodeA ? edge.to : edge.from) + '" in a \\path edge.');
+		}
+		
+		if (nodeA === nodeB) {
+			var angle = 90;
+			var outAngle = null;
+			var inAngle = null;
+			for (var j = 0; j < edge.options.length; j++) {
+				var option = edge.options[j];
+				var sideMatch = option.match(/^loop\s+(above|below|left|right)$/);
+				if (sideMatch) {
+					angle = loopAngles[sideMatch[1]];
+				} else if (/^out\s*=/.test(option)) {
+					outAngle = parseFloat(option.replace(/^out\s*=/, ''));
+				} else if (/^in\s*=/.test(option)) {
+					inAngle = parseFloat(option.replace(/^in\s*=/, ''));
+				}
+			}
+			if (outAngle !== null && inAngle !== null) {
+				angle = (outAngle + inAngle) / 2;
+			}
+			var selfLink = new SelfLink(nodeA, null);
+			selfLink.anchorAngle = -angle * Math.PI / 180;
+			selfLink.text = edge.label;
+			result.links.push(selfLink);
+			continue;
+		}
+		
+		var link = new Link(nodeA, nodeB);
+		link.text = edge.label;
+		link.lineAngleAdjust = 0;
+		link.parallelPart = 0.5;
+		link.perpendicularPart = 0;
+		for (var j = 0; j < edge.options.length; j++) {
+			// bend left/right without an angle bends by 30 degrees
+			var bendMatch = edge.options[j].match(/^bend\s+(left|right)(?:\s*=\s*([\d.]+))?$/);
+			if (bendMatch) {
+				var bend = (bendMatch[2] ? parseFloat(bendMatch[2]) : 30) * Math.PI / 180;
+				var dx = nodeB.x - nodeA.x;
+				var dy = nodeB.y - nodeA.y;
+				// The arc leaves at the bend angle, so the anchor in its middle is (L/2) tan(bend/2) off the line
+				var offset = Math.sqrt(dx * dx + dy * dy) / 2 * Math.tan(bend / 2);
+				link.perpendicularPart = bendMatch[1] === 'right' ? offset : -offset;
+			}
+		}
+		result.links.push(link);
+	}
+	
+	return result;
+};
+
+// Main import function - called from UI
+function importFromLaTeX(latexString) {
+	var importer = new ImportFromLaTeX();
+	importer.parse(latexString);
+	var result = importer.reconstructFSM();
+	// Detect if directed based on presence of fills (arrowheads), or -> options in the automata format
+	result.isDirected = importer._automata ? importer._directed : importer._fills.length > 0;
+	return result;
+}
+
+// UI functions for LaTeX import modal
+function showImportModal() {
+	document.getElementById('importModal').style.display = 'block';
+	document.getElementById('importModalOverlay').style.display = 'block';
+	document.getElementById('latexInput').value = '';
+	document.getElementById('importError').style.display = 'none';
+	document.getElementById('latexInput').focus();
+}
+
+function hideImportModal() {
+	document.getElementById('importModal').style.display = 'none';
+	document.getElementById('importModalOverlay').style.display = 'none';
+}
+
+function importLaTeX() {
+	var latexCode = document.getElementById('latexInput').value.trim();
+	
+	if (!latexCode) {
+		document.getElementById('importError').textContent = 'Please paste some LaTeX code.';
+		document.getElementById('importError').style.display = 'block';
+		return;
+	}
+	
+	try {
+		var result = importFromLaTeX(latexCode);
+		
+		if (result.nodes.length === 0) {
+			throw new Error('No nodes found in the LaTeX code. Make sure it contains valid TikZ circles.');
+		}
+		
+		// Clear existing canvas
+		nodes = [];
+		links = [];
+		selectedObject = null;
+		
+		// Populate with imported data
+		nodes = result.nodes;
+		links = result.links;
+
+		// Update directed state
+		if (typeof directed !== 'undefined') {
+			directed = result.isDirected;
+			var checkbox = document.getElementById('directedLinksCheckbox');
+			if (checkbox) {
+				checkbox.checked = directed;
+			}
+		}
+		
+		// Redraw and save
+		draw();
+		saveBackup();
+		
+		hideImportModal();
+	} catch (e) {
+		document.getElementById('importError').textContent = 'Error: ' + e.message;
+		document.getElementById('importError').style.display = 'block';
+	}
+}
+
+// Clear canvas function
+function clearCanvas() {
+	if (confirm('Are you sure you want to delete all nodes and links?')) {
+		nodes = [];
+		links = [];
+		selectedObject = null;
+		draw();
+		saveBackup();
+		
+		// Hide output container if visible
+		var outputContainer = document.getElementById('outputContainer');
+		if (outputContainer) {
+			outputContainer.style.display = 'none';
+		}
+	}
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		ImportFromLaTeX: ImportFromLaTeX,
+		importFromLaTeX: importFromLaTeX
+	};
+}
+var greekLetterNames = [ 'Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon', 'Zeta', 'Eta', 'Theta', 'Iota', 'Kappa', 'Lambda', 'Mu', 'Nu', 'Xi', 'Omicron', 'Pi', 'Rho', 'Sigma', 'Tau', 'Upsilon', 'Phi', 'Chi', 'Psi', 'Omega' ];
+
+function convertLatexShortcuts(text) {
+	// html greek characters
+	for(var i = 0; i < greekLetterNames.length; i++) {
+		var name = greekLetterNames[i];
+		text = text.replace(new RegExp('\\\\' + name, 'g'), String.fromCharCode(913 + i + (i > 16)));
+		text = text.replace(new RegExp('\\\\' + name.toLowerCase(), 'g'), String.fromCharCode(945 + i + (i > 16)));
+	}
+
+	// subscripts
+	for(var i = 0; i < 10; i++) {
+		text = text.replace(new RegExp('_' + i, 'g'), String.fromCharCode(8320 + i));
+	}
+
+	return text;
+}
+
+function textToXML(text) {
+	text = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+	var result = '';
+	for(var i = 0; i < text.length; i++) {
+		var c = text.charCodeAt(i);
+		if(c >= 0x20 && c <= 0x7E) {
+			result += text[i];
+		} else {
+			result += '&#' + c + ';';
+		}
+	}
+	return result;
+}
+
+function drawArrow(c, x, y, angle) {
+	var dx = Math.cos(angle);
+	var dy = Math.sin(angle);
+	c.beginPath();
+	c.moveTo(x, y);
+	if (directed){
+	c.lineTo(x - 8 * dx + 5 * dy, y - 8 * dy - 5 * dx);
+	c.lineTo(x - 8 * dx - 5 * dy, y - 8 * dy + 5 * dx);
+	}
+	c.fill();
+}
+
+function canvasHasFocus() {
+	return (document.activeElement || document.body) == document.body;
+}
+
+function drawText(c, originalText, x, y, angleOrNull, isSelected) {
+	text = convertLatexShortcuts(originalText);
+	c.font = '20px "Times New Roman", serif';
+	var width = c.measureText(text).width;
+
+	// center the text
+	x -= width / 2;
+
+	// position the text intelligently if given an angle
+	if(angleOrNull != null) {
+		var cos = Math.cos(angleOrNull);
+		var sin = Math.sin(angleOrNull);
+		var cornerPointX = (width / 2 + 5) * (cos > 0 ? 1 : -1);
+		var cornerPointY = (10 + 5) * (sin > 0 ? 1 : -1);
+		var slide = sin * Math.pow(Math.abs(sin), 40) * cornerPointX - cos * Math.pow(Math.abs(cos), 10) * cornerPointY;
+		x += cornerPointX - sin * slide;
+		y += cornerPointY + cos * slide;
+	}
+
+	// draw text and caret (round the coordinates so the caret falls on a pixel)
+	if('advancedFillText' in c) {
+		c.advancedFillText(text, originalText, x + width / 2, y, angleOrNull);
+	} else {
+		x = Math.round(x);
+		y = Math.round(y);
+		c.fillText(text, x, y + 6);
+		if(isSelected && caretVisible && canvasHasFocus() && document.hasFocus()) {
+			x += width;
+			c.beginPath();
+			c.moveTo(x, y - 10);
+			c.lineTo(x, y + 10);
+			c.stroke();
+		}
+	}
+}
+
+var caretTimer;
+var caretVisible = true;
+
+function resetCaret() {
+	clearInterval(caretTimer);
+	caretTimer = setInterval('caretVisible = !caretVisible; draw()', 500);
+	caretVisible = true;
+}
+
+var canvas;
+var nodeRadius = 30;
+var nodes = [];
+var links = [];
+
+var cursorVisible = true;
+var snapToPadding = 6; // pixels
+var hitTargetPadding = 6; // pixels
+var selectedObject = null; // either a Link or a Node
+var currentLink = null; // a Link
+var movingObject = false;
+var originalClick;
+
+function drawUsing(c) {
+	c.clearRect(0, 0, canvas.width, canvas.height);
+	c.save();
+	c.translate(0.5, 0.5);
+
+	// Simulation and algorithm highlights are drawn on the canvas only, never into exports
+	var onCanvas = c === canvas.getContext('2d');
+	var highlighted = onCanvas && typeof isCanvasHighlighted === 'function' && isCanvasHighlighted();
+
+	// Draw simulation overlay (input string display) first
+	if (onCanvas && simulationActive && currentSimulation && typeof drawSimulationOverlay === 'function') {
+		drawSimulationOverlay(c);
+	}
+
+	for(var i = 0; i < nodes.length; i++) {
+		c.lineWidth = 1;
+		c.fillStyle = c.strokeStyle = (nodes[i] == selectedObject) ? 'blue' : 'black';
+		
+		// Check for simulation or algorithm highlight
+		var simHighlighted = false;
+		if (highlighted) {
+			simHighlighted = drawNodeWithSimulation(c, nodes[i], i, nodes[i] == selectedObject);
+		}
+		
+		if (!simHighlighted) {
+			nodes[i].draw(c);
+		}
+	}
+	for(var i = 0; i < links.length; i++) {
+		c.lineWidth = 1;
+		c.fillStyle = c.strokeStyle = (links[i] == selectedObject) ? 'blue' : 'black';
+		
+		// Check for simulation or algorithm highlight
+		var simHighlighted = false;
+		if (highlighted) {
+			simHighlighted = drawLinkWithSimulation(c, links[i], links[i] == selectedObject);
+		}
+		
+		if (!simHighlighted) {
+			links[i].draw(c);
+		}
+	}
+	if(currentLink != null) {
+		c.lineWidth = 1;
+		c.fillStyle = c.strokeStyle = 'black';
+		currentLink.draw(c);
+	}
+
+	// Draw result banner if simulation is complete
+	if (onCanvas && simulationActive && currentSimulation && typeof drawResultBanner === 'function') {
+		drawResultBanner(c, canvas.width, canvas.height);
+	}
+
+	c.restore();
+}
+var directed=true;
+function toggleDirected(){
+	directed=!directed;
+	draw();
+	if (latex){ //if latex selected, update latex code
+		if (tikz) {
+			saveAsTikZ();
+		} else {
+			saveAsLaTeX();
+		}
+	}
+	if (svg){ //if svg selected, update svg code
+		saveAsSVG();
+	}
+	// Save the directed state
+	saveBackup();
+}
+// Kind of machine being edited: 'fsm' (finite automaton), 'pda' (pushdown automaton), 'tm' (Turing machine),
+// or the transducers 'mealy' (outputs on arrows) and 'moore' (outputs on states)
+var machineType = 'fsm';
+function setMachineType(type) {
+	machineType = type;
+	// A running simulation was built for the old machine type
+	if (typeof simulationActive !== 'undefined' && simulationActive) {
+		handleResetSimulation();
+	}
+	updateMachineTypeUI();
+	saveBackup();
+}
+function updateMachineTypeUI() {
+	var select = document.getElementById('machineTypeSelect');
+	if (select) {
+		select.value = machineType;
+	}
+	if (typeof updatePDAOptionsUI === 'function') {
+		updatePDAOptionsUI();
+	}
+	if (typeof updateTMOptionsUI === 'function') {
+		updateTMOptionsUI();
+	}
+}
+function draw() {
+	drawUsing(canvas.getContext('2d'));
+	saveBackup();
+}
+
+function selectObject(x, y) {
+	for(var i = 0; i < nodes.length; i++) {
+		if(nodes[i].containsPoint(x, y)) {
+			return nodes[i];
+		}
+	}
+	for(var i = 0; i < links.length; i++) {
+		if(links[i].containsPoint(x, y)) {
+			return links[i];
+		}
+	}
+	return null;
+}
+
+function snapNode(node) {
+	for(var i = 0; i < nodes.length; i++) {
+		if(nodes[i] == node) continue;
+
+		if(Math.abs(node.x - nodes[i].x) < snapToPadding) {
+			node.x = nodes[i].x;
+		}
+
+		if(Math.abs(node.y - nodes[i].y) < snapToPadding) {
+			node.y = nodes[i].y;
+		}
+	}
+}
+
+window.onload = function() {
+	canvas = document.getElementById('canvas');
+	restoreBackup();
+	updateMachineTypeUI();
+	draw();
+	
+	// Initialize keybind system
+	if (typeof initKeybinds === 'function') {
+		initKeybinds();
+	}
+
+	canvas.onmousedown = function(e) {
+		var mouse = crossBrowserRelativeMousePos(e);
+		selectedObject = selectObject(mouse.x, mouse.y);
+		movingObject = false;
+		if (typeof clearAlgorithmHighlight === 'function') {
+			clearAlgorithmHighlight();
+		}
+		originalClick = mouse;
+
+		if(selectedObject != null) {
+			if(shift && selectedObject instanceof Node) {
+				currentLink = new SelfLink(selectedObject, mouse);
+			} else {
+				movingObject = true;
+				deltaMouseX = deltaMouseY = 0;
+				if(selectedObject.setMouseStart) {
+					selectedObject.setMouseStart(mouse.x, mouse.y);
+				}
+			}
+			resetCaret();
+		} else if(shift) {
+			currentLink = new TemporaryLink(mouse, mouse);
+		}
+
+		draw();
+
+		if(canvasHasFocus()) {
+			// disable drag-and-drop only if the canvas is already focused
+			return false;
+		} else {
+			// otherwise, let the browser switch the focus away from wherever it was
+			resetCaret();
+			return true;
+		}
+	};
+
+	canvas.ondblclick = function(e) {
+		var mouse = crossBrowserRelativeMousePos(e);
+		selectedObject = selectObject(mouse.x, mouse.y);
+
+		if(selectedObject == null) {
+			selectedObject = new Node(mouse.x, mouse.y);
+			nodes.push(selectedObject);
+			resetCaret();
+			draw();
+		} else if(selectedObject instanceof Node) {
+			selectedObject.isAcceptState = !selectedObject.isAcceptState;
+			draw();
+		}
+	};
+
+	canvas.onmousemove = function(e) {
+		var mouse = crossBrowserRelativeMousePos(e);
+
+		if(currentLink != null) {
+			var targetNode = selectObject(mouse.x, mouse.y);
+			if(!(targetNode instanceof Node)) {
+				targetNode = null;
+			}
+
+			if(selectedObject == null) {
+				if(targetNode != null) {
+					currentLink = new StartLink(targetNode, originalClick);
+				} else {
+					currentLink = new TemporaryLink(originalClick, mouse);
+				}
 			} else {
-				// Arrow is at end of arc (normal case), or no fill found
-				nodeA = arcStartNode.node;
-				nodeB = arcEndNode.node;
+				if(targetNode == selectedObject) {
+					currentLink = new SelfLink(selectedObject, mouse);
+				} else if(targetNode != null) {
+					currentLink = new Link(selectedObject, targetNode);
+				} else {
+					currentLink = new TemporaryLink(selectedObject.closestPointOnCircle(mouse.x, mouse.y), mouse);
+				}
 			}
-			
-			// Create link from nodeA to nodeB
-			var link = new Link(nodeA, nodeB);
-			link.text = '';
-			link.lineAngleAdjust = 0;
-			
-			// Calculate the arc midpoint (a point ON the arc at the middle angle)
-			// This is different from the arc center!
-			var midAngle = (arc.startAngle + arc.endAngle) / 2;
-			var arcMidX = arc.centerX + arc.radius * Math.cos(midAngle);
-			var arcMidY = arc.centerY + arc.radius * Math.sin(midAngle);
-			var arcMidPos = this._transformCoord(arcMidX, arcMidY);
-			
-			// Calculate perpendicular distance from the line to the arc midpoint
-			var dx = nodeB.x - nodeA.x;  // nodeB - nodeA
-			var dy = nodeB.y - nodeA.y;
-			var length = Math.sqrt(dx * dx + dy * dy);
-			
-			if (length > 0) {
-				link.parallelPart = 0.5;
-				// Perpendicular part uses the arc midpoint (which lies on the arc)
-				// as the anchor point reference
-				link.perpendicularPart = (dx * (arcMidPos.y - nodeA.y) - dy * (arcMidPos.x - nodeA.x)) / length;
+			draw();
+		}
+
+		if(movingObject) {
+			selectedObject.setAnchorPoint(mouse.x, mouse.y);
+			if(selectedObject instanceof Node) {
+				snapNode(selectedObject);
 			}
+			draw();
+		}
+	};
+
+	canvas.onmouseup = function(e) {
+		movingObject = false;
+
+		if(currentLink != null) {
+			if(!(currentLink instanceof TemporaryLink)) {
+				selectedObject = currentLink;
+				links.push(currentLink);
+				resetCaret();
+			}
+			currentLink = null;
+			draw();
+		}
+	};
+}
+
+var shift = false;
+
+// Legacy keyboard handlers - replaced by keybinds.js but kept as fallback
+document.onkeydown = function(e) {
+	var key = crossBrowserKey(e);
+
+	if(key == 16) {
+		shift = true;
+	} else if(!canvasHasFocus()) {
+		// don't read keystrokes when other things have focus
+		return true;
+	} else if(key == 8) { // backspace key
+		if(selectedObject != null && 'text' in selectedObject) {
+			selectedObject.text = selectedObject.text.substr(0, selectedObject.text.length - 1);
+			resetCaret();
+			draw();
+		}
+
+		// backspace is a shortcut for the back button, but do NOT want to change pages
+		return false;
+	} else if(key == 46) { // delete key
+		if(selectedObject != null) {
+			for(var i = 0; i < nodes.length; i++) {
+				if(nodes[i] == selectedObject) {
+					nodes.splice(i--, 1);
+				}
+			}
+			for(var i = 0; i < links.length; i++) {
+				if(links[i] == selectedObject || links[i].node == selectedObject || links[i].nodeA == selectedObject || links[i].nodeB == selectedObject) {
+					links.splice(i--, 1);
+				}
+			}
+			selectedObject = null;
+			draw();
+		}
+	}
+};
+
+document.onkeyup = function(e) {
+	var key = crossBrowserKey(e);
+
+	if(key == 16) {
+		shift = false;
+	}
+};
+
+document.onkeypress = function(e) {
+	// don't read keystrokes when other things have focus
+	var key = crossBrowserKey(e);
+	if(!canvasHasFocus()) {
+		// don't read keystrokes when other things have focus
+		return true;
+	} else if(key >= 0x20 && key <= 0x7E && !e.metaKey && !e.altKey && !e.ctrlKey && selectedObject != null && 'text' in selectedObject) {
+		selectedObject.text += String.fromCharCode(key);
+		resetCaret();
+		draw();
+
+		// don't let keys do their actions (like space scrolls down the page)
+		return false;
+	} else if(key == 8) {
+		// backspace is a shortcut for the back button, but do NOT want to change pages
+		return false;
+	}
+};
+
+function crossBrowserKey(e) {
+	e = e || window.event;
+	return e.which || e.keyCode;
+}
+
+function crossBrowserElementPos(e) {
+	e = e || window.event;
+	var obj = e.target || e.srcElement;
+	var x = 0, y = 0;
+	while(obj.offsetParent) {
+		x += obj.offsetLeft;
+		y += obj.offsetTop;
+		obj = obj.offsetParent;
+	}
+	return { 'x': x, 'y': y };
+}
+
+function crossBrowserMousePos(e) {
+	e = e || window.event;
+	return {
+		'x': e.pageX || e.clientX + document.body.scrollLeft + document.documentElement.scrollLeft,
+		'y': e.pageY || e.clientY + document.body.scrollTop + document.documentElement.scrollTop,
+	};
+}
+
+function crossBrowserRelativeMousePos(e) {
+	var element = crossBrowserElementPos(e);
+	var mouse = crossBrowserMousePos(e);
+	return {
+		'x': mouse.x - element.x,
+		'y': mouse.y - element.y
+	};
+}
+
+function output(text) {
+	var container = document.getElementById('outputContainer');
+	container.style.display = 'block';
+	var copyButton = document.getElementById('copyButton');
+	copyButton.textContent = 'Copy';
+	
+	var textarea = document.getElementById('output');
+	var latexContainer = document.getElementById('latexOutputContainer');
+	
+	// Check if we're in LaTeX mode and need split display
+	if (latex && latexContainer) {
+		// Hide the regular textarea, show the LaTeX container
+		textarea.style.display = 'none';
+		latexContainer.style.display = 'block';
+		
+		// Split the LaTeX content into preamble, center, and end
+		var centerStart = text.indexOf('\\begin{center}');
+		var centerEnd = text.indexOf('\\end{center}');
+		
+		if (centerStart !== -1 && centerEnd !== -1) {
+			var preamble = text.substring(0, centerStart);
+			var centerContent = text.substring(centerStart, centerEnd + '\\end{center}'.length);
+			var endContent = text.substring(centerEnd + '\\end{center}'.length);
 			
-			result.links.push(link);
-			arc._assigned = true;
-			arc._linkIndex = result.links.length - 1;
-			
-			// Mark the fill as assigned
-			if (nearestFill) {
-				nearestFill.fill._assigned = true;
-			}
+			document.getElementById('latexPreamble').textContent = preamble;
+			document.getElementById('latexCenter').textContent = centerContent;
+			document.getElementById('latexEnd').textContent = endContent;
+		} else {
+			// Fallback if we can't find the markers
+			document.getElementById('latexPreamble').textContent = '';
+			document.getElementById('latexCenter').textContent = text;
+			document.getElementById('latexEnd').textContent = '';
+		}
+	} else {
+		// Use regular textarea for non-LaTeX output
+		textarea.style.display = 'block';
+		if (latexContainer) {
+			latexContainer.style.display = 'none';
+		}
+		textarea.value = text;
+	}
+}
+
+function saveAsPNG() {
+	var oldSelectedObject = selectedObject;
+	selectedObject = null;
+	drawUsing(canvas.getContext('2d'));
+	selectedObject = oldSelectedObject;
+	var pngData = canvas.toDataURL('image/png');
+	document.location.href = pngData;
+}
+var svg=false;
+var latex=false;
+var tikz=false; // LaTeX output uses the TikZ automata library
+function saveAsSVG() {
+	latex=false;
+	tikz=false;
+	svg=true;
+	var exporter = new ExportAsSVG();
+	var oldSelectedObject = selectedObject;
+	selectedObject = null;
+	drawUsing(exporter);
+	selectedObject = oldSelectedObject;
+	var svgData = exporter.toSVG();
+	output(svgData);
+	// Chrome isn't ready for this yet, the 'Save As' menu item is disabled
+	// document.location.href = 'data:image/svg+xml;base64,' + btoa(svgData);
+}
+function saveAsLaTeX() {
+	svg=false;
+	latex=true;
+	tikz=false;
+	var exporter = new ExportAsLaTeX();
+	var oldSelectedObject = selectedObject;
+	selectedObject = null;
+	drawUsing(exporter);
+	selectedObject = oldSelectedObject;
+	var texData = exporter.toLaTeX();
+	output(texData);
+}
+
+function saveAsTikZ() {
+	svg=false;
+	latex=true;
+	tikz=true;
+	output(generateTikZAutomaton(nodes, links, directed));
+}
+
+function copyOutput() {
+	var textarea = document.getElementById('output');
+	var copyButton = document.getElementById('copyButton');
+	var latexCenterElement = document.getElementById('latexCenter');
+	
+	// Determine what content to copy
+	var textToCopy;
+	
+	// If in LaTeX mode, copy only the center content
+	if (latex && latexCenterElement) {
+		textToCopy = latexCenterElement.textContent;
+	} else {
+		textToCopy = textarea.value;
+	}
+
+	navigator.clipboard.writeText(textToCopy).then(function() {
+		// Success feedback
+		copyButton.textContent = 'Copied!';
+		
+		// Add green flash animation for LaTeX mode (only on center element)
+		if (latex && latexCenterElement) {
+			latexCenterElement.classList.add('copy-flash');
+			setTimeout(function() {
+				latexCenterElement.classList.remove('copy-flash');
+			}, 800);
 		}
+		
+		setTimeout(function() {
+			copyButton.textContent = 'Copy';
+		}, 2000); // Revert after 2 seconds
+	}, function(err) {
+		copyButton.textContent = 'Failed to copy';
+		console.error('Could not copy text: ', err);
+		setTimeout(function() {
+			copyButton.textContent = 'Copy';
+		}, 2000);
+	});
+}
+
+// Keybind System for FSM Designer
+// Educational-focused keyboard shortcuts
+
+// Track key states for combination detection
+var keyStates = {
+    ctrlPressed: false,
+    mPressed: false,
+    lPressed: false,
+    bPressed: false,
+    comboTriggered: false
+};
+
+// Track typed characters for "test" keybind
+var typedBuffer = '';
+var typedBufferTimeout = null;
+
+// Check if "test" was typed to toggle left buttons
+function checkTestKeybind(char) {
+    // Clear timeout if exists
+    if (typedBufferTimeout) {
+        clearTimeout(typedBufferTimeout);
+    }
+    
+    // Add character to buffer
+    typedBuffer += char.toLowerCase();
+    
+    // Keep only last 4 characters
+    if (typedBuffer.length > 4) {
+        typedBuffer = typedBuffer.slice(-4);
+    }
+    
+    // Check if "test" was typed
+    if (typedBuffer === 'test') {
+        toggleLeftButtons();
+        typedBuffer = '';
+    }
+    
+    // Clear buffer after 2 seconds of no typing
+    typedBufferTimeout = setTimeout(function() {
+        typedBuffer = '';
+    }, 2000);
+}
+
+// Toggle visibility of left side buttons
+function toggleLeftButtons() {
+    var container = document.getElementById('leftButtonsContainer');
+    if (container) {
+        container.classList.toggle('visible');
+        console.log('Left buttons toggled!');
+    }
+}
+
+// Check if M+L+B combination is active
+function checkLinkVisibilityCombo() {
+    if (keyStates.mPressed &&
+        keyStates.lPressed && keyStates.bPressed) {
+        if (!keyStates.comboTriggered) {
+            toggleAlgorithmLinks();
+            keyStates.comboTriggered = true;
+        }
+    }
+}
+
+// Toggle visibility of algorithm links
+function toggleAlgorithmLinks() {
+    var linksElement = document.getElementById('algorithmLinks');
+    if (linksElement) {
+        if (linksElement.style.display === 'none') {
+            linksElement.style.display = 'block';
+            console.log('Algorithm links revealed!');
+        } else {
+            linksElement.style.display = 'none';
+            console.log('Algorithm links hidden!');
+        }
+    }
+}
+
+// Undo/Redo History
+var undoStack = [];
+var redoStack = [];
+var maxHistorySize = 50;
+
+function saveState() {
+    var state = {
+        nodes: nodes.map(function(n) {
+            return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState, fillColor: n.fillColor };
+        }),
+        links: links.map(function(l) {
+            if (l instanceof SelfLink) {
+                return { type: 'SelfLink', node: nodes.indexOf(l.node), text: l.text, anchorAngle: l.anchorAngle };
+            } else if (l instanceof StartLink) {
+                return { type: 'StartLink', node: nodes.indexOf(l.node), text: l.text, deltaX: l.deltaX, deltaY: l.deltaY };
+            } else if (l instanceof Link) {
+                return { type: 'Link', nodeA: nodes.indexOf(l.nodeA), nodeB: nodes.indexOf(l.nodeB), text: l.text, lineAngleAdjust: l.lineAngleAdjust, parallelPart: l.parallelPart, perpendicularPart: l.perpendicularPart };
+            }
+        }),
+        machineType: machineType
+    };
+    undoStack.push(JSON.stringify(state));
+    if (undoStack.length > maxHistorySize) {
+        undoStack.shift();
+    }
+    redoStack = [];
+}
+
+function restoreState(stateStr) {
+    var state = JSON.parse(stateStr);
+    nodes = [];
+    links = [];
+    
+    for (var i = 0; i < state.nodes.length; i++) {
+        var n = state.nodes[i];
+        var node = new Node(n.x, n.y);
+        node.text = n.text;
+        node.isAcceptState = n.isAcceptState;
+        node.fillColor = n.fillColor || null;
+        nodes.push(node);
+    }
+    
+    for (var i = 0; i < state.links.length; i++) {
+        var l = state.links[i];
+        var link = null;
+        if (l.type == 'SelfLink') {
+            link = new SelfLink(nodes[l.node]);
+            link.anchorAngle = l.anchorAngle;
+            link.text = l.text;
+        } else if (l.type == 'StartLink') {
+            link = new StartLink(nodes[l.node]);
+            link.deltaX = l.deltaX;
+            link.deltaY = l.deltaY;
+            link.text = l.text;
+        } else if (l.type == 'Link') {
+            link = new Link(nodes[l.nodeA], nodes[l.nodeB]);
+            link.parallelPart = l.parallelPart;
+            link.perpendicularPart = l.perpendicularPart;
+            link.text = l.text;
+            link.lineAngleAdjust = l.lineAngleAdjust;
+        }
+        if (link != null) {
+            links.push(link);
+        }
+    }
+    
+    // Undo and redo switch the machine type too, e.g. back to Mealy after a Mealy to Moore conversion
+    if (state.machineType && state.machineType !== machineType) {
+        setMachineType(state.machineType);
+    }
+    
+    selectedObject = null;
+    draw();
+}
+
+function undo() {
+    if (undoStack.length > 0) {
+        var currentState = {
+            nodes: nodes.map(function(n) {
+                return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState, fillColor: n.fillColor };
+            }),
+            links: links.map(function(l) {
+                if (l instanceof SelfLink) {
+                    return { type: 'SelfLink', node: nodes.indexOf(l.node), text: l.text, anchorAngle: l.anchorAngle };
+                } else if (l instanceof StartLink) {
+                    return { type: 'StartLink', node: nodes.indexOf(l.node), text: l.text, deltaX: l.deltaX, deltaY: l.deltaY };
+                } else if (l instanceof Link) {
+                    return { type: 'Link', nodeA: nodes.indexOf(l.nodeA), nodeB: nodes.indexOf(l.nodeB), text: l.text, lineAngleAdjust: l.lineAngleAdjust, parallelPart: l.parallelPart, perpendicularPart: l.perpendicularPart };
+                }
+            }),
+            machineType: machineType
+        };
+        redoStack.push(JSON.stringify(currentState));
+        restoreState(undoStack.pop());
+    }
+}
+
+function redo() {
+    if (redoStack.length > 0) {
+        var currentState = {
+            nodes: nodes.map(function(n) {
+                return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState, fillColor: n.fillColor };
+            }),
+            links: links.map(function(l) {
+                if (l instanceof SelfLink) {
+                    return { type: 'SelfLink', node: nodes.indexOf(l.node), text: l.text, anchorAngle: l.anchorAngle };
+                } else if (l instanceof StartLink) {
+                    return { type: 'StartLink', node: nodes.indexOf(l.node), text: l.text, deltaX: l.deltaX, deltaY: l.deltaY };
+                } else if (l instanceof Link) {
+                    return { type: 'Link', nodeA: nodes.indexOf(l.nodeA), nodeB: nodes.indexOf(l.nodeB), text: l.text, lineAngleAdjust: l.lineAngleAdjust, parallelPart: l.parallelPart, perpendicularPart: l.perpendicularPart };
+                }
+            }),
+            machineType: machineType
+        };
+        undoStack.push(JSON.stringify(currentState));
+        restoreState(redoStack.pop());
+    }
+}
+
+// Duplicate selected object
+function duplicateSelected() {
+    if (selectedObject == null) return;
+    
+    saveState();
+    
+    if (selectedObject instanceof Node) {
+        var newNode = new Node(selectedObject.x + 50, selectedObject.y + 50);
+        newNode.text = selectedObject.text;
+        newNode.isAcceptState = selectedObject.isAcceptState;
+        newNode.fillColor = selectedObject.fillColor;
+        nodes.push(newNode);
+        selectedObject = newNode;
+        draw();
+    }
+}
+
+// Toggle accept state for selected node (double-click only)
+function toggleAcceptState() {
+    if (selectedObject != null && selectedObject instanceof Node) {
+        saveState();
+        selectedObject.isAcceptState = !selectedObject.isAcceptState;
+        draw();
+    }
+}
+
+// Move selected node with arrow keys
+function moveSelected(dx, dy) {
+    if (selectedObject != null && selectedObject instanceof Node) {
+        saveState();
+        selectedObject.x += dx;
+        selectedObject.y += dy;
+        snapNode(selectedObject);
+        draw();
+    }
+}
+
+// Select all nodes
+function selectAll() {
+    if (nodes.length > 0) {
+        selectedObject = nodes[0];
+        draw();
+    }
+}
+
+// Deselect all
+function deselectAll() {
+    selectedObject = null;
+    draw();
+}
+
+// Clear entire canvas
+function clearCanvas() {
+    if (nodes.length > 0 || links.length > 0) {
+        saveState();
+        nodes = [];
+        links = [];
+        selectedObject = null;
+        draw();
+    }
+}
+
+// Delete selected with undo support
+function deleteSelectedWithUndo() {
+    if (selectedObject != null) {
+        saveState();
+        for (var i = 0; i < nodes.length; i++) {
+            if (nodes[i] == selectedObject) {
+                nodes.splice(i--, 1);
+            }
+        }
+        for (var i = 0; i < links.length; i++) {
+            if (links[i] == selectedObject || links[i].node == selectedObject || links[i].nodeA == selectedObject || links[i].nodeB == selectedObject) {
+                links.splice(i--, 1);
+            }
+        }
+        selectedObject = null;
+        draw();
+    }
+}
+
+// Adjacency export functions
+// Exports the matrix chosen next to the Matrix button in the chosen format
+function exportAdjacencyMatrix() {
+	if (nodes.length === 0) {
+		output('No nodes in the graph to export.');
+		return;
 	}
-	
-	// Step 6: Assign text labels to links
-	for (var i = 0; i < this._texts.length; i++) {
-		var text = this._texts[i];
-		if (text._assigned) continue;
-		
-		var pos = this._transformCoord(text.x, text.y);
-		
-		// Find nearest link
-		var nearestLink = null;
-		var nearestDist = Infinity;
-		
-		for (var j = 0; j < result.links.length; j++) {
-			var link = result.links[j];
-			var linkMid = this._getLinkMidpoint(link, nodeRadius);
-			if (linkMid) {
-				var dist = Math.sqrt(Math.pow(pos.x - linkMid.x, 2) + Math.pow(pos.y - linkMid.y, 2));
-				if (dist < nearestDist && dist < 80) {
-					nearestDist = dist;
-					nearestLink = link;
-				}
-			}
-		}
-		
-		if (nearestLink) {
-			nearestLink.text = text.text;
-			text._assigned = true;
-		}
+	var kindSelect = document.getElementById('matrixKind');
+	var formatSelect = document.getElementById('matrixFormat');
+	var emptyField = document.getElementById('matrixEmpty');
+	var kind = kindSelect ? kindSelect.value : 'count';
+	var format = formatSelect ? formatSelect.value : 'latex';
+	var emptySymbol = emptyField ? emptyField.value.trim() : '';
+	output(generateMatrixExport(kind, format, emptySymbol));
+}
+
+function exportAdjacencyList() {
+	if (nodes.length === 0) {
+		output('No nodes in the graph to export.');
+		return;
 	}
-	
-	return result;
-};
+	var latexCode = generateAdjacencyList();
+	output(latexCode);
+}
+
+// Help modal functions
+function showHelp() {
+    var modal = document.getElementById('helpModal');
+    if (modal) {
+        modal.style.display = 'block';
+    }
+}
+
+function hideHelp() {
+    var modal = document.getElementById('helpModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+// Enhanced keydown handler
+function handleKeyDown(e) {
+    var key = e.keyCode || e.which;
+    var ctrl = e.ctrlKey || e.metaKey;
+    var shiftKey = e.shiftKey;
+    
+    // Track Ctrl key state
+    keyStates.ctrlPressed = ctrl;
+    
+    // Shift key tracking
+    if (key == 16) {
+        shift = true;
+        return true;
+    }
+    
+    // Track M, L, B keys for visibility combo BEFORE canvas focus check
+    if (key == 77) keyStates.mPressed = true;
+    if (key == 76) keyStates.lPressed = true;
+    if (key == 66) keyStates.bPressed = true;
+    checkLinkVisibilityCombo();
+    
+    // F1 or ? - Help (works globally)
+    if (key == 112) { // F1
+        e.preventDefault();
+        showHelp();
+        return false;
+    }
+    
+    // Handle Ctrl-based keybinds BEFORE canvas focus check (so they work globally)
+    // Ctrl+Z - Undo
+    if (ctrl && key == 90 && !shiftKey) {
+        e.preventDefault();
+        undo();
+        return false;
+    }
+    
+    // Ctrl+Y or Ctrl+Shift+Z - Redo
+    if ((ctrl && key == 89) || (ctrl && shiftKey && key == 90)) {
+        e.preventDefault();
+        redo();
+        return false;
+    }
+    
+    // Ctrl+D - Duplicate
+    if (ctrl && key == 68) {
+        e.preventDefault();
+        duplicateSelected();
+        return false;
+    }
+    
+    // Ctrl+M - Export adjacency matrix
+    if (ctrl && key == 77 && !shiftKey) {
+        e.preventDefault();
+        exportAdjacencyMatrix();
+        return false;
+    }
+    
+    // Ctrl+L - Export adjacency list
+    if (ctrl && key == 76 && !shiftKey) {
+        e.preventDefault();
+        exportAdjacencyList();
+        return false;
+    }
+    
+    // Ctrl+B - Compute Minimum Spanning Tree
+    if (ctrl && key == 66 && !shiftKey) {
+        e.preventDefault();
+        if (typeof applyMST === 'function') {
+            applyMST();
+        }
+        return false;
+    }
+    
+    // Ctrl+R - Toggle Simulation Mode
+    if (ctrl && key == 82 && !shiftKey) {
+        e.preventDefault();
+        if (typeof toggleSimulationMode === 'function') {
+            toggleSimulationMode();
+        }
+        return false;
+    }
+    
+    // Escape - Exit simulation mode (if active)
+    if (key == 27) { // Escape key
+        if (typeof simulationActive !== 'undefined' && simulationActive) {
+            e.preventDefault();
+            if (typeof exitSimulationMode === 'function') {
+                exitSimulationMode();
+            }
+            return false;
+        }
+    }
+    
+    // Simulation shortcuts leave keys alone while typing in a text field (test list, PDA stack, ...)
+    var active = document.activeElement;
+    var editingText = active && (active.tagName === 'TEXTAREA' || (active.tagName === 'INPUT' && (active.type === 'text' || active.type === 'number')));
+    
+    // Space - Step simulation (when in simulation mode)
+    if (key == 32 && typeof simulationActive !== 'undefined' && simulationActive && !editingText) {
+        e.preventDefault();
+        if (typeof handleStepSimulation === 'function') {
+            handleStepSimulation();
+        }
+        return false;
+    }
+    
+    // Enter - Play/Pause simulation (when in simulation mode)
+    if (key == 13 && typeof simulationActive !== 'undefined' && simulationActive && !editingText) {
+        e.preventDefault();
+        if (typeof handlePlayPause === 'function') {
+            handlePlayPause();
+        }
+        return false;
+    }
+    
+    // Left/Right - Step back/forward, Home/End - Jump to the start/end of the input (in sim mode)
+    if ((key == 37 || key == 39 || key == 36 || key == 35) && !shiftKey && !editingText &&
+        typeof currentSimulation !== 'undefined' && currentSimulation) {
+        e.preventDefault();
+        if (key == 37) {
+            handleStepBack();
+        } else if (key == 39) {
+            handleStepSimulation();
+        } else if (key == 36) {
+            handleSeekSimulation(0);
+        } else {
+            handleSeekSimulation(getSimulationLength(currentSimulation));
+        }
+        return false;
+    }
+    
+    // Don't handle remaining keys if not focused on canvas
+    if (!canvasHasFocus()) {
+        return true;
+    }
+    
+    // Arrow keys with Shift - Move selected node
+    if (shiftKey && selectedObject instanceof Node) {
+        var moved = false;
+        if (key == 37) { // Left
+            moveSelected(-10, 0);
+            moved = true;
+        } else if (key == 38) { // Up
+            moveSelected(0, -10);
+            moved = true;
+        } else if (key == 39) { // Right
+            moveSelected(10, 0);
+            moved = true;
+        } else if (key == 40) { // Down
+            moveSelected(0, 10);
+            moved = true;
+        }
+        if (moved) {
+            e.preventDefault();
+            return false;
+        }
+    }
+    
+    // Backspace - Delete text character
+    if (key == 8) {
+        if (selectedObject != null && 'text' in selectedObject) {
+            saveState();
+            selectedObject.text = selectedObject.text.substr(0, selectedObject.text.length - 1);
+            resetCaret();
+            draw();
+        }
+        return false;
+    }
+    
+    // Delete - Delete selected object
+    if (key == 46) {
+        deleteSelectedWithUndo();
+        return false;
+    }
+    
+    return true;
+}
 
-// Helper: Find node at a specific position
-ImportFromLaTeX.prototype._findNodeAtPosition = function(nodePositions, x, y) {
-	for (var i = 0; i < nodePositions.length; i++) {
-		var np = nodePositions[i];
-		if (Math.abs(np.x - x) < 1 && Math.abs(np.y - y) < 1) {
-			return np;
-		}
-	}
-	return null;
-};
+// Check if user is typing text into a selected object
+function isTyping() {
+    return selectedObject != null && 'text' in selectedObject && selectedObject.text.length > 0;
+}
 
-// Helper: Find nearest node within a threshold
-ImportFromLaTeX.prototype._findNearestNode = function(nodePositions, x, y, threshold) {
-	var nearest = null;
-	var minDist = threshold;
-	
-	for (var i = 0; i < nodePositions.length; i++) {
-		var np = nodePositions[i];
-		var dist = Math.sqrt(Math.pow(np.x - x, 2) + Math.pow(np.y - y, 2));
-		if (dist < minDist) {
-			minDist = dist;
-			nearest = np;
-		}
-	}
-	
-	return nearest;
-};
+// Enhanced keypress handler for text input
+function handleKeyPress(e) {
+    var key = e.keyCode || e.which;
+    
+    // Check for "test" keybind globally (works anywhere on the page)
+    if (key >= 0x20 && key <= 0x7E && !e.metaKey && !e.altKey && !e.ctrlKey) {
+        checkTestKeybind(String.fromCharCode(key));
+    }
+    
+    if (!canvasHasFocus()) {
+        return true;
+    }
+    
+    // ? key for help (shift+/)
+    if (key == 63) {
+        e.preventDefault();
+        showHelp();
+        return false;
+    }
+    
+    // Text input for selected objects
+    if (key >= 0x20 && key <= 0x7E && !e.metaKey && !e.altKey && !e.ctrlKey && selectedObject != null && 'text' in selectedObject) {
+        // Don't save state for every character - batch them
+        if (selectedObject.text.length == 0) {
+            saveState();
+        }
+        selectedObject.text += String.fromCharCode(key);
+        resetCaret();
+        draw();
+        return false;
+    }
+    
+    if (key == 8) {
+        return false;
+    }
+    
+    return true;
+}
 
-// Helper: Get midpoint of a link for label assignment
-ImportFromLaTeX.prototype._getLinkMidpoint = function(link, nodeRadius) {
-	if (link instanceof SelfLink) {
-		var circleX = link.node.x + 1.5 * nodeRadius * Math.cos(link.anchorAngle);
-		var circleY = link.node.y + 1.5 * nodeRadius * Math.sin(link.anchorAngle);
-		return {
-			x: circleX + 0.75 * nodeRadius * Math.cos(link.anchorAngle),
-			y: circleY + 0.75 * nodeRadius * Math.sin(link.anchorAngle)
-		};
-	} else if (link instanceof StartLink) {
-		return {
-			x: link.node.x + link.deltaX,
-			y: link.node.y + link.deltaY
-		};
-	} else if (link instanceof Link) {
-		// If it's a curved link (has perpendicular part), calculate arc midpoint
-		if (link.perpendicularPart !== 0) {
-			var anchor = link.getAnchorPoint();
-			var circle = circleFromThreePoints(link.nodeA.x, link.nodeA.y, link.nodeB.x, link.nodeB.y, anchor.x, anchor.y);
-			var isReversed = (link.perpendicularPart > 0);
-			var reverseScale = isReversed ? 1 : -1;
-			var startAngle = Math.atan2(link.nodeA.y - circle.y, link.nodeA.x - circle.x) - reverseScale * nodeRadius / circle.radius;
-			var endAngle = Math.atan2(link.nodeB.y - circle.y, link.nodeB.x - circle.x) + reverseScale * nodeRadius / circle.radius;
-			
-			if (isReversed) {
-				var temp = startAngle;
-				startAngle = endAngle;
-				endAngle = temp;
-			}
-			
-			if (endAngle < startAngle) {
-				endAngle += Math.PI * 2;
-			}
-			
-			var midAngle = (startAngle + endAngle) / 2;
-			return {
-				x: circle.x + circle.radius * Math.cos(midAngle),
-				y: circle.y + circle.radius * Math.sin(midAngle)
-			};
-		} else {
-			// Straight line midpoint
-			return {
-				x: (link.nodeA.x + link.nodeB.x) / 2,
-				y: (link.nodeA.y + link.nodeB.y) / 2
-			};
-		}
-	}
-	return null;
-};
+// Initialize keybind handlers
+function initKeybinds() {
+    document.onkeydown = handleKeyDown;
+    document.onkeypress = handleKeyPress;
+    document.onkeyup = function(e) {
+        var key = e.keyCode || e.which;
+        if (key == 16) {
+            shift = false;
+        }
+        
+        // Reset key states on release
+        keyStates.ctrlPressed = e.ctrlKey || e.metaKey;
+        if (key == 77) { keyStates.mPressed = false; keyStates.comboTriggered = false; } // M
+        if (key == 76) { keyStates.lPressed = false; keyStates.comboTriggered = false; } // L
+        if (key == 66) { keyStates.bPressed = false; keyStates.comboTriggered = false; } // B
+    };
+}
+function det(a, b, c, d, e, f, g, h, i) {
+	return a*e*i + b*f*g + c*d*h - a*f*h - b*d*i - c*e*g;
+}
 
-// Main import function - called from UI
-function importFromLaTeX(latexString) {
-	var importer = new ImportFromLaTeX();
-	importer.parse(latexString);
-	var result = importer.reconstructFSM();
-	// Detect if directed based on presence of fills (arrowheads)
-	result.isDirected = importer._fills.length > 0;
-	return result;
+function circleFromThreePoints(x1, y1, x2, y2, x3, y3) {
+	var a = det(x1, y1, 1, x2, y2, 1, x3, y3, 1);
+	var bx = -det(x1*x1 + y1*y1, y1, 1, x2*x2 + y2*y2, y2, 1, x3*x3 + y3*y3, y3, 1);
+	var by = det(x1*x1 + y1*y1, x1, 1, x2*x2 + y2*y2, x2, 1, x3*x3 + y3*y3, x3, 1);
+	var c = -det(x1*x1 + y1*y1, x1, y1, x2*x2 + y2*y2, x2, y2, x3*x3 + y3*y3, x3, y3);
+	return {
+		'x': -bx / (2*a),
+		'y': -by / (2*a),
+		'radius': Math.sqrt(bx*bx + by*by - 4*a*c) / (2*Math.abs(a))
+	};
 }
 
-// UI functions for LaTeX import modal
-function showImportModal() {
-	document.getElementById('importModal').style.display = 'block';
-	document.getElementById('importModalOverlay').style.display = 'block';
-	document.getElementById('latexInput').value = '';
-	document.getElementById('importError').style.display = 'none';
-	document.getElementById('latexInput').focus();
+function fixed(number, digits) {
+	return number.toFixed(digits).replace(/0+$/, '').replace(/\.$/, '');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		det: det,
+		circleFromThreePoints: circleFromThreePoints,
+		fixed: fixed
+	};
 }
 
-function hideImportModal() {
-	document.getElementById('importModal').style.display = 'none';
-	document.getElementById('importModalOverlay').style.display = 'none';
-}
+function loadDFA() {
+	var dfaLatex = `\\begin{center}
+\\begin{tikzpicture}[scale=0.2]
+\\tikzstyle{every node}+=[inner sep=0pt]
+\\draw [black] (22.9,-33.2) circle (3);
+\\draw (22.9,-33.2) node {$S$};
+\\draw [black] (22.9,-33.2) circle (2.4);
+\\draw [black] (39.1,-33.2) circle (3);
+\\draw (39.1,-33.2) node {$A$};
+\\draw [black] (56.2,-32.6) circle (3);
+\\draw (56.2,-32.6) node {$B$};
+\\draw [black] (24.746,-35.55) arc (65.88562:-222.11438:2.25);
+\\draw (24.89,-40.39) node [below] {$0$};
+\\fill [black] (22.16,-36.09) -- (21.37,-36.62) -- (22.29,-37.03);
+\\draw [black] (53.2,-32.71) -- (42.1,-33.09);
+\\fill [black] (42.1,-33.09) -- (42.92,-33.57) -- (42.88,-32.57);
+\\draw (47.62,-32.37) node [above] {$1$};
+\\draw [black] (55.297,-35.445) arc (-27.51778:-148.46311:8.68);
+\\fill [black] (55.3,-35.45) -- (54.48,-35.92) -- (55.37,-36.39);
+\\draw (47.93,-40.64) node [below] {$0$};
+\\draw [black] (40.776,-30.727) arc (136.93615:47.08296:9.619);
+\\fill [black] (40.78,-30.73) -- (41.69,-30.48) -- (40.96,-29.8);
+\\draw (47.44,-27.15) node [above] {$0$};
+\\draw [black] (36.417,-34.531) arc (-69.23342:-110.76658:15.278);
+\\fill [black] (36.42,-34.53) -- (35.49,-34.35) -- (35.85,-35.28);
+\\draw (31,-36.02) node [below] {$1$};
+\\draw [black] (25.721,-32.187) arc (105.43088:74.56912:19.842);
+\\fill [black] (25.72,-32.19) -- (26.62,-32.46) -- (26.36,-31.49);
+\\draw (31,-30.97) node [above] {$1$};
+\\draw [black] (16.6,-17.5) -- (21.78,-30.42);
+\\fill [black] (21.78,-30.42) -- (21.95,-29.49) -- (21.02,-29.86);
+\\end{tikzpicture}
+\\end{center}`;
 
-function importLaTeX() {
-	var latexCode = document.getElementById('latexInput').value.trim();
-	
-	if (!latexCode) {
-		document.getElementById('importError').textContent = 'Please paste some LaTeX code.';
-		document.getElementById('importError').style.display = 'block';
-		return;
-	}
-	
 	try {
-		var result = importFromLaTeX(latexCode);
-		
-		if (result.nodes.length === 0) {
-			throw new Error('No nodes found in the LaTeX code. Make sure it contains valid TikZ circles.');
-		}
+		var result = importFromLaTeX(dfaLatex);
 		
 		// Clear existing canvas
 		nodes = [];
@@ -1601,1670 +8804,2014 @@ function importLaTeX() {
 		// Populate with imported data
 		nodes = result.nodes;
 		links = result.links;
-
-		// Update directed state
-		if (typeof directed !== 'undefined') {
-			directed = result.isDirected;
-			var checkbox = document.getElementById('directedLinksCheckbox');
-			if (checkbox) {
-				checkbox.checked = directed;
-			}
-		}
 		
+		// Ensure directed is on
+		directed = true;
+		var checkbox = document.getElementById('directedLinksCheckbox');
+		if (checkbox) checkbox.checked = true;
+
 		// Redraw and save
 		draw();
 		saveBackup();
-		
-		hideImportModal();
 	} catch (e) {
-		document.getElementById('importError').textContent = 'Error: ' + e.message;
-		document.getElementById('importError').style.display = 'block';
-	}
-}
-
-// Clear canvas function
-function clearCanvas() {
-	if (confirm('Are you sure you want to delete all nodes and links?')) {
-		nodes = [];
-		links = [];
-		selectedObject = null;
-		draw();
-		saveBackup();
-		
-		// Hide output container if visible
-		var outputContainer = document.getElementById('outputContainer');
-		if (outputContainer) {
-			outputContainer.style.display = 'none';
-		}
-	}
-}
-
-if (typeof module !== 'undefined' && module.exports) {
-	module.exports = {
-		ImportFromLaTeX: ImportFromLaTeX,
-		importFromLaTeX: importFromLaTeX
-	};
-}
-var greekLetterNames = [ 'Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon', 'Zeta', 'Eta', 'Theta', 'Iota', 'Kappa', 'Lambda', 'Mu', 'Nu', 'Xi', 'Omicron', 'Pi', 'Rho', 'Sigma', 'Tau', 'Upsilon', 'Phi', 'Chi', 'Psi', 'Omega' ];
-
-function convertLatexShortcuts(text) {
-	// html greek characters
-	for(var i = 0; i < greekLetterNames.length; i++) {
-		var name = greekLetterNames[i];
-		text = text.replace(new RegExp('\\\\' + name, 'g'), String.fromCharCode(913 + i + (i > 16)));
-		text = text.replace(new RegExp('\\\\' + name.toLowerCase(), 'g'), String.fromCharCode(945 + i + (i > 16)));
-	}
-
-	// subscripts
-	for(var i = 0; i < 10; i++) {
-		text = text.replace(new RegExp('_' + i, 'g'), String.fromCharCode(8320 + i));
-	}
-
-	return text;
-}
-
-function textToXML(text) {
-	text = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-	var result = '';
-	for(var i = 0; i < text.length; i++) {
-		var c = text.charCodeAt(i);
-		if(c >= 0x20 && c <= 0x7E) {
-			result += text[i];
-		} else {
-			result += '&#' + c + ';';
-		}
-	}
-	return result;
-}
-
-function drawArrow(c, x, y, angle) {
-	var dx = Math.cos(angle);
-	var dy = Math.sin(angle);
-	c.beginPath();
-	c.moveTo(x, y);
-	if (directed){
-	c.lineTo(x - 8 * dx + 5 * dy, y - 8 * dy - 5 * dx);
-	c.lineTo(x - 8 * dx - 5 * dy, y - 8 * dy + 5 * dx);
-	}
-	c.fill();
-}
-
-function canvasHasFocus() {
-	return (document.activeElement || document.body) == document.body;
-}
-
-function drawText(c, originalText, x, y, angleOrNull, isSelected) {
-	text = convertLatexShortcuts(originalText);
-	c.font = '20px "Times New Roman", serif';
-	var width = c.measureText(text).width;
-
-	// center the text
-	x -= width / 2;
-
-	// position the text intelligently if given an angle
-	if(angleOrNull != null) {
-		var cos = Math.cos(angleOrNull);
-		var sin = Math.sin(angleOrNull);
-		var cornerPointX = (width / 2 + 5) * (cos > 0 ? 1 : -1);
-		var cornerPointY = (10 + 5) * (sin > 0 ? 1 : -1);
-		var slide = sin * Math.pow(Math.abs(sin), 40) * cornerPointX - cos * Math.pow(Math.abs(cos), 10) * cornerPointY;
-		x += cornerPointX - sin * slide;
-		y += cornerPointY + cos * slide;
-	}
-
-	// draw text and caret (round the coordinates so the caret falls on a pixel)
-	if('advancedFillText' in c) {
-		c.advancedFillText(text, originalText, x + width / 2, y, angleOrNull);
-	} else {
-		x = Math.round(x);
-		y = Math.round(y);
-		c.fillText(text, x, y + 6);
-		if(isSelected && caretVisible && canvasHasFocus() && document.hasFocus()) {
-			x += width;
-			c.beginPath();
-			c.moveTo(x, y - 10);
-			c.lineTo(x, y + 10);
-			c.stroke();
-		}
+		alert('Error loading DFA preset: ' + e.message);
 	}
 }
 
-var caretTimer;
-var caretVisible = true;
-
-function resetCaret() {
-	clearInterval(caretTimer);
-	caretTimer = setInterval('caretVisible = !caretVisible; draw()', 500);
-	caretVisible = true;
-}
-
-var canvas;
-var nodeRadius = 30;
-var nodes = [];
-var links = [];
-
-var cursorVisible = true;
-var snapToPadding = 6; // pixels
-var hitTargetPadding = 6; // pixels
-var selectedObject = null; // either a Link or a Node
-var currentLink = null; // a Link
-var movingObject = false;
-var originalClick;
+function loadMSTExample() {
+	var mstLatex = `\\begin{center}
+\\begin{tikzpicture}[scale=0.2]
+\\tikzstyle{every node}+=[inner sep=0pt]
+\\draw [black] (19.9,-14.1) circle (3);
+\\draw (19.9,-14.1) node {$A$};
+\\draw [black] (36.3,-4.4) circle (3);
+\\draw (36.3,-4.4) node {$B$};
+\\draw [black] (61.2,-8.4) circle (3);
+\\draw (61.2,-8.4) node {$C$};
+\\draw [black] (9.4,-29.3) circle (3);
+\\draw (9.4,-29.3) node {$D$};
+\\draw [black] (21,-45.8) circle (3);
+\\draw (21,-45.8) node {$E$};
+\\draw [black] (60.2,-45.1) circle (3);
+\\draw (60.2,-45.1) node {$F$};
+\\draw [black] (67.7,-28.2) circle (3);
+\\draw (67.7,-28.2) node {$G$};
+\\draw [black] (59.566,-10.916) arc (-33.79569:-60.33727:106.92);
+\\draw (44.56,-30.21) node [below] {$2$};
+\\draw [black] (65.31,-26.39) -- (38.69,-6.21);
+\\draw (53,-15.8) node [above] {$3$};
+\\draw [black] (58.458,-9.617) arc (-67.28974:-96.99425:70.08);
+\\draw (41.31,-14.99) node [below] {$4$};
+\\draw [black] (65.312,-30.016) arc (-53.79331:-84.90648:82.324);
+\\draw (46.65,-41.15) node [below] {$6$};
+\\draw [black] (61.42,-42.36) -- (66.48,-30.94);
+\\draw (64.68,-37.64) node [right] {$7$};
+\\draw [black] (24,-45.75) -- (57.2,-45.15);
+\\draw (40.61,-45.97) node [below] {$8$};
+\\draw [black] (66.76,-25.35) -- (62.14,-11.25);
+\\draw (65.22,-17.61) node [right] {$9$};
+\\draw [black] (11.11,-26.83) -- (18.19,-16.57);
+\\draw (15.25,-23.06) node [right] {$2$};
+\\draw [black] (20,-17.1) -- (20.9,-42.8);
+\\draw (19.9,-29.96) node [left] {$1$};
+\\draw [black] (11.13,-31.75) -- (19.27,-43.35);
+\\draw (14.61,-38.92) node [left] {$3$};
+\\draw [black] (22.48,-12.57) -- (33.72,-5.93);
+\\draw (29.1,-9.75) node [below] {$4$};
+\\draw [black] (39.26,-4.88) -- (58.24,-7.92);
+\\draw (48.34,-6.99) node [below] {$6$};
+\\end{tikzpicture}
+\\end{center}`;
 
-function drawUsing(c) {
-	c.clearRect(0, 0, canvas.width, canvas.height);
-	c.save();
-	c.translate(0.5, 0.5);
+	try {
+		var result = importFromLaTeX(mstLatex);
+		
+		// Clear existing canvas
+		nodes = [];
+		links = [];
+		selectedObject = null;
+		
+		// Populate with imported data
+		nodes = result.nodes;
+		links = result.links;
+		
+		// Ensure directed is off for MST example usually, but let's keep it consistent or as needed.
+		// The example looks like an undirected graph (lines instead of arrows in tikz, though importFromLaTeX handles arrows).
+		// The TikZ code uses \draw without ->, so it's undirected.
+		directed = false;
+		var checkbox = document.getElementById('directedLinksCheckbox');
+		if (checkbox) checkbox.checked = false;
 
-	// Draw simulation overlay (input string display) first
-	if (simulationActive && currentSimulation && typeof drawSimulationOverlay === 'function') {
-		drawSimulationOverlay(c);
+		// Redraw and save
+		draw();
+		saveBackup();
+	} catch (e) {
+		alert('Error loading MST preset: ' + e.message);
+	}
+}
+function restoreBackup() {
+	if(!localStorage || !JSON) {
+		return;
 	}
 
-	for(var i = 0; i < nodes.length; i++) {
-		c.lineWidth = 1;
-		c.fillStyle = c.strokeStyle = (nodes[i] == selectedObject) ? 'blue' : 'black';
+	try {
+		var backup = JSON.parse(localStorage['fsm']);
 		
-		// Check for simulation highlight
-		var simHighlighted = false;
-		if (simulationActive && currentSimulation && typeof drawNodeWithSimulation === 'function') {
-			simHighlighted = drawNodeWithSimulation(c, nodes[i], i, nodes[i] == selectedObject);
+		// Restore directed state
+		if(backup.hasOwnProperty('directed')) {
+			directed = backup.directed;
 		}
 		
-		if (!simHighlighted) {
-			nodes[i].draw(c);
+		// Restore the machine type and its settings
+		if(backup.hasOwnProperty('machineType')) {
+			machineType = backup.machineType;
+		}
+		if(backup.hasOwnProperty('pda')) {
+			pdaOptions.acceptance = backup.pda.acceptance;
+			pdaOptions.initialStack = backup.pda.initialStack;
+		}
+		if(backup.hasOwnProperty('tm')) {
+			tmOptions.blank = backup.tm.blank;
+			tmOptions.stepLimit = backup.tm.stepLimit;
 		}
-	}
-	for(var i = 0; i < links.length; i++) {
-		c.lineWidth = 1;
-		c.fillStyle = c.strokeStyle = (links[i] == selectedObject) ? 'blue' : 'black';
 		
-		// Check for simulation highlight
-		var simHighlighted = false;
-		if (simulationActive && currentSimulation && typeof drawLinkWithSimulation === 'function') {
-			simHighlighted = drawLinkWithSimulation(c, links[i], links[i] == selectedObject);
+		// Restore the batch test cases saved with the machine
+		if(backup.hasOwnProperty('tests') && backup.tests instanceof Array) {
+			testCases = backup.tests;
 		}
 		
-		if (!simHighlighted) {
-			links[i].draw(c);
+		var machine = deserializeMachine(backup);
+		for(var i = 0; i < machine.nodes.length; i++) {
+			nodes.push(machine.nodes[i]);
 		}
+		for(var i = 0; i < machine.links.length; i++) {
+			links.push(machine.links[i]);
+		}
+	} catch(e) {
+		localStorage['fsm'] = '';
 	}
-	if(currentLink != null) {
-		c.lineWidth = 1;
-		c.fillStyle = c.strokeStyle = 'black';
-		currentLink.draw(c);
-	}
-
-	// Draw result banner if simulation is complete
-	if (simulationActive && currentSimulation && typeof drawResultBanner === 'function') {
-		drawResultBanner(c, canvas.width, canvas.height);
-	}
-
-	c.restore();
-}
-var directed=true;
-function toggleDirected(){
-	directed=!directed;
-	draw();
-	if (latex){ //if latex selected, update latex code
-		saveAsLaTeX();
-	}
-	if (svg){ //if svg selected, update svg code
-		saveAsSVG();
-	}
-	// Save the directed state
-	saveBackup();
-}
-function draw() {
-	drawUsing(canvas.getContext('2d'));
-	saveBackup();
 }
 
-function selectObject(x, y) {
-	for(var i = 0; i < nodes.length; i++) {
-		if(nodes[i].containsPoint(x, y)) {
-			return nodes[i];
-		}
+// Rebuild Node and Link objects from a backup object
+function deserializeMachine(backup) {
+	var machineNodes = [];
+	var machineLinks = [];
+	for(var i = 0; i < backup.nodes.length; i++) {
+		var backupNode = backup.nodes[i];
+		var node = new Node(backupNode.x, backupNode.y);
+		node.isAcceptState = backupNode.isAcceptState;
+		node.text = backupNode.text;
+		node.fillColor = backupNode.fillColor || null;
+		machineNodes.push(node);
 	}
-	for(var i = 0; i < links.length; i++) {
-		if(links[i].containsPoint(x, y)) {
-			return links[i];
+	for(var i = 0; i < backup.links.length; i++) {
+		var backupLink = backup.links[i];
+		var link = null;
+		if(backupLink.type == 'SelfLink') {
+			link = new SelfLink(machineNodes[backupLink.node]);
+			link.anchorAngle = backupLink.anchorAngle;
+			link.text = backupLink.text;
+		} else if(backupLink.type == 'StartLink') {
+			link = new StartLink(machineNodes[backupLink.node]);
+			link.deltaX = backupLink.deltaX;
+			link.deltaY = backupLink.deltaY;
+			link.text = backupLink.text;
+		} else if(backupLink.type == 'Link') {
+			link = new Link(machineNodes[backupLink.nodeA], machineNodes[backupLink.nodeB]);
+			link.parallelPart = backupLink.parallelPart;
+			link.perpendicularPart = backupLink.perpendicularPart;
+			link.text = backupLink.text;
+			link.lineAngleAdjust = backupLink.lineAngleAdjust;
+		}
+		if(link != null) {
+			machineLinks.push(link);
 		}
 	}
-	return null;
+	return { 'nodes': machineNodes, 'links': machineLinks };
 }
 
-function snapNode(node) {
-	for(var i = 0; i < nodes.length; i++) {
-		if(nodes[i] == node) continue;
+function saveBackup() {
+	if(!localStorage || !JSON) {
+		return;
+	}
 
-		if(Math.abs(node.x - nodes[i].x) < snapToPadding) {
-			node.x = nodes[i].x;
-		}
+	var backup = serializeMachine(nodes, links);
+	backup.directed = directed;
+	backup.tests = testCases;
+	backup.machineType = machineType;
+	backup.pda = pdaOptions;
+	backup.tm = tmOptions;
 
-		if(Math.abs(node.y - nodes[i].y) < snapToPadding) {
-			node.y = nodes[i].y;
+	localStorage['fsm'] = JSON.stringify(backup);
+}
+
+// Convert nodes and links into a plain object that can be stored as JSON
+function serializeMachine(nodeArray, linkArray) {
+	var backup = {
+		'nodes': [],
+		'links': [],
+	};
+	for(var i = 0; i < nodeArray.length; i++) {
+		var node = nodeArray[i];
+		var backupNode = {
+			'x': node.x,
+			'y': node.y,
+			'text': node.text,
+			'isAcceptState': node.isAcceptState,
+			'fillColor': node.fillColor,
+		};
+		backup.nodes.push(backupNode);
+	}
+	for(var i = 0; i < linkArray.length; i++) {
+		var link = linkArray[i];
+		var backupLink = null;
+		if(link instanceof SelfLink) {
+			backupLink = {
+				'type': 'SelfLink',
+				'node': nodeArray.indexOf(link.node),
+				'text': link.text,
+				'anchorAngle': link.anchorAngle,
+			};
+		} else if(link instanceof StartLink) {
+			backupLink = {
+				'type': 'StartLink',
+				'node': nodeArray.indexOf(link.node),
+				'text': link.text,
+				'deltaX': link.deltaX,
+				'deltaY': link.deltaY,
+			};
+		} else if(link instanceof Link) {
+			backupLink = {
+				'type': 'Link',
+				'nodeA': nodeArray.indexOf(link.nodeA),
+				'nodeB': nodeArray.indexOf(link.nodeB),
+				'text': link.text,
+				'lineAngleAdjust': link.lineAngleAdjust,
+				'parallelPart': link.parallelPart,
+				'perpendicularPart': link.perpendicularPart,
+			};
+		}
+		if(backupLink != null) {
+			backup.links.push(backupLink);
 		}
 	}
+	return backup;
 }
 
-window.onload = function() {
-	canvas = document.getElementById('canvas');
-	restoreBackup();
-	draw();
-	
-	// Initialize keybind system
-	if (typeof initKeybinds === 'function') {
-		initKeybinds();
+// Store the current machine in the reference slot (used to compare or combine machines)
+function saveReferenceMachine() {
+	if(!localStorage || !JSON) {
+		return false;
 	}
 
-	canvas.onmousedown = function(e) {
-		var mouse = crossBrowserRelativeMousePos(e);
-		selectedObject = selectObject(mouse.x, mouse.y);
-		movingObject = false;
-		originalClick = mouse;
-
-		if(selectedObject != null) {
-			if(shift && selectedObject instanceof Node) {
-				currentLink = new SelfLink(selectedObject, mouse);
-			} else {
-				movingObject = true;
-				deltaMouseX = deltaMouseY = 0;
-				if(selectedObject.setMouseStart) {
-					selectedObject.setMouseStart(mouse.x, mouse.y);
-				}
-			}
-			resetCaret();
-		} else if(shift) {
-			currentLink = new TemporaryLink(mouse, mouse);
-		}
-
-		draw();
+	localStorage['fsm-reference'] = JSON.stringify(serializeMachine(nodes, links));
+	return true;
+}
 
-		if(canvasHasFocus()) {
-			// disable drag-and-drop only if the canvas is already focused
-			return false;
-		} else {
-			// otherwise, let the browser switch the focus away from wherever it was
-			resetCaret();
-			return true;
-		}
-	};
+// Load the machine stored in the reference slot, or null if there is none
+function loadReferenceMachine() {
+	if(!localStorage || !JSON || !localStorage['fsm-reference']) {
+		return null;
+	}
 
-	canvas.ondblclick = function(e) {
-		var mouse = crossBrowserRelativeMousePos(e);
-		selectedObject = selectObject(mouse.x, mouse.y);
+	try {
+		return deserializeMachine(JSON.parse(localStorage['fsm-reference']));
+	} catch(e) {
+		return null;
+	}
+}
 
-		if(selectedObject == null) {
-			selectedObject = new Node(mouse.x, mouse.y);
-			nodes.push(selectedObject);
-			resetCaret();
-			draw();
-		} else if(selectedObject instanceof Node) {
-			selectedObject.isAcceptState = !selectedObject.isAcceptState;
-			draw();
-		}
-	};
+// FSM Simulation Animator
+// Visual animation and canvas rendering for simulation
 
-	canvas.onmousemove = function(e) {
-		var mouse = crossBrowserRelativeMousePos(e);
+// Animation state for highlighting
+var animationState = {
+    highlightedStates: [],    // Array of {index, color}
+    highlightedLinks: [],     // Array of {link, color}
+    currentChar: null,
+    currentPosition: 0,
+    totalLength: 0,
+    resultDisplay: null       // 'accepted', 'rejected', 'stuck', null
+};
 
-		if(currentLink != null) {
-			var targetNode = selectObject(mouse.x, mouse.y);
-			if(!(targetNode instanceof Node)) {
-				targetNode = null;
-			}
+// Colors for animation
+var simColors = {
+    currentState: '#FFA500',      // Orange/Gold for current state
+    activeTransition: '#FFA500',  // Orange for active transition
+    acceptedState: '#4CAF50',     // Green for accepted
+    rejectedState: '#f44336',     // Red for rejected
+    stuckState: '#f44336',        // Red for stuck
+    nfaSecondary: '#FFD700',      // Lighter gold for secondary NFA paths
+    epsilonTransition: '#BA68C8', // Purple for epsilon moves into the closure
+    stepLimit: '#FF9800',         // Orange for Turing machine runs stopped by the step limit
+    pathTrace: '#90CAF9'          // Light blue for path trace
+};
 
-			if(selectedObject == null) {
-				if(targetNode != null) {
-					currentLink = new StartLink(targetNode, originalClick);
-				} else {
-					currentLink = new TemporaryLink(originalClick, mouse);
-				}
-			} else {
-				if(targetNode == selectedObject) {
-					currentLink = new SelfLink(selectedObject, mouse);
-				} else if(targetNode != null) {
-					currentLink = new Link(selectedObject, targetNode);
-				} else {
-					currentLink = new TemporaryLink(selectedObject.closestPointOnCircle(mouse.x, mouse.y), mouse);
-				}
-			}
-			draw();
-		}
+// True while a graph algorithm's result is highlighted on the canvas (outside of a simulation)
+var algorithmHighlightActive = false;
 
-		if(movingObject) {
-			selectedObject.setAnchorPoint(mouse.x, mouse.y);
-			if(selectedObject instanceof Node) {
-				snapNode(selectedObject);
-			}
-			draw();
-		}
-	};
+// Clear all animation highlights
+function clearAnimationState() {
+    animationState.highlightedStates = [];
+    animationState.highlightedLinks = [];
+    animationState.currentChar = null;
+    animationState.currentPosition = 0;
+    animationState.totalLength = 0;
+    animationState.resultDisplay = null;
+}
 
-	canvas.onmouseup = function(e) {
-		movingObject = false;
+// Set highlighted states (for current simulation position)
+function highlightStates(stateIndices, color) {
+    animationState.highlightedStates = stateIndices.map(function(idx, i) {
+        return { 
+            index: idx, 
+            color: color || simColors.currentState,
+            // Use slightly different color for secondary NFA paths
+            isPrimary: i === 0
+        };
+    });
+}
 
-		if(currentLink != null) {
-			if(!(currentLink instanceof TemporaryLink)) {
-				selectedObject = currentLink;
-				links.push(currentLink);
-				resetCaret();
-			}
-			currentLink = null;
-			draw();
-		}
-	};
+// Set highlighted transitions (links being traversed)
+function highlightTransitions(links, color) {
+    animationState.highlightedLinks = links.map(function(link) {
+        return { 
+            link: link, 
+            color: color || simColors.activeTransition 
+        };
+    });
 }
 
-var shift = false;
+// Show the result of a graph algorithm on the canvas until the next click.
+// states: [{ index, color, note }] where note is an optional short text drawn above the state
+// linkHighlights: [{ link, color }]
+function showAlgorithmHighlight(states, linkHighlights) {
+    if (simulationActive) {
+        exitSimulationMode();
+    }
+    clearAnimationState();
+    animationState.highlightedStates = states;
+    animationState.highlightedLinks = linkHighlights;
+    algorithmHighlightActive = true;
+    draw();
+}
 
-// Legacy keyboard handlers - replaced by keybinds.js but kept as fallback
-document.onkeydown = function(e) {
-	var key = crossBrowserKey(e);
+// Remove an algorithm highlight (called when the canvas is clicked)
+function clearAlgorithmHighlight() {
+    if (algorithmHighlightActive) {
+        algorithmHighlightActive = false;
+        clearAnimationState();
+    }
+}
 
-	if(key == 16) {
-		shift = true;
-	} else if(!canvasHasFocus()) {
-		// don't read keystrokes when other things have focus
-		return true;
-	} else if(key == 8) { // backspace key
-		if(selectedObject != null && 'text' in selectedObject) {
-			selectedObject.text = selectedObject.text.substr(0, selectedObject.text.length - 1);
-			resetCaret();
-			draw();
-		}
+// Check whether nodes and links should be drawn with their highlights
+function isCanvasHighlighted() {
+    return (simulationActive && currentSimulation !== null) || algorithmHighlightActive;
+}
 
-		// backspace is a shortcut for the back button, but do NOT want to change pages
-		return false;
-	} else if(key == 46) { // delete key
-		if(selectedObject != null) {
-			for(var i = 0; i < nodes.length; i++) {
-				if(nodes[i] == selectedObject) {
-					nodes.splice(i--, 1);
-				}
-			}
-			for(var i = 0; i < links.length; i++) {
-				if(links[i] == selectedObject || links[i].node == selectedObject || links[i].nodeA == selectedObject || links[i].nodeB == selectedObject) {
-					links.splice(i--, 1);
-				}
-			}
-			selectedObject = null;
-			draw();
-		}
-	}
-};
+// Update animation state from simulation state
+function updateAnimationFromSimulation(simState, nodes) {
+    if (!simState) {
+        clearAnimationState();
+        return;
+    }
+    
+    // Algorithm playbacks carry a highlight snapshot with every event
+    if (simState.machineType === 'playback') {
+        var event = getCurrentPlaybackEvent(simState);
+        clearAnimationState();
+        if (event) {
+            animationState.highlightedStates = event.states;
+            animationState.highlightedLinks = event.links;
+        }
+        return;
+    }
+    
+    // Update highlighted states
+    highlightStates(simState.currentStates);
+    
+    // Update highlighted links (active transitions from last step)
+    if (simState.activeLinks) {
+        highlightTransitions(simState.activeLinks);
+    } else {
+        animationState.highlightedLinks = [];
+    }
+    
+    // Epsilon moves that extended the current states into their closure
+    if (simState.epsilonLinks) {
+        for (var i = 0; i < simState.epsilonLinks.length; i++) {
+            if (!getLinkHighlight(simState.epsilonLinks[i])) {
+                animationState.highlightedLinks.push({
+                    link: simState.epsilonLinks[i],
+                    color: simColors.epsilonTransition
+                });
+            }
+        }
+    }
+    
+    // Update current character info
+    animationState.currentChar = simState.currentPosition < simState.inputString.length 
+        ? simState.inputString[simState.currentPosition] 
+        : null;
+    animationState.currentPosition = simState.currentPosition;
+    animationState.totalLength = simState.inputString.length;
+    
+    // Update result display
+    if (simState.isComplete) {
+        animationState.resultDisplay = simState.result;
+        
+        // Change state colors based on result
+        var resultColor = simState.result === 'accepted' ? simColors.acceptedState : simColors.rejectedState;
+        animationState.highlightedStates = simState.currentStates.map(function(idx) {
+            return { index: idx, color: resultColor, isPrimary: true };
+        });
+    } else {
+        animationState.resultDisplay = null;
+    }
+}
 
-document.onkeyup = function(e) {
-	var key = crossBrowserKey(e);
+// Check if a node should be highlighted and get its highlight info
+function getNodeHighlight(nodeIndex) {
+    for (var i = 0; i < animationState.highlightedStates.length; i++) {
+        var hs = animationState.highlightedStates[i];
+        if (hs.index === nodeIndex) {
+            return hs;
+        }
+    }
+    return null;
+}
 
-	if(key == 16) {
-		shift = false;
-	}
-};
+// Check if a link should be highlighted and get its highlight info
+function getLinkHighlight(link) {
+    for (var i = 0; i < animationState.highlightedLinks.length; i++) {
+        var hl = animationState.highlightedLinks[i];
+        if (hl.link === link) {
+            return hl;
+        }
+    }
+    return null;
+}
 
-document.onkeypress = function(e) {
-	// don't read keystrokes when other things have focus
-	var key = crossBrowserKey(e);
-	if(!canvasHasFocus()) {
-		// don't read keystrokes when other things have focus
-		return true;
-	} else if(key >= 0x20 && key <= 0x7E && !e.metaKey && !e.altKey && !e.ctrlKey && selectedObject != null && 'text' in selectedObject) {
-		selectedObject.text += String.fromCharCode(key);
-		resetCaret();
-		draw();
+// Draw simulation overlay on canvas (called after main drawing)
+function drawSimulationOverlay(c) {
+    if (!simulationActive || !currentSimulation) {
+        return;
+    }
+    
+    // Turing machines show their tapes in place of the input string
+    if (currentSimulation.machineType === 'tm') {
+        drawTapeDisplay(c);
+        return;
+    }
+    
+    // Algorithm playbacks narrate the current event instead
+    if (currentSimulation.machineType === 'playback') {
+        drawPlaybackCaption(c);
+        return;
+    }
+    
+    // Draw current character indicator near top of canvas
+    var tapeEnd = 20;
+    if (animationState.currentChar !== null || animationState.totalLength > 0) {
+        tapeEnd = drawInputStringDisplay(c);
+    }
+    
+    // Pushdown automata also show the stack of the highlighted branch
+    if (currentSimulation.machineType === 'pda') {
+        drawStackDisplay(c, tapeEnd + 30, 30);
+    }
+    
+    // Mealy and Moore machines show the output written so far under the input
+    var outputString = getSimulationOutput(currentSimulation, nodes);
+    if (outputString !== null) {
+        drawOutputDisplay(c, outputString);
+    }
+}
 
-		// don't let keys do their actions (like space scrolls down the page)
-		return false;
-	} else if(key == 8) {
-		// backspace is a shortcut for the back button, but do NOT want to change pages
-		return false;
-	}
-};
+// Draw the input string with current position highlighted
+function drawInputStringDisplay(c) {
+    var inputString = currentSimulation ? currentSimulation.inputString : '';
+    var position = animationState.currentPosition;
+    
+    c.save();
+    c.font = '16px "Consolas", monospace';
+    
+    var x = 20;
+    var y = 30;
+    
+    // Draw label
+    c.fillStyle = '#666';
+    c.fillText('Input: ', x, y);
+    x += c.measureText('Input: ').width;
+    
+    // Draw the string with highlighting
+    if (inputString.length === 0) {
+        c.fillStyle = '#999';
+        c.fillText('(empty string)', x, y);
+    } else {
+        for (var i = 0; i < inputString.length; i++) {
+            var char = inputString[i];
+            
+            if (i === position && !animationState.resultDisplay) {
+                // Current character - highlight with background
+                var charWidth = c.measureText(char).width + 4;
+                c.fillStyle = simColors.currentState;
+                c.fillRect(x - 2, y - 14, charWidth, 20);
+                c.fillStyle = 'white';
+                c.fillText(char, x, y);
+                x += charWidth;
+            } else if (i < position) {
+                // Already processed - gray
+                c.fillStyle = '#999';
+                c.fillText(char, x, y);
+                x += c.measureText(char).width + 2;
+            } else {
+                // Not yet processed - black
+                c.fillStyle = '#333';
+                c.fillText(char, x, y);
+                x += c.measureText(char).width + 2;
+            }
+        }
+    }
+    
+    // Draw position indicator
+    c.fillStyle = '#666';
+    var posText = ' [' + position + '/' + inputString.length + ']';
+    c.fillText(posText, x + 10, y);
+    x += 10 + c.measureText(posText).width;
+    
+    c.restore();
+    return x;
+}
 
-function crossBrowserKey(e) {
-	e = e || window.event;
-	return e.which || e.keyCode;
+// Draw the algorithm name and the current playback event at the top of the canvas
+function drawPlaybackCaption(c) {
+    var event = getCurrentPlaybackEvent(currentSimulation);
+    
+    c.save();
+    c.font = 'bold 16px "Segoe UI", sans-serif';
+    c.fillStyle = '#666';
+    c.fillText(currentSimulation.title + ' [' + currentSimulation.currentPosition + '/' + currentSimulation.events.length + ']', 20, 30);
+    
+    c.font = '15px "Segoe UI", sans-serif';
+    c.fillStyle = event ? '#333' : '#999';
+    c.fillText(event ? event.message : 'Press Step or Play to start', 20, 55);
+    c.restore();
+}
+
+// Draw the output string of a Mealy or Moore machine below the input string
+function drawOutputDisplay(c, outputString) {
+    var x = 20;
+    var y = 55;
+    
+    c.save();
+    c.font = '16px "Consolas", monospace';
+    
+    c.fillStyle = '#666';
+    c.fillText('Output: ', x, y);
+    x += c.measureText('Output: ').width;
+    
+    if (outputString.length === 0) {
+        c.fillStyle = '#999';
+        c.fillText('(empty)', x, y);
+    } else {
+        c.fillStyle = simColors.acceptedState;
+        c.fillText(convertLatexShortcuts(outputString), x, y);
+    }
+    
+    c.restore();
 }
 
-function crossBrowserElementPos(e) {
-	e = e || window.event;
-	var obj = e.target || e.srcElement;
-	var x = 0, y = 0;
-	while(obj.offsetParent) {
-		x += obj.offsetLeft;
-		y += obj.offsetTop;
-		obj = obj.offsetParent;
-	}
-	return { 'x': x, 'y': y };
+// Draw each Turing machine tape as a strip of cells scrolled so the head stays in view
+function drawTapeDisplay(c) {
+    var tapes = currentSimulation.paths[0].tapes;
+    var cellWidth = 26;
+    var visibleCells = 21; // cells shown on each side of the head: (visibleCells - 1) / 2
+    var half = (visibleCells - 1) / 2;
+    
+    c.save();
+    c.font = '16px "Consolas", monospace';
+    c.textAlign = 'center';
+    
+    for (var k = 0; k < tapes.length; k++) {
+        var tape = tapes[k];
+        var y = 30 + k * 40;
+        var x = 20;
+        
+        c.textAlign = 'left';
+        c.fillStyle = '#666';
+        var label = tapes.length > 1 ? 'Tape ' + (k + 1) + ': ' : 'Tape: ';
+        c.fillText(label, x, y);
+        x += c.measureText(label).width;
+        c.textAlign = 'center';
+        
+        for (var offset = -half; offset <= half; offset++) {
+            var position = tape.head + offset;
+            var symbol = position >= 0 && position < tape.cells.length ? tape.cells[position] : tape.blank;
+            var cellX = x + (offset + half) * cellWidth;
+            var isHead = offset === 0;
+            
+            c.fillStyle = isHead ? simColors.currentState : (symbol === tape.blank ? '#fafafa' : '#f0f0f0');
+            c.fillRect(cellX, y - 17, cellWidth, 24);
+            c.strokeStyle = '#999';
+            c.lineWidth = 1;
+            c.strokeRect(cellX, y - 17, cellWidth, 24);
+            c.fillStyle = isHead ? 'white' : (symbol === tape.blank ? '#bbb' : '#333');
+            c.fillText(convertLatexShortcuts(symbol), cellX + cellWidth / 2, y);
+        }
+        
+        // Head marker under the current cell
+        var headX = x + half * cellWidth + cellWidth / 2;
+        c.fillStyle = simColors.currentState;
+        c.beginPath();
+        c.moveTo(headX, y + 9);
+        c.lineTo(headX - 6, y + 17);
+        c.lineTo(headX + 6, y + 17);
+        c.closePath();
+        c.fill();
+    }
+    
+    // Step counter after the first tape
+    c.textAlign = 'left';
+    c.fillStyle = '#666';
+    c.fillText(' [step ' + currentSimulation.currentPosition + '/' + currentSimulation.totalSteps + ']',
+        20 + c.measureText(tapes.length > 1 ? 'Tape 1: ' : 'Tape: ').width + visibleCells * cellWidth + 10, 30);
+    
+    c.restore();
 }
 
-function crossBrowserMousePos(e) {
-	e = e || window.event;
-	return {
-		'x': e.pageX || e.clientX + document.body.scrollLeft + document.documentElement.scrollLeft,
-		'y': e.pageY || e.clientY + document.body.scrollTop + document.documentElement.scrollTop,
-	};
+// Draw the stack of the highlighted PDA branch as a row of cells, top of the stack first
+function drawStackDisplay(c, x, y) {
+    var path = getHighlightedPath(currentSimulation);
+    var stack = path && path.stack ? path.stack : [];
+    
+    c.save();
+    c.font = '16px "Consolas", monospace';
+    
+    c.fillStyle = '#666';
+    c.fillText('Stack: ', x, y);
+    x += c.measureText('Stack: ').width;
+    
+    if (stack.length === 0) {
+        c.fillStyle = '#999';
+        c.fillText('(empty)', x, y);
+    } else {
+        for (var i = stack.length - 1; i >= 0; i--) {
+            var symbol = convertLatexShortcuts(stack[i]);
+            var cellWidth = c.measureText(symbol).width + 8;
+            var isTop = i === stack.length - 1;
+            
+            c.fillStyle = isTop ? simColors.currentState : '#f5f5f5';
+            c.fillRect(x, y - 16, cellWidth, 22);
+            c.strokeStyle = '#999';
+            c.lineWidth = 1;
+            c.strokeRect(x, y - 16, cellWidth, 22);
+            c.fillStyle = isTop ? 'white' : '#333';
+            c.fillText(symbol, x + 4, y);
+            x += cellWidth;
+        }
+    }
+    
+    // With several branches, say which one is shown
+    var activeBranches = currentSimulation.paths.filter(function(p) {
+        return p.status === 'active';
+    }).length;
+    if (activeBranches > 1) {
+        c.fillStyle = '#666';
+        c.fillText(' (1 of ' + activeBranches + ' branches)', x + 6, y);
+    }
+    
+    c.restore();
 }
 
-function crossBrowserRelativeMousePos(e) {
-	var element = crossBrowserElementPos(e);
-	var mouse = crossBrowserMousePos(e);
-	return {
-		'x': mouse.x - element.x,
-		'y': mouse.y - element.y
-	};
+// Show result banner overlay
+function drawResultBanner(c, canvasWidth, canvasHeight) {
+    if (!animationState.resultDisplay) {
+        return;
+    }
+    
+    var text, bgColor;
+    
+    switch (animationState.resultDisplay) {
+        case 'accepted':
+            text = '✓ ACCEPTED';
+            bgColor = simColors.acceptedState;
+            break;
+        case 'rejected':
+            text = '✗ REJECTED';
+            bgColor = simColors.rejectedState;
+            break;
+        case 'stuck':
+            text = '✗ STUCK - No valid transition';
+            bgColor = simColors.stuckState;
+            break;
+        case 'limit':
+            text = '⏱ STEP LIMIT REACHED';
+            bgColor = simColors.stepLimit;
+            break;
+        default:
+            return;
+    }
+    
+    c.save();
+    
+    // Draw banner at bottom of canvas
+    var bannerHeight = 50;
+    var bannerY = canvasHeight - bannerHeight - 20;
+    
+    // Semi-transparent background
+    c.fillStyle = bgColor;
+    c.globalAlpha = 0.9;
+    c.fillRect(0, bannerY, canvasWidth, bannerHeight);
+    c.globalAlpha = 1.0;
+    
+    // Text
+    c.fillStyle = 'white';
+    c.font = 'bold 24px "Segoe UI", sans-serif';
+    c.textAlign = 'center';
+    c.fillText(text, canvasWidth / 2, bannerY + 33);
+    
+    c.restore();
 }
 
-function output(text) {
-	var container = document.getElementById('outputContainer');
-	container.style.display = 'block';
-	var copyButton = document.getElementById('copyButton');
-	copyButton.textContent = 'Copy';
-	
-	var textarea = document.getElementById('output');
-	var latexContainer = document.getElementById('latexOutputContainer');
-	
-	// Check if we're in LaTeX mode and need split display
-	if (latex && latexContainer) {
-		// Hide the regular textarea, show the LaTeX container
-		textarea.style.display = 'none';
-		latexContainer.style.display = 'block';
-		
-		// Split the LaTeX content into preamble, center, and end
-		var centerStart = text.indexOf('\\begin{center}');
-		var centerEnd = text.indexOf('\\end{center}');
-		
-		if (centerStart !== -1 && centerEnd !== -1) {
-			var preamble = text.substring(0, centerStart);
-			var centerContent = text.substring(centerStart, centerEnd + '\\end{center}'.length);
-			var endContent = text.substring(centerEnd + '\\end{center}'.length);
-			
-			document.getElementById('latexPreamble').textContent = preamble;
-			document.getElementById('latexCenter').textContent = centerContent;
-			document.getElementById('latexEnd').textContent = endContent;
-		} else {
-			// Fallback if we can't find the markers
-			document.getElementById('latexPreamble').textContent = '';
-			document.getElementById('latexCenter').textContent = text;
-			document.getElementById('latexEnd').textContent = '';
-		}
-	} else {
-		// Use regular textarea for non-LaTeX output
-		textarea.style.display = 'block';
-		if (latexContainer) {
-			latexContainer.style.display = 'none';
-		}
-		textarea.value = text;
-	}
+// Modified node drawing with simulation highlights
+function drawNodeWithSimulation(c, node, nodeIndex, isSelected) {
+    var highlight = getNodeHighlight(nodeIndex);
+    
+    if (highlight) {
+        // Save context for glow effect
+        c.save();
+        
+        // Draw glow/shadow
+        c.shadowColor = highlight.color;
+        c.shadowBlur = 20;
+        c.shadowOffsetX = 0;
+        c.shadowOffsetY = 0;
+        
+        // Draw filled circle with highlight color (semi-transparent)
+        c.beginPath();
+        c.arc(node.x, node.y, nodeRadius, 0, 2 * Math.PI, false);
+        c.fillStyle = highlight.color + '40'; // 25% opacity
+        c.fill();
+        
+        // Draw the main circle
+        c.strokeStyle = highlight.color;
+        c.lineWidth = 3;
+        c.stroke();
+        
+        c.restore();
+        
+        // Draw the text
+        c.fillStyle = highlight.color;
+        drawText(c, node.text, node.x, node.y, null, isSelected);
+        
+        // Draw accept state inner circle if needed
+        if (node.isAcceptState) {
+            c.beginPath();
+            c.arc(node.x, node.y, nodeRadius - 6, 0, 2 * Math.PI, false);
+            c.strokeStyle = highlight.color;
+            c.lineWidth = 2;
+            c.stroke();
+        }
+        
+        // Short annotation above the state, e.g. a distance
+        if (highlight.note) {
+            c.save();
+            c.font = 'bold 14px "Segoe UI", sans-serif';
+            c.textAlign = 'center';
+            c.fillStyle = highlight.color;
+            c.fillText(highlight.note, node.x, node.y - nodeRadius - 8);
+            c.restore();
+        }
+        
+        return true; // Indicate we handled drawing
+    }
+    
+    return false; // Let normal drawing handle it
 }
 
-function saveAsPNG() {
-	var oldSelectedObject = selectedObject;
-	selectedObject = null;
-	drawUsing(canvas.getContext('2d'));
-	selectedObject = oldSelectedObject;
-	var pngData = canvas.toDataURL('image/png');
-	document.location.href = pngData;
-}
-var svg=false;
-var latex=false;
-function saveAsSVG() {
-	latex=false;
-	svg=true;
-	var exporter = new ExportAsSVG();
-	var oldSelectedObject = selectedObject;
-	selectedObject = null;
-	drawUsing(exporter);
-	selectedObject = oldSelectedObject;
-	var svgData = exporter.toSVG();
-	output(svgData);
-	// Chrome isn't ready for this yet, the 'Save As' menu item is disabled
-	// document.location.href = 'data:image/svg+xml;base64,' + btoa(svgData);
+// Modified link drawing with simulation highlights
+function drawLinkWithSimulation(c, link, isSelected) {
+    var highlight = getLinkHighlight(link);
+    
+    if (highlight) {
+        c.save();
+        
+        // Draw with highlight color and glow
+        c.strokeStyle = highlight.color;
+        c.fillStyle = highlight.color;
+        c.lineWidth = 3;
+        c.shadowColor = highlight.color;
+        c.shadowBlur = 10;
+        
+        // Call the link's draw method (it will use our modified context)
+        link.draw(c);
+        
+        c.restore();
+        
+        return true; // Indicate we handled drawing
+    }
+    
+    return false; // Let normal drawing handle it
 }
-function saveAsLaTeX() {
-	svg=false;
-	latex=true;
-	var exporter = new ExportAsLaTeX();
-	var oldSelectedObject = selectedObject;
-	selectedObject = null;
-	drawUsing(exporter);
-	selectedObject = oldSelectedObject;
-	var texData = exporter.toLaTeX();
-	output(texData);
+
+// Pulse animation for self-loops
+var pulsePhase = 0;
+function updatePulseAnimation() {
+    pulsePhase = (pulsePhase + 0.1) % (2 * Math.PI);
 }
 
-function copyOutput() {
-	var textarea = document.getElementById('output');
-	var copyButton = document.getElementById('copyButton');
-	var latexCenterElement = document.getElementById('latexCenter');
-	
-	// Determine what content to copy
-	var textToCopy;
-	
-	// If in LaTeX mode, copy only the center content
-	if (latex && latexCenterElement) {
-		textToCopy = latexCenterElement.textContent;
-	} else {
-		textToCopy = textarea.value;
-	}
-
-	navigator.clipboard.writeText(textToCopy).then(function() {
-		// Success feedback
-		copyButton.textContent = 'Copied!';
-		
-		// Add green flash animation for LaTeX mode (only on center element)
-		if (latex && latexCenterElement) {
-			latexCenterElement.classList.add('copy-flash');
-			setTimeout(function() {
-				latexCenterElement.classList.remove('copy-flash');
-			}, 800);
-		}
-		
-		setTimeout(function() {
-			copyButton.textContent = 'Copy';
-		}, 2000); // Revert after 2 seconds
-	}, function(err) {
-		copyButton.textContent = 'Failed to copy';
-		console.error('Could not copy text: ', err);
-		setTimeout(function() {
-			copyButton.textContent = 'Copy';
-		}, 2000);
-	});
+// Get pulse intensity (0-1) for animated effects
+function getPulseIntensity() {
+    return 0.5 + 0.5 * Math.sin(pulsePhase);
 }
+// FSM Batch Test Runner
+// Runs a list of input strings with expected verdicts through the simulator
+
+// Test cases for the current machine, saved with it by saveBackup/restoreBackup
+// Each case is { input: 'aab', expected: true } (true = should be accepted);
+// cases for Mealy and Moore machines may also have an expectedOutput string
+var testCases = [];
+
+// Result of the last batch run, shown in the test results table
+var lastTestReport = null;
+
+// Parse the test list text: one "input, accept" or "input, reject" per line, optionally
+// followed by the expected output of a Mealy or Moore machine ("input, accept, output").
+// Blank lines and lines starting with # are skipped; ε (or nothing) stands for the empty string.
+function parseTestCases(text) {
+    var cases = [];
+    var errors = [];
+    var lines = text.split('\n');
 
-// Keybind System for FSM Designer
-// Educational-focused keyboard shortcuts
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].trim();
+        if (line === '' || line[0] === '#') {
+            continue;
+        }
 
-// Track key states for combination detection
-var keyStates = {
-    ctrlPressed: false,
-    mPressed: false,
-    lPressed: false,
-    bPressed: false,
-    comboTriggered: false
-};
+        var comma = line.lastIndexOf(',');
+        if (comma === -1) {
+            errors.push('Line ' + (i + 1) + ': expected "input, accept" or "input, reject".');
+            continue;
+        }
 
-// Track typed characters for "test" keybind
-var typedBuffer = '';
-var typedBufferTimeout = null;
+        var input = line.substring(0, comma).trim();
+        var verdict = line.substring(comma + 1).trim().toLowerCase();
+        var expectedOutput = null;
+
+        // A third field is the expected output when the field before it is the verdict
+        var verdictComma = line.lastIndexOf(',', comma - 1);
+        if (verdict !== 'accept' && verdict !== 'reject' && verdictComma !== -1) {
+            var outputVerdict = line.substring(verdictComma + 1, comma).trim().toLowerCase();
+            if (outputVerdict === 'accept' || outputVerdict === 'reject') {
+                expectedOutput = line.substring(comma + 1).trim();
+                expectedOutput = isEpsilonSymbol(expectedOutput) ? '' : expectedOutput;
+                input = line.substring(0, verdictComma).trim();
+                verdict = outputVerdict;
+            }
+        }
 
-// Check if "test" was typed to toggle left buttons
-function checkTestKeybind(char) {
-    // Clear timeout if exists
-    if (typedBufferTimeout) {
-        clearTimeout(typedBufferTimeout);
+        if (verdict !== 'accept' && verdict !== 'reject') {
+            errors.push("Line " + (i + 1) + ": unknown verdict '" + verdict + "' (use accept or reject).");
+            continue;
+        }
+
+        var testCase = {
+            input: isEpsilonSymbol(input) ? '' : input,
+            expected: verdict === 'accept'
+        };
+        if (expectedOutput !== null) {
+            testCase.expectedOutput = expectedOutput;
+        }
+        cases.push(testCase);
     }
-    
-    // Add character to buffer
-    typedBuffer += char.toLowerCase();
-    
-    // Keep only last 4 characters
-    if (typedBuffer.length > 4) {
-        typedBuffer = typedBuffer.slice(-4);
+
+    return { cases: cases, errors: errors };
+}
+
+// Turn test cases back into the text format read by parseTestCases
+function formatTestCases(cases) {
+    return cases.map(function(testCase) {
+        var line = (testCase.input === '' ? EPSILON : testCase.input) + ', ' + (testCase.expected ? 'accept' : 'reject');
+        if (testCase.expectedOutput !== undefined) {
+            line += ', ' + (testCase.expectedOutput === '' ? EPSILON : testCase.expectedOutput);
+        }
+        return line;
+    }).join('\n');
+}
+
+// Run one input string to completion - returns 'accepted', 'rejected' or 'stuck',
+// and the output string for Mealy and Moore machines (null otherwise)
+function runTestCase(inputString, nodes, links) {
+    var result = initializeSimulation(inputString, nodes, links);
+    if (!result.success) {
+        return { success: false, errors: result.errors };
     }
-    
-    // Check if "test" was typed
-    if (typedBuffer === 'test') {
-        toggleLeftButtons();
-        typedBuffer = '';
+
+    var simState = result.simulation;
+    while (!simState.isComplete) {
+        stepSimulation(simState, nodes);
     }
-    
-    // Clear buffer after 2 seconds of no typing
-    typedBufferTimeout = setTimeout(function() {
-        typedBuffer = '';
-    }, 2000);
+
+    return {
+        success: true,
+        result: simState.result,
+        errorMessage: simState.errorMessage,
+        output: getSimulationOutput(simState, nodes)
+    };
 }
 
-// Toggle visibility of left side buttons
-function toggleLeftButtons() {
-    var container = document.getElementById('leftButtonsContainer');
-    if (container) {
-        container.classList.toggle('visible');
-        console.log('Left buttons toggled!');
+// Run every test case against the machine and build a pass/fail report
+function runTestSuite(cases, nodes, links) {
+    var validation = validateFSM(nodes, links);
+    if (!validation.valid) {
+        return { success: false, errors: validation.errors };
     }
-}
 
-// Check if M+L+B combination is active
-function checkLinkVisibilityCombo() {
-    if (keyStates.mPressed &&
-        keyStates.lPressed && keyStates.bPressed) {
-        if (!keyStates.comboTriggered) {
-            toggleAlgorithmLinks();
-            keyStates.comboTriggered = true;
+    var rows = [];
+    var passed = 0;
+    for (var i = 0; i < cases.length; i++) {
+        var run = runTestCase(cases[i].input, nodes, links);
+        if (!run.success) {
+            return { success: false, errors: run.errors };
         }
-    }
-}
 
-// Toggle visibility of algorithm links
-function toggleAlgorithmLinks() {
-    var linksElement = document.getElementById('algorithmLinks');
-    if (linksElement) {
-        if (linksElement.style.display === 'none') {
-            linksElement.style.display = 'block';
-            console.log('Algorithm links revealed!');
-        } else {
-            linksElement.style.display = 'none';
-            console.log('Algorithm links hidden!');
+        var accepted = run.result === 'accepted';
+        var ok = accepted === cases[i].expected;
+        if (cases[i].expectedOutput !== undefined && run.output !== null) {
+            ok = ok && run.output === cases[i].expectedOutput;
         }
+        if (ok) {
+            passed++;
+        }
+        rows.push({
+            input: cases[i].input,
+            expected: cases[i].expected,
+            actual: run.result,
+            passed: ok,
+            errorMessage: run.errorMessage,
+            output: run.output,
+            expectedOutput: cases[i].expectedOutput
+        });
     }
+
+    return {
+        success: true,
+        rows: rows,
+        passed: passed,
+        failed: rows.length - passed
+    };
 }
 
-// Undo/Redo History
-var undoStack = [];
-var redoStack = [];
-var maxHistorySize = 50;
+// Check whether a report came from a Mealy or Moore machine, so it gets output columns
+function reportHasOutput(report) {
+    return report.rows.some(function(row) {
+        return row.output !== null && row.output !== undefined;
+    });
+}
 
-function saveState() {
-    var state = {
-        nodes: nodes.map(function(n) {
-            return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState };
-        }),
-        links: links.map(function(l) {
-            if (l instanceof SelfLink) {
-                return { type: 'SelfLink', node: nodes.indexOf(l.node), text: l.text, anchorAngle: l.anchorAngle };
-            } else if (l instanceof StartLink) {
-                return { type: 'StartLink', node: nodes.indexOf(l.node), text: l.text, deltaX: l.deltaX, deltaY: l.deltaY };
-            } else if (l instanceof Link) {
-                return { type: 'Link', nodeA: nodes.indexOf(l.nodeA), nodeB: nodes.indexOf(l.nodeB), text: l.text, lineAngleAdjust: l.lineAngleAdjust, parallelPart: l.parallelPart, perpendicularPart: l.perpendicularPart };
-            }
-        })
-    };
-    undoStack.push(JSON.stringify(state));
-    if (undoStack.length > maxHistorySize) {
-        undoStack.shift();
+// Generate a LaTeX table for a test report (no document wrapper)
+function generateTestReportLaTeX(report) {
+    var withOutput = reportHasOutput(report);
+
+    function outputText(text) {
+        if (text === undefined) {
+            return '--';
+        }
+        return text === '' ? '$\\varepsilon$' : '\\texttt{' + escapeLaTeX(text) + '}';
     }
-    redoStack = [];
-}
 
-function restoreState(stateStr) {
-    var state = JSON.parse(stateStr);
-    nodes = [];
-    links = [];
-    
-    for (var i = 0; i < state.nodes.length; i++) {
-        var n = state.nodes[i];
-        var node = new Node(n.x, n.y);
-        node.text = n.text;
-        node.isAcceptState = n.isAcceptState;
-        nodes.push(node);
+    var latex = '% Batch test results: ' + report.passed + ' of ' + report.rows.length + ' passed\n';
+    latex += '\\begin{center}\n';
+    latex += '\\begin{tabular}{l|c|c|' + (withOutput ? 'c|c|' : '') + 'c}\n';
+    latex += 'Input & Expected & Actual & ' + (withOutput ? 'Expected output & Output & ' : '') + 'Result \\\\\n';
+    latex += '\\hline\n';
+
+    for (var i = 0; i < report.rows.length; i++) {
+        var row = report.rows[i];
+        var input = row.input === '' ? '$\\varepsilon$' : '\\texttt{' + escapeLaTeX(row.input) + '}';
+        latex += input + ' & ' + (row.expected ? 'accept' : 'reject') + ' & ' + row.actual + ' & ';
+        if (withOutput) {
+            latex += outputText(row.expectedOutput) + ' & ' + outputText(row.output) + ' & ';
+        }
+        latex += (row.passed ? 'pass' : '\\textbf{fail}') + ' \\\\\n';
     }
-    
-    for (var i = 0; i < state.links.length; i++) {
-        var l = state.links[i];
-        var link = null;
-        if (l.type == 'SelfLink') {
-            link = new SelfLink(nodes[l.node]);
-            link.anchorAngle = l.anchorAngle;
-            link.text = l.text;
-        } else if (l.type == 'StartLink') {
-            link = new StartLink(nodes[l.node]);
-            link.deltaX = l.deltaX;
-            link.deltaY = l.deltaY;
-            link.text = l.text;
-        } else if (l.type == 'Link') {
-            link = new Link(nodes[l.nodeA], nodes[l.nodeB]);
-            link.parallelPart = l.parallelPart;
-            link.perpendicularPart = l.perpendicularPart;
-            link.text = l.text;
-            link.lineAngleAdjust = l.lineAngleAdjust;
+
+    latex += '\\end{tabular}\n';
+    latex += '\\end{center}\n';
+    return latex;
+}
+
+// Generate CSV for a test report, with a header row
+function generateTestReportCSV(report) {
+    function csvField(text) {
+        if (/[",\n]/.test(text)) {
+            return '"' + text.replace(/"/g, '""') + '"';
         }
-        if (link != null) {
-            links.push(link);
+        return text;
+    }
+
+    var withOutput = reportHasOutput(report);
+    var csv = 'input,expected,actual,' + (withOutput ? 'expected output,output,' : '') + 'result\n';
+    for (var i = 0; i < report.rows.length; i++) {
+        var row = report.rows[i];
+        var fields = [
+            csvField(row.input),
+            row.expected ? 'accept' : 'reject',
+            row.actual
+        ];
+        if (withOutput) {
+            fields.push(csvField(row.expectedOutput === undefined ? '' : row.expectedOutput), csvField(row.output));
         }
+        fields.push(row.passed ? 'pass' : 'fail');
+        csv += fields.join(',') + '\n';
     }
-    
-    selectedObject = null;
-    draw();
+    return csv;
 }
 
-function undo() {
-    if (undoStack.length > 0) {
-        var currentState = {
-            nodes: nodes.map(function(n) {
-                return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState };
-            }),
-            links: links.map(function(l) {
-                if (l instanceof SelfLink) {
-                    return { type: 'SelfLink', node: nodes.indexOf(l.node), text: l.text, anchorAngle: l.anchorAngle };
-                } else if (l instanceof StartLink) {
-                    return { type: 'StartLink', node: nodes.indexOf(l.node), text: l.text, deltaX: l.deltaX, deltaY: l.deltaY };
-                } else if (l instanceof Link) {
-                    return { type: 'Link', nodeA: nodes.indexOf(l.nodeA), nodeB: nodes.indexOf(l.nodeB), text: l.text, lineAngleAdjust: l.lineAngleAdjust, parallelPart: l.parallelPart, perpendicularPart: l.perpendicularPart };
-                }
-            })
-        };
-        redoStack.push(JSON.stringify(currentState));
-        restoreState(undoStack.pop());
+// UI functions for the test panel inside the simulation panel
+
+// Fill the test list from the restored backup
+function initTestSuiteUI() {
+    var testsField = document.getElementById('simTests');
+    if (testsField) {
+        testsField.value = formatTestCases(testCases);
+        testsField.oninput = updateTestCasesFromInput;
     }
 }
 
-function redo() {
-    if (redoStack.length > 0) {
-        var currentState = {
-            nodes: nodes.map(function(n) {
-                return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState };
-            }),
-            links: links.map(function(l) {
-                if (l instanceof SelfLink) {
-                    return { type: 'SelfLink', node: nodes.indexOf(l.node), text: l.text, anchorAngle: l.anchorAngle };
-                } else if (l instanceof StartLink) {
-                    return { type: 'StartLink', node: nodes.indexOf(l.node), text: l.text, deltaX: l.deltaX, deltaY: l.deltaY };
-                } else if (l instanceof Link) {
-                    return { type: 'Link', nodeA: nodes.indexOf(l.nodeA), nodeB: nodes.indexOf(l.nodeB), text: l.text, lineAngleAdjust: l.lineAngleAdjust, parallelPart: l.parallelPart, perpendicularPart: l.perpendicularPart };
-                }
-            })
-        };
-        undoStack.push(JSON.stringify(currentState));
-        restoreState(redoStack.pop());
+// Read the test list text into testCases and save it with the machine
+function updateTestCasesFromInput() {
+    var testsField = document.getElementById('simTests');
+    if (!testsField) {
+        return null;
+    }
+
+    var parsed = parseTestCases(testsField.value);
+    if (parsed.errors.length === 0) {
+        testCases = parsed.cases;
+        saveBackup();
     }
+    return parsed;
 }
 
-// Duplicate selected object
-function duplicateSelected() {
-    if (selectedObject == null) return;
-    
-    saveState();
-    
-    if (selectedObject instanceof Node) {
-        var newNode = new Node(selectedObject.x + 50, selectedObject.y + 50);
-        newNode.text = selectedObject.text;
-        newNode.isAcceptState = selectedObject.isAcceptState;
-        nodes.push(newNode);
-        selectedObject = newNode;
-        draw();
+// Run all tests and show the results table
+function handleRunTests() {
+    var parsed = updateTestCasesFromInput();
+    if (!parsed) {
+        return null;
+    }
+    if (parsed.errors.length > 0) {
+        showTestSuiteError(parsed.errors.join('\n'));
+        return null;
+    }
+    if (testCases.length === 0) {
+        showTestSuiteError('No test cases yet. Add one per line, e.g. "aab, accept".');
+        return null;
+    }
+
+    var report = runTestSuite(testCases, nodes, links);
+    if (!report.success) {
+        showTestSuiteError(report.errors.join('\n'));
+        return null;
     }
+
+    lastTestReport = report;
+    showTestReport(report);
+    return report;
 }
 
-// Toggle accept state for selected node (double-click only)
-function toggleAcceptState() {
-    if (selectedObject != null && selectedObject instanceof Node) {
-        saveState();
-        selectedObject.isAcceptState = !selectedObject.isAcceptState;
-        draw();
+// Render the pass/fail table
+function showTestReport(report) {
+    var container = document.getElementById('simTestResults');
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = '';
+    container.style.display = 'block';
+
+    var summary = document.createElement('div');
+    summary.className = 'sim-test-summary ' + (report.failed === 0 ? 'all-passed' : 'some-failed');
+    summary.textContent = report.passed + ' of ' + report.rows.length + ' passed' +
+        (report.failed > 0 ? ' (' + report.failed + ' failed)' : '');
+    container.appendChild(summary);
+
+    var withOutput = reportHasOutput(report);
+    var titles = withOutput ? ['Input', 'Expected', 'Actual', 'Expected output', 'Output', 'Result'] : ['Input', 'Expected', 'Actual', 'Result'];
+
+    var table = document.createElement('table');
+    var header = document.createElement('tr');
+    titles.forEach(function(title) {
+        var th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    for (var i = 0; i < report.rows.length; i++) {
+        var row = report.rows[i];
+        var tr = document.createElement('tr');
+        tr.className = row.passed ? 'test-pass' : 'test-fail';
+        var cells = [
+            row.input === '' ? EPSILON : row.input,
+            row.expected ? 'accept' : 'reject',
+            row.actual
+        ];
+        if (withOutput) {
+            cells.push(row.expectedOutput === undefined ? '-' : (row.expectedOutput || EPSILON), row.output || EPSILON);
+        }
+        cells.push(row.passed ? '✓ pass' : '✗ fail');
+        for (var c = 0; c < cells.length; c++) {
+            var td = document.createElement('td');
+            td.textContent = cells[c];
+            tr.appendChild(td);
+        }
+        if (row.errorMessage) {
+            tr.title = row.errorMessage;
+        }
+        table.appendChild(tr);
     }
+    container.appendChild(table);
 }
 
-// Move selected node with arrow keys
-function moveSelected(dx, dy) {
-    if (selectedObject != null && selectedObject instanceof Node) {
-        saveState();
-        selectedObject.x += dx;
-        selectedObject.y += dy;
-        snapNode(selectedObject);
-        draw();
+// Show an error in place of the results table
+function showTestSuiteError(message) {
+    var container = document.getElementById('simTestResults');
+    if (container) {
+        container.style.display = 'block';
+        container.innerHTML = '';
+        var error = document.createElement('div');
+        error.className = 'sim-test-summary sim-test-error';
+        error.textContent = '⚠ ' + message;
+        container.appendChild(error);
     }
 }
 
-// Select all nodes
-function selectAll() {
-    if (nodes.length > 0) {
-        selectedObject = nodes[0];
-        draw();
+// Export the test results as a LaTeX table ('latex') or CSV ('csv'), running the tests first
+function exportTestReport(format) {
+    var report = handleRunTests();
+    if (!report) {
+        return;
     }
+    output(format === 'csv' ? generateTestReportCSV(report) : generateTestReportLaTeX(report));
 }
 
-// Deselect all
-function deselectAll() {
-    selectedObject = null;
-    draw();
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseTestCases: parseTestCases,
+        formatTestCases: formatTestCases,
+        runTestCase: runTestCase,
+        runTestSuite: runTestSuite,
+        generateTestReportLaTeX: generateTestReportLaTeX,
+        generateTestReportCSV: generateTestReportCSV
+    };
 }
 
-// Clear entire canvas
-function clearCanvas() {
-    if (nodes.length > 0 || links.length > 0) {
-        saveState();
-        nodes = [];
-        links = [];
-        selectedObject = null;
-        draw();
+// NFA Computation Tree for FSM Simulation
+// Merges the simulation paths into a tree of configurations, drawn in the simulation panel or exported as TikZ
+
+// Largest tree we are willing to draw
+var maxComputationTreeNodes = 200;
+
+// Build the computation tree from simState.paths.
+// Each tree node is one configuration: the state reached and the symbol consumed to get there.
+// Paths that share a prefix share the corresponding tree nodes.
+function buildComputationTree(simState) {
+    var root = null;
+    var count = 0;
+
+    function newTreeNode(state, symbol) {
+        count++;
+        return { state: state, symbol: symbol, children: [], status: null, errorMessage: null };
     }
-}
 
-// Delete selected with undo support
-function deleteSelectedWithUndo() {
-    if (selectedObject != null) {
-        saveState();
-        for (var i = 0; i < nodes.length; i++) {
-            if (nodes[i] == selectedObject) {
-                nodes.splice(i--, 1);
-            }
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (!root) {
+            root = newTreeNode(path.states[0], null);
         }
-        for (var i = 0; i < links.length; i++) {
-            if (links[i] == selectedObject || links[i].node == selectedObject || links[i].nodeA == selectedObject || links[i].nodeB == selectedObject) {
-                links.splice(i--, 1);
+
+        var current = root;
+        for (var k = 1; k < path.states.length; k++) {
+            var symbol = path.symbols[k - 1];
+
+            var child = null;
+            for (var c = 0; c < current.children.length; c++) {
+                if (current.children[c].state === path.states[k] && current.children[c].symbol === symbol) {
+                    child = current.children[c];
+                    break;
+                }
             }
+            if (!child) {
+                child = newTreeNode(path.states[k], symbol);
+                current.children.push(child);
+            }
+            current = child;
+        }
+
+        // The configuration a path ends in carries the path's status
+        var status = path.status === 'rejected' && path.errorMessage ? 'stuck' : path.status;
+        if (current.status !== 'accepted') {
+            current.status = status;
+            current.errorMessage = path.errorMessage || null;
         }
-        selectedObject = null;
-        draw();
     }
-}
 
-// Adjacency export functions
-function exportAdjacencyMatrix() {
-	if (nodes.length === 0) {
-		output('No nodes in the graph to export.');
-		return;
-	}
-	var latexCode = generateAdjacencyMatrix();
-	output(latexCode);
+    return { root: root, size: count };
 }
 
-function exportAdjacencyList() {
-	if (nodes.length === 0) {
-		output('No nodes in the graph to export.');
-		return;
-	}
-	var latexCode = generateAdjacencyList();
-	output(latexCode);
-}
+// Assign x (leaf order) and y (depth) positions to every tree node, returning the number of leaves
+function layoutComputationTree(root) {
+    var nextLeaf = 0;
 
-// Help modal functions
-function showHelp() {
-    var modal = document.getElementById('helpModal');
-    if (modal) {
-        modal.style.display = 'block';
+    function place(treeNode, level) {
+        treeNode.level = level;
+        if (treeNode.children.length === 0) {
+            treeNode.x = nextLeaf++;
+            return;
+        }
+        for (var c = 0; c < treeNode.children.length; c++) {
+            place(treeNode.children[c], level + 1);
+        }
+        var first = treeNode.children[0];
+        var last = treeNode.children[treeNode.children.length - 1];
+        treeNode.x = (first.x + last.x) / 2;
     }
+
+    place(root, 0);
+    return nextLeaf;
 }
 
-function hideHelp() {
-    var modal = document.getElementById('helpModal');
-    if (modal) {
-        modal.style.display = 'none';
+// Visit every tree node in depth-first order
+function forEachTreeNode(root, callback) {
+    var stack = [root];
+    while (stack.length > 0) {
+        var treeNode = stack.pop();
+        callback(treeNode);
+        for (var c = treeNode.children.length - 1; c >= 0; c--) {
+            stack.push(treeNode.children[c]);
+        }
     }
 }
 
-// Enhanced keydown handler
-function handleKeyDown(e) {
-    var key = e.keyCode || e.which;
-    var ctrl = e.ctrlKey || e.metaKey;
-    var shiftKey = e.shiftKey;
-    
-    // Track Ctrl key state
-    keyStates.ctrlPressed = ctrl;
-    
-    // Shift key tracking
-    if (key == 16) {
-        shift = true;
-        return true;
-    }
-    
-    // Track M, L, B keys for visibility combo BEFORE canvas focus check
-    if (key == 77) keyStates.mPressed = true;
-    if (key == 76) keyStates.lPressed = true;
-    if (key == 66) keyStates.bPressed = true;
-    checkLinkVisibilityCombo();
-    
-    // F1 or ? - Help (works globally)
-    if (key == 112) { // F1
-        e.preventDefault();
-        showHelp();
-        return false;
-    }
-    
-    // Handle Ctrl-based keybinds BEFORE canvas focus check (so they work globally)
-    // Ctrl+Z - Undo
-    if (ctrl && key == 90 && !shiftKey) {
-        e.preventDefault();
-        undo();
-        return false;
-    }
-    
-    // Ctrl+Y or Ctrl+Shift+Z - Redo
-    if ((ctrl && key == 89) || (ctrl && shiftKey && key == 90)) {
-        e.preventDefault();
-        redo();
-        return false;
-    }
-    
-    // Ctrl+D - Duplicate
-    if (ctrl && key == 68) {
-        e.preventDefault();
-        duplicateSelected();
-        return false;
-    }
-    
-    // Ctrl+M - Export adjacency matrix
-    if (ctrl && key == 77 && !shiftKey) {
-        e.preventDefault();
-        exportAdjacencyMatrix();
-        return false;
-    }
-    
-    // Ctrl+L - Export adjacency list
-    if (ctrl && key == 76 && !shiftKey) {
-        e.preventDefault();
-        exportAdjacencyList();
-        return false;
+// Generate TikZ code for the computation tree (no document wrapper)
+function generateComputationTreeTikZ(tree, simState, nodes) {
+    var root = tree.root;
+    layoutComputationTree(root);
+
+    function stateName(index) {
+        return nodes[index].text ? escapeLaTeX(nodes[index].text) : 'q_{' + index + '}';
     }
-    
-    // Ctrl+B - Compute Minimum Spanning Tree
-    if (ctrl && key == 66 && !shiftKey) {
-        e.preventDefault();
-        if (typeof applyMST === 'function') {
-            applyMST();
+
+    var input = simState.inputString === '' ? '\\varepsilon' : '\\texttt{' + escapeLaTeX(simState.inputString) + '}';
+    var latex = '% Computation tree for input $' + input + '$\n';
+    latex += '% Double circles: accepting leaves, red: stuck or rejected branches, orange: still running\n';
+    latex += '\\begin{center}\n';
+    latex += '\\begin{tikzpicture}[\n';
+    latex += '    config/.style={circle, draw, minimum size=8mm, inner sep=1pt},\n';
+    latex += '    accepted/.style={double, fill=green!20},\n';
+    latex += '    dead/.style={fill=red!15},\n';
+    latex += '    running/.style={fill=orange!25},\n';
+    latex += '    symbol/.style={font=\\scriptsize, fill=white, inner sep=1pt}]\n';
+
+    var ordered = [];
+    forEachTreeNode(root, function(treeNode) {
+        treeNode.id = 'c' + ordered.length;
+        var styles = ['config'];
+        var label = '';
+        if (treeNode.status === 'accepted') {
+            styles.push('accepted');
+        } else if (treeNode.status === 'stuck') {
+            styles.push('dead');
+            label = ', label=below:{\\scriptsize stuck}';
+        } else if (treeNode.status === 'rejected') {
+            styles.push('dead');
+        } else if (treeNode.status === 'active') {
+            styles.push('running');
         }
-        return false;
-    }
-    
-    // Ctrl+R - Toggle Simulation Mode
-    if (ctrl && key == 82 && !shiftKey) {
-        e.preventDefault();
-        if (typeof toggleSimulationMode === 'function') {
-            toggleSimulationMode();
+        latex += '    \\node[' + styles.join(', ') + label + '] (' + treeNode.id + ') at (' +
+            (treeNode.x * 1.5).toFixed(2) + ', ' + (-treeNode.level * 1.5).toFixed(2) + ') {$' + stateName(treeNode.state) + '$};\n';
+        ordered.push(treeNode);
+    });
+
+    for (var i = 0; i < ordered.length; i++) {
+        for (var c = 0; c < ordered[i].children.length; c++) {
+            var child = ordered[i].children[c];
+            var symbol = child.symbol === EPSILON ? '\\varepsilon' : escapeLaTeX(child.symbol);
+            latex += '    \\draw[->] (' + ordered[i].id + ') -- node[symbol] {$' + symbol + '$} (' + child.id + ');\n';
         }
-        return false;
     }
-    
-    // Escape - Exit simulation mode (if active)
-    if (key == 27) { // Escape key
-        if (typeof simulationActive !== 'undefined' && simulationActive) {
-            e.preventDefault();
-            if (typeof exitSimulationMode === 'function') {
-                exitSimulationMode();
-            }
-            return false;
-        }
+
+    latex += '\\end{tikzpicture}\n';
+    latex += '\\end{center}\n';
+    return latex;
+}
+
+// UI functions for the computation tree panel
+
+// Show or hide the computation tree panel
+function toggleComputationTree() {
+    var panel = document.getElementById('simTreePanel');
+    if (!panel) {
+        return;
     }
-    
-    // Space - Step simulation (when in simulation mode)
-    if (key == 32 && typeof simulationActive !== 'undefined' && simulationActive) {
-        e.preventDefault();
-        if (typeof handleStepSimulation === 'function') {
-            handleStepSimulation();
-        }
-        return false;
+    panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
+    updateComputationTreePanel();
+}
+
+// Redraw the tree for the current simulation as SVG (called whenever the simulation display updates)
+function updateComputationTreePanel() {
+    var panel = document.getElementById('simTreePanel');
+    var container = document.getElementById('simTree');
+    if (!panel || !container || panel.style.display !== 'block') {
+        return;
     }
-    
-    // Enter - Play/Pause simulation (when in simulation mode)
-    if (key == 13 && typeof simulationActive !== 'undefined' && simulationActive) {
-        e.preventDefault();
-        if (typeof handlePlayPause === 'function') {
-            handlePlayPause();
-        }
-        return false;
+
+    container.innerHTML = '';
+    if (!currentSimulation) {
+        container.textContent = 'Start a simulation to see its computation tree.';
+        return;
     }
-    
-    // Don't handle remaining keys if not focused on canvas
-    if (!canvasHasFocus()) {
-        return true;
+    if (currentSimulation.machineType === 'playback') {
+        container.textContent = 'Algorithm playbacks have no computation tree.';
+        return;
     }
-    
-    // Arrow keys with Shift - Move selected node
-    if (shiftKey && selectedObject instanceof Node) {
-        var moved = false;
-        if (key == 37) { // Left
-            moveSelected(-10, 0);
-            moved = true;
-        } else if (key == 38) { // Up
-            moveSelected(0, -10);
-            moved = true;
-        } else if (key == 39) { // Right
-            moveSelected(10, 0);
-            moved = true;
-        } else if (key == 40) { // Down
-            moveSelected(0, 10);
-            moved = true;
+
+    var tree = buildComputationTree(currentSimulation);
+    if (tree.size > maxComputationTreeNodes) {
+        container.textContent = 'The computation tree has ' + tree.size + ' configurations, which is too many to draw (limit ' + maxComputationTreeNodes + ').';
+        return;
+    }
+
+    var leaves = layoutComputationTree(tree.root);
+    var spacingX = 50;
+    var spacingY = 60;
+    var radius = 16;
+    var depth = 0;
+    forEachTreeNode(tree.root, function(treeNode) {
+        depth = Math.max(depth, treeNode.level);
+    });
+
+    var svgNS = 'http://www.w3.org/2000/svg';
+    var svg = document.createElementNS(svgNS, 'svg');
+    var width = leaves * spacingX;
+    var height = (depth + 1) * spacingY;
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+
+    function cx(treeNode) { return (treeNode.x + 0.5) * spacingX; }
+    function cy(treeNode) { return (treeNode.level + 0.5) * spacingY; }
+
+    function addElement(name, attributes, text) {
+        var element = document.createElementNS(svgNS, name);
+        for (var key in attributes) {
+            element.setAttribute(key, attributes[key]);
         }
-        if (moved) {
-            e.preventDefault();
-            return false;
+        if (text !== undefined) {
+            element.textContent = text;
         }
+        svg.appendChild(element);
+        return element;
     }
-    
-    // Backspace - Delete text character
-    if (key == 8) {
-        if (selectedObject != null && 'text' in selectedObject) {
-            saveState();
-            selectedObject.text = selectedObject.text.substr(0, selectedObject.text.length - 1);
-            resetCaret();
-            draw();
+
+    // Edges first so the circles are drawn on top
+    forEachTreeNode(tree.root, function(treeNode) {
+        for (var c = 0; c < treeNode.children.length; c++) {
+            var child = treeNode.children[c];
+            addElement('line', { x1: cx(treeNode), y1: cy(treeNode), x2: cx(child), y2: cy(child), stroke: '#999' });
+            addElement('text', {
+                x: (cx(treeNode) + cx(child)) / 2 + 4,
+                y: (cy(treeNode) + cy(child)) / 2,
+                'font-size': 12,
+                fill: child.symbol === EPSILON ? simColors.epsilonTransition : '#333'
+            }, child.symbol);
         }
-        return false;
+    });
+
+    forEachTreeNode(tree.root, function(treeNode) {
+        var fill = 'white';
+        if (treeNode.status === 'accepted') {
+            fill = simColors.acceptedState;
+        } else if (treeNode.status === 'rejected' || treeNode.status === 'stuck') {
+            fill = simColors.rejectedState;
+        } else if (treeNode.status === 'active') {
+            fill = simColors.currentState;
+        }
+        var circle = addElement('circle', { cx: cx(treeNode), cy: cy(treeNode), r: radius, fill: fill, stroke: 'black' });
+        if (treeNode.errorMessage) {
+            var title = document.createElementNS(svgNS, 'title');
+            title.textContent = treeNode.errorMessage;
+            circle.appendChild(title);
+        }
+        var name = nodes[treeNode.state].text || ('q' + treeNode.state);
+        addElement('text', {
+            x: cx(treeNode),
+            y: cy(treeNode) + 4,
+            'font-size': 11,
+            'text-anchor': 'middle',
+            fill: fill === 'white' ? 'black' : 'white'
+        }, name);
+    });
+
+    container.appendChild(svg);
+}
+
+// Export the tree for the current simulation as TikZ through the output area
+function exportComputationTree() {
+    if (!currentSimulation) {
+        alert('Start a simulation first - the computation tree is built from the current run.');
+        return;
     }
-    
-    // Delete - Delete selected object
-    if (key == 46) {
-        deleteSelectedWithUndo();
-        return false;
+    if (currentSimulation.machineType === 'playback') {
+        alert('Algorithm playbacks have no computation tree.');
+        return;
     }
-    
-    return true;
+
+    var tree = buildComputationTree(currentSimulation);
+    output(generateComputationTreeTikZ(tree, currentSimulation, nodes));
 }
 
-// Check if user is typing text into a selected object
-function isTyping() {
-    return selectedObject != null && 'text' in selectedObject && selectedObject.text.length > 0;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildComputationTree: buildComputationTree,
+        layoutComputationTree: layoutComputationTree,
+        generateComputationTreeTikZ: generateComputationTreeTikZ
+    };
 }
 
-// Enhanced keypress handler for text input
-function handleKeyPress(e) {
-    var key = e.keyCode || e.which;
-    
-    // Check for "test" keybind globally (works anywhere on the page)
-    if (key >= 0x20 && key <= 0x7E && !e.metaKey && !e.altKey && !e.ctrlKey) {
-        checkTestKeybind(String.fromCharCode(key));
+// Pushdown Automaton Simulation
+// Stack-aware transitions ("a, X → YZ") and a simulator path used instead of stepSimulation in PDA mode
+//
+// Label syntax: input, pop → push
+//   a, X → YZ    read a with X on top of the stack, replace X by YZ (Y ends up on top)
+//   ε, X → ε     pop X without reading input
+//   a, ε → X     push X without looking at the stack
+// Several transitions on one arrow are separated by semicolons: "a, Z → AZ; b, A → ε".
+// Stack symbols are single characters (optionally with a subscript like Z_0); separate them
+// with spaces to use longer names ("a, X → top bottom").
+
+// PDA settings, saved with the machine
+var pdaOptions = {
+    acceptance: 'final',  // 'final' (final state) or 'empty' (empty stack)
+    initialStack: 'Z'     // stack contents at the start, top first
+};
+
+// Limits that stop runaway epsilon moves such as "ε, ε → X" loops
+var maxPDAEpsilonMoves = 500;  // new configurations reached by epsilon moves per step
+var maxPDAStackDepth = 100;
+
+// Split a push or pop string into stack symbols
+function parseStackSymbols(text) {
+    text = text.trim();
+    if (text === '' || isEpsilonSymbol(text)) {
+        return [];
     }
-    
-    if (!canvasHasFocus()) {
-        return true;
+    if (/\s/.test(text)) {
+        return text.split(/\s+/);
     }
-    
-    // ? key for help (shift+/)
-    if (key == 63) {
-        e.preventDefault();
-        showHelp();
-        return false;
+    return text.match(/[^\s](?:_\d+|_\{[^}]*\})?/g);
+}
+
+// Parse a PDA transition label into a list of { input, pop, push } transitions.
+// Returns null if any part of the label is malformed.
+function parsePDALabel(text) {
+    if (!text || text.trim() === '') {
+        return [];
     }
-    
-    // Text input for selected objects
-    if (key >= 0x20 && key <= 0x7E && !e.metaKey && !e.altKey && !e.ctrlKey && selectedObject != null && 'text' in selectedObject) {
-        // Don't save state for every character - batch them
-        if (selectedObject.text.length == 0) {
-            saveState();
+
+    var transitions = [];
+    var parts = text.split(';');
+    for (var i = 0; i < parts.length; i++) {
+        var match = parts[i].trim().match(/^([^,]*),([^→]*?)(?:→|->|\\to|\\rightarrow)(.*)$/);
+        if (!match) {
+            return null;
         }
-        selectedObject.text += String.fromCharCode(key);
-        resetCaret();
-        draw();
-        return false;
-    }
-    
-    if (key == 8) {
-        return false;
+
+        var input = match[1].trim();
+        var pop = parseStackSymbols(match[2]);
+        if (input === '' || pop.length > 1) {
+            return null;
+        }
+        transitions.push({
+            input: isEpsilonSymbol(input) ? EPSILON : input,
+            pop: pop.length === 1 ? pop[0] : null,
+            push: parseStackSymbols(match[3])
+        });
     }
-    
-    return true;
+    return transitions;
 }
 
-// Initialize keybind handlers
-function initKeybinds() {
-    document.onkeydown = handleKeyDown;
-    document.onkeypress = handleKeyPress;
-    document.onkeyup = function(e) {
-        var key = e.keyCode || e.which;
-        if (key == 16) {
-            shift = false;
+// Build the PDA transition lookup table: table[state] is a list of moves
+function buildPDATransitionTable(nodes, links) {
+    var table = {};
+    var errors = [];
+
+    for (var i = 0; i < nodes.length; i++) {
+        table[i] = [];
+    }
+
+    for (var i = 0; i < links.length; i++) {
+        var link = links[i];
+        var fromIndex, toIndex;
+        if (link instanceof Link) {
+            fromIndex = nodes.indexOf(link.nodeA);
+            toIndex = nodes.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            fromIndex = toIndex = nodes.indexOf(link.node);
+        } else {
+            continue;
         }
-        
-        // Reset key states on release
-        keyStates.ctrlPressed = e.ctrlKey || e.metaKey;
-        if (key == 77) { keyStates.mPressed = false; keyStates.comboTriggered = false; } // M
-        if (key == 76) { keyStates.lPressed = false; keyStates.comboTriggered = false; } // L
-        if (key == 66) { keyStates.bPressed = false; keyStates.comboTriggered = false; } // B
-    };
-}
-function det(a, b, c, d, e, f, g, h, i) {
-	return a*e*i + b*f*g + c*d*h - a*f*h - b*d*i - c*e*g;
+
+        var transitions = parsePDALabel(link.text);
+        if (transitions === null) {
+            errors.push("Cannot read PDA label '" + link.text + "'. Use the form \"a, X → YZ\".");
+            continue;
+        }
+        for (var t = 0; t < transitions.length; t++) {
+            transitions[t].targetIndex = toIndex;
+            transitions[t].link = link;
+            table[fromIndex].push(transitions[t]);
+        }
+    }
+
+    return { table: table, errors: errors };
 }
 
-function circleFromThreePoints(x1, y1, x2, y2, x3, y3) {
-	var a = det(x1, y1, 1, x2, y2, 1, x3, y3, 1);
-	var bx = -det(x1*x1 + y1*y1, y1, 1, x2*x2 + y2*y2, y2, 1, x3*x3 + y3*y3, y3, 1);
-	var by = det(x1*x1 + y1*y1, x1, 1, x2*x2 + y2*y2, x2, 1, x3*x3 + y3*y3, x3, 1);
-	var c = -det(x1*x1 + y1*y1, x1, y1, x2*x2 + y2*y2, x2, y2, x3*x3 + y3*y3, x3, y3);
-	return {
-		'x': -bx / (2*a),
-		'y': -by / (2*a),
-		'radius': Math.sqrt(bx*bx + by*by - 4*a*c) / (2*Math.abs(a))
-	};
+// Moves available to a path for an input symbol (EPSILON for moves that read nothing)
+function pdaMoves(transitionTable, path, symbol) {
+    var state = path.states[path.states.length - 1];
+    var top = path.stack.length > 0 ? path.stack[path.stack.length - 1] : null;
+    return transitionTable[state].filter(function(move) {
+        return move.input === symbol && (move.pop === null || move.pop === top);
+    });
 }
 
-function fixed(number, digits) {
-	return number.toFixed(digits).replace(/0+$/, '').replace(/\.$/, '');
+// Apply a move to a stack (bottom first), returning the new stack
+function applyPDAMove(stack, move) {
+    var result = move.pop === null ? stack.slice() : stack.slice(0, -1);
+    for (var i = move.push.length - 1; i >= 0; i--) {
+        result.push(move.push[i]);
+    }
+    return result;
 }
 
-if (typeof module !== 'undefined' && module.exports) {
-	module.exports = {
-		det: det,
-		circleFromThreePoints: circleFromThreePoints,
-		fixed: fixed
-	};
+// Check if a branch accepts under the current acceptance mode
+function pdaPathAccepts(simState, path, nodes) {
+    if (simState.acceptance === 'empty') {
+        return path.stack.length === 0;
+    }
+    return !!nodes[path.states[path.states.length - 1]].isAcceptState;
 }
 
-function loadDFA() {
-	var dfaLatex = `\\begin{center}
-\\begin{tikzpicture}[scale=0.2]
-\\tikzstyle{every node}+=[inner sep=0pt]
-\\draw [black] (22.9,-33.2) circle (3);
-\\draw (22.9,-33.2) node {$S$};
-\\draw [black] (22.9,-33.2) circle (2.4);
-\\draw [black] (39.1,-33.2) circle (3);
-\\draw (39.1,-33.2) node {$A$};
-\\draw [black] (56.2,-32.6) circle (3);
-\\draw (56.2,-32.6) node {$B$};
-\\draw [black] (24.746,-35.55) arc (65.88562:-222.11438:2.25);
-\\draw (24.89,-40.39) node [below] {$0$};
-\\fill [black] (22.16,-36.09) -- (21.37,-36.62) -- (22.29,-37.03);
-\\draw [black] (53.2,-32.71) -- (42.1,-33.09);
-\\fill [black] (42.1,-33.09) -- (42.92,-33.57) -- (42.88,-32.57);
-\\draw (47.62,-32.37) node [above] {$1$};
-\\draw [black] (55.297,-35.445) arc (-27.51778:-148.46311:8.68);
-\\fill [black] (55.3,-35.45) -- (54.48,-35.92) -- (55.37,-36.39);
-\\draw (47.93,-40.64) node [below] {$0$};
-\\draw [black] (40.776,-30.727) arc (136.93615:47.08296:9.619);
-\\fill [black] (40.78,-30.73) -- (41.69,-30.48) -- (40.96,-29.8);
-\\draw (47.44,-27.15) node [above] {$0$};
-\\draw [black] (36.417,-34.531) arc (-69.23342:-110.76658:15.278);
-\\fill [black] (36.42,-34.53) -- (35.49,-34.35) -- (35.85,-35.28);
-\\draw (31,-36.02) node [below] {$1$};
-\\draw [black] (25.721,-32.187) arc (105.43088:74.56912:19.842);
-\\fill [black] (25.72,-32.19) -- (26.62,-32.46) -- (26.36,-31.49);
-\\draw (31,-30.97) node [above] {$1$};
-\\draw [black] (16.6,-17.5) -- (21.78,-30.42);
-\\fill [black] (21.78,-30.42) -- (21.95,-29.49) -- (21.02,-29.86);
-\\end{tikzpicture}
-\\end{center}`;
+// Key identifying a configuration (state plus stack)
+function pdaConfigurationKey(path) {
+    return path.states[path.states.length - 1] + '|' + path.stack.join(' ');
+}
 
-	try {
-		var result = importFromLaTeX(dfaLatex);
-		
-		// Clear existing canvas
-		nodes = [];
-		links = [];
-		selectedObject = null;
-		
-		// Populate with imported data
-		nodes = result.nodes;
-		links = result.links;
-		
-		// Ensure directed is on
-		directed = true;
-		var checkbox = document.getElementById('directedLinksCheckbox');
-		if (checkbox) checkbox.checked = true;
+// Extend active branches along epsilon moves, branching for each new configuration.
+// Returns the epsilon links that were followed.
+function expandPDAEpsilonPaths(simState) {
+    var epsilonLinks = [];
+    var reached = {};
+    var added = 0;
 
-		// Redraw and save
-		draw();
-		saveBackup();
-	} catch (e) {
-		alert('Error loading DFA preset: ' + e.message);
-	}
-}
+    for (var p = 0; p < simState.paths.length; p++) {
+        if (simState.paths[p].status === 'active') {
+            reached[pdaConfigurationKey(simState.paths[p])] = true;
+        }
+    }
 
-function loadMSTExample() {
-	var mstLatex = `\\begin{center}
-\\begin{tikzpicture}[scale=0.2]
-\\tikzstyle{every node}+=[inner sep=0pt]
-\\draw [black] (19.9,-14.1) circle (3);
-\\draw (19.9,-14.1) node {$A$};
-\\draw [black] (36.3,-4.4) circle (3);
-\\draw (36.3,-4.4) node {$B$};
-\\draw [black] (61.2,-8.4) circle (3);
-\\draw (61.2,-8.4) node {$C$};
-\\draw [black] (9.4,-29.3) circle (3);
-\\draw (9.4,-29.3) node {$D$};
-\\draw [black] (21,-45.8) circle (3);
-\\draw (21,-45.8) node {$E$};
-\\draw [black] (60.2,-45.1) circle (3);
-\\draw (60.2,-45.1) node {$F$};
-\\draw [black] (67.7,-28.2) circle (3);
-\\draw (67.7,-28.2) node {$G$};
-\\draw [black] (59.566,-10.916) arc (-33.79569:-60.33727:106.92);
-\\draw (44.56,-30.21) node [below] {$2$};
-\\draw [black] (65.31,-26.39) -- (38.69,-6.21);
-\\draw (53,-15.8) node [above] {$3$};
-\\draw [black] (58.458,-9.617) arc (-67.28974:-96.99425:70.08);
-\\draw (41.31,-14.99) node [below] {$4$};
-\\draw [black] (65.312,-30.016) arc (-53.79331:-84.90648:82.324);
-\\draw (46.65,-41.15) node [below] {$6$};
-\\draw [black] (61.42,-42.36) -- (66.48,-30.94);
-\\draw (64.68,-37.64) node [right] {$7$};
-\\draw [black] (24,-45.75) -- (57.2,-45.15);
-\\draw (40.61,-45.97) node [below] {$8$};
-\\draw [black] (66.76,-25.35) -- (62.14,-11.25);
-\\draw (65.22,-17.61) node [right] {$9$};
-\\draw [black] (11.11,-26.83) -- (18.19,-16.57);
-\\draw (15.25,-23.06) node [right] {$2$};
-\\draw [black] (20,-17.1) -- (20.9,-42.8);
-\\draw (19.9,-29.96) node [left] {$1$};
-\\draw [black] (11.13,-31.75) -- (19.27,-43.35);
-\\draw (14.61,-38.92) node [left] {$3$};
-\\draw [black] (22.48,-12.57) -- (33.72,-5.93);
-\\draw (29.1,-9.75) node [below] {$4$};
-\\draw [black] (39.26,-4.88) -- (58.24,-7.92);
-\\draw (48.34,-6.99) node [below] {$6$};
-\\end{tikzpicture}
-\\end{center}`;
+    // Appended paths are visited later in this loop, which continues the closure
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status !== 'active') {
+            continue;
+        }
 
-	try {
-		var result = importFromLaTeX(mstLatex);
-		
-		// Clear existing canvas
-		nodes = [];
-		links = [];
-		selectedObject = null;
-		
-		// Populate with imported data
-		nodes = result.nodes;
-		links = result.links;
-		
-		// Ensure directed is off for MST example usually, but let's keep it consistent or as needed.
-		// The example looks like an undirected graph (lines instead of arrows in tikz, though importFromLaTeX handles arrows).
-		// The TikZ code uses \draw without ->, so it's undirected.
-		directed = false;
-		var checkbox = document.getElementById('directedLinksCheckbox');
-		if (checkbox) checkbox.checked = false;
+        var moves = pdaMoves(simState.transitionTable, path, EPSILON);
+        for (var m = 0; m < moves.length; m++) {
+            var stack = applyPDAMove(path.stack, moves[m]);
+            var newPath = {
+                states: path.states.concat([moves[m].targetIndex]),
+                transitions: path.transitions.concat([moves[m].link]),
+                symbols: path.symbols.concat([EPSILON]),
+                stack: stack,
+                status: 'active'
+            };
+            var key = pdaConfigurationKey(newPath);
+            if (reached[key]) {
+                continue;
+            }
+            if (added >= maxPDAEpsilonMoves || stack.length > maxPDAStackDepth) {
+                simState.epsilonLimitReached = true;
+                continue;
+            }
+            reached[key] = true;
+            added++;
 
-		// Redraw and save
-		draw();
-		saveBackup();
-	} catch (e) {
-		alert('Error loading MST preset: ' + e.message);
-	}
+            if (epsilonLinks.indexOf(moves[m].link) === -1) {
+                epsilonLinks.push(moves[m].link);
+            }
+            simState.paths.push(newPath);
+        }
+    }
+
+    simState.currentStates = activePathStates(simState);
+    return epsilonLinks;
 }
-function restoreBackup() {
-	if(!localStorage || !JSON) {
-		return;
-	}
 
-	try {
-		var backup = JSON.parse(localStorage['fsm']);
-		
-		// Restore directed state
-		if(backup.hasOwnProperty('directed')) {
-			directed = backup.directed;
-		}
-		
-		for(var i = 0; i < backup.nodes.length; i++) {
-			var backupNode = backup.nodes[i];
-			var node = new Node(backupNode.x, backupNode.y);
-			node.isAcceptState = backupNode.isAcceptState;
-			node.text = backupNode.text;
-			nodes.push(node);
-		}
-		for(var i = 0; i < backup.links.length; i++) {
-			var backupLink = backup.links[i];
-			var link = null;
-			if(backupLink.type == 'SelfLink') {
-				link = new SelfLink(nodes[backupLink.node]);
-				link.anchorAngle = backupLink.anchorAngle;
-				link.text = backupLink.text;
-			} else if(backupLink.type == 'StartLink') {
-				link = new StartLink(nodes[backupLink.node]);
-				link.deltaX = backupLink.deltaX;
-				link.deltaY = backupLink.deltaY;
-				link.text = backupLink.text;
-			} else if(backupLink.type == 'Link') {
-				link = new Link(nodes[backupLink.nodeA], nodes[backupLink.nodeB]);
-				link.parallelPart = backupLink.parallelPart;
-				link.perpendicularPart = backupLink.perpendicularPart;
-				link.text = backupLink.text;
-				link.lineAngleAdjust = backupLink.lineAngleAdjust;
-			}
-			if(link != null) {
-				links.push(link);
-			}
-		}
-	} catch(e) {
-		localStorage['fsm'] = '';
-	}
+// End states of the active branches, without duplicates
+function activePathStates(simState) {
+    var states = [];
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status === 'active') {
+            var end = path.states[path.states.length - 1];
+            if (states.indexOf(end) === -1) {
+                states.push(end);
+            }
+        }
+    }
+    return states;
 }
 
-function saveBackup() {
-	if(!localStorage || !JSON) {
-		return;
-	}
+// Decide the branches and the overall result once the whole input has been read
+function finishPDASimulation(simState, nodes) {
+    simState.isComplete = true;
+    var anyAccepted = false;
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status === 'active') {
+            path.status = pdaPathAccepts(simState, path, nodes) ? 'accepted' : 'rejected';
+            anyAccepted = anyAccepted || path.status === 'accepted';
+        }
+    }
+    simState.result = anyAccepted ? 'accepted' : 'rejected';
+}
 
-	var backup = {
-		'nodes': [],
-		'links': [],
-		'directed': directed,
-	};
-	for(var i = 0; i < nodes.length; i++) {
-		var node = nodes[i];
-		var backupNode = {
-			'x': node.x,
-			'y': node.y,
-			'text': node.text,
-			'isAcceptState': node.isAcceptState,
-		};
-		backup.nodes.push(backupNode);
-	}
-	for(var i = 0; i < links.length; i++) {
-		var link = links[i];
-		var backupLink = null;
-		if(link instanceof SelfLink) {
-			backupLink = {
-				'type': 'SelfLink',
-				'node': nodes.indexOf(link.node),
-				'text': link.text,
-				'anchorAngle': link.anchorAngle,
-			};
-		} else if(link instanceof StartLink) {
-			backupLink = {
-				'type': 'StartLink',
-				'node': nodes.indexOf(link.node),
-				'text': link.text,
-				'deltaX': link.deltaX,
-				'deltaY': link.deltaY,
-			};
-		} else if(link instanceof Link) {
-			backupLink = {
-				'type': 'Link',
-				'nodeA': nodes.indexOf(link.nodeA),
-				'nodeB': nodes.indexOf(link.nodeB),
-				'text': link.text,
-				'lineAngleAdjust': link.lineAngleAdjust,
-				'parallelPart': link.parallelPart,
-				'perpendicularPart': link.perpendicularPart,
-			};
-		}
-		if(backupLink != null) {
-			backup.links.push(backupLink);
-		}
-	}
+// Initialize a PDA simulation (called by initializeSimulation in PDA mode after validation)
+function initializePDASimulation(inputString, startIndex, nodes, links) {
+    var built = buildPDATransitionTable(nodes, links);
+    if (built.errors.length > 0) {
+        return { success: false, errors: built.errors, warnings: [] };
+    }
 
-	localStorage['fsm'] = JSON.stringify(backup);
-}
+    var simState = new SimulationState(inputString, startIndex, built.table);
+    simState.machineType = 'pda';
+    simState.acceptance = pdaOptions.acceptance;
+    simState.paths[0].stack = parseStackSymbols(pdaOptions.initialStack).reverse();
+    simState.epsilonLimitReached = false;
 
-// FSM Simulation Animator
-// Visual animation and canvas rendering for simulation
+    simState.epsilonLinks = expandPDAEpsilonPaths(simState);
 
-// Animation state for highlighting
-var animationState = {
-    highlightedStates: [],    // Array of {index, color}
-    highlightedLinks: [],     // Array of {link, color}
-    currentChar: null,
-    currentPosition: 0,
-    totalLength: 0,
-    resultDisplay: null       // 'accepted', 'rejected', 'stuck', null
-};
+    if (inputString.length === 0) {
+        finishPDASimulation(simState, nodes);
+    }
 
-// Colors for animation
-var simColors = {
-    currentState: '#FFA500',      // Orange/Gold for current state
-    activeTransition: '#FFA500',  // Orange for active transition
-    acceptedState: '#4CAF50',     // Green for accepted
-    rejectedState: '#f44336',     // Red for rejected
-    stuckState: '#f44336',        // Red for stuck
-    nfaSecondary: '#FFD700',      // Lighter gold for secondary NFA paths
-    pathTrace: '#90CAF9'          // Light blue for path trace
-};
+    recordSimulationSnapshot(simState);
 
-// Clear all animation highlights
-function clearAnimationState() {
-    animationState.highlightedStates = [];
-    animationState.highlightedLinks = [];
-    animationState.currentChar = null;
-    animationState.currentPosition = 0;
-    animationState.totalLength = 0;
-    animationState.resultDisplay = null;
+    return { success: true, simulation: simState, warnings: [] };
 }
 
-// Set highlighted states (for current simulation position)
-function highlightStates(stateIndices, color) {
-    animationState.highlightedStates = stateIndices.map(function(idx, i) {
-        return { 
-            index: idx, 
-            color: color || simColors.currentState,
-            // Use slightly different color for secondary NFA paths
-            isPrimary: i === 0
-        };
+// Execute one PDA step: read one input symbol on every branch, then follow epsilon moves
+function stepPDASimulation(simState, nodes) {
+    if (simState.isComplete) {
+        return simState;
+    }
+
+    var currentChar = simState.inputString[simState.currentPosition];
+    var newPaths = [];
+    var activeLinksThisStep = [];
+
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status !== 'active') {
+            newPaths.push(path);
+            continue;
+        }
+
+        var moves = pdaMoves(simState.transitionTable, path, currentChar);
+        if (moves.length === 0) {
+            var state = path.states[path.states.length - 1];
+            var top = path.stack.length > 0 ? path.stack[path.stack.length - 1] : 'empty';
+            path.status = 'rejected';
+            path.errorMessage = "No transition for '" + currentChar + "' with stack top " + top +
+                ' from state ' + (nodes[state].text || ('q' + state));
+            newPaths.push(path);
+            continue;
+        }
+
+        for (var m = 0; m < moves.length; m++) {
+            if (activeLinksThisStep.indexOf(moves[m].link) === -1) {
+                activeLinksThisStep.push(moves[m].link);
+            }
+            newPaths.push({
+                states: path.states.concat([moves[m].targetIndex]),
+                transitions: path.transitions.concat([moves[m].link]),
+                symbols: path.symbols.concat([currentChar]),
+                stack: applyPDAMove(path.stack, moves[m]),
+                status: 'active'
+            });
+        }
+    }
+
+    simState.paths = newPaths;
+    simState.activeLinks = activeLinksThisStep;
+    simState.currentPosition++;
+
+    simState.epsilonLinks = expandPDAEpsilonPaths(simState);
+
+    if (simState.currentPosition >= simState.inputString.length) {
+        finishPDASimulation(simState, nodes);
+    }
+
+    var allPathsRejected = simState.paths.every(function(p) {
+        return p.status === 'rejected';
     });
+    if (allPathsRejected && !simState.isComplete) {
+        simState.isComplete = true;
+        simState.result = 'stuck';
+        for (var p = simState.paths.length - 1; p >= 0; p--) {
+            if (simState.paths[p].errorMessage) {
+                simState.errorMessage = simState.paths[p].errorMessage;
+                break;
+            }
+        }
+    }
+
+    recordSimulationSnapshot(simState);
+
+    return simState;
 }
 
-// Set highlighted transitions (links being traversed)
-function highlightTransitions(links, color) {
-    animationState.highlightedLinks = links.map(function(link) {
-        return { 
-            link: link, 
-            color: color || simColors.activeTransition 
-        };
-    });
+// UI functions for the PDA options in the simulation panel
+
+// Read the acceptance mode and initial stack from the panel
+function updatePDAOptions() {
+    var acceptanceSelect = document.getElementById('pdaAcceptance');
+    var stackField = document.getElementById('pdaInitialStack');
+    if (acceptanceSelect) {
+        pdaOptions.acceptance = acceptanceSelect.value;
+    }
+    if (stackField) {
+        pdaOptions.initialStack = stackField.value;
+    }
+    saveBackup();
 }
 
-// Update animation state from simulation state
-function updateAnimationFromSimulation(simState, nodes) {
-    if (!simState) {
-        clearAnimationState();
+// Show the PDA options only in PDA mode, filled from pdaOptions
+function updatePDAOptionsUI() {
+    var options = document.getElementById('pdaOptions');
+    if (!options) {
         return;
     }
-    
-    // Update highlighted states
-    highlightStates(simState.currentStates);
-    
-    // Update highlighted links (active transitions from last step)
-    if (simState.activeLinks) {
-        highlightTransitions(simState.activeLinks);
-    } else {
-        animationState.highlightedLinks = [];
+    options.style.display = machineType === 'pda' ? 'flex' : 'none';
+    document.getElementById('pdaAcceptance').value = pdaOptions.acceptance;
+    document.getElementById('pdaInitialStack').value = pdaOptions.initialStack;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        pdaOptions: pdaOptions,
+        parseStackSymbols: parseStackSymbols,
+        parsePDALabel: parsePDALabel,
+        buildPDATransitionTable: buildPDATransitionTable,
+        initializePDASimulation: initializePDASimulation,
+        stepPDASimulation: stepPDASimulation
+    };
+}
+
+// Algorithm Playback
+// Plays graph algorithms (Kruskal, Prim, BFS, DFS, Dijkstra, max flow, Euler and Hamiltonian paths) one narrated event at a time with the
+// simulation panel's Step/Play/speed controls. A playback is a SimulationState with machineType
+// 'playback' whose steps walk through a precomputed list of events, so stepping back, the timeline
+// and the keyboard shortcuts work exactly as they do for machines.
+
+// Collects the events of an algorithm run. Each event is a narration message plus a snapshot of the
+// highlights at that moment: { message, states: [{ index, color, note }], links: [{ link, color }] }
+function PlaybackRecorder() {
+    this.events = [];
+    this.stateMarks = {};  // node index -> { color, note }
+    this.linkMarks = [];   // [{ link, color }]
+}
+
+// Color a node (and optionally annotate it); a note left undefined keeps the previous one
+PlaybackRecorder.prototype.markState = function(index, color, note) {
+    var previous = this.stateMarks[index];
+    this.stateMarks[index] = {
+        color: color,
+        note: note !== undefined ? note : (previous ? previous.note : undefined)
+    };
+};
+
+// Color a link, replacing its previous color
+PlaybackRecorder.prototype.markLink = function(link, color) {
+    for (var i = 0; i < this.linkMarks.length; i++) {
+        if (this.linkMarks[i].link === link) {
+            this.linkMarks[i].color = color;
+            return;
+        }
     }
-    
-    // Update current character info
-    animationState.currentChar = simState.currentPosition < simState.inputString.length 
-        ? simState.inputString[simState.currentPosition] 
-        : null;
-    animationState.currentPosition = simState.currentPosition;
-    animationState.totalLength = simState.inputString.length;
-    
-    // Update result display
+    this.linkMarks.push({ link: link, color: color });
+};
+
+// Remove a link's highlight
+PlaybackRecorder.prototype.unmarkLink = function(link) {
+    this.linkMarks = this.linkMarks.filter(function(mark) {
+        return mark.link !== link;
+    });
+};
+
+// Add an event with the current highlights
+PlaybackRecorder.prototype.record = function(message) {
+    var states = [];
+    for (var index in this.stateMarks) {
+        states.push({ index: parseInt(index, 10), color: this.stateMarks[index].color, note: this.stateMarks[index].note });
+    }
+    this.events.push({
+        message: message,
+        states: states,
+        links: this.linkMarks.map(function(mark) {
+            return { link: mark.link, color: mark.color };
+        })
+    });
+};
+
+// Create the playback state for an algorithm run.
+// run is { title, events, summary, keepLinks } where keepLinks (optional) are the links kept when
+// the final state is applied to the canvas.
+function createPlaybackState(run) {
+    var simState = new SimulationState('', 0, null);
+    simState.machineType = 'playback';
+    simState.currentStates = [];
+    simState.paths = [];
+    simState.title = run.title;
+    simState.events = run.events;
+    simState.summary = run.summary;
+    simState.keepLinks = run.keepLinks || null;
+
+    if (run.events.length === 0) {
+        simState.isComplete = true;
+        simState.result = 'finished';
+    }
+    recordSimulationSnapshot(simState);
+    return simState;
+}
+
+// Show the next event (called by stepSimulation for playbacks)
+function stepPlaybackSimulation(simState) {
     if (simState.isComplete) {
-        animationState.resultDisplay = simState.result;
-        
-        // Change state colors based on result
-        var resultColor = simState.result === 'accepted' ? simColors.acceptedState : simColors.rejectedState;
-        animationState.highlightedStates = simState.currentStates.map(function(idx) {
-            return { index: idx, color: resultColor, isPrimary: true };
-        });
-    } else {
-        animationState.resultDisplay = null;
+        return simState;
     }
+
+    simState.currentPosition++;
+    if (simState.currentPosition >= simState.events.length) {
+        simState.isComplete = true;
+        simState.result = 'finished';
+    }
+    recordSimulationSnapshot(simState);
+
+    return simState;
+}
+
+// The event shown at the current position, or null before the first step
+function getCurrentPlaybackEvent(simState) {
+    return simState.currentPosition > 0 ? simState.events[simState.currentPosition - 1] : null;
 }
 
-// Check if a node should be highlighted and get its highlight info
-function getNodeHighlight(nodeIndex) {
-    for (var i = 0; i < animationState.highlightedStates.length; i++) {
-        var hs = animationState.highlightedStates[i];
-        if (hs.index === nodeIndex) {
-            return hs;
-        }
-    }
-    return null;
+// Keep only the given links (plus start arrows) on the canvas (undoable with Ctrl+Z)
+function applyLinkSubset(keepLinks) {
+    saveState();
+    links = links.filter(function(link) {
+        return link instanceof StartLink || keepLinks.indexOf(link) !== -1;
+    });
+    selectedObject = null;
+    draw();
 }
 
-// Check if a link should be highlighted and get its highlight info
-function getLinkHighlight(link) {
-    for (var i = 0; i < animationState.highlightedLinks.length; i++) {
-        var hl = animationState.highlightedLinks[i];
-        if (hl.link === link) {
-            return hl;
-        }
+// UI functions for algorithm playback
+
+// Open the simulation panel and load an algorithm run into it
+function startAlgorithmPlayback(run) {
+    if (!simulationActive) {
+        enterSimulationMode();
     }
-    return null;
+    stopAutoPlay();
+    hideResultDisplay();
+
+    currentSimulation = createPlaybackState(run);
+    beginSimulationDisplay();
 }
 
-// Draw simulation overlay on canvas (called after main drawing)
-function drawSimulationOverlay(c) {
-    if (!simulationActive || !currentSimulation) {
+// Fill the narration log with the events shown so far, newest last
+function updateNarrationLog() {
+    var log = document.getElementById('simNarration');
+    if (!log) {
         return;
     }
-    
-    // Draw current character indicator near top of canvas
-    if (animationState.currentChar !== null || animationState.totalLength > 0) {
-        drawInputStringDisplay(c);
+
+    var playback = currentSimulation && currentSimulation.machineType === 'playback' ? currentSimulation : null;
+    log.innerHTML = '';
+    log.style.display = playback ? 'block' : 'none';
+    if (!playback) {
+        return;
     }
-}
 
-// Draw the input string with current position highlighted
-function drawInputStringDisplay(c) {
-    var inputString = currentSimulation ? currentSimulation.inputString : '';
-    var position = animationState.currentPosition;
-    
-    c.save();
-    c.font = '16px "Consolas", monospace';
-    
-    var x = 20;
-    var y = 30;
-    
-    // Draw label
-    c.fillStyle = '#666';
-    c.fillText('Input: ', x, y);
-    x += c.measureText('Input: ').width;
-    
-    // Draw the string with highlighting
-    if (inputString.length === 0) {
-        c.fillStyle = '#999';
-        c.fillText('(empty string)', x, y);
-    } else {
-        for (var i = 0; i < inputString.length; i++) {
-            var char = inputString[i];
-            
-            if (i === position && !animationState.resultDisplay) {
-                // Current character - highlight with background
-                var charWidth = c.measureText(char).width + 4;
-                c.fillStyle = simColors.currentState;
-                c.fillRect(x - 2, y - 14, charWidth, 20);
-                c.fillStyle = 'white';
-                c.fillText(char, x, y);
-                x += charWidth;
-            } else if (i < position) {
-                // Already processed - gray
-                c.fillStyle = '#999';
-                c.fillText(char, x, y);
-                x += c.measureText(char).width + 2;
-            } else {
-                // Not yet processed - black
-                c.fillStyle = '#333';
-                c.fillText(char, x, y);
-                x += c.measureText(char).width + 2;
-            }
+    for (var i = 0; i < playback.currentPosition; i++) {
+        var item = document.createElement('li');
+        item.textContent = playback.events[i].message;
+        if (i === playback.currentPosition - 1) {
+            item.className = 'current';
         }
+        log.appendChild(item);
     }
-    
-    // Draw position indicator
-    c.fillStyle = '#666';
-    var posText = ' [' + position + '/' + inputString.length + ']';
-    c.fillText(posText, x + 10, y);
-    
-    c.restore();
+    log.scrollTop = log.scrollHeight;
 }
 
-// Show result banner overlay
-function drawResultBanner(c, canvasWidth, canvasHeight) {
-    if (!animationState.resultDisplay) {
+// Apply the final state of the playback to the canvas
+function applyPlaybackResult() {
+    if (!currentSimulation || currentSimulation.machineType !== 'playback' || !currentSimulation.keepLinks) {
         return;
     }
-    
-    var text, bgColor;
-    
-    switch (animationState.resultDisplay) {
-        case 'accepted':
-            text = '✓ ACCEPTED';
-            bgColor = simColors.acceptedState;
-            break;
-        case 'rejected':
-            text = '✗ REJECTED';
-            bgColor = simColors.rejectedState;
-            break;
-        case 'stuck':
-            text = '✗ STUCK - No valid transition';
-            bgColor = simColors.stuckState;
-            break;
-        default:
-            return;
-    }
-    
-    c.save();
-    
-    // Draw banner at bottom of canvas
-    var bannerHeight = 50;
-    var bannerY = canvasHeight - bannerHeight - 20;
-    
-    // Semi-transparent background
-    c.fillStyle = bgColor;
-    c.globalAlpha = 0.9;
-    c.fillRect(0, bannerY, canvasWidth, bannerHeight);
-    c.globalAlpha = 1.0;
-    
-    // Text
-    c.fillStyle = 'white';
-    c.font = 'bold 24px "Segoe UI", sans-serif';
-    c.textAlign = 'center';
-    c.fillText(text, canvasWidth / 2, bannerY + 33);
-    
-    c.restore();
+
+    var keepLinks = currentSimulation.keepLinks;
+    var title = currentSimulation.title;
+    exitSimulationMode();
+
+    var removed = links.filter(function(link) {
+        return !(link instanceof StartLink) && keepLinks.indexOf(link) === -1;
+    }).length;
+    applyLinkSubset(keepLinks);
+
+    alert(title + ' applied! ' + removed + ' edge(s) removed.\n\nYou can press Ctrl+Z to undo.');
 }
 
-// Modified node drawing with simulation highlights
-function drawNodeWithSimulation(c, node, nodeIndex, isSelected) {
-    var highlight = getNodeHighlight(nodeIndex);
-    
-    if (highlight) {
-        // Save context for glow effect
-        c.save();
-        
-        // Draw glow/shadow
-        c.shadowColor = highlight.color;
-        c.shadowBlur = 20;
-        c.shadowOffsetX = 0;
-        c.shadowOffsetY = 0;
-        
-        // Draw filled circle with highlight color (semi-transparent)
-        c.beginPath();
-        c.arc(node.x, node.y, nodeRadius, 0, 2 * Math.PI, false);
-        c.fillStyle = highlight.color + '40'; // 25% opacity
-        c.fill();
-        
-        // Draw the main circle
-        c.strokeStyle = highlight.color;
-        c.lineWidth = 3;
-        c.stroke();
-        
-        c.restore();
-        
-        // Draw the text
-        c.fillStyle = highlight.color;
-        drawText(c, node.text, node.x, node.y, null, isSelected);
-        
-        // Draw accept state inner circle if needed
-        if (node.isAcceptState) {
-            c.beginPath();
-            c.arc(node.x, node.y, nodeRadius - 6, 0, 2 * Math.PI, false);
-            c.strokeStyle = highlight.color;
-            c.lineWidth = 2;
-            c.stroke();
+// Main UI handler function - called when user clicks Animate.
+// Plays the algorithm chosen in the list, starting from the node in the Source field (see getSourceNode).
+// Max flow also needs the sink in the Target field; Euler and Hamiltonian paths start there only if one is given.
+function animateAlgorithm() {
+    if (nodes.length === 0) {
+        alert('Cannot animate: No nodes in the graph.');
+        return;
+    }
+
+    var select = document.getElementById('playbackAlgorithm');
+    var algorithm = select ? select.value : 'kruskal';
+    var labels = generateNodeLabels();
+
+    var start = -1;
+    if (algorithm === 'euler' || algorithm === 'hamilton') {
+        var preferred = getPreferredStartNode(labels);
+        if (preferred.error) {
+            alert('Cannot animate: ' + preferred.error);
+            return;
         }
-        
-        return true; // Indicate we handled drawing
+        start = preferred.index;
+    } else if (algorithm !== 'kruskal') {
+        var source = getSourceNode(labels);
+        if (source.error) {
+            alert('Cannot animate: ' + source.error);
+            return;
+        }
+        start = source.index;
     }
-    
-    return false; // Let normal drawing handle it
-}
 
-// Modified link drawing with simulation highlights
-function drawLinkWithSimulation(c, link, isSelected) {
-    var highlight = getLinkHighlight(link);
-    
-    if (highlight) {
-        c.save();
-        
-        // Draw with highlight color and glow
-        c.strokeStyle = highlight.color;
-        c.fillStyle = highlight.color;
-        c.lineWidth = 3;
-        c.shadowColor = highlight.color;
-        c.shadowBlur = 10;
-        
-        // Call the link's draw method (it will use our modified context)
-        link.draw(c);
-        
-        c.restore();
-        
-        return true; // Indicate we handled drawing
+    var run;
+    switch (algorithm) {
+        case 'kruskal':
+            run = kruskalPlayback(nodes, links, labels);
+            break;
+        case 'prim':
+            run = primPlayback(nodes, links, labels, start);
+            break;
+        case 'bfs':
+            run = bfsPlayback(nodes, links, labels, start, directed);
+            break;
+        case 'dfs':
+            run = dfsPlayback(nodes, links, labels, start, directed);
+            break;
+        case 'dijkstra':
+            run = dijkstraPlayback(nodes, links, labels, start, directed);
+            break;
+        case 'maxflow':
+            if (!directed) {
+                alert('Cannot animate: Flow networks need directed edges. Turn on "Directed Links" first.');
+                return;
+            }
+            var sink = getSinkNode(labels);
+            if (sink.error) {
+                alert('Cannot animate: ' + sink.error);
+                return;
+            }
+            run = maxFlowPlayback(nodes, links, labels, start, sink.index);
+            break;
+        case 'euler':
+            run = eulerPlayback(nodes, links, labels, start, directed);
+            break;
+        case 'hamilton':
+            run = hamiltonianPlayback(nodes, links, labels, start, directed);
+            break;
     }
-    
-    return false; // Let normal drawing handle it
-}
 
-// Pulse animation for self-loops
-var pulsePhase = 0;
-function updatePulseAnimation() {
-    pulsePhase = (pulsePhase + 0.1) % (2 * Math.PI);
+    if (!run.success) {
+        alert('Cannot animate:\n\n' + run.error);
+        return;
+    }
+    startAlgorithmPlayback(run);
 }
 
-// Get pulse intensity (0-1) for animated effects
-function getPulseIntensity() {
-    return 0.5 + 0.5 * Math.sin(pulsePhase);
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PlaybackRecorder: PlaybackRecorder,
+        createPlaybackState: createPlaybackState,
+        stepPlaybackSimulation: stepPlaybackSimulation,
+        getCurrentPlaybackEvent: getCurrentPlaybackEvent
+    };
 }
+
 // FSM Simulation Engine
 // Core logic for simulating finite state machines
 
@@ -3280,6 +10827,7 @@ function SimulationState(inputString, startNodeIndex, transitionTable) {
     this.paths = [{
         states: [startNodeIndex],
         transitions: [],
+        symbols: [], // symbol consumed by each transition (EPSILON for epsilon moves)
         status: 'active' // 'active', 'accepted', 'rejected'
     }];
     this.isPlaying = false;
@@ -3288,6 +10836,18 @@ function SimulationState(inputString, startNodeIndex, transitionTable) {
     this.result = null; // 'accepted', 'rejected', 'stuck'
     this.errorMessage = null;
     this.transitionTable = transitionTable;
+    this.history = []; // history[k] is a snapshot of the configuration after k steps
+}
+
+// Canonical symbol for epsilon (empty-string) transitions
+var EPSILON = 'ε';
+
+// Label tokens that are read as an epsilon transition
+var epsilonAliases = ['ε', '\\epsilon', '\\varepsilon', 'λ', '\\lambda', '""'];
+
+// Check if a label token denotes an epsilon transition
+function isEpsilonSymbol(symbol) {
+    return epsilonAliases.indexOf(symbol) !== -1;
 }
 
 // Parse transition label into array of symbols
@@ -3296,9 +10856,16 @@ function parseTransitionLabel(text) {
         return [];
     }
     
-    // Split by comma, trim each symbol
+    // Mealy machines write "input/output" - only the input part is a transition symbol
+    var mealy = typeof machineType !== 'undefined' && machineType === 'mealy';
+    
+    // Split by comma, trim each symbol, and normalize epsilon spellings
     var symbols = text.split(',').map(function(s) {
-        return s.trim();
+        if (mealy && s.indexOf('/') !== -1) {
+            s = s.substring(0, s.indexOf('/'));
+        }
+        s = s.trim();
+        return isEpsilonSymbol(s) ? EPSILON : s;
     });
     
     // Filter out empty strings
@@ -3354,7 +10921,77 @@ function buildTransitionTable(nodes, links) {
         }
     }
     
-    return table;
+    return table;
+}
+
+// Compute the epsilon closure of a set of states (all states reachable via epsilon moves)
+function epsilonClosure(stateIndices, transitionTable) {
+    var closure = stateIndices.slice();
+    var stack = stateIndices.slice();
+    
+    while (stack.length > 0) {
+        var state = stack.pop();
+        var transitions = transitionTable[state][EPSILON] || [];
+        for (var t = 0; t < transitions.length; t++) {
+            var target = transitions[t].targetIndex;
+            if (closure.indexOf(target) === -1) {
+                closure.push(target);
+                stack.push(target);
+            }
+        }
+    }
+    
+    return closure;
+}
+
+// Extend active paths along epsilon transitions so every state in the closure has a path.
+// Returns the epsilon links that were followed.
+function expandEpsilonPaths(simState) {
+    var epsilonLinks = [];
+    var reached = [];
+    
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status === 'active') {
+            var end = path.states[path.states.length - 1];
+            if (reached.indexOf(end) === -1) {
+                reached.push(end);
+            }
+        }
+    }
+    
+    // Breadth-first over epsilon moves, branching a new path for each newly reached state
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status !== 'active') {
+            continue;
+        }
+        
+        var current = path.states[path.states.length - 1];
+        var transitions = simState.transitionTable[current][EPSILON] || [];
+        for (var t = 0; t < transitions.length; t++) {
+            var transition = transitions[t];
+            if (reached.indexOf(transition.targetIndex) !== -1) {
+                continue;
+            }
+            reached.push(transition.targetIndex);
+            
+            if (epsilonLinks.indexOf(transition.link) === -1) {
+                epsilonLinks.push(transition.link);
+            }
+            
+            // Appended paths are visited later in this loop, which continues the closure
+            simState.paths.push({
+                states: path.states.concat([transition.targetIndex]),
+                transitions: path.transitions.concat([transition.link]),
+                symbols: path.symbols.concat([EPSILON]),
+                status: 'active'
+            });
+        }
+    }
+    
+    simState.currentStates = reached;
+    return epsilonLinks;
 }
 
 // Find the start state node
@@ -3422,7 +11059,10 @@ function getAlphabet(links) {
         if (link instanceof Link || link instanceof SelfLink) {
             var symbols = parseTransitionLabel(link.text);
             for (var j = 0; j < symbols.length; j++) {
-                alphabet[symbols[j]] = true;
+                // Epsilon is not an input symbol
+                if (symbols[j] !== EPSILON) {
+                    alphabet[symbols[j]] = true;
+                }
             }
         }
     }
@@ -3473,24 +11113,43 @@ function initializeSimulation(inputString, nodes, links) {
         };
     }
     
+    // Pushdown automata and Turing machines have their own transition tables and stepping (see pda.js and turing.js)
+    if (typeof machineType !== 'undefined' && machineType === 'pda') {
+        return initializePDASimulation(inputString, startIndex, nodes, links);
+    }
+    if (typeof machineType !== 'undefined' && machineType === 'tm') {
+        return initializeTMSimulation(inputString, startIndex, nodes, links);
+    }
+    
     // Build transition table
     var transitionTable = buildTransitionTable(nodes, links);
     
     // Create simulation state
     var simState = new SimulationState(inputString, startIndex, transitionTable);
     
+    // Mealy and Moore machines run like finite automata; the type tells getSimulationOutput where the outputs are
+    if (typeof machineType !== 'undefined' && (machineType === 'mealy' || machineType === 'moore')) {
+        simState.machineType = machineType;
+    }
+    
+    // Follow epsilon moves out of the start state
+    simState.epsilonLinks = expandEpsilonPaths(simState);
+    
     // Handle empty string case
     if (inputString.length === 0) {
         simState.isComplete = true;
-        if (nodes[startIndex].isAcceptState) {
-            simState.result = 'accepted';
-            simState.paths[0].status = 'accepted';
-        } else {
-            simState.result = 'rejected';
-            simState.paths[0].status = 'rejected';
+        var anyAccepted = false;
+        for (var p = 0; p < simState.paths.length; p++) {
+            var path = simState.paths[p];
+            var finalState = path.states[path.states.length - 1];
+            path.status = nodes[finalState].isAcceptState ? 'accepted' : 'rejected';
+            anyAccepted = anyAccepted || path.status === 'accepted';
         }
+        simState.result = anyAccepted ? 'accepted' : 'rejected';
     }
     
+    recordSimulationSnapshot(simState);
+    
     return {
         success: true,
         simulation: simState,
@@ -3504,6 +11163,16 @@ function stepSimulation(simState, nodes) {
         return simState;
     }
     
+    if (simState.machineType === 'pda') {
+        return stepPDASimulation(simState, nodes);
+    }
+    if (simState.machineType === 'tm') {
+        return stepTMSimulation(simState, nodes);
+    }
+    if (simState.machineType === 'playback') {
+        return stepPlaybackSimulation(simState);
+    }
+    
     var currentChar = simState.inputString[simState.currentPosition];
     var newPaths = [];
     var activeLinksThisStep = [];
@@ -3543,12 +11212,14 @@ function stepSimulation(simState, nodes) {
                     // Single transition - extend existing path
                     path.states.push(targetIndex);
                     path.transitions.push(transition.link);
+                    path.symbols.push(currentChar);
                     newPath = path;
                 } else {
                     // Multiple transitions (NFA) - create new path
                     newPath = {
                         states: path.states.slice(0, -1).concat([currentState, targetIndex]),
                         transitions: path.transitions.slice().concat([transition.link]),
+                        symbols: path.symbols.concat([currentChar]),
                         status: 'active'
                     };
                 }
@@ -3566,6 +11237,9 @@ function stepSimulation(simState, nodes) {
     simState.activeLinks = activeLinksThisStep;
     simState.currentPosition++;
     
+    // Follow epsilon moves from the states just reached
+    simState.epsilonLinks = expandEpsilonPaths(simState);
+    
     // Check if simulation is complete
     if (simState.currentPosition >= simState.inputString.length) {
         simState.isComplete = true;
@@ -3608,9 +11282,105 @@ function stepSimulation(simState, nodes) {
         }
     }
     
+    recordSimulationSnapshot(simState);
+    
     return simState;
 }
 
+// Copy the parts of a simulation state that change from step to step.
+// Paths are copied deeply because stepSimulation extends them in place.
+function snapshotSimulation(simState) {
+    return {
+        currentPosition: simState.currentPosition,
+        currentStates: simState.currentStates.slice(),
+        paths: simState.paths.map(function(path) {
+            var copy = {
+                states: path.states.slice(),
+                transitions: path.transitions.slice(),
+                symbols: path.symbols.slice(),
+                status: path.status
+            };
+            if (path.errorMessage) {
+                copy.errorMessage = path.errorMessage;
+            }
+            if (path.stack) {
+                copy.stack = path.stack.slice();
+            }
+            if (path.tapes) {
+                copy.tapes = path.tapes.map(function(tape) {
+                    return { cells: tape.cells.slice(), head: tape.head, blank: tape.blank };
+                });
+            }
+            return copy;
+        }),
+        activeLinks: simState.activeLinks ? simState.activeLinks.slice() : undefined,
+        epsilonLinks: simState.epsilonLinks ? simState.epsilonLinks.slice() : undefined,
+        isComplete: simState.isComplete,
+        result: simState.result,
+        errorMessage: simState.errorMessage
+    };
+}
+
+// Number of steps in a complete run: one per input symbol, the precomputed run length for Turing machines,
+// or one per event for algorithm playbacks
+function getSimulationLength(simState) {
+    if (simState.machineType === 'tm') {
+        return simState.totalSteps;
+    }
+    if (simState.machineType === 'playback') {
+        return simState.events.length;
+    }
+    return simState.inputString.length;
+}
+
+// Store the current configuration as history entry number currentPosition
+function recordSimulationSnapshot(simState) {
+    simState.history[simState.currentPosition] = snapshotSimulation(simState);
+}
+
+// Put a simulation back into a recorded configuration
+function restoreSimulationSnapshot(simState, snapshot) {
+    var copy = snapshotSimulation(snapshot);
+    simState.currentPosition = copy.currentPosition;
+    simState.currentStates = copy.currentStates;
+    simState.paths = copy.paths;
+    simState.activeLinks = copy.activeLinks;
+    simState.epsilonLinks = copy.epsilonLinks;
+    simState.isComplete = copy.isComplete;
+    simState.result = copy.result;
+    simState.errorMessage = copy.errorMessage;
+}
+
+// Move the simulation to the configuration after `step` steps, replaying from the closest recorded
+// configuration at or before it (Turing machines record only some steps) and stepping forward from there.
+// Returns the step actually reached (the run may finish early when every path gets stuck).
+function seekSimulation(simState, nodes, step) {
+    step = Math.max(0, Math.min(step, getSimulationLength(simState)));
+    
+    var recorded = Math.min(step, simState.history.length - 1);
+    while (!simState.history[recorded]) {
+        recorded--;
+    }
+    restoreSimulationSnapshot(simState, simState.history[recorded]);
+    
+    while (simState.currentPosition < step && !simState.isComplete) {
+        stepSimulation(simState, nodes);
+    }
+    
+    return simState.currentPosition;
+}
+
+// The branch shown in detail (stack, output): the first accepting branch once finished, otherwise the first active one
+function getHighlightedPath(simState) {
+    var wanted = simState.result === 'accepted' ? 'accepted' : 'active';
+    for (var p = 0; p < simState.paths.length; p++) {
+        if (simState.paths[p].status === wanted) {
+            return simState.paths[p];
+        }
+    }
+    return simState.paths[simState.paths.length - 1];
+}
+
 // Check if simulation is complete
 function isSimulationComplete(simState) {
     return simState.isComplete;
@@ -3632,13 +11402,20 @@ function getSimulationInfo(simState, nodes) {
             ? simState.inputString[simState.currentPosition] 
             : null,
         position: simState.currentPosition,
-        totalLength: simState.inputString.length,
+        totalLength: getSimulationLength(simState),
         currentStateNames: [],
         activePaths: 0,
         isComplete: simState.isComplete,
         result: simState.result
     };
     
+    // Turing machines read the symbols under the heads rather than the next input symbol
+    if (simState.machineType === 'tm') {
+        info.currentChar = simState.paths[0].tapes.map(function(tape) {
+            return tape.head < tape.cells.length ? tape.cells[tape.head] : tape.blank;
+        }).join(', ');
+    }
+    
     // Get names of current states
     for (var i = 0; i < simState.currentStates.length; i++) {
         var stateIndex = simState.currentStates[i];
@@ -3661,6 +11438,410 @@ function resetSimulation() {
     currentSimulation = null;
     simulationActive = false;
 }
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SimulationState: SimulationState,
+        EPSILON: EPSILON,
+        isEpsilonSymbol: isEpsilonSymbol,
+        parseTransitionLabel: parseTransitionLabel,
+        buildTransitionTable: buildTransitionTable,
+        epsilonClosure: epsilonClosure,
+        findStartState: findStartState,
+        validateFSM: validateFSM,
+        getAlphabet: getAlphabet,
+        validateInputString: validateInputString,
+        initializeSimulation: initializeSimulation,
+        stepSimulation: stepSimulation,
+        snapshotSimulation: snapshotSimulation,
+        restoreSimulationSnapshot: restoreSimulationSnapshot,
+        recordSimulationSnapshot: recordSimulationSnapshot,
+        getSimulationLength: getSimulationLength,
+        getHighlightedPath: getHighlightedPath,
+        seekSimulation: seekSimulation
+    };
+}
+
+// Mealy and Moore Transducers
+// Reads the outputs written on arrows (Mealy) or states (Moore) and builds the output string of a simulation run
+//
+// Label syntax:
+//   Mealy arrow:  input/output    "a/0, b/1" reads a and writes 0, or reads b and writes 1
+//   Moore state:  name/output     "q1/1" writes 1 every time the machine enters q1
+// An output left out (or written as ε) is the empty string. Mealy and Moore machines otherwise
+// run exactly like finite automata, so they can still accept or reject their input.
+
+// Parse a Mealy arrow label into a list of { input, output } pairs
+function parseMealyLabel(text) {
+    if (!text || text.trim() === '') {
+        return [];
+    }
+
+    var pairs = [];
+    var parts = text.split(',');
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i].trim();
+        if (part === '') {
+            continue;
+        }
+        var slash = part.indexOf('/');
+        var input = (slash === -1 ? part : part.substring(0, slash)).trim();
+        var output = slash === -1 ? '' : part.substring(slash + 1).trim();
+        pairs.push({
+            input: isEpsilonSymbol(input) ? EPSILON : input,
+            output: isEpsilonSymbol(output) ? '' : output
+        });
+    }
+    return pairs;
+}
+
+// Split a Moore state label into its name and output (text after the last '/')
+function parseMooreNodeText(text) {
+    text = text ? text.trim() : '';
+    var slash = text.lastIndexOf('/');
+    if (slash === -1) {
+        return { name: text, output: '' };
+    }
+    var output = text.substring(slash + 1).trim();
+    return {
+        name: text.substring(0, slash).trim(),
+        output: isEpsilonSymbol(output) ? '' : output
+    };
+}
+
+// Output written along one simulation path
+function getPathOutput(simState, path, nodes) {
+    var output = '';
+
+    if (simState.machineType === 'moore') {
+        // Every state the path enters writes its output, starting with the start state
+        for (var k = 0; k < path.states.length; k++) {
+            output += parseMooreNodeText(nodes[path.states[k]].text).output;
+        }
+        return output;
+    }
+
+    for (var k = 0; k < path.transitions.length; k++) {
+        var pairs = parseMealyLabel(path.transitions[k].text);
+        for (var p = 0; p < pairs.length; p++) {
+            if (pairs[p].input === path.symbols[k]) {
+                output += pairs[p].output;
+                break;
+            }
+        }
+    }
+    return output;
+}
+
+// Output string of the highlighted branch, or null if the machine is not a transducer
+function getSimulationOutput(simState, nodes) {
+    if (simState.machineType !== 'mealy' && simState.machineType !== 'moore') {
+        return null;
+    }
+    return getPathOutput(simState, getHighlightedPath(simState), nodes);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseMealyLabel: parseMealyLabel,
+        parseMooreNodeText: parseMooreNodeText,
+        getPathOutput: getPathOutput,
+        getSimulationOutput: getSimulationOutput
+    };
+}
+
+// Turing Machine Simulation
+// Deterministic single- and multi-tape Turing machines, used instead of stepSimulation in Turing machine mode
+//
+// Label syntax: read → write, move
+//   a → b, R        read a, write b, move right (moves are L, R or S to stay)
+//   a → R           shorthand for "a → a, R"
+//   a, _ → a, a, R, R   two tapes: one read symbol per tape, then the writes, then the moves
+// Several transitions on one arrow are separated by semicolons: "a → b, R; b → a, R".
+// The machine accepts when it enters an accepting state, and rejects when no transition applies.
+
+// Turing machine settings, saved with the machine
+var tmOptions = {
+    blank: '_',       // symbol on every tape cell that has not been written
+    stepLimit: 1000   // runs longer than this are stopped as probably non-halting
+};
+
+// Highest step limit allowed: the whole run is computed when the simulation starts
+var maxTMStepLimit = 100000;
+
+// Number of configurations kept for moving back in the timeline; the steps in between are replayed
+// from the closest one, so a long run does not keep a copy of every tape at every step
+var tmCheckpointCount = 50;
+
+// Head moves allowed in labels
+var tmMoves = { L: -1, R: 1, S: 0, N: 0 };
+
+// Parse a Turing machine label into a list of { reads, writes, moves } transitions.
+// Returns null if any part of the label is malformed.
+function parseTMLabel(text) {
+    if (!text || text.trim() === '') {
+        return [];
+    }
+
+    var transitions = [];
+    var parts = text.split(';');
+    for (var i = 0; i < parts.length; i++) {
+        var match = parts[i].trim().match(/^(.*?)(?:→|->|\\to|\\rightarrow)(.*)$/);
+        if (!match) {
+            return null;
+        }
+
+        var reads = match[1].split(',').map(function(s) { return s.trim(); });
+        var actions = match[2].split(',').map(function(s) { return s.trim(); });
+        var tapes = reads.length;
+        var writes, moves;
+        if (actions.length === 2 * tapes) {
+            writes = actions.slice(0, tapes);
+            moves = actions.slice(tapes);
+        } else if (actions.length === tapes) {
+            writes = reads.slice();
+            moves = actions;
+        } else {
+            return null;
+        }
+
+        moves = moves.map(function(m) { return m.toUpperCase(); });
+        var valid = reads.concat(writes).every(function(s) { return s.length > 0; }) &&
+            moves.every(function(m) { return tmMoves.hasOwnProperty(m); });
+        if (!valid) {
+            return null;
+        }
+        transitions.push({ reads: reads, writes: writes, moves: moves });
+    }
+    return transitions;
+}
+
+// Build the Turing machine transition table: table[state] is a list of transitions.
+// Also works out the number of tapes and reports inconsistent or nondeterministic labels.
+function buildTMTransitionTable(nodes, links) {
+    var table = {};
+    var errors = [];
+    var tapeCount = 0;
+
+    for (var i = 0; i < nodes.length; i++) {
+        table[i] = [];
+    }
+
+    for (var i = 0; i < links.length; i++) {
+        var link = links[i];
+        var fromIndex, toIndex;
+        if (link instanceof Link) {
+            fromIndex = nodes.indexOf(link.nodeA);
+            toIndex = nodes.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            fromIndex = toIndex = nodes.indexOf(link.node);
+        } else {
+            continue;
+        }
+
+        var transitions = parseTMLabel(link.text);
+        if (transitions === null) {
+            errors.push("Cannot read Turing machine label '" + link.text + "'. Use the form \"a → b, R\".");
+            continue;
+        }
+        for (var t = 0; t < transitions.length; t++) {
+            var transition = transitions[t];
+            if (tapeCount === 0) {
+                tapeCount = transition.reads.length;
+            } else if (transition.reads.length !== tapeCount) {
+                errors.push("Label '" + link.text + "' uses " + transition.reads.length + ' tape(s), but other labels use ' + tapeCount + '.');
+                continue;
+            }
+
+            var duplicate = table[fromIndex].some(function(other) {
+                return other.reads.join('\u0000') === transition.reads.join('\u0000');
+            });
+            if (duplicate) {
+                errors.push('Two transitions from state ' + (nodes[fromIndex].text || ('q' + fromIndex)) +
+                    " read '" + transition.reads.join(', ') + "' - the machine must be deterministic.");
+                continue;
+            }
+
+            transition.targetIndex = toIndex;
+            transition.link = link;
+            table[fromIndex].push(transition);
+        }
+    }
+
+    return { table: table, tapeCount: Math.max(tapeCount, 1), errors: errors };
+}
+
+// Read the cell under a tape's head (each tape keeps its own blank symbol)
+function readTape(tape) {
+    return tape.head < tape.cells.length ? tape.cells[tape.head] : tape.blank;
+}
+
+// Write a symbol under the head and move it, growing the tape as needed
+function writeAndMove(tape, symbol, move) {
+    while (tape.head >= tape.cells.length) {
+        tape.cells.push(tape.blank);
+    }
+    tape.cells[tape.head] = symbol;
+    tape.head += tmMoves[move];
+    if (tape.head < 0) {
+        tape.cells.unshift(tape.blank);
+        tape.head = 0;
+    }
+}
+
+// Find the transition that applies to the current configuration, or null if the machine halts
+function findTMTransition(simState, path) {
+    var state = path.states[path.states.length - 1];
+    var reads = path.tapes.map(readTape);
+    var candidates = simState.transitionTable[state];
+    for (var t = 0; t < candidates.length; t++) {
+        var matches = true;
+        for (var k = 0; k < reads.length; k++) {
+            if (candidates[t].reads[k] !== reads[k]) {
+                matches = false;
+                break;
+            }
+        }
+        if (matches) {
+            return candidates[t];
+        }
+    }
+    return null;
+}
+
+// Decide whether the current configuration ends the run (accept, reject or step limit)
+function checkTMHalt(simState, nodes) {
+    var path = simState.paths[0];
+    var state = path.states[path.states.length - 1];
+
+    if (nodes[state].isAcceptState) {
+        path.status = 'accepted';
+        simState.result = 'accepted';
+        simState.isComplete = true;
+    } else if (!findTMTransition(simState, path)) {
+        path.status = 'rejected';
+        path.errorMessage = 'Halted in state ' + (nodes[state].text || ('q' + state)) +
+            " reading '" + path.tapes.map(readTape).join(', ') + "'";
+        simState.result = 'rejected';
+        simState.errorMessage = path.errorMessage;
+        simState.isComplete = true;
+    } else if (simState.currentPosition >= simState.stepLimit) {
+        path.status = 'rejected';
+        simState.result = 'limit';
+        simState.errorMessage = 'Stopped after ' + simState.stepLimit + ' steps - the machine may not halt.';
+        simState.isComplete = true;
+    }
+}
+
+// Initialize a Turing machine simulation (called by initializeSimulation in Turing machine mode after validation).
+// The run is computed once up to the step limit so the timeline knows its length, then rewound to the start.
+// Only every checkpointInterval-th configuration is recorded in the history.
+function initializeTMSimulation(inputString, startIndex, nodes, links) {
+    var built = buildTMTransitionTable(nodes, links);
+    if (built.errors.length > 0) {
+        return { success: false, errors: built.errors, warnings: [] };
+    }
+
+    var simState = new SimulationState(inputString, startIndex, built.table);
+    simState.machineType = 'tm';
+    simState.stepLimit = Math.min(tmOptions.stepLimit, maxTMStepLimit);
+    simState.checkpointInterval = Math.max(100, Math.ceil(simState.stepLimit / tmCheckpointCount));
+
+    // The input goes on the first tape, every other tape starts blank
+    var tapes = [];
+    for (var k = 0; k < built.tapeCount; k++) {
+        tapes.push({
+            cells: k === 0 && inputString.length > 0 ? inputString.split('') : [tmOptions.blank],
+            head: 0,
+            blank: tmOptions.blank
+        });
+    }
+    simState.paths[0].tapes = tapes;
+
+    checkTMHalt(simState, nodes);
+    recordSimulationSnapshot(simState);
+
+    while (!simState.isComplete) {
+        stepTMSimulation(simState, nodes);
+    }
+    simState.totalSteps = simState.currentPosition;
+    restoreSimulationSnapshot(simState, simState.history[0]);
+
+    return { success: true, simulation: simState, warnings: [] };
+}
+
+// Execute one Turing machine transition
+function stepTMSimulation(simState, nodes) {
+    if (simState.isComplete) {
+        return simState;
+    }
+
+    var path = simState.paths[0];
+    var transition = findTMTransition(simState, path);
+    var reads = path.tapes.map(readTape);
+
+    for (var k = 0; k < path.tapes.length; k++) {
+        writeAndMove(path.tapes[k], transition.writes[k], transition.moves[k]);
+    }
+    path.states.push(transition.targetIndex);
+    path.transitions.push(transition.link);
+    path.symbols.push(reads.join(','));
+
+    simState.currentStates = [transition.targetIndex];
+    simState.activeLinks = [transition.link];
+    simState.currentPosition++;
+
+    checkTMHalt(simState, nodes);
+    if (simState.currentPosition % simState.checkpointInterval === 0) {
+        recordSimulationSnapshot(simState);
+    }
+
+    return simState;
+}
+
+// UI functions for the Turing machine options in the simulation panel
+
+// Read the blank symbol and step limit from the panel
+function updateTMOptions() {
+    var blankField = document.getElementById('tmBlank');
+    var limitField = document.getElementById('tmStepLimit');
+    if (blankField && blankField.value.trim() !== '') {
+        tmOptions.blank = blankField.value.trim();
+    }
+    if (limitField) {
+        var limit = parseInt(limitField.value, 10);
+        if (limit > maxTMStepLimit) {
+            limit = maxTMStepLimit;
+            limitField.value = limit;
+        }
+        if (limit > 0) {
+            tmOptions.stepLimit = limit;
+        }
+    }
+    saveBackup();
+}
+
+// Show the Turing machine options only in Turing machine mode, filled from tmOptions
+function updateTMOptionsUI() {
+    var options = document.getElementById('tmOptions');
+    if (!options) {
+        return;
+    }
+    options.style.display = machineType === 'tm' ? 'flex' : 'none';
+    document.getElementById('tmBlank').value = tmOptions.blank;
+    document.getElementById('tmStepLimit').value = tmOptions.stepLimit;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        tmOptions: tmOptions,
+        maxTMStepLimit: maxTMStepLimit,
+        parseTMLabel: parseTMLabel,
+        buildTMTransitionTable: buildTMTransitionTable,
+        initializeTMSimulation: initializeTMSimulation,
+        stepTMSimulation: stepTMSimulation
+    };
+}
+
 // FSM Simulation UI Controls
 // UI panel, controls, and user interaction
 
@@ -3674,6 +11855,8 @@ function initSimulationUI() {
         // Set up event listeners
         var startBtn = document.getElementById('simStart');
         var stepBtn = document.getElementById('simStep');
+        var stepBackBtn = document.getElementById('simStepBack');
+        var timeline = document.getElementById('simTimeline');
         var playPauseBtn = document.getElementById('simPlayPause');
         var resetBtn = document.getElementById('simReset');
         var speedSlider = document.getElementById('simSpeed');
@@ -3681,6 +11864,12 @@ function initSimulationUI() {
         
         if (startBtn) startBtn.onclick = handleStartSimulation;
         if (stepBtn) stepBtn.onclick = handleStepSimulation;
+        if (stepBackBtn) stepBackBtn.onclick = handleStepBack;
+        if (timeline) {
+            timeline.oninput = function() {
+                handleSeekSimulation(parseInt(this.value, 10));
+            };
+        }
         if (playPauseBtn) playPauseBtn.onclick = handlePlayPause;
         if (resetBtn) resetBtn.onclick = handleResetSimulation;
         if (speedSlider) {
@@ -3697,6 +11886,11 @@ function initSimulationUI() {
                 }
             };
         }
+        
+        // Fill in the batch test list saved with the machine
+        if (typeof initTestSuiteUI === 'function') {
+            initTestSuiteUI();
+        }
     }
 }
 
@@ -3767,7 +11961,11 @@ function handleStartSimulation() {
     }
     
     currentSimulation = result.simulation;
-    
+    beginSimulationDisplay();
+}
+
+// Show a freshly started simulation (or algorithm playback) in the panel and on the canvas
+function beginSimulationDisplay() {
     // Set initial speed from slider
     var speedSlider = document.getElementById('simSpeed');
     if (speedSlider) {
@@ -3782,6 +11980,7 @@ function handleStartSimulation() {
     
     // Update display
     updateStatusDisplay();
+    updateTimeline();
     draw();
     
     // Check if already complete (empty string case)
@@ -3804,6 +12003,7 @@ function handleStepSimulation() {
     
     // Update display
     updateStatusDisplay();
+    updateTimeline();
     draw();
     
     // Check if complete
@@ -3813,6 +12013,37 @@ function handleStepSimulation() {
     }
 }
 
+// Handle step back button click
+function handleStepBack() {
+    if (!currentSimulation || currentSimulation.currentPosition === 0) {
+        return;
+    }
+    handleSeekSimulation(currentSimulation.currentPosition - 1);
+}
+
+// Jump to the configuration after the given number of steps (timeline slider and shortcuts)
+function handleSeekSimulation(step) {
+    if (!currentSimulation) {
+        return;
+    }
+    
+    stopAutoPlay();
+    seekSimulation(currentSimulation, nodes, step);
+    
+    updateAnimationFromSimulation(currentSimulation, nodes);
+    updateStatusDisplay();
+    updateTimeline();
+    draw();
+    
+    if (currentSimulation.isComplete) {
+        showFinalResult();
+    } else {
+        // Moving back from the end makes the run resumable again
+        hideResultDisplay();
+        updateControlStates(true, false);
+    }
+}
+
 // Handle play/pause toggle
 function handlePlayPause() {
     if (!currentSimulation) {
@@ -3862,6 +12093,7 @@ function startAutoPlay() {
         
         // Update display and draw once per tick
         updateStatusDisplay();
+        updateTimeline();
         draw();
         
         if (currentSimulation.isComplete) {
@@ -3892,10 +12124,22 @@ function handleResetSimulation() {
     clearAnimationState();
     updateControlStates(false, false);
     updateStatusDisplay();
+    updateTimeline();
     hideResultDisplay();
     draw();
 }
 
+// Show or hide the Apply button of algorithm playbacks, enabled once the playback is finished
+function updatePlaybackApplyButton() {
+    var applyBtn = document.getElementById('simApply');
+    if (!applyBtn) {
+        return;
+    }
+    var playback = currentSimulation && currentSimulation.machineType === 'playback' ? currentSimulation : null;
+    applyBtn.style.display = playback && playback.keepLinks ? 'inline-block' : 'none';
+    applyBtn.disabled = !(playback && playback.isComplete);
+}
+
 // Update simulation speed from slider
 function updateSimulationSpeed(value) {
     // Logarithmic scale: 0 -> 2000ms (slow), 100 -> 5ms (fast)
@@ -3933,6 +12177,8 @@ function updateSimulationSpeed(value) {
 // Update button states based on simulation state
 function updateControlStates(started, playing) {
     var stepBtn = document.getElementById('simStep');
+    var stepBackBtn = document.getElementById('simStepBack');
+    var timeline = document.getElementById('simTimeline');
     var playPauseBtn = document.getElementById('simPlayPause');
     var resetBtn = document.getElementById('simReset');
     var startBtn = document.getElementById('simStart');
@@ -3940,12 +12186,16 @@ function updateControlStates(started, playing) {
     
     if (started) {
         if (stepBtn) stepBtn.disabled = false;
+        if (stepBackBtn) stepBackBtn.disabled = false;
+        if (timeline) timeline.disabled = false;
         if (playPauseBtn) playPauseBtn.disabled = false;
         if (resetBtn) resetBtn.disabled = false;
         if (startBtn) startBtn.disabled = true;
         if (inputField) inputField.disabled = true;
     } else {
         if (stepBtn) stepBtn.disabled = true;
+        if (stepBackBtn) stepBackBtn.disabled = true;
+        if (timeline) timeline.disabled = true;
         if (playPauseBtn) playPauseBtn.disabled = true;
         if (resetBtn) resetBtn.disabled = true;
         if (startBtn) startBtn.disabled = false;
@@ -3967,12 +12217,33 @@ function updateStatusDisplay() {
     var stateDisplay = document.getElementById('simCurrentState');
     var progressDisplay = document.getElementById('simProgress');
     var pathsDisplay = document.getElementById('simPaths');
+    var outputDisplay = document.getElementById('simOutput');
+    
+    // Keep the computation tree and the playback narration in step with the status line
+    if (typeof updateComputationTreePanel === 'function') {
+        updateComputationTreePanel();
+    }
+    if (typeof updateNarrationLog === 'function') {
+        updateNarrationLog();
+        updatePlaybackApplyButton();
+    }
     
     if (!currentSimulation) {
         if (charDisplay) charDisplay.textContent = 'Current: -';
         if (stateDisplay) stateDisplay.textContent = 'State: -';
         if (progressDisplay) progressDisplay.textContent = 'Position: 0/0';
         if (pathsDisplay) pathsDisplay.textContent = '';
+        if (outputDisplay) outputDisplay.style.display = 'none';
+        return;
+    }
+    
+    // Algorithm playbacks have no input or states to report
+    if (currentSimulation.machineType === 'playback') {
+        if (charDisplay) charDisplay.textContent = currentSimulation.title;
+        if (stateDisplay) stateDisplay.textContent = 'Marked: ' + animationState.highlightedStates.length + ' node(s)';
+        if (progressDisplay) progressDisplay.textContent = 'Position: ' + currentSimulation.currentPosition + '/' + currentSimulation.events.length;
+        if (pathsDisplay) pathsDisplay.style.display = 'none';
+        if (outputDisplay) outputDisplay.style.display = 'none';
         return;
     }
     
@@ -4003,6 +12274,33 @@ function updateStatusDisplay() {
             pathsDisplay.style.display = 'none';
         }
     }
+    
+    if (outputDisplay) {
+        var outputString = getSimulationOutput(currentSimulation, nodes);
+        if (outputString !== null) {
+            outputDisplay.textContent = 'Output: ' + (outputString || EPSILON);
+            outputDisplay.style.display = 'inline';
+        } else {
+            outputDisplay.style.display = 'none';
+        }
+    }
+}
+
+// Move the timeline slider to the current position
+function updateTimeline() {
+    var timeline = document.getElementById('simTimeline');
+    if (!timeline) {
+        return;
+    }
+    
+    if (!currentSimulation) {
+        timeline.max = 0;
+        timeline.value = 0;
+        return;
+    }
+    
+    timeline.max = getSimulationLength(currentSimulation);
+    timeline.value = currentSimulation.currentPosition;
 }
 
 // Show final result
@@ -4033,6 +12331,19 @@ function showFinalResult() {
                 resultDiv.textContent += ' - ' + result.errorMessage;
             }
             break;
+        case 'limit':
+            resultDiv.textContent = '⏱ STEP LIMIT REACHED - ' + result.errorMessage;
+            resultDiv.classList.add('sim-error');
+            break;
+        case 'finished':
+            resultDiv.textContent = '✓ FINISHED - ' + currentSimulation.summary;
+            resultDiv.classList.add('accepted');
+            break;
+    }
+    
+    // PDA runs stop following epsilon moves that keep growing the stack
+    if (currentSimulation.epsilonLimitReached) {
+        resultDiv.textContent += ' (some epsilon loops were cut off)';
     }
     
     // Disable step and play buttons
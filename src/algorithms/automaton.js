@@ -0,0 +1,290 @@
+// Automaton Helpers for FSM Designer
+// Converts between the canvas (nodes/links) and an abstract automaton
+//
+// Abstract automaton shape used by the algorithms in this folder:
+// {
+//     labels: ['q0', 'q1'],            // display name of each state
+//     start: 0,                        // index of the start state (-1 if none)
+//     accepting: [false, true],        // accept flag for each state
+//     alphabet: ['a', 'b'],            // sorted input symbols
+//     transitions: [{ a: [1] }, {}]    // per state: symbol -> target indices
+// }
+
+// Label for the trap state added when completing a partial DFA
+var trapStateLabel = 'trap';
+
+// A trap state label that no state in labels has yet: trap, trap', trap'', ...
+function freshTrapLabel(labels) {
+    var label = trapStateLabel;
+    while (labels.indexOf(label) !== -1) {
+        label += "'";
+    }
+    return label;
+}
+
+// Read the machine drawn on the canvas into an abstract automaton
+function automatonFromCanvas(nodeArray, linkArray) {
+    var table = buildTransitionTable(nodeArray, linkArray);
+    var automaton = {
+        labels: [],
+        start: findStartState(nodeArray, linkArray),
+        accepting: [],
+        alphabet: getAlphabet(linkArray),
+        transitions: []
+    };
+
+    for (var i = 0; i < nodeArray.length; i++) {
+        var text = nodeArray[i].text ? nodeArray[i].text.trim() : '';
+        automaton.labels.push(text || ('q' + i));
+        automaton.accepting.push(!!nodeArray[i].isAcceptState);
+
+        var row = {};
+        for (var symbol in table[i]) {
+            var targets = [];
+            for (var t = 0; t < table[i][symbol].length; t++) {
+                var target = table[i][symbol][t].targetIndex;
+                if (targets.indexOf(target) === -1) {
+                    targets.push(target);
+                }
+            }
+            row[symbol] = targets;
+        }
+        automaton.transitions.push(row);
+    }
+
+    return automaton;
+}
+
+// Compute the epsilon closure of a set of states in an abstract automaton
+function automatonClosure(automaton, stateSet) {
+    var closure = stateSet.slice();
+    var stack = stateSet.slice();
+    while (stack.length > 0) {
+        var targets = automaton.transitions[stack.pop()][EPSILON] || [];
+        for (var t = 0; t < targets.length; t++) {
+            if (closure.indexOf(targets[t]) === -1) {
+                closure.push(targets[t]);
+                stack.push(targets[t]);
+            }
+        }
+    }
+    return closure;
+}
+
+// Check whether every state has at most one target per symbol and no epsilon moves
+function isDeterministic(automaton) {
+    for (var i = 0; i < automaton.transitions.length; i++) {
+        for (var symbol in automaton.transitions[i]) {
+            if (symbol === EPSILON || automaton.transitions[i][symbol].length > 1) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+// Compute canvas positions for each state, one column per BFS level from the start
+function layoutAutomaton(automaton, width, height) {
+    var n = automaton.labels.length;
+    var margin = 80;
+    var maxSpacing = 160;
+    var level = [];
+    for (var i = 0; i < n; i++) {
+        level[i] = -1;
+    }
+
+    // Breadth-first levels from the start state
+    var queue = [];
+    if (automaton.start >= 0 && automaton.start < n) {
+        level[automaton.start] = 0;
+        queue.push(automaton.start);
+    }
+    var maxLevel = 0;
+    while (queue.length > 0) {
+        var current = queue.shift();
+        for (var symbol in automaton.transitions[current]) {
+            var targets = automaton.transitions[current][symbol];
+            for (var t = 0; t < targets.length; t++) {
+                if (level[targets[t]] === -1) {
+                    level[targets[t]] = level[current] + 1;
+                    maxLevel = Math.max(maxLevel, level[targets[t]]);
+                    queue.push(targets[t]);
+                }
+            }
+        }
+    }
+
+    // Unreachable states go in a column of their own at the end
+    var columns = [];
+    for (var i = 0; i < n; i++) {
+        var column = level[i] === -1 ? maxLevel + 1 : level[i];
+        if (!columns[column]) {
+            columns[column] = [];
+        }
+        columns[column].push(i);
+    }
+    columns = columns.filter(function(c) { return c && c.length > 0; });
+
+    var positions = [];
+    var minSpacing = 2.5 * nodeRadius;
+    var colSpacing = columns.length > 1 ? Math.min(maxSpacing, (width - 2 * margin) / (columns.length - 1)) : 0;
+    var tallest = 0;
+    for (var c = 0; c < columns.length; c++) {
+        tallest = Math.max(tallest, columns[c].length);
+    }
+    var tightRows = tallest > 1 && (height - 2 * margin) / (tallest - 1) < minSpacing;
+
+    // Too many states to fit in columns - fall back to a grid in BFS order
+    if ((colSpacing > 0 && colSpacing < minSpacing) || tightRows) {
+        var order = [];
+        for (var c = 0; c < columns.length; c++) {
+            order = order.concat(columns[c]);
+        }
+        var perRow = Math.max(1, Math.floor((width - 2 * margin) / minSpacing) + 1);
+        var rows = Math.ceil(order.length / perRow);
+        var gridX = (width - 2 * margin) / Math.max(1, perRow - 1);
+        var gridY = Math.min(maxSpacing, (height - 2 * margin) / Math.max(1, rows - 1));
+        for (var k = 0; k < order.length; k++) {
+            positions[order[k]] = {
+                x: margin + (k % perRow) * gridX,
+                y: margin + Math.floor(k / perRow) * gridY
+            };
+        }
+        return positions;
+    }
+
+    var totalWidth = colSpacing * (columns.length - 1);
+    var left = (width - totalWidth) / 2;
+    for (var c = 0; c < columns.length; c++) {
+        var members = columns[c];
+        var rowSpacing = members.length > 1 ? Math.min(maxSpacing, (height - 2 * margin) / (members.length - 1)) : 0;
+        var top = (height - rowSpacing * (members.length - 1)) / 2;
+        for (var r = 0; r < members.length; r++) {
+            positions[members[r]] = {
+                x: left + c * colSpacing,
+                y: top + r * rowSpacing
+            };
+        }
+    }
+
+    return positions;
+}
+
+// Check if a straight line between two positions would pass through another state
+function segmentHitsNode(a, b, positions, skipA, skipB) {
+    var dx = b.x - a.x;
+    var dy = b.y - a.y;
+    var lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return false;
+
+    for (var i = 0; i < positions.length; i++) {
+        if (i === skipA || i === skipB) continue;
+        var p = positions[i];
+        var t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq;
+        if (t <= 0 || t >= 1) continue;
+        var px = a.x + t * dx - p.x;
+        var py = a.y + t * dy - p.y;
+        if (Math.sqrt(px * px + py * py) < nodeRadius + 5) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Build Node/Link/SelfLink/StartLink objects for an abstract automaton
+function automatonToCanvas(automaton) {
+    var width = (typeof canvas !== 'undefined' && canvas) ? canvas.width : 800;
+    var height = (typeof canvas !== 'undefined' && canvas) ? canvas.height : 600;
+    var positions = layoutAutomaton(automaton, width, height);
+    var newNodes = [];
+    var newLinks = [];
+
+    for (var i = 0; i < automaton.labels.length; i++) {
+        var node = new Node(positions[i].x, positions[i].y);
+        node.text = automaton.labels[i];
+        node.isAcceptState = !!automaton.accepting[i];
+        newNodes.push(node);
+    }
+
+    // Merge all symbols between the same pair of states into one label
+    var edgeSymbols = {};
+    var edgeOrder = [];
+    for (var i = 0; i < automaton.transitions.length; i++) {
+        for (var symbol in automaton.transitions[i]) {
+            var targets = automaton.transitions[i][symbol];
+            for (var t = 0; t < targets.length; t++) {
+                var key = i + '>' + targets[t];
+                if (!edgeSymbols[key]) {
+                    edgeSymbols[key] = [];
+                    edgeOrder.push({ from: i, to: targets[t], key: key });
+                }
+                if (edgeSymbols[key].indexOf(symbol) === -1) {
+                    edgeSymbols[key].push(symbol);
+                }
+            }
+        }
+    }
+
+    for (var e = 0; e < edgeOrder.length; e++) {
+        var edge = edgeOrder[e];
+        // Write epsilon the way a user would type it so LaTeX export stays valid
+        var text = edgeSymbols[edge.key].map(function(symbol) {
+            return symbol === EPSILON ? '\\epsilon' : symbol;
+        }).join(', ');
+
+        if (edge.from === edge.to) {
+            var selfLink = new SelfLink(newNodes[edge.from]);
+            selfLink.anchorAngle = -Math.PI / 2;
+            selfLink.text = text;
+            newLinks.push(selfLink);
+            continue;
+        }
+
+        var link = new Link(newNodes[edge.from], newNodes[edge.to]);
+        link.text = text;
+        // Bend opposite pairs apart, and route around states in the way
+        if (edgeSymbols[edge.to + '>' + edge.from]) {
+            link.perpendicularPart = 25;
+        } else if (segmentHitsNode(positions[edge.from], positions[edge.to], positions, edge.from, edge.to)) {
+            link.perpendicularPart = 50;
+        }
+        newLinks.push(link);
+    }
+
+    if (automaton.start >= 0) {
+        var startLink = new StartLink(newNodes[automaton.start]);
+        startLink.deltaX = -60;
+        startLink.deltaY = 0;
+        newLinks.push(startLink);
+    }
+
+    return {
+        nodes: newNodes,
+        links: newLinks
+    };
+}
+
+// Replace the canvas with an abstract automaton (undoable with Ctrl+Z)
+function replaceCanvasWithAutomaton(automaton) {
+    saveState();
+    var result = automatonToCanvas(automaton);
+    nodes = result.nodes;
+    links = result.links;
+    selectedObject = null;
+    directed = true;
+    var checkbox = document.getElementById('directedLinksCheckbox');
+    if (checkbox) checkbox.checked = true;
+    draw();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        trapStateLabel: trapStateLabel,
+        freshTrapLabel: freshTrapLabel,
+        automatonFromCanvas: automatonFromCanvas,
+        automatonClosure: automatonClosure,
+        isDeterministic: isDeterministic,
+        layoutAutomaton: layoutAutomaton,
+        automatonToCanvas: automatonToCanvas
+    };
+}
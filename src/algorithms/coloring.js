@@ -0,0 +1,385 @@
+// Graph Coloring for FSM Designer
+// Bipartiteness check, greedy and DSatur coloring, and the exact chromatic number by backtracking
+//
+// Coloring ignores edge directions: two nodes joined by an edge either way must get different colors.
+// Colors are numbered from 0 and shown as node fill colors (Node.fillColor).
+
+// Fill colors for color numbers 0, 1, 2, ... (light enough to read the labels on), repeated when there are more
+var nodeFillColors = ['#EF9A9A', '#90CAF9', '#A5D6A7', '#FFE082', '#CE93D8', '#80DEEA', '#FFAB91', '#C5E1A5', '#BCAAA4', '#F48FB1'];
+
+// Limit on the search steps of the exact chromatic number, which takes exponential time on large graphs
+var maxColoringSteps = 200000;
+
+// Neighbours of every node (without duplicates, ignoring directions) and the nodes with self-loops
+function coloringAdjacency(nodeArray, linkArray) {
+    var neighbours = [];
+    var selfLoops = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        neighbours.push([]);
+    }
+
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        if (link instanceof SelfLink) {
+            var index = nodeArray.indexOf(link.node);
+            if (selfLoops.indexOf(index) === -1) {
+                selfLoops.push(index);
+            }
+        } else if (link instanceof Link) {
+            var a = nodeArray.indexOf(link.nodeA);
+            var b = nodeArray.indexOf(link.nodeB);
+            if (neighbours[a].indexOf(b) === -1) {
+                neighbours[a].push(b);
+                neighbours[b].push(a);
+            }
+        }
+    }
+
+    return { neighbours: neighbours, selfLoops: selfLoops };
+}
+
+// Two-color the graph by BFS, one component at a time.
+// Returns { bipartite: true, side } with side[i] 0 or 1, or { bipartite: false, cycle } with the
+// nodes of an odd cycle in order.
+function checkBipartite(neighbours) {
+    var n = neighbours.length;
+    var side = [];
+    var parent = [];
+    var depth = [];
+    for (var i = 0; i < n; i++) {
+        side.push(-1);
+        parent.push(-1);
+        depth.push(0);
+    }
+
+    for (var root = 0; root < n; root++) {
+        if (side[root] !== -1) {
+            continue;
+        }
+        side[root] = 0;
+        var queue = [root];
+        for (var head = 0; head < queue.length; head++) {
+            var u = queue[head];
+            for (var k = 0; k < neighbours[u].length; k++) {
+                var v = neighbours[u][k];
+                if (side[v] === -1) {
+                    side[v] = 1 - side[u];
+                    parent[v] = u;
+                    depth[v] = depth[u] + 1;
+                    queue.push(v);
+                } else if (side[v] === side[u]) {
+                    return { bipartite: false, cycle: oddCycle(parent, depth, u, v) };
+                }
+            }
+        }
+    }
+
+    return { bipartite: true, side: side };
+}
+
+// Close the odd cycle formed by the BFS tree paths to u and v and the edge between them
+function oddCycle(parent, depth, u, v) {
+    var fromU = [u];
+    var fromV = [v];
+    while (u !== v) {
+        if (depth[u] >= depth[v]) {
+            u = parent[u];
+            fromU.push(u);
+        } else {
+            v = parent[v];
+            fromV.push(v);
+        }
+    }
+    // fromU ends at the common ancestor, which fromV repeats
+    return fromU.reverse().concat(fromV.slice(0, -1));
+}
+
+// Smallest color not used by any colored neighbour of a node
+function smallestFreeColor(neighbours, colors, node) {
+    var used = [];
+    for (var k = 0; k < neighbours[node].length; k++) {
+        if (colors[neighbours[node][k]] !== -1) {
+            used[colors[neighbours[node][k]]] = true;
+        }
+    }
+    var color = 0;
+    while (used[color]) {
+        color++;
+    }
+    return color;
+}
+
+// Greedy coloring: nodes in order (index order by default) take the smallest free color
+function greedyColoring(neighbours, order) {
+    var colors = [];
+    for (var i = 0; i < neighbours.length; i++) {
+        colors.push(-1);
+    }
+    if (!order) {
+        order = colors.map(function(color, i) { return i; });
+    }
+    for (var k = 0; k < order.length; k++) {
+        colors[order[k]] = smallestFreeColor(neighbours, colors, order[k]);
+    }
+    return colors;
+}
+
+// Number of different colors among the colored neighbours of a node
+function saturation(neighbours, colors, node) {
+    var seen = [];
+    for (var k = 0; k < neighbours[node].length; k++) {
+        var color = colors[neighbours[node][k]];
+        if (color !== -1 && seen.indexOf(color) === -1) {
+            seen.push(color);
+        }
+    }
+    return seen.length;
+}
+
+// Uncolored node with the most differently colored neighbours, ties broken by degree, then index
+function mostSaturatedNode(neighbours, colors) {
+    var best = -1;
+    var bestSaturation = -1;
+    for (var i = 0; i < neighbours.length; i++) {
+        if (colors[i] !== -1) {
+            continue;
+        }
+        var s = saturation(neighbours, colors, i);
+        if (s > bestSaturation || (s === bestSaturation && neighbours[i].length > neighbours[best].length)) {
+            best = i;
+            bestSaturation = s;
+        }
+    }
+    return best;
+}
+
+// DSatur coloring (Brélaz): always color the most saturated node next
+function dsaturColoring(neighbours) {
+    var colors = [];
+    for (var i = 0; i < neighbours.length; i++) {
+        colors.push(-1);
+    }
+    for (var k = 0; k < neighbours.length; k++) {
+        var node = mostSaturatedNode(neighbours, colors);
+        colors[node] = smallestFreeColor(neighbours, colors, node);
+    }
+    return colors;
+}
+
+// Number of colors in a coloring
+function countColors(colors) {
+    var count = 0;
+    for (var i = 0; i < colors.length; i++) {
+        count = Math.max(count, colors[i] + 1);
+    }
+    return count;
+}
+
+// Exact chromatic number by backtracking: try to beat the DSatur coloring with one color fewer
+// until that fails. Returns { success, chromaticNumber, colors } or { success: false, error } when
+// the search needs more than maxColoringSteps steps.
+function exactColoring(neighbours) {
+    var best = dsaturColoring(neighbours);
+    var steps = 0;
+
+    // Color the remaining nodes with colors 0..k-1, choosing the most saturated node each time
+    function extend(colors, colored, k) {
+        if (colored === neighbours.length) {
+            return true;
+        }
+        if (++steps > maxColoringSteps) {
+            return false;
+        }
+        var node = mostSaturatedNode(neighbours, colors);
+        var usedSoFar = countColors(colors);
+        // A new color is interchangeable with any other unused one, so only try the first
+        for (var color = 0; color < Math.min(k, usedSoFar + 1); color++) {
+            var free = true;
+            for (var j = 0; j < neighbours[node].length; j++) {
+                if (colors[neighbours[node][j]] === color) {
+                    free = false;
+                    break;
+                }
+            }
+            if (free) {
+                colors[node] = color;
+                if (extend(colors, colored + 1, k)) {
+                    return true;
+                }
+                colors[node] = -1;
+            }
+        }
+        return false;
+    }
+
+    for (var k = countColors(best) - 1; k >= 1; k--) {
+        var colors = best.map(function() { return -1; });
+        steps = 0;
+        if (!extend(colors, 0, k)) {
+            if (steps > maxColoringSteps) {
+                return {
+                    success: false,
+                    error: 'The graph is too large for the exact search (more than ' + maxColoringSteps +
+                        ' steps). DSatur found a coloring with ' + countColors(best) + ' colors.'
+                };
+            }
+            break;
+        }
+        best = colors;
+    }
+
+    return { success: true, chromaticNumber: countColors(best), colors: best };
+}
+
+// Fill the nodes with the colors of a coloring (undoable with Ctrl+Z)
+function applyNodeColors(colors) {
+    clearAlgorithmHighlight();
+    saveState();
+    for (var i = 0; i < nodes.length; i++) {
+        nodes[i].fillColor = nodeFillColors[colors[i] % nodeFillColors.length];
+    }
+    draw();
+}
+
+// List the nodes of each color (or side) for a confirmation message
+function describeColorClasses(colors, labels, className) {
+    var message = '';
+    for (var c = 0; c < countColors(colors); c++) {
+        var members = [];
+        for (var i = 0; i < colors.length; i++) {
+            if (colors[i] === c) {
+                members.push(labels[i]);
+            }
+        }
+        message += '• ' + className + ' ' + (c + 1) + ': ' + members.join(', ') + '\n';
+    }
+    return message;
+}
+
+// Highlight a cycle given by its nodes in red
+function highlightNodeCycle(cycle) {
+    var cycleLinks = [];
+    for (var k = 0; k < cycle.length; k++) {
+        var a = nodes[cycle[k]];
+        var b = nodes[cycle[(k + 1) % cycle.length]];
+        for (var i = 0; i < links.length; i++) {
+            var link = links[i];
+            if (link instanceof Link && ((link.nodeA === a && link.nodeB === b) || (link.nodeA === b && link.nodeB === a))) {
+                cycleLinks.push({ link: link, color: simColors.rejectedState });
+                break;
+            }
+        }
+    }
+    showAlgorithmHighlight(cycle.map(function(i) {
+        return { index: i, color: simColors.rejectedState };
+    }), cycleLinks);
+}
+
+// Main UI handler function - called when user clicks Bipartite?
+// Colors the two sides, or highlights an odd cycle that shows the graph is not bipartite.
+function applyBipartiteCheck() {
+    if (nodes.length === 0) {
+        alert('Cannot check: No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var adjacency = coloringAdjacency(nodes, links);
+    if (adjacency.selfLoops.length > 0) {
+        alert('The graph is not bipartite: ' + labels[adjacency.selfLoops[0]] + ' has a self-loop.');
+        return;
+    }
+
+    var result = checkBipartite(adjacency.neighbours);
+    if (!result.bipartite) {
+        highlightNodeCycle(result.cycle);
+        alert('The graph is not bipartite. It contains an odd cycle:\n\n' +
+            result.cycle.concat([result.cycle[0]]).map(function(i) { return labels[i]; }).join(' – ') +
+            '\n\nThe cycle is highlighted in red. Click the canvas to clear the highlight.');
+        return;
+    }
+
+    var message = 'The graph is bipartite!\n\n' + describeColorClasses(result.side, labels, 'Side') + '\n';
+    message += 'Do you want to color the two sides?';
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    applyNodeColors(result.side);
+    alert('Sides colored!\n\nYou can press Ctrl+Z to undo.');
+}
+
+// Main UI handler function - called when user clicks Color.
+// Colors the nodes with the algorithm chosen in the list next to the button.
+function applyColoring() {
+    if (nodes.length === 0) {
+        alert('Cannot color: No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var adjacency = coloringAdjacency(nodes, links);
+    if (adjacency.selfLoops.length > 0) {
+        alert('Cannot color: ' + labels[adjacency.selfLoops[0]] + ' has a self-loop, so it would need a different color from itself.');
+        return;
+    }
+
+    var select = document.getElementById('coloringAlgorithm');
+    var algorithm = select ? select.value : 'greedy';
+    var colors, name;
+    if (algorithm === 'exact') {
+        var exact = exactColoring(adjacency.neighbours);
+        if (!exact.success) {
+            alert('Cannot compute the chromatic number:\n\n' + exact.error);
+            return;
+        }
+        colors = exact.colors;
+        name = 'Optimal coloring';
+    } else if (algorithm === 'dsatur') {
+        colors = dsaturColoring(adjacency.neighbours);
+        name = 'DSatur coloring';
+    } else {
+        colors = greedyColoring(adjacency.neighbours);
+        name = 'Greedy coloring';
+    }
+
+    var count = countColors(colors);
+    var message = algorithm === 'exact' ?
+        'Chromatic number: ' + count + '\n\nThe graph cannot be colored with fewer colors. An optimal coloring:\n\n' :
+        name + ' uses ' + count + ' color(s):\n\n';
+    message += describeColorClasses(colors, labels, 'Color') + '\n';
+    if (count > nodeFillColors.length) {
+        message += 'Note: there are only ' + nodeFillColors.length + ' fill colors, so some colors repeat.\n\n';
+    }
+    message += 'Do you want to fill the nodes with these colors?';
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    applyNodeColors(colors);
+    alert(name + ' applied!\n\nYou can press Ctrl+Z to undo.');
+}
+
+// Main UI handler function - called when user clicks Clear Colors
+function clearNodeColors() {
+    var colored = nodes.some(function(node) { return node.fillColor; });
+    if (!colored) {
+        return;
+    }
+    saveState();
+    for (var i = 0; i < nodes.length; i++) {
+        nodes[i].fillColor = null;
+    }
+    draw();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        coloringAdjacency: coloringAdjacency,
+        checkBipartite: checkBipartite,
+        greedyColoring: greedyColoring,
+        dsaturColoring: dsaturColoring,
+        countColors: countColors,
+        exactColoring: exactColoring
+    };
+}
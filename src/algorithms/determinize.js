@@ -0,0 +1,124 @@
+// NFA to DFA Conversion for FSM Designer
+// Uses the subset (powerset) construction with epsilon closures
+
+// Largest DFA we are willing to draw on the canvas
+var maxDeterminizeStates = 64;
+
+// Build a display label for a set of source states, e.g. {q0,q2}
+function subsetLabel(stateSet, labels) {
+    return '{' + stateSet.map(function(s) {
+        return labels[s];
+    }).join(',') + '}';
+}
+
+// Run the subset construction on an abstract automaton
+function determinizeAutomaton(automaton) {
+    if (automaton.start < 0) {
+        return { success: false, error: 'No start state defined.' };
+    }
+
+    var dfa = {
+        labels: [],
+        start: 0,
+        accepting: [],
+        alphabet: automaton.alphabet.slice(),
+        transitions: [],
+        sets: []
+    };
+    var indexByKey = {};
+    var queue = [];
+
+    // Register a set of NFA states as a DFA state, returning its index
+    function addSet(stateSet) {
+        stateSet.sort(function(a, b) { return a - b; });
+        var key = stateSet.join(',');
+        if (indexByKey.hasOwnProperty(key)) {
+            return indexByKey[key];
+        }
+        var index = dfa.sets.length;
+        indexByKey[key] = index;
+        dfa.sets.push(stateSet);
+        dfa.labels.push(subsetLabel(stateSet, automaton.labels));
+        dfa.accepting.push(stateSet.some(function(s) {
+            return automaton.accepting[s];
+        }));
+        dfa.transitions.push({});
+        queue.push(index);
+        return index;
+    }
+
+    addSet(automatonClosure(automaton, [automaton.start]));
+
+    while (queue.length > 0) {
+        if (dfa.sets.length > maxDeterminizeStates) {
+            return {
+                success: false,
+                error: 'The DFA would have more than ' + maxDeterminizeStates + ' states, which is too many to draw.'
+            };
+        }
+
+        var current = queue.shift();
+        var currentSet = dfa.sets[current];
+
+        for (var a = 0; a < dfa.alphabet.length; a++) {
+            var symbol = dfa.alphabet[a];
+            var targetSet = [];
+            for (var s = 0; s < currentSet.length; s++) {
+                var targets = automaton.transitions[currentSet[s]][symbol] || [];
+                for (var t = 0; t < targets.length; t++) {
+                    if (targetSet.indexOf(targets[t]) === -1) {
+                        targetSet.push(targets[t]);
+                    }
+                }
+            }
+            dfa.transitions[current][symbol] = [addSet(automatonClosure(automaton, targetSet))];
+        }
+    }
+
+    return { success: true, dfa: dfa };
+}
+
+// Main UI handler function - called when user clicks the Determinize button
+function applyDeterminize() {
+    if (nodes.length === 0) {
+        alert('Cannot determinize: No states in the FSM.');
+        return;
+    }
+
+    var automaton = automatonFromCanvas(nodes, links);
+    if (automaton.start === -1) {
+        alert('Cannot determinize: No start state defined.\n\nAdd a start arrow by shift-dragging from empty space to a state.');
+        return;
+    }
+
+    var result = determinizeAutomaton(automaton);
+    if (!result.success) {
+        alert('Cannot determinize:\n\n' + result.error);
+        return;
+    }
+
+    var message = '';
+    if (isDeterministic(automaton)) {
+        message += 'Note: this machine is already deterministic. The result will add a trap state {} for missing transitions if needed.\n\n';
+    }
+    message += 'Subset construction complete!\n\n';
+    message += '• NFA states: ' + automaton.labels.length + '\n';
+    message += '• DFA states: ' + result.dfa.labels.length + '\n';
+    message += '• Alphabet: {' + automaton.alphabet.join(', ') + '}\n\n';
+    message += 'Do you want to replace the canvas with the DFA?';
+
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    replaceCanvasWithAutomaton(result.dfa);
+
+    alert('DFA applied! ' + result.dfa.labels.length + ' state(s) created.\n\nYou can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        subsetLabel: subsetLabel,
+        determinizeAutomaton: determinizeAutomaton
+    };
+}
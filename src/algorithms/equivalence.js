@@ -0,0 +1,228 @@
+// Language Equivalence Check for FSM Designer
+// Explores the product of both machines' subset constructions breadth-first,
+// so the first disagreement found is a shortest distinguishing string
+
+// Safety limit on explored product states
+var maxEquivalencePairs = 10000;
+
+// Merge two alphabets into one sorted list
+function unionAlphabet(alphabetA, alphabetB) {
+    var merged = alphabetA.slice();
+    for (var i = 0; i < alphabetB.length; i++) {
+        if (merged.indexOf(alphabetB[i]) === -1) {
+            merged.push(alphabetB[i]);
+        }
+    }
+    return merged.sort();
+}
+
+// Follow one symbol from a set of states, including epsilon closures
+function moveOnSymbol(automaton, stateSet, symbol) {
+    var targetSet = [];
+    for (var s = 0; s < stateSet.length; s++) {
+        var targets = automaton.transitions[stateSet[s]][symbol] || [];
+        for (var t = 0; t < targets.length; t++) {
+            if (targetSet.indexOf(targets[t]) === -1) {
+                targetSet.push(targets[t]);
+            }
+        }
+    }
+    return automatonClosure(automaton, targetSet).sort(function(a, b) { return a - b; });
+}
+
+// Check if any state in the set is accepting
+function setAccepts(automaton, stateSet) {
+    return stateSet.some(function(s) {
+        return automaton.accepting[s];
+    });
+}
+
+// Main equivalence check - returns a shortest counterexample when the languages differ
+function checkEquivalence(automatonA, automatonB) {
+    if (automatonA.start < 0 || automatonB.start < 0) {
+        return { success: false, error: 'Both machines need a start state.' };
+    }
+
+    var alphabet = unionAlphabet(automatonA.alphabet, automatonB.alphabet);
+    var startA = automatonClosure(automatonA, [automatonA.start]).sort(function(a, b) { return a - b; });
+    var startB = automatonClosure(automatonB, [automatonB.start]).sort(function(a, b) { return a - b; });
+
+    var visited = {};
+    var queue = [{ setA: startA, setB: startB, word: [] }];
+    visited[startA.join(',') + '|' + startB.join(',')] = true;
+    var explored = 0;
+
+    while (queue.length > 0) {
+        var pair = queue.shift();
+        var acceptsA = setAccepts(automatonA, pair.setA);
+        var acceptsB = setAccepts(automatonB, pair.setB);
+
+        if (acceptsA !== acceptsB) {
+            return {
+                success: true,
+                equivalent: false,
+                counterexample: pair.word.join(''),
+                acceptedByFirst: acceptsA,
+                alphabet: alphabet
+            };
+        }
+
+        explored++;
+        if (explored > maxEquivalencePairs) {
+            return { success: false, error: 'The machines are too large to compare (more than ' + maxEquivalencePairs + ' product states).' };
+        }
+
+        for (var a = 0; a < alphabet.length; a++) {
+            var nextA = moveOnSymbol(automatonA, pair.setA, alphabet[a]);
+            var nextB = moveOnSymbol(automatonB, pair.setB, alphabet[a]);
+            var key = nextA.join(',') + '|' + nextB.join(',');
+            if (!visited[key]) {
+                visited[key] = true;
+                queue.push({ setA: nextA, setB: nextB, word: pair.word.concat([alphabet[a]]) });
+            }
+        }
+    }
+
+    return {
+        success: true,
+        equivalent: true,
+        alphabet: alphabet
+    };
+}
+
+// Read the second machine from the pasted TikZ or the saved reference slot
+function readSecondMachine(useReference) {
+    var machine;
+    if (useReference) {
+        machine = loadReferenceMachine();
+        if (!machine) {
+            return { success: false, error: 'No reference machine saved yet. Use "Save Canvas as Reference" first.' };
+        }
+    } else {
+        var latexCode = document.getElementById('compareInput').value.trim();
+        if (!latexCode) {
+            return { success: false, error: 'Please paste the TikZ code of the second machine.' };
+        }
+        try {
+            machine = importFromLaTeX(latexCode);
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+
+    if (machine.nodes.length === 0) {
+        return { success: false, error: 'The second machine has no states.' };
+    }
+    var automaton = automatonFromCanvas(machine.nodes, machine.links);
+    if (automaton.start === -1) {
+        return { success: false, error: 'The second machine has no start state.' };
+    }
+    return { success: true, automaton: automaton };
+}
+
+// UI functions for the compare modal
+var lastCounterexample = null;
+
+function showCompareModal() {
+    document.getElementById('compareModal').style.display = 'block';
+    document.getElementById('compareModalOverlay').style.display = 'block';
+    hideCompareMessage();
+    document.getElementById('compareInput').focus();
+}
+
+function hideCompareModal() {
+    document.getElementById('compareModal').style.display = 'none';
+    document.getElementById('compareModalOverlay').style.display = 'none';
+}
+
+function showCompareMessage(text, isError) {
+    var message = document.getElementById('compareResult');
+    message.textContent = text;
+    message.className = isError ? 'compare-error' : 'compare-info';
+    message.style.display = 'block';
+}
+
+function hideCompareMessage() {
+    document.getElementById('compareResult').style.display = 'none';
+    document.getElementById('compareSimulateButton').style.display = 'none';
+    lastCounterexample = null;
+}
+
+function saveCanvasAsReference() {
+    if (nodes.length === 0) {
+        showCompareMessage('The canvas is empty - nothing to save.', true);
+        return;
+    }
+    if (saveReferenceMachine()) {
+        showCompareMessage('Saved the canvas as the reference machine (' + nodes.length + ' states).', false);
+    }
+}
+
+// Called from the compare modal buttons
+function compareMachines(useReference) {
+    hideCompareMessage();
+
+    if (nodes.length === 0) {
+        showCompareMessage('The canvas is empty - draw or import a machine first.', true);
+        return;
+    }
+    var canvasAutomaton = automatonFromCanvas(nodes, links);
+    if (canvasAutomaton.start === -1) {
+        showCompareMessage('The canvas machine has no start state.', true);
+        return;
+    }
+
+    var second = readSecondMachine(useReference);
+    if (!second.success) {
+        showCompareMessage('Error: ' + second.error, true);
+        return;
+    }
+
+    var result = checkEquivalence(canvasAutomaton, second.automaton);
+    if (!result.success) {
+        showCompareMessage('Error: ' + result.error, true);
+        return;
+    }
+
+    if (result.equivalent) {
+        showCompareMessage('✓ Equivalent: both machines accept the same language over {' + result.alphabet.join(', ') + '}.', false);
+        return;
+    }
+
+    var shown = result.counterexample === '' ? 'ε (the empty string)' : "'" + result.counterexample + "'";
+    var other = useReference ? 'reference' : 'pasted';
+    var text = '✗ Not equivalent: ' + shown + ' is ' +
+        (result.acceptedByFirst ? 'accepted by the canvas machine and rejected by the ' + other + ' machine.'
+                                : 'rejected by the canvas machine and accepted by the ' + other + ' machine.');
+    showCompareMessage(text, false);
+
+    lastCounterexample = result.counterexample;
+    document.getElementById('compareSimulateButton').style.display = 'inline-block';
+}
+
+// Load the counterexample into the simulation panel
+function simulateCounterexample() {
+    if (lastCounterexample === null) {
+        return;
+    }
+    var counterexample = lastCounterexample;
+    hideCompareModal();
+
+    if (!simulationActive) {
+        enterSimulationMode();
+    } else {
+        handleResetSimulation();
+    }
+    var inputField = document.getElementById('simInput');
+    if (inputField) {
+        inputField.value = counterexample;
+    }
+    handleStartSimulation();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        unionAlphabet: unionAlphabet,
+        checkEquivalence: checkEquivalence
+    };
+}
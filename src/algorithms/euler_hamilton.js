@@ -0,0 +1,507 @@
+// Euler and Hamiltonian Paths for FSM Designer
+// Hierholzer's algorithm for Euler paths/circuits and a backtracking search for Hamiltonian paths/cycles
+//
+// An Euler path uses every edge exactly once (nodes may repeat), a Hamiltonian path visits every node
+// exactly once. Both follow the directed toggle and visit neighbours in label order (see
+// buildNeighbourLists in traversal.js), so the same drawing always gives the same answer.
+
+// The Hamiltonian search tries every ordering of the nodes in the worst case, so it is limited to
+// small graphs and gives up after this many extension steps
+var maxHamiltonianNodes = 20;
+var maxHamiltonianSteps = 200000;
+
+// The node with the smallest label among the candidates, or -1 if there are none
+function firstByLabel(candidates, labels) {
+    var best = -1;
+    for (var k = 0; k < candidates.length; k++) {
+        if (best === -1 || compareLabels(labels[candidates[k]], labels[best]) < 0) {
+            best = candidates[k];
+        }
+    }
+    return best;
+}
+
+// Degrees of every node: { degree } for undirected graphs (a self-loop counts twice),
+// { inDegree, outDegree } for directed ones
+function eulerDegrees(nodeArray, linkArray, isDirected) {
+    var degrees = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        degrees.push(isDirected ? { inDegree: 0, outDegree: 0 } : { degree: 0 });
+    }
+
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        var from, to;
+        if (link instanceof Link) {
+            from = nodeArray.indexOf(link.nodeA);
+            to = nodeArray.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            from = to = nodeArray.indexOf(link.node);
+        } else {
+            continue; // StartLinks are not edges
+        }
+        if (isDirected) {
+            degrees[from].outDegree++;
+            degrees[to].inDegree++;
+        } else {
+            degrees[from].degree++;
+            degrees[to].degree++;
+        }
+    }
+    return degrees;
+}
+
+// Check the degree condition for an Euler path.
+// Returns { circuit, starts, reason } where starts are the nodes the walk may start at and reason explains
+// why there is only a path, or { error } explaining which condition fails.
+function checkEulerDegrees(degrees, labels, isDirected) {
+    var withEdges = [];
+    for (var i = 0; i < degrees.length; i++) {
+        if (isDirected ? degrees[i].inDegree + degrees[i].outDegree > 0 : degrees[i].degree > 0) {
+            withEdges.push(i);
+        }
+    }
+    if (withEdges.length === 0) {
+        return { error: 'The graph has no edges.' };
+    }
+
+    if (!isDirected) {
+        var odd = withEdges.filter(function(i) { return degrees[i].degree % 2 === 1; });
+        if (odd.length === 0) {
+            return { circuit: true, starts: withEdges, reason: null };
+        }
+        if (odd.length === 2) {
+            return {
+                circuit: false,
+                starts: odd,
+                reason: labels[odd[0]] + ' and ' + labels[odd[1]] + ' have odd degree, so an Euler path must start at one of them and end at the other'
+            };
+        }
+        return {
+            error: odd.length + ' nodes have odd degree (' + odd.map(function(i) {
+                return labels[i] + ': ' + degrees[i].degree;
+            }).join(', ') + ').\n\nAn Euler circuit needs every degree to be even, and an Euler path needs exactly 0 or 2 nodes of odd degree.'
+        };
+    }
+
+    var starts = [];
+    var ends = [];
+    var unbalanced = [];
+    for (var k = 0; k < withEdges.length; k++) {
+        var i = withEdges[k];
+        var difference = degrees[i].outDegree - degrees[i].inDegree;
+        if (difference === 1) {
+            starts.push(i);
+        } else if (difference === -1) {
+            ends.push(i);
+        }
+        if (difference !== 0) {
+            unbalanced.push(i);
+        }
+    }
+    if (unbalanced.length === 0) {
+        return { circuit: true, starts: withEdges, reason: null };
+    }
+    if (starts.length === 1 && ends.length === 1 && unbalanced.length === 2) {
+        return {
+            circuit: false,
+            starts: starts,
+            reason: labels[starts[0]] + ' has one more outgoing than incoming edge and ' + labels[ends[0]] +
+                ' one more incoming than outgoing, so an Euler path must start at ' + labels[starts[0]] + ' and end at ' + labels[ends[0]]
+        };
+    }
+    return {
+        error: unbalanced.length + ' node(s) have different in- and out-degrees (' + unbalanced.map(function(i) {
+            return labels[i] + ': in ' + degrees[i].inDegree + ', out ' + degrees[i].outDegree;
+        }).join('; ') + ').\n\nAn Euler circuit needs in-degree = out-degree at every node, and an Euler path allows only one node ' +
+            'with one extra outgoing edge (the start) and one with one extra incoming edge (the end).'
+    };
+}
+
+// Hierholzer's algorithm. Walks from start until it gets stuck, then backs up to the last node with
+// unused edges and splices in a detour from there.
+// Returns { success, circuit, nodes, links, reason } where links[k] leads from nodes[k] to nodes[k + 1],
+// or { success: false, error }. preferredStart (-1 for none) is used if the walk may start there.
+function findEulerPath(nodeArray, linkArray, labels, isDirected, preferredStart) {
+    var check = checkEulerDegrees(eulerDegrees(nodeArray, linkArray, isDirected), labels, isDirected);
+    if (check.error) {
+        return { success: false, error: check.error };
+    }
+
+    var start = check.starts.indexOf(preferredStart) !== -1 ? preferredStart : firstByLabel(check.starts, labels);
+    var neighbours = buildNeighbourLists(nodeArray, linkArray, labels, isDirected);
+    var next = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        next.push(0);
+    }
+
+    var used = [];
+    var stack = [{ node: start, link: null }];
+    var walk = [];
+    while (stack.length > 0) {
+        var top = stack[stack.length - 1];
+        var list = neighbours[top.node];
+        while (next[top.node] < list.length && used.indexOf(list[next[top.node]].link) !== -1) {
+            next[top.node]++;
+        }
+        if (next[top.node] < list.length) {
+            var edge = list[next[top.node]];
+            used.push(edge.link);
+            stack.push({ node: edge.to, link: edge.link });
+        } else {
+            walk.push(stack.pop());
+        }
+    }
+    walk.reverse();
+
+    var edgeCount = linkArray.filter(function(link) {
+        return link instanceof Link || link instanceof SelfLink;
+    }).length;
+    if (used.length < edgeCount) {
+        return {
+            success: false,
+            error: 'The degrees are fine, but the edges are not connected: a walk from ' + labels[start] + ' can only reach ' +
+                used.length + ' of the ' + edgeCount + ' edges.'
+        };
+    }
+
+    return {
+        success: true,
+        circuit: check.circuit,
+        nodes: walk.map(function(step) { return step.node; }),
+        links: walk.slice(1).map(function(step) { return step.link; }),
+        reason: check.reason
+    };
+}
+
+// Backtracking search for a Hamiltonian path (or cycle, if cycle is set).
+// Returns { success, found, nodes, links } where links[k] leads from nodes[k] to nodes[k + 1] (a cycle
+// has one more link, back to the first node), or { success: false, error } when the graph is too big or
+// the search gives up. A start of -1 tries every node.
+function findHamiltonianPath(nodeArray, linkArray, labels, isDirected, cycle, start) {
+    var n = nodeArray.length;
+    if (n > maxHamiltonianNodes) {
+        return {
+            success: false,
+            error: 'The graph has ' + n + ' nodes. The Hamiltonian search tries every ordering of the nodes, so it is limited to ' +
+                maxHamiltonianNodes + ' nodes.'
+        };
+    }
+
+    var neighbours = buildNeighbourLists(nodeArray, linkArray, labels, isDirected);
+    var visited = [];
+    for (var i = 0; i < n; i++) {
+        visited.push(false);
+    }
+    var pathNodes = [];
+    var pathLinks = [];
+    var steps = 0;
+
+    // The link that closes the cycle from the last node back to the first, if there is one
+    function closingLink() {
+        var last = pathNodes[pathNodes.length - 1];
+        var arrivedBy = pathLinks[pathLinks.length - 1];
+        for (var k = 0; k < neighbours[last].length; k++) {
+            var edge = neighbours[last][k];
+            if (edge.to === pathNodes[0] && edge.link !== arrivedBy) {
+                return edge.link;
+            }
+        }
+        return null;
+    }
+
+    function extend(current) {
+        if (++steps > maxHamiltonianSteps) {
+            return false;
+        }
+        if (pathNodes.length === n) {
+            if (!cycle) {
+                return true;
+            }
+            var link = closingLink();
+            if (link) {
+                pathLinks.push(link);
+                pathNodes.push(pathNodes[0]);
+                return true;
+            }
+            return false;
+        }
+
+        for (var k = 0; k < neighbours[current].length; k++) {
+            var edge = neighbours[current][k];
+            if (visited[edge.to]) {
+                continue;
+            }
+            visited[edge.to] = true;
+            pathNodes.push(edge.to);
+            pathLinks.push(edge.link);
+            if (extend(edge.to)) {
+                return true;
+            }
+            visited[edge.to] = false;
+            pathNodes.pop();
+            pathLinks.pop();
+        }
+        return false;
+    }
+
+    // A cycle passes through every node, so one start is enough
+    var starts = [];
+    if (start >= 0) {
+        starts.push(start);
+    } else {
+        for (var i = 0; i < n; i++) {
+            starts.push(i);
+        }
+        starts.sort(function(a, b) {
+            return compareLabels(labels[a], labels[b]);
+        });
+        if (cycle) {
+            starts = starts.slice(0, 1);
+        }
+    }
+
+    for (var s = 0; s < starts.length; s++) {
+        visited[starts[s]] = true;
+        pathNodes = [starts[s]];
+        pathLinks = [];
+        if (extend(starts[s])) {
+            return { success: true, found: true, nodes: pathNodes, links: pathLinks };
+        }
+        visited[starts[s]] = false;
+        if (steps > maxHamiltonianSteps) {
+            return {
+                success: false,
+                error: 'The search gave up after ' + maxHamiltonianSteps + ' steps without finding a Hamiltonian ' +
+                    (cycle ? 'cycle' : 'path') + '. Try a smaller graph.'
+            };
+        }
+    }
+    return { success: true, found: false };
+}
+
+// Describe a walk as "a → b → c"
+function describeWalk(walkNodes, labels, isDirected) {
+    return walkNodes.map(function(i) { return labels[i]; }).join(isDirected ? ' → ' : ' – ');
+}
+
+// Generate the LaTeX list of a walk: one item per edge, in order, with the edge label if it has one.
+// title is a comment like "Euler circuit".
+function generateWalkLaTeX(title, walk, labels, isDirected) {
+    var latex = '% ' + title + ' from $' + escapeLaTeX(labels[walk.nodes[0]]) + '$\n';
+    latex += '\\begin{enumerate}\n';
+    for (var k = 0; k < walk.links.length; k++) {
+        var text = walk.links[k].text ? walk.links[k].text.trim() : '';
+        latex += '    \\item $' + escapeLaTeX(labels[walk.nodes[k]]) + (isDirected ? ' \\to ' : ' - ') +
+            escapeLaTeX(labels[walk.nodes[k + 1]]) + '$' + (text !== '' ? ' (edge $' + escapeLaTeX(text) + '$)' : '') + '\n';
+    }
+    latex += '\\end{enumerate}\n';
+    return latex;
+}
+
+// Record a walk as playback events, one edge at a time (see playback.js)
+function walkPlayback(walk, labels, isDirected) {
+    var arrow = isDirected ? ' → ' : ' – ';
+    var recorder = new PlaybackRecorder();
+    recorder.markState(walk.nodes[0], simColors.currentState, 'start');
+    recorder.record('Start at ' + labels[walk.nodes[0]]);
+
+    for (var k = 0; k < walk.links.length; k++) {
+        if (k > 0) {
+            recorder.markLink(walk.links[k - 1], simColors.acceptedState);
+        }
+        var from = walk.nodes[k];
+        var to = walk.nodes[k + 1];
+        recorder.markState(from, simColors.acceptedState);
+        recorder.markState(to, simColors.currentState);
+        recorder.markLink(walk.links[k], simColors.currentState);
+        var text = walk.links[k].text ? walk.links[k].text.trim() : '';
+        recorder.record('Step ' + (k + 1) + ': ' + labels[from] + arrow + labels[to] + (text !== '' ? ' along edge ' + text : ''));
+    }
+
+    if (walk.links.length > 0) {
+        recorder.markLink(walk.links[walk.links.length - 1], simColors.acceptedState);
+    }
+    recorder.markState(walk.nodes[walk.nodes.length - 1], simColors.acceptedState);
+    return recorder;
+}
+
+// Record the Euler path found by Hierholzer's algorithm as playback events
+function eulerPlayback(nodeArray, linkArray, labels, start, isDirected) {
+    var result = findEulerPath(nodeArray, linkArray, labels, isDirected, start);
+    if (!result.success) {
+        return result;
+    }
+
+    var name = result.circuit ? 'Euler circuit' : 'Euler path';
+    var recorder = walkPlayback(result, labels, isDirected);
+    var summary = name + ' with ' + result.links.length + ' edge(s)';
+    recorder.record('Done: ' + summary + ', every edge used exactly once');
+
+    return {
+        success: true,
+        title: name + ' from ' + labels[result.nodes[0]],
+        events: recorder.events,
+        summary: summary
+    };
+}
+
+// Record a Hamiltonian cycle, or a path if there is no cycle, as playback events
+function hamiltonianPlayback(nodeArray, linkArray, labels, start, isDirected) {
+    var result = findHamiltonianWalk(nodeArray, linkArray, labels, isDirected, start);
+    if (!result.success) {
+        return result;
+    }
+    if (!result.found) {
+        return { success: false, error: 'The graph has no Hamiltonian path' + (start >= 0 ? ' starting at ' + labels[start] : '') + '.' };
+    }
+
+    var name = result.cycle ? 'Hamiltonian cycle' : 'Hamiltonian path';
+    var recorder = walkPlayback(result, labels, isDirected);
+    var summary = name + ' through all ' + nodeArray.length + ' node(s)';
+    recorder.record('Done: ' + summary + ', each visited exactly once');
+
+    return {
+        success: true,
+        title: name + ' from ' + labels[result.nodes[0]],
+        events: recorder.events,
+        summary: summary,
+        keepLinks: result.links
+    };
+}
+
+// Look for a Hamiltonian cycle first, then for a path. Returns the result of findHamiltonianPath
+// with cycle set to tell which one was found, and cycleUnknown if the search for a cycle gave up.
+function findHamiltonianWalk(nodeArray, linkArray, labels, isDirected, start) {
+    var cycleResult = findHamiltonianPath(nodeArray, linkArray, labels, isDirected, true, start);
+    if (cycleResult.success && cycleResult.found) {
+        cycleResult.cycle = true;
+        return cycleResult;
+    }
+    if (nodeArray.length > maxHamiltonianNodes) {
+        return cycleResult;
+    }
+    var result = findHamiltonianPath(nodeArray, linkArray, labels, isDirected, false, start);
+    result.cycle = false;
+    result.cycleUnknown = !cycleResult.success;
+    return result;
+}
+
+// Work out the node a walk should start at: the Source field or the selected node.
+// Unlike getSourceNode there is no fallback, so { index: -1 } lets the algorithm choose.
+function getPreferredStartNode(labels) {
+    var sourceField = document.getElementById('pathSource');
+    var sourceText = sourceField ? sourceField.value.trim() : '';
+    if (sourceText !== '') {
+        var source = findNodeByLabel(labels, sourceText);
+        if (source === -1) {
+            return { error: 'There is no node named "' + sourceText + '".' };
+        }
+        return { index: source };
+    }
+    return { index: selectedObject instanceof Node ? nodes.indexOf(selectedObject) : -1 };
+}
+
+// Highlight a walk: its links in green, its first and last node marked
+function highlightWalk(walk) {
+    var first = walk.nodes[0];
+    var last = walk.nodes[walk.nodes.length - 1];
+    var states = [{ index: first, color: simColors.currentState, note: first === last ? 'start/end' : 'start' }];
+    if (first !== last) {
+        states.push({ index: last, color: simColors.acceptedState, note: 'end' });
+    }
+    showAlgorithmHighlight(states, walk.links.map(function(link) {
+        return { link: link, color: simColors.acceptedState };
+    }));
+}
+
+// Main UI handler function - called when user clicks Euler Path.
+// Starts from the node in the Source field or the selected node if the degrees allow it.
+function applyEulerPath() {
+    if (nodes.length === 0) {
+        alert('Cannot find an Euler path: No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var start = getPreferredStartNode(labels);
+    if (start.error) {
+        alert('Cannot find an Euler path: ' + start.error);
+        return;
+    }
+
+    var result = findEulerPath(nodes, links, labels, directed, start.index);
+    if (!result.success) {
+        alert('No Euler path or circuit exists' + (directed ? ' (directed)' : '') + ':\n\n' + result.error);
+        return;
+    }
+
+    var name = result.circuit ? 'Euler circuit' : 'Euler path';
+    output(generateWalkLaTeX(name, result, labels, directed));
+    highlightWalk(result);
+
+    var message = name + (directed ? ' (directed)' : '') + ' using all ' + result.links.length + ' edge(s):\n\n';
+    message += describeWalk(result.nodes, labels, directed) + '\n\n';
+    if (result.reason) {
+        message += 'There is no Euler circuit: ' + result.reason + '.\n\n';
+    }
+    if (start.index !== -1 && start.index !== result.nodes[0]) {
+        message += 'The walk cannot start at ' + labels[start.index] + ', so it starts at ' + labels[result.nodes[0]] + '.\n\n';
+    }
+    message += 'The walk is exported as a LaTeX list. Choose "Euler" next to "Animate" to follow it edge by edge; click the canvas to clear the highlight.';
+    alert(message);
+}
+
+// Main UI handler function - called when user clicks Hamiltonian Path.
+// Looks for a Hamiltonian cycle, then for a path, from the node in the Source field or the selected
+// node (any node if neither is given).
+function applyHamiltonianPath() {
+    if (nodes.length === 0) {
+        alert('Cannot find a Hamiltonian path: No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var start = getPreferredStartNode(labels);
+    if (start.error) {
+        alert('Cannot find a Hamiltonian path: ' + start.error);
+        return;
+    }
+
+    var result = findHamiltonianWalk(nodes, links, labels, directed, start.index);
+    if (!result.success) {
+        alert('Cannot find a Hamiltonian path:\n\n' + result.error);
+        return;
+    }
+    var from = start.index !== -1 ? ' starting at ' + labels[start.index] : '';
+    if (!result.found) {
+        alert('No Hamiltonian path' + from + ' exists' + (directed ? ' (directed)' : '') + ': no ordering visits all ' +
+            nodes.length + ' node(s) exactly once along the edges.');
+        return;
+    }
+
+    var name = result.cycle ? 'Hamiltonian cycle' : 'Hamiltonian path';
+    output(generateWalkLaTeX(name, result, labels, directed));
+    highlightWalk(result);
+
+    var message = name + (directed ? ' (directed)' : '') + ' through all ' + nodes.length + ' node(s):\n\n';
+    message += describeWalk(result.nodes, labels, directed) + '\n\n';
+    if (result.cycleUnknown) {
+        message += 'The search for a Hamiltonian cycle gave up after ' + maxHamiltonianSteps + ' steps, so there may be one.\n\n';
+    } else if (!result.cycle) {
+        message += 'There is no Hamiltonian cycle' + from + '.\n\n';
+    }
+    message += 'The path is exported as a LaTeX list. Choose "Hamiltonian" next to "Animate" to follow it edge by edge; click the canvas to clear the highlight.';
+    alert(message);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        eulerDegrees: eulerDegrees,
+        checkEulerDegrees: checkEulerDegrees,
+        findEulerPath: findEulerPath,
+        findHamiltonianPath: findHamiltonianPath,
+        findHamiltonianWalk: findHamiltonianWalk,
+        generateWalkLaTeX: generateWalkLaTeX
+    };
+}
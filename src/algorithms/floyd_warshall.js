@@ -0,0 +1,237 @@
+// All-Pairs Shortest Paths for FSM Designer
+// Floyd-Warshall on weighted graphs and Warshall's transitive closure on directed graphs
+//
+// Both algorithms keep every intermediate matrix: D(0) is the weighted adjacency matrix and D(k)
+// allows the first k nodes (in node order) as intermediate stops, so the exports can show how each
+// round changes the table, the way they are worked by hand.
+
+// Build the weighted distance matrix D(0) from the edge labels: 0 on the diagonal, ∞ where there is no
+// edge, and the lightest edge where there are several. Returns { success, matrix } or { success: false, error }.
+function buildDistanceMatrix(nodeArray, linkArray, isDirected) {
+    var weighted = buildWeightedEdges(nodeArray, linkArray, isDirected);
+    if (!weighted.success) {
+        return weighted;
+    }
+
+    var n = nodeArray.length;
+    var matrix = [];
+    for (var i = 0; i < n; i++) {
+        matrix.push([]);
+        for (var j = 0; j < n; j++) {
+            matrix[i].push(i === j ? 0 : Infinity);
+        }
+    }
+    for (var e = 0; e < weighted.edges.length; e++) {
+        var edge = weighted.edges[e];
+        matrix[edge.from][edge.to] = Math.min(matrix[edge.from][edge.to], edge.weight);
+    }
+
+    return { success: true, matrix: matrix };
+}
+
+// Copy a matrix, row by row
+function copyMatrix(matrix) {
+    return matrix.map(function(row) { return row.slice(); });
+}
+
+// Floyd-Warshall. Returns { matrices: [D(0), ..., D(n)], changed, negativeCycleNodes } where changed[k][i][j]
+// tells whether round k improved the distance from i to j (changed[0] is null) and negativeCycleNodes
+// lists the nodes on a negative cycle (their distance to themselves became negative).
+function floydWarshall(matrix) {
+    var n = matrix.length;
+    var matrices = [copyMatrix(matrix)];
+    var changed = [null];
+
+    for (var k = 0; k < n; k++) {
+        var previous = matrices[k];
+        var next = copyMatrix(previous);
+        var round = [];
+        for (var i = 0; i < n; i++) {
+            round.push([]);
+            for (var j = 0; j < n; j++) {
+                var through = previous[i][k] + previous[k][j];
+                var improved = through < previous[i][j];
+                if (improved) {
+                    next[i][j] = through;
+                }
+                round[i].push(improved);
+            }
+        }
+        matrices.push(next);
+        changed.push(round);
+    }
+
+    var last = matrices[n];
+    var negativeCycleNodes = [];
+    for (var i = 0; i < n; i++) {
+        if (last[i][i] < 0) {
+            negativeCycleNodes.push(i);
+        }
+    }
+
+    return { matrices: matrices, changed: changed, negativeCycleNodes: negativeCycleNodes };
+}
+
+// Warshall's algorithm on a 0/1 reachability matrix (edge counts are fine too).
+// Returns { matrices: [R(0), ..., R(n)], changed } like floydWarshall, with 0/1 entries.
+function warshallClosure(matrix) {
+    var n = matrix.length;
+    var matrices = [matrix.map(function(row) {
+        return row.map(function(count) { return count > 0 ? 1 : 0; });
+    })];
+    var changed = [null];
+
+    for (var k = 0; k < n; k++) {
+        var previous = matrices[k];
+        var next = copyMatrix(previous);
+        var round = [];
+        for (var i = 0; i < n; i++) {
+            round.push([]);
+            for (var j = 0; j < n; j++) {
+                var added = !previous[i][j] && previous[i][k] === 1 && previous[k][j] === 1;
+                if (added) {
+                    next[i][j] = 1;
+                }
+                round[i].push(added);
+            }
+        }
+        matrices.push(next);
+        changed.push(round);
+    }
+
+    return { matrices: matrices, changed: changed };
+}
+
+// Generate the LaTeX tabulars of a matrix sequence, one per round, with the cells changed in that round
+// highlighted. symbol is 'D' or 'R'; formatCell turns an entry into math-mode LaTeX.
+function generateMatrixSequenceLaTeX(title, symbol, result, labels, formatCell) {
+    var n = labels.length;
+    var latex = '% ' + title + '\n';
+    latex += '% Changed cells are highlighted with \\cellcolor (needs \\usepackage[table]{xcolor})\n';
+
+    for (var k = 0; k < result.matrices.length; k++) {
+        var matrix = result.matrices[k];
+        latex += k === 0 ?
+            '% ' + symbol + '(0): no intermediate nodes\n' :
+            '% ' + symbol + '(' + k + '): paths may also pass through $' + latexMatrixCell(labels[k - 1]) + '$\n';
+        latex += '\\begin{center}\n';
+        latex += '\\begin{tabular}{c|' + 'c'.repeat(n) + '}\n';
+
+        latex += '$' + symbol + '^{(' + k + ')}$';
+        for (var j = 0; j < n; j++) {
+            latex += ' & $' + latexMatrixCell(labels[j]) + '$';
+        }
+        latex += ' \\\\\n';
+        latex += '\\hline\n';
+
+        for (var i = 0; i < n; i++) {
+            latex += '$' + latexMatrixCell(labels[i]) + '$';
+            for (var j = 0; j < n; j++) {
+                var highlight = k > 0 && result.changed[k][i][j];
+                latex += ' & ' + (highlight ? '\\cellcolor{yellow!40}' : '') + '$' + formatCell(matrix[i][j]) + '$';
+            }
+            latex += ' \\\\\n';
+        }
+
+        latex += '\\end{tabular}\n';
+        latex += '\\end{center}\n';
+    }
+
+    return latex;
+}
+
+// A Floyd-Warshall entry in math mode
+function formatDistanceCell(distance) {
+    return distance === Infinity ? '\\infty' : formatDistance(distance);
+}
+
+// Count the cells changed over all rounds
+function countChangedCells(changed) {
+    var count = 0;
+    for (var k = 1; k < changed.length; k++) {
+        for (var i = 0; i < changed[k].length; i++) {
+            for (var j = 0; j < changed[k][i].length; j++) {
+                if (changed[k][i][j]) {
+                    count++;
+                }
+            }
+        }
+    }
+    return count;
+}
+
+// Main UI handler function - called when user clicks Floyd-Warshall.
+// Exports D(0) ... D(n) as LaTeX tables; the edge labels are the weights.
+function applyFloydWarshall() {
+    if (nodes.length === 0) {
+        alert('Cannot compute all-pairs shortest paths: No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var distances = buildDistanceMatrix(nodes, links, directed);
+    if (!distances.success) {
+        alert('Cannot compute all-pairs shortest paths:\n\n' + distances.error);
+        return;
+    }
+
+    var result = floydWarshall(distances.matrix);
+    var latex = generateMatrixSequenceLaTeX('Floyd-Warshall: all-pairs shortest paths' + (directed ? '' : ' (undirected)'),
+        'D', result, labels, formatDistanceCell);
+    if (result.negativeCycleNodes.length > 0) {
+        latex += '% Negative cycle through $' + result.negativeCycleNodes.map(function(i) {
+            return latexMatrixCell(labels[i]);
+        }).join('$, $') + '$: shortest distances are not defined.\n';
+    }
+    output(latex);
+
+    var message = 'Floyd-Warshall: ' + nodes.length + ' round(s), ' + countChangedCells(result.changed) +
+        ' cell(s) improved along the way.\n\n';
+    if (result.negativeCycleNodes.length > 0) {
+        showAlgorithmHighlight(result.negativeCycleNodes.map(function(i) {
+            return { index: i, color: simColors.rejectedState };
+        }), []);
+        message += 'Negative cycle found! ' + result.negativeCycleNodes.map(function(i) { return labels[i]; }).join(', ') +
+            ' can reach themselves with negative length' + (directed ? '' : ' (in an undirected graph any negative edge is a negative cycle)') +
+            ', so shortest distances are not defined. These nodes are highlighted in red.\n\n';
+    }
+    message += 'The matrices D(0) to D(' + nodes.length + ') are exported as LaTeX tables, with the cells changed in each round highlighted.';
+    alert(message);
+}
+
+// Main UI handler function - called when user clicks Transitive Closure.
+// Exports R(0) ... R(n) of Warshall's algorithm as LaTeX tables; edge labels are ignored.
+function applyTransitiveClosure() {
+    if (nodes.length === 0) {
+        alert('Cannot compute the transitive closure: No nodes in the graph.');
+        return;
+    }
+    if (!directed) {
+        alert('Cannot compute the transitive closure: The graph is undirected.\n\nTurn on "Directed Links" first.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var result = warshallClosure(buildAdjacencyMatrix(labels));
+    output(generateMatrixSequenceLaTeX('Warshall: transitive closure', 'R', result, labels, String));
+
+    var closure = result.matrices[result.matrices.length - 1];
+    var pairs = 0;
+    for (var i = 0; i < closure.length; i++) {
+        for (var j = 0; j < closure.length; j++) {
+            pairs += closure[i][j];
+        }
+    }
+    alert('Transitive closure: ' + pairs + ' reachable pair(s), ' + countChangedCells(result.changed) + ' of them added by Warshall\'s algorithm.\n\n' +
+        'The matrices R(0) to R(' + nodes.length + ') are exported as LaTeX tables, with the cells changed in each round highlighted.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildDistanceMatrix: buildDistanceMatrix,
+        floydWarshall: floydWarshall,
+        warshallClosure: warshallClosure,
+        generateMatrixSequenceLaTeX: generateMatrixSequenceLaTeX,
+        formatDistanceCell: formatDistanceCell
+    };
+}
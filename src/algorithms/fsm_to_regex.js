@@ -0,0 +1,258 @@
+// FSM to Regular Expression for FSM Designer
+// Uses the GNFA state-elimination method, recording every elimination step
+//
+// Regular expressions are kept as small syntax trees (the same node types parseRegex produces,
+// plus 'empty' for the empty language) and simplified as they are built.
+
+// Regex constructors that apply the usual identities as they build
+var regexEmpty = { type: 'empty' };
+var regexEpsilon = { type: 'epsilon' };
+
+function regexSymbol(symbol) {
+    return { type: 'symbol', symbol: symbol };
+}
+
+function regexUnion(a, b) {
+    if (a.type === 'empty') return b;
+    if (b.type === 'empty') return a;
+    if (regexToString(a) === regexToString(b)) return a;
+    // ε ∪ r* = r*
+    if (a.type === 'epsilon' && b.type === 'star') return b;
+    if (b.type === 'epsilon' && a.type === 'star') return a;
+    return { type: 'union', left: a, right: b };
+}
+
+function regexConcat(a, b) {
+    if (a.type === 'empty' || b.type === 'empty') return regexEmpty;
+    if (a.type === 'epsilon') return b;
+    if (b.type === 'epsilon') return a;
+    return { type: 'concat', left: a, right: b };
+}
+
+function regexStar(a) {
+    if (a.type === 'empty' || a.type === 'epsilon') return regexEpsilon;
+    if (a.type === 'star') return a;
+    return { type: 'star', child: a };
+}
+
+// Binding strength used to decide where parentheses are needed
+function regexPrecedence(node) {
+    switch (node.type) {
+        case 'union': return 0;
+        case 'concat': return 1;
+        default: return 2;
+    }
+}
+
+// Write a symbol so parseRegex reads it back as one symbol: operator characters are escaped
+// and multi-character symbols go in braces
+function regexSymbolToString(symbol) {
+    if (symbol.length > 1) {
+        return '{' + symbol.replace(/[\\}]/g, '\\$&') + '}';
+    }
+    return /[|*+?(){}\\\s∅]/.test(symbol) || isEpsilonSymbol(symbol) ? '\\' + symbol : symbol;
+}
+
+// Print a regex in the syntax accepted by the Regex → NFA box
+function regexToString(node) {
+    function wrap(child, minPrecedence) {
+        var text = regexToString(child);
+        return regexPrecedence(child) < minPrecedence ? '(' + text + ')' : text;
+    }
+    switch (node.type) {
+        case 'empty': return '∅';
+        case 'epsilon': return EPSILON;
+        case 'symbol': return regexSymbolToString(node.symbol);
+        case 'union': return wrap(node.left, 0) + '|' + wrap(node.right, 0);
+        case 'concat': return wrap(node.left, 1) + wrap(node.right, 1);
+        case 'star': return wrap(node.child, 2) + '*';
+    }
+    return '';
+}
+
+// Print a regex as LaTeX math (without the surrounding $)
+function regexToLaTeX(node) {
+    function wrap(child, minPrecedence) {
+        var text = regexToLaTeX(child);
+        return regexPrecedence(child) < minPrecedence ? '(' + text + ')' : text;
+    }
+    switch (node.type) {
+        case 'empty': return '\\emptyset';
+        case 'epsilon': return '\\varepsilon';
+        case 'symbol': return escapeLaTeX(node.symbol);
+        case 'union': return wrap(node.left, 0) + ' \\cup ' + wrap(node.right, 0);
+        case 'concat': return wrap(node.left, 1) + wrap(node.right, 1);
+        case 'star':
+            var inner = wrap(node.child, 2);
+            return (node.child.type === 'symbol' ? inner : '{' + inner + '}') + '^*';
+    }
+    return '';
+}
+
+// Main state-elimination function - returns the regex and a snapshot after every step
+function eliminateStates(automaton) {
+    if (automaton.start < 0) {
+        return { success: false, error: 'No start state defined.' };
+    }
+
+    var n = automaton.labels.length;
+    var startIndex = n;      // new GNFA start state
+    var acceptIndex = n + 1; // new GNFA accept state
+    var names = automaton.labels.concat(['start', 'accept']);
+
+    // R[i][j] holds the regex on the GNFA edge from i to j
+    var R = [];
+    for (var i = 0; i < n + 2; i++) {
+        R[i] = [];
+        for (var j = 0; j < n + 2; j++) {
+            R[i][j] = regexEmpty;
+        }
+    }
+    for (var i = 0; i < n; i++) {
+        for (var symbol in automaton.transitions[i]) {
+            var targets = automaton.transitions[i][symbol];
+            var edge = symbol === EPSILON ? regexEpsilon : regexSymbol(symbol);
+            for (var t = 0; t < targets.length; t++) {
+                R[i][targets[t]] = regexUnion(R[i][targets[t]], edge);
+            }
+        }
+        if (automaton.accepting[i]) {
+            R[i][acceptIndex] = regexEpsilon;
+        }
+    }
+    R[startIndex][automaton.start] = regexEpsilon;
+
+    var remaining = [];
+    for (var i = 0; i < n + 2; i++) {
+        remaining.push(i);
+    }
+
+    var steps = [{ eliminated: null, edges: snapshotEdges(R, remaining) }];
+
+    // Eliminate original states, cheapest first (fewest in-edges × out-edges)
+    while (remaining.length > 2) {
+        var best = -1;
+        var bestCost = Infinity;
+        for (var k = 0; k < remaining.length; k++) {
+            var q = remaining[k];
+            if (q === startIndex || q === acceptIndex) continue;
+            var ins = 0, outs = 0;
+            for (var m = 0; m < remaining.length; m++) {
+                var other = remaining[m];
+                if (other === q) continue;
+                if (R[other][q].type !== 'empty') ins++;
+                if (R[q][other].type !== 'empty') outs++;
+            }
+            if (ins * outs < bestCost) {
+                bestCost = ins * outs;
+                best = q;
+            }
+        }
+
+        var loop = regexStar(R[best][best]);
+        remaining.splice(remaining.indexOf(best), 1);
+        var updated = [];
+        for (var a = 0; a < remaining.length; a++) {
+            var from = remaining[a];
+            if (R[from][best].type === 'empty') continue;
+            for (var b = 0; b < remaining.length; b++) {
+                var to = remaining[b];
+                if (R[best][to].type === 'empty') continue;
+                var through = regexConcat(R[from][best], regexConcat(loop, R[best][to]));
+                R[from][to] = regexUnion(R[from][to], through);
+                updated.push({ from: from, to: to });
+            }
+        }
+
+        steps.push({ eliminated: best, updated: updated, edges: snapshotEdges(R, remaining) });
+    }
+
+    return {
+        success: true,
+        regex: R[startIndex][acceptIndex],
+        names: names,
+        steps: steps
+    };
+}
+
+// List the non-empty edges between the remaining GNFA states
+function snapshotEdges(R, remaining) {
+    var edges = [];
+    for (var a = 0; a < remaining.length; a++) {
+        for (var b = 0; b < remaining.length; b++) {
+            var regex = R[remaining[a]][remaining[b]];
+            if (regex.type !== 'empty') {
+                edges.push({ from: remaining[a], to: remaining[b], regex: regex });
+            }
+        }
+    }
+    return edges;
+}
+
+// Generate LaTeX for all elimination steps, ending with the final regex
+function generateStateEliminationLaTeX(result) {
+    var names = result.names;
+    function stateName(index) {
+        if (index === names.length - 2) return 'q_{\\mathrm{start}}';
+        if (index === names.length - 1) return 'q_{\\mathrm{accept}}';
+        return escapeLaTeX(names[index]);
+    }
+
+    var latex = '% GNFA state elimination\n';
+    latex += '% Each step lists the GNFA edges $R(p, q)$ that remain after removing one state\n';
+
+    for (var s = 0; s < result.steps.length; s++) {
+        var step = result.steps[s];
+        if (step.eliminated === null) {
+            latex += '\\paragraph{Step ' + s + ': GNFA with new start and accept states}\n';
+        } else {
+            latex += '\\paragraph{Step ' + s + ': eliminate $' + stateName(step.eliminated) + '$}\n';
+        }
+        latex += '\\begin{itemize}\n';
+        for (var e = 0; e < step.edges.length; e++) {
+            var edge = step.edges[e];
+            var changed = step.updated && step.updated.some(function(u) {
+                return u.from === edge.from && u.to === edge.to;
+            });
+            latex += '    \\item $R(' + stateName(edge.from) + ', ' + stateName(edge.to) + ') = ' + regexToLaTeX(edge.regex) + '$' + (changed ? ' (updated)' : '') + '\n';
+        }
+        latex += '\\end{itemize}\n';
+    }
+
+    latex += '\n% Final regular expression (plain: ' + regexToString(result.regex) + ')\n';
+    latex += '\\[ ' + regexToLaTeX(result.regex) + ' \\]\n';
+
+    return latex;
+}
+
+// Main UI handler function - called when user clicks the FSM to Regex button
+function exportRegexFromFSM() {
+    if (nodes.length === 0) {
+        output('No nodes in the graph to export.');
+        return;
+    }
+
+    var automaton = automatonFromCanvas(nodes, links);
+    if (automaton.start === -1) {
+        alert('Cannot build a regular expression: No start state defined.\n\nAdd a start arrow by shift-dragging from empty space to a state.');
+        return;
+    }
+
+    var result = eliminateStates(automaton);
+    if (!result.success) {
+        alert('Cannot build a regular expression:\n\n' + result.error);
+        return;
+    }
+
+    output(generateStateEliminationLaTeX(result));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        regexUnion: regexUnion,
+        regexConcat: regexConcat,
+        regexStar: regexStar,
+        regexToString: regexToString,
+        eliminateStates: eliminateStates
+    };
+}
@@ -0,0 +1,309 @@
+// Maximum Flow for FSM Designer
+// Edmonds-Karp max-flow and min-cut between a source and a sink on directed graphs
+//
+// Edge labels are capacities, read like MST weights. A label of the form "flow/capacity" (as written
+// by a previous run) is read by its capacity, so the solver can be run again after editing.
+
+// Read the capacity from an edge label, ignoring a "flow/" prefix
+function parseCapacity(text) {
+    var slash = text ? text.lastIndexOf('/') : -1;
+    var result = parseEdgeWeight(slash === -1 ? text : text.substring(slash + 1));
+    if (result.valid && result.weight < 0) {
+        return { valid: false, error: 'Edge capacity ' + result.weight + ' is negative' };
+    }
+    return result;
+}
+
+// Read the flow network from the canvas.
+// Returns { success, edges: [{ link, from, to, capacity, flow }], selfLoopCount } or { success: false, error }.
+function buildFlowNetwork(nodeArray, linkArray) {
+    var edges = [];
+    var selfLoopCount = 0;
+
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        if (link instanceof SelfLink) {
+            selfLoopCount++; // A self-loop can never carry flow
+            continue;
+        }
+        if (!(link instanceof Link)) {
+            continue;
+        }
+
+        var parsed = parseCapacity(link.text);
+        if (!parsed.valid) {
+            return { success: false, error: parsed.error };
+        }
+        edges.push({
+            link: link,
+            from: nodeArray.indexOf(link.nodeA),
+            to: nodeArray.indexOf(link.nodeB),
+            capacity: parsed.weight,
+            flow: 0
+        });
+    }
+
+    return { success: true, edges: edges, selfLoopCount: selfLoopCount };
+}
+
+// Find a shortest augmenting path in the residual network by BFS.
+// Returns a list of { edge, forward } steps from source to sink, or null if the sink cannot be reached.
+// Also returns the nodes reached, which form the source side of a minimum cut once no path is left.
+function findAugmentingPath(nodeCount, edges, source, sink) {
+    var parent = [];
+    var reached = [];
+    for (var i = 0; i < nodeCount; i++) {
+        parent.push(null);
+        reached.push(false);
+    }
+    reached[source] = true;
+
+    var queue = [source];
+    for (var head = 0; head < queue.length && !reached[sink]; head++) {
+        var current = queue[head];
+        for (var e = 0; e < edges.length; e++) {
+            var edge = edges[e];
+            // Forward residual capacity, or flow that can be pushed back
+            var next = -1;
+            if (edge.from === current && edge.flow < edge.capacity) {
+                next = edge.to;
+            } else if (edge.to === current && edge.flow > 0) {
+                next = edge.from;
+            }
+            if (next !== -1 && !reached[next]) {
+                reached[next] = true;
+                parent[next] = { edge: edge, forward: next === edge.to };
+                queue.push(next);
+            }
+        }
+    }
+
+    if (!reached[sink]) {
+        return { path: null, reached: reached };
+    }
+
+    var path = [];
+    for (var v = sink; v !== source; v = path[0].forward ? path[0].edge.from : path[0].edge.to) {
+        path.unshift(parent[v]);
+    }
+    return { path: path, reached: reached };
+}
+
+// Edmonds-Karp maximum flow from source to sink.
+// Returns { success, value, edges (with their flow), paths: [{ nodes, amount }], sourceSide, cutEdges, warnings }
+// where sourceSide[i] tells on which side of the minimum cut node i lies, or { success: false, error }.
+function computeMaxFlow(nodeArray, linkArray, source, sink) {
+    if (source === sink) {
+        return { success: false, error: 'The source and the sink must be different nodes' };
+    }
+
+    var network = buildFlowNetwork(nodeArray, linkArray);
+    if (!network.success) {
+        return network;
+    }
+    var edges = network.edges;
+
+    var warnings = [];
+    if (network.selfLoopCount > 0) {
+        warnings.push(network.selfLoopCount + ' self-loop(s) ignored (they cannot carry flow)');
+    }
+
+    var value = 0;
+    var paths = [];
+    var search;
+    while ((search = findAugmentingPath(nodeArray.length, edges, source, sink)).path) {
+        var path = search.path;
+
+        var amount = Infinity;
+        for (var k = 0; k < path.length; k++) {
+            var step = path[k];
+            amount = Math.min(amount, step.forward ? step.edge.capacity - step.edge.flow : step.edge.flow);
+        }
+        if (amount === Infinity) {
+            return { success: false, error: 'The flow is unbounded: there is a path of infinite capacity from the source to the sink' };
+        }
+
+        var pathNodes = [source];
+        for (var k = 0; k < path.length; k++) {
+            path[k].edge.flow += path[k].forward ? amount : -amount;
+            pathNodes.push(path[k].forward ? path[k].edge.to : path[k].edge.from);
+        }
+        value += amount;
+        paths.push({ nodes: pathNodes, steps: path, amount: amount });
+    }
+
+    // The cut edges lead from the nodes still reachable in the residual network to the rest
+    var sourceSide = search.reached;
+    var cutEdges = edges.filter(function(edge) {
+        return sourceSide[edge.from] && !sourceSide[edge.to];
+    });
+
+    return {
+        success: true,
+        value: value,
+        edges: edges,
+        paths: paths,
+        sourceSide: sourceSide,
+        cutEdges: cutEdges,
+        warnings: warnings
+    };
+}
+
+// Record the augmenting paths of Edmonds-Karp as playback events (see playback.js)
+function maxFlowPlayback(nodeArray, linkArray, labels, source, sink) {
+    var result = computeMaxFlow(nodeArray, linkArray, source, sink);
+    if (!result.success) {
+        return result;
+    }
+
+    // Replay the augmentations on fresh flows
+    var flow = [];
+    for (var e = 0; e < result.edges.length; e++) {
+        flow.push(0);
+    }
+
+    var recorder = new PlaybackRecorder();
+    recorder.markState(source, simColors.acceptedState, 'source');
+    recorder.markState(sink, simColors.rejectedState, 'sink');
+    recorder.record('Find the maximum flow from ' + labels[source] + ' to ' + labels[sink] + ', starting with no flow');
+
+    var total = 0;
+    for (var p = 0; p < result.paths.length; p++) {
+        var path = result.paths[p];
+        for (var k = 0; k < path.steps.length; k++) {
+            recorder.markLink(path.steps[k].edge.link, simColors.currentState);
+        }
+        var backwards = path.steps.some(function(step) { return !step.forward; });
+        recorder.record('Augmenting path ' + path.nodes.map(function(i) { return labels[i]; }).join(' → ') +
+            ' with bottleneck ' + formatDistance(path.amount) + (backwards ? ' (it pushes flow back along an edge)' : ''));
+
+        total += path.amount;
+        for (var k = 0; k < path.steps.length; k++) {
+            var edge = path.steps[k].edge;
+            var index = result.edges.indexOf(edge);
+            flow[index] += path.steps[k].forward ? path.amount : -path.amount;
+            if (flow[index] === 0) {
+                recorder.unmarkLink(edge.link);
+            } else {
+                recorder.markLink(edge.link, flow[index] === edge.capacity ? simColors.rejectedState : simColors.acceptedState);
+            }
+        }
+        recorder.record('Push ' + formatDistance(path.amount) + ' along it: the flow is now ' + formatDistance(total) +
+            ' (saturated edges are red)');
+    }
+
+    for (var i = 0; i < nodeArray.length; i++) {
+        if (i !== source && i !== sink && result.sourceSide[i]) {
+            recorder.markState(i, simColors.acceptedState);
+        }
+    }
+    recorder.record('No augmenting path is left. The nodes still reachable from ' + labels[source] +
+        ' (green) form the source side of a minimum cut');
+
+    var summary = 'maximum flow ' + formatDistance(result.value) + ' from ' + labels[source] + ' to ' + labels[sink];
+    recorder.record('Done: ' + summary + ', equal to the capacity of the ' + result.cutEdges.length + ' cut edge(s)');
+
+    return {
+        success: true,
+        title: 'Edmonds-Karp from ' + labels[source] + ' to ' + labels[sink],
+        events: recorder.events,
+        summary: summary
+    };
+}
+
+// Work out the sink for max flow from the Target field. Returns { index } or { error }.
+function getSinkNode(labels) {
+    var targetField = document.getElementById('pathTarget');
+    var targetText = targetField ? targetField.value.trim() : '';
+    if (targetText === '') {
+        return { error: 'No sink node.\n\nType the sink in the Target field.' };
+    }
+    var sink = findNodeByLabel(labels, targetText);
+    if (sink === -1) {
+        return { error: 'There is no node named "' + targetText + '".' };
+    }
+    return { index: sink };
+}
+
+// Main UI handler function - called when user clicks Max Flow.
+// Relabels every edge "flow/capacity" (undoable) and highlights a minimum cut.
+function applyMaxFlow() {
+    if (nodes.length === 0) {
+        alert('Cannot compute max flow: No nodes in the graph.');
+        return;
+    }
+    if (!directed) {
+        alert('Cannot compute max flow: The graph is undirected.\n\nFlow networks need directed edges. Turn on "Directed Links" first.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var source = getSourceNode(labels);
+    if (source.error) {
+        alert('Cannot compute max flow: ' + source.error);
+        return;
+    }
+    var sink = getSinkNode(labels);
+    if (sink.error) {
+        alert('Cannot compute max flow: ' + sink.error);
+        return;
+    }
+
+    var result = computeMaxFlow(nodes, links, source.index, sink.index);
+    if (!result.success) {
+        alert('Cannot compute max flow:\n\n' + result.error);
+        return;
+    }
+
+    var message = '';
+    if (result.warnings.length > 0) {
+        message += 'Warnings:\n';
+        for (var i = 0; i < result.warnings.length; i++) {
+            message += '• ' + result.warnings[i] + '\n';
+        }
+        message += '\n';
+    }
+    message += 'Maximum flow from ' + labels[source.index] + ' to ' + labels[sink.index] + ': ' + formatDistance(result.value) + '\n\n';
+    message += '• Augmenting paths: ' + result.paths.length + '\n';
+    for (var p = 0; p < result.paths.length; p++) {
+        message += '    ' + (p + 1) + '. ' + result.paths[p].nodes.map(function(i) { return labels[i]; }).join(' → ') +
+            ' (+' + formatDistance(result.paths[p].amount) + ')\n';
+    }
+    message += '• Minimum cut: ' + result.cutEdges.map(function(edge) {
+        return labels[edge.from] + ' → ' + labels[edge.to];
+    }).join(', ') + '\n\n';
+    message += 'Do you want to label every edge "flow/capacity" and highlight the minimum cut?';
+
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    saveState();
+    for (var e = 0; e < result.edges.length; e++) {
+        var edge = result.edges[e];
+        edge.link.text = formatDistance(edge.flow) + '/' + formatDistance(edge.capacity);
+    }
+
+    var states = [];
+    for (var i = 0; i < nodes.length; i++) {
+        if (result.sourceSide[i]) {
+            states.push({ index: i, color: simColors.acceptedState, note: i === source.index ? 'source' : undefined });
+        }
+    }
+    states.push({ index: sink.index, color: simColors.rejectedState, note: 'sink' });
+    showAlgorithmHighlight(states, result.cutEdges.map(function(edge) {
+        return { link: edge.link, color: simColors.rejectedState };
+    }));
+
+    alert('Max flow applied! The minimum cut edges are red and the source side of the cut is green.\n\n' +
+        'Click the canvas to clear the highlight. You can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseCapacity: parseCapacity,
+        buildFlowNetwork: buildFlowNetwork,
+        computeMaxFlow: computeMaxFlow,
+        maxFlowPlayback: maxFlowPlayback
+    };
+}
@@ -0,0 +1,210 @@
+// Mealy/Moore Conversion for FSM Designer
+// Turns a Mealy machine into an equivalent Moore machine and back
+//
+// Mealy to Moore splits each state q into one copy (q,o) per output o written on its incoming
+// arrows, so the copy can write o itself. Moore to Mealy moves each state's output onto the
+// arrows entering it. The Moore form writes one extra symbol for its start state, which the
+// Mealy form has no place for.
+
+// Read a Mealy or Moore machine from the canvas: state names and outputs plus a list of
+// { from, to, input, output } transitions with the output written when following them
+function transducerFromCanvas(nodeArray, linkArray, type) {
+    var transducer = {
+        labels: [],
+        outputs: [],
+        start: findStartState(nodeArray, linkArray),
+        accepting: [],
+        edges: []
+    };
+
+    for (var i = 0; i < nodeArray.length; i++) {
+        var text = nodeArray[i].text ? nodeArray[i].text.trim() : '';
+        var parsed = type === 'moore' ? parseMooreNodeText(text) : { name: text, output: '' };
+        transducer.labels.push(parsed.name || ('q' + i));
+        transducer.outputs.push(parsed.output);
+        transducer.accepting.push(!!nodeArray[i].isAcceptState);
+    }
+
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        var from, to;
+        if (link instanceof Link) {
+            from = nodeArray.indexOf(link.nodeA);
+            to = nodeArray.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            from = to = nodeArray.indexOf(link.node);
+        } else {
+            continue;
+        }
+
+        if (type === 'moore') {
+            var symbols = parseTransitionLabel(link.text);
+            for (var s = 0; s < symbols.length; s++) {
+                transducer.edges.push({ from: from, to: to, input: symbols[s], output: transducer.outputs[to] });
+            }
+        } else {
+            var pairs = parseMealyLabel(link.text);
+            for (var p = 0; p < pairs.length; p++) {
+                transducer.edges.push({ from: from, to: to, input: pairs[p].input, output: pairs[p].output });
+            }
+        }
+    }
+
+    return transducer;
+}
+
+// Alphabet of a transducer's inputs, sorted like getAlphabet
+function transducerAlphabet(transducer) {
+    var alphabet = [];
+    for (var e = 0; e < transducer.edges.length; e++) {
+        var input = transducer.edges[e].input;
+        if (input !== EPSILON && alphabet.indexOf(input) === -1) {
+            alphabet.push(input);
+        }
+    }
+    return alphabet.sort();
+}
+
+// Convert a Mealy machine into an abstract automaton for the equivalent Moore machine.
+// State labels are written "name/output" as the Moore form expects.
+function mealyToMoore(transducer) {
+    // copies[q] lists the outputs q needs a copy for, in order of first appearance
+    var copies = [];
+    for (var q = 0; q < transducer.labels.length; q++) {
+        copies.push(q === transducer.start ? [''] : []);
+    }
+    for (var e = 0; e < transducer.edges.length; e++) {
+        var edge = transducer.edges[e];
+        if (copies[edge.to].indexOf(edge.output) === -1) {
+            copies[edge.to].push(edge.output);
+        }
+    }
+    // States nobody enters keep a single copy that writes nothing
+    for (var q = 0; q < copies.length; q++) {
+        if (copies[q].length === 0) {
+            copies[q].push('');
+        }
+    }
+
+    var moore = {
+        labels: [],
+        start: -1,
+        accepting: [],
+        alphabet: transducerAlphabet(transducer),
+        transitions: []
+    };
+    var index = [];
+    for (var q = 0; q < copies.length; q++) {
+        index[q] = {};
+        for (var c = 0; c < copies[q].length; c++) {
+            var output = copies[q][c];
+            var name = copies[q].length === 1 ? transducer.labels[q] :
+                '(' + transducer.labels[q] + ',' + (output === '' ? EPSILON : output) + ')';
+            index[q][output] = moore.labels.length;
+            moore.labels.push(output === '' ? name : name + '/' + output);
+            moore.accepting.push(transducer.accepting[q]);
+            moore.transitions.push({});
+        }
+    }
+    if (transducer.start >= 0) {
+        moore.start = index[transducer.start][''];
+    }
+
+    // Every copy of q leaves on the same arrows as q did, into the copy matching the output
+    for (var e = 0; e < transducer.edges.length; e++) {
+        var edge = transducer.edges[e];
+        var target = index[edge.to][edge.output];
+        for (var output in index[edge.from]) {
+            var row = moore.transitions[index[edge.from][output]];
+            if (!row[edge.input]) {
+                row[edge.input] = [];
+            }
+            if (row[edge.input].indexOf(target) === -1) {
+                row[edge.input].push(target);
+            }
+        }
+    }
+
+    return moore;
+}
+
+// Convert a Moore machine into an abstract automaton for the equivalent Mealy machine.
+// Transition symbols are written "input/output" as the Mealy form expects.
+function mooreToMealy(transducer) {
+    var mealy = {
+        labels: transducer.labels.slice(),
+        start: transducer.start,
+        accepting: transducer.accepting.slice(),
+        alphabet: transducerAlphabet(transducer),
+        transitions: []
+    };
+    for (var q = 0; q < transducer.labels.length; q++) {
+        mealy.transitions.push({});
+    }
+
+    for (var e = 0; e < transducer.edges.length; e++) {
+        var edge = transducer.edges[e];
+        var input = edge.input === EPSILON ? '\\epsilon' : edge.input;
+        var symbol = edge.output === '' ? input : input + '/' + edge.output;
+        var row = mealy.transitions[edge.from];
+        if (!row[symbol]) {
+            row[symbol] = [];
+        }
+        if (row[symbol].indexOf(edge.to) === -1) {
+            row[symbol].push(edge.to);
+        }
+    }
+
+    return mealy;
+}
+
+// Main UI handler function - called when user clicks Mealy → Moore or Moore → Mealy
+function applyTransducerConversion(fromType) {
+    var toType = fromType === 'mealy' ? 'moore' : 'mealy';
+    var fromName = fromType === 'mealy' ? 'Mealy' : 'Moore';
+    var toName = toType === 'mealy' ? 'Mealy' : 'Moore';
+
+    if (nodes.length === 0) {
+        alert('Cannot convert: No states in the machine.');
+        return;
+    }
+    if (machineType !== fromType) {
+        alert('Cannot convert: The machine is not a ' + fromName + ' machine.\n\nChoose "' + fromName + ' machine" below the canvas first.');
+        return;
+    }
+
+    var transducer = transducerFromCanvas(nodes, links, fromType);
+    if (transducer.start === -1) {
+        alert('Cannot convert: No start state defined.\n\nAdd a start arrow by shift-dragging from empty space to a state.');
+        return;
+    }
+
+    var converted = fromType === 'mealy' ? mealyToMoore(transducer) : mooreToMealy(transducer);
+
+    var message = fromName + ' to ' + toName + ' conversion complete!\n\n';
+    message += '• ' + fromName + ' states: ' + transducer.labels.length + '\n';
+    message += '• ' + toName + ' states: ' + converted.labels.length + '\n';
+    message += '• Input alphabet: {' + converted.alphabet.join(', ') + '}\n\n';
+    if (fromType === 'moore' && transducer.outputs[transducer.start] !== '') {
+        message += "Note: the start state's output '" + transducer.outputs[transducer.start] +
+            "' is dropped - a Mealy machine only writes output on transitions.\n\n";
+    }
+    message += 'Do you want to replace the canvas with the ' + toName + ' machine?';
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    replaceCanvasWithAutomaton(converted);
+    setMachineType(toType);
+
+    alert(toName + ' machine applied! The machine type was switched to ' + toName + '.\n\n' +
+        'You can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        transducerFromCanvas: transducerFromCanvas,
+        mealyToMoore: mealyToMoore,
+        mooreToMealy: mooreToMealy
+    };
+}
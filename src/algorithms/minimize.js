@@ -0,0 +1,327 @@
+// DFA Minimization for FSM Designer
+// Uses the table-filling (Myhill-Nerode) algorithm, recording each refinement round
+
+// Find the states reachable from the start state
+function findReachableStates(automaton) {
+    var reachable = [automaton.start];
+    var queue = [automaton.start];
+    while (queue.length > 0) {
+        var current = queue.shift();
+        for (var symbol in automaton.transitions[current]) {
+            var targets = automaton.transitions[current][symbol];
+            for (var t = 0; t < targets.length; t++) {
+                if (reachable.indexOf(targets[t]) === -1) {
+                    reachable.push(targets[t]);
+                    queue.push(targets[t]);
+                }
+            }
+        }
+    }
+    return reachable.sort(function(a, b) { return a - b; });
+}
+
+// Main minimization function - returns the minimal DFA and the table-filling rounds
+function minimizeAutomaton(automaton) {
+    if (automaton.start < 0) {
+        return { success: false, error: 'No start state defined.' };
+    }
+    if (!isDeterministic(automaton)) {
+        return {
+            success: false,
+            error: 'The machine is not deterministic (it has epsilon moves or several transitions for one symbol). Use Determinize first.'
+        };
+    }
+
+    var alphabet = automaton.alphabet;
+
+    // Step 1: Remove unreachable states
+    var reachable = findReachableStates(automaton);
+    var unreachable = [];
+    for (var i = 0; i < automaton.labels.length; i++) {
+        if (reachable.indexOf(i) === -1) {
+            unreachable.push(automaton.labels[i]);
+        }
+    }
+
+    // Step 2: Work on local indices, completing the DFA with a trap state if needed
+    var labels = [];
+    var accepting = [];
+    var delta = [];
+    var trap = -1;
+    for (var i = 0; i < reachable.length; i++) {
+        labels.push(automaton.labels[reachable[i]]);
+        accepting.push(automaton.accepting[reachable[i]]);
+        delta.push({});
+    }
+    for (var i = 0; i < reachable.length; i++) {
+        for (var a = 0; a < alphabet.length; a++) {
+            var targets = automaton.transitions[reachable[i]][alphabet[a]];
+            if (targets && targets.length === 1) {
+                delta[i][alphabet[a]] = reachable.indexOf(targets[0]);
+            } else {
+                if (trap === -1) {
+                    trap = labels.length;
+                    labels.push(freshTrapLabel(labels));
+                    accepting.push(false);
+                    delta.push({});
+                    for (var b = 0; b < alphabet.length; b++) {
+                        delta[trap][alphabet[b]] = trap;
+                    }
+                }
+                delta[i][alphabet[a]] = trap;
+            }
+        }
+    }
+
+    var n = labels.length;
+
+    // Step 3: Table filling - marked[i][j] holds the round in which i and j were distinguished
+    var marked = [];
+    for (var i = 0; i < n; i++) {
+        marked[i] = [];
+        for (var j = 0; j < n; j++) {
+            marked[i][j] = -1;
+        }
+    }
+
+    var rounds = [];
+    var round0 = [];
+    for (var i = 0; i < n; i++) {
+        for (var j = 0; j < i; j++) {
+            if (accepting[i] !== accepting[j]) {
+                marked[i][j] = marked[j][i] = 0;
+                round0.push({ p: j, q: i, symbol: null });
+            }
+        }
+    }
+    rounds.push({ marks: round0, partition: partitionFromMarks(marked, n) });
+
+    var round = 0;
+    var changed = round0.length > 0;
+    while (changed) {
+        round++;
+        var marks = [];
+        for (var i = 0; i < n; i++) {
+            for (var j = 0; j < i; j++) {
+                if (marked[i][j] !== -1) continue;
+                for (var a = 0; a < alphabet.length; a++) {
+                    var ti = delta[i][alphabet[a]];
+                    var tj = delta[j][alphabet[a]];
+                    // Only pairs marked in an earlier round count, so each round is one refinement step
+                    if (ti !== tj && marked[ti][tj] !== -1 && marked[ti][tj] < round) {
+                        marks.push({ p: j, q: i, symbol: alphabet[a] });
+                        break;
+                    }
+                }
+            }
+        }
+        for (var m = 0; m < marks.length; m++) {
+            marked[marks[m].q][marks[m].p] = marked[marks[m].p][marks[m].q] = round;
+        }
+        changed = marks.length > 0;
+        if (changed) {
+            rounds.push({ marks: marks, partition: partitionFromMarks(marked, n) });
+        }
+    }
+
+    // Step 4: Merge equivalent states into the minimal DFA
+    var classes = rounds[rounds.length - 1].partition;
+    var classOf = [];
+    for (var c = 0; c < classes.length; c++) {
+        for (var k = 0; k < classes[c].length; k++) {
+            classOf[classes[c][k]] = c;
+        }
+    }
+
+    // Drop the trap class again if it only holds the state we added ourselves
+    var dropClass = (trap !== -1 && classes[classOf[trap]].length === 1) ? classOf[trap] : -1;
+
+    var minimal = {
+        labels: [],
+        start: 0,
+        accepting: [],
+        alphabet: alphabet.slice(),
+        transitions: [],
+        classes: []
+    };
+    var newIndex = [];
+    for (var c = 0; c < classes.length; c++) {
+        if (c === dropClass) continue;
+        newIndex[c] = minimal.labels.length;
+        var members = classes[c].filter(function(s) { return s !== trap; });
+        if (members.length === 0) {
+            members = classes[c];
+        }
+        minimal.labels.push(members.length === 1 ? labels[members[0]] : subsetLabel(members, labels));
+        minimal.accepting.push(accepting[classes[c][0]]);
+        minimal.classes.push(classes[c].map(function(s) { return labels[s]; }));
+    }
+    for (var c = 0; c < classes.length; c++) {
+        if (c === dropClass) continue;
+        var row = {};
+        var representative = classes[c][0];
+        for (var a = 0; a < alphabet.length; a++) {
+            var target = classOf[delta[representative][alphabet[a]]];
+            if (target !== dropClass) {
+                row[alphabet[a]] = [newIndex[target]];
+            }
+        }
+        minimal.transitions.push(row);
+    }
+    minimal.start = newIndex[classOf[reachable.indexOf(automaton.start)]];
+
+    return {
+        success: true,
+        dfa: minimal,
+        labels: labels,
+        marked: marked,
+        rounds: rounds,
+        unreachable: unreachable,
+        addedTrap: trap !== -1
+    };
+}
+
+// Group states that have not been distinguished yet into equivalence classes
+function partitionFromMarks(marked, n) {
+    var classes = [];
+    var assigned = [];
+    for (var i = 0; i < n; i++) {
+        if (assigned[i]) continue;
+        var members = [i];
+        assigned[i] = true;
+        for (var j = i + 1; j < n; j++) {
+            if (!assigned[j] && marked[i][j] === -1) {
+                members.push(j);
+                assigned[j] = true;
+            }
+        }
+        classes.push(members);
+    }
+    return classes;
+}
+
+// Generate LaTeX for the table-filling rounds (tabular plus partition list, no document wrapper)
+function generateMinimizationLaTeX(result) {
+    var labels = result.labels;
+    var n = labels.length;
+    var latex = '% DFA minimization by table filling\n';
+    latex += '% Entry $\\times_{k}$: the pair was distinguished in round $k$ (round 0 = accepting vs. non-accepting)\n';
+    latex += '% Empty entry: the states are equivalent and get merged\n';
+
+    if (n < 2) {
+        latex += '% Only one reachable state - the DFA is already minimal.\n';
+        return latex;
+    }
+
+    latex += '\\begin{center}\n';
+    latex += '\\begin{tabular}{c|' + 'c'.repeat(n - 1) + '}\n';
+
+    // Staircase rows: one per state after the first, one column per state before the last
+    for (var i = 1; i < n; i++) {
+        latex += '$' + escapeLaTeX(labels[i]) + '$';
+        for (var j = 0; j < n - 1; j++) {
+            if (j < i) {
+                var round = result.marked[i][j];
+                latex += ' & ' + (round === -1 ? '' : '$\\times_{' + round + '}$');
+            } else {
+                latex += ' &';
+            }
+        }
+        latex += ' \\\\\n';
+    }
+    latex += '\\hline\n';
+    latex += '  ';
+    for (var j = 0; j < n - 1; j++) {
+        latex += ' & $' + escapeLaTeX(labels[j]) + '$';
+    }
+    latex += ' \\\\\n';
+
+    latex += '\\end{tabular}\n';
+    latex += '\\end{center}\n';
+
+    // Partition refinement after each round
+    latex += '\\begin{itemize}\n';
+    for (var r = 0; r < result.rounds.length; r++) {
+        var parts = result.rounds[r].partition.map(function(members) {
+            return '\\{' + members.map(function(s) {
+                return escapeLaTeX(labels[s]);
+            }).join(', ') + '\\}';
+        });
+        latex += '    \\item Round ' + r + ': $' + parts.join(',\\ ') + '$';
+
+        var reasons = result.rounds[r].marks.filter(function(m) {
+            return m.symbol !== null;
+        }).map(function(m) {
+            return '$(' + escapeLaTeX(labels[m.p]) + ', ' + escapeLaTeX(labels[m.q]) + ')$ on $' + escapeLaTeX(m.symbol) + '$';
+        });
+        if (reasons.length > 0) {
+            latex += ' -- marked ' + reasons.join(', ');
+        }
+        latex += '\n';
+    }
+    latex += '    \\item Round ' + result.rounds.length + ': no new pairs marked, so the partition is final\n';
+    latex += '\\end{itemize}\n';
+
+    return latex;
+}
+
+// Main UI handler function - called when user clicks a Minimize button
+function applyMinimization(showSteps) {
+    if (nodes.length === 0) {
+        alert('Cannot minimize: No states in the FSM.');
+        return;
+    }
+
+    var automaton = automatonFromCanvas(nodes, links);
+    if (automaton.start === -1) {
+        alert('Cannot minimize: No start state defined.\n\nAdd a start arrow by shift-dragging from empty space to a state.');
+        return;
+    }
+
+    var result = minimizeAutomaton(automaton);
+    if (!result.success) {
+        alert('Cannot minimize:\n\n' + result.error);
+        return;
+    }
+
+    if (showSteps) {
+        output(generateMinimizationLaTeX(result));
+    }
+
+    var merged = result.dfa.classes.filter(function(c) {
+        return c.length > 1;
+    });
+
+    var message = '';
+    if (result.addedTrap) {
+        message += 'Note: missing transitions were sent to a trap state during minimization.\n\n';
+    }
+    message += 'Minimization complete!\n\n';
+    message += '• Original states: ' + automaton.labels.length + '\n';
+    message += '• Unreachable states removed: ' + result.unreachable.length + (result.unreachable.length > 0 ? ' (' + result.unreachable.join(', ') + ')' : '') + '\n';
+    message += '• Groups of equivalent states merged: ' + merged.length + '\n';
+    message += '• Minimal DFA states: ' + result.dfa.labels.length + '\n';
+    message += '• Refinement rounds: ' + result.rounds.length + '\n\n';
+
+    if (result.dfa.labels.length === automaton.labels.length) {
+        alert(message + 'The DFA is already minimal.');
+        return;
+    }
+
+    message += 'Do you want to replace the canvas with the minimal DFA?';
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    replaceCanvasWithAutomaton(result.dfa);
+
+    alert('Minimal DFA applied! ' + result.dfa.labels.length + ' state(s) remain.\n\nYou can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        findReachableStates: findReachableStates,
+        minimizeAutomaton: minimizeAutomaton,
+        partitionFromMarks: partitionFromMarks
+    };
+}
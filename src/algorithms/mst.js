@@ -1,5 +1,5 @@
 // Minimum Spanning Tree Algorithm for FSM Designer
-// Uses Kruskal's algorithm with Union-Find data structure
+// Uses Kruskal's algorithm with Union-Find data structure, or Prim's algorithm from a chosen start node
 
 // Union-Find (Disjoint Set) data structure
 function UnionFind(size) {
@@ -74,11 +74,10 @@ function isGraphConnected(nodeCount, edges) {
     return true;
 }
 
-// Main MST computation function using Kruskal's algorithm
-function computeMST(nodeArray, linkArray) {
-    // Step 1: Extract and validate edges
+// Read the weighted edges of the graph for spanning tree algorithms (edges are treated as undirected).
+// Returns { success, edges: [{ link, from, to, weight }], selfLoopLinks } or { success: false, error }.
+function extractWeightedEdges(nodeArray, linkArray) {
     var edges = [];
-    var selfLoopCount = 0;
     var selfLoopLinks = [];
     
     for (var i = 0; i < linkArray.length; i++) {
@@ -91,7 +90,6 @@ function computeMST(nodeArray, linkArray) {
         
         // Handle SelfLink (warn but don't include in MST)
         if (link instanceof SelfLink) {
-            selfLoopCount++;
             selfLoopLinks.push(link);
             continue;
         }
@@ -119,6 +117,22 @@ function computeMST(nodeArray, linkArray) {
         }
     }
     
+    return { success: true, edges: edges, selfLoopLinks: selfLoopLinks };
+}
+
+// Read and check the graph for a spanning tree algorithm.
+// Returns { success, edges, selfLoopLinks, warnings } or { success: false, error }; a disconnected graph
+// is an error (flagged with disconnected: true) unless allowForest is set.
+function prepareSpanningTree(nodeArray, linkArray, allowForest) {
+    // Step 1: Extract and validate edges
+    var extracted = extractWeightedEdges(nodeArray, linkArray);
+    if (!extracted.success) {
+        return extracted;
+    }
+    var edges = extracted.edges;
+    var selfLoopLinks = extracted.selfLoopLinks;
+    var selfLoopCount = selfLoopLinks.length;
+    
     // Step 2: Check for self-loops warning
     var warnings = [];
     if (selfLoopCount > 0) {
@@ -130,32 +144,45 @@ function computeMST(nodeArray, linkArray) {
         return { success: false, error: 'No nodes in the graph' };
     }
     
-    if (nodeArray.length === 1) {
-        // Single node - MST is trivial (no edges needed)
-        return {
-            success: true,
-            mstLinks: [],
-            removedLinks: selfLoopLinks,
-            warnings: warnings
-        };
-    }
-    
     // Step 4: Check connectivity
     if (!isGraphConnected(nodeArray.length, edges)) {
-        return { 
-            success: false, 
-            error: 'Graph is not connected. Cannot compute a Minimum Spanning Tree for a disconnected graph.' 
-        };
+        if (!allowForest) {
+            return { 
+                success: false, 
+                disconnected: true,
+                error: 'Graph is not connected. Cannot compute a Minimum Spanning Tree for a disconnected graph.' 
+            };
+        }
+        warnings.push('Graph is not connected: computing a minimum spanning forest (one tree per component)');
+    }
+    
+    return { success: true, edges: edges, selfLoopLinks: selfLoopLinks, warnings: warnings };
+}
+
+// Main MST computation function using Kruskal's algorithm.
+// With allowForest, a disconnected graph gets a minimum spanning forest instead of an error.
+// mstLinks and addedEdges ({ link, from, to, weight }) are listed in the order the edges were added.
+// The optional onStep callback is told each step, for playback: { type: 'sorted', edges }, then
+// { type: 'added' or 'rejected', edge } for every edge considered.
+function computeMST(nodeArray, linkArray, allowForest, onStep) {
+    var prepared = prepareSpanningTree(nodeArray, linkArray, allowForest);
+    if (!prepared.success) {
+        return prepared;
     }
+    var edges = prepared.edges;
     
     // Step 5: Sort edges by weight (ascending)
     edges.sort(function(a, b) {
         return a.weight - b.weight;
     });
+    if (onStep) {
+        onStep({ type: 'sorted', edges: edges });
+    }
     
     // Step 6: Kruskal's algorithm - greedily add edges
     var uf = new UnionFind(nodeArray.length);
     var mstEdges = [];
+    var addedEdges = [];
     var nonMstEdges = [];
     
     for (var i = 0; i < edges.length; i++) {
@@ -163,20 +190,98 @@ function computeMST(nodeArray, linkArray) {
         if (uf.union(edge.from, edge.to)) {
             // Edge added to MST (doesn't create cycle)
             mstEdges.push(edge.link);
+            addedEdges.push(edge);
+            if (onStep) {
+                onStep({ type: 'added', edge: edge });
+            }
         } else {
             // Edge would create cycle - not in MST
             nonMstEdges.push(edge.link);
+            if (onStep) {
+                onStep({ type: 'rejected', edge: edge });
+            }
         }
     }
     
     // Combine non-MST edges and self-loops for removal
-    var removedLinks = nonMstEdges.concat(selfLoopLinks);
+    var removedLinks = nonMstEdges.concat(prepared.selfLoopLinks);
     
     return { 
         success: true, 
         mstLinks: mstEdges,
         removedLinks: removedLinks,
-        warnings: warnings
+        warnings: prepared.warnings,
+        addedEdges: addedEdges
+    };
+}
+
+// MST computation using Prim's algorithm, growing the tree from the start node.
+// Returns the same result shape as computeMST. With allowForest, each component that the tree
+// cannot reach starts a new tree at its first node.
+// The optional onStep callback is told each step, for playback: { type: 'start', node, edges } when a
+// tree is started (edges are all the graph's edges) and { type: 'added', edge, node } when an edge brings in node.
+function computePrimMST(nodeArray, linkArray, start, allowForest, onStep) {
+    var prepared = prepareSpanningTree(nodeArray, linkArray, allowForest);
+    if (!prepared.success) {
+        return prepared;
+    }
+    var edges = prepared.edges;
+    
+    var inTree = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        inTree.push(false);
+    }
+    inTree[start] = true;
+    var treeSize = 1;
+    var mstEdges = [];
+    var addedEdges = [];
+    if (onStep) {
+        onStep({ type: 'start', node: start, edges: edges });
+    }
+    
+    while (treeSize < nodeArray.length) {
+        // Cheapest edge with exactly one end in the tree
+        var best = null;
+        for (var i = 0; i < edges.length; i++) {
+            if (inTree[edges[i].from] !== inTree[edges[i].to] && (!best || edges[i].weight < best.weight)) {
+                best = edges[i];
+            }
+        }
+        
+        if (!best) {
+            // The rest of the graph is unreachable, start the next tree of the forest
+            var next = inTree.indexOf(false);
+            inTree[next] = true;
+            treeSize++;
+            if (onStep) {
+                onStep({ type: 'start', node: next, edges: edges });
+            }
+            continue;
+        }
+        
+        var added = inTree[best.from] ? best.to : best.from;
+        inTree[added] = true;
+        treeSize++;
+        mstEdges.push(best.link);
+        addedEdges.push(best);
+        if (onStep) {
+            onStep({ type: 'added', edge: best, node: added });
+        }
+    }
+    
+    var nonMstEdges = [];
+    for (var i = 0; i < edges.length; i++) {
+        if (mstEdges.indexOf(edges[i].link) === -1) {
+            nonMstEdges.push(edges[i].link);
+        }
+    }
+    
+    return {
+        success: true,
+        mstLinks: mstEdges,
+        removedLinks: nonMstEdges.concat(prepared.selfLoopLinks),
+        warnings: prepared.warnings,
+        addedEdges: addedEdges
     };
 }
 
@@ -192,6 +297,140 @@ function calculateMSTWeight(mstLinks) {
     return totalWeight;
 }
 
+// Name of an edge for playback narration, e.g. "A–B weight 3"
+function describeWeightedEdge(edge, labels) {
+    return labels[edge.from] + '–' + labels[edge.to] + ' weight ' + edge.weight;
+}
+
+// Record Kruskal's algorithm as playback events (see playback.js): one event per edge considered,
+// replayed from the steps computeMST reports
+function kruskalPlayback(nodeArray, linkArray, labels) {
+    var steps = [];
+    var result = computeMST(nodeArray, linkArray, true, function(step) {
+        steps.push(step);
+    });
+    if (!result.success) {
+        return result;
+    }
+
+    var recorder = new PlaybackRecorder();
+    var totalWeight = 0;
+    for (var s = 0; s < steps.length; s++) {
+        var step = steps[s];
+        var edge = step.edge;
+        if (step.type === 'sorted') {
+            recorder.record('Sort the edges by weight: ' + (step.edges.length > 0 ? step.edges.map(function(edge) {
+                return labels[edge.from] + '–' + labels[edge.to] + ' (' + edge.weight + ')';
+            }).join(', ') : 'there are no edges'));
+
+            for (var i = 0; i < linkArray.length; i++) {
+                if (linkArray[i] instanceof SelfLink) {
+                    recorder.markLink(linkArray[i], simColors.rejectedState);
+                    recorder.record('Skip the self-loop at ' + labels[nodeArray.indexOf(linkArray[i].node)] +
+                        ': it can never be part of a spanning tree');
+                }
+            }
+        } else if (step.type === 'added') {
+            totalWeight += edge.weight;
+            recorder.markLink(edge.link, simColors.acceptedState);
+            recorder.markState(edge.from, simColors.acceptedState);
+            recorder.markState(edge.to, simColors.acceptedState);
+            recorder.record('Consider edge ' + describeWeightedEdge(edge, labels) + ': accepted');
+        } else {
+            recorder.markLink(edge.link, simColors.rejectedState);
+            recorder.record('Consider edge ' + describeWeightedEdge(edge, labels) + ': rejected, it would close a cycle');
+        }
+    }
+
+    var summary = result.mstLinks.length + ' edge(s), total weight ' + totalWeight;
+    if (nodeArray.length > 1 && result.mstLinks.length < nodeArray.length - 1) {
+        recorder.record('Done: the graph is not connected, so the accepted edges form a spanning forest (' + summary + ')');
+    } else {
+        recorder.record('Done: the minimum spanning tree has ' + summary);
+    }
+
+    return {
+        success: true,
+        title: "Kruskal's algorithm",
+        events: recorder.events,
+        summary: summary,
+        keepLinks: result.mstLinks
+    };
+}
+
+// Record Prim's algorithm as playback events (see playback.js), replayed from the steps computePrimMST
+// reports: the tree grows from start by the cheapest edge leaving it. Edges leaving the tree are shown
+// as candidates. On a disconnected graph a new tree is started in each component the tree cannot reach.
+function primPlayback(nodeArray, linkArray, labels, start) {
+    var steps = [];
+    var result = computePrimMST(nodeArray, linkArray, start, true, function(step) {
+        steps.push(step);
+    });
+    if (!result.success) {
+        return result;
+    }
+
+    var edges = steps[0].edges;
+    var inTree = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        inTree.push(false);
+    }
+    var mstLinks = [];
+    var totalWeight = 0;
+
+    var recorder = new PlaybackRecorder();
+
+    // Color candidate edges leaving the tree, and edges that ended up inside it without being chosen
+    function markCandidates() {
+        for (var e = 0; e < edges.length; e++) {
+            if (mstLinks.indexOf(edges[e].link) !== -1) {
+                continue;
+            }
+            var inside = inTree[edges[e].from] + inTree[edges[e].to];
+            if (inside === 1) {
+                recorder.markLink(edges[e].link, simColors.nfaSecondary);
+            } else if (inside === 2) {
+                recorder.markLink(edges[e].link, simColors.rejectedState);
+            }
+        }
+    }
+
+    for (var s = 0; s < steps.length; s++) {
+        var step = steps[s];
+        inTree[step.node] = true;
+        recorder.markState(step.node, simColors.acceptedState);
+        if (step.type === 'added') {
+            mstLinks.push(step.edge.link);
+            totalWeight += step.edge.weight;
+            recorder.markLink(step.edge.link, simColors.acceptedState);
+        }
+        markCandidates();
+
+        if (step.type === 'added') {
+            recorder.record('Add edge ' + describeWeightedEdge(step.edge, labels) + ', the cheapest edge leaving the tree, bringing in ' + labels[step.node]);
+        } else if (s === 0) {
+            recorder.record('Start the tree at ' + labels[step.node] + '; candidate edges leaving the tree are shown in gold');
+        } else {
+            recorder.record('No edge leaves the tree, so the graph is not connected: start a new tree at ' + labels[step.node]);
+        }
+    }
+
+    var summary = mstLinks.length + ' edge(s), total weight ' + totalWeight;
+    if (mstLinks.length < nodeArray.length - 1) {
+        recorder.record('Done: the trees form a minimum spanning forest (' + summary + ')');
+    } else {
+        recorder.record('Done: the minimum spanning tree has ' + summary);
+    }
+
+    return {
+        success: true,
+        title: "Prim's algorithm from " + labels[start],
+        events: recorder.events,
+        summary: summary,
+        keepLinks: mstLinks
+    };
+}
+
 // Main UI handler function - called when user clicks button or presses Ctrl+T
 function applyMST() {
     // Check for empty graph
@@ -205,13 +444,40 @@ function applyMST() {
         alert('Warning: MST is typically computed on undirected graphs.\n\nThe algorithm will treat edges as undirected for this calculation.');
     }
     
-    // Compute MST
-    var result = computeMST(nodes, links);
+    // Compute MST with the algorithm chosen next to the MST button
+    var select = document.getElementById('mstAlgorithm');
+    var usePrim = select && select.value === 'prim';
+    var labels = generateNodeLabels();
+    var start = -1;
+    if (usePrim) {
+        var source = getSourceNode(labels);
+        if (source.error) {
+            alert('Cannot compute MST: ' + source.error);
+            return;
+        }
+        start = source.index;
+    }
+    
+    function compute(allowForest) {
+        return usePrim ? computePrimMST(nodes, links, start, allowForest) : computeMST(nodes, links, allowForest);
+    }
+    var result = compute(false);
+    
+    // A disconnected graph has no spanning tree, but each component has one
+    if (!result.success && result.disconnected) {
+        if (!confirm('The graph is not connected, so it has no spanning tree.\n\n' +
+            'Do you want to compute a minimum spanning forest instead (one tree per component)?')) {
+            return; // User cancelled
+        }
+        result = compute(true);
+    }
     
     if (!result.success) {
         alert('Cannot compute MST:\n\n' + result.error);
         return;
     }
+    var isForest = result.mstLinks.length < nodes.length - 1;
+    var treeName = isForest ? 'spanning forest' : 'MST';
     
     // Build confirmation message
     var message = '';
@@ -226,11 +492,19 @@ function applyMST() {
     
     var totalWeight = calculateMSTWeight(result.mstLinks);
     
-    message += 'MST computed successfully!\n\n';
-    message += '• Edges in MST: ' + result.mstLinks.length + '\n';
+    message += (isForest ? 'Minimum spanning forest' : 'MST') + ' computed successfully!\n\n';
+    message += '• Algorithm: ' + (usePrim ? "Prim's, starting at " + labels[start] : "Kruskal's") + '\n';
+    message += '• Edges in ' + treeName + ': ' + result.mstLinks.length + '\n';
     message += '• Edges to remove: ' + result.removedLinks.length + '\n';
-    message += '• Total MST weight: ' + totalWeight + '\n\n';
-    message += 'Do you want to apply the MST (remove non-MST edges)?';
+    message += '• Total ' + treeName + ' weight: ' + totalWeight + '\n\n';
+    if (result.addedEdges.length > 0) {
+        message += 'Edges in the order they were added:\n';
+        for (var i = 0; i < result.addedEdges.length; i++) {
+            message += (i + 1) + '. ' + describeWeightedEdge(result.addedEdges[i], labels) + '\n';
+        }
+        message += '\n';
+    }
+    message += 'Do you want to apply the ' + treeName + ' (remove the other edges)?';
     
     if (!confirm(message)) {
         return; // User cancelled
@@ -273,5 +547,18 @@ function applyMST() {
     selectedObject = null;
     draw();
     
-    alert('MST applied! ' + result.removedLinks.length + ' edge(s) removed.\n\nYou can press Ctrl+Z to undo.');
-}
\ No newline at end of file
+    alert((isForest ? 'Spanning forest' : 'MST') + ' applied! ' + result.removedLinks.length + ' edge(s) removed.\n\nYou can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UnionFind: UnionFind,
+        parseEdgeWeight: parseEdgeWeight,
+        isGraphConnected: isGraphConnected,
+        computeMST: computeMST,
+        computePrimMST: computePrimMST,
+        calculateMSTWeight: calculateMSTWeight,
+        kruskalPlayback: kruskalPlayback,
+        primPlayback: primPlayback
+    };
+}
@@ -0,0 +1,215 @@
+// Product Constructions for FSM Designer
+// Union, intersection, difference and symmetric difference of two machines,
+// plus the complement of a single machine
+
+// Largest product DFA we are willing to draw on the canvas
+var maxProductStates = 100;
+
+// How each operation decides acceptance from the two component states
+var productOperations = {
+    intersection: { name: 'Intersection', accepts: function(a, b) { return a && b; } },
+    union: { name: 'Union', accepts: function(a, b) { return a || b; } },
+    difference: { name: 'Difference', accepts: function(a, b) { return a && !b; } },
+    symmetric: { name: 'Symmetric difference', accepts: function(a, b) { return a !== b; } }
+};
+
+// Make a machine a complete DFA over the given alphabet (determinizing and adding a trap state if needed)
+function completeAutomaton(automaton, alphabet) {
+    var dfa = automaton;
+    if (!isDeterministic(automaton)) {
+        var determinized = determinizeAutomaton(automaton);
+        if (!determinized.success) {
+            return determinized;
+        }
+        dfa = determinized.dfa;
+    }
+
+    var complete = {
+        labels: dfa.labels.slice(),
+        start: dfa.start,
+        accepting: dfa.accepting.slice(),
+        alphabet: alphabet.slice(),
+        transitions: []
+    };
+    var trap = -1;
+    for (var i = 0; i < dfa.labels.length; i++) {
+        var row = {};
+        for (var a = 0; a < alphabet.length; a++) {
+            var targets = dfa.transitions[i][alphabet[a]];
+            if (targets && targets.length === 1) {
+                row[alphabet[a]] = [targets[0]];
+            } else {
+                if (trap === -1) {
+                    trap = dfa.labels.length;
+                }
+                row[alphabet[a]] = [trap];
+            }
+        }
+        complete.transitions.push(row);
+    }
+
+    if (trap !== -1) {
+        complete.labels.push(freshTrapLabel(complete.labels));
+        complete.accepting.push(false);
+        var trapRow = {};
+        for (var a = 0; a < alphabet.length; a++) {
+            trapRow[alphabet[a]] = [trap];
+        }
+        complete.transitions.push(trapRow);
+    }
+
+    return { success: true, dfa: complete, addedTrap: trap !== -1 };
+}
+
+// Build the reachable part of the product DFA for one of the productOperations
+function productAutomaton(automatonA, automatonB, operation) {
+    if (!productOperations[operation]) {
+        return { success: false, error: 'Unknown operation "' + operation + '".' };
+    }
+    if (automatonA.start < 0 || automatonB.start < 0) {
+        return { success: false, error: 'Both machines need a start state.' };
+    }
+
+    var alphabet = unionAlphabet(automatonA.alphabet, automatonB.alphabet);
+    var completeA = completeAutomaton(automatonA, alphabet);
+    var completeB = completeAutomaton(automatonB, alphabet);
+    if (!completeA.success) return completeA;
+    if (!completeB.success) return completeB;
+    var A = completeA.dfa;
+    var B = completeB.dfa;
+
+    var product = {
+        labels: [],
+        start: 0,
+        accepting: [],
+        alphabet: alphabet,
+        transitions: []
+    };
+    var indexByKey = {};
+    var pairs = [];
+
+    function addPair(p, q) {
+        var key = p + ',' + q;
+        if (indexByKey.hasOwnProperty(key)) {
+            return indexByKey[key];
+        }
+        indexByKey[key] = pairs.length;
+        pairs.push([p, q]);
+        product.labels.push('(' + A.labels[p] + ',' + B.labels[q] + ')');
+        product.accepting.push(productOperations[operation].accepts(A.accepting[p], B.accepting[q]));
+        product.transitions.push({});
+        return pairs.length - 1;
+    }
+
+    addPair(A.start, B.start);
+    for (var k = 0; k < pairs.length; k++) {
+        if (pairs.length > maxProductStates) {
+            return {
+                success: false,
+                error: 'The product would have more than ' + maxProductStates + ' states, which is too many to draw.'
+            };
+        }
+        for (var a = 0; a < alphabet.length; a++) {
+            var nextA = A.transitions[pairs[k][0]][alphabet[a]][0];
+            var nextB = B.transitions[pairs[k][1]][alphabet[a]][0];
+            product.transitions[k][alphabet[a]] = [addPair(nextA, nextB)];
+        }
+    }
+
+    return { success: true, dfa: product };
+}
+
+// Complement a machine: complete it as a DFA, then swap accepting and non-accepting states
+function complementAutomaton(automaton) {
+    if (automaton.start < 0) {
+        return { success: false, error: 'No start state defined.' };
+    }
+
+    var result = completeAutomaton(automaton, automaton.alphabet);
+    if (!result.success) {
+        return result;
+    }
+    result.dfa.accepting = result.dfa.accepting.map(function(accepting) {
+        return !accepting;
+    });
+    return result;
+}
+
+// Called from the compare modal - combine the canvas machine with the second machine
+function applyProduct(useReference) {
+    hideCompareMessage();
+
+    var operation = document.getElementById('productOperation').value;
+    if (nodes.length === 0) {
+        showCompareMessage('The canvas is empty - draw or import a machine first.', true);
+        return;
+    }
+    var canvasAutomaton = automatonFromCanvas(nodes, links);
+    if (canvasAutomaton.start === -1) {
+        showCompareMessage('The canvas machine has no start state.', true);
+        return;
+    }
+
+    var second = readSecondMachine(useReference);
+    if (!second.success) {
+        showCompareMessage('Error: ' + second.error, true);
+        return;
+    }
+
+    var result = productAutomaton(canvasAutomaton, second.automaton, operation);
+    if (!result.success) {
+        showCompareMessage('Error: ' + result.error, true);
+        return;
+    }
+
+    hideCompareModal();
+    replaceCanvasWithAutomaton(result.dfa);
+
+    alert(productOperations[operation].name + ' applied! The product DFA has ' + result.dfa.labels.length + ' state(s).\n\nYou can press Ctrl+Z to undo.');
+}
+
+// Main UI handler function - called when user clicks the Complement button
+function applyComplement() {
+    if (nodes.length === 0) {
+        alert('Cannot complement: No states in the FSM.');
+        return;
+    }
+
+    var automaton = automatonFromCanvas(nodes, links);
+    if (automaton.start === -1) {
+        alert('Cannot complement: No start state defined.\n\nAdd a start arrow by shift-dragging from empty space to a state.');
+        return;
+    }
+
+    var result = complementAutomaton(automaton);
+    if (!result.success) {
+        alert('Cannot complement:\n\n' + result.error);
+        return;
+    }
+
+    var message = '';
+    if (!isDeterministic(automaton)) {
+        message += 'Note: the machine is nondeterministic, so it is determinized first.\n\n';
+    }
+    if (result.addedTrap) {
+        message += 'Note: missing transitions now go to a new "' + result.dfa.labels[result.dfa.labels.length - 1] + '" state, which becomes accepting.\n\n';
+    }
+    message += 'Complement DFA has ' + result.dfa.labels.length + ' state(s).\n\n';
+    message += 'Do you want to replace the canvas with the complement?';
+
+    if (!confirm(message)) {
+        return; // User cancelled
+    }
+
+    replaceCanvasWithAutomaton(result.dfa);
+
+    alert('Complement applied!\n\nYou can press Ctrl+Z to undo.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        completeAutomaton: completeAutomaton,
+        productAutomaton: productAutomaton,
+        complementAutomaton: complementAutomaton
+    };
+}
@@ -0,0 +1,317 @@
+// Regular Expression to NFA for FSM Designer
+// Parses a regular expression and builds an epsilon-NFA with Thompson's construction
+//
+// Supported syntax:
+//   a        any other single character is a literal symbol
+//   {ab}     a multi-character symbol (\} and \\ stand for } and \ inside the braces)
+//   \|       an escaped operator character is a literal symbol
+//   r|s      union
+//   rs       concatenation
+//   r*       Kleene star
+//   r+       one or more
+//   r?       optional
+//   (r)      grouping
+//   ε        the empty string (also \epsilon or ())
+//   ∅        the empty language (also \emptyset)
+
+// Parse a regular expression into a syntax tree
+function parseRegex(text) {
+    var tokens = tokenizeRegex(text);
+    var position = 0;
+
+    function peek() {
+        return position < tokens.length ? tokens[position] : null;
+    }
+
+    function parseUnion() {
+        var left = parseConcat();
+        while (peek() && peek().type === '|') {
+            position++;
+            left = { type: 'union', left: left, right: parseConcat() };
+        }
+        return left;
+    }
+
+    function parseConcat() {
+        var parts = [];
+        while (peek() && peek().type !== '|' && peek().type !== ')') {
+            parts.push(parseRepeat());
+        }
+        if (parts.length === 0) {
+            return { type: 'epsilon' };
+        }
+        var result = parts[0];
+        for (var i = 1; i < parts.length; i++) {
+            result = { type: 'concat', left: result, right: parts[i] };
+        }
+        return result;
+    }
+
+    function parseRepeat() {
+        var atom = parseAtom();
+        while (peek() && (peek().type === '*' || peek().type === '+' || peek().type === '?')) {
+            var op = tokens[position++].type;
+            atom = { type: op === '*' ? 'star' : (op === '+' ? 'plus' : 'optional'), child: atom };
+        }
+        return atom;
+    }
+
+    function parseAtom() {
+        var token = peek();
+        if (token.type === 'symbol') {
+            position++;
+            return { type: 'symbol', symbol: token.value };
+        }
+        if (token.type === 'epsilon') {
+            position++;
+            return { type: 'epsilon' };
+        }
+        if (token.type === 'empty') {
+            position++;
+            return { type: 'empty' };
+        }
+        if (token.type === '(') {
+            position++;
+            var inner = parseUnion();
+            if (!peek() || peek().type !== ')') {
+                throw new Error('Missing closing parenthesis.');
+            }
+            position++;
+            return inner;
+        }
+        throw new Error("Unexpected '" + token.type + "' at position " + (token.index + 1) + '.');
+    }
+
+    if (tokens.length === 0) {
+        throw new Error('Please enter a regular expression.');
+    }
+
+    var tree = parseUnion();
+    if (position < tokens.length) {
+        throw new Error("Unexpected '" + tokens[position].type + "' at position " + (tokens[position].index + 1) + '.');
+    }
+    return tree;
+}
+
+// Split a regular expression into tokens, skipping whitespace
+function tokenizeRegex(text) {
+    var tokens = [];
+    var i = 0;
+    while (i < text.length) {
+        var c = text[i];
+        if (c === ' ' || c === '\t') {
+            i++;
+        } else if ('|*+?()'.indexOf(c) !== -1) {
+            tokens.push({ type: c, index: i });
+            i++;
+        } else if (c === '\\') {
+            // Backslash commands such as \epsilon, or an escaped operator character
+            var command = text.substring(i + 1).match(/^[a-zA-Z]+/);
+            if (command && isEpsilonSymbol('\\' + command[0])) {
+                tokens.push({ type: 'epsilon', index: i });
+                i += command[0].length + 1;
+            } else if (command && command[0] === 'emptyset') {
+                tokens.push({ type: 'empty', index: i });
+                i += command[0].length + 1;
+            } else if (i + 1 < text.length) {
+                tokens.push({ type: 'symbol', value: text[i + 1], index: i });
+                i += 2;
+            } else {
+                throw new Error('Trailing backslash at the end of the expression.');
+            }
+        } else if (c === '{') {
+            // A multi-character symbol runs to the closing brace
+            var symbol = '';
+            var j = i + 1;
+            while (j < text.length && text[j] !== '}') {
+                if (text[j] === '\\' && (text[j + 1] === '}' || text[j + 1] === '\\')) {
+                    j++;
+                }
+                symbol += text[j];
+                j++;
+            }
+            if (j >= text.length) {
+                throw new Error('Missing closing brace.');
+            }
+            if (symbol === '') {
+                throw new Error('Empty braces at position ' + (i + 1) + '.');
+            }
+            tokens.push({ type: 'symbol', value: symbol, index: i });
+            i = j + 1;
+        } else if (c === '}') {
+            throw new Error("Unexpected '}' at position " + (i + 1) + '.');
+        } else if (c === '∅') {
+            tokens.push({ type: 'empty', index: i });
+            i++;
+        } else if (isEpsilonSymbol(c)) {
+            tokens.push({ type: 'epsilon', index: i });
+            i++;
+        } else if (c === ',') {
+            throw new Error('Commas are reserved for transition labels and cannot be used as symbols.');
+        } else {
+            tokens.push({ type: 'symbol', value: c, index: i });
+            i++;
+        }
+    }
+    return tokens;
+}
+
+// Build an epsilon-NFA from a syntax tree using Thompson's construction
+function thompsonConstruct(tree) {
+    var transitions = [];
+    var alphabet = [];
+
+    function newState() {
+        transitions.push({});
+        return transitions.length - 1;
+    }
+
+    function addTransition(from, symbol, to) {
+        if (!transitions[from][symbol]) {
+            transitions[from][symbol] = [];
+        }
+        transitions[from][symbol].push(to);
+    }
+
+    // Each fragment has a single entry and a single exit state
+    function build(node) {
+        var start, accept, inner, left, right;
+        switch (node.type) {
+            case 'symbol':
+                start = newState();
+                accept = newState();
+                addTransition(start, node.symbol, accept);
+                if (alphabet.indexOf(node.symbol) === -1) {
+                    alphabet.push(node.symbol);
+                }
+                break;
+            case 'epsilon':
+                start = newState();
+                accept = newState();
+                addTransition(start, EPSILON, accept);
+                break;
+            case 'empty':
+                // No path from entry to exit
+                start = newState();
+                accept = newState();
+                break;
+            case 'concat':
+                left = build(node.left);
+                right = build(node.right);
+                addTransition(left.accept, EPSILON, right.start);
+                start = left.start;
+                accept = right.accept;
+                break;
+            case 'union':
+                start = newState();
+                left = build(node.left);
+                right = build(node.right);
+                accept = newState();
+                addTransition(start, EPSILON, left.start);
+                addTransition(start, EPSILON, right.start);
+                addTransition(left.accept, EPSILON, accept);
+                addTransition(right.accept, EPSILON, accept);
+                break;
+            case 'star':
+            case 'plus':
+            case 'optional':
+                start = newState();
+                inner = build(node.child);
+                accept = newState();
+                addTransition(start, EPSILON, inner.start);
+                addTransition(inner.accept, EPSILON, accept);
+                if (node.type !== 'plus') {
+                    addTransition(start, EPSILON, accept); // zero occurrences
+                }
+                if (node.type !== 'optional') {
+                    addTransition(inner.accept, EPSILON, inner.start); // repeat
+                }
+                break;
+        }
+        return { start: start, accept: accept };
+    }
+
+    var fragment = build(tree);
+    return renumberFromStart({
+        labels: [],
+        start: fragment.start,
+        accepting: transitions.map(function(t, i) { return i === fragment.accept; }),
+        alphabet: alphabet.sort(),
+        transitions: transitions
+    });
+}
+
+// Renumber states in breadth-first order from the start and name them q0, q1, ...
+function renumberFromStart(automaton) {
+    var order = [automaton.start];
+    for (var k = 0; k < order.length; k++) {
+        var row = automaton.transitions[order[k]];
+        for (var symbol in row) {
+            for (var t = 0; t < row[symbol].length; t++) {
+                if (order.indexOf(row[symbol][t]) === -1) {
+                    order.push(row[symbol][t]);
+                }
+            }
+        }
+    }
+
+    var renumbered = {
+        labels: [],
+        start: 0,
+        accepting: [],
+        alphabet: automaton.alphabet,
+        transitions: []
+    };
+    for (var i = 0; i < order.length; i++) {
+        var oldRow = automaton.transitions[order[i]];
+        var newRow = {};
+        for (var symbol in oldRow) {
+            newRow[symbol] = oldRow[symbol].map(function(s) {
+                return order.indexOf(s);
+            });
+        }
+        renumbered.labels.push('q' + i);
+        renumbered.accepting.push(automaton.accepting[order[i]]);
+        renumbered.transitions.push(newRow);
+    }
+    return renumbered;
+}
+
+// Convert a regular expression string into an epsilon-NFA
+function regexToNFA(text) {
+    return thompsonConstruct(parseRegex(text));
+}
+
+// Main UI handler function - called when user clicks the Regex to NFA button
+function applyRegexToNFA() {
+    var inputField = document.getElementById('regexInput');
+    var text = inputField ? inputField.value : '';
+
+    var nfa;
+    try {
+        nfa = regexToNFA(text);
+    } catch (e) {
+        alert('Cannot build NFA:\n\n' + e.message);
+        return;
+    }
+
+    if (nodes.length > 0) {
+        var message = 'Thompson construction complete!\n\n';
+        message += '• NFA states: ' + nfa.labels.length + '\n';
+        message += '• Alphabet: {' + nfa.alphabet.join(', ') + '}\n\n';
+        message += 'Do you want to replace the canvas with the NFA?';
+        if (!confirm(message)) {
+            return; // User cancelled
+        }
+    }
+
+    replaceCanvasWithAutomaton(nfa);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseRegex: parseRegex,
+        thompsonConstruct: thompsonConstruct,
+        regexToNFA: regexToNFA
+    };
+}
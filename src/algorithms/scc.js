@@ -0,0 +1,339 @@
+// Strongly Connected Components and Topological Sort for FSM Designer
+// Tarjan's algorithm, the condensation DAG and Kahn's topological sort on directed graphs
+//
+// All functions here read the graph as an adjacency matrix from buildAdjacencyMatrix, so they see
+// exactly the edges the matrix export shows.
+
+// Colors given to the components on the canvas, reused when there are more components
+var componentColors = ['#E53935', '#1E88E5', '#43A047', '#FB8C00', '#8E24AA', '#00ACC1', '#F06292', '#7CB342', '#6D4C41', '#FDD835'];
+
+// Successors of every node, in index order
+function successorLists(matrix) {
+    var successors = [];
+    for (var i = 0; i < matrix.length; i++) {
+        successors.push([]);
+        for (var j = 0; j < matrix.length; j++) {
+            if (matrix[i][j] > 0) {
+                successors[i].push(j);
+            }
+        }
+    }
+    return successors;
+}
+
+// Tarjan's algorithm. Returns the components (lists of node indices in index order) in topological
+// order of the condensation: no edge leads from a component to an earlier one.
+function stronglyConnectedComponents(matrix) {
+    var successors = successorLists(matrix);
+    var n = matrix.length;
+    var index = [];
+    var lowLink = [];
+    var onStack = [];
+    for (var i = 0; i < n; i++) {
+        index.push(-1);
+        lowLink.push(0);
+        onStack.push(false);
+    }
+
+    var counter = 0;
+    var stack = [];
+    var components = [];
+
+    function connect(v) {
+        index[v] = lowLink[v] = counter++;
+        stack.push(v);
+        onStack[v] = true;
+
+        for (var k = 0; k < successors[v].length; k++) {
+            var w = successors[v][k];
+            if (index[w] === -1) {
+                connect(w);
+                lowLink[v] = Math.min(lowLink[v], lowLink[w]);
+            } else if (onStack[w]) {
+                lowLink[v] = Math.min(lowLink[v], index[w]);
+            }
+        }
+
+        // v is the root of a component: pop it off the stack
+        if (lowLink[v] === index[v]) {
+            var component = [];
+            var w;
+            do {
+                w = stack.pop();
+                onStack[w] = false;
+                component.push(w);
+            } while (w !== v);
+            components.push(component.sort(function(a, b) { return a - b; }));
+        }
+    }
+
+    for (var v = 0; v < n; v++) {
+        if (index[v] === -1) {
+            connect(v);
+        }
+    }
+
+    // Tarjan finds the components in reverse topological order
+    return components.reverse();
+}
+
+// Component number of every node
+function componentIndex(components, nodeCount) {
+    var component = [];
+    for (var i = 0; i < nodeCount; i++) {
+        component.push(-1);
+    }
+    for (var c = 0; c < components.length; c++) {
+        for (var k = 0; k < components[c].length; k++) {
+            component[components[c][k]] = c;
+        }
+    }
+    return component;
+}
+
+// Build the condensation DAG as an abstract automaton (see automaton.js): one state per component,
+// named after its members ("{a,b}"), and one arrow per pair of components with an edge between them, labelled
+// with the labels of those edges. A component is accepting if any of its members is.
+function buildCondensation(components, nodeArray, linkArray, labels, start) {
+    var component = componentIndex(components, nodeArray.length);
+    var condensation = {
+        labels: [],
+        start: start >= 0 ? component[start] : -1,
+        accepting: [],
+        alphabet: [],
+        transitions: []
+    };
+
+    for (var c = 0; c < components.length; c++) {
+        var members = components[c].map(function(i) { return labels[i]; });
+        condensation.labels.push(members.length === 1 ? members[0] : '{' + members.join(',') + '}');
+        condensation.accepting.push(components[c].some(function(i) { return nodeArray[i].isAcceptState; }));
+        condensation.transitions.push({});
+    }
+
+    // Collect the edge labels between each pair of components
+    var edgeTexts = {};
+    var edgeOrder = [];
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        if (!(link instanceof Link)) {
+            continue; // Self-loops stay inside their component
+        }
+        var from = component[nodeArray.indexOf(link.nodeA)];
+        var to = component[nodeArray.indexOf(link.nodeB)];
+        if (from === to) {
+            continue;
+        }
+        var key = from + '>' + to;
+        if (!edgeTexts[key]) {
+            edgeTexts[key] = [];
+            edgeOrder.push({ from: from, to: to, key: key });
+        }
+        var text = link.text ? link.text.trim() : '';
+        if (text !== '' && edgeTexts[key].indexOf(text) === -1) {
+            edgeTexts[key].push(text);
+        }
+    }
+
+    for (var e = 0; e < edgeOrder.length; e++) {
+        var edge = edgeOrder[e];
+        var symbol = edgeTexts[edge.key].join(', ');
+        var row = condensation.transitions[edge.from];
+        if (!row[symbol]) {
+            row[symbol] = [];
+        }
+        row[symbol].push(edge.to);
+        if (symbol !== '' && condensation.alphabet.indexOf(symbol) === -1) {
+            condensation.alphabet.push(symbol);
+        }
+    }
+
+    return condensation;
+}
+
+// Kahn's algorithm, taking the node with the smallest label (see compareLabels in traversal.js)
+// whenever there is a choice; equal labels keep the node order.
+// Returns { order } with all nodes, or { cycle } with the nodes of a directed cycle in order.
+function topologicalSort(matrix, labels) {
+    var n = matrix.length;
+    var inDegree = [];
+    var removed = [];
+    for (var j = 0; j < n; j++) {
+        inDegree.push(0);
+        removed.push(false);
+        for (var i = 0; i < n; i++) {
+            inDegree[j] += matrix[i][j];
+        }
+    }
+
+    var order = [];
+    while (order.length < n) {
+        var next = -1;
+        for (var i = 0; i < n; i++) {
+            if (!removed[i] && inDegree[i] === 0 && (next === -1 || compareLabels(labels[i], labels[next]) < 0)) {
+                next = i;
+            }
+        }
+        if (next === -1) {
+            return { cycle: findRemainingCycle(matrix, removed) };
+        }
+
+        removed[next] = true;
+        order.push(next);
+        for (var j = 0; j < n; j++) {
+            inDegree[j] -= matrix[next][j];
+        }
+    }
+
+    return { order: order };
+}
+
+// Find a cycle among the nodes Kahn's algorithm could not remove. Each of them still has a
+// predecessor among them, so walking backwards must eventually repeat a node.
+function findRemainingCycle(matrix, removed) {
+    var v = removed.indexOf(false);
+    var walk = [];
+    var position = {};
+    while (position[v] === undefined) {
+        position[v] = walk.length;
+        walk.push(v);
+        for (var u = 0; u < matrix.length; u++) {
+            if (!removed[u] && matrix[u][v] > 0) {
+                v = u;
+                break;
+            }
+        }
+    }
+    // Start the cycle at its first node
+    var cycle = walk.slice(position[v]).reverse();
+    var first = cycle.indexOf(Math.min.apply(null, cycle));
+    return cycle.slice(first).concat(cycle.slice(0, first));
+}
+
+// Find the link drawn from one node to another (a self-loop if they are the same)
+function findLinkBetween(from, to) {
+    for (var i = 0; i < links.length; i++) {
+        var link = links[i];
+        if (from === to ? (link instanceof SelfLink && link.node === nodes[from]) :
+            (link instanceof Link && link.nodeA === nodes[from] && link.nodeB === nodes[to])) {
+            return link;
+        }
+    }
+    return null;
+}
+
+// Main UI handler function - called when user clicks SCC.
+// Colors each component and offers to collapse them into the condensation DAG.
+function applySCC() {
+    if (nodes.length === 0) {
+        alert('Cannot find components: No nodes in the graph.');
+        return;
+    }
+    if (!directed) {
+        alert('Cannot find strongly connected components: The graph is undirected.\n\nTurn on "Directed Links" first.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var components = stronglyConnectedComponents(buildAdjacencyMatrix(labels));
+    var component = componentIndex(components, nodes.length);
+
+    // Color every node and every edge inside a component with the component's color
+    var states = [];
+    for (var i = 0; i < nodes.length; i++) {
+        states.push({ index: i, color: componentColors[component[i] % componentColors.length], note: 'C' + (component[i] + 1) });
+    }
+    var linkHighlights = [];
+    for (var i = 0; i < links.length; i++) {
+        var link = links[i];
+        var from, to;
+        if (link instanceof Link) {
+            from = component[nodes.indexOf(link.nodeA)];
+            to = component[nodes.indexOf(link.nodeB)];
+        } else if (link instanceof SelfLink) {
+            from = to = component[nodes.indexOf(link.node)];
+        } else {
+            continue;
+        }
+        if (from === to) {
+            linkHighlights.push({ link: link, color: componentColors[from % componentColors.length] });
+        }
+    }
+    showAlgorithmHighlight(states, linkHighlights);
+
+    var message = 'Strongly connected components: ' + components.length + '\n\n';
+    for (var c = 0; c < components.length; c++) {
+        message += '• C' + (c + 1) + ': {' + components[c].map(function(i) { return labels[i]; }).join(', ') + '}\n';
+    }
+
+    if (components.length === nodes.length) {
+        alert(message + '\nEvery node is its own component, so the graph is already a DAG. Click the canvas to clear the highlight.');
+        return;
+    }
+
+    message += '\nThe components are numbered in topological order. Do you want to collapse them into the condensation DAG?';
+    if (!confirm(message)) {
+        return; // User cancelled, keep the coloring
+    }
+
+    clearAlgorithmHighlight();
+    replaceCanvasWithAutomaton(buildCondensation(components, nodes, links, labels, findStartState(nodes, links)));
+
+    alert('Condensation DAG applied! ' + components.length + ' component(s).\n\nYou can press Ctrl+Z to undo.');
+}
+
+// Main UI handler function - called when user clicks Topological Sort.
+// Numbers the nodes in topological order, or highlights a cycle that prevents one.
+function applyTopologicalSort() {
+    if (nodes.length === 0) {
+        alert('Cannot sort: No nodes in the graph.');
+        return;
+    }
+    if (!directed) {
+        alert('Cannot sort: The graph is undirected.\n\nTurn on "Directed Links" first.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var result = topologicalSort(buildAdjacencyMatrix(labels), labels);
+
+    if (result.cycle) {
+        var cycle = result.cycle;
+        var cycleLinks = [];
+        for (var k = 0; k < cycle.length; k++) {
+            var link = findLinkBetween(cycle[k], cycle[(k + 1) % cycle.length]);
+            if (link) {
+                cycleLinks.push({ link: link, color: simColors.rejectedState });
+            }
+        }
+        showAlgorithmHighlight(cycle.map(function(i) {
+            return { index: i, color: simColors.rejectedState };
+        }), cycleLinks);
+        alert('No topological order exists: the graph has a cycle.\n\n' +
+            cycle.concat([cycle[0]]).map(function(i) { return labels[i]; }).join(' → ') +
+            '\n\nThe cycle is highlighted in red. Click the canvas to clear the highlight.');
+        return;
+    }
+
+    showAlgorithmHighlight(result.order.map(function(i, position) {
+        return { index: i, color: simColors.acceptedState, note: '#' + (position + 1) };
+    }), []);
+
+    var latex = '% Topological order\n\\begin{enumerate}\n';
+    for (var k = 0; k < result.order.length; k++) {
+        latex += '    \\item $' + escapeLaTeX(labels[result.order[k]]) + '$\n';
+    }
+    latex += '\\end{enumerate}\n';
+    output(latex);
+
+    alert('Topological order:\n\n' + result.order.map(function(i) { return labels[i]; }).join(', ') +
+        '\n\nEvery edge leads from an earlier node to a later one. The nodes are numbered on the canvas; click it to clear the highlight.');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        stronglyConnectedComponents: stronglyConnectedComponents,
+        buildCondensation: buildCondensation,
+        topologicalSort: topologicalSort
+    };
+}
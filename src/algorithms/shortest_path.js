@@ -0,0 +1,475 @@
+// Shortest Path Algorithms for FSM Designer
+// Dijkstra's algorithm for non-negative weights, Bellman-Ford when some weights are negative
+
+// Read the weighted edges of the graph. Undirected graphs get one edge in each direction.
+// Each edge is { link, from, to, weight }; self-loops are kept since a negative one is a negative cycle.
+function buildWeightedEdges(nodeArray, linkArray, isDirected) {
+    var edges = [];
+
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        var from, to;
+        if (link instanceof Link) {
+            from = nodeArray.indexOf(link.nodeA);
+            to = nodeArray.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            from = to = nodeArray.indexOf(link.node);
+        } else {
+            continue; // StartLinks are not edges
+        }
+
+        var parseResult = parseEdgeWeight(link.text);
+        if (!parseResult.valid) {
+            return { success: false, error: parseResult.error };
+        }
+
+        edges.push({ link: link, from: from, to: to, weight: parseResult.weight });
+        if (!isDirected && from !== to) {
+            edges.push({ link: link, from: to, to: from, weight: parseResult.weight });
+        }
+    }
+
+    return { success: true, edges: edges };
+}
+
+// Dijkstra's algorithm (array-based, fine for hand-drawn graphs).
+// Returns distances, the edge used to reach each node (pred) and the order nodes were settled in.
+// The optional onStep callback is told each step, for playback: { type: 'settle', node, edge } with
+// the edge the node was reached by (null for the source), then for every edge to an unsettled node
+// either { type: 'relax', edge, old, distance, replaced } (replaced is the previous pred edge) or
+// { type: 'keep', edge, distance } when it does not improve the distance of edge.to.
+function dijkstra(nodeCount, edges, source, onStep) {
+    var dist = [];
+    var pred = [];
+    var settled = [];
+    var order = [];
+    for (var i = 0; i < nodeCount; i++) {
+        dist.push(Infinity);
+        pred.push(null);
+        settled.push(false);
+    }
+    dist[source] = 0;
+
+    for (var round = 0; round < nodeCount; round++) {
+        // Pick the closest unsettled node
+        var current = -1;
+        for (var i = 0; i < nodeCount; i++) {
+            if (!settled[i] && dist[i] !== Infinity && (current === -1 || dist[i] < dist[current])) {
+                current = i;
+            }
+        }
+        if (current === -1) {
+            break; // The rest is unreachable
+        }
+        settled[current] = true;
+        order.push(current);
+        if (onStep) {
+            onStep({ type: 'settle', node: current, edge: pred[current] });
+        }
+
+        for (var e = 0; e < edges.length; e++) {
+            var edge = edges[e];
+            if (edge.from !== current || settled[edge.to]) {
+                continue;
+            }
+            if (dist[current] + edge.weight < dist[edge.to]) {
+                if (onStep) {
+                    onStep({ type: 'relax', edge: edge, old: dist[edge.to], distance: dist[current] + edge.weight, replaced: pred[edge.to] });
+                }
+                dist[edge.to] = dist[current] + edge.weight;
+                pred[edge.to] = edge;
+            } else if (onStep) {
+                onStep({ type: 'keep', edge: edge, distance: dist[edge.to] });
+            }
+        }
+    }
+
+    return { dist: dist, pred: pred, order: order };
+}
+
+// Bellman-Ford algorithm. Relaxes every edge up to nodeCount - 1 times, then looks for an edge
+// that can still be relaxed; if there is one, negativeCycle lists the nodes of a negative cycle.
+function bellmanFord(nodeCount, edges, source) {
+    var dist = [];
+    var pred = [];
+    for (var i = 0; i < nodeCount; i++) {
+        dist.push(Infinity);
+        pred.push(null);
+    }
+    dist[source] = 0;
+
+    var rounds = 0;
+    for (var round = 1; round < nodeCount; round++) {
+        var changed = false;
+        for (var e = 0; e < edges.length; e++) {
+            var edge = edges[e];
+            if (dist[edge.from] !== Infinity && dist[edge.from] + edge.weight < dist[edge.to]) {
+                dist[edge.to] = dist[edge.from] + edge.weight;
+                pred[edge.to] = edge;
+                changed = true;
+            }
+        }
+        rounds = round;
+        if (!changed) {
+            break;
+        }
+    }
+
+    // One more pass: any improvement now means a negative cycle reachable from the source.
+    // The last node improved lies on that cycle or behind it in the predecessor chain.
+    var lastImproved = -1;
+    for (var e = 0; e < edges.length; e++) {
+        var edge = edges[e];
+        if (dist[edge.from] !== Infinity && dist[edge.from] + edge.weight < dist[edge.to]) {
+            dist[edge.to] = dist[edge.from] + edge.weight;
+            pred[edge.to] = edge;
+            lastImproved = edge.to;
+        }
+    }
+    var negativeCycle = lastImproved === -1 ? null : findPredecessorCycle(pred, lastImproved, nodeCount);
+
+    return { dist: dist, pred: pred, rounds: rounds, negativeCycle: negativeCycle };
+}
+
+// Follow predecessor edges back from a node until a node repeats, returning that cycle in edge order
+function findPredecessorCycle(pred, start, nodeCount) {
+    // Walking back nodeCount times is guaranteed to end inside the cycle
+    var node = start;
+    for (var i = 0; i < nodeCount; i++) {
+        node = pred[node].from;
+    }
+
+    var cycle = [node];
+    var current = pred[node].from;
+    while (current !== node) {
+        cycle.push(current);
+        current = pred[current].from;
+    }
+    return cycle.reverse();
+}
+
+// Main shortest path computation - picks Dijkstra or Bellman-Ford depending on the weights
+function computeShortestPaths(nodeArray, linkArray, source, isDirected) {
+    if (nodeArray.length === 0) {
+        return { success: false, error: 'No nodes in the graph' };
+    }
+    if (source < 0 || source >= nodeArray.length) {
+        return { success: false, error: 'No source node selected' };
+    }
+
+    var built = buildWeightedEdges(nodeArray, linkArray, isDirected);
+    if (!built.success) {
+        return built;
+    }
+
+    var hasNegative = built.edges.some(function(edge) {
+        return edge.weight < 0;
+    });
+
+    var result;
+    if (hasNegative) {
+        result = bellmanFord(nodeArray.length, built.edges, source);
+        result.algorithm = 'bellman-ford';
+    } else {
+        result = dijkstra(nodeArray.length, built.edges, source);
+        result.algorithm = 'dijkstra';
+        result.negativeCycle = null;
+    }
+
+    result.success = true;
+    result.source = source;
+    result.edges = built.edges;
+    result.warnings = [];
+    if (hasNegative && !isDirected) {
+        result.warnings.push('Negative weights on undirected edges form a negative cycle (walk the edge back and forth)');
+    }
+
+    // Shortest-path tree: the edge each reachable node was reached by
+    result.treeLinks = [];
+    if (!result.negativeCycle) {
+        for (var i = 0; i < result.pred.length; i++) {
+            if (result.pred[i] && result.treeLinks.indexOf(result.pred[i].link) === -1) {
+                result.treeLinks.push(result.pred[i].link);
+            }
+        }
+    }
+
+    return result;
+}
+
+// Node indices on the shortest path from the source to target, or null if target is unreachable
+function shortestPathTo(result, target) {
+    if (result.negativeCycle || result.dist[target] === Infinity) {
+        return null;
+    }
+    var path = [target];
+    while (path[0] !== result.source) {
+        path.unshift(result.pred[path[0]].from);
+    }
+    return path;
+}
+
+// Write a distance without floating point noise (0.1 + 0.2 shows as 0.3)
+function formatDistance(distance) {
+    if (distance === Infinity) {
+        return '∞';
+    }
+    return String(Math.round(distance * 1e9) / 1e9);
+}
+
+// Generate a LaTeX table of distances and predecessors (no document wrapper)
+function generateShortestPathLaTeX(result, labels, target) {
+    var name = result.algorithm === 'dijkstra' ? "Dijkstra's algorithm" : 'Bellman-Ford';
+    var latex = '% Shortest paths from $' + escapeLaTeX(labels[result.source]) + '$ (' + name + ')\n';
+
+    if (result.negativeCycle) {
+        var cycle = result.negativeCycle.concat([result.negativeCycle[0]]).map(function(i) {
+            return escapeLaTeX(labels[i]);
+        });
+        latex += '% Negative cycle reachable from the source: $' + cycle.join(' \\to ') + '$\n';
+        latex += '% Shortest distances are not defined.\n';
+        return latex;
+    }
+
+    latex += '\\begin{center}\n';
+    latex += '\\begin{tabular}{c|c|c}\n';
+    latex += 'Vertex & $d(v)$ & $\\pi(v)$ \\\\\n';
+    latex += '\\hline\n';
+    for (var i = 0; i < labels.length; i++) {
+        var distance = result.dist[i] === Infinity ? '$\\infty$' : formatDistance(result.dist[i]);
+        var predecessor = result.pred[i] ? '$' + escapeLaTeX(labels[result.pred[i].from]) + '$' : '--';
+        latex += '$' + escapeLaTeX(labels[i]) + '$ & ' + distance + ' & ' + predecessor + ' \\\\\n';
+    }
+    latex += '\\end{tabular}\n';
+    latex += '\\end{center}\n';
+
+    if (target !== undefined && target >= 0) {
+        var path = shortestPathTo(result, target);
+        if (path) {
+            latex += 'Shortest path: $' + path.map(function(i) {
+                return escapeLaTeX(labels[i]);
+            }).join(' \\to ') + '$ with length ' + formatDistance(result.dist[target]) + '.\n';
+        } else {
+            latex += '$' + escapeLaTeX(labels[target]) + '$ is not reachable from $' + escapeLaTeX(labels[result.source]) + '$.\n';
+        }
+    }
+
+    return latex;
+}
+
+// Record Dijkstra's algorithm as playback events (see playback.js): settling each node and relaxing
+// its edges, replayed from the steps dijkstra reports
+function dijkstraPlayback(nodeArray, linkArray, labels, source, isDirected) {
+    var built = buildWeightedEdges(nodeArray, linkArray, isDirected);
+    if (!built.success) {
+        return built;
+    }
+    var hasNegative = built.edges.some(function(edge) {
+        return edge.weight < 0;
+    });
+    if (hasNegative) {
+        return { success: false, error: "Dijkstra's algorithm needs non-negative weights. Use Shortest Paths instead, which switches to Bellman-Ford." };
+    }
+
+    var steps = [];
+    var result = dijkstra(nodeArray.length, built.edges, source, function(step) {
+        steps.push(step);
+    });
+    var n = nodeArray.length;
+    var arrow = isDirected ? ' → ' : ' – ';
+
+    var recorder = new PlaybackRecorder();
+    recorder.markState(source, simColors.nfaSecondary, 'd=0');
+    recorder.record('Start at ' + labels[source] + ' with distance 0; every other distance is ∞');
+
+    var current = -1;
+    for (var s = 0; s < steps.length; s++) {
+        var step = steps[s];
+        if (step.type === 'settle') {
+            if (current !== -1) {
+                recorder.markState(current, simColors.acceptedState);
+            }
+            current = step.node;
+            recorder.markState(current, simColors.currentState);
+            if (step.edge) {
+                recorder.markLink(step.edge.link, simColors.acceptedState);
+            }
+            recorder.record('Settle ' + labels[current] + ' with distance ' + formatDistance(result.dist[current]) + ' (the closest unsettled node)');
+            continue;
+        }
+
+        var edge = step.edge;
+        var name = labels[edge.from] + arrow + labels[edge.to] + ' (weight ' + formatDistance(edge.weight) + ')';
+        if (step.type === 'relax') {
+            if (step.replaced) {
+                recorder.unmarkLink(step.replaced.link);
+            }
+            recorder.markLink(edge.link, simColors.nfaSecondary);
+            recorder.markState(edge.to, simColors.nfaSecondary, 'd=' + formatDistance(step.distance));
+            recorder.record('Relax ' + name + ': distance of ' + labels[edge.to] + ' ' + formatDistance(step.old) + ' → ' + formatDistance(step.distance));
+        } else {
+            recorder.record('Edge ' + name + ' does not improve the distance ' + formatDistance(step.distance) + ' of ' + labels[edge.to]);
+        }
+    }
+    if (current !== -1) {
+        recorder.markState(current, simColors.acceptedState);
+    }
+
+    var summary = result.order.length + ' of ' + n + ' node(s) reachable from ' + labels[source];
+    recorder.record('Done: ' + summary + '. The green edges form the shortest-path tree');
+
+    var keepLinks = [];
+    for (var i = 0; i < n; i++) {
+        if (result.pred[i] && keepLinks.indexOf(result.pred[i].link) === -1) {
+            keepLinks.push(result.pred[i].link);
+        }
+    }
+
+    return {
+        success: true,
+        title: "Dijkstra's algorithm from " + labels[source],
+        events: recorder.events,
+        summary: summary,
+        keepLinks: keepLinks
+    };
+}
+
+// Find a node by its label (as shown by generateNodeLabels), returning -1 if there is none
+function findNodeByLabel(labels, text) {
+    text = text.trim();
+    for (var i = 0; i < labels.length; i++) {
+        if (labels[i] === text) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Work out the source node for a graph algorithm: the node named in the Source field, else the
+// selected node, else the start state. Returns { index } or { error }.
+function getSourceNode(labels) {
+    var sourceField = document.getElementById('pathSource');
+    var sourceText = sourceField ? sourceField.value.trim() : '';
+
+    var source;
+    if (sourceText !== '') {
+        source = findNodeByLabel(labels, sourceText);
+        if (source === -1) {
+            return { error: 'There is no node named "' + sourceText + '".' };
+        }
+    } else if (selectedObject instanceof Node) {
+        source = nodes.indexOf(selectedObject);
+    } else {
+        source = findStartState(nodes, links);
+    }
+    if (source === -1) {
+        return { error: 'No source node.\n\nType a node name in the Source field, or click a node first.' };
+    }
+    return { index: source };
+}
+
+// Main UI handler function - called when user clicks the Shortest Paths button
+function applyShortestPaths() {
+    if (nodes.length === 0) {
+        alert('Cannot compute shortest paths: No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var sourceResult = getSourceNode(labels);
+    if (sourceResult.error) {
+        alert('Cannot compute shortest paths: ' + sourceResult.error);
+        return;
+    }
+    var source = sourceResult.index;
+
+    var targetField = document.getElementById('pathTarget');
+    var targetText = targetField ? targetField.value.trim() : '';
+
+    var target = -1;
+    if (targetText !== '') {
+        target = findNodeByLabel(labels, targetText);
+        if (target === -1) {
+            alert('Cannot compute shortest paths: There is no node named "' + targetText + '".');
+            return;
+        }
+    }
+
+    var result = computeShortestPaths(nodes, links, source, directed);
+    if (!result.success) {
+        alert('Cannot compute shortest paths:\n\n' + result.error);
+        return;
+    }
+
+    output(generateShortestPathLaTeX(result, labels, target));
+
+    if (result.negativeCycle) {
+        var cycleLinks = [];
+        for (var k = 0; k < result.negativeCycle.length; k++) {
+            cycleLinks.push({ link: result.pred[result.negativeCycle[k]].link, color: simColors.rejectedState });
+        }
+        showAlgorithmHighlight(result.negativeCycle.map(function(i) {
+            return { index: i, color: simColors.rejectedState };
+        }), cycleLinks);
+        alert('Negative cycle found!\n\n' +
+            result.negativeCycle.concat([result.negativeCycle[0]]).map(function(i) { return labels[i]; }).join(' → ') +
+            '\n\nShortest distances are not defined when a negative cycle can be reached from the source. The cycle is highlighted in red.');
+        return;
+    }
+
+    // Highlight the shortest-path tree, and the path to the target in its own color
+    var path = target >= 0 ? shortestPathTo(result, target) : null;
+    var pathLinks = [];
+    if (path) {
+        for (var k = 1; k < path.length; k++) {
+            pathLinks.push(result.pred[path[k]].link);
+        }
+    }
+    var states = [];
+    for (var i = 0; i < nodes.length; i++) {
+        if (result.dist[i] !== Infinity) {
+            var onPath = path && path.indexOf(i) !== -1;
+            states.push({
+                index: i,
+                color: onPath ? simColors.currentState : simColors.acceptedState,
+                note: 'd=' + formatDistance(result.dist[i])
+            });
+        }
+    }
+    showAlgorithmHighlight(states, result.treeLinks.map(function(link) {
+        return { link: link, color: pathLinks.indexOf(link) !== -1 ? simColors.currentState : simColors.acceptedState };
+    }));
+
+    var reachable = states.length;
+    var message = '';
+    if (result.warnings.length > 0) {
+        message += 'Warnings:\n';
+        for (var i = 0; i < result.warnings.length; i++) {
+            message += '• ' + result.warnings[i] + '\n';
+        }
+        message += '\n';
+    }
+    message += 'Shortest paths from ' + labels[source] + ' (' + (result.algorithm === 'dijkstra' ? "Dijkstra's algorithm" : 'Bellman-Ford') + ')\n\n';
+    message += '• Reachable nodes: ' + reachable + ' of ' + nodes.length + '\n';
+    if (target >= 0) {
+        message += path ?
+            '• Distance to ' + labels[target] + ': ' + formatDistance(result.dist[target]) + ' (' + path.map(function(i) { return labels[i]; }).join(' → ') + ')\n' :
+            '• ' + labels[target] + ' is not reachable\n';
+    }
+    message += '\nThe shortest-path tree is highlighted' + (path ? ', with the path to ' + labels[target] + ' in orange' : '') +
+        '. Click the canvas to clear the highlight.';
+    alert(message);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildWeightedEdges: buildWeightedEdges,
+        dijkstra: dijkstra,
+        bellmanFord: bellmanFord,
+        computeShortestPaths: computeShortestPaths,
+        shortestPathTo: shortestPathTo,
+        formatDistance: formatDistance,
+        generateShortestPathLaTeX: generateShortestPathLaTeX,
+        dijkstraPlayback: dijkstraPlayback
+    };
+}
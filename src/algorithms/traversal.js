@@ -0,0 +1,389 @@
+// Graph Traversals for FSM Designer
+// Breadth-first and depth-first search from a start node, following the directed toggle
+//
+// BFS labels every node it reaches with its level (distance in edges from the start). DFS labels
+// them with discovery/finish times and classifies every edge it examines:
+//   tree     the edge that discovered its target
+//   back     leads to a node that is still being explored (an ancestor), closing a cycle
+//   forward  leads to an already finished descendant (directed graphs only)
+//   cross    leads to a finished node in another branch (directed graphs only)
+
+// Compare two node labels for the algorithms that visit nodes in label order. Numbers inside the
+// labels compare by value, so q2 comes before q10; everything else compares as plain strings.
+function compareLabels(a, b) {
+    var partsA = a.match(/\d+|\D+/g) || [];
+    var partsB = b.match(/\d+|\D+/g) || [];
+    for (var i = 0; i < partsA.length && i < partsB.length; i++) {
+        var x = partsA[i];
+        var y = partsB[i];
+        if (x === y) {
+            continue;
+        }
+        if (/^\d/.test(x) && /^\d/.test(y) && Number(x) !== Number(y)) {
+            return Number(x) < Number(y) ? -1 : 1;
+        }
+        return x < y ? -1 : 1;
+    }
+    return partsA.length - partsB.length;
+}
+
+// Neighbours of every node as lists of { to, link }, visited in label order as in most textbooks.
+// Undirected graphs list each edge at both ends.
+function buildNeighbourLists(nodeArray, linkArray, labels, isDirected) {
+    var neighbours = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        neighbours.push([]);
+    }
+
+    for (var i = 0; i < linkArray.length; i++) {
+        var link = linkArray[i];
+        var from, to;
+        if (link instanceof Link) {
+            from = nodeArray.indexOf(link.nodeA);
+            to = nodeArray.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            from = to = nodeArray.indexOf(link.node);
+        } else {
+            continue; // StartLinks are not edges
+        }
+
+        neighbours[from].push({ to: to, link: link });
+        if (!isDirected && from !== to) {
+            neighbours[to].push({ to: from, link: link });
+        }
+    }
+
+    for (var i = 0; i < neighbours.length; i++) {
+        neighbours[i].sort(function(a, b) {
+            return compareLabels(labels[a.to], labels[b.to]);
+        });
+    }
+    return neighbours;
+}
+
+// Breadth-first search from start.
+// Returns { order, level, treeLinks } where level[i] is -1 for nodes that cannot be reached.
+// The optional onStep callback is told each step, for playback: { type: 'start', node, queue },
+// { type: 'dequeue', node }, { type: 'discover' or 'seen', from, to, link } for every edge looked at
+// (discover also gives the queue) and { type: 'finish', node } when all neighbours of node are done.
+function breadthFirstSearch(nodeArray, linkArray, labels, start, isDirected, onStep) {
+    var neighbours = buildNeighbourLists(nodeArray, linkArray, labels, isDirected);
+    var level = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        level.push(-1);
+    }
+
+    var order = [start];
+    var treeLinks = [];
+    level[start] = 0;
+    if (onStep) {
+        onStep({ type: 'start', node: start, queue: [start] });
+    }
+    for (var head = 0; head < order.length; head++) {
+        var current = order[head];
+        if (onStep) {
+            onStep({ type: 'dequeue', node: current });
+        }
+        for (var k = 0; k < neighbours[current].length; k++) {
+            var next = neighbours[current][k];
+            if (level[next.to] === -1) {
+                level[next.to] = level[current] + 1;
+                order.push(next.to);
+                treeLinks.push(next.link);
+                if (onStep) {
+                    onStep({ type: 'discover', from: current, to: next.to, link: next.link, queue: order.slice(head + 1) });
+                }
+            } else if (onStep) {
+                onStep({ type: 'seen', from: current, to: next.to, link: next.link });
+            }
+        }
+        if (onStep) {
+            onStep({ type: 'finish', node: current });
+        }
+    }
+
+    return { order: order, level: level, treeLinks: treeLinks };
+}
+
+// Classify a non-tree edge examined by DFS from the times of its ends
+function classifyDFSEdge(discovered, finished, from, to) {
+    if (!finished[to]) {
+        return 'back';
+    }
+    return discovered[from] < discovered[to] ? 'forward' : 'cross';
+}
+
+// Highlight color of a DFS edge class
+function dfsEdgeColor(type) {
+    switch (type) {
+        case 'tree': return simColors.acceptedState;
+        case 'back': return simColors.rejectedState;
+        case 'forward': return simColors.nfaSecondary;
+        default: return simColors.epsilonTransition;
+    }
+}
+
+// Depth-first search from start.
+// Returns { order, discovered, finished, treeLinks, edges: [{ link, from, to, type }] } where
+// discovered[i] and finished[i] are 0 for nodes that cannot be reached. Each edge is classified
+// once, when it is first examined.
+// The optional onStep callback is told each step, for playback: { type: 'discover', node, from, link }
+// (from is -1 and link null for the start), { type: 'edge', from, to, link, edgeType } for every
+// non-tree edge and { type: 'finish', node, from }.
+function depthFirstSearch(nodeArray, linkArray, labels, start, isDirected, onStep) {
+    var neighbours = buildNeighbourLists(nodeArray, linkArray, labels, isDirected);
+    var discovered = [];
+    var finished = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        discovered.push(0);
+        finished.push(0);
+    }
+
+    var time = 0;
+    var order = [];
+    var treeLinks = [];
+    var edges = [];
+    var classified = [];
+
+    function visit(current, from, link) {
+        discovered[current] = ++time;
+        order.push(current);
+        if (onStep) {
+            onStep({ type: 'discover', node: current, from: from, link: link });
+        }
+
+        for (var k = 0; k < neighbours[current].length; k++) {
+            var next = neighbours[current][k];
+            if (classified.indexOf(next.link) !== -1) {
+                continue; // An undirected edge seen from its other end
+            }
+            classified.push(next.link);
+
+            if (!discovered[next.to]) {
+                treeLinks.push(next.link);
+                edges.push({ link: next.link, from: current, to: next.to, type: 'tree' });
+                visit(next.to, current, next.link);
+            } else {
+                var type = classifyDFSEdge(discovered, finished, current, next.to);
+                edges.push({ link: next.link, from: current, to: next.to, type: type });
+                if (onStep) {
+                    onStep({ type: 'edge', from: current, to: next.to, link: next.link, edgeType: type });
+                }
+            }
+        }
+
+        finished[current] = ++time;
+        if (onStep) {
+            onStep({ type: 'finish', node: current, from: from });
+        }
+    }
+
+    visit(start, -1, null);
+
+    return { order: order, discovered: discovered, finished: finished, treeLinks: treeLinks, edges: edges };
+}
+
+// Generate the LaTeX list of a traversal: nodes in the order they were visited with their BFS level
+// or DFS discovery/finish times, followed by the DFS edge classes. kind is 'bfs' or 'dfs'.
+function generateTraversalLaTeX(kind, result, labels, start, isDirected) {
+    var latex = '% ' + (kind === 'bfs' ? 'Breadth' : 'Depth') + '-first search from $' + escapeLaTeX(labels[start]) + '$\n';
+    latex += '\\begin{itemize}\n';
+    for (var k = 0; k < result.order.length; k++) {
+        var i = result.order[k];
+        latex += '    \\item $' + escapeLaTeX(labels[i]) + '$: ';
+        latex += kind === 'bfs' ? 'level ' + result.level[i] : '$' + result.discovered[i] + '/' + result.finished[i] + '$';
+        latex += '\n';
+    }
+    latex += '\\end{itemize}\n';
+
+    if (kind === 'dfs') {
+        var types = isDirected ? ['tree', 'back', 'forward', 'cross'] : ['tree', 'back'];
+        latex += '\\begin{itemize}\n';
+        for (var t = 0; t < types.length; t++) {
+            var parts = [];
+            for (var e = 0; e < result.edges.length; e++) {
+                var edge = result.edges[e];
+                if (edge.type === types[t]) {
+                    parts.push(isDirected ?
+                        '$' + escapeLaTeX(labels[edge.from]) + ' \\to ' + escapeLaTeX(labels[edge.to]) + '$' :
+                        '$\\{' + escapeLaTeX(labels[edge.from]) + ', ' + escapeLaTeX(labels[edge.to]) + '\\}$');
+                }
+            }
+            latex += '    \\item ' + types[t].charAt(0).toUpperCase() + types[t].substring(1) + ' edges: [' + parts.join(', ') + ']\n';
+        }
+        latex += '\\end{itemize}\n';
+    }
+
+    return latex;
+}
+
+// Record breadth-first search as playback events (see playback.js), replayed from the steps
+// breadthFirstSearch reports
+function bfsPlayback(nodeArray, linkArray, labels, start, isDirected) {
+    var steps = [];
+    var result = breadthFirstSearch(nodeArray, linkArray, labels, start, isDirected, function(step) {
+        steps.push(step);
+    });
+    var arrow = isDirected ? ' → ' : ' – ';
+    var parentLink = [];
+    for (var i = 0; i < nodeArray.length; i++) {
+        parentLink.push(null);
+    }
+
+    function queueText(queue) {
+        return queue.length > 0 ? queue.map(function(i) { return labels[i]; }).join(', ') : 'empty';
+    }
+
+    var recorder = new PlaybackRecorder();
+    for (var s = 0; s < steps.length; s++) {
+        var step = steps[s];
+        if (step.type === 'start') {
+            recorder.markState(step.node, simColors.nfaSecondary, 'L=0');
+            recorder.record('Start at ' + labels[step.node] + ' (level 0); queue: ' + queueText(step.queue));
+        } else if (step.type === 'dequeue') {
+            recorder.markState(step.node, simColors.currentState);
+            recorder.record('Dequeue ' + labels[step.node] + ' (level ' + result.level[step.node] + ') and look at its neighbours');
+        } else if (step.type === 'discover') {
+            parentLink[step.to] = step.link;
+            recorder.markLink(step.link, simColors.acceptedState);
+            recorder.markState(step.to, simColors.nfaSecondary, 'L=' + result.level[step.to]);
+            recorder.record('Discover ' + labels[step.to] + ' via ' + labels[step.from] + arrow + labels[step.to] +
+                ' (level ' + result.level[step.to] + '); queue: ' + queueText(step.queue));
+        } else if (step.type === 'seen') {
+            if (step.link !== parentLink[step.from]) { // Not worth mentioning the edge we arrived by
+                recorder.record('Edge ' + labels[step.from] + arrow + labels[step.to] + ' leads to ' + labels[step.to] + ', which was already discovered');
+            }
+        } else {
+            recorder.markState(step.node, simColors.acceptedState);
+        }
+    }
+
+    var summary = 'visited ' + result.order.length + ' of ' + nodeArray.length + ' node(s)';
+    recorder.record('Done: ' + summary + '. The green edges form the BFS tree');
+
+    return {
+        success: true,
+        title: 'Breadth-first search from ' + labels[start],
+        events: recorder.events,
+        summary: summary,
+        keepLinks: result.treeLinks
+    };
+}
+
+// Record depth-first search as playback events (see playback.js), with discovery/finish times,
+// replayed from the steps depthFirstSearch reports
+function dfsPlayback(nodeArray, linkArray, labels, start, isDirected) {
+    var steps = [];
+    var result = depthFirstSearch(nodeArray, linkArray, labels, start, isDirected, function(step) {
+        steps.push(step);
+    });
+    var arrow = isDirected ? ' → ' : ' – ';
+    var reasons = {
+        back: 'is still being explored, so the edge closes a cycle',
+        forward: 'is an already finished descendant of ',
+        cross: 'was finished in another branch'
+    };
+
+    var recorder = new PlaybackRecorder();
+    for (var s = 0; s < steps.length; s++) {
+        var step = steps[s];
+        if (step.type === 'discover') {
+            var node = step.node;
+            var message = 'Start at ' + labels[node];
+            if (step.from !== -1) {
+                recorder.markState(step.from, simColors.nfaSecondary);
+                recorder.markLink(step.link, dfsEdgeColor('tree'));
+                message = 'Discover ' + labels[node] + ' via ' + labels[step.from] + arrow + labels[node];
+            }
+            recorder.markState(node, simColors.currentState, result.discovered[node] + '/');
+            recorder.record(message + ' (discovery time ' + result.discovered[node] + ')');
+        } else if (step.type === 'edge') {
+            recorder.markLink(step.link, dfsEdgeColor(step.edgeType));
+            recorder.record('Edge ' + labels[step.from] + arrow + labels[step.to] + ' is a ' + step.edgeType + ' edge: ' + labels[step.to] + ' ' +
+                reasons[step.edgeType] + (step.edgeType === 'forward' ? labels[step.from] : ''));
+        } else {
+            recorder.markState(step.node, simColors.acceptedState, result.discovered[step.node] + '/' + result.finished[step.node]);
+            recorder.record('Finish ' + labels[step.node] + ' (finish time ' + result.finished[step.node] + ')');
+            if (step.from !== -1) {
+                recorder.markState(step.from, simColors.currentState); // Back to exploring the parent
+            }
+        }
+    }
+
+    var summary = 'visited ' + result.order.length + ' of ' + nodeArray.length + ' node(s)';
+    recorder.record('Done: ' + summary + '. The green edges form the DFS tree' +
+        (isDirected ? '; back edges are red, forward edges gold and cross edges purple' : ' and the red back edges close cycles'));
+
+    return {
+        success: true,
+        title: 'Depth-first search from ' + labels[start],
+        events: recorder.events,
+        summary: summary,
+        keepLinks: result.treeLinks
+    };
+}
+
+// Main UI handler function - called when user clicks BFS or DFS (kind is 'bfs' or 'dfs').
+// Starts from the node in the Source field (see getSourceNode), exports the LaTeX list and highlights the result.
+function applyTraversal(kind) {
+    var name = kind === 'bfs' ? 'BFS' : 'DFS';
+    if (nodes.length === 0) {
+        alert('Cannot run ' + name + ': No nodes in the graph.');
+        return;
+    }
+
+    var labels = generateNodeLabels();
+    var source = getSourceNode(labels);
+    if (source.error) {
+        alert('Cannot run ' + name + ': ' + source.error);
+        return;
+    }
+    var start = source.index;
+
+    var result = kind === 'bfs' ?
+        breadthFirstSearch(nodes, links, labels, start, directed) :
+        depthFirstSearch(nodes, links, labels, start, directed);
+    output(generateTraversalLaTeX(kind, result, labels, start, directed));
+
+    var states = result.order.map(function(i) {
+        return {
+            index: i,
+            color: i === start ? simColors.currentState : simColors.acceptedState,
+            note: kind === 'bfs' ? 'L=' + result.level[i] : result.discovered[i] + '/' + result.finished[i]
+        };
+    });
+    var linkHighlights = kind === 'bfs' ?
+        result.treeLinks.map(function(link) { return { link: link, color: simColors.acceptedState }; }) :
+        result.edges.map(function(edge) { return { link: edge.link, color: dfsEdgeColor(edge.type) }; });
+    showAlgorithmHighlight(states, linkHighlights);
+
+    var message = name + ' from ' + labels[start] + (directed ? ' (directed)' : '') + '\n\n';
+    message += '• Visited: ' + result.order.length + ' of ' + nodes.length + ' node(s)\n';
+    message += '• Order: ' + result.order.map(function(i) { return labels[i]; }).join(', ') + '\n';
+    if (kind === 'dfs') {
+        var counts = { tree: 0, back: 0, forward: 0, cross: 0 };
+        for (var e = 0; e < result.edges.length; e++) {
+            counts[result.edges[e].type]++;
+        }
+        message += '• Tree edges: ' + counts.tree + ', back edges: ' + counts.back;
+        message += directed ? ', forward edges: ' + counts.forward + ', cross edges: ' + counts.cross + '\n' : '\n';
+        message += '\nNodes show discovery/finish times. Tree edges are green, back edges red' +
+            (directed ? ', forward edges gold and cross edges purple' : '') + '.';
+    } else {
+        message += '\nNodes show their levels and the BFS tree is highlighted in green.';
+    }
+    message += ' Click the canvas to clear the highlight.';
+    alert(message);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        compareLabels: compareLabels,
+        buildNeighbourLists: buildNeighbourLists,
+        breadthFirstSearch: breadthFirstSearch,
+        depthFirstSearch: depthFirstSearch,
+        generateTraversalLaTeX: generateTraversalLaTeX,
+        bfsPlayback: bfsPlayback,
+        dfsPlayback: dfsPlayback
+    };
+}
@@ -5,6 +5,7 @@ function Node(x, y) {
 	this.mouseOffsetY = 0;
 	this.isAcceptState = false;
 	this.text = '';
+	this.fillColor = null; // CSS color like '#90CAF9', set by the coloring tools
 }
 
 Node.prototype.setMouseStart = function(x, y) {
@@ -18,9 +19,15 @@ Node.prototype.setAnchorPoint = function(x, y) {
 };
 
 Node.prototype.draw = function(c) {
-	// draw the circle
+	// draw the circle, filled if the node has a color
 	c.beginPath();
 	c.arc(this.x, this.y, nodeRadius, 0, 2 * Math.PI, false);
+	if(this.fillColor) {
+		var strokeColor = c.fillStyle;
+		c.fillStyle = this.fillColor;
+		c.fill();
+		c.fillStyle = strokeColor;
+	}
 	c.stroke();
 
 	// draw the text
@@ -208,4 +208,271 @@ function generateAdjacencyList() {
 	latex += '\\end{itemize}\n';
 	
 	return latex;
-}
\ No newline at end of file
+}
+
+// Matrix export variants. Each builder returns a format-independent table
+// { corner, columns: [...], rows: [{ label, start, accepting, cells: [...] }] } that
+// formatMatrixTable writes as LaTeX, CSV or Markdown. Entries are plain text;
+// '∞', '∅' and 'ε' become \infty, \emptyset and \varepsilon in LaTeX.
+
+// Edges of the graph as { link, from, to } (StartLinks skipped)
+function collectEdges(nodeArray, linkArray) {
+	var edges = [];
+	for (var i = 0; i < linkArray.length; i++) {
+		var link = linkArray[i];
+		if (link instanceof Link) {
+			edges.push({ link: link, from: nodeArray.indexOf(link.nodeA), to: nodeArray.indexOf(link.nodeB) });
+		} else if (link instanceof SelfLink) {
+			var index = nodeArray.indexOf(link.node);
+			edges.push({ link: link, from: index, to: index });
+		}
+	}
+	return edges;
+}
+
+// Rows labelled by node, with every cell set to fill
+function emptyMatrixRows(labels, columnCount, fill) {
+	var rows = [];
+	for (var i = 0; i < labels.length; i++) {
+		var cells = [];
+		for (var j = 0; j < columnCount; j++) {
+			cells.push(fill);
+		}
+		rows.push({ label: labels[i], cells: cells });
+	}
+	return rows;
+}
+
+// Weighted adjacency matrix: the link labels as entries (parallel edges are listed
+// together, unlabelled edges count as 1) and emptySymbol where there is no edge
+function buildWeightedMatrixTable(nodeArray, linkArray, labels, isDirected, emptySymbol) {
+	var entries = emptyMatrixRows(labels, labels.length, null);
+	var edges = collectEdges(nodeArray, linkArray);
+	for (var e = 0; e < edges.length; e++) {
+		var edge = edges[e];
+		var text = edge.link.text && edge.link.text.trim() !== '' ? edge.link.text.trim() : '1';
+		var pairs = isDirected || edge.from === edge.to ? [[edge.from, edge.to]] : [[edge.from, edge.to], [edge.to, edge.from]];
+		for (var p = 0; p < pairs.length; p++) {
+			var cells = entries[pairs[p][0]].cells;
+			cells[pairs[p][1]] = cells[pairs[p][1]] === null ? text : cells[pairs[p][1]] + ', ' + text;
+		}
+	}
+
+	for (var i = 0; i < entries.length; i++) {
+		for (var j = 0; j < entries[i].cells.length; j++) {
+			if (entries[i].cells[j] === null) {
+				entries[i].cells[j] = emptySymbol;
+			}
+		}
+	}
+	return { corner: '', columns: labels.slice(), rows: entries };
+}
+
+// Incidence matrix: one column per edge (e1, e2, ...). Undirected edges have 1 at both
+// ends and a self-loop has 2. Directed edges have -1 where they leave and 1 where they
+// enter, so a directed self-loop is 0.
+function buildIncidenceMatrixTable(nodeArray, linkArray, labels, isDirected) {
+	var edges = collectEdges(nodeArray, linkArray);
+	var columns = [];
+	var rows = emptyMatrixRows(labels, edges.length, '0');
+	for (var e = 0; e < edges.length; e++) {
+		var edge = edges[e];
+		columns.push('e' + (e + 1));
+		if (edge.from === edge.to) {
+			rows[edge.from].cells[e] = isDirected ? '0' : '2';
+		} else {
+			rows[edge.from].cells[e] = isDirected ? '-1' : '1';
+			rows[edge.to].cells[e] = '1';
+		}
+	}
+	return { corner: '', columns: columns, rows: rows };
+}
+
+// Degree matrix (kind 'degree') or Laplacian L = D - A (kind 'laplacian'), ignoring
+// self-loops. Directed graphs use out-degrees.
+function buildLaplacianTable(nodeArray, linkArray, labels, isDirected, kind) {
+	var n = labels.length;
+	var adjacency = [];
+	for (var i = 0; i < n; i++) {
+		adjacency.push([]);
+		for (var j = 0; j < n; j++) {
+			adjacency[i].push(0);
+		}
+	}
+	var edges = collectEdges(nodeArray, linkArray);
+	for (var e = 0; e < edges.length; e++) {
+		var edge = edges[e];
+		if (edge.from === edge.to) {
+			continue;
+		}
+		adjacency[edge.from][edge.to]++;
+		if (!isDirected) {
+			adjacency[edge.to][edge.from]++;
+		}
+	}
+
+	var rows = emptyMatrixRows(labels, n, '0');
+	for (var i = 0; i < n; i++) {
+		var degree = 0;
+		for (var j = 0; j < n; j++) {
+			degree += adjacency[i][j];
+		}
+		for (var j = 0; j < n; j++) {
+			var value = i === j ? degree : (kind === 'laplacian' ? -adjacency[i][j] : 0);
+			rows[i].cells[j] = String(value);
+		}
+	}
+	return { corner: kind === 'laplacian' ? 'L' : 'D', columns: labels.slice(), rows: rows };
+}
+
+// Transition table: states × input symbols, with an ε column if the machine has epsilon
+// moves. Rows mark the start state and accept states; several targets are written as a
+// set and a missing transition as emptySymbol.
+function buildTransitionTableExport(nodeArray, linkArray, labels, emptySymbol) {
+	var automaton = automatonFromCanvas(nodeArray, linkArray);
+	var symbols = automaton.alphabet.slice();
+	var hasEpsilon = automaton.transitions.some(function(row) {
+		return row[EPSILON] && row[EPSILON].length > 0;
+	});
+	if (hasEpsilon) {
+		symbols.push(EPSILON);
+	}
+
+	var rows = [];
+	for (var i = 0; i < labels.length; i++) {
+		var cells = [];
+		for (var s = 0; s < symbols.length; s++) {
+			var targets = (automaton.transitions[i][symbols[s]] || []).slice().sort(function(a, b) { return a - b; });
+			var names = targets.map(function(t) { return labels[t]; });
+			if (names.length === 0) {
+				cells.push(emptySymbol);
+			} else {
+				cells.push(names.length === 1 ? names[0] : '{' + names.join(', ') + '}');
+			}
+		}
+		rows.push({ label: labels[i], start: i === automaton.start, accepting: automaton.accepting[i], cells: cells });
+	}
+	return { corner: 'δ', columns: symbols, rows: rows };
+}
+
+// Write a table entry in LaTeX math mode. Labels are math, as in ExportAsLaTeX: _ and ^ stay
+// subscripts and superscripts when a character or {group} follows (q_0, q_{10}, x^2) and are
+// escaped otherwise. The count matrix keeps escapeLaTeX labels, as the Matrix button always has.
+function latexMatrixCell(text) {
+	return escapeLaTeX(text)
+		.replace(/(\\_|\\textasciicircum\{\})(\\\{[^{}\\]*\\\}|[A-Za-z0-9])/g, function(match, operator, argument) {
+			return (operator === '\\_' ? '_' : '^') + argument.replace(/^\\\{(.*)\\\}$/, '{$1}');
+		})
+		.replace(/∞/g, '\\infty ')
+		.replace(/∅/g, '\\emptyset ')
+		.replace(/ε/g, '\\varepsilon ')
+		.replace(/δ/g, '\\delta ')
+		.replace(/\s+$/, '');
+}
+
+// Write a table as 'latex', 'csv' or 'markdown'
+function formatMatrixTable(table, format) {
+	function rowLabel(row, start, accept) {
+		return (row.start ? start : '') + (row.accepting ? accept : '');
+	}
+
+	if (format === 'csv') {
+		var csvField = function(text) {
+			if (/[",\n]/.test(text)) {
+				return '"' + text.replace(/"/g, '""') + '"';
+			}
+			return text;
+		};
+		var csv = [csvField(table.corner)].concat(table.columns.map(csvField)).join(',') + '\n';
+		for (var i = 0; i < table.rows.length; i++) {
+			var row = table.rows[i];
+			csv += [csvField(rowLabel(row, '->', '*') + row.label)].concat(row.cells.map(csvField)).join(',') + '\n';
+		}
+		return csv;
+	}
+
+	if (format === 'markdown') {
+		var markdownField = function(text) {
+			return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\*/g, '\\*').replace(/_/g, '\\_');
+		};
+		var markdown = '| ' + [markdownField(table.corner)].concat(table.columns.map(markdownField)).join(' | ') + ' |\n';
+		markdown += '|' + ' --- |'.repeat(table.columns.length + 1) + '\n';
+		for (var i = 0; i < table.rows.length; i++) {
+			var row = table.rows[i];
+			markdown += '| ' + [rowLabel(row, '→ ', '\\* ') + markdownField(row.label)].concat(table.rows[i].cells.map(markdownField)).join(' | ') + ' |\n';
+		}
+		return markdown;
+	}
+
+	var latex = '\\begin{center}\n';
+	latex += '\\begin{tabular}{c|' + 'c'.repeat(table.columns.length) + '}\n';
+	latex += table.corner ? '$' + latexMatrixCell(table.corner) + '$' : '  ';
+	for (var j = 0; j < table.columns.length; j++) {
+		latex += ' & $' + latexMatrixCell(table.columns[j]) + '$';
+	}
+	latex += ' \\\\\n';
+	latex += '\\hline\n';
+	for (var i = 0; i < table.rows.length; i++) {
+		var row = table.rows[i];
+		latex += rowLabel(row, '$\\rightarrow$ ', '$*$ ') + '$' + latexMatrixCell(row.label) + '$';
+		for (var j = 0; j < row.cells.length; j++) {
+			latex += ' & $' + latexMatrixCell(row.cells[j]) + '$';
+		}
+		latex += ' \\\\\n';
+	}
+	latex += '\\end{tabular}\n';
+	latex += '\\end{center}\n';
+	return latex;
+}
+
+// Generate one of the matrix exports for the canvas. kind is 'count', 'weighted',
+// 'incidence', 'degree', 'laplacian' or 'transitions'; an empty emptySymbol falls back to
+// ∞ for weighted matrices and ∅ for transition tables.
+function generateMatrixExport(kind, format, emptySymbol) {
+	// The count matrix in LaTeX is the original Matrix export
+	if (kind === 'count' && format === 'latex') {
+		return generateAdjacencyMatrix();
+	}
+
+	if (nodes.length === 0) {
+		return '% No nodes in the graph to export.';
+	}
+
+	var labels = generateNodeLabels();
+	var table;
+	switch (kind) {
+		case 'weighted':
+			table = buildWeightedMatrixTable(nodes, links, labels, directed, emptySymbol || '∞');
+			break;
+		case 'incidence':
+			table = buildIncidenceMatrixTable(nodes, links, labels, directed);
+			break;
+		case 'degree':
+		case 'laplacian':
+			table = buildLaplacianTable(nodes, links, labels, directed, kind);
+			break;
+		case 'transitions':
+			table = buildTransitionTableExport(nodes, links, labels, emptySymbol || '∅');
+			break;
+		default:
+			var matrix = buildAdjacencyMatrix(labels);
+			table = { corner: '', columns: labels.slice(), rows: emptyMatrixRows(labels, labels.length, '0') };
+			for (var i = 0; i < labels.length; i++) {
+				table.rows[i].cells = matrix[i].map(String);
+			}
+	}
+	return formatMatrixTable(table, format);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		escapeLaTeX: escapeLaTeX,
+		buildWeightedMatrixTable: buildWeightedMatrixTable,
+		buildIncidenceMatrixTable: buildIncidenceMatrixTable,
+		buildLaplacianTable: buildLaplacianTable,
+		buildTransitionTableExport: buildTransitionTableExport,
+		latexMatrixCell: latexMatrixCell,
+		formatMatrixTable: formatMatrixTable,
+		generateMatrixExport: generateMatrixExport
+	};
+}
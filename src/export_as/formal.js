@@ -0,0 +1,158 @@
+// Formal Definition Export for FSM Designer
+// Writes the machine as M = (Q, Σ, δ, q0, F) in LaTeX and flags anything that keeps it from being a complete DFA
+
+// Find what keeps an abstract automaton (see automaton.js) from being a complete DFA.
+// Returns { nondeterministic: [{ state, symbol, targets }], epsilonStates, missing: [{ state, symbol }] }.
+function findDFAProblems(automaton) {
+	var problems = { nondeterministic: [], epsilonStates: [], missing: [] };
+	for (var i = 0; i < automaton.labels.length; i++) {
+		var row = automaton.transitions[i];
+		if (row[EPSILON] && row[EPSILON].length > 0) {
+			problems.epsilonStates.push(i);
+		}
+		for (var s = 0; s < automaton.alphabet.length; s++) {
+			var targets = row[automaton.alphabet[s]] || [];
+			if (targets.length === 0) {
+				problems.missing.push({ state: i, symbol: automaton.alphabet[s] });
+			} else if (targets.length > 1) {
+				problems.nondeterministic.push({ state: i, symbol: automaton.alphabet[s], targets: targets });
+			}
+		}
+	}
+	return problems;
+}
+
+// Describe the problems as plain sentences, listing at most a few examples of each
+function describeDFAProblems(problems, automaton, labels) {
+	var limit = 5;
+	function examples(items, describe) {
+		var text = items.slice(0, limit).map(describe).join(', ');
+		return items.length > limit ? text + ' and ' + (items.length - limit) + ' more' : text;
+	}
+
+	var messages = [];
+	if (automaton.start === -1) {
+		messages.push('There is no start state');
+	}
+	if (problems.nondeterministic.length > 0) {
+		messages.push('Nondeterministic: ' + examples(problems.nondeterministic, function(entry) {
+			return 'δ(' + labels[entry.state] + ', ' + entry.symbol + ') has ' + entry.targets.length + ' targets';
+		}));
+	}
+	if (problems.epsilonStates.length > 0) {
+		messages.push('Nondeterministic: ε-moves from ' + examples(problems.epsilonStates, function(i) {
+			return labels[i];
+		}));
+	}
+	if (problems.missing.length > 0) {
+		messages.push('Missing transitions: ' + examples(problems.missing, function(entry) {
+			return 'δ(' + labels[entry.state] + ', ' + entry.symbol + ')';
+		}));
+	}
+	return messages;
+}
+
+// Write a set of labels in LaTeX math mode
+function latexLabelSet(indices, labels) {
+	return '\\{' + indices.map(function(i) { return latexMatrixCell(labels[i]); }).join(', ') + '\\}';
+}
+
+// Generate the formal definition as LaTeX. deltaStyle is 'table' (a transition table) or 'list'
+// (one equation per transition). Returns { latex, problems: [sentences], deterministic }.
+function generateFormalDefinition(nodeArray, linkArray, labels, deltaStyle) {
+	var automaton = automatonFromCanvas(nodeArray, linkArray);
+	var problems = findDFAProblems(automaton);
+	var deterministic = problems.nondeterministic.length === 0 && problems.epsilonStates.length === 0;
+	var messages = describeDFAProblems(problems, automaton, labels);
+
+	var states = [];
+	var accepting = [];
+	for (var i = 0; i < labels.length; i++) {
+		states.push(i);
+		if (automaton.accepting[i]) {
+			accepting.push(i);
+		}
+	}
+
+	var kind = !deterministic ? 'NFA' : (problems.missing.length > 0 || automaton.start === -1 ? 'incomplete DFA' : 'complete DFA');
+	var latex = '% Formal definition (' + kind + ')\n';
+	for (var m = 0; m < messages.length; m++) {
+		latex += '% Warning: ' + messages[m] + '\n';
+	}
+
+	latex += '$M = (Q, \\Sigma, \\delta, q_0, F)$ where\n';
+	latex += '\\begin{itemize}\n';
+	latex += '    \\item $Q = ' + latexLabelSet(states, labels) + '$\n';
+	latex += '    \\item $\\Sigma = \\{' + automaton.alphabet.map(latexMatrixCell).join(', ') + '\\}$\n';
+	// A DFA with missing transitions has a partial transition function
+	var partial = deterministic && problems.missing.length > 0;
+	var signature = !deterministic ? 'Q \\times \\Sigma_\\varepsilon \\to \\mathcal{P}(Q)' :
+		'Q \\times \\Sigma ' + (partial ? '\\rightharpoonup' : '\\to') + ' Q';
+	latex += '    \\item $\\delta : ' + signature + '$ ' + (partial ? 'is a partial function and ' : '') +
+		(deltaStyle === 'list' ? 'is defined by the equations below' : 'is given by the table below') + '\n';
+	latex += automaton.start === -1 ?
+		'    \\item $q_0$: no start state\n' :
+		'    \\item $q_0 = ' + latexMatrixCell(labels[automaton.start]) + '$\n';
+	latex += '    \\item $F = ' + latexLabelSet(accepting, labels) + '$\n';
+	latex += '\\end{itemize}\n';
+
+	if (deltaStyle === 'list') {
+		var symbols = automaton.alphabet.concat(problems.epsilonStates.length > 0 ? [EPSILON] : []);
+		var equations = [];
+		for (var i = 0; i < labels.length; i++) {
+			for (var s = 0; s < symbols.length; s++) {
+				var targets = (automaton.transitions[i][symbols[s]] || []).slice().sort(function(a, b) { return a - b; });
+				if (targets.length === 0) {
+					continue;
+				}
+				equations.push('    \\delta(' + latexMatrixCell(labels[i]) + ', ' + latexMatrixCell(symbols[s]) + ') &= ' +
+					(deterministic ? latexMatrixCell(labels[targets[0]]) : latexLabelSet(targets, labels)));
+			}
+		}
+		if (equations.length > 0) {
+			latex += '\\begin{align*}\n' + equations.join(' \\\\\n') + '\n\\end{align*}\n';
+		} else {
+			latex += 'There are no transitions.\n';
+		}
+	} else {
+		latex += formatMatrixTable(buildTransitionTableExport(nodeArray, linkArray, labels, '∅'), 'latex');
+	}
+
+	return { latex: latex, problems: messages, deterministic: deterministic };
+}
+
+// Main UI handler function - called when user clicks 5-Tuple.
+// δ is written as the style chosen in the list next to the button.
+function exportFormalDefinition() {
+	if (nodes.length === 0) {
+		alert('Cannot export the formal definition: No states in the machine.');
+		return;
+	}
+	if (machineType !== 'fsm') {
+		alert('Cannot export the formal definition: The 5-tuple describes finite automata.\n\nChoose "Finite automaton" below the canvas first.');
+		return;
+	}
+
+	var styleSelect = document.getElementById('formalDelta');
+	var result = generateFormalDefinition(nodes, links, generateNodeLabels(), styleSelect ? styleSelect.value : 'table');
+	output(result.latex);
+
+	if (result.problems.length === 0) {
+		alert('The machine is a complete DFA: every state has exactly one transition on every symbol.\n\nThe formal definition is exported as LaTeX.');
+		return;
+	}
+	var message = 'The machine is ' + (result.deterministic ? 'deterministic but not a complete DFA' : 'not a DFA') + ':\n\n';
+	for (var i = 0; i < result.problems.length; i++) {
+		message += '• ' + result.problems[i] + '\n';
+	}
+	message += '\nThe formal definition is exported as LaTeX, with these warnings as comments.';
+	alert(message);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		findDFAProblems: findDFAProblems,
+		describeDFAProblems: describeDFAProblems,
+		generateFormalDefinition: generateFormalDefinition
+	};
+}
@@ -1,3 +1,12 @@
+// TikZ color for a CSS color: hex colors become xcolor rgb expressions, names are kept
+function latexColor(color) {
+	var match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})/i.exec(color);
+	if(!match) {
+		return color;
+	}
+	return '{rgb,255:red,' + parseInt(match[1], 16) + ';green,' + parseInt(match[2], 16) + ';blue,' + parseInt(match[3], 16) + '}';
+}
+
 // draw using this instead of a canvas and call toLaTeX() afterward
 function ExportAsLaTeX() {
 	this._points = [];
@@ -22,13 +31,18 @@ function ExportAsLaTeX() {
 
 	this.beginPath = function() {
 		this._points = [];
+		this._circle = null;
+	};
+	this._circleData = function() {
+		return ' (' + fixed(this._circle.x, 3) + ',' + fixed(-this._circle.y, 3) + ') circle (' + fixed(this._circle.radius, 3) + ');\n';
 	};
 	this.arc = function(x, y, radius, startAngle, endAngle, isReversed) {
 		x *= this._scale;
 		y *= this._scale;
 		radius *= this._scale;
 		if(endAngle - startAngle == Math.PI * 2) {
-			this._texData += '\\draw [' + this.strokeStyle + '] (' + fixed(x, 3) + ',' + fixed(-y, 3) + ') circle (' + fixed(radius, 3) + ');\n';
+			// full circles are written by stroke() or fill()
+			this._circle = { 'x': x, 'y': y, 'radius': radius };
 		} else {
 			if(isReversed) {
 				var temp = startAngle;
@@ -57,6 +71,10 @@ function ExportAsLaTeX() {
 		this._points.push({ 'x': x, 'y': y });
 	};
 	this.stroke = function() {
+		if(this._circle) {
+			this._texData += '\\draw [' + this.strokeStyle + ']' + this._circleData();
+			return;
+		}
 		if(this._points.length == 0) return;
 		this._texData += '\\draw [' + this.strokeStyle + ']';
 		for(var i = 0; i < this._points.length; i++) {
@@ -66,6 +84,10 @@ function ExportAsLaTeX() {
 		this._texData += ';\n';
 	};
 	this.fill = function() {
+		if(this._circle) {
+			this._texData += '\\fill [fill=' + latexColor(this.fillStyle) + ']' + this._circleData();
+			return;
+		}
 		if(this._points.length == 0) return;
 		if (directed){
 		this._texData += '\\fill [' + this.strokeStyle + ']';
@@ -106,3 +128,10 @@ function ExportAsLaTeX() {
 
 	this.translate = this.save = this.restore = this.clearRect = function(){};
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		latexColor: latexColor,
+		ExportAsLaTeX: ExportAsLaTeX
+	};
+}
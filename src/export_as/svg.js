@@ -15,6 +15,11 @@ function ExportAsSVG() {
 
 	this.beginPath = function() {
 		this._points = [];
+		this._circle = null;
+	};
+	this._ellipse = function(style) {
+		var circle = this._circle;
+		this._svgData += '\t<ellipse ' + style + ' cx="' + fixed(circle.x, 3) + '" cy="' + fixed(circle.y, 3) + '" rx="' + fixed(circle.radius, 3) + '" ry="' + fixed(circle.radius, 3) + '"/>\n';
 	};
 	this.arc = function(x, y, radius, startAngle, endAngle, isReversed) {
 		x += this._transX;
@@ -22,7 +27,8 @@ function ExportAsSVG() {
 		var style = 'stroke="' + this.strokeStyle + '" stroke-width="' + this.lineWidth + '" fill="none"';
 
 		if(endAngle - startAngle == Math.PI * 2) {
-			this._svgData += '\t<ellipse ' + style + ' cx="' + fixed(x, 3) + '" cy="' + fixed(y, 3) + '" rx="' + fixed(radius, 3) + '" ry="' + fixed(radius, 3) + '"/>\n';
+			// full circles are written by stroke() or fill()
+			this._circle = { 'x': x, 'y': y, 'radius': radius };
 		} else {
 			if(isReversed) {
 				var temp = startAngle;
@@ -57,6 +63,10 @@ function ExportAsSVG() {
 		this._points.push({ 'x': x, 'y': y });
 	};
 	this.stroke = function() {
+		if(this._circle) {
+			this._ellipse('stroke="' + this.strokeStyle + '" stroke-width="' + this.lineWidth + '" fill="none"');
+			return;
+		}
 		if(this._points.length == 0) return;
 		this._svgData += '\t<polygon stroke="' + this.strokeStyle + '" stroke-width="' + this.lineWidth + '" points="';
 		for(var i = 0; i < this._points.length; i++) {
@@ -65,6 +75,10 @@ function ExportAsSVG() {
 		this._svgData += '"/>\n';
 	};
 	this.fill = function() {
+		if(this._circle) {
+			this._ellipse('stroke="none" fill="' + this.fillStyle + '"');
+			return;
+		}
 		if(this._points.length == 0) return;
 		this._svgData += '\t<polygon fill="' + this.fillStyle + '" stroke-width="' + this.lineWidth + '" points="';
 		for(var i = 0; i < this._points.length; i++) {
@@ -0,0 +1,158 @@
+// TikZ Automata Export for FSM Designer
+// Writes the machine with the TikZ automata library (\node[state] and \path edges) instead of
+// the drawing primitives of ExportAsLaTeX, so the result is easy to edit by hand. ImportFromLaTeX
+// reads this format back.
+
+// Name a state after its label if that is a plain identifier, otherwise after its index.
+// Labels get their names first, so a fallback never takes the name of a labelled state.
+function tikzStateNames(nodeArray) {
+	var names = [];
+	var taken = {};
+	for (var i = 0; i < nodeArray.length; i++) {
+		var text = nodeArray[i].text ? nodeArray[i].text.trim() : '';
+		var plain = /^[A-Za-z][A-Za-z0-9_]*$/.test(text) && !taken.hasOwnProperty(text);
+		names.push(plain ? text : null);
+		if (plain) {
+			taken[text] = true;
+		}
+	}
+	for (var i = 0; i < nodeArray.length; i++) {
+		if (names[i] !== null) {
+			continue;
+		}
+		var name = 'n' + i;
+		for (var suffix = 1; taken.hasOwnProperty(name); suffix++) {
+			name = 'n' + i + '_' + suffix;
+		}
+		names[i] = name;
+		taken[name] = true;
+	}
+	return names;
+}
+
+// Node or edge label as TikZ node content, written like ExportAsLaTeX writes it
+function tikzLabel(text) {
+	return text && text.trim() !== '' ? '{$' + text.replace(/ /g, '\\mbox{ }') + '$}' : '{}';
+}
+
+// Angle in degrees (counterclockwise, y up) in the range (-180, 180]
+function tikzAngle(canvasAngle) {
+	var degrees = -canvasAngle * 180 / Math.PI;
+	while (degrees <= -180) degrees += 360;
+	while (degrees > 180) degrees -= 360;
+	return degrees;
+}
+
+// Bend angle of a curved link: the angle between the straight line and the arc where it leaves
+// nodeA, signed like perpendicularPart (positive bends to the right when going from A to B).
+// For a circle through A, B and the anchor point this is half the arc's central angle.
+function linkBendAngle(link) {
+	if (link.perpendicularPart == 0) {
+		return 0;
+	}
+	var anchor = link.getAnchorPoint();
+	var circle = circleFromThreePoints(link.nodeA.x, link.nodeA.y, link.nodeB.x, link.nodeB.y, anchor.x, anchor.y);
+	var dx = link.nodeB.x - link.nodeA.x;
+	var dy = link.nodeB.y - link.nodeA.y;
+	var halfChord = Math.sqrt(dx * dx + dy * dy) / 2;
+	var angle = Math.asin(Math.min(1, halfChord / circle.radius));
+	// The arc is the long way round when the anchor is on the same side of the chord as the centre
+	var anchorSide = dx * (anchor.y - link.nodeA.y) - dy * (anchor.x - link.nodeA.x);
+	var centreSide = dx * (circle.y - link.nodeA.y) - dy * (circle.x - link.nodeA.x);
+	if (anchorSide * centreSide > 0) {
+		angle = Math.PI - angle;
+	}
+	return (link.perpendicularPart > 0 ? 1 : -1) * angle * 180 / Math.PI;
+}
+
+// Edge options for a self-loop: loop above/below/left/right, or explicit out/in angles
+function selfLoopOptions(link) {
+	var angle = tikzAngle(link.anchorAngle);
+	var sides = { '90': 'above', '-90': 'below', '0': 'right', '180': 'left' };
+	var rounded = Math.round(angle);
+	if (Math.abs(angle - rounded) < 0.01 && sides[String(rounded)]) {
+		return 'loop ' + sides[String(rounded)];
+	}
+	return 'loop, out=' + fixed(angle + 15, 1) + ', in=' + fixed(angle - 15, 1);
+}
+
+// Side of the state the start arrow comes from
+function startLinkSide(link) {
+	if (Math.abs(link.deltaX) >= Math.abs(link.deltaY)) {
+		return link.deltaX <= 0 ? 'left' : 'right';
+	}
+	return link.deltaY < 0 ? 'above' : 'below';
+}
+
+// Generate a LaTeX document with the machine drawn using the TikZ automata library
+function generateTikZAutomaton(nodeArray, linkArray, isDirected) {
+	var scale = 0.1; // pixels to document space, as in ExportAsLaTeX
+	var names = tikzStateNames(nodeArray);
+	var startSides = [];
+	for (var i = 0; i < nodeArray.length; i++) {
+		startSides.push(null);
+	}
+	for (var i = 0; i < linkArray.length; i++) {
+		if (linkArray[i] instanceof StartLink) {
+			startSides[nodeArray.indexOf(linkArray[i].node)] = startLinkSide(linkArray[i]);
+		}
+	}
+
+	var body = '';
+	for (var i = 0; i < nodeArray.length; i++) {
+		var node = nodeArray[i];
+		var options = ['state'];
+		if (startSides[i]) {
+			options.push('initial');
+			if (startSides[i] !== 'left') {
+				options.push('initial where=' + startSides[i]);
+			}
+		}
+		if (node.isAcceptState) {
+			options.push('accepting');
+		}
+		if (node.fillColor) {
+			options.push('fill=' + latexColor(node.fillColor));
+		}
+		body += '\\node[' + options.join(', ') + '] (' + names[i] + ') at (' + fixed(node.x * scale, 2) + ',' +
+			fixed(-node.y * scale, 2) + ') ' + tikzLabel(node.text) + ';\n';
+	}
+
+	var path = isDirected ? '\\path[->] ' : '\\path ';
+	for (var i = 0; i < linkArray.length; i++) {
+		var link = linkArray[i];
+		if (link instanceof SelfLink) {
+			var name = names[nodeArray.indexOf(link.node)];
+			body += path + '(' + name + ') edge [' + selfLoopOptions(link) + '] node ' + tikzLabel(link.text) + ' ();\n';
+		} else if (link instanceof Link) {
+			var bend = Math.round(linkBendAngle(link));
+			var edgeOptions = bend === 0 ? '' : '[bend ' + (bend > 0 ? 'right' : 'left') + '=' + Math.abs(bend) + '] ';
+			// auto puts labels on the left of the edge; keep them on the outside of right bends
+			var nodeOptions = bend > 0 ? '[swap] ' : '';
+			body += path + '(' + names[nodeArray.indexOf(link.nodeA)] + ') edge ' + edgeOptions + 'node ' + nodeOptions +
+				tikzLabel(link.text) + ' (' + names[nodeArray.indexOf(link.nodeB)] + ');\n';
+		}
+	}
+
+	return '\\documentclass[12pt]{article}\n' +
+		'\\usepackage{tikz}\n' +
+		'\\usetikzlibrary{automata}\n' +
+		'\n' +
+		'\\begin{document}\n' +
+		'\n' +
+		'\\begin{center}\n' +
+		'\\begin{tikzpicture}[scale=0.2, >=stealth, auto, initial text=]\n' +
+		body +
+		'\\end{tikzpicture}\n' +
+		'\\end{center}\n' +
+		'\n' +
+		'\\end{document}\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		tikzStateNames: tikzStateNames,
+		linkBendAngle: linkBendAngle,
+		generateTikZAutomaton: generateTikZAutomaton
+	};
+}
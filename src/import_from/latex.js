@@ -10,6 +10,14 @@ function ImportFromLaTeX() {
 	this._lines = [];        // {points: [{x,y}...]}
 	this._arcs = [];         // {startX, startY, startAngle, endAngle, radius, centerX, centerY}
 	this._fills = [];        // {points: [{x,y}...]}
+
+	// TikZ automata library format (see tikz_automata.js)
+	this._automata = false;
+	this._directed = false;
+	this._states = [];       // {name, options: [..], x, y, label}
+	this._edges = [];        // {from, to, options: [..], label}
+	this._pictureScale = 1;
+	this._nodeDistance = null; // {x, y} in cm, from the node distance picture option
 }
 
 // Main entry point - parse LaTeX string
@@ -20,6 +28,12 @@ ImportFromLaTeX.prototype.parse = function(latexString) {
 	this._lines = [];
 	this._arcs = [];
 	this._fills = [];
+	this._automata = false;
+	this._directed = false;
+	this._states = [];
+	this._edges = [];
+	this._pictureScale = 1;
+	this._nodeDistance = null;
 	
 	// Extract content between \begin{tikzpicture} and \end{tikzpicture}
 	// Also accept just \begin{tikzpicture} without the \begin{center} wrapper
@@ -30,6 +44,13 @@ ImportFromLaTeX.prototype.parse = function(latexString) {
 	
 	var tikzContent = tikzMatch[0];
 	
+	// The automata library format has \node[state] statements that may span several lines
+	if (/\\node\s*\[[^\]]*\bstate\b/.test(tikzContent)) {
+		this._automata = true;
+		this._parseAutomata(tikzContent);
+		return this;
+	}
+	
 	// Split into lines and parse each command
 	var lines = tikzContent.split('\n');
 	for (var i = 0; i < lines.length; i++) {
@@ -160,6 +181,10 @@ ImportFromLaTeX.prototype._transformCoord = function(x, y) {
 
 // Reconstruct FSM from parsed elements
 ImportFromLaTeX.prototype.reconstructFSM = function() {
+	if (this._automata) {
+		return this._reconstructAutomata();
+	}
+	
 	var result = {
 		nodes: [],
 		links: []
@@ -484,13 +509,395 @@ ImportFromLaTeX.prototype._getLinkMidpoint = function(link, nodeRadius) {
 	return null;
 };
 
+// Parse the TikZ automata library format: \node[state, ...] (name) at (x,y) {label}; and
+// \path[->] (a) edge [options] node {label} (b) ...; statements
+ImportFromLaTeX.prototype._parseAutomata = function(tikzContent) {
+	// Drop comments (but not \%)
+	var content = tikzContent.replace(/(^|[^\\])%.*$/gm, '$1');
+	
+	var pictureMatch = content.match(/\\begin\{tikzpicture\}\s*(\[[^\]]*\])?/);
+	var pictureOptions = pictureMatch[1] ? this._splitOptions(pictureMatch[1].slice(1, -1)) : [];
+	for (var i = 0; i < pictureOptions.length; i++) {
+		var scaleMatch = pictureOptions[i].match(/^scale\s*=\s*([\d.]+)$/);
+		var distanceMatch = pictureOptions[i].match(/^node\s+distance\s*=\s*(.+)$/);
+		if (scaleMatch) {
+			this._pictureScale = parseFloat(scaleMatch[1]);
+		} else if (distanceMatch) {
+			// node distance=2cm, or node distance=<vertical> and <horizontal>
+			var distances = distanceMatch[1].split(/\s+and\s+/).map(this._tikzLength);
+			if (!isNaN(distances[0]) && !isNaN(distances[distances.length - 1])) {
+				this._nodeDistance = { x: distances[distances.length - 1], y: distances[0] };
+			}
+		} else if (pictureOptions[i] === '->') {
+			this._directed = true;
+		}
+	}
+	content = content.slice(pictureMatch.index + pictureMatch[0].length).replace(/\\end\{tikzpicture\}[\s\S]*$/, '');
+	
+	var statements = this._splitStatements(content);
+	for (var i = 0; i < statements.length; i++) {
+		var statement = statements[i];
+		if (/^\\node\b/.test(statement)) {
+			this._parseStateStatement(statement);
+		} else if (/^\\(path|draw)\b/.test(statement)) {
+			this._parsePathStatement(statement);
+		}
+	}
+};
+
+// Length in cm of a TikZ dimension such as 3cm, 15mm or 1in. Plain numbers are points, as in TikZ.
+ImportFromLaTeX.prototype._tikzLength = function(text) {
+	var units = { cm: 1, mm: 0.1, in: 2.54, pt: 2.54 / 72.27 };
+	var match = text.trim().match(/^([\d.]+)\s*(cm|mm|in|pt)?$/);
+	return match ? parseFloat(match[1]) * units[match[2] || 'pt'] : NaN;
+};
+
+// Split TikZ code into ;-terminated statements, ignoring ; inside braces
+ImportFromLaTeX.prototype._splitStatements = function(content) {
+	var statements = [];
+	var depth = 0;
+	var current = '';
+	for (var i = 0; i < content.length; i++) {
+		var ch = content[i];
+		if (ch === '{') depth++;
+		if (ch === '}') depth--;
+		if (ch === ';' && depth === 0) {
+			statements.push(current.trim());
+			current = '';
+		} else {
+			current += ch;
+		}
+	}
+	return statements;
+};
+
+// Split an option list on commas outside braces
+ImportFromLaTeX.prototype._splitOptions = function(text) {
+	var options = [];
+	var depth = 0;
+	var current = '';
+	for (var i = 0; i < text.length; i++) {
+		var ch = text[i];
+		if (ch === '{') depth++;
+		if (ch === '}') depth--;
+		if (ch === ',' && depth === 0) {
+			options.push(current.trim());
+			current = '';
+		} else {
+			current += ch;
+		}
+	}
+	options.push(current.trim());
+	return options.filter(function(option) { return option !== ''; });
+};
+
+// Read a group starting at text[index] (which must be the open character).
+// Returns { content, end } with end just past the closing character, or null.
+ImportFromLaTeX.prototype._readGroup = function(text, index, open, close) {
+	if (text[index] !== open) {
+		return null;
+	}
+	var depth = 0;
+	for (var i = index; i < text.length; i++) {
+		if (text[i] === '{') depth++;
+		if (text[i] === '}') depth--;
+		if (text[i] === close && depth === 0) {
+			return { content: text.slice(index + 1, i), end: i + 1 };
+		}
+	}
+	return null;
+};
+
+// Node or edge label without its math-mode dollars
+ImportFromLaTeX.prototype._automataLabel = function(label) {
+	label = label.trim();
+	var mathMatch = label.match(/^\$([\s\S]*)\$$/);
+	return this._cleanText(mathMatch ? mathMatch[1] : label);
+};
+
+// Parse \node[options] (name) at (x,y) {label}; option groups may also follow the name
+ImportFromLaTeX.prototype._parseStateStatement = function(statement) {
+	var state = { name: '', options: [], x: null, y: null, label: '' };
+	var index = '\\node'.length;
+	
+	while (index < statement.length) {
+		var ch = statement[index];
+		var group = null;
+		if (ch === '[') {
+			group = this._readGroup(statement, index, '[', ']');
+			if (group) {
+				state.options = state.options.concat(this._splitOptions(group.content));
+			}
+		} else if (ch === '(') {
+			group = this._readGroup(statement, index, '(', ')');
+			if (group) {
+				state.name = group.content.trim();
+			}
+		} else if (ch === '{') {
+			group = this._readGroup(statement, index, '{', '}');
+			if (group) {
+				state.label = this._automataLabel(group.content);
+			}
+		} else {
+			var atMatch = statement.slice(index).match(/^at\s*\(([^,]+),([^)]+)\)/);
+			if (atMatch) {
+				state.x = parseFloat(atMatch[1]);
+				state.y = parseFloat(atMatch[2]);
+				index += atMatch[0].length;
+				continue;
+			}
+		}
+		index = group ? group.end : index + 1;
+	}
+	
+	if (state.options.indexOf('state') !== -1) {
+		this._states.push(state);
+	}
+};
+
+// Parse \path[options] (a) edge [options] node [options] {label} (b) edge ... ;
+// Every edge starts at the last (name) before it; an empty target () is a loop.
+ImportFromLaTeX.prototype._parsePathStatement = function(statement) {
+	var index = statement.match(/^\\(path|draw)/)[0].length;
+	var current = null;
+	var skip = function() {
+		while (index < statement.length && /\s/.test(statement[index])) index++;
+	};
+	
+	skip();
+	var group = this._readGroup(statement, index, '[', ']');
+	if (group) {
+		if (this._splitOptions(group.content).indexOf('->') !== -1) {
+			this._directed = true;
+		}
+		index = group.end;
+	}
+	
+	while (index < statement.length) {
+		skip();
+		group = this._readGroup(statement, index, '(', ')');
+		if (group) {
+			current = group.content.trim();
+			index = group.end;
+			continue;
+		}
+		if (!/^edge\b/.test(statement.slice(index))) {
+			index++;
+			continue;
+		}
+		
+		var edge = { from: current, to: current, options: [], label: '' };
+		index += 'edge'.length;
+		skip();
+		group = this._readGroup(statement, index, '[', ']');
+		if (group) {
+			edge.options = this._splitOptions(group.content);
+			if (edge.options.indexOf('->') !== -1) {
+				this._directed = true;
+			}
+			index = group.end;
+			skip();
+		}
+		if (/^node\b/.test(statement.slice(index))) {
+			index += 'node'.length;
+			skip();
+			group = this._readGroup(statement, index, '[', ']');
+			if (group) {
+				index = group.end;
+				skip();
+			}
+			group = this._readGroup(statement, index, '{', '}');
+			if (group) {
+				edge.label = this._automataLabel(group.content);
+				index = group.end;
+				skip();
+			}
+		}
+		group = this._readGroup(statement, index, '(', ')');
+		if (group) {
+			if (group.content.trim() !== '') {
+				edge.to = group.content.trim();
+			}
+			index = group.end;
+		}
+		this._edges.push(edge);
+	}
+};
+
+// Convert a color from a fill= option: xcolor rgb expressions become hex, names are kept
+ImportFromLaTeX.prototype._automataColor = function(color) {
+	var match = color.match(/^\{?rgb,255:red,(\d+);green,(\d+);blue,(\d+)\}?$/);
+	if (!match) {
+		return color;
+	}
+	var hex = '#';
+	for (var i = 1; i <= 3; i++) {
+		hex += ('0' + parseInt(match[i], 10).toString(16)).slice(-2);
+	}
+	return hex.toUpperCase();
+};
+
+// Build nodes and links from the parsed automata statements
+ImportFromLaTeX.prototype._reconstructAutomata = function() {
+	var result = {
+		nodes: [],
+		links: []
+	};
+	
+	var nodeRadius = 30;
+	var pixelsPerCm = 50;
+	var scale = this._pictureScale * pixelsPerCm; // TikZ units to pixels; scale=0.2 gives the 10 of the LaTeX export
+	// Distance between states placed relative to each other or without coordinates. TikZ does not
+	// scale node distance with the picture, so it is converted from cm directly.
+	var spacing = { x: 150, y: 150 };
+	if (this._nodeDistance) {
+		spacing = { x: this._nodeDistance.x * pixelsPerCm, y: this._nodeDistance.y * pixelsPerCm };
+	}
+	var startDistance = 80;
+	var directions = {
+		above: { x: 0, y: -1 },
+		below: { x: 0, y: 1 },
+		left: { x: -1, y: 0 },
+		right: { x: 1, y: 0 }
+	};
+	var byName = {};
+	
+	// Step 1: States, placed at their coordinates, relative to an earlier state, or in a row
+	for (var i = 0; i < this._states.length; i++) {
+		var state = this._states[i];
+		var x = 100 + spacing.x * i;
+		var y = 100;
+		if (state.x !== null && !isNaN(state.x) && !isNaN(state.y)) {
+			x = state.x * scale;
+			y = -state.y * scale;
+		}
+		for (var j = 0; j < state.options.length; j++) {
+			// above right of=q0 or above right=of q0
+			var relative = state.options[j].match(/^((?:above|below|left|right)(?:\s+(?:left|right))?)\s*(?:of\s*=\s*|=\s*of\s+)(.+)$/);
+			if (relative && byName[relative[2].trim()]) {
+				var other = byName[relative[2].trim()];
+				var words = relative[1].split(/\s+/);
+				x = other.x;
+				y = other.y;
+				for (var w = 0; w < words.length; w++) {
+					x += directions[words[w]].x * spacing.x;
+					y += directions[words[w]].y * spacing.y;
+				}
+			}
+		}
+		
+		var node = new Node(x, y);
+		node.text = state.label;
+		node.isAcceptState = false;
+		var initialSide = null;
+		for (var j = 0; j < state.options.length; j++) {
+			var option = state.options[j];
+			var initialMatch = option.match(/^initial(?:\s+where\s*=)?\s*(above|below|left|right)$/);
+			if (option === 'initial') {
+				initialSide = initialSide || 'left';
+			} else if (initialMatch) {
+				initialSide = initialMatch[1];
+			} else if (option === 'accepting' || option === 'accepting by double') {
+				node.isAcceptState = true;
+			} else if (/^fill\s*=/.test(option)) {
+				node.fillColor = this._automataColor(option.replace(/^fill\s*=\s*/, ''));
+			}
+		}
+		result.nodes.push(node);
+		if (state.name) {
+			byName[state.name] = node;
+		}
+		
+		if (initialSide) {
+			var startLink = new StartLink(node, null);
+			startLink.deltaX = directions[initialSide].x * startDistance;
+			startLink.deltaY = directions[initialSide].y * startDistance;
+			startLink.text = '';
+			result.links.push(startLink);
+		}
+	}
+	
+	// Keep hand-written pictures around the origin on the canvas
+	var minX = Infinity;
+	var minY = Infinity;
+	for (var i = 0; i < result.nodes.length; i++) {
+		minX = Math.min(minX, result.nodes[i].x);
+		minY = Math.min(minY, result.nodes[i].y);
+	}
+	if (minX < nodeRadius || minY < nodeRadius) {
+		var shiftX = minX < nodeRadius ? 2 * nodeRadius - minX : 0;
+		var shiftY = minY < nodeRadius ? 2 * nodeRadius - minY : 0;
+		for (var i = 0; i < result.nodes.length; i++) {
+			result.nodes[i].x += shiftX;
+			result.nodes[i].y += shiftY;
+		}
+	}
+	
+	// Step 2: Edges, curved by their bend angle, and loops pointing the way they leave the state
+	var loopAngles = { above: 90, below: -90, left: 180, right: 0 };
+	for (var i = 0; i < this._edges.length; i++) {
+		var edge = this._edges[i];
+		var nodeA = byName[edge.from];
+		var nodeB = byName[edge.to];
+		if (!nodeA || !nodeB) {
+			throw new Error('Unknown state "' + (nodeA ? edge.to : edge.from) + '" in a \\path edge.');
+		}
+		
+		if (nodeA === nodeB) {
+			var angle = 90;
+			var outAngle = null;
+			var inAngle = null;
+			for (var j = 0; j < edge.options.length; j++) {
+				var option = edge.options[j];
+				var sideMatch = option.match(/^loop\s+(above|below|left|right)$/);
+				if (sideMatch) {
+					angle = loopAngles[sideMatch[1]];
+				} else if (/^out\s*=/.test(option)) {
+					outAngle = parseFloat(option.replace(/^out\s*=/, ''));
+				} else if (/^in\s*=/.test(option)) {
+					inAngle = parseFloat(option.replace(/^in\s*=/, ''));
+				}
+			}
+			if (outAngle !== null && inAngle !== null) {
+				angle = (outAngle + inAngle) / 2;
+			}
+			var selfLink = new SelfLink(nodeA, null);
+			selfLink.anchorAngle = -angle * Math.PI / 180;
+			selfLink.text = edge.label;
+			result.links.push(selfLink);
+			continue;
+		}
+		
+		var link = new Link(nodeA, nodeB);
+		link.text = edge.label;
+		link.lineAngleAdjust = 0;
+		link.parallelPart = 0.5;
+		link.perpendicularPart = 0;
+		for (var j = 0; j < edge.options.length; j++) {
+			// bend left/right without an angle bends by 30 degrees
+			var bendMatch = edge.options[j].match(/^bend\s+(left|right)(?:\s*=\s*([\d.]+))?$/);
+			if (bendMatch) {
+				var bend = (bendMatch[2] ? parseFloat(bendMatch[2]) : 30) * Math.PI / 180;
+				var dx = nodeB.x - nodeA.x;
+				var dy = nodeB.y - nodeA.y;
+				// The arc leaves at the bend angle, so the anchor in its middle is (L/2) tan(bend/2) off the line
+				var offset = Math.sqrt(dx * dx + dy * dy) / 2 * Math.tan(bend / 2);
+				link.perpendicularPart = bendMatch[1] === 'right' ? offset : -offset;
+			}
+		}
+		result.links.push(link);
+	}
+	
+	return result;
+};
+
 // Main import function - called from UI
 function importFromLaTeX(latexString) {
 	var importer = new ImportFromLaTeX();
 	importer.parse(latexString);
 	var result = importer.reconstructFSM();
-	// Detect if directed based on presence of fills (arrowheads)
-	result.isDirected = importer._fills.length > 0;
+	// Detect if directed based on presence of fills (arrowheads), or -> options in the automata format
+	result.isDirected = importer._automata ? importer._directed : importer._fills.length > 0;
 	return result;
 }
 
@@ -109,8 +109,12 @@ function drawUsing(c) {
 	c.save();
 	c.translate(0.5, 0.5);
 
+	// Simulation and algorithm highlights are drawn on the canvas only, never into exports
+	var onCanvas = c === canvas.getContext('2d');
+	var highlighted = onCanvas && typeof isCanvasHighlighted === 'function' && isCanvasHighlighted();
+
 	// Draw simulation overlay (input string display) first
-	if (simulationActive && currentSimulation && typeof drawSimulationOverlay === 'function') {
+	if (onCanvas && simulationActive && currentSimulation && typeof drawSimulationOverlay === 'function') {
 		drawSimulationOverlay(c);
 	}
 
@@ -118,9 +122,9 @@ function drawUsing(c) {
 		c.lineWidth = 1;
 		c.fillStyle = c.strokeStyle = (nodes[i] == selectedObject) ? 'blue' : 'black';
 		
-		// Check for simulation highlight
+		// Check for simulation or algorithm highlight
 		var simHighlighted = false;
-		if (simulationActive && currentSimulation && typeof drawNodeWithSimulation === 'function') {
+		if (highlighted) {
 			simHighlighted = drawNodeWithSimulation(c, nodes[i], i, nodes[i] == selectedObject);
 		}
 		
@@ -132,9 +136,9 @@ function drawUsing(c) {
 		c.lineWidth = 1;
 		c.fillStyle = c.strokeStyle = (links[i] == selectedObject) ? 'blue' : 'black';
 		
-		// Check for simulation highlight
+		// Check for simulation or algorithm highlight
 		var simHighlighted = false;
-		if (simulationActive && currentSimulation && typeof drawLinkWithSimulation === 'function') {
+		if (highlighted) {
 			simHighlighted = drawLinkWithSimulation(c, links[i], links[i] == selectedObject);
 		}
 		
@@ -149,7 +153,7 @@ function drawUsing(c) {
 	}
 
 	// Draw result banner if simulation is complete
-	if (simulationActive && currentSimulation && typeof drawResultBanner === 'function') {
+	if (onCanvas && simulationActive && currentSimulation && typeof drawResultBanner === 'function') {
 		drawResultBanner(c, canvas.width, canvas.height);
 	}
 
@@ -160,7 +164,11 @@ function toggleDirected(){
 	directed=!directed;
 	draw();
 	if (latex){ //if latex selected, update latex code
-		saveAsLaTeX();
+		if (tikz) {
+			saveAsTikZ();
+		} else {
+			saveAsLaTeX();
+		}
 	}
 	if (svg){ //if svg selected, update svg code
 		saveAsSVG();
@@ -168,6 +176,30 @@ function toggleDirected(){
 	// Save the directed state
 	saveBackup();
 }
+// Kind of machine being edited: 'fsm' (finite automaton), 'pda' (pushdown automaton), 'tm' (Turing machine),
+// or the transducers 'mealy' (outputs on arrows) and 'moore' (outputs on states)
+var machineType = 'fsm';
+function setMachineType(type) {
+	machineType = type;
+	// A running simulation was built for the old machine type
+	if (typeof simulationActive !== 'undefined' && simulationActive) {
+		handleResetSimulation();
+	}
+	updateMachineTypeUI();
+	saveBackup();
+}
+function updateMachineTypeUI() {
+	var select = document.getElementById('machineTypeSelect');
+	if (select) {
+		select.value = machineType;
+	}
+	if (typeof updatePDAOptionsUI === 'function') {
+		updatePDAOptionsUI();
+	}
+	if (typeof updateTMOptionsUI === 'function') {
+		updateTMOptionsUI();
+	}
+}
 function draw() {
 	drawUsing(canvas.getContext('2d'));
 	saveBackup();
@@ -204,6 +236,7 @@ function snapNode(node) {
 window.onload = function() {
 	canvas = document.getElementById('canvas');
 	restoreBackup();
+	updateMachineTypeUI();
 	draw();
 	
 	// Initialize keybind system
@@ -215,6 +248,9 @@ window.onload = function() {
 		var mouse = crossBrowserRelativeMousePos(e);
 		selectedObject = selectObject(mouse.x, mouse.y);
 		movingObject = false;
+		if (typeof clearAlgorithmHighlight === 'function') {
+			clearAlgorithmHighlight();
+		}
 		originalClick = mouse;
 
 		if(selectedObject != null) {
@@ -462,8 +498,10 @@ function saveAsPNG() {
 }
 var svg=false;
 var latex=false;
+var tikz=false; // LaTeX output uses the TikZ automata library
 function saveAsSVG() {
 	latex=false;
+	tikz=false;
 	svg=true;
 	var exporter = new ExportAsSVG();
 	var oldSelectedObject = selectedObject;
@@ -478,6 +516,7 @@ function saveAsSVG() {
 function saveAsLaTeX() {
 	svg=false;
 	latex=true;
+	tikz=false;
 	var exporter = new ExportAsLaTeX();
 	var oldSelectedObject = selectedObject;
 	selectedObject = null;
@@ -487,6 +526,13 @@ function saveAsLaTeX() {
 	output(texData);
 }
 
+function saveAsTikZ() {
+	svg=false;
+	latex=true;
+	tikz=true;
+	output(generateTikZAutomaton(nodes, links, directed));
+}
+
 function copyOutput() {
 	var textarea = document.getElementById('output');
 	var copyButton = document.getElementById('copyButton');
@@ -83,7 +83,7 @@ var maxHistorySize = 50;
 function saveState() {
     var state = {
         nodes: nodes.map(function(n) {
-            return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState };
+            return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState, fillColor: n.fillColor };
         }),
         links: links.map(function(l) {
             if (l instanceof SelfLink) {
@@ -93,7 +93,8 @@ function saveState() {
             } else if (l instanceof Link) {
                 return { type: 'Link', nodeA: nodes.indexOf(l.nodeA), nodeB: nodes.indexOf(l.nodeB), text: l.text, lineAngleAdjust: l.lineAngleAdjust, parallelPart: l.parallelPart, perpendicularPart: l.perpendicularPart };
             }
-        })
+        }),
+        machineType: machineType
     };
     undoStack.push(JSON.stringify(state));
     if (undoStack.length > maxHistorySize) {
@@ -112,6 +113,7 @@ function restoreState(stateStr) {
         var node = new Node(n.x, n.y);
         node.text = n.text;
         node.isAcceptState = n.isAcceptState;
+        node.fillColor = n.fillColor || null;
         nodes.push(node);
     }
     
@@ -139,6 +141,11 @@ function restoreState(stateStr) {
         }
     }
     
+    // Undo and redo switch the machine type too, e.g. back to Mealy after a Mealy to Moore conversion
+    if (state.machineType && state.machineType !== machineType) {
+        setMachineType(state.machineType);
+    }
+    
     selectedObject = null;
     draw();
 }
@@ -147,7 +154,7 @@ function undo() {
     if (undoStack.length > 0) {
         var currentState = {
             nodes: nodes.map(function(n) {
-                return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState };
+                return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState, fillColor: n.fillColor };
             }),
             links: links.map(function(l) {
                 if (l instanceof SelfLink) {
@@ -157,7 +164,8 @@ function undo() {
                 } else if (l instanceof Link) {
                     return { type: 'Link', nodeA: nodes.indexOf(l.nodeA), nodeB: nodes.indexOf(l.nodeB), text: l.text, lineAngleAdjust: l.lineAngleAdjust, parallelPart: l.parallelPart, perpendicularPart: l.perpendicularPart };
                 }
-            })
+            }),
+            machineType: machineType
         };
         redoStack.push(JSON.stringify(currentState));
         restoreState(undoStack.pop());
@@ -168,7 +176,7 @@ function redo() {
     if (redoStack.length > 0) {
         var currentState = {
             nodes: nodes.map(function(n) {
-                return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState };
+                return { x: n.x, y: n.y, text: n.text, isAcceptState: n.isAcceptState, fillColor: n.fillColor };
             }),
             links: links.map(function(l) {
                 if (l instanceof SelfLink) {
@@ -178,7 +186,8 @@ function redo() {
                 } else if (l instanceof Link) {
                     return { type: 'Link', nodeA: nodes.indexOf(l.nodeA), nodeB: nodes.indexOf(l.nodeB), text: l.text, lineAngleAdjust: l.lineAngleAdjust, parallelPart: l.parallelPart, perpendicularPart: l.perpendicularPart };
                 }
-            })
+            }),
+            machineType: machineType
         };
         undoStack.push(JSON.stringify(currentState));
         restoreState(redoStack.pop());
@@ -195,6 +204,7 @@ function duplicateSelected() {
         var newNode = new Node(selectedObject.x + 50, selectedObject.y + 50);
         newNode.text = selectedObject.text;
         newNode.isAcceptState = selectedObject.isAcceptState;
+        newNode.fillColor = selectedObject.fillColor;
         nodes.push(newNode);
         selectedObject = newNode;
         draw();
@@ -266,13 +276,19 @@ function deleteSelectedWithUndo() {
 }
 
 // Adjacency export functions
+// Exports the matrix chosen next to the Matrix button in the chosen format
 function exportAdjacencyMatrix() {
 	if (nodes.length === 0) {
 		output('No nodes in the graph to export.');
 		return;
 	}
-	var latexCode = generateAdjacencyMatrix();
-	output(latexCode);
+	var kindSelect = document.getElementById('matrixKind');
+	var formatSelect = document.getElementById('matrixFormat');
+	var emptyField = document.getElementById('matrixEmpty');
+	var kind = kindSelect ? kindSelect.value : 'count';
+	var format = formatSelect ? formatSelect.value : 'latex';
+	var emptySymbol = emptyField ? emptyField.value.trim() : '';
+	output(generateMatrixExport(kind, format, emptySymbol));
 }
 
 function exportAdjacencyList() {
@@ -392,8 +408,12 @@ function handleKeyDown(e) {
         }
     }
     
+    // Simulation shortcuts leave keys alone while typing in a text field (test list, PDA stack, ...)
+    var active = document.activeElement;
+    var editingText = active && (active.tagName === 'TEXTAREA' || (active.tagName === 'INPUT' && (active.type === 'text' || active.type === 'number')));
+    
     // Space - Step simulation (when in simulation mode)
-    if (key == 32 && typeof simulationActive !== 'undefined' && simulationActive) {
+    if (key == 32 && typeof simulationActive !== 'undefined' && simulationActive && !editingText) {
         e.preventDefault();
         if (typeof handleStepSimulation === 'function') {
             handleStepSimulation();
@@ -402,7 +422,7 @@ function handleKeyDown(e) {
     }
     
     // Enter - Play/Pause simulation (when in simulation mode)
-    if (key == 13 && typeof simulationActive !== 'undefined' && simulationActive) {
+    if (key == 13 && typeof simulationActive !== 'undefined' && simulationActive && !editingText) {
         e.preventDefault();
         if (typeof handlePlayPause === 'function') {
             handlePlayPause();
@@ -410,6 +430,22 @@ function handleKeyDown(e) {
         return false;
     }
     
+    // Left/Right - Step back/forward, Home/End - Jump to the start/end of the input (in sim mode)
+    if ((key == 37 || key == 39 || key == 36 || key == 35) && !shiftKey && !editingText &&
+        typeof currentSimulation !== 'undefined' && currentSimulation) {
+        e.preventDefault();
+        if (key == 37) {
+            handleStepBack();
+        } else if (key == 39) {
+            handleStepSimulation();
+        } else if (key == 36) {
+            handleSeekSimulation(0);
+        } else {
+            handleSeekSimulation(getSimulationLength(currentSimulation));
+        }
+        return false;
+    }
+    
     // Don't handle remaining keys if not focused on canvas
     if (!canvasHasFocus()) {
         return true;
@@ -11,75 +11,120 @@ function restoreBackup() {
 			directed = backup.directed;
 		}
 		
-		for(var i = 0; i < backup.nodes.length; i++) {
-			var backupNode = backup.nodes[i];
-			var node = new Node(backupNode.x, backupNode.y);
-			node.isAcceptState = backupNode.isAcceptState;
-			node.text = backupNode.text;
-			nodes.push(node);
+		// Restore the machine type and its settings
+		if(backup.hasOwnProperty('machineType')) {
+			machineType = backup.machineType;
 		}
-		for(var i = 0; i < backup.links.length; i++) {
-			var backupLink = backup.links[i];
-			var link = null;
-			if(backupLink.type == 'SelfLink') {
-				link = new SelfLink(nodes[backupLink.node]);
-				link.anchorAngle = backupLink.anchorAngle;
-				link.text = backupLink.text;
-			} else if(backupLink.type == 'StartLink') {
-				link = new StartLink(nodes[backupLink.node]);
-				link.deltaX = backupLink.deltaX;
-				link.deltaY = backupLink.deltaY;
-				link.text = backupLink.text;
-			} else if(backupLink.type == 'Link') {
-				link = new Link(nodes[backupLink.nodeA], nodes[backupLink.nodeB]);
-				link.parallelPart = backupLink.parallelPart;
-				link.perpendicularPart = backupLink.perpendicularPart;
-				link.text = backupLink.text;
-				link.lineAngleAdjust = backupLink.lineAngleAdjust;
-			}
-			if(link != null) {
-				links.push(link);
-			}
+		if(backup.hasOwnProperty('pda')) {
+			pdaOptions.acceptance = backup.pda.acceptance;
+			pdaOptions.initialStack = backup.pda.initialStack;
+		}
+		if(backup.hasOwnProperty('tm')) {
+			tmOptions.blank = backup.tm.blank;
+			tmOptions.stepLimit = backup.tm.stepLimit;
+		}
+		
+		// Restore the batch test cases saved with the machine
+		if(backup.hasOwnProperty('tests') && backup.tests instanceof Array) {
+			testCases = backup.tests;
+		}
+		
+		var machine = deserializeMachine(backup);
+		for(var i = 0; i < machine.nodes.length; i++) {
+			nodes.push(machine.nodes[i]);
+		}
+		for(var i = 0; i < machine.links.length; i++) {
+			links.push(machine.links[i]);
 		}
 	} catch(e) {
 		localStorage['fsm'] = '';
 	}
 }
 
+// Rebuild Node and Link objects from a backup object
+function deserializeMachine(backup) {
+	var machineNodes = [];
+	var machineLinks = [];
+	for(var i = 0; i < backup.nodes.length; i++) {
+		var backupNode = backup.nodes[i];
+		var node = new Node(backupNode.x, backupNode.y);
+		node.isAcceptState = backupNode.isAcceptState;
+		node.text = backupNode.text;
+		node.fillColor = backupNode.fillColor || null;
+		machineNodes.push(node);
+	}
+	for(var i = 0; i < backup.links.length; i++) {
+		var backupLink = backup.links[i];
+		var link = null;
+		if(backupLink.type == 'SelfLink') {
+			link = new SelfLink(machineNodes[backupLink.node]);
+			link.anchorAngle = backupLink.anchorAngle;
+			link.text = backupLink.text;
+		} else if(backupLink.type == 'StartLink') {
+			link = new StartLink(machineNodes[backupLink.node]);
+			link.deltaX = backupLink.deltaX;
+			link.deltaY = backupLink.deltaY;
+			link.text = backupLink.text;
+		} else if(backupLink.type == 'Link') {
+			link = new Link(machineNodes[backupLink.nodeA], machineNodes[backupLink.nodeB]);
+			link.parallelPart = backupLink.parallelPart;
+			link.perpendicularPart = backupLink.perpendicularPart;
+			link.text = backupLink.text;
+			link.lineAngleAdjust = backupLink.lineAngleAdjust;
+		}
+		if(link != null) {
+			machineLinks.push(link);
+		}
+	}
+	return { 'nodes': machineNodes, 'links': machineLinks };
+}
+
 function saveBackup() {
 	if(!localStorage || !JSON) {
 		return;
 	}
 
+	var backup = serializeMachine(nodes, links);
+	backup.directed = directed;
+	backup.tests = testCases;
+	backup.machineType = machineType;
+	backup.pda = pdaOptions;
+	backup.tm = tmOptions;
+
+	localStorage['fsm'] = JSON.stringify(backup);
+}
+
+// Convert nodes and links into a plain object that can be stored as JSON
+function serializeMachine(nodeArray, linkArray) {
 	var backup = {
 		'nodes': [],
 		'links': [],
-		'directed': directed,
 	};
-	for(var i = 0; i < nodes.length; i++) {
-		var node = nodes[i];
+	for(var i = 0; i < nodeArray.length; i++) {
+		var node = nodeArray[i];
 		var backupNode = {
 			'x': node.x,
 			'y': node.y,
 			'text': node.text,
 			'isAcceptState': node.isAcceptState,
+			'fillColor': node.fillColor,
 		};
 		backup.nodes.push(backupNode);
 	}
-	for(var i = 0; i < links.length; i++) {
-		var link = links[i];
+	for(var i = 0; i < linkArray.length; i++) {
+		var link = linkArray[i];
 		var backupLink = null;
 		if(link instanceof SelfLink) {
 			backupLink = {
 				'type': 'SelfLink',
-				'node': nodes.indexOf(link.node),
+				'node': nodeArray.indexOf(link.node),
 				'text': link.text,
 				'anchorAngle': link.anchorAngle,
 			};
 		} else if(link instanceof StartLink) {
 			backupLink = {
 				'type': 'StartLink',
-				'node': nodes.indexOf(link.node),
+				'node': nodeArray.indexOf(link.node),
 				'text': link.text,
 				'deltaX': link.deltaX,
 				'deltaY': link.deltaY,
@@ -87,8 +132,8 @@ function saveBackup() {
 		} else if(link instanceof Link) {
 			backupLink = {
 				'type': 'Link',
-				'nodeA': nodes.indexOf(link.nodeA),
-				'nodeB': nodes.indexOf(link.nodeB),
+				'nodeA': nodeArray.indexOf(link.nodeA),
+				'nodeB': nodeArray.indexOf(link.nodeB),
 				'text': link.text,
 				'lineAngleAdjust': link.lineAngleAdjust,
 				'parallelPart': link.parallelPart,
@@ -99,6 +144,28 @@ function saveBackup() {
 			backup.links.push(backupLink);
 		}
 	}
+	return backup;
+}
 
-	localStorage['fsm'] = JSON.stringify(backup);
+// Store the current machine in the reference slot (used to compare or combine machines)
+function saveReferenceMachine() {
+	if(!localStorage || !JSON) {
+		return false;
+	}
+
+	localStorage['fsm-reference'] = JSON.stringify(serializeMachine(nodes, links));
+	return true;
+}
+
+// Load the machine stored in the reference slot, or null if there is none
+function loadReferenceMachine() {
+	if(!localStorage || !JSON || !localStorage['fsm-reference']) {
+		return null;
+	}
+
+	try {
+		return deserializeMachine(JSON.parse(localStorage['fsm-reference']));
+	} catch(e) {
+		return null;
+	}
 }
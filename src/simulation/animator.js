@@ -19,9 +19,14 @@ var simColors = {
     rejectedState: '#f44336',     // Red for rejected
     stuckState: '#f44336',        // Red for stuck
     nfaSecondary: '#FFD700',      // Lighter gold for secondary NFA paths
+    epsilonTransition: '#BA68C8', // Purple for epsilon moves into the closure
+    stepLimit: '#FF9800',         // Orange for Turing machine runs stopped by the step limit
     pathTrace: '#90CAF9'          // Light blue for path trace
 };
 
+// True while a graph algorithm's result is highlighted on the canvas (outside of a simulation)
+var algorithmHighlightActive = false;
+
 // Clear all animation highlights
 function clearAnimationState() {
     animationState.highlightedStates = [];
@@ -54,6 +59,33 @@ function highlightTransitions(links, color) {
     });
 }
 
+// Show the result of a graph algorithm on the canvas until the next click.
+// states: [{ index, color, note }] where note is an optional short text drawn above the state
+// linkHighlights: [{ link, color }]
+function showAlgorithmHighlight(states, linkHighlights) {
+    if (simulationActive) {
+        exitSimulationMode();
+    }
+    clearAnimationState();
+    animationState.highlightedStates = states;
+    animationState.highlightedLinks = linkHighlights;
+    algorithmHighlightActive = true;
+    draw();
+}
+
+// Remove an algorithm highlight (called when the canvas is clicked)
+function clearAlgorithmHighlight() {
+    if (algorithmHighlightActive) {
+        algorithmHighlightActive = false;
+        clearAnimationState();
+    }
+}
+
+// Check whether nodes and links should be drawn with their highlights
+function isCanvasHighlighted() {
+    return (simulationActive && currentSimulation !== null) || algorithmHighlightActive;
+}
+
 // Update animation state from simulation state
 function updateAnimationFromSimulation(simState, nodes) {
     if (!simState) {
@@ -61,6 +93,17 @@ function updateAnimationFromSimulation(simState, nodes) {
         return;
     }
     
+    // Algorithm playbacks carry a highlight snapshot with every event
+    if (simState.machineType === 'playback') {
+        var event = getCurrentPlaybackEvent(simState);
+        clearAnimationState();
+        if (event) {
+            animationState.highlightedStates = event.states;
+            animationState.highlightedLinks = event.links;
+        }
+        return;
+    }
+    
     // Update highlighted states
     highlightStates(simState.currentStates);
     
@@ -71,6 +114,18 @@ function updateAnimationFromSimulation(simState, nodes) {
         animationState.highlightedLinks = [];
     }
     
+    // Epsilon moves that extended the current states into their closure
+    if (simState.epsilonLinks) {
+        for (var i = 0; i < simState.epsilonLinks.length; i++) {
+            if (!getLinkHighlight(simState.epsilonLinks[i])) {
+                animationState.highlightedLinks.push({
+                    link: simState.epsilonLinks[i],
+                    color: simColors.epsilonTransition
+                });
+            }
+        }
+    }
+    
     // Update current character info
     animationState.currentChar = simState.currentPosition < simState.inputString.length 
         ? simState.inputString[simState.currentPosition] 
@@ -120,9 +175,33 @@ function drawSimulationOverlay(c) {
         return;
     }
     
+    // Turing machines show their tapes in place of the input string
+    if (currentSimulation.machineType === 'tm') {
+        drawTapeDisplay(c);
+        return;
+    }
+    
+    // Algorithm playbacks narrate the current event instead
+    if (currentSimulation.machineType === 'playback') {
+        drawPlaybackCaption(c);
+        return;
+    }
+    
     // Draw current character indicator near top of canvas
+    var tapeEnd = 20;
     if (animationState.currentChar !== null || animationState.totalLength > 0) {
-        drawInputStringDisplay(c);
+        tapeEnd = drawInputStringDisplay(c);
+    }
+    
+    // Pushdown automata also show the stack of the highlighted branch
+    if (currentSimulation.machineType === 'pda') {
+        drawStackDisplay(c, tapeEnd + 30, 30);
+    }
+    
+    // Mealy and Moore machines show the output written so far under the input
+    var outputString = getSimulationOutput(currentSimulation, nodes);
+    if (outputString !== null) {
+        drawOutputDisplay(c, outputString);
     }
 }
 
@@ -176,6 +255,148 @@ function drawInputStringDisplay(c) {
     c.fillStyle = '#666';
     var posText = ' [' + position + '/' + inputString.length + ']';
     c.fillText(posText, x + 10, y);
+    x += 10 + c.measureText(posText).width;
+    
+    c.restore();
+    return x;
+}
+
+// Draw the algorithm name and the current playback event at the top of the canvas
+function drawPlaybackCaption(c) {
+    var event = getCurrentPlaybackEvent(currentSimulation);
+    
+    c.save();
+    c.font = 'bold 16px "Segoe UI", sans-serif';
+    c.fillStyle = '#666';
+    c.fillText(currentSimulation.title + ' [' + currentSimulation.currentPosition + '/' + currentSimulation.events.length + ']', 20, 30);
+    
+    c.font = '15px "Segoe UI", sans-serif';
+    c.fillStyle = event ? '#333' : '#999';
+    c.fillText(event ? event.message : 'Press Step or Play to start', 20, 55);
+    c.restore();
+}
+
+// Draw the output string of a Mealy or Moore machine below the input string
+function drawOutputDisplay(c, outputString) {
+    var x = 20;
+    var y = 55;
+    
+    c.save();
+    c.font = '16px "Consolas", monospace';
+    
+    c.fillStyle = '#666';
+    c.fillText('Output: ', x, y);
+    x += c.measureText('Output: ').width;
+    
+    if (outputString.length === 0) {
+        c.fillStyle = '#999';
+        c.fillText('(empty)', x, y);
+    } else {
+        c.fillStyle = simColors.acceptedState;
+        c.fillText(convertLatexShortcuts(outputString), x, y);
+    }
+    
+    c.restore();
+}
+
+// Draw each Turing machine tape as a strip of cells scrolled so the head stays in view
+function drawTapeDisplay(c) {
+    var tapes = currentSimulation.paths[0].tapes;
+    var cellWidth = 26;
+    var visibleCells = 21; // cells shown on each side of the head: (visibleCells - 1) / 2
+    var half = (visibleCells - 1) / 2;
+    
+    c.save();
+    c.font = '16px "Consolas", monospace';
+    c.textAlign = 'center';
+    
+    for (var k = 0; k < tapes.length; k++) {
+        var tape = tapes[k];
+        var y = 30 + k * 40;
+        var x = 20;
+        
+        c.textAlign = 'left';
+        c.fillStyle = '#666';
+        var label = tapes.length > 1 ? 'Tape ' + (k + 1) + ': ' : 'Tape: ';
+        c.fillText(label, x, y);
+        x += c.measureText(label).width;
+        c.textAlign = 'center';
+        
+        for (var offset = -half; offset <= half; offset++) {
+            var position = tape.head + offset;
+            var symbol = position >= 0 && position < tape.cells.length ? tape.cells[position] : tape.blank;
+            var cellX = x + (offset + half) * cellWidth;
+            var isHead = offset === 0;
+            
+            c.fillStyle = isHead ? simColors.currentState : (symbol === tape.blank ? '#fafafa' : '#f0f0f0');
+            c.fillRect(cellX, y - 17, cellWidth, 24);
+            c.strokeStyle = '#999';
+            c.lineWidth = 1;
+            c.strokeRect(cellX, y - 17, cellWidth, 24);
+            c.fillStyle = isHead ? 'white' : (symbol === tape.blank ? '#bbb' : '#333');
+            c.fillText(convertLatexShortcuts(symbol), cellX + cellWidth / 2, y);
+        }
+        
+        // Head marker under the current cell
+        var headX = x + half * cellWidth + cellWidth / 2;
+        c.fillStyle = simColors.currentState;
+        c.beginPath();
+        c.moveTo(headX, y + 9);
+        c.lineTo(headX - 6, y + 17);
+        c.lineTo(headX + 6, y + 17);
+        c.closePath();
+        c.fill();
+    }
+    
+    // Step counter after the first tape
+    c.textAlign = 'left';
+    c.fillStyle = '#666';
+    c.fillText(' [step ' + currentSimulation.currentPosition + '/' + currentSimulation.totalSteps + ']',
+        20 + c.measureText(tapes.length > 1 ? 'Tape 1: ' : 'Tape: ').width + visibleCells * cellWidth + 10, 30);
+    
+    c.restore();
+}
+
+// Draw the stack of the highlighted PDA branch as a row of cells, top of the stack first
+function drawStackDisplay(c, x, y) {
+    var path = getHighlightedPath(currentSimulation);
+    var stack = path && path.stack ? path.stack : [];
+    
+    c.save();
+    c.font = '16px "Consolas", monospace';
+    
+    c.fillStyle = '#666';
+    c.fillText('Stack: ', x, y);
+    x += c.measureText('Stack: ').width;
+    
+    if (stack.length === 0) {
+        c.fillStyle = '#999';
+        c.fillText('(empty)', x, y);
+    } else {
+        for (var i = stack.length - 1; i >= 0; i--) {
+            var symbol = convertLatexShortcuts(stack[i]);
+            var cellWidth = c.measureText(symbol).width + 8;
+            var isTop = i === stack.length - 1;
+            
+            c.fillStyle = isTop ? simColors.currentState : '#f5f5f5';
+            c.fillRect(x, y - 16, cellWidth, 22);
+            c.strokeStyle = '#999';
+            c.lineWidth = 1;
+            c.strokeRect(x, y - 16, cellWidth, 22);
+            c.fillStyle = isTop ? 'white' : '#333';
+            c.fillText(symbol, x + 4, y);
+            x += cellWidth;
+        }
+    }
+    
+    // With several branches, say which one is shown
+    var activeBranches = currentSimulation.paths.filter(function(p) {
+        return p.status === 'active';
+    }).length;
+    if (activeBranches > 1) {
+        c.fillStyle = '#666';
+        c.fillText(' (1 of ' + activeBranches + ' branches)', x + 6, y);
+    }
     
     c.restore();
 }
@@ -201,6 +422,10 @@ function drawResultBanner(c, canvasWidth, canvasHeight) {
             text = '✗ STUCK - No valid transition';
             bgColor = simColors.stuckState;
             break;
+        case 'limit':
+            text = '⏱ STEP LIMIT REACHED';
+            bgColor = simColors.stepLimit;
+            break;
         default:
             return;
     }
@@ -266,6 +491,16 @@ function drawNodeWithSimulation(c, node, nodeIndex, isSelected) {
             c.stroke();
         }
         
+        // Short annotation above the state, e.g. a distance
+        if (highlight.note) {
+            c.save();
+            c.font = 'bold 14px "Segoe UI", sans-serif';
+            c.textAlign = 'center';
+            c.fillStyle = highlight.color;
+            c.fillText(highlight.note, node.x, node.y - nodeRadius - 8);
+            c.restore();
+        }
+        
         return true; // Indicate we handled drawing
     }
     
@@ -0,0 +1,343 @@
+// FSM Batch Test Runner
+// Runs a list of input strings with expected verdicts through the simulator
+
+// Test cases for the current machine, saved with it by saveBackup/restoreBackup
+// Each case is { input: 'aab', expected: true } (true = should be accepted);
+// cases for Mealy and Moore machines may also have an expectedOutput string
+var testCases = [];
+
+// Result of the last batch run, shown in the test results table
+var lastTestReport = null;
+
+// Parse the test list text: one "input, accept" or "input, reject" per line, optionally
+// followed by the expected output of a Mealy or Moore machine ("input, accept, output").
+// Blank lines and lines starting with # are skipped; ε (or nothing) stands for the empty string.
+function parseTestCases(text) {
+    var cases = [];
+    var errors = [];
+    var lines = text.split('\n');
+
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].trim();
+        if (line === '' || line[0] === '#') {
+            continue;
+        }
+
+        var comma = line.lastIndexOf(',');
+        if (comma === -1) {
+            errors.push('Line ' + (i + 1) + ': expected "input, accept" or "input, reject".');
+            continue;
+        }
+
+        var input = line.substring(0, comma).trim();
+        var verdict = line.substring(comma + 1).trim().toLowerCase();
+        var expectedOutput = null;
+
+        // A third field is the expected output when the field before it is the verdict
+        var verdictComma = line.lastIndexOf(',', comma - 1);
+        if (verdict !== 'accept' && verdict !== 'reject' && verdictComma !== -1) {
+            var outputVerdict = line.substring(verdictComma + 1, comma).trim().toLowerCase();
+            if (outputVerdict === 'accept' || outputVerdict === 'reject') {
+                expectedOutput = line.substring(comma + 1).trim();
+                expectedOutput = isEpsilonSymbol(expectedOutput) ? '' : expectedOutput;
+                input = line.substring(0, verdictComma).trim();
+                verdict = outputVerdict;
+            }
+        }
+
+        if (verdict !== 'accept' && verdict !== 'reject') {
+            errors.push("Line " + (i + 1) + ": unknown verdict '" + verdict + "' (use accept or reject).");
+            continue;
+        }
+
+        var testCase = {
+            input: isEpsilonSymbol(input) ? '' : input,
+            expected: verdict === 'accept'
+        };
+        if (expectedOutput !== null) {
+            testCase.expectedOutput = expectedOutput;
+        }
+        cases.push(testCase);
+    }
+
+    return { cases: cases, errors: errors };
+}
+
+// Turn test cases back into the text format read by parseTestCases
+function formatTestCases(cases) {
+    return cases.map(function(testCase) {
+        var line = (testCase.input === '' ? EPSILON : testCase.input) + ', ' + (testCase.expected ? 'accept' : 'reject');
+        if (testCase.expectedOutput !== undefined) {
+            line += ', ' + (testCase.expectedOutput === '' ? EPSILON : testCase.expectedOutput);
+        }
+        return line;
+    }).join('\n');
+}
+
+// Run one input string to completion - returns 'accepted', 'rejected' or 'stuck',
+// and the output string for Mealy and Moore machines (null otherwise)
+function runTestCase(inputString, nodes, links) {
+    var result = initializeSimulation(inputString, nodes, links);
+    if (!result.success) {
+        return { success: false, errors: result.errors };
+    }
+
+    var simState = result.simulation;
+    while (!simState.isComplete) {
+        stepSimulation(simState, nodes);
+    }
+
+    return {
+        success: true,
+        result: simState.result,
+        errorMessage: simState.errorMessage,
+        output: getSimulationOutput(simState, nodes)
+    };
+}
+
+// Run every test case against the machine and build a pass/fail report
+function runTestSuite(cases, nodes, links) {
+    var validation = validateFSM(nodes, links);
+    if (!validation.valid) {
+        return { success: false, errors: validation.errors };
+    }
+
+    var rows = [];
+    var passed = 0;
+    for (var i = 0; i < cases.length; i++) {
+        var run = runTestCase(cases[i].input, nodes, links);
+        if (!run.success) {
+            return { success: false, errors: run.errors };
+        }
+
+        var accepted = run.result === 'accepted';
+        var ok = accepted === cases[i].expected;
+        if (cases[i].expectedOutput !== undefined && run.output !== null) {
+            ok = ok && run.output === cases[i].expectedOutput;
+        }
+        if (ok) {
+            passed++;
+        }
+        rows.push({
+            input: cases[i].input,
+            expected: cases[i].expected,
+            actual: run.result,
+            passed: ok,
+            errorMessage: run.errorMessage,
+            output: run.output,
+            expectedOutput: cases[i].expectedOutput
+        });
+    }
+
+    return {
+        success: true,
+        rows: rows,
+        passed: passed,
+        failed: rows.length - passed
+    };
+}
+
+// Check whether a report came from a Mealy or Moore machine, so it gets output columns
+function reportHasOutput(report) {
+    return report.rows.some(function(row) {
+        return row.output !== null && row.output !== undefined;
+    });
+}
+
+// Generate a LaTeX table for a test report (no document wrapper)
+function generateTestReportLaTeX(report) {
+    var withOutput = reportHasOutput(report);
+
+    function outputText(text) {
+        if (text === undefined) {
+            return '--';
+        }
+        return text === '' ? '$\\varepsilon$' : '\\texttt{' + escapeLaTeX(text) + '}';
+    }
+
+    var latex = '% Batch test results: ' + report.passed + ' of ' + report.rows.length + ' passed\n';
+    latex += '\\begin{center}\n';
+    latex += '\\begin{tabular}{l|c|c|' + (withOutput ? 'c|c|' : '') + 'c}\n';
+    latex += 'Input & Expected & Actual & ' + (withOutput ? 'Expected output & Output & ' : '') + 'Result \\\\\n';
+    latex += '\\hline\n';
+
+    for (var i = 0; i < report.rows.length; i++) {
+        var row = report.rows[i];
+        var input = row.input === '' ? '$\\varepsilon$' : '\\texttt{' + escapeLaTeX(row.input) + '}';
+        latex += input + ' & ' + (row.expected ? 'accept' : 'reject') + ' & ' + row.actual + ' & ';
+        if (withOutput) {
+            latex += outputText(row.expectedOutput) + ' & ' + outputText(row.output) + ' & ';
+        }
+        latex += (row.passed ? 'pass' : '\\textbf{fail}') + ' \\\\\n';
+    }
+
+    latex += '\\end{tabular}\n';
+    latex += '\\end{center}\n';
+    return latex;
+}
+
+// Generate CSV for a test report, with a header row
+function generateTestReportCSV(report) {
+    function csvField(text) {
+        if (/[",\n]/.test(text)) {
+            return '"' + text.replace(/"/g, '""') + '"';
+        }
+        return text;
+    }
+
+    var withOutput = reportHasOutput(report);
+    var csv = 'input,expected,actual,' + (withOutput ? 'expected output,output,' : '') + 'result\n';
+    for (var i = 0; i < report.rows.length; i++) {
+        var row = report.rows[i];
+        var fields = [
+            csvField(row.input),
+            row.expected ? 'accept' : 'reject',
+            row.actual
+        ];
+        if (withOutput) {
+            fields.push(csvField(row.expectedOutput === undefined ? '' : row.expectedOutput), csvField(row.output));
+        }
+        fields.push(row.passed ? 'pass' : 'fail');
+        csv += fields.join(',') + '\n';
+    }
+    return csv;
+}
+
+// UI functions for the test panel inside the simulation panel
+
+// Fill the test list from the restored backup
+function initTestSuiteUI() {
+    var testsField = document.getElementById('simTests');
+    if (testsField) {
+        testsField.value = formatTestCases(testCases);
+        testsField.oninput = updateTestCasesFromInput;
+    }
+}
+
+// Read the test list text into testCases and save it with the machine
+function updateTestCasesFromInput() {
+    var testsField = document.getElementById('simTests');
+    if (!testsField) {
+        return null;
+    }
+
+    var parsed = parseTestCases(testsField.value);
+    if (parsed.errors.length === 0) {
+        testCases = parsed.cases;
+        saveBackup();
+    }
+    return parsed;
+}
+
+// Run all tests and show the results table
+function handleRunTests() {
+    var parsed = updateTestCasesFromInput();
+    if (!parsed) {
+        return null;
+    }
+    if (parsed.errors.length > 0) {
+        showTestSuiteError(parsed.errors.join('\n'));
+        return null;
+    }
+    if (testCases.length === 0) {
+        showTestSuiteError('No test cases yet. Add one per line, e.g. "aab, accept".');
+        return null;
+    }
+
+    var report = runTestSuite(testCases, nodes, links);
+    if (!report.success) {
+        showTestSuiteError(report.errors.join('\n'));
+        return null;
+    }
+
+    lastTestReport = report;
+    showTestReport(report);
+    return report;
+}
+
+// Render the pass/fail table
+function showTestReport(report) {
+    var container = document.getElementById('simTestResults');
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = '';
+    container.style.display = 'block';
+
+    var summary = document.createElement('div');
+    summary.className = 'sim-test-summary ' + (report.failed === 0 ? 'all-passed' : 'some-failed');
+    summary.textContent = report.passed + ' of ' + report.rows.length + ' passed' +
+        (report.failed > 0 ? ' (' + report.failed + ' failed)' : '');
+    container.appendChild(summary);
+
+    var withOutput = reportHasOutput(report);
+    var titles = withOutput ? ['Input', 'Expected', 'Actual', 'Expected output', 'Output', 'Result'] : ['Input', 'Expected', 'Actual', 'Result'];
+
+    var table = document.createElement('table');
+    var header = document.createElement('tr');
+    titles.forEach(function(title) {
+        var th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    for (var i = 0; i < report.rows.length; i++) {
+        var row = report.rows[i];
+        var tr = document.createElement('tr');
+        tr.className = row.passed ? 'test-pass' : 'test-fail';
+        var cells = [
+            row.input === '' ? EPSILON : row.input,
+            row.expected ? 'accept' : 'reject',
+            row.actual
+        ];
+        if (withOutput) {
+            cells.push(row.expectedOutput === undefined ? '-' : (row.expectedOutput || EPSILON), row.output || EPSILON);
+        }
+        cells.push(row.passed ? '✓ pass' : '✗ fail');
+        for (var c = 0; c < cells.length; c++) {
+            var td = document.createElement('td');
+            td.textContent = cells[c];
+            tr.appendChild(td);
+        }
+        if (row.errorMessage) {
+            tr.title = row.errorMessage;
+        }
+        table.appendChild(tr);
+    }
+    container.appendChild(table);
+}
+
+// Show an error in place of the results table
+function showTestSuiteError(message) {
+    var container = document.getElementById('simTestResults');
+    if (container) {
+        container.style.display = 'block';
+        container.innerHTML = '';
+        var error = document.createElement('div');
+        error.className = 'sim-test-summary sim-test-error';
+        error.textContent = '⚠ ' + message;
+        container.appendChild(error);
+    }
+}
+
+// Export the test results as a LaTeX table ('latex') or CSV ('csv'), running the tests first
+function exportTestReport(format) {
+    var report = handleRunTests();
+    if (!report) {
+        return;
+    }
+    output(format === 'csv' ? generateTestReportCSV(report) : generateTestReportLaTeX(report));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseTestCases: parseTestCases,
+        formatTestCases: formatTestCases,
+        runTestCase: runTestCase,
+        runTestSuite: runTestSuite,
+        generateTestReportLaTeX: generateTestReportLaTeX,
+        generateTestReportCSV: generateTestReportCSV
+    };
+}
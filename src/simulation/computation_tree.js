@@ -0,0 +1,272 @@
+// NFA Computation Tree for FSM Simulation
+// Merges the simulation paths into a tree of configurations, drawn in the simulation panel or exported as TikZ
+
+// Largest tree we are willing to draw
+var maxComputationTreeNodes = 200;
+
+// Build the computation tree from simState.paths.
+// Each tree node is one configuration: the state reached and the symbol consumed to get there.
+// Paths that share a prefix share the corresponding tree nodes.
+function buildComputationTree(simState) {
+    var root = null;
+    var count = 0;
+
+    function newTreeNode(state, symbol) {
+        count++;
+        return { state: state, symbol: symbol, children: [], status: null, errorMessage: null };
+    }
+
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (!root) {
+            root = newTreeNode(path.states[0], null);
+        }
+
+        var current = root;
+        for (var k = 1; k < path.states.length; k++) {
+            var symbol = path.symbols[k - 1];
+
+            var child = null;
+            for (var c = 0; c < current.children.length; c++) {
+                if (current.children[c].state === path.states[k] && current.children[c].symbol === symbol) {
+                    child = current.children[c];
+                    break;
+                }
+            }
+            if (!child) {
+                child = newTreeNode(path.states[k], symbol);
+                current.children.push(child);
+            }
+            current = child;
+        }
+
+        // The configuration a path ends in carries the path's status
+        var status = path.status === 'rejected' && path.errorMessage ? 'stuck' : path.status;
+        if (current.status !== 'accepted') {
+            current.status = status;
+            current.errorMessage = path.errorMessage || null;
+        }
+    }
+
+    return { root: root, size: count };
+}
+
+// Assign x (leaf order) and y (depth) positions to every tree node, returning the number of leaves
+function layoutComputationTree(root) {
+    var nextLeaf = 0;
+
+    function place(treeNode, level) {
+        treeNode.level = level;
+        if (treeNode.children.length === 0) {
+            treeNode.x = nextLeaf++;
+            return;
+        }
+        for (var c = 0; c < treeNode.children.length; c++) {
+            place(treeNode.children[c], level + 1);
+        }
+        var first = treeNode.children[0];
+        var last = treeNode.children[treeNode.children.length - 1];
+        treeNode.x = (first.x + last.x) / 2;
+    }
+
+    place(root, 0);
+    return nextLeaf;
+}
+
+// Visit every tree node in depth-first order
+function forEachTreeNode(root, callback) {
+    var stack = [root];
+    while (stack.length > 0) {
+        var treeNode = stack.pop();
+        callback(treeNode);
+        for (var c = treeNode.children.length - 1; c >= 0; c--) {
+            stack.push(treeNode.children[c]);
+        }
+    }
+}
+
+// Generate TikZ code for the computation tree (no document wrapper)
+function generateComputationTreeTikZ(tree, simState, nodes) {
+    var root = tree.root;
+    layoutComputationTree(root);
+
+    function stateName(index) {
+        return nodes[index].text ? escapeLaTeX(nodes[index].text) : 'q_{' + index + '}';
+    }
+
+    var input = simState.inputString === '' ? '\\varepsilon' : '\\texttt{' + escapeLaTeX(simState.inputString) + '}';
+    var latex = '% Computation tree for input $' + input + '$\n';
+    latex += '% Double circles: accepting leaves, red: stuck or rejected branches, orange: still running\n';
+    latex += '\\begin{center}\n';
+    latex += '\\begin{tikzpicture}[\n';
+    latex += '    config/.style={circle, draw, minimum size=8mm, inner sep=1pt},\n';
+    latex += '    accepted/.style={double, fill=green!20},\n';
+    latex += '    dead/.style={fill=red!15},\n';
+    latex += '    running/.style={fill=orange!25},\n';
+    latex += '    symbol/.style={font=\\scriptsize, fill=white, inner sep=1pt}]\n';
+
+    var ordered = [];
+    forEachTreeNode(root, function(treeNode) {
+        treeNode.id = 'c' + ordered.length;
+        var styles = ['config'];
+        var label = '';
+        if (treeNode.status === 'accepted') {
+            styles.push('accepted');
+        } else if (treeNode.status === 'stuck') {
+            styles.push('dead');
+            label = ', label=below:{\\scriptsize stuck}';
+        } else if (treeNode.status === 'rejected') {
+            styles.push('dead');
+        } else if (treeNode.status === 'active') {
+            styles.push('running');
+        }
+        latex += '    \\node[' + styles.join(', ') + label + '] (' + treeNode.id + ') at (' +
+            (treeNode.x * 1.5).toFixed(2) + ', ' + (-treeNode.level * 1.5).toFixed(2) + ') {$' + stateName(treeNode.state) + '$};\n';
+        ordered.push(treeNode);
+    });
+
+    for (var i = 0; i < ordered.length; i++) {
+        for (var c = 0; c < ordered[i].children.length; c++) {
+            var child = ordered[i].children[c];
+            var symbol = child.symbol === EPSILON ? '\\varepsilon' : escapeLaTeX(child.symbol);
+            latex += '    \\draw[->] (' + ordered[i].id + ') -- node[symbol] {$' + symbol + '$} (' + child.id + ');\n';
+        }
+    }
+
+    latex += '\\end{tikzpicture}\n';
+    latex += '\\end{center}\n';
+    return latex;
+}
+
+// UI functions for the computation tree panel
+
+// Show or hide the computation tree panel
+function toggleComputationTree() {
+    var panel = document.getElementById('simTreePanel');
+    if (!panel) {
+        return;
+    }
+    panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
+    updateComputationTreePanel();
+}
+
+// Redraw the tree for the current simulation as SVG (called whenever the simulation display updates)
+function updateComputationTreePanel() {
+    var panel = document.getElementById('simTreePanel');
+    var container = document.getElementById('simTree');
+    if (!panel || !container || panel.style.display !== 'block') {
+        return;
+    }
+
+    container.innerHTML = '';
+    if (!currentSimulation) {
+        container.textContent = 'Start a simulation to see its computation tree.';
+        return;
+    }
+    if (currentSimulation.machineType === 'playback') {
+        container.textContent = 'Algorithm playbacks have no computation tree.';
+        return;
+    }
+
+    var tree = buildComputationTree(currentSimulation);
+    if (tree.size > maxComputationTreeNodes) {
+        container.textContent = 'The computation tree has ' + tree.size + ' configurations, which is too many to draw (limit ' + maxComputationTreeNodes + ').';
+        return;
+    }
+
+    var leaves = layoutComputationTree(tree.root);
+    var spacingX = 50;
+    var spacingY = 60;
+    var radius = 16;
+    var depth = 0;
+    forEachTreeNode(tree.root, function(treeNode) {
+        depth = Math.max(depth, treeNode.level);
+    });
+
+    var svgNS = 'http://www.w3.org/2000/svg';
+    var svg = document.createElementNS(svgNS, 'svg');
+    var width = leaves * spacingX;
+    var height = (depth + 1) * spacingY;
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+
+    function cx(treeNode) { return (treeNode.x + 0.5) * spacingX; }
+    function cy(treeNode) { return (treeNode.level + 0.5) * spacingY; }
+
+    function addElement(name, attributes, text) {
+        var element = document.createElementNS(svgNS, name);
+        for (var key in attributes) {
+            element.setAttribute(key, attributes[key]);
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        svg.appendChild(element);
+        return element;
+    }
+
+    // Edges first so the circles are drawn on top
+    forEachTreeNode(tree.root, function(treeNode) {
+        for (var c = 0; c < treeNode.children.length; c++) {
+            var child = treeNode.children[c];
+            addElement('line', { x1: cx(treeNode), y1: cy(treeNode), x2: cx(child), y2: cy(child), stroke: '#999' });
+            addElement('text', {
+                x: (cx(treeNode) + cx(child)) / 2 + 4,
+                y: (cy(treeNode) + cy(child)) / 2,
+                'font-size': 12,
+                fill: child.symbol === EPSILON ? simColors.epsilonTransition : '#333'
+            }, child.symbol);
+        }
+    });
+
+    forEachTreeNode(tree.root, function(treeNode) {
+        var fill = 'white';
+        if (treeNode.status === 'accepted') {
+            fill = simColors.acceptedState;
+        } else if (treeNode.status === 'rejected' || treeNode.status === 'stuck') {
+            fill = simColors.rejectedState;
+        } else if (treeNode.status === 'active') {
+            fill = simColors.currentState;
+        }
+        var circle = addElement('circle', { cx: cx(treeNode), cy: cy(treeNode), r: radius, fill: fill, stroke: 'black' });
+        if (treeNode.errorMessage) {
+            var title = document.createElementNS(svgNS, 'title');
+            title.textContent = treeNode.errorMessage;
+            circle.appendChild(title);
+        }
+        var name = nodes[treeNode.state].text || ('q' + treeNode.state);
+        addElement('text', {
+            x: cx(treeNode),
+            y: cy(treeNode) + 4,
+            'font-size': 11,
+            'text-anchor': 'middle',
+            fill: fill === 'white' ? 'black' : 'white'
+        }, name);
+    });
+
+    container.appendChild(svg);
+}
+
+// Export the tree for the current simulation as TikZ through the output area
+function exportComputationTree() {
+    if (!currentSimulation) {
+        alert('Start a simulation first - the computation tree is built from the current run.');
+        return;
+    }
+    if (currentSimulation.machineType === 'playback') {
+        alert('Algorithm playbacks have no computation tree.');
+        return;
+    }
+
+    var tree = buildComputationTree(currentSimulation);
+    output(generateComputationTreeTikZ(tree, currentSimulation, nodes));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildComputationTree: buildComputationTree,
+        layoutComputationTree: layoutComputationTree,
+        generateComputationTreeTikZ: generateComputationTreeTikZ
+    };
+}
@@ -0,0 +1,341 @@
+// Pushdown Automaton Simulation
+// Stack-aware transitions ("a, X → YZ") and a simulator path used instead of stepSimulation in PDA mode
+//
+// Label syntax: input, pop → push
+//   a, X → YZ    read a with X on top of the stack, replace X by YZ (Y ends up on top)
+//   ε, X → ε     pop X without reading input
+//   a, ε → X     push X without looking at the stack
+// Several transitions on one arrow are separated by semicolons: "a, Z → AZ; b, A → ε".
+// Stack symbols are single characters (optionally with a subscript like Z_0); separate them
+// with spaces to use longer names ("a, X → top bottom").
+
+// PDA settings, saved with the machine
+var pdaOptions = {
+    acceptance: 'final',  // 'final' (final state) or 'empty' (empty stack)
+    initialStack: 'Z'     // stack contents at the start, top first
+};
+
+// Limits that stop runaway epsilon moves such as "ε, ε → X" loops
+var maxPDAEpsilonMoves = 500;  // new configurations reached by epsilon moves per step
+var maxPDAStackDepth = 100;
+
+// Split a push or pop string into stack symbols
+function parseStackSymbols(text) {
+    text = text.trim();
+    if (text === '' || isEpsilonSymbol(text)) {
+        return [];
+    }
+    if (/\s/.test(text)) {
+        return text.split(/\s+/);
+    }
+    return text.match(/[^\s](?:_\d+|_\{[^}]*\})?/g);
+}
+
+// Parse a PDA transition label into a list of { input, pop, push } transitions.
+// Returns null if any part of the label is malformed.
+function parsePDALabel(text) {
+    if (!text || text.trim() === '') {
+        return [];
+    }
+
+    var transitions = [];
+    var parts = text.split(';');
+    for (var i = 0; i < parts.length; i++) {
+        var match = parts[i].trim().match(/^([^,]*),([^→]*?)(?:→|->|\\to|\\rightarrow)(.*)$/);
+        if (!match) {
+            return null;
+        }
+
+        var input = match[1].trim();
+        var pop = parseStackSymbols(match[2]);
+        if (input === '' || pop.length > 1) {
+            return null;
+        }
+        transitions.push({
+            input: isEpsilonSymbol(input) ? EPSILON : input,
+            pop: pop.length === 1 ? pop[0] : null,
+            push: parseStackSymbols(match[3])
+        });
+    }
+    return transitions;
+}
+
+// Build the PDA transition lookup table: table[state] is a list of moves
+function buildPDATransitionTable(nodes, links) {
+    var table = {};
+    var errors = [];
+
+    for (var i = 0; i < nodes.length; i++) {
+        table[i] = [];
+    }
+
+    for (var i = 0; i < links.length; i++) {
+        var link = links[i];
+        var fromIndex, toIndex;
+        if (link instanceof Link) {
+            fromIndex = nodes.indexOf(link.nodeA);
+            toIndex = nodes.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            fromIndex = toIndex = nodes.indexOf(link.node);
+        } else {
+            continue;
+        }
+
+        var transitions = parsePDALabel(link.text);
+        if (transitions === null) {
+            errors.push("Cannot read PDA label '" + link.text + "'. Use the form \"a, X → YZ\".");
+            continue;
+        }
+        for (var t = 0; t < transitions.length; t++) {
+            transitions[t].targetIndex = toIndex;
+            transitions[t].link = link;
+            table[fromIndex].push(transitions[t]);
+        }
+    }
+
+    return { table: table, errors: errors };
+}
+
+// Moves available to a path for an input symbol (EPSILON for moves that read nothing)
+function pdaMoves(transitionTable, path, symbol) {
+    var state = path.states[path.states.length - 1];
+    var top = path.stack.length > 0 ? path.stack[path.stack.length - 1] : null;
+    return transitionTable[state].filter(function(move) {
+        return move.input === symbol && (move.pop === null || move.pop === top);
+    });
+}
+
+// Apply a move to a stack (bottom first), returning the new stack
+function applyPDAMove(stack, move) {
+    var result = move.pop === null ? stack.slice() : stack.slice(0, -1);
+    for (var i = move.push.length - 1; i >= 0; i--) {
+        result.push(move.push[i]);
+    }
+    return result;
+}
+
+// Check if a branch accepts under the current acceptance mode
+function pdaPathAccepts(simState, path, nodes) {
+    if (simState.acceptance === 'empty') {
+        return path.stack.length === 0;
+    }
+    return !!nodes[path.states[path.states.length - 1]].isAcceptState;
+}
+
+// Key identifying a configuration (state plus stack)
+function pdaConfigurationKey(path) {
+    return path.states[path.states.length - 1] + '|' + path.stack.join(' ');
+}
+
+// Extend active branches along epsilon moves, branching for each new configuration.
+// Returns the epsilon links that were followed.
+function expandPDAEpsilonPaths(simState) {
+    var epsilonLinks = [];
+    var reached = {};
+    var added = 0;
+
+    for (var p = 0; p < simState.paths.length; p++) {
+        if (simState.paths[p].status === 'active') {
+            reached[pdaConfigurationKey(simState.paths[p])] = true;
+        }
+    }
+
+    // Appended paths are visited later in this loop, which continues the closure
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status !== 'active') {
+            continue;
+        }
+
+        var moves = pdaMoves(simState.transitionTable, path, EPSILON);
+        for (var m = 0; m < moves.length; m++) {
+            var stack = applyPDAMove(path.stack, moves[m]);
+            var newPath = {
+                states: path.states.concat([moves[m].targetIndex]),
+                transitions: path.transitions.concat([moves[m].link]),
+                symbols: path.symbols.concat([EPSILON]),
+                stack: stack,
+                status: 'active'
+            };
+            var key = pdaConfigurationKey(newPath);
+            if (reached[key]) {
+                continue;
+            }
+            if (added >= maxPDAEpsilonMoves || stack.length > maxPDAStackDepth) {
+                simState.epsilonLimitReached = true;
+                continue;
+            }
+            reached[key] = true;
+            added++;
+
+            if (epsilonLinks.indexOf(moves[m].link) === -1) {
+                epsilonLinks.push(moves[m].link);
+            }
+            simState.paths.push(newPath);
+        }
+    }
+
+    simState.currentStates = activePathStates(simState);
+    return epsilonLinks;
+}
+
+// End states of the active branches, without duplicates
+function activePathStates(simState) {
+    var states = [];
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status === 'active') {
+            var end = path.states[path.states.length - 1];
+            if (states.indexOf(end) === -1) {
+                states.push(end);
+            }
+        }
+    }
+    return states;
+}
+
+// Decide the branches and the overall result once the whole input has been read
+function finishPDASimulation(simState, nodes) {
+    simState.isComplete = true;
+    var anyAccepted = false;
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status === 'active') {
+            path.status = pdaPathAccepts(simState, path, nodes) ? 'accepted' : 'rejected';
+            anyAccepted = anyAccepted || path.status === 'accepted';
+        }
+    }
+    simState.result = anyAccepted ? 'accepted' : 'rejected';
+}
+
+// Initialize a PDA simulation (called by initializeSimulation in PDA mode after validation)
+function initializePDASimulation(inputString, startIndex, nodes, links) {
+    var built = buildPDATransitionTable(nodes, links);
+    if (built.errors.length > 0) {
+        return { success: false, errors: built.errors, warnings: [] };
+    }
+
+    var simState = new SimulationState(inputString, startIndex, built.table);
+    simState.machineType = 'pda';
+    simState.acceptance = pdaOptions.acceptance;
+    simState.paths[0].stack = parseStackSymbols(pdaOptions.initialStack).reverse();
+    simState.epsilonLimitReached = false;
+
+    simState.epsilonLinks = expandPDAEpsilonPaths(simState);
+
+    if (inputString.length === 0) {
+        finishPDASimulation(simState, nodes);
+    }
+
+    recordSimulationSnapshot(simState);
+
+    return { success: true, simulation: simState, warnings: [] };
+}
+
+// Execute one PDA step: read one input symbol on every branch, then follow epsilon moves
+function stepPDASimulation(simState, nodes) {
+    if (simState.isComplete) {
+        return simState;
+    }
+
+    var currentChar = simState.inputString[simState.currentPosition];
+    var newPaths = [];
+    var activeLinksThisStep = [];
+
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status !== 'active') {
+            newPaths.push(path);
+            continue;
+        }
+
+        var moves = pdaMoves(simState.transitionTable, path, currentChar);
+        if (moves.length === 0) {
+            var state = path.states[path.states.length - 1];
+            var top = path.stack.length > 0 ? path.stack[path.stack.length - 1] : 'empty';
+            path.status = 'rejected';
+            path.errorMessage = "No transition for '" + currentChar + "' with stack top " + top +
+                ' from state ' + (nodes[state].text || ('q' + state));
+            newPaths.push(path);
+            continue;
+        }
+
+        for (var m = 0; m < moves.length; m++) {
+            if (activeLinksThisStep.indexOf(moves[m].link) === -1) {
+                activeLinksThisStep.push(moves[m].link);
+            }
+            newPaths.push({
+                states: path.states.concat([moves[m].targetIndex]),
+                transitions: path.transitions.concat([moves[m].link]),
+                symbols: path.symbols.concat([currentChar]),
+                stack: applyPDAMove(path.stack, moves[m]),
+                status: 'active'
+            });
+        }
+    }
+
+    simState.paths = newPaths;
+    simState.activeLinks = activeLinksThisStep;
+    simState.currentPosition++;
+
+    simState.epsilonLinks = expandPDAEpsilonPaths(simState);
+
+    if (simState.currentPosition >= simState.inputString.length) {
+        finishPDASimulation(simState, nodes);
+    }
+
+    var allPathsRejected = simState.paths.every(function(p) {
+        return p.status === 'rejected';
+    });
+    if (allPathsRejected && !simState.isComplete) {
+        simState.isComplete = true;
+        simState.result = 'stuck';
+        for (var p = simState.paths.length - 1; p >= 0; p--) {
+            if (simState.paths[p].errorMessage) {
+                simState.errorMessage = simState.paths[p].errorMessage;
+                break;
+            }
+        }
+    }
+
+    recordSimulationSnapshot(simState);
+
+    return simState;
+}
+
+// UI functions for the PDA options in the simulation panel
+
+// Read the acceptance mode and initial stack from the panel
+function updatePDAOptions() {
+    var acceptanceSelect = document.getElementById('pdaAcceptance');
+    var stackField = document.getElementById('pdaInitialStack');
+    if (acceptanceSelect) {
+        pdaOptions.acceptance = acceptanceSelect.value;
+    }
+    if (stackField) {
+        pdaOptions.initialStack = stackField.value;
+    }
+    saveBackup();
+}
+
+// Show the PDA options only in PDA mode, filled from pdaOptions
+function updatePDAOptionsUI() {
+    var options = document.getElementById('pdaOptions');
+    if (!options) {
+        return;
+    }
+    options.style.display = machineType === 'pda' ? 'flex' : 'none';
+    document.getElementById('pdaAcceptance').value = pdaOptions.acceptance;
+    document.getElementById('pdaInitialStack').value = pdaOptions.initialStack;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        pdaOptions: pdaOptions,
+        parseStackSymbols: parseStackSymbols,
+        parsePDALabel: parsePDALabel,
+        buildPDATransitionTable: buildPDATransitionTable,
+        initializePDASimulation: initializePDASimulation,
+        stepPDASimulation: stepPDASimulation
+    };
+}
@@ -0,0 +1,247 @@
+// Algorithm Playback
+// Plays graph algorithms (Kruskal, Prim, BFS, DFS, Dijkstra, max flow, Euler and Hamiltonian paths) one narrated event at a time with the
+// simulation panel's Step/Play/speed controls. A playback is a SimulationState with machineType
+// 'playback' whose steps walk through a precomputed list of events, so stepping back, the timeline
+// and the keyboard shortcuts work exactly as they do for machines.
+
+// Collects the events of an algorithm run. Each event is a narration message plus a snapshot of the
+// highlights at that moment: { message, states: [{ index, color, note }], links: [{ link, color }] }
+function PlaybackRecorder() {
+    this.events = [];
+    this.stateMarks = {};  // node index -> { color, note }
+    this.linkMarks = [];   // [{ link, color }]
+}
+
+// Color a node (and optionally annotate it); a note left undefined keeps the previous one
+PlaybackRecorder.prototype.markState = function(index, color, note) {
+    var previous = this.stateMarks[index];
+    this.stateMarks[index] = {
+        color: color,
+        note: note !== undefined ? note : (previous ? previous.note : undefined)
+    };
+};
+
+// Color a link, replacing its previous color
+PlaybackRecorder.prototype.markLink = function(link, color) {
+    for (var i = 0; i < this.linkMarks.length; i++) {
+        if (this.linkMarks[i].link === link) {
+            this.linkMarks[i].color = color;
+            return;
+        }
+    }
+    this.linkMarks.push({ link: link, color: color });
+};
+
+// Remove a link's highlight
+PlaybackRecorder.prototype.unmarkLink = function(link) {
+    this.linkMarks = this.linkMarks.filter(function(mark) {
+        return mark.link !== link;
+    });
+};
+
+// Add an event with the current highlights
+PlaybackRecorder.prototype.record = function(message) {
+    var states = [];
+    for (var index in this.stateMarks) {
+        states.push({ index: parseInt(index, 10), color: this.stateMarks[index].color, note: this.stateMarks[index].note });
+    }
+    this.events.push({
+        message: message,
+        states: states,
+        links: this.linkMarks.map(function(mark) {
+            return { link: mark.link, color: mark.color };
+        })
+    });
+};
+
+// Create the playback state for an algorithm run.
+// run is { title, events, summary, keepLinks } where keepLinks (optional) are the links kept when
+// the final state is applied to the canvas.
+function createPlaybackState(run) {
+    var simState = new SimulationState('', 0, null);
+    simState.machineType = 'playback';
+    simState.currentStates = [];
+    simState.paths = [];
+    simState.title = run.title;
+    simState.events = run.events;
+    simState.summary = run.summary;
+    simState.keepLinks = run.keepLinks || null;
+
+    if (run.events.length === 0) {
+        simState.isComplete = true;
+        simState.result = 'finished';
+    }
+    recordSimulationSnapshot(simState);
+    return simState;
+}
+
+// Show the next event (called by stepSimulation for playbacks)
+function stepPlaybackSimulation(simState) {
+    if (simState.isComplete) {
+        return simState;
+    }
+
+    simState.currentPosition++;
+    if (simState.currentPosition >= simState.events.length) {
+        simState.isComplete = true;
+        simState.result = 'finished';
+    }
+    recordSimulationSnapshot(simState);
+
+    return simState;
+}
+
+// The event shown at the current position, or null before the first step
+function getCurrentPlaybackEvent(simState) {
+    return simState.currentPosition > 0 ? simState.events[simState.currentPosition - 1] : null;
+}
+
+// Keep only the given links (plus start arrows) on the canvas (undoable with Ctrl+Z)
+function applyLinkSubset(keepLinks) {
+    saveState();
+    links = links.filter(function(link) {
+        return link instanceof StartLink || keepLinks.indexOf(link) !== -1;
+    });
+    selectedObject = null;
+    draw();
+}
+
+// UI functions for algorithm playback
+
+// Open the simulation panel and load an algorithm run into it
+function startAlgorithmPlayback(run) {
+    if (!simulationActive) {
+        enterSimulationMode();
+    }
+    stopAutoPlay();
+    hideResultDisplay();
+
+    currentSimulation = createPlaybackState(run);
+    beginSimulationDisplay();
+}
+
+// Fill the narration log with the events shown so far, newest last
+function updateNarrationLog() {
+    var log = document.getElementById('simNarration');
+    if (!log) {
+        return;
+    }
+
+    var playback = currentSimulation && currentSimulation.machineType === 'playback' ? currentSimulation : null;
+    log.innerHTML = '';
+    log.style.display = playback ? 'block' : 'none';
+    if (!playback) {
+        return;
+    }
+
+    for (var i = 0; i < playback.currentPosition; i++) {
+        var item = document.createElement('li');
+        item.textContent = playback.events[i].message;
+        if (i === playback.currentPosition - 1) {
+            item.className = 'current';
+        }
+        log.appendChild(item);
+    }
+    log.scrollTop = log.scrollHeight;
+}
+
+// Apply the final state of the playback to the canvas
+function applyPlaybackResult() {
+    if (!currentSimulation || currentSimulation.machineType !== 'playback' || !currentSimulation.keepLinks) {
+        return;
+    }
+
+    var keepLinks = currentSimulation.keepLinks;
+    var title = currentSimulation.title;
+    exitSimulationMode();
+
+    var removed = links.filter(function(link) {
+        return !(link instanceof StartLink) && keepLinks.indexOf(link) === -1;
+    }).length;
+    applyLinkSubset(keepLinks);
+
+    alert(title + ' applied! ' + removed + ' edge(s) removed.\n\nYou can press Ctrl+Z to undo.');
+}
+
+// Main UI handler function - called when user clicks Animate.
+// Plays the algorithm chosen in the list, starting from the node in the Source field (see getSourceNode).
+// Max flow also needs the sink in the Target field; Euler and Hamiltonian paths start there only if one is given.
+function animateAlgorithm() {
+    if (nodes.length === 0) {
+        alert('Cannot animate: No nodes in the graph.');
+        return;
+    }
+
+    var select = document.getElementById('playbackAlgorithm');
+    var algorithm = select ? select.value : 'kruskal';
+    var labels = generateNodeLabels();
+
+    var start = -1;
+    if (algorithm === 'euler' || algorithm === 'hamilton') {
+        var preferred = getPreferredStartNode(labels);
+        if (preferred.error) {
+            alert('Cannot animate: ' + preferred.error);
+            return;
+        }
+        start = preferred.index;
+    } else if (algorithm !== 'kruskal') {
+        var source = getSourceNode(labels);
+        if (source.error) {
+            alert('Cannot animate: ' + source.error);
+            return;
+        }
+        start = source.index;
+    }
+
+    var run;
+    switch (algorithm) {
+        case 'kruskal':
+            run = kruskalPlayback(nodes, links, labels);
+            break;
+        case 'prim':
+            run = primPlayback(nodes, links, labels, start);
+            break;
+        case 'bfs':
+            run = bfsPlayback(nodes, links, labels, start, directed);
+            break;
+        case 'dfs':
+            run = dfsPlayback(nodes, links, labels, start, directed);
+            break;
+        case 'dijkstra':
+            run = dijkstraPlayback(nodes, links, labels, start, directed);
+            break;
+        case 'maxflow':
+            if (!directed) {
+                alert('Cannot animate: Flow networks need directed edges. Turn on "Directed Links" first.');
+                return;
+            }
+            var sink = getSinkNode(labels);
+            if (sink.error) {
+                alert('Cannot animate: ' + sink.error);
+                return;
+            }
+            run = maxFlowPlayback(nodes, links, labels, start, sink.index);
+            break;
+        case 'euler':
+            run = eulerPlayback(nodes, links, labels, start, directed);
+            break;
+        case 'hamilton':
+            run = hamiltonianPlayback(nodes, links, labels, start, directed);
+            break;
+    }
+
+    if (!run.success) {
+        alert('Cannot animate:\n\n' + run.error);
+        return;
+    }
+    startAlgorithmPlayback(run);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PlaybackRecorder: PlaybackRecorder,
+        createPlaybackState: createPlaybackState,
+        stepPlaybackSimulation: stepPlaybackSimulation,
+        getCurrentPlaybackEvent: getCurrentPlaybackEvent
+    };
+}
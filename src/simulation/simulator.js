@@ -13,6 +13,7 @@ function SimulationState(inputString, startNodeIndex, transitionTable) {
     this.paths = [{
         states: [startNodeIndex],
         transitions: [],
+        symbols: [], // symbol consumed by each transition (EPSILON for epsilon moves)
         status: 'active' // 'active', 'accepted', 'rejected'
     }];
     this.isPlaying = false;
@@ -21,6 +22,18 @@ function SimulationState(inputString, startNodeIndex, transitionTable) {
     this.result = null; // 'accepted', 'rejected', 'stuck'
     this.errorMessage = null;
     this.transitionTable = transitionTable;
+    this.history = []; // history[k] is a snapshot of the configuration after k steps
+}
+
+// Canonical symbol for epsilon (empty-string) transitions
+var EPSILON = 'ε';
+
+// Label tokens that are read as an epsilon transition
+var epsilonAliases = ['ε', '\\epsilon', '\\varepsilon', 'λ', '\\lambda', '""'];
+
+// Check if a label token denotes an epsilon transition
+function isEpsilonSymbol(symbol) {
+    return epsilonAliases.indexOf(symbol) !== -1;
 }
 
 // Parse transition label into array of symbols
@@ -29,9 +42,16 @@ function parseTransitionLabel(text) {
         return [];
     }
     
-    // Split by comma, trim each symbol
+    // Mealy machines write "input/output" - only the input part is a transition symbol
+    var mealy = typeof machineType !== 'undefined' && machineType === 'mealy';
+    
+    // Split by comma, trim each symbol, and normalize epsilon spellings
     var symbols = text.split(',').map(function(s) {
-        return s.trim();
+        if (mealy && s.indexOf('/') !== -1) {
+            s = s.substring(0, s.indexOf('/'));
+        }
+        s = s.trim();
+        return isEpsilonSymbol(s) ? EPSILON : s;
     });
     
     // Filter out empty strings
@@ -90,6 +110,76 @@ function buildTransitionTable(nodes, links) {
     return table;
 }
 
+// Compute the epsilon closure of a set of states (all states reachable via epsilon moves)
+function epsilonClosure(stateIndices, transitionTable) {
+    var closure = stateIndices.slice();
+    var stack = stateIndices.slice();
+    
+    while (stack.length > 0) {
+        var state = stack.pop();
+        var transitions = transitionTable[state][EPSILON] || [];
+        for (var t = 0; t < transitions.length; t++) {
+            var target = transitions[t].targetIndex;
+            if (closure.indexOf(target) === -1) {
+                closure.push(target);
+                stack.push(target);
+            }
+        }
+    }
+    
+    return closure;
+}
+
+// Extend active paths along epsilon transitions so every state in the closure has a path.
+// Returns the epsilon links that were followed.
+function expandEpsilonPaths(simState) {
+    var epsilonLinks = [];
+    var reached = [];
+    
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status === 'active') {
+            var end = path.states[path.states.length - 1];
+            if (reached.indexOf(end) === -1) {
+                reached.push(end);
+            }
+        }
+    }
+    
+    // Breadth-first over epsilon moves, branching a new path for each newly reached state
+    for (var p = 0; p < simState.paths.length; p++) {
+        var path = simState.paths[p];
+        if (path.status !== 'active') {
+            continue;
+        }
+        
+        var current = path.states[path.states.length - 1];
+        var transitions = simState.transitionTable[current][EPSILON] || [];
+        for (var t = 0; t < transitions.length; t++) {
+            var transition = transitions[t];
+            if (reached.indexOf(transition.targetIndex) !== -1) {
+                continue;
+            }
+            reached.push(transition.targetIndex);
+            
+            if (epsilonLinks.indexOf(transition.link) === -1) {
+                epsilonLinks.push(transition.link);
+            }
+            
+            // Appended paths are visited later in this loop, which continues the closure
+            simState.paths.push({
+                states: path.states.concat([transition.targetIndex]),
+                transitions: path.transitions.concat([transition.link]),
+                symbols: path.symbols.concat([EPSILON]),
+                status: 'active'
+            });
+        }
+    }
+    
+    simState.currentStates = reached;
+    return epsilonLinks;
+}
+
 // Find the start state node
 function findStartState(nodes, links) {
     for (var i = 0; i < links.length; i++) {
@@ -155,7 +245,10 @@ function getAlphabet(links) {
         if (link instanceof Link || link instanceof SelfLink) {
             var symbols = parseTransitionLabel(link.text);
             for (var j = 0; j < symbols.length; j++) {
-                alphabet[symbols[j]] = true;
+                // Epsilon is not an input symbol
+                if (symbols[j] !== EPSILON) {
+                    alphabet[symbols[j]] = true;
+                }
             }
         }
     }
@@ -206,24 +299,43 @@ function initializeSimulation(inputString, nodes, links) {
         };
     }
     
+    // Pushdown automata and Turing machines have their own transition tables and stepping (see pda.js and turing.js)
+    if (typeof machineType !== 'undefined' && machineType === 'pda') {
+        return initializePDASimulation(inputString, startIndex, nodes, links);
+    }
+    if (typeof machineType !== 'undefined' && machineType === 'tm') {
+        return initializeTMSimulation(inputString, startIndex, nodes, links);
+    }
+    
     // Build transition table
     var transitionTable = buildTransitionTable(nodes, links);
     
     // Create simulation state
     var simState = new SimulationState(inputString, startIndex, transitionTable);
     
+    // Mealy and Moore machines run like finite automata; the type tells getSimulationOutput where the outputs are
+    if (typeof machineType !== 'undefined' && (machineType === 'mealy' || machineType === 'moore')) {
+        simState.machineType = machineType;
+    }
+    
+    // Follow epsilon moves out of the start state
+    simState.epsilonLinks = expandEpsilonPaths(simState);
+    
     // Handle empty string case
     if (inputString.length === 0) {
         simState.isComplete = true;
-        if (nodes[startIndex].isAcceptState) {
-            simState.result = 'accepted';
-            simState.paths[0].status = 'accepted';
-        } else {
-            simState.result = 'rejected';
-            simState.paths[0].status = 'rejected';
+        var anyAccepted = false;
+        for (var p = 0; p < simState.paths.length; p++) {
+            var path = simState.paths[p];
+            var finalState = path.states[path.states.length - 1];
+            path.status = nodes[finalState].isAcceptState ? 'accepted' : 'rejected';
+            anyAccepted = anyAccepted || path.status === 'accepted';
         }
+        simState.result = anyAccepted ? 'accepted' : 'rejected';
     }
     
+    recordSimulationSnapshot(simState);
+    
     return {
         success: true,
         simulation: simState,
@@ -237,6 +349,16 @@ function stepSimulation(simState, nodes) {
         return simState;
     }
     
+    if (simState.machineType === 'pda') {
+        return stepPDASimulation(simState, nodes);
+    }
+    if (simState.machineType === 'tm') {
+        return stepTMSimulation(simState, nodes);
+    }
+    if (simState.machineType === 'playback') {
+        return stepPlaybackSimulation(simState);
+    }
+    
     var currentChar = simState.inputString[simState.currentPosition];
     var newPaths = [];
     var activeLinksThisStep = [];
@@ -276,12 +398,14 @@ function stepSimulation(simState, nodes) {
                     // Single transition - extend existing path
                     path.states.push(targetIndex);
                     path.transitions.push(transition.link);
+                    path.symbols.push(currentChar);
                     newPath = path;
                 } else {
                     // Multiple transitions (NFA) - create new path
                     newPath = {
                         states: path.states.slice(0, -1).concat([currentState, targetIndex]),
                         transitions: path.transitions.slice().concat([transition.link]),
+                        symbols: path.symbols.concat([currentChar]),
                         status: 'active'
                     };
                 }
@@ -299,6 +423,9 @@ function stepSimulation(simState, nodes) {
     simState.activeLinks = activeLinksThisStep;
     simState.currentPosition++;
     
+    // Follow epsilon moves from the states just reached
+    simState.epsilonLinks = expandEpsilonPaths(simState);
+    
     // Check if simulation is complete
     if (simState.currentPosition >= simState.inputString.length) {
         simState.isComplete = true;
@@ -341,9 +468,105 @@ function stepSimulation(simState, nodes) {
         }
     }
     
+    recordSimulationSnapshot(simState);
+    
     return simState;
 }
 
+// Copy the parts of a simulation state that change from step to step.
+// Paths are copied deeply because stepSimulation extends them in place.
+function snapshotSimulation(simState) {
+    return {
+        currentPosition: simState.currentPosition,
+        currentStates: simState.currentStates.slice(),
+        paths: simState.paths.map(function(path) {
+            var copy = {
+                states: path.states.slice(),
+                transitions: path.transitions.slice(),
+                symbols: path.symbols.slice(),
+                status: path.status
+            };
+            if (path.errorMessage) {
+                copy.errorMessage = path.errorMessage;
+            }
+            if (path.stack) {
+                copy.stack = path.stack.slice();
+            }
+            if (path.tapes) {
+                copy.tapes = path.tapes.map(function(tape) {
+                    return { cells: tape.cells.slice(), head: tape.head, blank: tape.blank };
+                });
+            }
+            return copy;
+        }),
+        activeLinks: simState.activeLinks ? simState.activeLinks.slice() : undefined,
+        epsilonLinks: simState.epsilonLinks ? simState.epsilonLinks.slice() : undefined,
+        isComplete: simState.isComplete,
+        result: simState.result,
+        errorMessage: simState.errorMessage
+    };
+}
+
+// Number of steps in a complete run: one per input symbol, the precomputed run length for Turing machines,
+// or one per event for algorithm playbacks
+function getSimulationLength(simState) {
+    if (simState.machineType === 'tm') {
+        return simState.totalSteps;
+    }
+    if (simState.machineType === 'playback') {
+        return simState.events.length;
+    }
+    return simState.inputString.length;
+}
+
+// Store the current configuration as history entry number currentPosition
+function recordSimulationSnapshot(simState) {
+    simState.history[simState.currentPosition] = snapshotSimulation(simState);
+}
+
+// Put a simulation back into a recorded configuration
+function restoreSimulationSnapshot(simState, snapshot) {
+    var copy = snapshotSimulation(snapshot);
+    simState.currentPosition = copy.currentPosition;
+    simState.currentStates = copy.currentStates;
+    simState.paths = copy.paths;
+    simState.activeLinks = copy.activeLinks;
+    simState.epsilonLinks = copy.epsilonLinks;
+    simState.isComplete = copy.isComplete;
+    simState.result = copy.result;
+    simState.errorMessage = copy.errorMessage;
+}
+
+// Move the simulation to the configuration after `step` steps, replaying from the closest recorded
+// configuration at or before it (Turing machines record only some steps) and stepping forward from there.
+// Returns the step actually reached (the run may finish early when every path gets stuck).
+function seekSimulation(simState, nodes, step) {
+    step = Math.max(0, Math.min(step, getSimulationLength(simState)));
+    
+    var recorded = Math.min(step, simState.history.length - 1);
+    while (!simState.history[recorded]) {
+        recorded--;
+    }
+    restoreSimulationSnapshot(simState, simState.history[recorded]);
+    
+    while (simState.currentPosition < step && !simState.isComplete) {
+        stepSimulation(simState, nodes);
+    }
+    
+    return simState.currentPosition;
+}
+
+// The branch shown in detail (stack, output): the first accepting branch once finished, otherwise the first active one
+function getHighlightedPath(simState) {
+    var wanted = simState.result === 'accepted' ? 'accepted' : 'active';
+    for (var p = 0; p < simState.paths.length; p++) {
+        if (simState.paths[p].status === wanted) {
+            return simState.paths[p];
+        }
+    }
+    return simState.paths[simState.paths.length - 1];
+}
+
 // Check if simulation is complete
 function isSimulationComplete(simState) {
     return simState.isComplete;
@@ -365,13 +588,20 @@ function getSimulationInfo(simState, nodes) {
             ? simState.inputString[simState.currentPosition] 
             : null,
         position: simState.currentPosition,
-        totalLength: simState.inputString.length,
+        totalLength: getSimulationLength(simState),
         currentStateNames: [],
         activePaths: 0,
         isComplete: simState.isComplete,
         result: simState.result
     };
     
+    // Turing machines read the symbols under the heads rather than the next input symbol
+    if (simState.machineType === 'tm') {
+        info.currentChar = simState.paths[0].tapes.map(function(tape) {
+            return tape.head < tape.cells.length ? tape.cells[tape.head] : tape.blank;
+        }).join(', ');
+    }
+    
     // Get names of current states
     for (var i = 0; i < simState.currentStates.length; i++) {
         var stateIndex = simState.currentStates[i];
@@ -393,4 +623,26 @@ function getSimulationInfo(simState, nodes) {
 function resetSimulation() {
     currentSimulation = null;
     simulationActive = false;
-}
\ No newline at end of file
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SimulationState: SimulationState,
+        EPSILON: EPSILON,
+        isEpsilonSymbol: isEpsilonSymbol,
+        parseTransitionLabel: parseTransitionLabel,
+        buildTransitionTable: buildTransitionTable,
+        epsilonClosure: epsilonClosure,
+        findStartState: findStartState,
+        validateFSM: validateFSM,
+        getAlphabet: getAlphabet,
+        validateInputString: validateInputString,
+        initializeSimulation: initializeSimulation,
+        stepSimulation: stepSimulation,
+        snapshotSimulation: snapshotSimulation,
+        restoreSimulationSnapshot: restoreSimulationSnapshot,
+        recordSimulationSnapshot: recordSimulationSnapshot,
+        getSimulationLength: getSimulationLength,
+        getHighlightedPath: getHighlightedPath,
+        seekSimulation: seekSimulation
+    };
+}
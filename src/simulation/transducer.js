@@ -0,0 +1,87 @@
+// Mealy and Moore Transducers
+// Reads the outputs written on arrows (Mealy) or states (Moore) and builds the output string of a simulation run
+//
+// Label syntax:
+//   Mealy arrow:  input/output    "a/0, b/1" reads a and writes 0, or reads b and writes 1
+//   Moore state:  name/output     "q1/1" writes 1 every time the machine enters q1
+// An output left out (or written as ε) is the empty string. Mealy and Moore machines otherwise
+// run exactly like finite automata, so they can still accept or reject their input.
+
+// Parse a Mealy arrow label into a list of { input, output } pairs
+function parseMealyLabel(text) {
+    if (!text || text.trim() === '') {
+        return [];
+    }
+
+    var pairs = [];
+    var parts = text.split(',');
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i].trim();
+        if (part === '') {
+            continue;
+        }
+        var slash = part.indexOf('/');
+        var input = (slash === -1 ? part : part.substring(0, slash)).trim();
+        var output = slash === -1 ? '' : part.substring(slash + 1).trim();
+        pairs.push({
+            input: isEpsilonSymbol(input) ? EPSILON : input,
+            output: isEpsilonSymbol(output) ? '' : output
+        });
+    }
+    return pairs;
+}
+
+// Split a Moore state label into its name and output (text after the last '/')
+function parseMooreNodeText(text) {
+    text = text ? text.trim() : '';
+    var slash = text.lastIndexOf('/');
+    if (slash === -1) {
+        return { name: text, output: '' };
+    }
+    var output = text.substring(slash + 1).trim();
+    return {
+        name: text.substring(0, slash).trim(),
+        output: isEpsilonSymbol(output) ? '' : output
+    };
+}
+
+// Output written along one simulation path
+function getPathOutput(simState, path, nodes) {
+    var output = '';
+
+    if (simState.machineType === 'moore') {
+        // Every state the path enters writes its output, starting with the start state
+        for (var k = 0; k < path.states.length; k++) {
+            output += parseMooreNodeText(nodes[path.states[k]].text).output;
+        }
+        return output;
+    }
+
+    for (var k = 0; k < path.transitions.length; k++) {
+        var pairs = parseMealyLabel(path.transitions[k].text);
+        for (var p = 0; p < pairs.length; p++) {
+            if (pairs[p].input === path.symbols[k]) {
+                output += pairs[p].output;
+                break;
+            }
+        }
+    }
+    return output;
+}
+
+// Output string of the highlighted branch, or null if the machine is not a transducer
+function getSimulationOutput(simState, nodes) {
+    if (simState.machineType !== 'mealy' && simState.machineType !== 'moore') {
+        return null;
+    }
+    return getPathOutput(simState, getHighlightedPath(simState), nodes);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseMealyLabel: parseMealyLabel,
+        parseMooreNodeText: parseMooreNodeText,
+        getPathOutput: getPathOutput,
+        getSimulationOutput: getSimulationOutput
+    };
+}
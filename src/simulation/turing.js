@@ -0,0 +1,292 @@
+// Turing Machine Simulation
+// Deterministic single- and multi-tape Turing machines, used instead of stepSimulation in Turing machine mode
+//
+// Label syntax: read → write, move
+//   a → b, R        read a, write b, move right (moves are L, R or S to stay)
+//   a → R           shorthand for "a → a, R"
+//   a, _ → a, a, R, R   two tapes: one read symbol per tape, then the writes, then the moves
+// Several transitions on one arrow are separated by semicolons: "a → b, R; b → a, R".
+// The machine accepts when it enters an accepting state, and rejects when no transition applies.
+
+// Turing machine settings, saved with the machine
+var tmOptions = {
+    blank: '_',       // symbol on every tape cell that has not been written
+    stepLimit: 1000   // runs longer than this are stopped as probably non-halting
+};
+
+// Highest step limit allowed: the whole run is computed when the simulation starts
+var maxTMStepLimit = 100000;
+
+// Number of configurations kept for moving back in the timeline; the steps in between are replayed
+// from the closest one, so a long run does not keep a copy of every tape at every step
+var tmCheckpointCount = 50;
+
+// Head moves allowed in labels
+var tmMoves = { L: -1, R: 1, S: 0, N: 0 };
+
+// Parse a Turing machine label into a list of { reads, writes, moves } transitions.
+// Returns null if any part of the label is malformed.
+function parseTMLabel(text) {
+    if (!text || text.trim() === '') {
+        return [];
+    }
+
+    var transitions = [];
+    var parts = text.split(';');
+    for (var i = 0; i < parts.length; i++) {
+        var match = parts[i].trim().match(/^(.*?)(?:→|->|\\to|\\rightarrow)(.*)$/);
+        if (!match) {
+            return null;
+        }
+
+        var reads = match[1].split(',').map(function(s) { return s.trim(); });
+        var actions = match[2].split(',').map(function(s) { return s.trim(); });
+        var tapes = reads.length;
+        var writes, moves;
+        if (actions.length === 2 * tapes) {
+            writes = actions.slice(0, tapes);
+            moves = actions.slice(tapes);
+        } else if (actions.length === tapes) {
+            writes = reads.slice();
+            moves = actions;
+        } else {
+            return null;
+        }
+
+        moves = moves.map(function(m) { return m.toUpperCase(); });
+        var valid = reads.concat(writes).every(function(s) { return s.length > 0; }) &&
+            moves.every(function(m) { return tmMoves.hasOwnProperty(m); });
+        if (!valid) {
+            return null;
+        }
+        transitions.push({ reads: reads, writes: writes, moves: moves });
+    }
+    return transitions;
+}
+
+// Build the Turing machine transition table: table[state] is a list of transitions.
+// Also works out the number of tapes and reports inconsistent or nondeterministic labels.
+function buildTMTransitionTable(nodes, links) {
+    var table = {};
+    var errors = [];
+    var tapeCount = 0;
+
+    for (var i = 0; i < nodes.length; i++) {
+        table[i] = [];
+    }
+
+    for (var i = 0; i < links.length; i++) {
+        var link = links[i];
+        var fromIndex, toIndex;
+        if (link instanceof Link) {
+            fromIndex = nodes.indexOf(link.nodeA);
+            toIndex = nodes.indexOf(link.nodeB);
+        } else if (link instanceof SelfLink) {
+            fromIndex = toIndex = nodes.indexOf(link.node);
+        } else {
+            continue;
+        }
+
+        var transitions = parseTMLabel(link.text);
+        if (transitions === null) {
+            errors.push("Cannot read Turing machine label '" + link.text + "'. Use the form \"a → b, R\".");
+            continue;
+        }
+        for (var t = 0; t < transitions.length; t++) {
+            var transition = transitions[t];
+            if (tapeCount === 0) {
+                tapeCount = transition.reads.length;
+            } else if (transition.reads.length !== tapeCount) {
+                errors.push("Label '" + link.text + "' uses " + transition.reads.length + ' tape(s), but other labels use ' + tapeCount + '.');
+                continue;
+            }
+
+            var duplicate = table[fromIndex].some(function(other) {
+                return other.reads.join('\u0000') === transition.reads.join('\u0000');
+            });
+            if (duplicate) {
+                errors.push('Two transitions from state ' + (nodes[fromIndex].text || ('q' + fromIndex)) +
+                    " read '" + transition.reads.join(', ') + "' - the machine must be deterministic.");
+                continue;
+            }
+
+            transition.targetIndex = toIndex;
+            transition.link = link;
+            table[fromIndex].push(transition);
+        }
+    }
+
+    return { table: table, tapeCount: Math.max(tapeCount, 1), errors: errors };
+}
+
+// Read the cell under a tape's head (each tape keeps its own blank symbol)
+function readTape(tape) {
+    return tape.head < tape.cells.length ? tape.cells[tape.head] : tape.blank;
+}
+
+// Write a symbol under the head and move it, growing the tape as needed
+function writeAndMove(tape, symbol, move) {
+    while (tape.head >= tape.cells.length) {
+        tape.cells.push(tape.blank);
+    }
+    tape.cells[tape.head] = symbol;
+    tape.head += tmMoves[move];
+    if (tape.head < 0) {
+        tape.cells.unshift(tape.blank);
+        tape.head = 0;
+    }
+}
+
+// Find the transition that applies to the current configuration, or null if the machine halts
+function findTMTransition(simState, path) {
+    var state = path.states[path.states.length - 1];
+    var reads = path.tapes.map(readTape);
+    var candidates = simState.transitionTable[state];
+    for (var t = 0; t < candidates.length; t++) {
+        var matches = true;
+        for (var k = 0; k < reads.length; k++) {
+            if (candidates[t].reads[k] !== reads[k]) {
+                matches = false;
+                break;
+            }
+        }
+        if (matches) {
+            return candidates[t];
+        }
+    }
+    return null;
+}
+
+// Decide whether the current configuration ends the run (accept, reject or step limit)
+function checkTMHalt(simState, nodes) {
+    var path = simState.paths[0];
+    var state = path.states[path.states.length - 1];
+
+    if (nodes[state].isAcceptState) {
+        path.status = 'accepted';
+        simState.result = 'accepted';
+        simState.isComplete = true;
+    } else if (!findTMTransition(simState, path)) {
+        path.status = 'rejected';
+        path.errorMessage = 'Halted in state ' + (nodes[state].text || ('q' + state)) +
+            " reading '" + path.tapes.map(readTape).join(', ') + "'";
+        simState.result = 'rejected';
+        simState.errorMessage = path.errorMessage;
+        simState.isComplete = true;
+    } else if (simState.currentPosition >= simState.stepLimit) {
+        path.status = 'rejected';
+        simState.result = 'limit';
+        simState.errorMessage = 'Stopped after ' + simState.stepLimit + ' steps - the machine may not halt.';
+        simState.isComplete = true;
+    }
+}
+
+// Initialize a Turing machine simulation (called by initializeSimulation in Turing machine mode after validation).
+// The run is computed once up to the step limit so the timeline knows its length, then rewound to the start.
+// Only every checkpointInterval-th configuration is recorded in the history.
+function initializeTMSimulation(inputString, startIndex, nodes, links) {
+    var built = buildTMTransitionTable(nodes, links);
+    if (built.errors.length > 0) {
+        return { success: false, errors: built.errors, warnings: [] };
+    }
+
+    var simState = new SimulationState(inputString, startIndex, built.table);
+    simState.machineType = 'tm';
+    simState.stepLimit = Math.min(tmOptions.stepLimit, maxTMStepLimit);
+    simState.checkpointInterval = Math.max(100, Math.ceil(simState.stepLimit / tmCheckpointCount));
+
+    // The input goes on the first tape, every other tape starts blank
+    var tapes = [];
+    for (var k = 0; k < built.tapeCount; k++) {
+        tapes.push({
+            cells: k === 0 && inputString.length > 0 ? inputString.split('') : [tmOptions.blank],
+            head: 0,
+            blank: tmOptions.blank
+        });
+    }
+    simState.paths[0].tapes = tapes;
+
+    checkTMHalt(simState, nodes);
+    recordSimulationSnapshot(simState);
+
+    while (!simState.isComplete) {
+        stepTMSimulation(simState, nodes);
+    }
+    simState.totalSteps = simState.currentPosition;
+    restoreSimulationSnapshot(simState, simState.history[0]);
+
+    return { success: true, simulation: simState, warnings: [] };
+}
+
+// Execute one Turing machine transition
+function stepTMSimulation(simState, nodes) {
+    if (simState.isComplete) {
+        return simState;
+    }
+
+    var path = simState.paths[0];
+    var transition = findTMTransition(simState, path);
+    var reads = path.tapes.map(readTape);
+
+    for (var k = 0; k < path.tapes.length; k++) {
+        writeAndMove(path.tapes[k], transition.writes[k], transition.moves[k]);
+    }
+    path.states.push(transition.targetIndex);
+    path.transitions.push(transition.link);
+    path.symbols.push(reads.join(','));
+
+    simState.currentStates = [transition.targetIndex];
+    simState.activeLinks = [transition.link];
+    simState.currentPosition++;
+
+    checkTMHalt(simState, nodes);
+    if (simState.currentPosition % simState.checkpointInterval === 0) {
+        recordSimulationSnapshot(simState);
+    }
+
+    return simState;
+}
+
+// UI functions for the Turing machine options in the simulation panel
+
+// Read the blank symbol and step limit from the panel
+function updateTMOptions() {
+    var blankField = document.getElementById('tmBlank');
+    var limitField = document.getElementById('tmStepLimit');
+    if (blankField && blankField.value.trim() !== '') {
+        tmOptions.blank = blankField.value.trim();
+    }
+    if (limitField) {
+        var limit = parseInt(limitField.value, 10);
+        if (limit > maxTMStepLimit) {
+            limit = maxTMStepLimit;
+            limitField.value = limit;
+        }
+        if (limit > 0) {
+            tmOptions.stepLimit = limit;
+        }
+    }
+    saveBackup();
+}
+
+// Show the Turing machine options only in Turing machine mode, filled from tmOptions
+function updateTMOptionsUI() {
+    var options = document.getElementById('tmOptions');
+    if (!options) {
+        return;
+    }
+    options.style.display = machineType === 'tm' ? 'flex' : 'none';
+    document.getElementById('tmBlank').value = tmOptions.blank;
+    document.getElementById('tmStepLimit').value = tmOptions.stepLimit;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        tmOptions: tmOptions,
+        maxTMStepLimit: maxTMStepLimit,
+        parseTMLabel: parseTMLabel,
+        buildTMTransitionTable: buildTMTransitionTable,
+        initializeTMSimulation: initializeTMSimulation,
+        stepTMSimulation: stepTMSimulation
+    };
+}
@@ -11,6 +11,8 @@ function initSimulationUI() {
         // Set up event listeners
         var startBtn = document.getElementById('simStart');
         var stepBtn = document.getElementById('simStep');
+        var stepBackBtn = document.getElementById('simStepBack');
+        var timeline = document.getElementById('simTimeline');
         var playPauseBtn = document.getElementById('simPlayPause');
         var resetBtn = document.getElementById('simReset');
         var speedSlider = document.getElementById('simSpeed');
@@ -18,6 +20,12 @@ function initSimulationUI() {
         
         if (startBtn) startBtn.onclick = handleStartSimulation;
         if (stepBtn) stepBtn.onclick = handleStepSimulation;
+        if (stepBackBtn) stepBackBtn.onclick = handleStepBack;
+        if (timeline) {
+            timeline.oninput = function() {
+                handleSeekSimulation(parseInt(this.value, 10));
+            };
+        }
         if (playPauseBtn) playPauseBtn.onclick = handlePlayPause;
         if (resetBtn) resetBtn.onclick = handleResetSimulation;
         if (speedSlider) {
@@ -34,6 +42,11 @@ function initSimulationUI() {
                 }
             };
         }
+        
+        // Fill in the batch test list saved with the machine
+        if (typeof initTestSuiteUI === 'function') {
+            initTestSuiteUI();
+        }
     }
 }
 
@@ -104,7 +117,11 @@ function handleStartSimulation() {
     }
     
     currentSimulation = result.simulation;
-    
+    beginSimulationDisplay();
+}
+
+// Show a freshly started simulation (or algorithm playback) in the panel and on the canvas
+function beginSimulationDisplay() {
     // Set initial speed from slider
     var speedSlider = document.getElementById('simSpeed');
     if (speedSlider) {
@@ -119,6 +136,7 @@ function handleStartSimulation() {
     
     // Update display
     updateStatusDisplay();
+    updateTimeline();
     draw();
     
     // Check if already complete (empty string case)
@@ -141,6 +159,7 @@ function handleStepSimulation() {
     
     // Update display
     updateStatusDisplay();
+    updateTimeline();
     draw();
     
     // Check if complete
@@ -150,6 +169,37 @@ function handleStepSimulation() {
     }
 }
 
+// Handle step back button click
+function handleStepBack() {
+    if (!currentSimulation || currentSimulation.currentPosition === 0) {
+        return;
+    }
+    handleSeekSimulation(currentSimulation.currentPosition - 1);
+}
+
+// Jump to the configuration after the given number of steps (timeline slider and shortcuts)
+function handleSeekSimulation(step) {
+    if (!currentSimulation) {
+        return;
+    }
+    
+    stopAutoPlay();
+    seekSimulation(currentSimulation, nodes, step);
+    
+    updateAnimationFromSimulation(currentSimulation, nodes);
+    updateStatusDisplay();
+    updateTimeline();
+    draw();
+    
+    if (currentSimulation.isComplete) {
+        showFinalResult();
+    } else {
+        // Moving back from the end makes the run resumable again
+        hideResultDisplay();
+        updateControlStates(true, false);
+    }
+}
+
 // Handle play/pause toggle
 function handlePlayPause() {
     if (!currentSimulation) {
@@ -199,6 +249,7 @@ function startAutoPlay() {
         
         // Update display and draw once per tick
         updateStatusDisplay();
+        updateTimeline();
         draw();
         
         if (currentSimulation.isComplete) {
@@ -229,10 +280,22 @@ function handleResetSimulation() {
     clearAnimationState();
     updateControlStates(false, false);
     updateStatusDisplay();
+    updateTimeline();
     hideResultDisplay();
     draw();
 }
 
+// Show or hide the Apply button of algorithm playbacks, enabled once the playback is finished
+function updatePlaybackApplyButton() {
+    var applyBtn = document.getElementById('simApply');
+    if (!applyBtn) {
+        return;
+    }
+    var playback = currentSimulation && currentSimulation.machineType === 'playback' ? currentSimulation : null;
+    applyBtn.style.display = playback && playback.keepLinks ? 'inline-block' : 'none';
+    applyBtn.disabled = !(playback && playback.isComplete);
+}
+
 // Update simulation speed from slider
 function updateSimulationSpeed(value) {
     // Logarithmic scale: 0 -> 2000ms (slow), 100 -> 5ms (fast)
@@ -270,6 +333,8 @@ function updateSimulationSpeed(value) {
 // Update button states based on simulation state
 function updateControlStates(started, playing) {
     var stepBtn = document.getElementById('simStep');
+    var stepBackBtn = document.getElementById('simStepBack');
+    var timeline = document.getElementById('simTimeline');
     var playPauseBtn = document.getElementById('simPlayPause');
     var resetBtn = document.getElementById('simReset');
     var startBtn = document.getElementById('simStart');
@@ -277,12 +342,16 @@ function updateControlStates(started, playing) {
     
     if (started) {
         if (stepBtn) stepBtn.disabled = false;
+        if (stepBackBtn) stepBackBtn.disabled = false;
+        if (timeline) timeline.disabled = false;
         if (playPauseBtn) playPauseBtn.disabled = false;
         if (resetBtn) resetBtn.disabled = false;
         if (startBtn) startBtn.disabled = true;
         if (inputField) inputField.disabled = true;
     } else {
         if (stepBtn) stepBtn.disabled = true;
+        if (stepBackBtn) stepBackBtn.disabled = true;
+        if (timeline) timeline.disabled = true;
         if (playPauseBtn) playPauseBtn.disabled = true;
         if (resetBtn) resetBtn.disabled = true;
         if (startBtn) startBtn.disabled = false;
@@ -304,12 +373,33 @@ function updateStatusDisplay() {
     var stateDisplay = document.getElementById('simCurrentState');
     var progressDisplay = document.getElementById('simProgress');
     var pathsDisplay = document.getElementById('simPaths');
+    var outputDisplay = document.getElementById('simOutput');
+    
+    // Keep the computation tree and the playback narration in step with the status line
+    if (typeof updateComputationTreePanel === 'function') {
+        updateComputationTreePanel();
+    }
+    if (typeof updateNarrationLog === 'function') {
+        updateNarrationLog();
+        updatePlaybackApplyButton();
+    }
     
     if (!currentSimulation) {
         if (charDisplay) charDisplay.textContent = 'Current: -';
         if (stateDisplay) stateDisplay.textContent = 'State: -';
         if (progressDisplay) progressDisplay.textContent = 'Position: 0/0';
         if (pathsDisplay) pathsDisplay.textContent = '';
+        if (outputDisplay) outputDisplay.style.display = 'none';
+        return;
+    }
+    
+    // Algorithm playbacks have no input or states to report
+    if (currentSimulation.machineType === 'playback') {
+        if (charDisplay) charDisplay.textContent = currentSimulation.title;
+        if (stateDisplay) stateDisplay.textContent = 'Marked: ' + animationState.highlightedStates.length + ' node(s)';
+        if (progressDisplay) progressDisplay.textContent = 'Position: ' + currentSimulation.currentPosition + '/' + currentSimulation.events.length;
+        if (pathsDisplay) pathsDisplay.style.display = 'none';
+        if (outputDisplay) outputDisplay.style.display = 'none';
         return;
     }
     
@@ -340,6 +430,33 @@ function updateStatusDisplay() {
             pathsDisplay.style.display = 'none';
         }
     }
+    
+    if (outputDisplay) {
+        var outputString = getSimulationOutput(currentSimulation, nodes);
+        if (outputString !== null) {
+            outputDisplay.textContent = 'Output: ' + (outputString || EPSILON);
+            outputDisplay.style.display = 'inline';
+        } else {
+            outputDisplay.style.display = 'none';
+        }
+    }
+}
+
+// Move the timeline slider to the current position
+function updateTimeline() {
+    var timeline = document.getElementById('simTimeline');
+    if (!timeline) {
+        return;
+    }
+    
+    if (!currentSimulation) {
+        timeline.max = 0;
+        timeline.value = 0;
+        return;
+    }
+    
+    timeline.max = getSimulationLength(currentSimulation);
+    timeline.value = currentSimulation.currentPosition;
 }
 
 // Show final result
@@ -370,6 +487,19 @@ function showFinalResult() {
                 resultDiv.textContent += ' - ' + result.errorMessage;
             }
             break;
+        case 'limit':
+            resultDiv.textContent = '⏱ STEP LIMIT REACHED - ' + result.errorMessage;
+            resultDiv.classList.add('sim-error');
+            break;
+        case 'finished':
+            resultDiv.textContent = '✓ FINISHED - ' + currentSimulation.summary;
+            resultDiv.classList.add('accepted');
+            break;
+    }
+    
+    // PDA runs stop following epsilon moves that keep growing the stack
+    if (currentSimulation.epsilonLimitReached) {
+        resultDiv.textContent += ' (some epsilon loops were cut off)';
     }
     
     // Disable step and play buttons
@@ -0,0 +1,99 @@
+const { Node } = require('../helpers/graph');
+
+const {
+  coloringAdjacency,
+  checkBipartite,
+  greedyColoring,
+  dsaturColoring,
+  countColors,
+  exactColoring
+} = require('../../src/algorithms/coloring');
+
+// Neighbour lists of an undirected graph with the given edges
+function adjacency(n, edges) {
+  const neighbours = [];
+  for (let i = 0; i < n; i++) {
+    neighbours.push([]);
+  }
+  edges.forEach(([a, b]) => {
+    neighbours[a].push(b);
+    neighbours[b].push(a);
+  });
+  return neighbours;
+}
+
+function isProper(neighbours, colors) {
+  return neighbours.every((list, i) => list.every((j) => colors[i] !== colors[j]));
+}
+
+function cycle(n) {
+  const edges = [];
+  for (let i = 0; i < n; i++) {
+    edges.push([i, (i + 1) % n]);
+  }
+  return adjacency(n, edges);
+}
+
+describe('Graph coloring', () => {
+  test('reads the graph without directions, duplicates or self-loops', () => {
+    const nodes = [new Node(0, 0), new Node(100, 0)];
+    const links = [new StartLink(nodes[0]), new Link(nodes[0], nodes[1]), new Link(nodes[1], nodes[0]), new SelfLink(nodes[1])];
+    const result = coloringAdjacency(nodes, links);
+    expect(result.neighbours).toEqual([[1], [0]]);
+    expect(result.selfLoops).toEqual([1]);
+  });
+
+  test('splits a bipartite graph into two sides', () => {
+    const result = checkBipartite(cycle(6));
+    expect(result.bipartite).toBe(true);
+    expect(result.side).toEqual([0, 1, 0, 1, 0, 1]);
+  });
+
+  test('finds an odd cycle in a graph that is not bipartite', () => {
+    // A square 0-1-2-3 with a triangle 2-3-4 hanging off it
+    const neighbours = adjacency(5, [[0, 1], [1, 2], [2, 3], [3, 0], [2, 4], [3, 4]]);
+    const result = checkBipartite(neighbours);
+    expect(result.bipartite).toBe(false);
+    expect(result.cycle.length % 2).toBe(1);
+    result.cycle.forEach((node, k) => {
+      expect(neighbours[node]).toContain(result.cycle[(k + 1) % result.cycle.length]);
+    });
+  });
+
+  test('greedy coloring depends on the order, DSatur does better', () => {
+    // The 6-cycle 0-3-4-1-2-5, numbered so that greedy in index order needs a third color
+    const neighbours = adjacency(6, [[0, 3], [0, 5], [1, 2], [1, 4], [2, 5], [3, 4]]);
+    const greedy = greedyColoring(neighbours, [0, 1, 2, 3, 4, 5]);
+    const dsatur = dsaturColoring(neighbours);
+    expect(isProper(neighbours, greedy)).toBe(true);
+    expect(isProper(neighbours, dsatur)).toBe(true);
+    expect(countColors(greedy)).toBe(3);
+    expect(countColors(dsatur)).toBe(2);
+  });
+
+  test('finds the exact chromatic number', () => {
+    expect(exactColoring(cycle(5)).chromaticNumber).toBe(3);
+    expect(exactColoring(cycle(4)).chromaticNumber).toBe(2);
+    expect(exactColoring(adjacency(3, [])).chromaticNumber).toBe(1);
+
+    // The Petersen graph needs 3 colors
+    const petersen = adjacency(10, [
+      [0, 1], [1, 2], [2, 3], [3, 4], [4, 0],
+      [0, 5], [1, 6], [2, 7], [3, 8], [4, 9],
+      [5, 7], [7, 9], [9, 6], [6, 8], [8, 5]
+    ]);
+    const result = exactColoring(petersen);
+    expect(result.chromaticNumber).toBe(3);
+    expect(isProper(petersen, result.colors)).toBe(true);
+  });
+
+  test('colors a complete graph with one color per node', () => {
+    const edges = [];
+    for (let i = 0; i < 5; i++) {
+      for (let j = i + 1; j < 5; j++) {
+        edges.push([i, j]);
+      }
+    }
+    expect(exactColoring(adjacency(5, edges)).chromaticNumber).toBe(5);
+  });
+});
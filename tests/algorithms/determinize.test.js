@@ -0,0 +1,84 @@
+const { EPSILON } = require('../../src/simulation/simulator');
+const { automatonClosure } = require('../../src/algorithms/automaton');
+const { determinizeAutomaton, subsetLabel } = require('../../src/algorithms/determinize');
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = EPSILON;
+global.automatonClosure = automatonClosure;
+
+describe('NFA to DFA (subset construction)', () => {
+  // NFA for strings over {a,b} ending in "ab"
+  const endsInAB = {
+    labels: ['q0', 'q1', 'q2'],
+    start: 0,
+    accepting: [false, false, true],
+    alphabet: ['a', 'b'],
+    transitions: [
+      { a: [0, 1], b: [0] },
+      { b: [2] },
+      {}
+    ]
+  };
+
+  test('labels subsets by their source states', () => {
+    expect(subsetLabel([0, 2], ['q0', 'q1', 'q2'])).toBe('{q0,q2}');
+    expect(subsetLabel([], ['q0'])).toBe('{}');
+  });
+
+  test('builds one DFA state per reachable subset', () => {
+    const result = determinizeAutomaton(endsInAB);
+
+    expect(result.success).toBe(true);
+    expect(result.dfa.labels).toEqual(['{q0}', '{q0,q1}', '{q0,q2}']);
+    expect(result.dfa.start).toBe(0);
+    expect(result.dfa.accepting).toEqual([false, false, true]);
+  });
+
+  test('produces exactly one target per symbol', () => {
+    const dfa = determinizeAutomaton(endsInAB).dfa;
+
+    expect(dfa.transitions[0]).toEqual({ a: [1], b: [0] });
+    expect(dfa.transitions[1]).toEqual({ a: [1], b: [2] });
+    expect(dfa.transitions[2]).toEqual({ a: [1], b: [0] });
+  });
+
+  test('adds an empty trap state for missing transitions', () => {
+    const partial = {
+      labels: ['A', 'B'],
+      start: 0,
+      accepting: [false, true],
+      alphabet: ['0', '1'],
+      transitions: [{ '0': [1] }, {}]
+    };
+    const dfa = determinizeAutomaton(partial).dfa;
+
+    expect(dfa.labels).toEqual(['{A}', '{B}', '{}']);
+    expect(dfa.transitions[0]['1']).toEqual([2]);
+    expect(dfa.transitions[2]).toEqual({ '0': [2], '1': [2] });
+  });
+
+  test('follows epsilon closures', () => {
+    // q0 --ε--> q1 --a--> q2, q0 --b--> q0
+    const withEpsilon = {
+      labels: ['q0', 'q1', 'q2'],
+      start: 0,
+      accepting: [false, false, true],
+      alphabet: ['a', 'b'],
+      transitions: [
+        { [EPSILON]: [1], b: [0] },
+        { a: [2] },
+        {}
+      ]
+    };
+    const dfa = determinizeAutomaton(withEpsilon).dfa;
+
+    expect(dfa.labels[0]).toBe('{q0,q1}');
+    expect(dfa.labels[dfa.transitions[0].a[0]]).toBe('{q2}');
+    expect(dfa.transitions[0].b).toEqual([0]);
+  });
+
+  test('fails without a start state', () => {
+    const result = determinizeAutomaton({ ...endsInAB, start: -1 });
+    expect(result.success).toBe(false);
+  });
+});
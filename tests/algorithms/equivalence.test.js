@@ -0,0 +1,97 @@
+const { EPSILON } = require('../../src/simulation/simulator');
+const { automatonClosure } = require('../../src/algorithms/automaton');
+const { checkEquivalence, unionAlphabet } = require('../../src/algorithms/equivalence');
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = EPSILON;
+global.automatonClosure = automatonClosure;
+
+describe('Language Equivalence', () => {
+  // DFA for strings over {a,b} with an even number of a's
+  const evenA = {
+    labels: ['even', 'odd'],
+    start: 0,
+    accepting: [true, false],
+    alphabet: ['a', 'b'],
+    transitions: [
+      { a: [1], b: [0] },
+      { a: [0], b: [1] }
+    ]
+  };
+
+  // Same language with a redundant copy of the even state
+  const evenACopy = {
+    labels: ['e1', 'o', 'e2'],
+    start: 0,
+    accepting: [true, false, true],
+    alphabet: ['a', 'b'],
+    transitions: [
+      { a: [1], b: [2] },
+      { a: [2], b: [1] },
+      { a: [1], b: [0] }
+    ]
+  };
+
+  test('merges alphabets', () => {
+    expect(unionAlphabet(['b', 'a'], ['c', 'a'])).toEqual(['a', 'b', 'c']);
+  });
+
+  test('reports equivalent machines', () => {
+    const result = checkEquivalence(evenA, evenACopy);
+    expect(result.success).toBe(true);
+    expect(result.equivalent).toBe(true);
+  });
+
+  test('finds a shortest counterexample', () => {
+    // Accepts only strings with an even number of b's as well
+    const evenB = {
+      labels: ['even', 'odd'],
+      start: 0,
+      accepting: [true, false],
+      alphabet: ['a', 'b'],
+      transitions: [
+        { a: [0], b: [1] },
+        { a: [1], b: [0] }
+      ]
+    };
+    const result = checkEquivalence(evenA, evenB);
+
+    expect(result.equivalent).toBe(false);
+    expect(result.counterexample).toBe('a');
+    expect(result.acceptedByFirst).toBe(false);
+  });
+
+  test('uses the empty string as a counterexample when start states differ', () => {
+    const result = checkEquivalence(evenA, { ...evenA, accepting: [false, true] });
+    expect(result.counterexample).toBe('');
+    expect(result.acceptedByFirst).toBe(true);
+  });
+
+  test('compares over the union of both alphabets', () => {
+    // Same as evenA but also accepts a trailing c
+    const withC = {
+      ...evenA,
+      alphabet: ['a', 'b', 'c'],
+      transitions: [{ a: [1], b: [0], c: [0] }, { a: [0], b: [1] }]
+    };
+    const result = checkEquivalence(evenA, withC);
+    expect(result.equivalent).toBe(false);
+    expect(result.counterexample).toBe('c');
+  });
+
+  test('handles NFAs with epsilon moves', () => {
+    // ε-NFA: start --ε--> evenA's structure
+    const nfa = {
+      labels: ['s', 'even', 'odd'],
+      start: 0,
+      accepting: [false, true, false],
+      alphabet: ['a', 'b'],
+      transitions: [
+        { [EPSILON]: [1] },
+        { a: [2], b: [1] },
+        { a: [1], b: [2] }
+      ]
+    };
+    expect(checkEquivalence(nfa, evenA).equivalent).toBe(true);
+  });
+});
@@ -0,0 +1,178 @@
+const { link, graph } = require('../helpers/graph');
+
+// Mock globals shared between the concatenated source files
+global.escapeLaTeX = (text) => text.replace(/_/g, '\\_');
+global.buildNeighbourLists = require('../../src/algorithms/traversal').buildNeighbourLists;
+global.compareLabels = require('../../src/algorithms/traversal').compareLabels;
+
+const {
+  findEulerPath,
+  findHamiltonianPath,
+  findHamiltonianWalk,
+  generateWalkLaTeX
+} = require('../../src/algorithms/euler_hamilton');
+
+// Check that a walk follows its links and uses each of them once
+function expectValidWalk(result, nodes, isDirected) {
+  expect(result.links.length).toBe(result.nodes.length - 1);
+  result.links.forEach((l, k) => {
+    const from = nodes[result.nodes[k]];
+    const to = nodes[result.nodes[k + 1]];
+    if (l instanceof SelfLink) {
+      expect(l.node).toBe(from);
+      expect(to).toBe(from);
+    } else if (isDirected) {
+      expect([l.nodeA, l.nodeB]).toEqual([from, to]);
+    } else {
+      expect([l.nodeA, l.nodeB]).toEqual(expect.arrayContaining([from, to]));
+    }
+  });
+  expect(new Set(result.links).size).toBe(result.links.length);
+}
+
+describe('Euler paths', () => {
+  const labels = ['A', 'B', 'C', 'D', 'E'];
+
+  test('finds an Euler circuit when every degree is even', () => {
+    // Two triangles sharing A: A-B-C-A and A-D-E-A
+    const nodes = graph(5);
+    const links = [
+      link(nodes[0], nodes[1]), link(nodes[1], nodes[2]), link(nodes[2], nodes[0]),
+      link(nodes[0], nodes[3]), link(nodes[3], nodes[4]), link(nodes[4], nodes[0])
+    ];
+    const result = findEulerPath(nodes, links, labels, false, -1);
+    expect(result.success).toBe(true);
+    expect(result.circuit).toBe(true);
+    expect(result.nodes).toEqual([0, 1, 2, 0, 3, 4, 0]);
+    expectValidWalk(result, nodes, false);
+  });
+
+  test('starts an Euler path at a node of odd degree', () => {
+    // The triangle A-B-C with a tail C-D
+    const nodes = graph(4);
+    const links = [link(nodes[0], nodes[1]), link(nodes[1], nodes[2]), link(nodes[2], nodes[0]), link(nodes[2], nodes[3])];
+    const result = findEulerPath(nodes, links, labels, false, 0);
+    expect(result.circuit).toBe(false);
+    expect(result.nodes[0]).toBe(2);
+    expect(result.nodes[result.nodes.length - 1]).toBe(3);
+    expect(result.reason).toContain('C and D have odd degree');
+    expectValidWalk(result, nodes, false);
+
+    // Either odd node may start the walk
+    expect(findEulerPath(nodes, links, labels, false, 3).nodes[0]).toBe(3);
+  });
+
+  test('explains the odd degrees of the Königsberg bridges', () => {
+    // Land masses A (island), B, C, D and the seven bridges
+    const nodes = graph(4);
+    const links = [
+      link(nodes[0], nodes[1]), link(nodes[0], nodes[1]),
+      link(nodes[0], nodes[2]), link(nodes[0], nodes[2]),
+      link(nodes[0], nodes[3]), link(nodes[1], nodes[3]), link(nodes[2], nodes[3])
+    ];
+    const result = findEulerPath(nodes, links, labels, false, -1);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('4 nodes have odd degree (A: 5, B: 3, C: 3, D: 3)');
+  });
+
+  test('checks in- and out-degrees in directed graphs', () => {
+    const nodes = graph(3);
+    const path = [link(nodes[0], nodes[1]), link(nodes[1], nodes[2]), link(nodes[2], nodes[1]), link(nodes[1], nodes[0]), link(nodes[0], nodes[2])];
+    const result = findEulerPath(nodes, path, labels, true, -1);
+    expect(result.success).toBe(true);
+    expect(result.circuit).toBe(false);
+    expect(result.nodes[0]).toBe(0);
+    expect(result.nodes[result.nodes.length - 1]).toBe(2);
+    expectValidWalk(result, nodes, true);
+
+    const unbalanced = findEulerPath(nodes, [link(nodes[0], nodes[1]), link(nodes[0], nodes[2])], labels, true, -1);
+    expect(unbalanced.success).toBe(false);
+    expect(unbalanced.error).toContain('A: in 0, out 2');
+  });
+
+  test('uses self-loops and rejects disconnected edges', () => {
+    const nodes = graph(4);
+    const loop = [link(nodes[0], nodes[1]), link(nodes[1], nodes[1]), link(nodes[1], nodes[0])];
+    const result = findEulerPath(nodes, loop, labels, true, -1);
+    expect(result.circuit).toBe(true);
+    expect(result.links.length).toBe(3);
+    expectValidWalk(result, nodes, true);
+
+    const apart = [link(nodes[0], nodes[1]), link(nodes[1], nodes[0]), link(nodes[2], nodes[3]), link(nodes[3], nodes[2])];
+    const disconnected = findEulerPath(nodes, apart, labels, true, -1);
+    expect(disconnected.success).toBe(false);
+    expect(disconnected.error).toContain('not connected');
+  });
+
+  test('exports the walk as an ordered LaTeX list', () => {
+    const nodes = graph(2);
+    const links = [link(nodes[0], nodes[1], 'x_1'), link(nodes[1], nodes[0])];
+    const result = findEulerPath(nodes, links, ['A', 'B'], true, -1);
+    expect(generateWalkLaTeX('Euler circuit', result, ['A', 'B'], true)).toBe(
+      '% Euler circuit from $A$\n' +
+      '\\begin{enumerate}\n' +
+      '    \\item $A \\to B$ (edge $x\\_1$)\n' +
+      '    \\item $B \\to A$\n' +
+      '\\end{enumerate}\n'
+    );
+  });
+});
+
+describe('Hamiltonian paths', () => {
+  const labels = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+  test('finds a Hamiltonian cycle', () => {
+    // A square A-B-C-D with the diagonal A-C
+    const nodes = graph(4);
+    const links = [link(nodes[0], nodes[1]), link(nodes[1], nodes[2]), link(nodes[2], nodes[3]), link(nodes[3], nodes[0]), link(nodes[0], nodes[2])];
+    const result = findHamiltonianWalk(nodes, links, labels, false, -1);
+    expect(result.found).toBe(true);
+    expect(result.cycle).toBe(true);
+    expect(result.nodes).toEqual([0, 1, 2, 3, 0]);
+    expectValidWalk(result, nodes, false);
+  });
+
+  test('falls back to a path when there is no cycle', () => {
+    // The path A-B-C has no cycle, and a star with centre B has neither
+    const nodes = graph(3);
+    const links = [link(nodes[0], nodes[1]), link(nodes[1], nodes[2])];
+    const result = findHamiltonianWalk(nodes, links, labels, false, -1);
+    expect(result.found).toBe(true);
+    expect(result.cycle).toBe(false);
+    expect(result.nodes).toEqual([0, 1, 2]);
+
+    expect(findHamiltonianPath(nodes, links, labels, false, false, 1).found).toBe(false);
+
+    const star = graph(4);
+    const spokes = [link(star[1], star[0]), link(star[1], star[2]), link(star[1], star[3])];
+    expect(findHamiltonianWalk(star, spokes, labels, false, -1).found).toBe(false);
+  });
+
+  test('compares numbers in labels by value when choosing a start', () => {
+    // C and D have odd degree, and q2 comes before q10
+    const nodes = graph(4);
+    const links = [link(nodes[0], nodes[1]), link(nodes[1], nodes[2]), link(nodes[2], nodes[0]), link(nodes[2], nodes[3])];
+    expect(findEulerPath(nodes, links, ['a', 'b', 'q10', 'q2'], false, -1).nodes[0]).toBe(3);
+
+    // Only the two ends of a path can start a Hamiltonian path
+    const path = graph(3);
+    const pathLinks = [link(path[0], path[1]), link(path[1], path[2])];
+    expect(findHamiltonianWalk(path, pathLinks, ['q10', 'm', 'q2'], false, -1).nodes).toEqual([2, 1, 0]);
+  });
+
+  test('backtracks out of dead ends', () => {
+    // From A, trying B first leads into the dead end B → C, so the path must go A → D → E → B → C
+    const nodes = graph(5);
+    const links = [link(nodes[0], nodes[1]), link(nodes[1], nodes[2]), link(nodes[0], nodes[3]), link(nodes[3], nodes[4]), link(nodes[4], nodes[1])];
+    const result = findHamiltonianPath(nodes, links, labels, true, false, 0);
+    expect(result.found).toBe(true);
+    expect(result.nodes).toEqual([0, 3, 4, 1, 2]);
+    expectValidWalk(result, nodes, true);
+  });
+
+  test('refuses graphs that are too big', () => {
+    const result = findHamiltonianPath(graph(21), [], labels, false, false, -1);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('limited to 20 nodes');
+  });
+});
@@ -0,0 +1,102 @@
+const { link, graph } = require('../helpers/graph');
+
+// Mock globals shared between the concatenated source files
+global.latexMatrixCell = require('../../src/export_as/adjacency').latexMatrixCell;
+global.parseEdgeWeight = require('../../src/algorithms/mst').parseEdgeWeight;
+global.buildWeightedEdges = require('../../src/algorithms/shortest_path').buildWeightedEdges;
+global.formatDistance = require('../../src/algorithms/shortest_path').formatDistance;
+
+const {
+  buildDistanceMatrix,
+  floydWarshall,
+  warshallClosure,
+  generateMatrixSequenceLaTeX,
+  formatDistanceCell
+} = require('../../src/algorithms/floyd_warshall');
+
+describe('Floyd-Warshall', () => {
+  test('builds the weighted distance matrix', () => {
+    const nodes = graph(3);
+    const links = [new StartLink(nodes[0]), link(nodes[0], nodes[1], '4'), link(nodes[0], nodes[1], '2'), link(nodes[1], nodes[2], '1')];
+    expect(buildDistanceMatrix(nodes, links, true).matrix).toEqual([
+      [0, 2, Infinity],
+      [Infinity, 0, 1],
+      [Infinity, Infinity, 0]
+    ]);
+    expect(buildDistanceMatrix(nodes, links, false).matrix).toEqual([
+      [0, 2, Infinity],
+      [2, 0, 1],
+      [Infinity, 1, 0]
+    ]);
+    expect(buildDistanceMatrix(nodes, [link(nodes[0], nodes[1], 'x')], true).success).toBe(false);
+  });
+
+  test('keeps every intermediate matrix and marks the changed cells', () => {
+    // a → b (3), b → c (1), a → c (5), c → a (2)
+    const result = floydWarshall([
+      [0, 3, 5],
+      [Infinity, 0, 1],
+      [2, Infinity, 0]
+    ]);
+    expect(result.matrices.length).toBe(4);
+    expect(result.matrices[1]).toEqual([
+      [0, 3, 5],
+      [Infinity, 0, 1],
+      [2, 5, 0]
+    ]);
+    expect(result.changed[1][2][1]).toBe(true);
+    expect(result.matrices[3]).toEqual([
+      [0, 3, 4],
+      [3, 0, 1],
+      [2, 5, 0]
+    ]);
+    expect(result.changed[2][0][2]).toBe(true);
+    expect(result.changed[3][1][0]).toBe(true);
+    expect(result.changed[3][0][1]).toBe(false);
+    expect(result.negativeCycleNodes).toEqual([]);
+  });
+
+  test('finds nodes on negative cycles', () => {
+    const result = floydWarshall([
+      [0, 1, Infinity],
+      [-3, 0, Infinity],
+      [Infinity, 1, 0]
+    ]);
+    expect(result.negativeCycleNodes).toEqual([0, 1]);
+  });
+
+  test('exports each round as a LaTeX table', () => {
+    const result = floydWarshall([
+      [0, 1],
+      [Infinity, 0]
+    ]);
+    const latex = generateMatrixSequenceLaTeX('Floyd-Warshall', 'D', result, ['a', 'b_1'], formatDistanceCell);
+    expect(latex).toContain('$D^{(0)}$ & $a$ & $b_1$ \\\\\n\\hline\n$a$ & $0$ & $1$ \\\\\n$b_1$ & $\\infty$ & $0$ \\\\\n');
+    expect(latex).toContain('% D(2): paths may also pass through $b_1$\n');
+    expect(latex.match(/\\begin\{tabular\}/g).length).toBe(3);
+  });
+});
+
+describe('Warshall transitive closure', () => {
+  test('adds the pairs reachable through intermediate nodes', () => {
+    // a → b → c, with two parallel edges a → b
+    const result = warshallClosure([
+      [0, 2, 0],
+      [0, 0, 1],
+      [0, 0, 0]
+    ]);
+    expect(result.matrices[0]).toEqual([[0, 1, 0], [0, 0, 1], [0, 0, 0]]);
+    expect(result.matrices[3]).toEqual([[0, 1, 1], [0, 0, 1], [0, 0, 0]]);
+    expect(result.changed[2][0][2]).toBe(true);
+  });
+
+  test('highlights the cells changed in each round', () => {
+    const result = warshallClosure([
+      [0, 1],
+      [1, 0]
+    ]);
+    const latex = generateMatrixSequenceLaTeX('Warshall', 'R', result, ['a', 'b'], String);
+    expect(latex).toContain('$b$ & $1$ & \\cellcolor{yellow!40}$1$ \\\\\n');
+    expect(result.matrices[2]).toEqual([[1, 1], [1, 1]]);
+  });
+});
@@ -0,0 +1,116 @@
+const { EPSILON, isEpsilonSymbol } = require('../../src/simulation/simulator');
+const { automatonClosure } = require('../../src/algorithms/automaton');
+const { checkEquivalence } = require('../../src/algorithms/equivalence');
+const { regexToNFA } = require('../../src/algorithms/regex_to_nfa');
+const {
+  regexUnion,
+  regexConcat,
+  regexStar,
+  regexToString,
+  eliminateStates
+} = require('../../src/algorithms/fsm_to_regex');
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = EPSILON;
+global.isEpsilonSymbol = isEpsilonSymbol;
+global.automatonClosure = automatonClosure;
+
+const a = { type: 'symbol', symbol: 'a' };
+const b = { type: 'symbol', symbol: 'b' };
+const empty = { type: 'empty' };
+const epsilon = { type: 'epsilon' };
+
+describe('FSM to Regex (state elimination)', () => {
+  test('simplifies while building', () => {
+    expect(regexUnion(empty, a)).toBe(a);
+    expect(regexUnion(a, a)).toBe(a);
+    expect(regexConcat(epsilon, b)).toBe(b);
+    expect(regexConcat(a, empty)).toEqual(empty);
+    expect(regexStar(epsilon)).toEqual(epsilon);
+    expect(regexToString(regexUnion(epsilon, regexStar(a)))).toBe('a*');
+  });
+
+  test('prints with the minimum parentheses', () => {
+    const expr = regexConcat(regexStar(regexUnion(a, b)), a);
+    expect(regexToString(expr)).toBe('(a|b)*a');
+  });
+
+  test('records one step per eliminated state', () => {
+    const dfa = {
+      labels: ['q0', 'q1'],
+      start: 0,
+      accepting: [false, true],
+      alphabet: ['a'],
+      transitions: [{ a: [1] }, { a: [1] }]
+    };
+    const result = eliminateStates(dfa);
+
+    expect(result.success).toBe(true);
+    expect(result.steps.length).toBe(3);
+    expect(regexToString(result.regex)).toBe('aa*');
+  });
+
+  test('produces an equivalent regex for a DFA', () => {
+    // Strings over {a,b} with an even number of a's
+    const evenA = {
+      labels: ['even', 'odd'],
+      start: 0,
+      accepting: [true, false],
+      alphabet: ['a', 'b'],
+      transitions: [
+        { a: [1], b: [0] },
+        { a: [0], b: [1] }
+      ]
+    };
+    const regex = regexToString(eliminateStates(evenA).regex);
+    expect(checkEquivalence(evenA, regexToNFA(regex)).equivalent).toBe(true);
+  });
+
+  test('round-trips through Regex to NFA', () => {
+    const nfa = regexToNFA('(a|b)*abb|ba?');
+    const regex = regexToString(eliminateStates(nfa).regex);
+    expect(checkEquivalence(nfa, regexToNFA(regex)).equivalent).toBe(true);
+  });
+
+  test('gives the empty language without accept states', () => {
+    const noAccept = {
+      labels: ['q0'],
+      start: 0,
+      accepting: [false],
+      alphabet: ['a'],
+      transitions: [{ a: [0] }]
+    };
+    expect(eliminateStates(noAccept).regex.type).toBe('empty');
+  });
+
+  test('prints the empty language so Regex to NFA reads it back', () => {
+    const noAccept = {
+      labels: ['q0'],
+      start: 0,
+      accepting: [false],
+      alphabet: ['a'],
+      transitions: [{ a: [0] }]
+    };
+    const regex = regexToString(eliminateStates(noAccept).regex);
+    expect(regex).toBe('∅');
+    expect(checkEquivalence(noAccept, regexToNFA(regex)).equivalent).toBe(true);
+  });
+
+  test('round-trips multi-character symbols and operator characters', () => {
+    // ab, then any number of |, then one of *, \, } or {x}
+    const dfa = {
+      labels: ['q0', 'q1', 'q2'],
+      start: 0,
+      accepting: [false, false, true],
+      alphabet: ['ab', '|', '*', '\\', '}', '{x}'],
+      transitions: [
+        { ab: [1] },
+        { '|': [1], '*': [2], '\\': [2], '}': [2], '{x}': [2] },
+        {}
+      ]
+    };
+    const regex = regexToString(eliminateStates(dfa).regex);
+    expect(regex).toBe('{ab}\\|*(\\*|\\\\|\\}|{{x\\}})');
+    expect(checkEquivalence(dfa, regexToNFA(regex)).equivalent).toBe(true);
+  });
+});
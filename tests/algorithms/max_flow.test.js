@@ -0,0 +1,75 @@
+const { link, graph } = require('../helpers/graph');
+
+// Mock globals shared between the concatenated source files
+global.parseEdgeWeight = require('../../src/algorithms/mst').parseEdgeWeight;
+
+const { parseCapacity, computeMaxFlow } = require('../../src/algorithms/max_flow');
+
+describe('Maximum flow', () => {
+  test('reads capacities, ignoring a flow prefix', () => {
+    expect(parseCapacity('5').weight).toBe(5);
+    expect(parseCapacity('2/5').weight).toBe(5);
+    expect(parseCapacity('-1').valid).toBe(false);
+    expect(parseCapacity('').valid).toBe(false);
+  });
+
+  test('finds the maximum flow and a minimum cut', () => {
+    // s → a (3), s → b (2), a → b (1), a → t (2), b → t (3)
+    const nodes = graph(4);
+    const links = [
+      link(nodes[0], nodes[1], '3'),
+      link(nodes[0], nodes[2], '2'),
+      link(nodes[1], nodes[2], '1'),
+      link(nodes[1], nodes[3], '2'),
+      link(nodes[2], nodes[3], '3')
+    ];
+    const result = computeMaxFlow(nodes, links, 0, 3);
+
+    expect(result.value).toBe(5);
+    expect(result.edges.map((edge) => edge.flow)).toEqual([3, 2, 1, 2, 3]);
+    // Shortest augmenting paths come first
+    expect(result.paths.map((path) => path.nodes.length)).toEqual([3, 3, 4]);
+
+    const cutCapacity = result.cutEdges.reduce((sum, edge) => sum + edge.capacity, 0);
+    expect(cutCapacity).toBe(5);
+    expect(result.sourceSide[0]).toBe(true);
+    expect(result.sourceSide[3]).toBe(false);
+  });
+
+  test('pushes flow back along an edge when needed', () => {
+    // The shortest path s → x → y → t takes y → t, which s → u → y needs; the second path undoes x → y
+    const nodes = graph(7);
+    const [s, x, y, t, u, v, w] = nodes;
+    const links = [
+      link(s, x, '1'), link(x, y, '1'), link(y, t, '1'),
+      link(s, u, '1'), link(u, y, '1'), link(x, v, '1'), link(v, w, '1'), link(w, t, '1')
+    ];
+    const result = computeMaxFlow(nodes, links, 0, 3);
+    expect(result.value).toBe(2);
+    expect(result.paths[1].steps.some((step) => !step.forward)).toBe(true);
+    expect(result.edges[1].flow).toBe(0);
+  });
+
+  test('re-running on "flow/capacity" labels gives the same flow', () => {
+    const nodes = graph(3);
+    const links = [link(nodes[0], nodes[1], '4/7'), link(nodes[1], nodes[2], '4/4'), link(nodes[2], nodes[2], '1')];
+    const result = computeMaxFlow(nodes, links, 0, 2);
+    expect(result.value).toBe(4);
+    expect(result.cutEdges.map((edge) => edge.link)).toEqual([links[1]]);
+    expect(result.warnings.length).toBe(1);
+  });
+
+  test('reports errors', () => {
+    const nodes = graph(2);
+    expect(computeMaxFlow(nodes, [link(nodes[0], nodes[1], 'x')], 0, 1).success).toBe(false);
+    expect(computeMaxFlow(nodes, [link(nodes[0], nodes[1], '1')], 0, 0).success).toBe(false);
+    expect(computeMaxFlow(nodes, [link(nodes[0], nodes[1], 'Infinity')], 0, 1).success).toBe(false);
+  });
+
+  test('a sink that cannot be reached gets no flow', () => {
+    const nodes = graph(3);
+    const result = computeMaxFlow(nodes, [link(nodes[0], nodes[1], '2')], 0, 2);
+    expect(result.value).toBe(0);
+    expect(result.cutEdges).toEqual([]);
+  });
+});
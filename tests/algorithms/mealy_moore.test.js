@@ -0,0 +1,121 @@
+const { Node, link } = require('../helpers/graph');
+
+const simulator = require('../../src/simulation/simulator');
+const transducer = require('../../src/simulation/transducer');
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = simulator.EPSILON;
+global.isEpsilonSymbol = simulator.isEpsilonSymbol;
+global.findStartState = simulator.findStartState;
+global.parseTransitionLabel = simulator.parseTransitionLabel;
+global.parseMealyLabel = transducer.parseMealyLabel;
+global.parseMooreNodeText = transducer.parseMooreNodeText;
+
+const { transducerFromCanvas, mealyToMoore, mooreToMealy } = require('../../src/algorithms/mealy_moore');
+
+// Run a Mealy machine (abstract form from transducerFromCanvas) on a word
+function runMealy(machine, word) {
+  let state = machine.start;
+  let output = '';
+  for (const symbol of word) {
+    const edge = machine.edges.find(e => e.from === state && e.input === symbol);
+    output += edge.output;
+    state = edge.to;
+  }
+  return output;
+}
+
+// Run a Moore machine (abstract automaton with "name/output" labels) on a word
+function runMoore(moore, word) {
+  let state = moore.start;
+  let output = transducer.parseMooreNodeText(moore.labels[state]).output;
+  for (const symbol of word) {
+    state = moore.transitions[state][symbol][0];
+    output += transducer.parseMooreNodeText(moore.labels[state]).output;
+  }
+  return output;
+}
+
+describe('Mealy/Moore conversion', () => {
+  // Writes 1 when the symbol read equals the one before it, 0 otherwise
+  let mealy;
+
+  beforeEach(() => {
+    const s = new Node(0, 0);
+    const a = new Node(100, 0);
+    const b = new Node(200, 0);
+    s.text = 's';
+    a.text = 'A';
+    b.text = 'B';
+    const nodes = [s, a, b];
+    const links = [
+      new StartLink(s),
+      link(s, a, 'a/0'), link(s, b, 'b/0'),
+      link(a, a, 'a/1'), link(a, b, 'b/0'),
+      link(b, b, 'b/1'), link(b, a, 'a/0')
+    ];
+    mealy = transducerFromCanvas(nodes, links, 'mealy');
+  });
+
+  test('reads a Mealy machine from the canvas', () => {
+    expect(mealy.labels).toEqual(['s', 'A', 'B']);
+    expect(mealy.start).toBe(0);
+    expect(mealy.edges).toContainEqual({ from: 1, to: 1, input: 'a', output: '1' });
+    expect(runMealy(mealy, 'aabba')).toBe('01010');
+  });
+
+  test('splits states by the output written on their incoming arrows', () => {
+    const moore = mealyToMoore(mealy);
+    expect(moore.labels).toEqual(['s', '(A,0)/0', '(A,1)/1', '(B,0)/0', '(B,1)/1']);
+    expect(moore.alphabet).toEqual(['a', 'b']);
+    expect(moore.start).toBe(0);
+
+    // The start copy writes nothing, so both machines write the same output
+    for (const word of ['', 'a', 'ab', 'aabba', 'bbbab']) {
+      expect(runMoore(moore, word)).toBe(runMealy(mealy, word));
+    }
+  });
+
+  test('moves state outputs onto incoming arrows', () => {
+    const even = new Node(0, 0);
+    const odd = new Node(100, 0);
+    even.text = 'e/0';
+    odd.text = 'o/1';
+    const nodes = [even, odd];
+    const links = [new StartLink(even), link(even, odd, 'a'), link(odd, even, 'a'), link(even, even, 'b'), link(odd, odd, 'b')];
+
+    const moore = transducerFromCanvas(nodes, links, 'moore');
+    expect(moore.labels).toEqual(['e', 'o']);
+    expect(moore.outputs).toEqual(['0', '1']);
+
+    const result = mooreToMealy(moore);
+    expect(result.labels).toEqual(['e', 'o']);
+    expect(result.transitions).toEqual([
+      { 'a/1': [1], 'b/0': [0] },
+      { 'a/0': [0], 'b/1': [1] }
+    ]);
+  });
+
+  test('converting back and forth keeps the output', () => {
+    const moore = mealyToMoore(mealy);
+    const outputs = moore.labels.map(label => transducer.parseMooreNodeText(label).output);
+    const edges = [];
+    moore.transitions.forEach((row, from) => {
+      for (const symbol in row) {
+        edges.push({ from, to: row[symbol][0], input: symbol, output: outputs[row[symbol][0]] });
+      }
+    });
+    const back = mooreToMealy({ labels: moore.labels, outputs, start: moore.start, accepting: moore.accepting, edges });
+    const backEdges = [];
+    back.transitions.forEach((row, from) => {
+      for (const symbol in row) {
+        const [input, output] = symbol.split('/');
+        backEdges.push({ from, to: row[symbol][0], input, output });
+      }
+    });
+    const roundTrip = { start: back.start, edges: backEdges };
+    for (const word of ['abab', 'aabb', 'bba']) {
+      expect(runMealy(roundTrip, word)).toBe(runMealy(mealy, word));
+    }
+  });
+});
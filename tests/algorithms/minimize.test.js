@@ -0,0 +1,94 @@
+const { EPSILON } = require('../../src/simulation/simulator');
+const { isDeterministic, trapStateLabel, freshTrapLabel } = require('../../src/algorithms/automaton');
+const { subsetLabel } = require('../../src/algorithms/determinize');
+const { minimizeAutomaton, findReachableStates } = require('../../src/algorithms/minimize');
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = EPSILON;
+global.isDeterministic = isDeterministic;
+global.trapStateLabel = trapStateLabel;
+global.freshTrapLabel = freshTrapLabel;
+global.subsetLabel = subsetLabel;
+
+describe('DFA Minimization', () => {
+  // Textbook DFA for "ends in 1" with redundant states B ~ D and an unreachable state E
+  const redundant = {
+    labels: ['A', 'B', 'C', 'D', 'E'],
+    start: 0,
+    accepting: [false, true, false, true, false],
+    alphabet: ['0', '1'],
+    transitions: [
+      { '0': [2], '1': [1] },
+      { '0': [2], '1': [3] },
+      { '0': [0], '1': [3] },
+      { '0': [0], '1': [1] },
+      { '0': [4], '1': [4] }
+    ]
+  };
+
+  test('finds reachable states from the start', () => {
+    expect(findReachableStates(redundant)).toEqual([0, 1, 2, 3]);
+  });
+
+  test('removes unreachable states and merges equivalent ones', () => {
+    const result = minimizeAutomaton(redundant);
+
+    expect(result.success).toBe(true);
+    expect(result.unreachable).toEqual(['E']);
+    expect(result.dfa.labels).toEqual(['{A,C}', '{B,D}']);
+    expect(result.dfa.accepting).toEqual([false, true]);
+    expect(result.dfa.transitions).toEqual([
+      { '0': [0], '1': [1] },
+      { '0': [0], '1': [1] }
+    ]);
+  });
+
+  test('records the round each pair was distinguished in', () => {
+    const result = minimizeAutomaton(redundant);
+
+    // Round 0 separates accepting from non-accepting states
+    expect(result.marked[1][0]).toBe(0);
+    expect(result.marked[2][0]).toBe(-1);
+    expect(result.rounds[0].partition).toEqual([[0, 2], [1, 3]]);
+  });
+
+  test('keeps the start state when it is not the first node', () => {
+    const result = minimizeAutomaton({ ...redundant, start: 2 });
+    expect(result.dfa.labels[result.dfa.start]).toBe('{A,C}');
+  });
+
+  test('completes partial DFAs with a trap state and drops it afterwards', () => {
+    const partial = {
+      labels: ['p', 'q', 'r'],
+      start: 0,
+      accepting: [false, true, true],
+      alphabet: ['a'],
+      transitions: [{ a: [1] }, { a: [2] }, {}]
+    };
+    const result = minimizeAutomaton(partial);
+
+    expect(result.addedTrap).toBe(true);
+    expect(result.dfa.labels).toEqual(['p', 'q', 'r']);
+    expect(result.dfa.transitions[2]).toEqual({});
+  });
+
+  test('names the added trap state apart from a state called trap', () => {
+    const partial = {
+      labels: ['p', 'trap'],
+      start: 0,
+      accepting: [true, false],
+      alphabet: ['a', 'b'],
+      transitions: [{ a: [1] }, { a: [1], b: [1] }]
+    };
+    const result = minimizeAutomaton(partial);
+
+    expect(result.labels).toEqual(['p', 'trap', "trap'"]);
+    expect(result.dfa.labels).toEqual(['p', 'trap']);
+    expect(result.dfa.transitions[0]).toEqual({ a: [1], b: [1] });
+  });
+
+  test('rejects nondeterministic machines', () => {
+    const nfa = { ...redundant, transitions: [{ '0': [1, 2] }, {}, {}, {}, {}] };
+    expect(minimizeAutomaton(nfa).success).toBe(false);
+  });
+});
@@ -0,0 +1,62 @@
+const { Node, link, graph } = require('../helpers/graph');
+
+const { computeMST, computePrimMST, calculateMSTWeight } = require('../../src/algorithms/mst');
+
+describe('Minimum spanning trees', () => {
+  // A-B (1), B-C (2), A-C (3), C-D (4), self-loop at D
+  let nodes, links;
+  beforeEach(() => {
+    nodes = graph(4);
+    links = [
+      new StartLink(nodes[0]),
+      link(nodes[0], nodes[1], '1'),
+      link(nodes[1], nodes[2], '2'),
+      link(nodes[0], nodes[2], '3'),
+      link(nodes[2], nodes[3], '4'),
+      link(nodes[3], nodes[3], '9')
+    ];
+  });
+
+  test('Kruskal adds edges in order of weight', () => {
+    const result = computeMST(nodes, links);
+    expect(result.mstLinks).toEqual([links[1], links[2], links[4]]);
+    expect(result.addedEdges.map((edge) => edge.weight)).toEqual([1, 2, 4]);
+    expect(result.removedLinks).toEqual([links[3], links[5]]);
+    expect(result.warnings.length).toBe(1);
+  });
+
+  test('Prim grows the tree from the start node', () => {
+    const result = computePrimMST(nodes, links, 3);
+    expect(result.mstLinks).toEqual([links[4], links[2], links[1]]);
+    expect(result.removedLinks).toEqual([links[3], links[5]]);
+    expect(calculateMSTWeight(result.mstLinks)).toBe(7);
+  });
+
+  test('both algorithms find a tree of the same weight', () => {
+    links[3].text = '1.5';
+    expect(calculateMSTWeight(computeMST(nodes, links).mstLinks)).toBe(6.5);
+    expect(calculateMSTWeight(computePrimMST(nodes, links, 2).mstLinks)).toBe(6.5);
+  });
+
+  test('disconnected graphs fail unless a forest is allowed', () => {
+    nodes.push(new Node(500, 0), new Node(600, 0));
+    links.push(link(nodes[4], nodes[5], '7'));
+
+    const kruskal = computeMST(nodes, links);
+    expect(kruskal.success).toBe(false);
+    expect(kruskal.disconnected).toBe(true);
+    expect(computePrimMST(nodes, links, 0).disconnected).toBe(true);
+
+    const kruskalForest = computeMST(nodes, links, true);
+    const primForest = computePrimMST(nodes, links, 0, true);
+    expect(kruskalForest.mstLinks.length).toBe(4);
+    expect(primForest.mstLinks).toEqual([links[1], links[2], links[4], links[6]]);
+    expect(primForest.warnings).toContain('Graph is not connected: computing a minimum spanning forest (one tree per component)');
+  });
+
+  test('rejects edges without a numeric weight', () => {
+    links[2].text = 'x';
+    expect(computeMST(nodes, links).success).toBe(false);
+    expect(computePrimMST(nodes, links, 0).success).toBe(false);
+  });
+});
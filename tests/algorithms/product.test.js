@@ -0,0 +1,180 @@
+const { EPSILON } = require('../../src/simulation/simulator');
+const { automatonClosure, isDeterministic, trapStateLabel, freshTrapLabel } = require('../../src/algorithms/automaton');
+const { subsetLabel, determinizeAutomaton } = require('../../src/algorithms/determinize');
+const { unionAlphabet, checkEquivalence } = require('../../src/algorithms/equivalence');
+const { completeAutomaton, productAutomaton, complementAutomaton } = require('../../src/algorithms/product');
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = EPSILON;
+global.automatonClosure = automatonClosure;
+global.isDeterministic = isDeterministic;
+global.trapStateLabel = trapStateLabel;
+global.freshTrapLabel = freshTrapLabel;
+global.subsetLabel = subsetLabel;
+global.determinizeAutomaton = determinizeAutomaton;
+global.unionAlphabet = unionAlphabet;
+
+// Check a word against a complete DFA
+function accepts(dfa, word) {
+  let state = dfa.start;
+  for (const symbol of word) {
+    state = dfa.transitions[state][symbol][0];
+  }
+  return dfa.accepting[state];
+}
+
+describe('Product Constructions', () => {
+  // Even number of a's
+  const evenA = {
+    labels: ['e', 'o'],
+    start: 0,
+    accepting: [true, false],
+    alphabet: ['a', 'b'],
+    transitions: [
+      { a: [1], b: [0] },
+      { a: [0], b: [1] }
+    ]
+  };
+
+  // Strings ending in b
+  const endsB = {
+    labels: ['p', 'r'],
+    start: 0,
+    accepting: [false, true],
+    alphabet: ['a', 'b'],
+    transitions: [
+      { a: [0], b: [1] },
+      { a: [0], b: [1] }
+    ]
+  };
+
+  const words = ['', 'a', 'b', 'ab', 'ba', 'aab', 'abab', 'bbb', 'aaba'];
+
+  test('names product states as pairs of labels', () => {
+    const result = productAutomaton(evenA, endsB, 'intersection');
+    expect(result.success).toBe(true);
+    expect(result.dfa.labels[0]).toBe('(e,p)');
+    expect(result.dfa.labels).toEqual(expect.arrayContaining(['(e,p)', '(o,p)', '(e,r)', '(o,r)']));
+  });
+
+  test.each([
+    ['intersection', (x, y) => x && y],
+    ['union', (x, y) => x || y],
+    ['difference', (x, y) => x && !y],
+    ['symmetric', (x, y) => x !== y]
+  ])('%s combines the acceptance of both machines', (operation, expected) => {
+    const result = productAutomaton(evenA, endsB, operation);
+    for (const word of words) {
+      const inA = accepts(evenA, word);
+      const inB = accepts(endsB, word);
+      expect(accepts(result.dfa, word)).toBe(expected(inA, inB));
+    }
+  });
+
+  test('completes machines over the union alphabet', () => {
+    // Only accepts the string 'c'
+    const onlyC = {
+      labels: ['s', 't'],
+      start: 0,
+      accepting: [false, true],
+      alphabet: ['c'],
+      transitions: [{ c: [1] }, {}]
+    };
+    const result = productAutomaton(evenA, onlyC, 'union');
+    expect(result.dfa.alphabet).toEqual(['a', 'b', 'c']);
+    expect(result.dfa.labels).toContain('(e,' + trapStateLabel + ')');
+    expect(accepts(result.dfa, 'c')).toBe(true);
+    expect(accepts(result.dfa, 'cc')).toBe(false);
+    expect(accepts(result.dfa, 'aa')).toBe(true);
+  });
+
+  test('determinizes NFAs before building the product', () => {
+    // NFA for strings containing ab
+    const containsAB = {
+      labels: ['q0', 'q1', 'q2'],
+      start: 0,
+      accepting: [false, false, true],
+      alphabet: ['a', 'b'],
+      transitions: [
+        { a: [0, 1], b: [0] },
+        { b: [2] },
+        { a: [2], b: [2] }
+      ]
+    };
+    const result = productAutomaton(containsAB, endsB, 'intersection');
+    expect(result.success).toBe(true);
+    expect(accepts(result.dfa, 'ab')).toBe(true);
+    expect(accepts(result.dfa, 'aba')).toBe(false);
+    expect(accepts(result.dfa, 'bb')).toBe(false);
+  });
+
+  test('rejects unknown operations', () => {
+    const result = productAutomaton(evenA, endsB, 'concat');
+    expect(result.success).toBe(false);
+  });
+
+  test('A minus A is empty', () => {
+    const result = productAutomaton(evenA, evenA, 'difference');
+    expect(result.dfa.accepting.every(a => !a)).toBe(true);
+  });
+});
+
+describe('Complement', () => {
+  test('adds a trap state before flipping acceptance', () => {
+    // Partial DFA accepting only 'a'
+    const onlyA = {
+      labels: ['s', 't'],
+      start: 0,
+      accepting: [false, true],
+      alphabet: ['a'],
+      transitions: [{ a: [1] }, {}]
+    };
+    const completed = completeAutomaton(onlyA, onlyA.alphabet);
+    expect(completed.addedTrap).toBe(true);
+    expect(completed.dfa.labels).toEqual(['s', 't', trapStateLabel]);
+
+    const result = complementAutomaton(onlyA);
+    expect(result.success).toBe(true);
+    expect(result.dfa.accepting).toEqual([true, false, true]);
+    expect(accepts(result.dfa, '')).toBe(true);
+    expect(accepts(result.dfa, 'a')).toBe(false);
+    expect(accepts(result.dfa, 'aa')).toBe(true);
+  });
+
+  test('names the added trap state apart from existing states', () => {
+    const partial = {
+      labels: ['s', 'trap', "trap'"],
+      start: 0,
+      accepting: [false, true, false],
+      alphabet: ['a'],
+      transitions: [{ a: [1] }, {}, { a: [2] }]
+    };
+    const completed = completeAutomaton(partial, partial.alphabet);
+    expect(completed.dfa.labels).toEqual(['s', 'trap', "trap'", "trap''"]);
+    expect(completed.dfa.transitions[1]).toEqual({ a: [3] });
+  });
+
+  test('complement of an NFA matches its language complement', () => {
+    const nfa = {
+      labels: ['q0', 'q1'],
+      start: 0,
+      accepting: [false, true],
+      alphabet: ['a'],
+      transitions: [{ a: [0, 1] }, {}]
+    };
+    const complement = complementAutomaton(nfa);
+    const equal = checkEquivalence(complement.dfa, {
+      labels: ['x'],
+      start: 0,
+      accepting: [true],
+      alphabet: ['a'],
+      transitions: [{}]
+    });
+    expect(equal.equivalent).toBe(true);
+  });
+
+  test('requires a start state', () => {
+    const result = complementAutomaton({ labels: ['q0'], start: -1, accepting: [false], alphabet: [], transitions: [{}] });
+    expect(result.success).toBe(false);
+  });
+});
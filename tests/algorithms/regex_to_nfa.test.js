@@ -0,0 +1,92 @@
+const { EPSILON, isEpsilonSymbol } = require('../../src/simulation/simulator');
+const { automatonClosure } = require('../../src/algorithms/automaton');
+const { parseRegex, regexToNFA } = require('../../src/algorithms/regex_to_nfa');
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = EPSILON;
+global.isEpsilonSymbol = isEpsilonSymbol;
+
+// Run an abstract epsilon-NFA on a string
+function accepts(nfa, input) {
+  let current = automatonClosure(nfa, [nfa.start]);
+  for (const c of input) {
+    const next = [];
+    for (const s of current) {
+      for (const t of nfa.transitions[s][c] || []) {
+        if (!next.includes(t)) next.push(t);
+      }
+    }
+    current = automatonClosure(nfa, next);
+  }
+  return current.some((s) => nfa.accepting[s]);
+}
+
+describe('Regex to NFA (Thompson construction)', () => {
+  test('parses precedence: star binds tighter than concatenation, then union', () => {
+    expect(parseRegex('ab*|c')).toEqual({
+      type: 'union',
+      left: {
+        type: 'concat',
+        left: { type: 'symbol', symbol: 'a' },
+        right: { type: 'star', child: { type: 'symbol', symbol: 'b' } }
+      },
+      right: { type: 'symbol', symbol: 'c' }
+    });
+  });
+
+  test('reads epsilon spellings', () => {
+    expect(parseRegex('ε')).toEqual({ type: 'epsilon' });
+    expect(parseRegex('\\epsilon')).toEqual({ type: 'epsilon' });
+    expect(parseRegex('()')).toEqual({ type: 'epsilon' });
+  });
+
+  test('reports syntax errors', () => {
+    expect(() => parseRegex('(ab')).toThrow('Missing closing parenthesis.');
+    expect(() => parseRegex('*a')).toThrow("Unexpected '*'");
+    expect(() => parseRegex('a)')).toThrow("Unexpected ')'");
+    expect(() => parseRegex('')).toThrow();
+  });
+
+  test('builds a single start and accept state named q0, q1, ...', () => {
+    const nfa = regexToNFA('a');
+    expect(nfa.labels).toEqual(['q0', 'q1']);
+    expect(nfa.start).toBe(0);
+    expect(nfa.accepting).toEqual([false, true]);
+    expect(nfa.alphabet).toEqual(['a']);
+  });
+
+  test('accepts the language of (a|b)*abb', () => {
+    const nfa = regexToNFA('(a|b)*abb');
+    expect(accepts(nfa, 'abb')).toBe(true);
+    expect(accepts(nfa, 'babb')).toBe(true);
+    expect(accepts(nfa, 'ab')).toBe(false);
+    expect(accepts(nfa, 'abba')).toBe(false);
+  });
+
+  test('supports plus and optional', () => {
+    const nfa = regexToNFA('a+b?');
+    expect(accepts(nfa, '')).toBe(false);
+    expect(accepts(nfa, 'a')).toBe(true);
+    expect(accepts(nfa, 'aaab')).toBe(true);
+    expect(accepts(nfa, 'abb')).toBe(false);
+  });
+
+  test('accepts the empty string for a star', () => {
+    expect(accepts(regexToNFA('(ab)*'), '')).toBe(true);
+    expect(accepts(regexToNFA('(ab)*'), 'abab')).toBe(true);
+    expect(accepts(regexToNFA('(ab)*'), 'aba')).toBe(false);
+  });
+
+  test('reads braced symbols, escapes and the empty language', () => {
+    expect(parseRegex('{ab}\\|')).toEqual({
+      type: 'concat',
+      left: { type: 'symbol', symbol: 'ab' },
+      right: { type: 'symbol', symbol: '|' }
+    });
+    expect(parseRegex('{a\\}b}')).toEqual({ type: 'symbol', symbol: 'a}b' });
+    expect(parseRegex('∅')).toEqual({ type: 'empty' });
+    expect(parseRegex('\\emptyset')).toEqual({ type: 'empty' });
+    expect(regexToNFA('∅').accepting).toEqual([false]);
+    expect(() => parseRegex('{ab')).toThrow('Missing closing brace.');
+  });
+});
@@ -0,0 +1,72 @@
+const { Node, link } = require('../helpers/graph');
+
+// Mock globals shared between the concatenated source files
+global.compareLabels = require('../../src/algorithms/traversal').compareLabels;
+
+const {
+  stronglyConnectedComponents,
+  buildCondensation,
+  topologicalSort
+} = require('../../src/algorithms/scc');
+
+// Adjacency matrix with the given edges, as buildAdjacencyMatrix returns it
+function matrix(n, edges) {
+  const m = [];
+  for (let i = 0; i < n; i++) {
+    m.push(new Array(n).fill(0));
+  }
+  edges.forEach(([from, to]) => { m[from][to]++; });
+  return m;
+}
+
+describe('Strongly connected components', () => {
+  // a ⇄ b → c ⇄ d, c → e
+  const edges = [[0, 1], [1, 0], [1, 2], [2, 3], [3, 2], [2, 4]];
+
+  test('finds the components in topological order', () => {
+    expect(stronglyConnectedComponents(matrix(5, edges))).toEqual([[0, 1], [2, 3], [4]]);
+  });
+
+  test('treats every node of a DAG as its own component', () => {
+    expect(stronglyConnectedComponents(matrix(3, [[2, 1], [1, 0]]))).toEqual([[2], [1], [0]]);
+  });
+
+  test('builds the condensation DAG with the labels of the edges between components', () => {
+    const nodes = [0, 1, 2, 3, 4].map((i) => new Node(i * 100, 0));
+    nodes[3].isAcceptState = true;
+    const links = [
+      link(nodes[0], nodes[1], 'a'), link(nodes[1], nodes[0], 'b'), link(nodes[1], nodes[2], 'x'),
+      link(nodes[0], nodes[3], 'y'), link(nodes[2], nodes[3], ''), link(nodes[3], nodes[2], ''),
+      link(nodes[2], nodes[4], ''), link(nodes[4], nodes[4], 'loop')
+    ];
+    const components = [[0, 1], [2, 3], [4]];
+    const condensation = buildCondensation(components, nodes, links, ['p', 'q', 'r', 's', 't'], 1);
+
+    expect(condensation.labels).toEqual(['{p,q}', '{r,s}', 't']);
+    expect(condensation.start).toBe(0);
+    expect(condensation.accepting).toEqual([false, true, false]);
+    expect(condensation.transitions).toEqual([{ 'x, y': [1] }, { '': [2] }, {}]);
+  });
+});
+
+describe('Topological sort', () => {
+  test('orders the nodes, preferring smaller labels', () => {
+    const result = topologicalSort(matrix(4, [[2, 0], [2, 1], [1, 3], [0, 3]]), ['c', 'b', 'a', 'd']);
+    expect(result.order).toEqual([2, 1, 0, 3]);
+  });
+
+  test('compares numbers in labels by value', () => {
+    const result = topologicalSort(matrix(3, [[1, 2]]), ['q10', 'q2', 'q1']);
+    expect(result.order).toEqual([1, 2, 0]);
+  });
+
+  test('reports a cycle', () => {
+    const result = topologicalSort(matrix(4, [[0, 1], [1, 2], [2, 3], [3, 1]]), ['a', 'b', 'c', 'd']);
+    expect(result.order).toBeUndefined();
+    expect(result.cycle).toEqual([1, 2, 3]);
+  });
+
+  test('a self-loop is a cycle', () => {
+    expect(topologicalSort(matrix(2, [[0, 1], [1, 1]]), ['a', 'b']).cycle).toEqual([1]);
+  });
+});
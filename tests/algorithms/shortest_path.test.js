@@ -0,0 +1,92 @@
+const { link, graph } = require('../helpers/graph');
+
+// Mock globals shared between the concatenated source files
+global.parseEdgeWeight = require('../../src/algorithms/mst').parseEdgeWeight;
+global.escapeLaTeX = (text) => text.replace(/_/g, '\\_');
+
+const {
+  buildWeightedEdges,
+  computeShortestPaths,
+  shortestPathTo,
+  formatDistance,
+  generateShortestPathLaTeX
+} = require('../../src/algorithms/shortest_path');
+
+describe('Shortest paths', () => {
+  const labels = ['s', 'a', 'b', 'c'];
+
+  test('reads weights and doubles undirected edges', () => {
+    const nodes = graph(2);
+    const links = [new StartLink(nodes[0]), link(nodes[0], nodes[1], '2.5')];
+    expect(buildWeightedEdges(nodes, links, true).edges.length).toBe(1);
+    expect(buildWeightedEdges(nodes, links, false).edges.map(e => [e.from, e.to])).toEqual([[0, 1], [1, 0]]);
+    links.push(link(nodes[1], nodes[1], 'x'));
+    expect(buildWeightedEdges(nodes, links, true).success).toBe(false);
+  });
+
+  test("uses Dijkstra's algorithm for non-negative weights", () => {
+    const nodes = graph(4);
+    const links = [
+      link(nodes[0], nodes[1], '4'), link(nodes[0], nodes[2], '1'),
+      link(nodes[2], nodes[1], '2'), link(nodes[1], nodes[3], '5')
+    ];
+    const result = computeShortestPaths(nodes, links, 0, true);
+    expect(result.algorithm).toBe('dijkstra');
+    expect(result.dist).toEqual([0, 3, 1, 8]);
+    expect(result.order).toEqual([0, 2, 1, 3]);
+    expect(shortestPathTo(result, 3)).toEqual([0, 2, 1, 3]);
+    expect(result.treeLinks).toEqual([links[2], links[1], links[3]]);
+  });
+
+  test('respects the directed toggle', () => {
+    const nodes = graph(2);
+    const links = [link(nodes[1], nodes[0], '1')];
+    expect(computeShortestPaths(nodes, links, 0, true).dist).toEqual([0, Infinity]);
+    expect(computeShortestPaths(nodes, links, 0, false).dist).toEqual([0, 1]);
+    expect(shortestPathTo(computeShortestPaths(nodes, links, 0, true), 1)).toBe(null);
+  });
+
+  test('switches to Bellman-Ford for negative weights', () => {
+    const nodes = graph(4);
+    const links = [
+      link(nodes[0], nodes[1], '4'), link(nodes[0], nodes[2], '5'),
+      link(nodes[2], nodes[1], '-3'), link(nodes[1], nodes[3], '1')
+    ];
+    const result = computeShortestPaths(nodes, links, 0, true);
+    expect(result.algorithm).toBe('bellman-ford');
+    expect(result.negativeCycle).toBe(null);
+    expect(result.dist).toEqual([0, 2, 5, 3]);
+    expect(shortestPathTo(result, 3)).toEqual([0, 2, 1, 3]);
+  });
+
+  test('reports negative cycles reachable from the source', () => {
+    const nodes = graph(4);
+    const links = [
+      link(nodes[0], nodes[1], '1'), link(nodes[1], nodes[2], '-2'),
+      link(nodes[2], nodes[3], '-1'), link(nodes[3], nodes[1], '2')
+    ];
+    const result = computeShortestPaths(nodes, links, 0, true);
+    expect(result.negativeCycle).toEqual([1, 2, 3]);
+    expect(result.treeLinks).toEqual([]);
+    expect(generateShortestPathLaTeX(result, labels)).toContain('Negative cycle reachable from the source: $a \\to b \\to c \\to a$');
+
+    // An undirected negative edge is a cycle of its own
+    const pair = graph(2);
+    const undirected = computeShortestPaths(pair, [link(pair[0], pair[1], '-1')], 0, false);
+    expect(undirected.warnings.length).toBe(1);
+    expect(undirected.negativeCycle.length).toBe(2);
+  });
+
+  test('exports the distance and predecessor table as LaTeX', () => {
+    const nodes = graph(4);
+    const links = [link(nodes[0], nodes[1], '0.1'), link(nodes[1], nodes[2], '0.2')];
+    const result = computeShortestPaths(nodes, links, 0, true);
+    const latex = generateShortestPathLaTeX(result, labels, 2);
+    expect(latex).toContain("% Shortest paths from $s$ (Dijkstra's algorithm)");
+    expect(latex).toContain('$s$ & 0 & -- \\\\');
+    expect(latex).toContain('$b$ & 0.3 & $a$ \\\\');
+    expect(latex).toContain('$c$ & $\\infty$ & -- \\\\');
+    expect(latex).toContain('Shortest path: $s \\to a \\to b$ with length 0.3.');
+    expect(formatDistance(Infinity)).toBe('∞');
+  });
+});
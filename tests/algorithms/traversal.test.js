@@ -0,0 +1,93 @@
+const { graph } = require('../helpers/graph');
+
+// Mock globals shared between the concatenated source files
+global.escapeLaTeX = (text) => text.replace(/_/g, '\\_');
+
+const {
+  compareLabels,
+  breadthFirstSearch,
+  depthFirstSearch,
+  generateTraversalLaTeX
+} = require('../../src/algorithms/traversal');
+
+function link(a, b) {
+  return a === b ? new SelfLink(a) : new Link(a, b);
+}
+
+describe('Graph traversals', () => {
+  // A → B, A → C, B → D, C → D, D → B, A → D, plus an unreachable E
+  const labels = ['A', 'B', 'C', 'D', 'E'];
+  let nodes, links;
+  beforeEach(() => {
+    nodes = graph(5);
+    links = [
+      new StartLink(nodes[0]),
+      link(nodes[0], nodes[1]),
+      link(nodes[0], nodes[2]),
+      link(nodes[1], nodes[3]),
+      link(nodes[2], nodes[3]),
+      link(nodes[3], nodes[1]),
+      link(nodes[0], nodes[3])
+    ];
+  });
+
+  test('BFS visits level by level in label order', () => {
+    const result = breadthFirstSearch(nodes, links, labels, 0, true);
+    expect(result.order).toEqual([0, 1, 2, 3]);
+    expect(result.level).toEqual([0, 1, 1, 1, -1]);
+    expect(result.treeLinks).toEqual([links[1], links[2], links[6]]);
+  });
+
+  test('compares numbers in labels by value', () => {
+    expect(['q10', 'q2', 'q1', 'p', 'q'].sort(compareLabels)).toEqual(['p', 'q', 'q1', 'q2', 'q10']);
+    expect(compareLabels('q2', 'q2')).toBe(0);
+    const star = graph(3);
+    const spokes = [link(star[0], star[1]), link(star[0], star[2])];
+    expect(breadthFirstSearch(star, spokes, ['s', 'q10', 'q2'], 0, true).order).toEqual([0, 2, 1]);
+  });
+
+  test('BFS follows arrows only forwards in directed mode', () => {
+    expect(breadthFirstSearch(nodes, links, labels, 3, true).order).toEqual([3, 1]);
+    expect(breadthFirstSearch(nodes, links, labels, 3, false).order).toEqual([3, 0, 1, 2]);
+  });
+
+  test('DFS records discovery and finish times', () => {
+    const result = depthFirstSearch(nodes, links, labels, 0, true);
+    expect(result.order).toEqual([0, 1, 3, 2]);
+    expect(result.discovered).toEqual([1, 2, 6, 3, 0]);
+    expect(result.finished).toEqual([8, 5, 7, 4, 0]);
+  });
+
+  test('DFS classifies directed edges', () => {
+    const result = depthFirstSearch(nodes, links, labels, 0, true);
+    const types = result.edges.map((edge) => labels[edge.from] + labels[edge.to] + ':' + edge.type);
+    expect(types).toEqual(['AB:tree', 'BD:tree', 'DB:back', 'AC:tree', 'CD:cross', 'AD:forward']);
+  });
+
+  test('DFS classifies each undirected edge once, as tree or back', () => {
+    const result = depthFirstSearch(nodes, links, labels, 0, false);
+    expect(result.edges.length).toBe(6);
+    expect(result.edges.every((edge) => edge.type === 'tree' || edge.type === 'back')).toBe(true);
+    expect(result.treeLinks.length).toBe(3);
+  });
+
+  test('self-loops are back edges', () => {
+    links.push(link(nodes[2], nodes[2]));
+    const result = depthFirstSearch(nodes, links, labels, 2, true);
+    expect(result.edges.find((edge) => edge.link === links[7]).type).toBe('back');
+  });
+
+  test('exports the traversal as a LaTeX list', () => {
+    const bfs = generateTraversalLaTeX('bfs', breadthFirstSearch(nodes, links, labels, 0, true), labels, 0, true);
+    expect(bfs).toContain('\\item $A$: level 0\n    \\item $B$: level 1');
+
+    const dfs = generateTraversalLaTeX('dfs', depthFirstSearch(nodes, links, labels, 0, true), labels, 0, true);
+    expect(dfs).toContain('\\item $D$: $3/4$');
+    expect(dfs).toContain('\\item Back edges: [$D \\to B$]');
+    expect(dfs).toContain('\\item Cross edges: [$C \\to D$]');
+
+    const undirected = generateTraversalLaTeX('dfs', depthFirstSearch(nodes, links, labels, 0, false), labels, 0, false);
+    expect(undirected).toContain('\\item Tree edges: [$\\{A, B\\}$');
+    expect(undirected).not.toContain('Cross edges');
+  });
+});
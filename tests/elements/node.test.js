@@ -19,6 +19,35 @@ describe('Node Element', () => {
     expect(node.mouseOffsetY).toBe(0);
     expect(node.isAcceptState).toBe(false);
     expect(node.text).toBe('');
+    expect(node.fillColor).toBeNull();
+  });
+
+  describe('draw()', () => {
+    function mockContext() {
+      const calls = [];
+      return {
+        calls,
+        fillStyle: 'black',
+        beginPath: () => calls.push('beginPath'),
+        arc: () => calls.push('arc'),
+        stroke: () => calls.push('stroke'),
+        fill: function() { calls.push('fill ' + this.fillStyle); }
+      };
+    }
+
+    test('draws an unfilled circle by default', () => {
+      const c = mockContext();
+      node.draw(c);
+      expect(c.calls).toEqual(['beginPath', 'arc', 'stroke']);
+    });
+
+    test('fills the circle with the fill color before stroking it', () => {
+      const c = mockContext();
+      node.fillColor = '#90CAF9';
+      node.draw(c);
+      expect(c.calls).toEqual(['beginPath', 'arc', 'fill #90CAF9', 'stroke']);
+      expect(c.fillStyle).toBe('black');
+    });
   });
 
   describe('containsPoint()', () => {
@@ -0,0 +1,161 @@
+const { link, graph } = require('../helpers/graph');
+
+// Mock globals shared between the concatenated source files
+const simulator = require('../../src/simulation/simulator');
+Object.assign(global, simulator);
+global.automatonFromCanvas = require('../../src/algorithms/automaton').automatonFromCanvas;
+
+const {
+  buildWeightedMatrixTable,
+  buildIncidenceMatrixTable,
+  buildLaplacianTable,
+  buildTransitionTableExport,
+  latexMatrixCell,
+  formatMatrixTable,
+  generateMatrixExport
+} = require('../../src/export_as/adjacency');
+
+function cells(table) {
+  return table.rows.map((row) => row.cells);
+}
+
+describe('Matrix exports', () => {
+  const labels = ['a', 'b', 'c'];
+  let nodes, links;
+  beforeEach(() => {
+    // a → b (2), a → b (5), b → c (unlabelled), a self-loop on c (1)
+    nodes = graph(3);
+    links = [
+      new StartLink(nodes[0]),
+      link(nodes[0], nodes[1], '2'),
+      link(nodes[0], nodes[1], '5'),
+      link(nodes[1], nodes[2]),
+      link(nodes[2], nodes[2], '1')
+    ];
+  });
+
+  test('weighted adjacency matrix lists edge labels', () => {
+    expect(cells(buildWeightedMatrixTable(nodes, links, labels, true, '∞'))).toEqual([
+      ['∞', '2, 5', '∞'],
+      ['∞', '∞', '1'],
+      ['∞', '∞', '1']
+    ]);
+    expect(cells(buildWeightedMatrixTable(nodes, links, labels, false, '-'))).toEqual([
+      ['-', '2, 5', '-'],
+      ['2, 5', '-', '1'],
+      ['-', '1', '1']
+    ]);
+  });
+
+  test('incidence matrix is signed for directed graphs', () => {
+    const directed = buildIncidenceMatrixTable(nodes, links, labels, true);
+    expect(directed.columns).toEqual(['e1', 'e2', 'e3', 'e4']);
+    expect(cells(directed)).toEqual([
+      ['-1', '-1', '0', '0'],
+      ['1', '1', '-1', '0'],
+      ['0', '0', '1', '0']
+    ]);
+    expect(cells(buildIncidenceMatrixTable(nodes, links, labels, false))).toEqual([
+      ['1', '1', '0', '0'],
+      ['1', '1', '1', '0'],
+      ['0', '0', '1', '2']
+    ]);
+  });
+
+  test('degree and Laplacian matrices ignore self-loops', () => {
+    expect(cells(buildLaplacianTable(nodes, links, labels, false, 'degree'))).toEqual([
+      ['2', '0', '0'],
+      ['0', '3', '0'],
+      ['0', '0', '1']
+    ]);
+    expect(cells(buildLaplacianTable(nodes, links, labels, false, 'laplacian'))).toEqual([
+      ['2', '-2', '0'],
+      ['-2', '3', '-1'],
+      ['0', '-1', '1']
+    ]);
+    expect(cells(buildLaplacianTable(nodes, links, labels, true, 'laplacian'))).toEqual([
+      ['2', '-2', '0'],
+      ['0', '1', '-1'],
+      ['0', '0', '0']
+    ]);
+  });
+
+  test('transition table lists targets per symbol', () => {
+    const machine = graph(2);
+    machine[1].isAcceptState = true;
+    const machineLinks = [
+      new StartLink(machine[0]),
+      link(machine[0], machine[1], 'a'),
+      link(machine[0], machine[0], 'a, b'),
+      link(machine[1], machine[0], 'ε')
+    ];
+    const table = buildTransitionTableExport(machine, machineLinks, ['p', 'q'], '∅');
+    expect(table.columns).toEqual(['a', 'b', 'ε']);
+    expect(table.rows[0].start).toBe(true);
+    expect(table.rows[1].accepting).toBe(true);
+    expect(cells(table)).toEqual([
+      ['{p, q}', 'p', '∅'],
+      ['∅', '∅', 'p']
+    ]);
+  });
+
+  test('keeps subscripts and superscripts in LaTeX cells', () => {
+    expect(latexMatrixCell('q_0')).toBe('q_0');
+    expect(latexMatrixCell('q_{10}')).toBe('q_{10}');
+    expect(latexMatrixCell('x^2')).toBe('x^2');
+    expect(latexMatrixCell('q_')).toBe('q\\_');
+    expect(latexMatrixCell('x^')).toBe('x\\textasciicircum{}');
+    expect(latexMatrixCell('{p, q}')).toBe('\\{p, q\\}');
+    expect(latexMatrixCell('50%')).toBe('50\\%');
+  });
+
+  test('writes the count matrix as the Matrix button always has', () => {
+    global.nodes = graph(2);
+    global.nodes[0].text = 'q_0';
+    global.nodes[1].text = 'q_1';
+    global.links = [link(global.nodes[0], global.nodes[1]), link(global.nodes[1], global.nodes[1])];
+    global.directed = true;
+    expect(generateMatrixExport('count', 'latex')).toBe(
+      '\\begin{center}\n' +
+      '\\begin{tabular}{c|cc}\n' +
+      '   & $q\\_0$ & $q\\_1$ \\\\\n' +
+      '\\hline\n' +
+      '$q\\_0$ & $0$ & $1$ \\\\\n' +
+      '$q\\_1$ & $0$ & $1$ \\\\\n' +
+      '\\end{tabular}\n' +
+      '\\end{center}\n'
+    );
+  });
+
+  test('writes LaTeX, CSV and Markdown', () => {
+    const table = {
+      corner: 'δ',
+      columns: ['a', 'b'],
+      rows: [
+        { label: 'q_0', start: true, accepting: false, cells: ['q_1', '∅'] },
+        { label: 'q_1', start: false, accepting: true, cells: ['{q_0, q_1}', 'q|1'] }
+      ]
+    };
+    expect(formatMatrixTable(table, 'latex')).toBe(
+      '\\begin{center}\n' +
+      '\\begin{tabular}{c|cc}\n' +
+      '$\\delta$ & $a$ & $b$ \\\\\n' +
+      '\\hline\n' +
+      '$\\rightarrow$ $q_0$ & $q_1$ & $\\emptyset$ \\\\\n' +
+      '$*$ $q_1$ & $\\{q_0, q_1\\}$ & $q|1$ \\\\\n' +
+      '\\end{tabular}\n' +
+      '\\end{center}\n'
+    );
+    expect(formatMatrixTable(table, 'csv')).toBe(
+      'δ,a,b\n' +
+      '->q_0,q_1,∅\n' +
+      '*q_1,"{q_0, q_1}",q|1\n'
+    );
+    expect(formatMatrixTable(table, 'markdown')).toBe(
+      '| δ | a | b |\n' +
+      '| --- | --- | --- |\n' +
+      '| → q\\_0 | q\\_1 | ∅ |\n' +
+      '| \\* q\\_1 | {q\\_0, q\\_1} | q\\|1 |\n'
+    );
+  });
+});
@@ -0,0 +1,81 @@
+const { link, graph } = require('../helpers/graph');
+
+// Mock globals shared between the concatenated source files
+Object.assign(global, require('../../src/simulation/simulator'));
+global.automatonFromCanvas = require('../../src/algorithms/automaton').automatonFromCanvas;
+Object.assign(global, require('../../src/export_as/adjacency'));
+
+const { generateFormalDefinition } = require('../../src/export_as/formal');
+
+describe('Formal definition export', () => {
+  // DFA over {a, b} accepting strings that end in a
+  let nodes, links;
+  beforeEach(() => {
+    nodes = graph(2);
+    nodes[1].isAcceptState = true;
+    links = [
+      new StartLink(nodes[0]),
+      link(nodes[0], nodes[1], 'a'),
+      link(nodes[0], nodes[0], 'b'),
+      link(nodes[1], nodes[1], 'a'),
+      link(nodes[1], nodes[0], 'b')
+    ];
+  });
+
+  test('writes the 5-tuple of a complete DFA', () => {
+    const result = generateFormalDefinition(nodes, links, ['q_0', 'q_1'], 'table');
+    expect(result.problems).toEqual([]);
+    expect(result.deterministic).toBe(true);
+    expect(result.latex).toContain('% Formal definition (complete DFA)\n');
+    expect(result.latex).toContain('    \\item $Q = \\{q_0, q_1\\}$\n');
+    expect(result.latex).toContain('    \\item $\\Sigma = \\{a, b\\}$\n');
+    expect(result.latex).toContain('    \\item $\\delta : Q \\times \\Sigma \\to Q$ is given by the table below\n');
+    expect(result.latex).toContain('    \\item $q_0 = q_0$\n');
+    expect(result.latex).toContain('    \\item $F = \\{q_1\\}$\n');
+    expect(result.latex).toContain('$\\rightarrow$ $q_0$ & $q_1$ & $q_0$ \\\\\n');
+  });
+
+  test('writes the transition function as equations', () => {
+    const result = generateFormalDefinition(nodes, links, ['p', 'q'], 'list');
+    expect(result.latex).toContain(
+      '\\begin{align*}\n' +
+      '    \\delta(p, a) &= q \\\\\n' +
+      '    \\delta(p, b) &= p \\\\\n' +
+      '    \\delta(q, a) &= q \\\\\n' +
+      '    \\delta(q, b) &= p\n' +
+      '\\end{align*}\n'
+    );
+  });
+
+  test('flags missing transitions', () => {
+    links.pop();
+    const result = generateFormalDefinition(nodes, links, ['p', 'q'], 'table');
+    expect(result.deterministic).toBe(true);
+    expect(result.problems).toEqual(['Missing transitions: δ(q, b)']);
+    expect(result.latex).toContain('% Formal definition (incomplete DFA)\n% Warning: Missing transitions: δ(q, b)\n');
+    expect(result.latex).toContain('$q$ & $q$ & $\\emptyset$ \\\\\n');
+    expect(result.latex).toContain(
+      '    \\item $\\delta : Q \\times \\Sigma \\rightharpoonup Q$ is a partial function and is given by the table below\n'
+    );
+  });
+
+  test('flags nondeterminism and epsilon moves', () => {
+    links.push(link(nodes[0], nodes[1], 'b'), link(nodes[1], nodes[0], 'ε'));
+    const result = generateFormalDefinition(nodes, links, ['p', 'q'], 'list');
+    expect(result.deterministic).toBe(false);
+    expect(result.problems).toEqual([
+      'Nondeterministic: δ(p, b) has 2 targets',
+      'Nondeterministic: ε-moves from q'
+    ]);
+    expect(result.latex).toContain('Q \\times \\Sigma_\\varepsilon \\to \\mathcal{P}(Q)');
+    expect(result.latex).toContain('    \\delta(p, b) &= \\{p, q\\} \\\\\n');
+    expect(result.latex).toContain('    \\delta(q, \\varepsilon) &= \\{p\\}\n');
+  });
+
+  test('flags a missing start state', () => {
+    links.shift();
+    const result = generateFormalDefinition(nodes, links, ['p', 'q'], 'table');
+    expect(result.problems).toEqual(['There is no start state']);
+    expect(result.latex).toContain('    \\item $q_0$: no start state\n');
+  });
+});
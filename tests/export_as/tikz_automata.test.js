@@ -0,0 +1,263 @@
+const Node = require('../../src/elements/node');
+const { circleFromThreePoints, fixed } = require('../../src/main/math');
+
+// Mock globals shared between the concatenated source files
+global.Node = Node;
+global.circleFromThreePoints = circleFromThreePoints;
+global.fixed = fixed;
+global.latexColor = require('../../src/export_as/latex').latexColor;
+
+global.Link = class Link {
+  constructor(a, b) {
+    this.nodeA = a;
+    this.nodeB = b;
+    this.text = '';
+    this.parallelPart = 0.5;
+    this.perpendicularPart = 0;
+  }
+
+  getAnchorPoint() {
+    var dx = this.nodeB.x - this.nodeA.x;
+    var dy = this.nodeB.y - this.nodeA.y;
+    var scale = Math.sqrt(dx * dx + dy * dy);
+    return {
+      'x': this.nodeA.x + dx * this.parallelPart - dy * this.perpendicularPart / scale,
+      'y': this.nodeA.y + dy * this.parallelPart + dx * this.perpendicularPart / scale
+    };
+  }
+};
+global.SelfLink = class SelfLink { constructor(node) { this.node = node; this.anchorAngle = 0; this.text = ''; } };
+global.StartLink = class StartLink { constructor(node) { this.node = node; this.deltaX = 0; this.deltaY = 0; this.text = ''; } };
+
+const { tikzStateNames, linkBendAngle, generateTikZAutomaton } = require('../../src/export_as/tikz_automata');
+const { importFromLaTeX } = require('../../src/import_from/latex');
+
+function link(a, b, text) {
+  const l = a === b ? new SelfLink(a) : new Link(a, b);
+  l.text = text;
+  return l;
+}
+
+function startLink(node, deltaX, deltaY) {
+  const l = new StartLink(node);
+  l.deltaX = deltaX;
+  l.deltaY = deltaY;
+  return l;
+}
+
+describe('TikZ automata export', () => {
+  test('names states after plain labels and falls back to indices', () => {
+    const nodes = [new Node(0, 0), new Node(0, 0), new Node(0, 0), new Node(0, 0)];
+    nodes[0].text = 'q0';
+    nodes[1].text = 'q_1';
+    nodes[2].text = 'q0';
+    nodes[3].text = '\\alpha';
+    expect(tikzStateNames(nodes)).toEqual(['q0', 'q_1', 'n2', 'n3']);
+  });
+
+  test('never gives a fallback name that a label already uses', () => {
+    const nodes = [new Node(0, 0), new Node(0, 0), new Node(0, 0), new Node(0, 0)];
+    nodes[0].text = 'n1';
+    nodes[2].text = 'n3_1';
+    nodes[3].text = 'n3';
+    // Node 1 would be n1, which node 0 already uses
+    expect(tikzStateNames(nodes)).toEqual(['n1', 'n1_1', 'n3_1', 'n3']);
+  });
+
+  test('round-trips a blank state next to one labelled like a fallback name', () => {
+    const nodes = [new Node(100, 100), new Node(300, 100), new Node(200, 250)];
+    nodes[0].text = 'n1';
+    nodes[2].text = 'x';
+    const links = [link(nodes[2], nodes[0], 'a'), link(nodes[2], nodes[1], 'b')];
+
+    const result = importFromLaTeX(generateTikZAutomaton(nodes, links, true));
+    expect(result.links.map(l => [result.nodes.indexOf(l.nodeA), result.nodes.indexOf(l.nodeB), l.text])).toEqual([
+      [2, 0, 'a'],
+      [2, 1, 'b']
+    ]);
+  });
+
+  test('writes states with initial, accepting and fill options', () => {
+    const nodes = [new Node(100, 100), new Node(300, 100)];
+    nodes[0].text = 'q_0';
+    nodes[1].text = 'two words';
+    nodes[1].isAcceptState = true;
+    nodes[1].fillColor = '#90CAF9';
+    const latex = generateTikZAutomaton(nodes, [startLink(nodes[0], -80, 0)], true);
+
+    expect(latex).toContain('\\usetikzlibrary{automata}');
+    expect(latex).toContain('\\node[state, initial] (q_0) at (10,-10) {$q_0$};');
+    expect(latex).toContain('\\node[state, accepting, fill={rgb,255:red,144;green,202;blue,249}] (n1) at (30,-10) {$two\\mbox{ }words$};');
+  });
+
+  test('writes the side the start arrow comes from', () => {
+    const nodes = [new Node(100, 100), new Node(300, 100), new Node(500, 100)];
+    const links = [startLink(nodes[0], 10, -70), startLink(nodes[1], 60, 20), startLink(nodes[2], 0, 50)];
+    const latex = generateTikZAutomaton(nodes, links, true);
+
+    expect(latex).toContain('\\node[state, initial, initial where=above] (n0)');
+    expect(latex).toContain('\\node[state, initial, initial where=right] (n1)');
+    expect(latex).toContain('\\node[state, initial, initial where=below] (n2)');
+  });
+
+  test('turns link curvature into bend angles', () => {
+    const nodes = [new Node(0, 0), new Node(200, 0)];
+    const straight = link(nodes[0], nodes[1], 'a');
+    const right = link(nodes[0], nodes[1], 'b');
+    right.perpendicularPart = 100 * Math.tan(Math.PI / 12); // bulges below the link on the canvas
+    const left = link(nodes[1], nodes[0], 'c');
+    left.perpendicularPart = -100;
+
+    expect(linkBendAngle(straight)).toBe(0);
+    expect(linkBendAngle(right)).toBeCloseTo(30, 6);
+    // Anchor as far off the line as the nodes are from its middle: a half circle
+    expect(linkBendAngle(left)).toBeCloseTo(-90, 6);
+
+    const latex = generateTikZAutomaton(nodes, [straight, right, left], true);
+    expect(latex).toContain('\\path[->] (n0) edge node {$a$} (n1);');
+    expect(latex).toContain('\\path[->] (n0) edge [bend right=30] node [swap] {$b$} (n1);');
+    expect(latex).toContain('\\path[->] (n1) edge [bend left=90] node {$c$} (n0);');
+  });
+
+  test('measures bends beyond a half circle the long way round', () => {
+    const nodes = [new Node(0, 0), new Node(200, 0)];
+    const l = link(nodes[0], nodes[1], '');
+    l.perpendicularPart = 100 * Math.tan(Math.PI / 3);
+    expect(linkBendAngle(l)).toBeCloseTo(120, 6);
+  });
+
+  test('writes loops with a side or explicit out and in angles', () => {
+    const nodes = [new Node(100, 100)];
+    const above = link(nodes[0], nodes[0], 'a');
+    above.anchorAngle = -Math.PI / 2;
+    const right = link(nodes[0], nodes[0], 'b');
+    right.anchorAngle = 0;
+    const slanted = link(nodes[0], nodes[0], 'c');
+    slanted.anchorAngle = -Math.PI / 4;
+    const latex = generateTikZAutomaton(nodes, [above, right, slanted], false);
+
+    expect(latex).toContain('\\path (n0) edge [loop above] node {$a$} ();');
+    expect(latex).toContain('\\path (n0) edge [loop right] node {$b$} ();');
+    expect(latex).toContain('\\path (n0) edge [loop, out=60, in=30] node {$c$} ();');
+  });
+
+  test('imports its own output back', () => {
+    const nodes = [new Node(100, 100), new Node(300, 100), new Node(200, 250)];
+    nodes[0].text = 'q_0';
+    nodes[1].text = 'A';
+    nodes[1].isAcceptState = true;
+    nodes[2].text = 'two words';
+    nodes[2].fillColor = '#90CAF9';
+    const ab = link(nodes[0], nodes[1], 'a');
+    ab.perpendicularPart = 40;
+    const bc = link(nodes[1], nodes[2], 'b');
+    bc.perpendicularPart = -150;
+    const loop = link(nodes[2], nodes[2], 'a,b');
+    loop.anchorAngle = 0.7;
+    const links = [startLink(nodes[0], 0, -80), ab, bc, loop, link(nodes[2], nodes[0], '\\epsilon')];
+
+    const result = importFromLaTeX(generateTikZAutomaton(nodes, links, true));
+    expect(result.isDirected).toBe(true);
+    expect(result.nodes.map(n => [n.x, n.y, n.text, n.isAcceptState])).toEqual([
+      [100, 100, 'q_0', false],
+      [300, 100, 'A', true],
+      [200, 250, 'two words', false]
+    ]);
+    expect(result.nodes[2].fillColor).toBe('#90CAF9');
+
+    const [start, a, b, selfLoop, epsilon] = result.links;
+    expect(start).toBeInstanceOf(StartLink);
+    expect(start.deltaX).toBe(0);
+    expect(start.deltaY).toBeLessThan(0);
+    expect(a.nodeA).toBe(result.nodes[0]);
+    expect(a.text).toBe('a');
+    // Bend angles are rounded to whole degrees
+    expect(a.perpendicularPart).toBeCloseTo(40, 0);
+    expect(b.perpendicularPart).toBeCloseTo(-150, 0);
+    expect(selfLoop).toBeInstanceOf(SelfLink);
+    expect(selfLoop.anchorAngle).toBeCloseTo(0.7, 2);
+    expect(selfLoop.text).toBe('a,b');
+    expect(epsilon.perpendicularPart).toBe(0);
+    expect(epsilon.text).toBe('\\epsilon');
+  });
+});
+
+describe('LaTeX Import of the TikZ automata format', () => {
+  test('reads hand-written states placed relative to each other', () => {
+    const latex = `
+\\begin{tikzpicture}[->, >=stealth, node distance=2cm, auto]
+  \\node[state, initial, accepting] (q0) {$q_0$};
+  \\node[state] (q1) [right of=q0] {$q_1$}; % a comment; with a semicolon
+  \\node[state, initial below] (q2) [below right=of q0] {$q_{10}$};
+  \\path (q0) edge [bend left] node {$a$} (q1)
+              edge [loop above] node {$b$} ()
+        (q1) edge node [swap] {$a;b$} (q2);
+\\end{tikzpicture}`;
+    const result = importFromLaTeX(latex);
+
+    expect(result.isDirected).toBe(true);
+    expect(result.nodes.map(n => n.text)).toEqual(['q_0', 'q_1', 'q_{10}']);
+    expect(result.nodes[0].isAcceptState).toBe(true);
+    // node distance=2cm is 100 pixels, at the scale of the LaTeX export
+    expect(result.nodes[1].x - result.nodes[0].x).toBe(100);
+    expect(result.nodes[1].y).toBe(result.nodes[0].y);
+    expect(result.nodes[2].x - result.nodes[0].x).toBe(100);
+    expect(result.nodes[2].y - result.nodes[0].y).toBe(100);
+
+    const starts = result.links.filter(l => l instanceof StartLink);
+    expect(starts.map(l => [l.node, l.deltaX, l.deltaY])).toEqual([
+      [result.nodes[0], -80, 0],
+      [result.nodes[2], 0, 80]
+    ]);
+
+    const edges = result.links.filter(l => !(l instanceof StartLink));
+    expect(edges.length).toBe(3);
+    expect(edges[0].nodeA).toBe(result.nodes[0]);
+    expect(edges[0].nodeB).toBe(result.nodes[1]);
+    // bend left without an angle is 30 degrees: the anchor is (L/2) tan(15°) left of the line
+    expect(edges[0].perpendicularPart).toBeCloseTo(-50 * Math.tan(Math.PI / 12), 6);
+    expect(edges[1]).toBeInstanceOf(SelfLink);
+    expect(edges[1].anchorAngle).toBeCloseTo(-Math.PI / 2, 6);
+    expect(edges[1].text).toBe('b');
+    expect(edges[2].nodeA).toBe(result.nodes[1]);
+    expect(edges[2].text).toBe('a;b');
+  });
+
+  test('places relative states at the node distance of the picture', () => {
+    const states = `
+  \\node[state] (a) {$a$};
+  \\node[state] (b) [right of=a] {$b$};
+  \\node[state] (c) [below=of a] {$c$};
+\\end{tikzpicture}`;
+    const offsets = (picture) => {
+      const nodes = importFromLaTeX(picture + states).nodes;
+      return [nodes[1].x - nodes[0].x, nodes[2].y - nodes[0].y];
+    };
+    expect(offsets('\\begin{tikzpicture}')).toEqual([150, 150]);
+    expect(offsets('\\begin{tikzpicture}[node distance=15mm and 4cm]')).toEqual([200, 75]);
+    // Unlike coordinates, node distance does not shrink with the picture scale
+    expect(offsets('\\begin{tikzpicture}[scale=0.2, node distance=1in]')).toEqual([127, 127]);
+  });
+
+  test('treats paths without arrows as undirected', () => {
+    const latex = `
+\\begin{tikzpicture}[scale=0.2]
+\\node[state] (a) at (10,-10) {$a$};
+\\node[state] (b) at (30,-10) {$b$};
+\\path (a) edge (b);
+\\end{tikzpicture}`;
+    const result = importFromLaTeX(latex);
+    expect(result.isDirected).toBe(false);
+    expect(result.nodes.map(n => [n.x, n.y])).toEqual([[100, 100], [300, 100]]);
+    expect(result.links[0].text).toBe('');
+  });
+
+  test('reports edges to unknown states', () => {
+    const latex = `
+\\begin{tikzpicture}
+\\node[state] (a) at (2,-2) {$a$};
+\\path[->] (a) edge (b);
+\\end{tikzpicture}`;
+    expect(() => importFromLaTeX(latex)).toThrow('Unknown state "b"');
+  });
+});
@@ -0,0 +1,25 @@
+// Shared setup for tests that build graphs and automata out of canvas elements
+const Node = require('../../src/elements/node');
+
+// Mock link constructors used by instanceof checks
+global.Link = class Link { constructor(a, b) { this.nodeA = a; this.nodeB = b; this.text = ''; } };
+global.SelfLink = class SelfLink { constructor(node) { this.node = node; this.text = ''; } };
+global.StartLink = class StartLink { constructor(node) { this.node = node; this.text = ''; } };
+
+// A link from a to b with the given label, or a self-loop when a and b are the same node
+function link(a, b, text) {
+  const l = a === b ? new SelfLink(a) : new Link(a, b);
+  l.text = text || '';
+  return l;
+}
+
+// A row of count nodes, 100 pixels apart
+function graph(count) {
+  const nodes = [];
+  for (let i = 0; i < count; i++) {
+    nodes.push(new Node(i * 100, 0));
+  }
+  return nodes;
+}
+
+module.exports = { Node, link, graph };
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+// Load every source file into the page the way docs/fsm.js does, so drawUsing and the exporters see
+// the same globals as in the browser
+function sources(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? sources(file) : (file.endsWith('.js') ? [file] : []);
+  }).sort();
+}
+
+// jsdom has no 2d context; record what is drawn on the canvas instead
+const canvasContext = new Proxy({ calls: [] }, {
+  get: (target, key) => key in target ? target[key] :
+    (key === 'measureText' ? () => ({ width: 10 }) : (...args) => target.calls.push([key].concat(args))),
+  set: (target, key, value) => { target[key] = value; return true; }
+});
+HTMLCanvasElement.prototype.getContext = () => canvasContext;
+
+const source = sources(path.join(__dirname, '../../src')).map(file => fs.readFileSync(file, 'utf8')).join('\n');
+(0, eval)(source.replace(/if \(typeof module !== 'undefined' && module\.exports\) \{[\s\S]*?\n\}/g, ''));
+
+describe('Exporting while an algorithm highlight is shown', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<canvas id="canvas" width="800" height="600"></canvas>' +
+      '<div id="outputContainer"><button id="copyButton"></button><textarea id="output"></textarea></div>';
+    canvas = document.getElementById('canvas');
+    nodes = [new Node(100, 100), new Node(300, 100)];
+    nodes[0].text = 'A';
+    nodes[1].text = 'B';
+    links = [new Link(nodes[0], nodes[1])];
+    showAlgorithmHighlight([
+      { index: 0, color: simColors.acceptedState, note: 'd=0' },
+      { index: 1, color: simColors.acceptedState, note: 'd=1' }
+    ], [{ link: links[0], color: simColors.acceptedState }]);
+  });
+
+  afterEach(() => {
+    clearAlgorithmHighlight();
+  });
+
+  test('draws the highlight on the canvas', () => {
+    canvasContext.calls.length = 0;
+    drawUsing(canvas.getContext('2d'));
+    expect(canvasContext.calls.some(call => call[0] === 'fillText' && call[1] === 'd=0')).toBe(true);
+  });
+
+  test('LaTeX export leaves the highlight out', () => {
+    expect(() => saveAsLaTeX()).not.toThrow();
+    const latex = document.getElementById('output').value;
+    expect(latex).toContain('circle (3)');
+    expect(latex).not.toContain('d=0');
+  });
+
+  test('SVG export leaves the highlight out', () => {
+    saveAsSVG();
+    const svgData = document.getElementById('output').value;
+    expect(svgData).toContain('<ellipse');
+    expect(svgData).not.toContain(simColors.acceptedState);
+    expect(svgData).not.toContain('d=0');
+  });
+});
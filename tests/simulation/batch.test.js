@@ -0,0 +1,124 @@
+const { Node, link } = require('../helpers/graph');
+
+const simulator = require('../../src/simulation/simulator');
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = simulator.EPSILON;
+global.isEpsilonSymbol = simulator.isEpsilonSymbol;
+global.validateFSM = simulator.validateFSM;
+global.initializeSimulation = simulator.initializeSimulation;
+global.stepSimulation = simulator.stepSimulation;
+global.getHighlightedPath = simulator.getHighlightedPath;
+global.getSimulationOutput = require('../../src/simulation/transducer').getSimulationOutput;
+global.escapeLaTeX = (text) => text.replace(/_/g, '\\_');
+
+const {
+  parseTestCases,
+  formatTestCases,
+  runTestSuite,
+  generateTestReportLaTeX,
+  generateTestReportCSV
+} = require('../../src/simulation/batch');
+
+describe('Batch test runner', () => {
+  let nodes, links;
+
+  beforeEach(() => {
+    // Strings over {a,b} ending in b
+    const p = new Node(0, 0);
+    const r = new Node(100, 0);
+    p.text = 'p';
+    r.text = 'r';
+    r.isAcceptState = true;
+    nodes = [p, r];
+    links = [new StartLink(p), link(p, p, 'a'), link(p, r, 'b'), link(r, r, 'b'), link(r, p, 'a')];
+  });
+
+  test('parses one test case per line', () => {
+    const parsed = parseTestCases('ab, accept\n\n# comment\nba , REJECT\nε, reject\n, reject');
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.cases).toEqual([
+      { input: 'ab', expected: true },
+      { input: 'ba', expected: false },
+      { input: '', expected: false },
+      { input: '', expected: false }
+    ]);
+  });
+
+  test('reports malformed lines with their line numbers', () => {
+    const parsed = parseTestCases('ab\nab, maybe');
+    expect(parsed.errors.length).toBe(2);
+    expect(parsed.errors[0]).toMatch(/^Line 1/);
+    expect(parsed.errors[1]).toMatch(/^Line 2.*maybe/);
+  });
+
+  test('formats test cases back into the text format', () => {
+    const cases = [{ input: 'ab', expected: true }, { input: '', expected: false }];
+    expect(parseTestCases(formatTestCases(cases)).cases).toEqual(cases);
+  });
+
+  test('runs every case and marks passes and failures', () => {
+    const cases = [
+      { input: 'ab', expected: true },
+      { input: 'ba', expected: true },
+      { input: '', expected: false },
+      { input: 'cab', expected: false }
+    ];
+    const report = runTestSuite(cases, nodes, links);
+    expect(report.success).toBe(true);
+    expect(report.rows.map(r => r.actual)).toEqual(['accepted', 'rejected', 'rejected', 'stuck']);
+    expect(report.rows.map(r => r.passed)).toEqual([true, false, true, true]);
+    expect(report.passed).toBe(3);
+    expect(report.failed).toBe(1);
+  });
+
+  test('fails when the machine cannot be simulated', () => {
+    const report = runTestSuite([{ input: 'a', expected: true }], nodes, links.slice(1));
+    expect(report.success).toBe(false);
+    expect(report.errors[0]).toMatch(/start state/);
+  });
+
+  test('exports the report as LaTeX and CSV', () => {
+    const report = runTestSuite([
+      { input: 'a_b', expected: true },
+      { input: '', expected: false }
+    ], nodes, links);
+
+    const latex = generateTestReportLaTeX(report);
+    expect(latex).toContain('\\begin{tabular}{l|c|c|c}');
+    expect(latex).toContain('\\texttt{a\\_b} & accept & stuck & \\textbf{fail} \\\\');
+    expect(latex).toContain('$\\varepsilon$ & reject & rejected & pass \\\\');
+
+    const csv = generateTestReportCSV(report);
+    expect(csv).toBe('input,expected,actual,result\na_b,accept,stuck,fail\n,reject,rejected,pass\n');
+  });
+
+  test('reads and checks the expected output of a Mealy machine', () => {
+    const parsed = parseTestCases('ab, accept, 01\nε, reject, ε\nba, reject');
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.cases).toEqual([
+      { input: 'ab', expected: true, expectedOutput: '01' },
+      { input: '', expected: false, expectedOutput: '' },
+      { input: 'ba', expected: false }
+    ]);
+    expect(parseTestCases(formatTestCases(parsed.cases)).cases).toEqual(parsed.cases);
+
+    // Write 0 for a and 1 for b
+    links[1].text = 'a/0';
+    links[2].text = 'b/1';
+    links[3].text = 'b/1';
+    links[4].text = 'a/0';
+    global.machineType = 'mealy';
+    const report = runTestSuite([
+      { input: 'ab', expected: true, expectedOutput: '01' },
+      { input: 'abb', expected: true, expectedOutput: '010' },
+      { input: 'ba', expected: false }
+    ], nodes, links);
+    delete global.machineType;
+
+    expect(report.rows.map(r => r.output)).toEqual(['01', '011', '10']);
+    expect(report.rows.map(r => r.passed)).toEqual([true, false, true]);
+    expect(generateTestReportLaTeX(report)).toContain('\\texttt{abb} & accept & accepted & \\texttt{010} & \\texttt{011} & \\textbf{fail} \\\\');
+    expect(generateTestReportCSV(report)).toContain('ba,reject,rejected,,10,pass\n');
+  });
+});
@@ -0,0 +1,76 @@
+const { Node, link } = require('../helpers/graph');
+
+const { EPSILON, initializeSimulation, stepSimulation } = require('../../src/simulation/simulator');
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = EPSILON;
+global.escapeLaTeX = (text) => text.replace(/_/g, '\\_');
+
+const {
+  buildComputationTree,
+  layoutComputationTree,
+  generateComputationTreeTikZ
+} = require('../../src/simulation/computation_tree');
+
+function runToEnd(input, nodes, links) {
+  const sim = initializeSimulation(input, nodes, links).simulation;
+  while (!sim.isComplete) {
+    stepSimulation(sim, nodes);
+  }
+  return sim;
+}
+
+describe('Computation tree', () => {
+  let nodes, links;
+
+  beforeEach(() => {
+    // NFA for strings ending in ab: q0 loops on a,b; q0 --a--> q1 --b--> q2
+    nodes = [new Node(0, 0), new Node(100, 0), new Node(200, 0)];
+    nodes.forEach((n, i) => { n.text = 'q' + i; });
+    nodes[2].isAcceptState = true;
+    links = [new StartLink(nodes[0]), link(nodes[0], nodes[0], 'a,b'), link(nodes[0], nodes[1], 'a'), link(nodes[1], nodes[2], 'b')];
+  });
+
+  test('branches on nondeterministic transitions and shares prefixes', () => {
+    const tree = buildComputationTree(runToEnd('ab', nodes, links));
+    const root = tree.root;
+    expect(root.state).toBe(0);
+    expect(root.children.map(c => [c.state, c.symbol])).toEqual([[0, 'a'], [1, 'a']]);
+
+    const [stay, moved] = root.children;
+    expect(stay.children.map(c => [c.state, c.symbol, c.status])).toEqual([[0, 'b', 'rejected']]);
+    expect(moved.children.map(c => [c.state, c.symbol, c.status])).toEqual([[2, 'b', 'accepted']]);
+    expect(tree.size).toBe(5);
+  });
+
+  test('marks branches that got stuck', () => {
+    const tree = buildComputationTree(runToEnd('aa', nodes, links));
+    const moved = tree.root.children[1];
+    expect(moved.status).toBe('stuck');
+    expect(moved.errorMessage).toMatch(/No transition for 'a'/);
+  });
+
+  test('labels epsilon branches', () => {
+    links.push(link(nodes[0], nodes[2], 'ε'));
+    const tree = buildComputationTree(initializeSimulation('a', nodes, links).simulation);
+    expect(tree.root.status).toBe('active');
+    expect(tree.root.children).toEqual([expect.objectContaining({ state: 2, symbol: EPSILON, status: 'active' })]);
+  });
+
+  test('places parents above the middle of their children', () => {
+    const tree = buildComputationTree(runToEnd('ab', nodes, links));
+    expect(layoutComputationTree(tree.root)).toBe(2);
+    expect(tree.root.x).toBe(0.5);
+    expect(tree.root.children[1].children[0].level).toBe(2);
+  });
+
+  test('exports TikZ with styled leaves and labelled edges', () => {
+    const sim = runToEnd('ab', nodes, links);
+    const latex = generateComputationTreeTikZ(buildComputationTree(sim), sim, nodes);
+    expect(latex).toContain('% Computation tree for input $\\texttt{ab}$');
+    expect(latex).toContain('\\node[config] (c0) at (0.75, 0.00) {$q0$};');
+    expect(latex).toContain('\\node[config, accepted] (c4) at (1.50, -3.00) {$q2$};');
+    expect(latex).toContain('\\draw[->] (c0) -- node[symbol] {$a$} (c1);');
+    expect(latex.match(/\\draw/g).length).toBe(4);
+  });
+});
@@ -0,0 +1,136 @@
+const { Node, link } = require('../helpers/graph');
+
+const simulator = require('../../src/simulation/simulator');
+const { getHighlightedPath } = simulator;
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = simulator.EPSILON;
+global.isEpsilonSymbol = simulator.isEpsilonSymbol;
+global.SimulationState = function(inputString, startIndex, table) {
+  this.inputString = inputString;
+  this.currentPosition = 0;
+  this.currentStates = [startIndex];
+  this.paths = [{ states: [startIndex], transitions: [], symbols: [], status: 'active' }];
+  this.isComplete = false;
+  this.result = null;
+  this.errorMessage = null;
+  this.transitionTable = table;
+  this.history = [];
+};
+global.recordSimulationSnapshot = () => {};
+
+const {
+  pdaOptions,
+  parseStackSymbols,
+  parsePDALabel,
+  buildPDATransitionTable,
+  initializePDASimulation,
+  stepPDASimulation
+} = require('../../src/simulation/pda');
+
+function run(input, nodes, links) {
+  const sim = initializePDASimulation(input, 0, nodes, links).simulation;
+  while (!sim.isComplete) {
+    stepPDASimulation(sim, nodes);
+  }
+  return sim;
+}
+
+describe('PDA labels', () => {
+  test('parses input, pop and push', () => {
+    expect(parsePDALabel('a, X → YZ')).toEqual([{ input: 'a', pop: 'X', push: ['Y', 'Z'] }]);
+    expect(parsePDALabel('\\epsilon, Z_0 -> \\epsilon')).toEqual([{ input: EPSILON, pop: 'Z_0', push: [] }]);
+    expect(parsePDALabel('b, ε \\to A')).toEqual([{ input: 'b', pop: null, push: ['A'] }]);
+  });
+
+  test('splits several transitions on one arrow', () => {
+    expect(parsePDALabel('a, Z → AZ; b, A → ε').length).toBe(2);
+  });
+
+  test('rejects malformed labels', () => {
+    expect(parsePDALabel('a')).toBe(null);
+    expect(parsePDALabel('a, XY → Z')).toBe(null);
+    expect(parsePDALabel(', X → Y')).toBe(null);
+    const nodes = [new Node(0, 0)];
+    expect(buildPDATransitionTable(nodes, [link(nodes[0], nodes[0], 'a -> b')]).errors.length).toBe(1);
+  });
+
+  test('reads multi-character stack symbols', () => {
+    expect(parseStackSymbols('Z_0')).toEqual(['Z_0']);
+    expect(parseStackSymbols('AZ_{10}')).toEqual(['A', 'Z_{10}']);
+    expect(parseStackSymbols('top bottom')).toEqual(['top', 'bottom']);
+  });
+});
+
+describe('PDA simulation', () => {
+  let nodes, links;
+
+  beforeEach(() => {
+    // a^n b^n (n >= 1), accepting in q2
+    nodes = [new Node(0, 0), new Node(100, 0), new Node(200, 0)];
+    nodes.forEach((n, i) => { n.text = 'q' + i; });
+    nodes[2].isAcceptState = true;
+    links = [
+      new StartLink(nodes[0]),
+      link(nodes[0], nodes[0], 'a, Z → AZ; a, A → AA'),
+      link(nodes[0], nodes[1], 'b, A → ε'),
+      link(nodes[1], nodes[1], 'b, A → ε'),
+      link(nodes[1], nodes[2], 'ε, Z → Z')
+    ];
+    pdaOptions.acceptance = 'final';
+    pdaOptions.initialStack = 'Z';
+  });
+
+  test('accepts by final state', () => {
+    expect(run('ab', nodes, links).result).toBe('accepted');
+    expect(run('aaabbb', nodes, links).result).toBe('accepted');
+    expect(run('aab', nodes, links).result).toBe('rejected');
+    expect(run('abba', nodes, links).result).toBe('stuck');
+    expect(run('', nodes, links).result).toBe('rejected');
+  });
+
+  test('tracks the stack of each branch', () => {
+    const sim = initializePDASimulation('aabb', 0, nodes, links).simulation;
+    stepPDASimulation(sim, nodes);
+    stepPDASimulation(sim, nodes);
+    expect(getHighlightedPath(sim).stack).toEqual(['Z', 'A', 'A']);
+    stepPDASimulation(sim, nodes);
+    expect(getHighlightedPath(sim).stack).toEqual(['Z', 'A']);
+    expect(sim.history).toBeDefined();
+  });
+
+  test('accepts by empty stack', () => {
+    pdaOptions.acceptance = 'empty';
+    links[4].text = 'ε, Z → ε';
+    nodes[2].isAcceptState = false;
+    expect(run('aabb', nodes, links).result).toBe('accepted');
+    expect(run('aab', nodes, links).result).toBe('rejected');
+  });
+
+  test('branches nondeterministically', () => {
+    // Even-length palindromes over {a,b}: guess the middle with an epsilon move
+    links = [
+      new StartLink(nodes[0]),
+      link(nodes[0], nodes[0], 'a, ε → a; b, ε → b'),
+      link(nodes[0], nodes[1], 'ε, ε → ε'),
+      link(nodes[1], nodes[1], 'a, a → ε; b, b → ε'),
+      link(nodes[1], nodes[2], 'ε, Z → Z')
+    ];
+    expect(run('abba', nodes, links).result).toBe('accepted');
+    expect(run('', nodes, links).result).toBe('accepted');
+    expect(run('abab', nodes, links).result).not.toBe('accepted');
+  });
+
+  test('cuts off epsilon loops that grow the stack', () => {
+    links.push(link(nodes[0], nodes[0], 'ε, ε → X'));
+    const sim = run('ab', nodes, links);
+    expect(sim.result).toBe('accepted');
+    expect(sim.epsilonLimitReached).toBe(true);
+  });
+
+  test('reports a stuck branch with the stack top', () => {
+    const sim = run('ba', nodes, links);
+    expect(sim.result).toBe('stuck');
+    expect(sim.errorMessage).toBe("No transition for 'b' with stack top Z from state q0");
+  });
+});
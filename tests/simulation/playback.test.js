@@ -0,0 +1,196 @@
+const { Node, link, graph } = require('../helpers/graph');
+
+const simulator = require('../../src/simulation/simulator');
+const mst = require('../../src/algorithms/mst');
+const playback = require('../../src/simulation/playback');
+
+// Mock globals shared between the concatenated source files
+global.SimulationState = simulator.SimulationState;
+global.recordSimulationSnapshot = simulator.recordSimulationSnapshot;
+global.stepPlaybackSimulation = playback.stepPlaybackSimulation;
+global.PlaybackRecorder = playback.PlaybackRecorder;
+global.UnionFind = mst.UnionFind;
+global.parseEdgeWeight = mst.parseEdgeWeight;
+global.simColors = {
+  currentState: 'orange',
+  acceptedState: 'green',
+  rejectedState: 'red',
+  nfaSecondary: 'gold'
+};
+
+const shortestPath = require('../../src/algorithms/shortest_path');
+global.formatDistance = shortestPath.formatDistance;
+global.buildWeightedEdges = shortestPath.buildWeightedEdges;
+
+const { bfsPlayback, dfsPlayback } = require('../../src/algorithms/traversal');
+const { PlaybackRecorder, createPlaybackState, getCurrentPlaybackEvent } = playback;
+
+function messages(run) {
+  return run.events.map((event) => event.message);
+}
+
+describe('Playback recorder', () => {
+  test('snapshots the highlights with every event', () => {
+    const recorder = new PlaybackRecorder();
+    const l = { text: 'x' };
+    recorder.markState(0, 'gold', 'L=0');
+    recorder.markLink(l, 'gold');
+    recorder.record('first');
+    recorder.markState(0, 'green');
+    recorder.markLink(l, 'green');
+    recorder.record('second');
+    recorder.unmarkLink(l);
+    recorder.record('third');
+
+    expect(recorder.events[0].states).toEqual([{ index: 0, color: 'gold', note: 'L=0' }]);
+    expect(recorder.events[0].links).toEqual([{ link: l, color: 'gold' }]);
+    // A note left out keeps the previous one
+    expect(recorder.events[1].states).toEqual([{ index: 0, color: 'green', note: 'L=0' }]);
+    expect(recorder.events[1].links).toEqual([{ link: l, color: 'green' }]);
+    expect(recorder.events[2].links).toEqual([]);
+  });
+});
+
+describe('Playback state', () => {
+  const run = {
+    title: 'Test',
+    events: [{ message: 'one', states: [], links: [] }, { message: 'two', states: [], links: [] }],
+    summary: 'done'
+  };
+
+  test('steps through the events and finishes after the last one', () => {
+    const simState = createPlaybackState(run);
+    expect(simState.machineType).toBe('playback');
+    expect(getCurrentPlaybackEvent(simState)).toBeNull();
+    expect(simulator.getSimulationLength(simState)).toBe(2);
+
+    simulator.stepSimulation(simState, []);
+    expect(getCurrentPlaybackEvent(simState).message).toBe('one');
+    expect(simState.isComplete).toBe(false);
+
+    simulator.stepSimulation(simState, []);
+    expect(getCurrentPlaybackEvent(simState).message).toBe('two');
+    expect(simState.isComplete).toBe(true);
+    expect(simState.result).toBe('finished');
+  });
+
+  test('seeks back and forth', () => {
+    const simState = createPlaybackState(run);
+    simulator.seekSimulation(simState, [], 2);
+    expect(simState.isComplete).toBe(true);
+
+    simulator.seekSimulation(simState, [], 1);
+    expect(getCurrentPlaybackEvent(simState).message).toBe('one');
+    expect(simState.isComplete).toBe(false);
+    expect(simState.result).toBeNull();
+  });
+});
+
+describe('Algorithm playbacks', () => {
+  // A-B (1), B-C (2), A-C (3), C-D (4)
+  const labels = ['A', 'B', 'C', 'D'];
+  let nodes, links;
+  beforeEach(() => {
+    nodes = graph(4);
+    links = [
+      link(nodes[0], nodes[1], '1'),
+      link(nodes[1], nodes[2], '2'),
+      link(nodes[0], nodes[2], '3'),
+      link(nodes[2], nodes[3], '4')
+    ];
+  });
+
+  test('Kruskal narrates every edge it considers', () => {
+    const run = mst.kruskalPlayback(nodes, links, labels);
+    expect(run.success).toBe(true);
+    expect(messages(run)).toContain('Consider edge A–B weight 1: accepted');
+    expect(messages(run)).toContain('Consider edge A–C weight 3: rejected, it would close a cycle');
+    expect(run.keepLinks).toEqual([links[0], links[1], links[3]]);
+    expect(run.summary).toBe('3 edge(s), total weight 7');
+  });
+
+  test('Kruskal reports a spanning forest for disconnected graphs', () => {
+    nodes.push(new Node(500, 0));
+    const run = mst.kruskalPlayback(nodes, links, labels.concat(['E']));
+    expect(messages(run).pop()).toMatch(/spanning forest/);
+  });
+
+  test('Prim grows the tree from the start node', () => {
+    const run = mst.primPlayback(nodes, links, labels, 3);
+    expect(run.title).toBe("Prim's algorithm from D");
+    expect(messages(run)[1]).toMatch(/^Add edge C–D weight 4/);
+    expect(run.keepLinks).toEqual([links[3], links[1], links[0]]);
+    // The rejected edge A-C ends up red once both ends are in the tree
+    const last = run.events[run.events.length - 1];
+    expect(last.links).toContainEqual({ link: links[2], color: 'red' });
+  });
+
+  test('Prim starts a new tree in each unreachable component', () => {
+    nodes.push(new Node(500, 0));
+    const run = mst.primPlayback(nodes, links, labels.concat(['E']), 0);
+    expect(messages(run)).toContain('No edge leaves the tree, so the graph is not connected: start a new tree at E');
+    expect(messages(run).pop()).toMatch(/minimum spanning forest/);
+  });
+
+  test('Kruskal and Prim play back the trees the MST tools compute', () => {
+    // Equal weights: the tie between A-C and B-C is broken the same way in both
+    links[2].text = '2';
+    expect(mst.kruskalPlayback(nodes, links, labels).keepLinks).toEqual(mst.computeMST(nodes, links, true).mstLinks);
+    expect(mst.primPlayback(nodes, links, labels, 2).keepLinks).toEqual(mst.computePrimMST(nodes, links, 2, true).mstLinks);
+  });
+
+  test('Kruskal and Prim refuse non-numeric weights', () => {
+    links[0].text = 'x';
+    expect(mst.kruskalPlayback(nodes, links, labels).success).toBe(false);
+    expect(mst.primPlayback(nodes, links, labels, 0).success).toBe(false);
+  });
+
+  test('BFS visits by levels in label order', () => {
+    const run = bfsPlayback(nodes, links, labels, 0, false);
+    const discovered = messages(run).filter((message) => message.startsWith('Discover'));
+    expect(discovered.map((message) => message.split(' ')[1])).toEqual(['B', 'C', 'D']);
+    expect(discovered[2]).toMatch(/\(level 2\)/);
+    expect(run.keepLinks).toEqual([links[0], links[2], links[3]]);
+  });
+
+  test('DFS records discovery and finish times', () => {
+    const run = dfsPlayback(nodes, links, labels, 0, false);
+    const last = run.events[run.events.length - 1];
+    const notes = {};
+    last.states.forEach((state) => { notes[labels[state.index]] = state.note; });
+    expect(notes).toEqual({ A: '1/8', B: '2/7', C: '3/6', D: '4/5' });
+    expect(run.keepLinks).toEqual([links[0], links[1], links[3]]);
+  });
+
+  test('directed traversals only follow arrows forwards', () => {
+    const run = bfsPlayback(nodes, links, labels, 3, true);
+    expect(run.summary).toBe('visited 1 of 4 node(s)');
+    expect(run.keepLinks).toEqual([]);
+  });
+
+  test('Dijkstra settles nodes in order of distance', () => {
+    const run = shortestPath.dijkstraPlayback(nodes, links, labels, 0, false);
+    const settled = messages(run).filter((message) => message.startsWith('Settle'));
+    expect(settled).toEqual([
+      'Settle A with distance 0 (the closest unsettled node)',
+      'Settle B with distance 1 (the closest unsettled node)',
+      'Settle C with distance 3 (the closest unsettled node)',
+      'Settle D with distance 7 (the closest unsettled node)'
+    ]);
+    // A-B-C ties with A-C, which was found first
+    expect(run.keepLinks).toEqual([links[0], links[2], links[3]]);
+  });
+
+  test('Dijkstra plays back the tree Shortest Paths computes', () => {
+    const run = shortestPath.dijkstraPlayback(nodes, links, labels, 3, false);
+    const result = shortestPath.computeShortestPaths(nodes, links, 3, false);
+    const settled = messages(run).filter((message) => message.startsWith('Settle'));
+    expect(settled.map((message) => labels.indexOf(message.split(' ')[1]))).toEqual(result.order);
+    expect(run.keepLinks).toEqual(result.treeLinks);
+  });
+
+  test('Dijkstra refuses negative weights', () => {
+    links[1].text = '-2';
+    expect(shortestPath.dijkstraPlayback(nodes, links, labels, 0, true).success).toBe(false);
+  });
+});
@@ -0,0 +1,138 @@
+const { Node } = require('../helpers/graph');
+
+const {
+  EPSILON,
+  parseTransitionLabel,
+  buildTransitionTable,
+  epsilonClosure,
+  getAlphabet,
+  validateInputString,
+  initializeSimulation,
+  stepSimulation,
+  snapshotSimulation,
+  seekSimulation
+} = require('../../src/simulation/simulator');
+
+function link(a, b, text) {
+  const l = new Link(a, b);
+  l.text = text;
+  return l;
+}
+
+function runToEnd(input, nodes, links) {
+  const sim = initializeSimulation(input, nodes, links).simulation;
+  while (!sim.isComplete) {
+    stepSimulation(sim, nodes);
+  }
+  return sim;
+}
+
+describe('Simulator epsilon transitions', () => {
+  let q0, q1, q2, nodes, links;
+
+  beforeEach(() => {
+    // q0 --ε--> q1 --a--> q2 (accepting), q0 --b--> q0
+    q0 = new Node(0, 0);
+    q1 = new Node(100, 0);
+    q2 = new Node(200, 0);
+    q2.isAcceptState = true;
+    const loop = new SelfLink(q0);
+    loop.text = 'b';
+    nodes = [q0, q1, q2];
+    links = [new StartLink(q0), link(q0, q1, '\\epsilon'), link(q1, q2, 'a'), loop];
+  });
+
+  test('recognizes epsilon spellings in labels', () => {
+    expect(parseTransitionLabel('ε')).toEqual([EPSILON]);
+    expect(parseTransitionLabel('\\epsilon, a')).toEqual([EPSILON, 'a']);
+    expect(parseTransitionLabel('""')).toEqual([EPSILON]);
+    expect(parseTransitionLabel('a,b')).toEqual(['a', 'b']);
+  });
+
+  test('leaves epsilon out of the alphabet', () => {
+    expect(getAlphabet(links)).toEqual(['a', 'b']);
+    expect(validateInputString('ba', links).valid).toBe(true);
+  });
+
+  test('computes epsilon closures', () => {
+    const table = buildTransitionTable(nodes, links);
+    expect(epsilonClosure([0], table).sort()).toEqual([0, 1]);
+    expect(epsilonClosure([2], table)).toEqual([2]);
+  });
+
+  test('starts in the closure of the start state', () => {
+    const sim = initializeSimulation('a', nodes, links).simulation;
+    expect(sim.currentStates.sort()).toEqual([0, 1]);
+  });
+
+  test('accepts through an epsilon move', () => {
+    expect(runToEnd('a', nodes, links).result).toBe('accepted');
+    expect(runToEnd('bba', nodes, links).result).toBe('accepted');
+    expect(runToEnd('ab', nodes, links).result).not.toBe('accepted');
+  });
+
+  test('accepts the empty string when an accept state is in the start closure', () => {
+    links.push(link(q1, q2, 'ε'));
+    expect(runToEnd('', nodes, links).result).toBe('accepted');
+  });
+
+  test('terminates on epsilon cycles', () => {
+    links.push(link(q1, q0, '\\epsilon'));
+    expect(runToEnd('a', nodes, links).result).toBe('accepted');
+  });
+});
+
+describe('Simulator history', () => {
+  let q0, q1, nodes, links;
+
+  beforeEach(() => {
+    // NFA: q0 loops on a and b, q0 --b--> q1 (accepting)
+    q0 = new Node(0, 0);
+    q1 = new Node(100, 0);
+    q1.isAcceptState = true;
+    const loop = new SelfLink(q0);
+    loop.text = 'a,b';
+    nodes = [q0, q1];
+    links = [new StartLink(q0), loop, link(q0, q1, 'b')];
+  });
+
+  test('records a snapshot for every step', () => {
+    const sim = runToEnd('abb', nodes, links);
+    expect(sim.history.length).toBe(4);
+    expect(sim.history.map(h => h.currentPosition)).toEqual([0, 1, 2, 3]);
+    expect(sim.history[3].isComplete).toBe(true);
+    expect(sim.history[2].isComplete).toBe(false);
+  });
+
+  test('restores earlier configurations exactly', () => {
+    const sim = runToEnd('abb', nodes, links);
+    const afterOne = snapshotSimulation(sim.history[1]);
+    const final = snapshotSimulation(sim);
+
+    expect(seekSimulation(sim, nodes, 1)).toBe(1);
+    expect(snapshotSimulation(sim)).toEqual(afterOne);
+    expect(sim.isComplete).toBe(false);
+    expect(sim.result).toBe(null);
+
+    // Stepping again from an earlier configuration must not corrupt the history
+    stepSimulation(sim, nodes);
+    stepSimulation(sim, nodes);
+    expect(snapshotSimulation(sim)).toEqual(final);
+    seekSimulation(sim, nodes, 1);
+    expect(snapshotSimulation(sim)).toEqual(afterOne);
+  });
+
+  test('steps forward past the recorded history when seeking', () => {
+    const sim = initializeSimulation('abb', nodes, links).simulation;
+    expect(seekSimulation(sim, nodes, 10)).toBe(3);
+    expect(sim.result).toBe('accepted');
+    expect(seekSimulation(sim, nodes, -1)).toBe(0);
+    expect(sim.currentStates).toEqual([0]);
+  });
+
+  test('stops at the step where every path gets stuck', () => {
+    const sim = initializeSimulation('cab', nodes, links).simulation;
+    expect(seekSimulation(sim, nodes, 3)).toBe(1);
+    expect(sim.result).toBe('stuck');
+  });
+});
@@ -0,0 +1,89 @@
+const { Node, link } = require('../helpers/graph');
+
+const simulator = require('../../src/simulation/simulator');
+const { EPSILON } = simulator;
+
+// Mock globals shared between the concatenated source files
+global.EPSILON = simulator.EPSILON;
+global.isEpsilonSymbol = simulator.isEpsilonSymbol;
+global.getHighlightedPath = simulator.getHighlightedPath;
+
+const {
+  parseMealyLabel,
+  parseMooreNodeText,
+  getSimulationOutput
+} = require('../../src/simulation/transducer');
+
+function run(input, nodes, links) {
+  const sim = simulator.initializeSimulation(input, nodes, links).simulation;
+  while (!sim.isComplete) {
+    simulator.stepSimulation(sim, nodes);
+  }
+  return sim;
+}
+
+afterEach(() => {
+  delete global.machineType;
+});
+
+describe('Transducer labels', () => {
+  test('parses Mealy input/output pairs', () => {
+    expect(parseMealyLabel('a/0, b/1')).toEqual([{ input: 'a', output: '0' }, { input: 'b', output: '1' }]);
+    expect(parseMealyLabel('\\epsilon/x, c')).toEqual([{ input: EPSILON, output: 'x' }, { input: 'c', output: '' }]);
+    expect(parseMealyLabel('a/ε')).toEqual([{ input: 'a', output: '' }]);
+  });
+
+  test('splits Moore state labels on the last slash', () => {
+    expect(parseMooreNodeText('q_1/1')).toEqual({ name: 'q_1', output: '1' });
+    expect(parseMooreNodeText('a/b/c')).toEqual({ name: 'a/b', output: 'c' });
+    expect(parseMooreNodeText('q0')).toEqual({ name: 'q0', output: '' });
+  });
+
+  test('only the input part of a Mealy label is a transition symbol', () => {
+    expect(simulator.parseTransitionLabel('a/0, b/1')).toEqual(['a/0', 'b/1']);
+    global.machineType = 'mealy';
+    expect(simulator.parseTransitionLabel('a/0, b/1')).toEqual(['a', 'b']);
+  });
+});
+
+describe('Transducer simulation', () => {
+  test('a Mealy machine writes the output of each transition taken', () => {
+    // Flips every bit, and accepts strings ending in 1
+    const p = new Node(0, 0);
+    const r = new Node(100, 0);
+    r.isAcceptState = true;
+    const nodes = [p, r];
+    const links = [new StartLink(p), link(p, p, '0/1'), link(p, r, '1/0'), link(r, r, '1/0'), link(r, p, '0/1')];
+    global.machineType = 'mealy';
+
+    const sim = run('0110', nodes, links);
+    expect(sim.result).toBe('rejected');
+    expect(getSimulationOutput(sim, nodes)).toBe('1001');
+    expect(run('01', nodes, links).result).toBe('accepted');
+  });
+
+  test('a Moore machine writes the output of every state it enters', () => {
+    // Parity of the number of a's read so far, starting with the output of the start state
+    const even = new Node(0, 0);
+    const odd = new Node(100, 0);
+    even.text = 'e/0';
+    odd.text = 'o/1';
+    even.isAcceptState = true;
+    const nodes = [even, odd];
+    const links = [new StartLink(even), link(even, odd, 'a'), link(odd, even, 'a'), link(even, even, 'b'), link(odd, odd, 'b')];
+    global.machineType = 'moore';
+
+    const sim = run('aba', nodes, links);
+    expect(sim.result).toBe('accepted');
+    expect(getSimulationOutput(sim, nodes)).toBe('0110');
+    expect(getSimulationOutput(run('', nodes, links), nodes)).toBe('0');
+  });
+
+  test('finite automata have no output', () => {
+    const p = new Node(0, 0);
+    p.isAcceptState = true;
+    const nodes = [p];
+    const sim = run('a', nodes, [new StartLink(p), link(p, p, 'a')]);
+    expect(getSimulationOutput(sim, nodes)).toBe(null);
+  });
+});
@@ -0,0 +1,158 @@
+const { Node, link } = require('../helpers/graph');
+
+const simulator = require('../../src/simulation/simulator');
+
+// Mock globals shared between the concatenated source files
+global.SimulationState = function(inputString, startIndex, table) {
+  this.inputString = inputString;
+  this.currentPosition = 0;
+  this.currentStates = [startIndex];
+  this.paths = [{ states: [startIndex], transitions: [], symbols: [], status: 'active' }];
+  this.isComplete = false;
+  this.result = null;
+  this.errorMessage = null;
+  this.transitionTable = table;
+  this.history = [];
+};
+global.recordSimulationSnapshot = simulator.recordSimulationSnapshot;
+global.restoreSimulationSnapshot = simulator.restoreSimulationSnapshot;
+
+const {
+  tmOptions,
+  maxTMStepLimit,
+  parseTMLabel,
+  buildTMTransitionTable,
+  initializeTMSimulation,
+  stepTMSimulation
+} = require('../../src/simulation/turing');
+global.stepTMSimulation = stepTMSimulation;
+
+function run(input, nodes, links) {
+  const sim = initializeTMSimulation(input, 0, nodes, links).simulation;
+  while (!sim.isComplete) {
+    stepTMSimulation(sim, nodes);
+  }
+  return sim;
+}
+
+function tapeContents(tape) {
+  return tape.cells.join('').replace(/^_+|_+$/g, '');
+}
+
+describe('Turing machine labels', () => {
+  test('parses read, write and move', () => {
+    expect(parseTMLabel('a → b, R')).toEqual([{ reads: ['a'], writes: ['b'], moves: ['R'] }]);
+    expect(parseTMLabel('_ -> l')).toEqual([{ reads: ['_'], writes: ['_'], moves: ['L'] }]);
+    expect(parseTMLabel('a, _ \\to a, a, R, S')).toEqual([{ reads: ['a', '_'], writes: ['a', 'a'], moves: ['R', 'S'] }]);
+    expect(parseTMLabel('a → b, R; b → a, L').length).toBe(2);
+  });
+
+  test('rejects malformed labels', () => {
+    expect(parseTMLabel('a, R')).toBe(null);
+    expect(parseTMLabel('a → b, X')).toBe(null);
+    expect(parseTMLabel('a → b, c, R')).toBe(null);
+  });
+
+  test('reports nondeterminism and mixed tape counts', () => {
+    const q = [new Node(0, 0), new Node(100, 0)];
+    let built = buildTMTransitionTable(q, [link(q[0], q[0], 'a → R'), link(q[0], q[1], 'a → L')]);
+    expect(built.errors[0]).toMatch(/deterministic/);
+    built = buildTMTransitionTable(q, [link(q[0], q[0], 'a → R'), link(q[0], q[1], 'a, b → L, L')]);
+    expect(built.errors[0]).toMatch(/2 tape/);
+  });
+});
+
+describe('Turing machine simulation', () => {
+  let nodes;
+
+  beforeEach(() => {
+    nodes = [new Node(0, 0), new Node(100, 0), new Node(200, 0)];
+    nodes.forEach((n, i) => { n.text = 'q' + i; });
+    nodes[2].isAcceptState = true;
+    tmOptions.blank = '_';
+    tmOptions.stepLimit = 1000;
+  });
+
+  test('flips bits and accepts at the end of the input', () => {
+    const links = [
+      new StartLink(nodes[0]),
+      link(nodes[0], nodes[0], '0 → 1, R; 1 → 0, R'),
+      link(nodes[0], nodes[2], '_ → _, S')
+    ];
+    const sim = run('0110', nodes, links);
+    expect(sim.result).toBe('accepted');
+    expect(tapeContents(sim.paths[0].tapes[0])).toBe('1001');
+    expect(sim.currentPosition).toBe(5);
+  });
+
+  test('knows the length of the run before stepping', () => {
+    const links = [new StartLink(nodes[0]), link(nodes[0], nodes[0], 'a → R'), link(nodes[0], nodes[2], '_ → S')];
+    const sim = initializeTMSimulation('aaa', 0, nodes, links).simulation;
+    expect(sim.totalSteps).toBe(4);
+    expect(sim.currentPosition).toBe(0);
+    expect(sim.isComplete).toBe(false);
+    expect(sim.paths[0].tapes[0].head).toBe(0);
+  });
+
+  test('rejects when no transition applies', () => {
+    const links = [new StartLink(nodes[0]), link(nodes[0], nodes[0], 'a → R')];
+    const sim = run('ab', nodes, links);
+    expect(sim.result).toBe('rejected');
+    expect(sim.errorMessage).toBe("Halted in state q0 reading 'b'");
+  });
+
+  test('grows the tape to the left', () => {
+    const links = [new StartLink(nodes[0]), link(nodes[0], nodes[1], 'a → L'), link(nodes[1], nodes[2], '_ → x, S')];
+    const sim = run('a', nodes, links);
+    expect(sim.result).toBe('accepted');
+    expect(sim.paths[0].tapes[0].cells).toEqual(['x', 'a']);
+  });
+
+  test('stops non-halting machines at the step limit', () => {
+    tmOptions.stepLimit = 50;
+    const links = [new StartLink(nodes[0]), link(nodes[0], nodes[0], '_ → R')];
+    const sim = run('', nodes, links);
+    expect(sim.result).toBe('limit');
+    expect(sim.currentPosition).toBe(50);
+  });
+
+  test('runs multi-tape machines', () => {
+    // Copy the input to the second tape
+    const links = [
+      new StartLink(nodes[0]),
+      link(nodes[0], nodes[0], 'a, _ → a, a, R, R; b, _ → b, b, R, R'),
+      link(nodes[0], nodes[2], '_, _ → _, _, S, S')
+    ];
+    const sim = run('abba', nodes, links);
+    expect(sim.result).toBe('accepted');
+    expect(tapeContents(sim.paths[0].tapes[1])).toBe('abba');
+  });
+
+  test('uses the configured blank symbol', () => {
+    tmOptions.blank = 'B';
+    const links = [new StartLink(nodes[0]), link(nodes[0], nodes[0], 'a → R'), link(nodes[0], nodes[2], 'B → S')];
+    expect(run('aa', nodes, links).result).toBe('accepted');
+  });
+
+  test('caps the step limit and keeps only a few checkpoints of a long run', () => {
+    tmOptions.stepLimit = 10000000;
+    const links = [new StartLink(nodes[0]), link(nodes[0], nodes[0], '_ → x, R')];
+    const sim = initializeTMSimulation('', 0, nodes, links).simulation;
+    expect(sim.totalSteps).toBe(maxTMStepLimit);
+    expect(sim.history.filter(Boolean).length).toBeLessThanOrEqual(51);
+  });
+
+  test('seeks back and forth by replaying from the closest checkpoint', () => {
+    const links = [new StartLink(nodes[0]), link(nodes[0], nodes[0], '_ → x, R')];
+    const sim = initializeTMSimulation('', 0, nodes, links).simulation;
+    expect(sim.history[250]).toBeUndefined();
+
+    expect(simulator.seekSimulation(sim, nodes, 250)).toBe(250);
+    expect(sim.paths[0].tapes[0].head).toBe(250);
+    expect(simulator.seekSimulation(sim, nodes, 1000)).toBe(1000);
+    expect(sim.result).toBe('limit');
+    expect(simulator.seekSimulation(sim, nodes, 99)).toBe(99);
+    expect(tapeContents(sim.paths[0].tapes[0])).toBe('x'.repeat(99));
+    expect(sim.isComplete).toBe(false);
+  });
+});